@@ -2,7 +2,16 @@ import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { AuthProvider, ThemeProvider, useAuth } from '@/context';
 import { AdminLayout } from '@/components/layout';
-import { DashboardPage, LoginPage, ProductsPage, OrdersPage } from '@/pages';
+import {
+  DashboardPage,
+  LoginPage,
+  ProductsPage,
+  ProductDetailPage,
+  OrdersPage,
+  TrashPage,
+  InventoryPage,
+  ReplenishmentPage,
+} from '@/pages';
 
 // Create a query client for React Query
 const queryClient = new QueryClient({
@@ -95,12 +104,15 @@ function AppRoutes() {
       >
         <Route index element={<DashboardPage />} />
         <Route path="products" element={<ProductsPage />} />
+        <Route path="products/:id" element={<ProductDetailPage />} />
         <Route path="orders" element={<OrdersPage />} />
         <Route path="customers" element={<PlaceholderPage title="Customers" />} />
-        <Route path="inventory" element={<PlaceholderPage title="Inventory" />} />
+        <Route path="inventory" element={<InventoryPage />} />
+        <Route path="replenishment" element={<ReplenishmentPage />} />
         <Route path="categories" element={<PlaceholderPage title="Categories" />} />
         <Route path="coupons" element={<PlaceholderPage title="Coupons" />} />
         <Route path="analytics" element={<PlaceholderPage title="Analytics" />} />
+        <Route path="trash" element={<TrashPage />} />
         <Route path="settings" element={<PlaceholderPage title="Settings" />} />
         <Route path="settings/profile" element={<PlaceholderPage title="Profile Settings" />} />
       </Route>
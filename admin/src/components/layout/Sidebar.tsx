@@ -14,6 +14,8 @@ import {
     Tags,
     Ticket,
     Store,
+    Trash2,
+    Truck,
 } from 'lucide-react';
 
 interface NavItem {
@@ -29,12 +31,14 @@ const mainNavItems: NavItem[] = [
     { title: 'Orders', href: '/orders', icon: <ShoppingCart className="h-5 w-5" /> },
     { title: 'Customers', href: '/customers', icon: <Users className="h-5 w-5" /> },
     { title: 'Inventory', href: '/inventory', icon: <Package className="h-5 w-5" /> },
+    { title: 'Replenishment', href: '/replenishment', icon: <Truck className="h-5 w-5" /> },
 ];
 
 const secondaryNavItems: NavItem[] = [
     { title: 'Categories', href: '/categories', icon: <Tags className="h-5 w-5" /> },
     { title: 'Coupons', href: '/coupons', icon: <Ticket className="h-5 w-5" /> },
     { title: 'Analytics', href: '/analytics', icon: <BarChart3 className="h-5 w-5" /> },
+    { title: 'Trash', href: '/trash', icon: <Trash2 className="h-5 w-5" /> },
     { title: 'Settings', href: '/settings', icon: <Settings className="h-5 w-5" /> },
 ];
 
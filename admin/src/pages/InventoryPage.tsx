@@ -0,0 +1,467 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+    BarChart,
+    Bar,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    ResponsiveContainer,
+} from 'recharts';
+import { Package, AlertTriangle, PackageX, IndianRupee, Search, Scale } from 'lucide-react';
+import { isAxiosError } from 'axios';
+import { StatCard } from '@/components/dashboard';
+import { cn, formatDateTime, formatNumber } from '@/lib/utils';
+import { booksApi, inventoryApi } from '@/services/api';
+import type { StockMovementReason } from '@/types';
+
+type StockAction = 'receive' | 'count' | 'damage';
+
+const PERIODS = [7, 30, 90];
+
+const REASON_LABELS: Record<StockMovementReason, string> = {
+    opening: 'Opening',
+    sale: 'Sale',
+    cancellation: 'Cancellation',
+    restock: 'Received',
+    damage: 'Written off',
+    adjustment: 'Adjustment',
+};
+
+const ACTION_LABELS: Record<StockAction, { title: string; field: string }> = {
+    receive: { title: 'Receive', field: 'Copies received' },
+    count: { title: 'Count', field: 'Copies on the shelf' },
+    damage: { title: 'Write off', field: 'Copies damaged or lost' },
+};
+
+const errorMessage = (error: unknown) =>
+    (isAxiosError(error) && error.response?.data?.message) || 'Saving failed. Refresh and try again.';
+
+export function InventoryPage() {
+    const queryClient = useQueryClient();
+
+    const [days, setDays] = useState(30);
+    const [search, setSearch] = useState('');
+    const [debouncedSearch, setDebouncedSearch] = useState('');
+    const [selectedId, setSelectedId] = useState<string | null>(null);
+    const [action, setAction] = useState<StockAction>('receive');
+    const [quantity, setQuantity] = useState('');
+    const [note, setNote] = useState('');
+
+    // Debounce search input
+    const handleSearchChange = (value: string) => {
+        setSearch(value);
+        const timeout = setTimeout(() => setDebouncedSearch(value), 300);
+        return () => clearTimeout(timeout);
+    };
+
+    const { data: summary, isLoading, isError } = useQuery({
+        queryKey: ['admin-inventory', days],
+        queryFn: () => inventoryApi.getSummary(days),
+    });
+
+    const { data: reconciliation } = useQuery({
+        queryKey: ['admin-stock-reconciliation'],
+        queryFn: async () => (await inventoryApi.getReconciliation()).data,
+    });
+
+    const { data: results } = useQuery({
+        queryKey: ['admin-books', { search: debouncedSearch, limit: 8 }],
+        queryFn: () => booksApi.getAll({ search: debouncedSearch, limit: 8 }),
+        enabled: debouncedSearch.trim().length > 1,
+    });
+
+    const { data: ledger } = useQuery({
+        queryKey: ['admin-stock-ledger', selectedId],
+        queryFn: () => inventoryApi.getMovements(selectedId as string, { limit: 20 }),
+        enabled: !!selectedId,
+    });
+
+    const book = ledger?.data.book;
+
+    const stockMutation = useMutation({
+        mutationFn: () => {
+            const value = parseInt(quantity, 10);
+            const id = selectedId as string;
+            if (action === 'count') return inventoryApi.count(id, value, book?.stock ?? 0, note || undefined);
+            if (action === 'damage') return inventoryApi.writeOff(id, value, note || undefined);
+            return inventoryApi.receive(id, value, note || undefined);
+        },
+        onSuccess: () => {
+            setQuantity('');
+            setNote('');
+            queryClient.invalidateQueries({ queryKey: ['admin-inventory'] });
+            queryClient.invalidateQueries({ queryKey: ['admin-stock-reconciliation'] });
+            queryClient.invalidateQueries({ queryKey: ['admin-stock-ledger'] });
+            queryClient.invalidateQueries({ queryKey: ['admin-books'] });
+        },
+    });
+
+    const selectBook = (id: string) => {
+        setSelectedId(id);
+        stockMutation.reset();
+    };
+
+    const quantityValid = quantity !== '' && parseInt(quantity, 10) >= (action === 'count' ? 0 : 1);
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            {/* Header */}
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+                <div>
+                    <h1 className="text-2xl font-bold tracking-tight">Inventory</h1>
+                    <p className="text-[hsl(var(--muted-foreground))]">
+                        Receive stock, record counts and write-offs. Every change is kept in the stock ledger.
+                    </p>
+                </div>
+                <div className="flex gap-1 rounded-lg border p-1">
+                    {PERIODS.map((period) => (
+                        <button
+                            key={period}
+                            onClick={() => setDays(period)}
+                            className={cn(
+                                'rounded-md px-3 py-1 text-sm transition-colors',
+                                days === period
+                                    ? 'bg-[hsl(var(--primary))] text-[hsl(var(--primary-foreground))]'
+                                    : 'hover:bg-[hsl(var(--accent))]'
+                            )}
+                        >
+                            {period} days
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {isLoading ? (
+                <div className="p-8 text-center">
+                    <div className="h-8 w-8 mx-auto animate-spin rounded-full border-4 border-[hsl(var(--primary))] border-t-transparent" />
+                    <p className="mt-2 text-[hsl(var(--muted-foreground))]">Loading inventory...</p>
+                </div>
+            ) : isError || !summary ? (
+                <div className="p-8 text-center">
+                    <p className="text-red-500">Failed to load the inventory</p>
+                </div>
+            ) : (
+                <>
+                    {/* Stats */}
+                    <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+                        <StatCard
+                            title="Units in Stock"
+                            value={summary.totalUnits}
+                            icon={<Package className="h-6 w-6" />}
+                            gradient="primary"
+                        />
+                        <StatCard
+                            title="Stock Value"
+                            value={summary.totalValue}
+                            format="currency"
+                            icon={<IndianRupee className="h-6 w-6" />}
+                            gradient="success"
+                        />
+                        <StatCard
+                            title="Low Stock (5 or fewer)"
+                            value={summary.lowStock}
+                            icon={<AlertTriangle className="h-6 w-6" />}
+                            gradient="warning"
+                        />
+                        <StatCard
+                            title="Out of Stock"
+                            value={summary.outOfStock}
+                            icon={<PackageX className="h-6 w-6" />}
+                            gradient="danger"
+                        />
+                    </div>
+
+                    {/* Movements */}
+                    <div className="rounded-xl border bg-[hsl(var(--card))] p-6 shadow-sm">
+                        <div className="mb-6 flex flex-col gap-2 sm:flex-row sm:items-start sm:justify-between">
+                            <div>
+                                <h3 className="font-semibold">Stock Movements</h3>
+                                <p className="text-sm text-[hsl(var(--muted-foreground))]">
+                                    Units in and out per day over the last {days} days
+                                </p>
+                            </div>
+                            <div className="flex flex-wrap gap-2 text-xs">
+                                {Object.entries(summary.movements.totals.byReason).map(([reason, net]) => (
+                                    <span key={reason} className="rounded-full bg-[hsl(var(--muted))] px-2 py-1">
+                                        {REASON_LABELS[reason as StockMovementReason]}: {net > 0 ? '+' : ''}
+                                        {formatNumber(net)}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                        <div className="h-64">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <BarChart data={summary.movements.daily} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="hsl(var(--border))" vertical={false} />
+                                    <XAxis
+                                        dataKey="date"
+                                        tickFormatter={(date: string) => date.slice(5)}
+                                        tick={{ fontSize: 12, fill: 'hsl(var(--muted-foreground))' }}
+                                        axisLine={false}
+                                        tickLine={false}
+                                    />
+                                    <YAxis
+                                        allowDecimals={false}
+                                        tick={{ fontSize: 12, fill: 'hsl(var(--muted-foreground))' }}
+                                        axisLine={false}
+                                        tickLine={false}
+                                    />
+                                    <Tooltip
+                                        contentStyle={{
+                                            backgroundColor: 'hsl(var(--card))',
+                                            border: '1px solid hsl(var(--border))',
+                                            borderRadius: '8px',
+                                        }}
+                                    />
+                                    <Bar dataKey="in" name="In" fill="hsl(var(--chart-2))" radius={[4, 4, 0, 0]} />
+                                    <Bar dataKey="out" name="Out" fill="hsl(var(--chart-1))" radius={[4, 4, 0, 0]} />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                    </div>
+
+                    {/* Reconciliation */}
+                    {reconciliation && (
+                        <div className="rounded-xl border bg-[hsl(var(--card))] shadow-sm overflow-hidden">
+                            <div className="flex items-center gap-3 border-b p-4">
+                                <Scale className="h-5 w-5 text-[hsl(var(--muted-foreground))]" />
+                                <div>
+                                    <h3 className="font-semibold">Ledger Reconciliation</h3>
+                                    <p className="text-sm text-[hsl(var(--muted-foreground))]">
+                                        {reconciliation.mismatched === 0
+                                            ? `All ${formatNumber(reconciliation.inSync)} products match their ledger.`
+                                            : `${reconciliation.mismatched} of ${formatNumber(
+                                                reconciliation.inSync + reconciliation.mismatched
+                                            )} products don't match their ledger. Count them to correct the stock.`}
+                                    </p>
+                                </div>
+                            </div>
+                            {reconciliation.mismatches.length > 0 && (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full">
+                                        <thead>
+                                            <tr className="border-b bg-[hsl(var(--muted))/50]">
+                                                <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">Product</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Stock</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Ledger</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Difference</th>
+                                                <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Actions</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y">
+                                            {reconciliation.mismatches.map((row) => (
+                                                <tr key={row.book} className="hover:bg-[hsl(var(--accent))/50] transition-colors">
+                                                    <td className="px-4 py-3">
+                                                        <p className="font-medium truncate max-w-[280px]">{row.title}</p>
+                                                        {row.isbn && (
+                                                            <p className="text-sm text-[hsl(var(--muted-foreground))]">{row.isbn}</p>
+                                                        )}
+                                                    </td>
+                                                    <td className="px-4 py-3 text-right text-sm">{row.stock}</td>
+                                                    <td className="px-4 py-3 text-right text-sm">{row.ledger}</td>
+                                                    <td
+                                                        className={cn(
+                                                            'px-4 py-3 text-right text-sm font-medium',
+                                                            row.difference > 0 ? 'text-amber-600' : 'text-red-500'
+                                                        )}
+                                                    >
+                                                        {row.difference > 0 ? '+' : ''}
+                                                        {row.difference}
+                                                    </td>
+                                                    <td className="px-4 py-3 text-right">
+                                                        <button
+                                                            onClick={() => {
+                                                                selectBook(row.book);
+                                                                setAction('count');
+                                                            }}
+                                                            className="rounded-lg border px-3 py-1 text-sm hover:bg-[hsl(var(--accent))]"
+                                                        >
+                                                            Count
+                                                        </button>
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+
+            {/* Stock changes */}
+            <div className="grid gap-6 lg:grid-cols-3">
+                <div className="rounded-xl border bg-[hsl(var(--card))] p-4 shadow-sm space-y-3">
+                    <h3 className="font-semibold">Find a Product</h3>
+                    <div className="relative">
+                        <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-[hsl(var(--muted-foreground))]" />
+                        <input
+                            type="text"
+                            placeholder="Search by title, author, ISBN..."
+                            value={search}
+                            onChange={(e) => handleSearchChange(e.target.value)}
+                            className={cn(
+                                'w-full rounded-lg border bg-transparent pl-10 pr-4 py-2 text-sm',
+                                'focus:outline-none focus:ring-2 focus:ring-[hsl(var(--ring))]'
+                            )}
+                        />
+                    </div>
+                    <ul className="divide-y">
+                        {(results?.data || []).map((result) => (
+                            <li key={result._id}>
+                                <button
+                                    onClick={() => selectBook(result._id)}
+                                    className={cn(
+                                        'flex w-full items-center justify-between gap-3 rounded-lg px-2 py-2 text-left text-sm',
+                                        selectedId === result._id ? 'bg-[hsl(var(--accent))]' : 'hover:bg-[hsl(var(--accent))/50]'
+                                    )}
+                                >
+                                    <span className="truncate">{result.title}</span>
+                                    <span className="flex-shrink-0 text-[hsl(var(--muted-foreground))]">{result.stock} in stock</span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+
+                <div className="rounded-xl border bg-[hsl(var(--card))] p-4 shadow-sm space-y-4 lg:col-span-2">
+                    {!selectedId || !book ? (
+                        <p className="py-8 text-center text-[hsl(var(--muted-foreground))]">
+                            Pick a product to change its stock and see its ledger
+                        </p>
+                    ) : (
+                        <>
+                            <div className="flex items-start justify-between gap-4">
+                                <div>
+                                    <h3 className="font-semibold">{book.title.display}</h3>
+                                    <p className="text-sm text-[hsl(var(--muted-foreground))]">
+                                        by {book.author}{book.isbn && ` · ${book.isbn}`}
+                                    </p>
+                                </div>
+                                <div className="text-right">
+                                    <p className="text-2xl font-bold">{book.stock}</p>
+                                    <p className="text-xs text-[hsl(var(--muted-foreground))]">in stock</p>
+                                </div>
+                            </div>
+
+                            <form
+                                onSubmit={(e) => {
+                                    e.preventDefault();
+                                    if (quantityValid) stockMutation.mutate();
+                                }}
+                                className="space-y-3"
+                            >
+                                <div className="flex gap-1 rounded-lg border p-1 w-fit">
+                                    {(Object.keys(ACTION_LABELS) as StockAction[]).map((key) => (
+                                        <button
+                                            type="button"
+                                            key={key}
+                                            onClick={() => setAction(key)}
+                                            className={cn(
+                                                'rounded-md px-3 py-1 text-sm transition-colors',
+                                                action === key
+                                                    ? 'bg-[hsl(var(--primary))] text-[hsl(var(--primary-foreground))]'
+                                                    : 'hover:bg-[hsl(var(--accent))]'
+                                            )}
+                                        >
+                                            {ACTION_LABELS[key].title}
+                                        </button>
+                                    ))}
+                                </div>
+                                <div className="grid gap-3 sm:grid-cols-3">
+                                    <label className="text-sm">
+                                        <span className="mb-1 block text-[hsl(var(--muted-foreground))]">
+                                            {ACTION_LABELS[action].field}
+                                        </span>
+                                        <input
+                                            type="number"
+                                            min={action === 'count' ? 0 : 1}
+                                            value={quantity}
+                                            onChange={(e) => setQuantity(e.target.value)}
+                                            className="w-full rounded-lg border bg-transparent px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[hsl(var(--ring))]"
+                                        />
+                                    </label>
+                                    <label className="text-sm sm:col-span-2">
+                                        <span className="mb-1 block text-[hsl(var(--muted-foreground))]">Note</span>
+                                        <input
+                                            type="text"
+                                            maxLength={300}
+                                            placeholder={action === 'receive' ? 'Supplier, invoice number...' : 'Optional'}
+                                            value={note}
+                                            onChange={(e) => setNote(e.target.value)}
+                                            className="w-full rounded-lg border bg-transparent px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-[hsl(var(--ring))]"
+                                        />
+                                    </label>
+                                </div>
+                                <div className="flex items-center gap-3">
+                                    <button
+                                        type="submit"
+                                        disabled={!quantityValid || stockMutation.isPending}
+                                        className="rounded-lg bg-[hsl(var(--primary))] px-4 py-2 text-sm font-medium text-[hsl(var(--primary-foreground))] disabled:opacity-50"
+                                    >
+                                        {stockMutation.isPending ? 'Saving...' : ACTION_LABELS[action].title}
+                                    </button>
+                                    {stockMutation.isError && (
+                                        <p className="text-sm text-red-500">{errorMessage(stockMutation.error)}</p>
+                                    )}
+                                </div>
+                            </form>
+
+                            <div className="overflow-x-auto">
+                                <table className="w-full">
+                                    <thead>
+                                        <tr className="border-b bg-[hsl(var(--muted))/50]">
+                                            <th className="px-3 py-2 text-left text-xs font-medium uppercase tracking-wider">When</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium uppercase tracking-wider">Reason</th>
+                                            <th className="px-3 py-2 text-right text-xs font-medium uppercase tracking-wider">Change</th>
+                                            <th className="px-3 py-2 text-right text-xs font-medium uppercase tracking-wider">Stock</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium uppercase tracking-wider">By</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y text-sm">
+                                        {(ledger?.data.movements || []).map((movement) => (
+                                            <tr key={movement._id}>
+                                                <td className="px-3 py-2 text-[hsl(var(--muted-foreground))]">
+                                                    {formatDateTime(movement.createdAt)}
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    <p>{REASON_LABELS[movement.reason]}</p>
+                                                    {(movement.note || movement.order) && (
+                                                        <p className="text-xs text-[hsl(var(--muted-foreground))] truncate max-w-[220px]">
+                                                            {movement.order
+                                                                ? `Order #${movement.order._id.slice(-6)}`
+                                                                : movement.note}
+                                                        </p>
+                                                    )}
+                                                </td>
+                                                <td
+                                                    className={cn(
+                                                        'px-3 py-2 text-right font-medium',
+                                                        movement.change > 0 ? 'text-green-600' : 'text-red-500'
+                                                    )}
+                                                >
+                                                    {movement.change > 0 ? '+' : ''}
+                                                    {movement.change}
+                                                </td>
+                                                <td className="px-3 py-2 text-right">{movement.stockAfter}</td>
+                                                <td className="px-3 py-2">{movement.actorName}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {ledger && ledger.data.movements.length === 0 && (
+                                    <p className="py-4 text-center text-sm text-[hsl(var(--muted-foreground))]">
+                                        No movements yet
+                                    </p>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
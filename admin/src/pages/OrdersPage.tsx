@@ -16,6 +16,7 @@ import {
 } from 'lucide-react';
 import { cn, formatCurrency, formatDateTime } from '@/lib/utils';
 import { ordersApi } from '@/services/api';
+import type { OrderStatusEvent } from '@/types';
 
 const STATUS_OPTIONS = [
     { value: 'all', label: 'All Status' },
@@ -62,6 +63,8 @@ interface Order {
     totalPrice: number;
     shippingPrice: number;
     status: string;
+    allowedTransitions?: string[];
+    statusHistory?: OrderStatusEvent[];
     isPaid: boolean;
     createdAt: string;
 }
@@ -263,7 +266,7 @@ export function OrdersPage() {
                                                                 autoFocus
                                                             >
                                                                 <option value="">Select...</option>
-                                                                {STATUS_OPTIONS.filter(s => s.value !== 'all').map((s) => (
+                                                                {STATUS_OPTIONS.filter(s => order.allowedTransitions?.includes(s.value)).map((s) => (
                                                                     <option key={s.value} value={s.value}>{s.label}</option>
                                                                 ))}
                                                             </select>
@@ -280,10 +283,15 @@ export function OrdersPage() {
                                                             >
                                                                 Cancel
                                                             </button>
+                                                            {updateStatusMutation.isError && (
+                                                                <span className="text-xs text-red-500">Update failed</span>
+                                                            )}
                                                         </div>
                                                     ) : (
                                                         <button
-                                                            onClick={() => { setSelectedOrder(order._id); setNewStatus(order.status.toLowerCase()); }}
+                                                            onClick={() => { setSelectedOrder(order._id); setNewStatus(''); }}
+                                                            disabled={!order.allowedTransitions?.length}
+                                                            title={order.allowedTransitions?.length ? 'Change status' : 'Final status'}
                                                             className={cn(
                                                                 'inline-flex items-center gap-1.5 rounded-full px-2.5 py-1 text-xs font-medium',
                                                                 statusConfig.color,
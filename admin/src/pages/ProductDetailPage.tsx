@@ -0,0 +1,303 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+    ArrowLeft,
+    History,
+    Info,
+    RotateCcw,
+    ChevronLeft,
+    ChevronRight,
+} from 'lucide-react';
+import { cn, formatCurrency, formatDateTime, truncate } from '@/lib/utils';
+import { booksApi } from '@/services/api';
+import type { BookVersion } from '@/types';
+
+interface BookDetail {
+    _id: string;
+    title: { display: string; english?: string; odia?: string };
+    author: string;
+    description: string;
+    price: { original: number; discounted?: number; discountPercent?: number };
+    category: string;
+    language: string;
+    isbn?: string;
+    format?: string;
+    stock: number;
+    image?: string;
+}
+
+type Tab = 'details' | 'history';
+
+const ACTION_STYLES: Record<BookVersion['action'], string> = {
+    create: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
+    update: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-400',
+    delete: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+    restore: 'bg-purple-100 text-purple-800 dark:bg-purple-900/30 dark:text-purple-400',
+    revert: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+};
+
+// How a value from a change reads in the history table
+function formatValue(value: unknown): string {
+    if (value === null || value === undefined || value === '') return '—';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return truncate(String(value), 80);
+}
+
+export function ProductDetailPage() {
+    const { id = '' } = useParams();
+    const navigate = useNavigate();
+    const [tab, setTab] = useState<Tab>('details');
+
+    const { data: book, isLoading, isError } = useQuery({
+        queryKey: ['admin-book', id],
+        queryFn: () => booksApi.getById(id) as unknown as Promise<BookDetail>,
+    });
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            {/* Header */}
+            <div className="flex items-center gap-4">
+                <button
+                    onClick={() => navigate('/products')}
+                    className="p-2 rounded-lg border hover:bg-[hsl(var(--accent))]"
+                    title="Back to products"
+                >
+                    <ArrowLeft className="h-4 w-4" />
+                </button>
+                <div className="min-w-0">
+                    <h1 className="text-2xl font-bold tracking-tight truncate">
+                        {book?.title.display || 'Product'}
+                    </h1>
+                    {book && (
+                        <p className="text-[hsl(var(--muted-foreground))]">by {book.author}</p>
+                    )}
+                </div>
+            </div>
+
+            {/* Tabs */}
+            <div className="flex gap-1 border-b">
+                {([
+                    { value: 'details', label: 'Details', icon: Info },
+                    { value: 'history', label: 'History', icon: History },
+                ] as const).map(({ value, label, icon: Icon }) => (
+                    <button
+                        key={value}
+                        onClick={() => setTab(value)}
+                        className={cn(
+                            'inline-flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors',
+                            tab === value
+                                ? 'border-[hsl(var(--primary))] text-[hsl(var(--primary))]'
+                                : 'border-transparent text-[hsl(var(--muted-foreground))] hover:text-[hsl(var(--foreground))]'
+                        )}
+                    >
+                        <Icon className="h-4 w-4" />
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {tab === 'details' ? (
+                <div className="rounded-xl border bg-[hsl(var(--card))] p-6 shadow-sm">
+                    {isLoading ? (
+                        <div className="h-8 w-8 mx-auto animate-spin rounded-full border-4 border-[hsl(var(--primary))] border-t-transparent" />
+                    ) : isError || !book ? (
+                        <p className="text-center text-red-500">
+                            Failed to load the product. It may have been deleted; its history is still available.
+                        </p>
+                    ) : (
+                        <div className="flex flex-col gap-6 sm:flex-row">
+                            <div className="h-48 w-36 flex-shrink-0 overflow-hidden rounded bg-[hsl(var(--muted))]">
+                                {book.image ? (
+                                    <img src={book.image} alt={book.title.display} className="h-full w-full object-cover" />
+                                ) : (
+                                    <div className="flex h-full w-full items-center justify-center text-3xl">📚</div>
+                                )}
+                            </div>
+                            <dl className="grid flex-1 grid-cols-2 gap-4 text-sm">
+                                <div>
+                                    <dt className="text-[hsl(var(--muted-foreground))]">Price</dt>
+                                    <dd className="font-medium">
+                                        {formatCurrency(book.price.discounted ?? book.price.original)}
+                                        {(book.price.discountPercent ?? 0) > 0 && (
+                                            <span className="ml-2 text-xs text-[hsl(var(--muted-foreground))] line-through">
+                                                {formatCurrency(book.price.original)}
+                                            </span>
+                                        )}
+                                    </dd>
+                                </div>
+                                <div>
+                                    <dt className="text-[hsl(var(--muted-foreground))]">Stock</dt>
+                                    <dd className="font-medium">{book.stock}</dd>
+                                </div>
+                                <div>
+                                    <dt className="text-[hsl(var(--muted-foreground))]">Category</dt>
+                                    <dd className="font-medium">{book.category}</dd>
+                                </div>
+                                <div>
+                                    <dt className="text-[hsl(var(--muted-foreground))]">Language</dt>
+                                    <dd className="font-medium">{book.language}</dd>
+                                </div>
+                                <div>
+                                    <dt className="text-[hsl(var(--muted-foreground))]">ISBN</dt>
+                                    <dd className="font-medium font-mono">{book.isbn || '—'}</dd>
+                                </div>
+                                <div>
+                                    <dt className="text-[hsl(var(--muted-foreground))]">Format</dt>
+                                    <dd className="font-medium">{book.format || '—'}</dd>
+                                </div>
+                                <div className="col-span-2">
+                                    <dt className="text-[hsl(var(--muted-foreground))]">Description</dt>
+                                    <dd className="whitespace-pre-line">{book.description}</dd>
+                                </div>
+                            </dl>
+                        </div>
+                    )}
+                </div>
+            ) : (
+                <BookHistory bookId={id} />
+            )}
+        </div>
+    );
+}
+
+function BookHistory({ bookId }: { bookId: string }) {
+    const queryClient = useQueryClient();
+    const [page, setPage] = useState(1);
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ['admin-book-history', bookId, page],
+        queryFn: () => booksApi.getHistory(bookId, page),
+    });
+
+    const versions = data?.data || [];
+    const pagination = data?.pagination;
+    const latest = page === 1 ? versions[0]?.version : undefined;
+
+    const revertMutation = useMutation({
+        mutationFn: (version: number) => booksApi.revert(bookId, version),
+        onSuccess: () => {
+            setPage(1);
+            queryClient.invalidateQueries({ queryKey: ['admin-book', bookId] });
+            queryClient.invalidateQueries({ queryKey: ['admin-book-history', bookId] });
+            queryClient.invalidateQueries({ queryKey: ['admin-books'] });
+        },
+    });
+
+    const handleRevert = (version: number) => {
+        if (window.confirm(`Put this book's fields back as they were in version ${version}? Stock and images are not changed.`)) {
+            revertMutation.mutate(version);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="p-8 text-center">
+                <div className="h-8 w-8 mx-auto animate-spin rounded-full border-4 border-[hsl(var(--primary))] border-t-transparent" />
+                <p className="mt-2 text-[hsl(var(--muted-foreground))]">Loading history...</p>
+            </div>
+        );
+    }
+
+    if (isError) {
+        return <p className="p-8 text-center text-red-500">Failed to load the history.</p>;
+    }
+
+    if (versions.length === 0) {
+        return (
+            <div className="p-8 text-center">
+                <History className="h-12 w-12 mx-auto text-[hsl(var(--muted-foreground))]" />
+                <p className="mt-2 text-[hsl(var(--muted-foreground))]">No changes recorded yet</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {revertMutation.isError && (
+                <p className="rounded-lg bg-red-100 px-4 py-2 text-sm text-red-800 dark:bg-red-900/30 dark:text-red-400">
+                    Revert failed. A deleted book has to be restored from the Trash before it can be reverted.
+                </p>
+            )}
+
+            {versions.map((version) => (
+                <div key={version._id} className="rounded-xl border bg-[hsl(var(--card))] shadow-sm">
+                    <div className="flex flex-wrap items-center justify-between gap-2 border-b px-4 py-3">
+                        <div className="flex items-center gap-3">
+                            <span className="font-mono text-sm font-medium">v{version.version}</span>
+                            <span className={cn('rounded-full px-2 py-0.5 text-xs font-medium', ACTION_STYLES[version.action])}>
+                                {version.action}
+                                {version.revertOf !== null && ` to v${version.revertOf}`}
+                            </span>
+                            <span className="text-sm">{version.actorName}</span>
+                            <span className="text-sm text-[hsl(var(--muted-foreground))]">
+                                {formatDateTime(version.createdAt)}
+                            </span>
+                        </div>
+                        {version.version !== latest && (
+                            <button
+                                onClick={() => handleRevert(version.version)}
+                                disabled={revertMutation.isPending}
+                                className="inline-flex items-center gap-1.5 rounded-lg border px-3 py-1.5 text-xs font-medium hover:bg-[hsl(var(--accent))] disabled:opacity-50"
+                            >
+                                <RotateCcw className="h-3 w-3" />
+                                Revert to this version
+                            </button>
+                        )}
+                    </div>
+                    {version.changes.length > 0 ? (
+                        <table className="w-full text-sm">
+                            <tbody className="divide-y">
+                                {version.changes.map((change) => (
+                                    <tr key={change.path}>
+                                        <td className="px-4 py-2 font-mono text-xs text-[hsl(var(--muted-foreground))]">
+                                            {change.path}
+                                        </td>
+                                        <td className="px-4 py-2 text-red-600 dark:text-red-400 line-through">
+                                            {formatValue(change.from)}
+                                        </td>
+                                        <td className="px-4 py-2 text-green-700 dark:text-green-400">
+                                            {formatValue(change.to)}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    ) : (
+                        <p className="px-4 py-2 text-sm text-[hsl(var(--muted-foreground))]">No field changes</p>
+                    )}
+                </div>
+            ))}
+
+            {/* Pagination */}
+            {pagination && pagination.pages > 1 && (
+                <div className="flex items-center justify-end gap-2">
+                    <button
+                        onClick={() => setPage(p => Math.max(1, p - 1))}
+                        disabled={page === 1}
+                        className={cn(
+                            'p-2 rounded-lg border transition-colors',
+                            page === 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[hsl(var(--accent))]'
+                        )}
+                    >
+                        <ChevronLeft className="h-4 w-4" />
+                    </button>
+                    <span className="text-sm font-medium">
+                        Page {page} of {pagination.pages}
+                    </span>
+                    <button
+                        onClick={() => setPage(p => Math.min(pagination.pages, p + 1))}
+                        disabled={page === pagination.pages}
+                        className={cn(
+                            'p-2 rounded-lg border transition-colors',
+                            page === pagination.pages ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[hsl(var(--accent))]'
+                        )}
+                    >
+                        <ChevronRight className="h-4 w-4" />
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
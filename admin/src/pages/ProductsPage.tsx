@@ -85,7 +85,7 @@ export function ProductsPage() {
     });
 
     const handleDelete = async (id: string, title: string) => {
-        if (window.confirm(`Are you sure you want to delete "${title}"? This action cannot be undone.`)) {
+        if (window.confirm(`Are you sure you want to delete "${title}"? It can be restored from the Trash.`)) {
             deleteMutation.mutate(id);
         }
     };
@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import { Download, PackageCheck, ChevronLeft, ChevronRight } from 'lucide-react';
+import { cn, formatNumber } from '@/lib/utils';
+import { replenishmentApi } from '@/services/api';
+import type { ReplenishmentStatus } from '@/types';
+
+const STATUS_CONFIG: Record<ReplenishmentStatus, { label: string; className: string }> = {
+    out_of_stock: {
+        label: 'Out of stock',
+        className: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+    },
+    critical: {
+        label: 'Critical',
+        className: 'bg-orange-100 text-orange-800 dark:bg-orange-900/30 dark:text-orange-400',
+    },
+    reorder: {
+        label: 'Reorder',
+        className: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+    },
+};
+
+export function ReplenishmentPage() {
+    const navigate = useNavigate();
+
+    const [status, setStatus] = useState<ReplenishmentStatus | ''>('');
+    const [page, setPage] = useState(1);
+    const [limit] = useState(50);
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ['admin-replenishment', { status, page, limit }],
+        queryFn: () => replenishmentApi.getPlan({ status: status || undefined, page, limit }),
+    });
+
+    const exportMutation = useMutation({
+        mutationFn: () => replenishmentApi.exportCsv({ status: status || undefined }),
+    });
+
+    const suggestions = data?.data.suggestions || [];
+    const counts = data?.data.counts;
+    const settings = data?.data.settings;
+    const pagination = data?.pagination;
+
+    const filterBy = (value: ReplenishmentStatus | '') => {
+        setStatus(value);
+        setPage(1);
+    };
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            {/* Header */}
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+                <div>
+                    <h1 className="text-2xl font-bold tracking-tight">Replenishment</h1>
+                    <p className="text-[hsl(var(--muted-foreground))]">
+                        {settings
+                            ? `Reorder suggestions from the last ${settings.windowDays} days of sales. Orders cover the lead time plus ${settings.coverDays} days.`
+                            : 'Reorder suggestions from each product\'s rate of sale.'}
+                    </p>
+                </div>
+                <button
+                    onClick={() => exportMutation.mutate()}
+                    disabled={exportMutation.isPending || suggestions.length === 0}
+                    className="flex items-center gap-2 rounded-lg border px-4 py-2 text-sm font-medium hover:bg-[hsl(var(--accent))] disabled:opacity-50"
+                >
+                    <Download className="h-4 w-4" />
+                    {exportMutation.isPending ? 'Exporting...' : 'Export CSV'}
+                </button>
+            </div>
+
+            {exportMutation.isError && (
+                <p className="rounded-lg bg-red-100 px-4 py-2 text-sm text-red-800 dark:bg-red-900/30 dark:text-red-400">
+                    Export failed. Refresh and try again.
+                </p>
+            )}
+
+            {/* Status filter */}
+            <div className="flex flex-wrap gap-2">
+                <button
+                    onClick={() => filterBy('')}
+                    className={cn(
+                        'rounded-lg border px-3 py-1.5 text-sm transition-colors',
+                        status === '' ? 'bg-[hsl(var(--primary))] text-[hsl(var(--primary-foreground))]' : 'hover:bg-[hsl(var(--accent))]'
+                    )}
+                >
+                    All
+                </button>
+                {(Object.keys(STATUS_CONFIG) as ReplenishmentStatus[]).map((key) => (
+                    <button
+                        key={key}
+                        onClick={() => filterBy(key)}
+                        className={cn(
+                            'rounded-lg border px-3 py-1.5 text-sm transition-colors',
+                            status === key ? 'bg-[hsl(var(--primary))] text-[hsl(var(--primary-foreground))]' : 'hover:bg-[hsl(var(--accent))]'
+                        )}
+                    >
+                        {STATUS_CONFIG[key].label}
+                        {counts && <span className="ml-1.5 opacity-70">{counts[key]}</span>}
+                    </button>
+                ))}
+            </div>
+
+            {/* Table */}
+            <div className="rounded-xl border bg-[hsl(var(--card))] shadow-sm overflow-hidden">
+                {isLoading ? (
+                    <div className="p-8 text-center">
+                        <div className="h-8 w-8 mx-auto animate-spin rounded-full border-4 border-[hsl(var(--primary))] border-t-transparent" />
+                        <p className="mt-2 text-[hsl(var(--muted-foreground))]">Working out reorders...</p>
+                    </div>
+                ) : isError ? (
+                    <div className="p-8 text-center">
+                        <p className="text-red-500">Failed to load reorder suggestions</p>
+                    </div>
+                ) : suggestions.length === 0 ? (
+                    <div className="p-8 text-center">
+                        <PackageCheck className="h-12 w-12 mx-auto text-[hsl(var(--muted-foreground))]" />
+                        <p className="mt-2 text-[hsl(var(--muted-foreground))]">Nothing needs reordering</p>
+                    </div>
+                ) : (
+                    <>
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="border-b bg-[hsl(var(--muted))/50]">
+                                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">Product</th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">Status</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Stock</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Per Day</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Days Left</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Lead Time</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">Reorder</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y">
+                                    {suggestions.map((row) => (
+                                        <tr
+                                            key={row.book}
+                                            onClick={() => navigate(`/products/${row.book}`)}
+                                            className="cursor-pointer hover:bg-[hsl(var(--accent))/50] transition-colors"
+                                        >
+                                            <td className="px-4 py-3">
+                                                <p className="font-medium truncate max-w-[280px]">{row.title}</p>
+                                                <p className="text-sm text-[hsl(var(--muted-foreground))] truncate max-w-[280px]">
+                                                    {row.author} · {row.category}
+                                                </p>
+                                            </td>
+                                            <td className="px-4 py-3">
+                                                <span
+                                                    className={cn(
+                                                        'inline-flex rounded-full px-2 py-0.5 text-xs font-medium',
+                                                        STATUS_CONFIG[row.status].className
+                                                    )}
+                                                >
+                                                    {STATUS_CONFIG[row.status].label}
+                                                </span>
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-sm">{row.stock}</td>
+                                            <td className="px-4 py-3 text-right text-sm" title={`${row.unitsSold} sold`}>
+                                                {row.velocity}
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-sm">{row.daysOfCover}</td>
+                                            <td className="px-4 py-3 text-right text-sm text-[hsl(var(--muted-foreground))]">
+                                                {row.leadTimeDays} days
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-sm font-semibold">
+                                                {formatNumber(row.suggestedQuantity)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Pagination */}
+                        {pagination && pagination.pages > 1 && (
+                            <div className="flex items-center justify-between border-t px-4 py-3">
+                                <p className="text-sm text-[hsl(var(--muted-foreground))]">
+                                    Showing {(page - 1) * limit + 1} to {Math.min(page * limit, pagination.total)} of {pagination.total}
+                                </p>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => setPage(p => Math.max(1, p - 1))}
+                                        disabled={page === 1}
+                                        className={cn(
+                                            'p-2 rounded-lg border transition-colors',
+                                            page === 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[hsl(var(--accent))]'
+                                        )}
+                                    >
+                                        <ChevronLeft className="h-4 w-4" />
+                                    </button>
+                                    <span className="text-sm font-medium">
+                                        Page {page} of {pagination.pages}
+                                    </span>
+                                    <button
+                                        onClick={() => setPage(p => Math.min(pagination.pages, p + 1))}
+                                        disabled={page === pagination.pages}
+                                        className={cn(
+                                            'p-2 rounded-lg border transition-colors',
+                                            page === pagination.pages ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[hsl(var(--accent))]'
+                                        )}
+                                    >
+                                        <ChevronRight className="h-4 w-4" />
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,251 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useNavigate } from 'react-router-dom';
+import {
+    Search,
+    Trash2,
+    RotateCcw,
+    History,
+    ChevronLeft,
+    ChevronRight,
+} from 'lucide-react';
+import { cn, formatDateTime } from '@/lib/utils';
+import { trashApi } from '@/services/api';
+
+export function TrashPage() {
+    const navigate = useNavigate();
+    const queryClient = useQueryClient();
+
+    const [search, setSearch] = useState('');
+    const [debouncedSearch, setDebouncedSearch] = useState('');
+    const [page, setPage] = useState(1);
+    const [limit] = useState(20);
+
+    // Debounce search input
+    const handleSearchChange = (value: string) => {
+        setSearch(value);
+        const timeout = setTimeout(() => {
+            setDebouncedSearch(value);
+            setPage(1);
+        }, 300);
+        return () => clearTimeout(timeout);
+    };
+
+    const { data, isLoading, isError } = useQuery({
+        queryKey: ['admin-trash', { search: debouncedSearch, page, limit }],
+        queryFn: () => trashApi.getBooks({ search: debouncedSearch, page, limit }),
+    });
+
+    const books = data?.data || [];
+    const pagination = data?.pagination;
+
+    const refresh = () => {
+        queryClient.invalidateQueries({ queryKey: ['admin-trash'] });
+        queryClient.invalidateQueries({ queryKey: ['admin-books'] });
+    };
+
+    const restoreMutation = useMutation({
+        mutationFn: (id: string) => trashApi.restore(id),
+        onSuccess: refresh,
+    });
+
+    const purgeMutation = useMutation({
+        mutationFn: (id: string) => trashApi.purge(id),
+        onSuccess: refresh,
+    });
+
+    const handlePurge = (id: string, title: string) => {
+        if (window.confirm(`Permanently delete "${title}"? Its images and history go with it. This action cannot be undone.`)) {
+            purgeMutation.mutate(id);
+        }
+    };
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            {/* Header */}
+            <div>
+                <h1 className="text-2xl font-bold tracking-tight">Trash</h1>
+                <p className="text-[hsl(var(--muted-foreground))]">
+                    Deleted products ({pagination?.total || 0}). Restore them, or delete them for good.
+                </p>
+            </div>
+
+            {/* Search */}
+            <div className="rounded-xl border bg-[hsl(var(--card))] p-4 shadow-sm">
+                <div className="relative">
+                    <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-[hsl(var(--muted-foreground))]" />
+                    <input
+                        type="text"
+                        placeholder="Search by title, author, ISBN..."
+                        value={search}
+                        onChange={(e) => handleSearchChange(e.target.value)}
+                        className={cn(
+                            'w-full rounded-lg border bg-transparent pl-10 pr-4 py-2 text-sm',
+                            'focus:outline-none focus:ring-2 focus:ring-[hsl(var(--ring))]'
+                        )}
+                    />
+                </div>
+            </div>
+
+            {(restoreMutation.isError || purgeMutation.isError) && (
+                <p className="rounded-lg bg-red-100 px-4 py-2 text-sm text-red-800 dark:bg-red-900/30 dark:text-red-400">
+                    {restoreMutation.isError ? 'Restore failed.' : 'Delete failed.'} Refresh and try again.
+                </p>
+            )}
+
+            {/* Table */}
+            <div className="rounded-xl border bg-[hsl(var(--card))] shadow-sm overflow-hidden">
+                {isLoading ? (
+                    <div className="p-8 text-center">
+                        <div className="h-8 w-8 mx-auto animate-spin rounded-full border-4 border-[hsl(var(--primary))] border-t-transparent" />
+                        <p className="mt-2 text-[hsl(var(--muted-foreground))]">Loading trash...</p>
+                    </div>
+                ) : isError ? (
+                    <div className="p-8 text-center">
+                        <p className="text-red-500">Failed to load the trash</p>
+                    </div>
+                ) : books.length === 0 ? (
+                    <div className="p-8 text-center">
+                        <Trash2 className="h-12 w-12 mx-auto text-[hsl(var(--muted-foreground))]" />
+                        <p className="mt-2 text-[hsl(var(--muted-foreground))]">The trash is empty</p>
+                    </div>
+                ) : (
+                    <>
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="border-b bg-[hsl(var(--muted))/50]">
+                                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Product
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Deleted By
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Deleted
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium uppercase tracking-wider">
+                                            Purged
+                                        </th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y">
+                                    {books.map((book) => (
+                                        <tr
+                                            key={book._id}
+                                            className="hover:bg-[hsl(var(--accent))/50] transition-colors"
+                                        >
+                                            <td className="px-4 py-3">
+                                                <div className="flex items-center gap-3">
+                                                    <div className="h-12 w-10 flex-shrink-0 overflow-hidden rounded bg-[hsl(var(--muted))]">
+                                                        {book.image ? (
+                                                            <img
+                                                                src={book.image}
+                                                                alt={book.title.display}
+                                                                className="h-full w-full object-cover"
+                                                            />
+                                                        ) : (
+                                                            <div className="flex h-full w-full items-center justify-center text-xs">
+                                                                📚
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                    <div className="min-w-0">
+                                                        <p className="font-medium truncate max-w-[240px]">{book.title.display}</p>
+                                                        <p className="text-sm text-[hsl(var(--muted-foreground))] truncate max-w-[240px]">
+                                                            by {book.author}{book.isbn && ` · ${book.isbn}`}
+                                                        </p>
+                                                    </div>
+                                                </div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm">
+                                                {book.deletedBy ? (
+                                                    <div>
+                                                        <p className="font-medium">{book.deletedBy.name}</p>
+                                                        <p className="text-[hsl(var(--muted-foreground))]">{book.deletedBy.email}</p>
+                                                    </div>
+                                                ) : (
+                                                    <span className="text-[hsl(var(--muted-foreground))]">Unknown</span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-[hsl(var(--muted-foreground))]">
+                                                {formatDateTime(book.deletedAt)}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-[hsl(var(--muted-foreground))]">
+                                                {book.purgeAt ? formatDateTime(book.purgeAt) : 'Never'}
+                                            </td>
+                                            <td className="px-4 py-3">
+                                                <div className="flex items-center justify-end gap-1">
+                                                    <button
+                                                        onClick={() => navigate(`/products/${book._id}`)}
+                                                        className="p-2 rounded-lg hover:bg-[hsl(var(--accent))]"
+                                                        title="History"
+                                                    >
+                                                        <History className="h-4 w-4 text-[hsl(var(--muted-foreground))]" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => restoreMutation.mutate(book._id)}
+                                                        className="p-2 rounded-lg hover:bg-[hsl(var(--accent))]"
+                                                        title="Restore"
+                                                        disabled={restoreMutation.isPending}
+                                                    >
+                                                        <RotateCcw className="h-4 w-4 text-green-600" />
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handlePurge(book._id, book.title.display)}
+                                                        className="p-2 rounded-lg hover:bg-red-100 dark:hover:bg-red-900/30"
+                                                        title="Delete permanently"
+                                                        disabled={purgeMutation.isPending}
+                                                    >
+                                                        <Trash2 className="h-4 w-4 text-red-500" />
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {/* Pagination */}
+                        {pagination && pagination.pages > 1 && (
+                            <div className="flex items-center justify-between border-t px-4 py-3">
+                                <p className="text-sm text-[hsl(var(--muted-foreground))]">
+                                    Showing {(page - 1) * limit + 1} to {Math.min(page * limit, pagination.total)} of {pagination.total}
+                                </p>
+                                <div className="flex items-center gap-2">
+                                    <button
+                                        onClick={() => setPage(p => Math.max(1, p - 1))}
+                                        disabled={page === 1}
+                                        className={cn(
+                                            'p-2 rounded-lg border transition-colors',
+                                            page === 1 ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[hsl(var(--accent))]'
+                                        )}
+                                    >
+                                        <ChevronLeft className="h-4 w-4" />
+                                    </button>
+                                    <span className="text-sm font-medium">
+                                        Page {page} of {pagination.pages}
+                                    </span>
+                                    <button
+                                        onClick={() => setPage(p => Math.min(pagination.pages, p + 1))}
+                                        disabled={page === pagination.pages}
+                                        className={cn(
+                                            'p-2 rounded-lg border transition-colors',
+                                            page === pagination.pages ? 'opacity-50 cursor-not-allowed' : 'hover:bg-[hsl(var(--accent))]'
+                                        )}
+                                    >
+                                        <ChevronRight className="h-4 w-4" />
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
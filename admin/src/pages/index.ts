@@ -1,4 +1,8 @@
 export { DashboardPage } from './DashboardPage';
 export { LoginPage } from './LoginPage';
 export { ProductsPage } from './ProductsPage';
+export { ProductDetailPage } from './ProductDetailPage';
 export { OrdersPage } from './OrdersPage';
+export { TrashPage } from './TrashPage';
+export { InventoryPage } from './InventoryPage';
+export { ReplenishmentPage } from './ReplenishmentPage';
@@ -5,6 +5,14 @@ import type {
     LoginResponse,
     User,
     Book,
+    BookImage,
+    BookVersion,
+    DeletedBook,
+    InventorySummary,
+    ReplenishmentPlan,
+    StockLedgerBook,
+    StockReconciliation,
+    StockMovement,
     Order,
     DashboardStats,
     TableFilter
@@ -89,8 +97,8 @@ export const booksApi = {
     },
 
     getById: async (id: string): Promise<Book> => {
-        const { data } = await api.get<ApiResponse<{ book: Book }>>(`/books/${id}`);
-        return data.data.book;
+        const { data } = await api.get<ApiResponse<Book>>(`/books/${id}`);
+        return data.data;
     },
 
     create: async (book: Partial<Book>): Promise<Book> => {
@@ -98,7 +106,9 @@ export const booksApi = {
         return data.data.book;
     },
 
-    update: async (id: string, book: Partial<Book>): Promise<Book> => {
+    // Send the stock the form was loaded with as expectedStock along with a new stock:
+    // a sale made meanwhile is then a 409 instead of being overwritten
+    update: async (id: string, book: Partial<Book> & { expectedStock?: number }): Promise<Book> => {
         const { data } = await api.put<ApiResponse<{ book: Book }>>(`/books/${id}`, book);
         return data.data.book;
     },
@@ -106,6 +116,142 @@ export const booksApi = {
     delete: async (id: string): Promise<void> => {
         await api.delete(`/books/${id}`);
     },
+
+    getHistory: async (id: string, page = 1) => {
+        const { data } = await api.get<ApiResponse<BookVersion[]>>(`/books/${id}/history?page=${page}`);
+        return data;
+    },
+
+    revert: async (id: string, version: number): Promise<Book> => {
+        const { data } = await api.post<ApiResponse<Book>>(`/books/${id}/history/${version}/revert`);
+        return data.data;
+    },
+
+    // The image is sent as the raw request body, not multipart
+    uploadImage: async (id: string, file: File, options?: { alt?: string; position?: number }): Promise<BookImage[]> => {
+        const params = new URLSearchParams();
+        if (options?.alt) params.append('alt', options.alt);
+        if (options?.position !== undefined) params.append('position', options.position.toString());
+
+        const { data } = await api.post<ApiResponse<BookImage[]>>(`/books/${id}/images?${params}`, file, {
+            headers: { 'Content-Type': file.type },
+        });
+        return data.data;
+    },
+
+    reorderImages: async (id: string, order: string[]): Promise<BookImage[]> => {
+        const { data } = await api.put<ApiResponse<BookImage[]>>(`/books/${id}/images/order`, { order });
+        return data.data;
+    },
+
+    updateImage: async (id: string, imageId: string, alt: string): Promise<BookImage[]> => {
+        const { data } = await api.patch<ApiResponse<BookImage[]>>(`/books/${id}/images/${imageId}`, { alt });
+        return data.data;
+    },
+
+    deleteImage: async (id: string, imageId: string): Promise<BookImage[]> => {
+        const { data } = await api.delete<ApiResponse<BookImage[]>>(`/books/${id}/images/${imageId}`);
+        return data.data;
+    },
+};
+
+// Trash API (deleted books)
+export const trashApi = {
+    getBooks: async (filters?: TableFilter) => {
+        const params = new URLSearchParams();
+        if (filters?.search) params.append('search', filters.search);
+        if (filters?.page) params.append('page', filters.page.toString());
+        if (filters?.limit) params.append('limit', filters.limit.toString());
+
+        const { data } = await api.get<ApiResponse<DeletedBook[]>>(`/admin/trash/books?${params}`);
+        return data;
+    },
+
+    restore: async (id: string): Promise<Book> => {
+        const { data } = await api.post<ApiResponse<Book>>(`/admin/trash/books/${id}/restore`);
+        return data.data;
+    },
+
+    purge: async (id: string): Promise<void> => {
+        await api.delete(`/admin/trash/books/${id}`);
+    },
+};
+
+// Inventory API (stock ledger)
+type StockChange = { book: Book; movement: StockMovement | null };
+
+export const inventoryApi = {
+    getSummary: async (days = 30): Promise<InventorySummary> => {
+        const { data } = await api.get<ApiResponse<InventorySummary>>(`/admin/inventory?days=${days}`);
+        return data.data;
+    },
+
+    // Checks every book, so it's fetched on its own rather than with the summary
+    getReconciliation: async (limit = 10) => {
+        const { data } = await api.get<ApiResponse<StockReconciliation>>(`/admin/inventory/reconciliation?limit=${limit}`);
+        return data;
+    },
+
+    getMovements: async (id: string, filters?: { reason?: string; page?: number; limit?: number }) => {
+        const params = new URLSearchParams();
+        if (filters?.reason) params.append('reason', filters.reason);
+        if (filters?.page) params.append('page', filters.page.toString());
+        if (filters?.limit) params.append('limit', filters.limit.toString());
+
+        const { data } = await api.get<ApiResponse<{ book: StockLedgerBook; movements: StockMovement[] }>>(
+            `/admin/inventory/books/${id}/movements?${params}`
+        );
+        return data;
+    },
+
+    receive: async (id: string, quantity: number, note?: string): Promise<StockChange> => {
+        const { data } = await api.post<ApiResponse<StockChange>>(`/admin/inventory/books/${id}/receive`, { quantity, note });
+        return data.data;
+    },
+
+    writeOff: async (id: string, quantity: number, note?: string): Promise<StockChange> => {
+        const { data } = await api.post<ApiResponse<StockChange>>(`/admin/inventory/books/${id}/damage`, { quantity, note });
+        return data.data;
+    },
+
+    // expected is the stock shown when counting started; a sale since then fails with 409
+    count: async (id: string, counted: number, expected: number, note?: string): Promise<StockChange> => {
+        const { data } = await api.post<ApiResponse<StockChange>>(`/admin/inventory/books/${id}/count`, {
+            counted,
+            expected,
+            note,
+        });
+        return data.data;
+    },
+};
+
+// Replenishment API (reorder suggestions)
+export const replenishmentApi = {
+    getPlan: async (filters?: { status?: string; category?: string; page?: number; limit?: number }) => {
+        const params = new URLSearchParams();
+        if (filters?.status) params.append('status', filters.status);
+        if (filters?.category) params.append('category', filters.category);
+        if (filters?.page) params.append('page', filters.page.toString());
+        if (filters?.limit) params.append('limit', filters.limit.toString());
+
+        const { data } = await api.get<ApiResponse<ReplenishmentPlan>>(`/admin/replenishment?${params}`);
+        return data;
+    },
+
+    // Fetched with the auth header, then handed to the browser as a download
+    exportCsv: async (filters?: { status?: string; category?: string }): Promise<void> => {
+        const params = new URLSearchParams();
+        if (filters?.status) params.append('status', filters.status);
+        if (filters?.category) params.append('category', filters.category);
+
+        const { data } = await api.get<Blob>(`/admin/replenishment/export?${params}`, { responseType: 'blob' });
+        const url = URL.createObjectURL(data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `reorder-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    },
 };
 
 // Orders API
@@ -17,6 +17,17 @@ export interface User {
 }
 
 // Book types
+export interface BookImage {
+    _id: string;
+    key: string;
+    thumb: string;
+    medium: string;
+    large: string;
+    width?: number;
+    height?: number;
+    alt?: string;
+}
+
 export interface Book {
     _id: string;
     title: string;
@@ -31,7 +42,7 @@ export interface Book {
     pages?: number;
     language?: string;
     coverImage?: string;
-    images?: string[];
+    images?: BookImage[];
     stock: number;
     rating?: number;
     numReviews?: number;
@@ -42,9 +53,146 @@ export interface Book {
     updatedAt: string;
 }
 
+// One entry of a book's change history
+export interface BookChange {
+    path: string;
+    from: unknown;
+    to: unknown;
+}
+
+export interface BookVersion {
+    _id: string;
+    book: string;
+    version: number;
+    action: 'create' | 'update' | 'delete' | 'restore' | 'revert';
+    actor: string | null;
+    actorName: string;
+    changes: BookChange[];
+    revertOf: number | null;
+    createdAt: string;
+}
+
+// A book in the trash (GET /admin/trash/books)
+export interface DeletedBook {
+    _id: string;
+    title: { display: string };
+    author: string;
+    isbn?: string;
+    image?: string;
+    category: string;
+    deletedAt: string;
+    deletedBy: { _id: string; name: string; email: string } | null;
+    purgeAt: string | null;
+}
+
+// One entry of the stock ledger (GET /admin/inventory/books/:id/movements)
+export type StockMovementReason = 'opening' | 'sale' | 'cancellation' | 'restock' | 'damage' | 'adjustment';
+
+export interface StockMovement {
+    _id: string;
+    book: string;
+    reason: StockMovementReason;
+    change: number;
+    stockAfter: number;
+    actor: string | null;
+    actorName: string;
+    order: { _id: string; status: string; customerName: string } | null;
+    note?: string;
+    createdAt: string;
+}
+
+// The book a ledger belongs to
+export interface StockLedgerBook {
+    _id: string;
+    title: { display: string };
+    author: string;
+    isbn?: string;
+    stock: number;
+    isDeleted?: boolean;
+}
+
+export interface StockMovementTotals {
+    in: number;
+    out: number;
+    net: number;
+    byReason: Partial<Record<StockMovementReason, number>>;
+}
+
+// A book whose stock doesn't add up to its ledger
+export interface StockMismatch {
+    book: string;
+    title: string;
+    isbn?: string;
+    stock: number;
+    ledger: number;
+    difference: number;
+    lastMovementAt: string | null;
+}
+
+// GET /admin/inventory/reconciliation
+export interface StockReconciliation {
+    checkedAt: string;
+    books: number;
+    inSync: number;
+    mismatched: number;
+    stockUnits: number;
+    ledgerUnits: number;
+    mismatches: StockMismatch[];
+}
+
+// A reorder suggestion (GET /admin/replenishment)
+export type ReplenishmentStatus = 'out_of_stock' | 'critical' | 'reorder';
+
+export interface ReorderSuggestion {
+    book: string;
+    title: string;
+    author: string;
+    isbn?: string;
+    category: string;
+    stock: number;
+    unitPrice?: number;
+    unitsSold: number;
+    velocity: number;
+    daysOfCover: number;
+    leadTimeDays: number;
+    reorderPoint: number;
+    suggestedQuantity: number;
+    status: ReplenishmentStatus;
+}
+
+export interface ReplenishmentPlan {
+    suggestions: ReorderSuggestion[];
+    counts: Record<ReplenishmentStatus, number>;
+    settings: { windowDays: number; leadTimeDays: number; safetyDays: number; coverDays: number };
+}
+
+export interface InventorySummary {
+    totalBooks: number;
+    outOfStock: number;
+    lowStock: number;
+    totalUnits: number;
+    totalValue: number;
+    categoryBreakdown: Array<{ _id: string; count: number; totalStock: number; avgPrice: number }>;
+    // From the nightly low-stock job; null until it has run
+    reorder: (Record<ReplenishmentStatus, number> & { countedAt: string }) | null;
+    movements: {
+        since: string;
+        totals: StockMovementTotals;
+        daily: Array<StockMovementTotals & { date: string }>;
+    };
+}
+
 // Order types
 export type OrderStatus = 'pending' | 'processing' | 'shipped' | 'delivered' | 'cancelled';
 
+export interface OrderStatusEvent {
+    status: string;
+    changedAt: string;
+    changedBy?: string | null;
+    actorRole: 'customer' | 'admin' | 'system';
+    note?: string;
+}
+
 export interface OrderItem {
     book: string | Book;
     title: string;
@@ -82,6 +230,7 @@ export interface Order {
     isPaid: boolean;
     paidAt?: string;
     status: OrderStatus;
+    statusHistory?: OrderStatusEvent[];
     deliveredAt?: string;
     trackingNumber?: string;
     notes?: string;
@@ -0,0 +1,68 @@
+// scripts/migrate-authors.js
+/**
+ * Authors Migration
+ *
+ * Creates Author profiles from the author names on books and links every book
+ * to its authors (Book.authorIds). Names are matched by sound, so Odia and
+ * English spellings of one writer ("ଫକୀରମୋହନ ସେନାପତି", "Fakir Mohan Senapati",
+ * "F. M. Senapati") end up on one author. The bundled profiles in
+ * src/seed/authors.json are created or filled in first.
+ *
+ * Safe to run again: only books without authors are linked unless --all is given.
+ *
+ * Run with: node scripts/migrate-authors.js [--dry-run] [--all]
+ */
+import mongoose from 'mongoose';
+import { readFile } from 'fs/promises';
+import { linkBookAuthors } from '../src/services/authorService.js';
+import { config } from '../src/config/env.js';
+
+const PROFILES_FILE = new URL('../src/seed/authors.json', import.meta.url);
+
+const migrate = async () => {
+    const args = process.argv.slice(2);
+    const isDryRun = args.includes('--dry-run');
+    const all = args.includes('--all');
+
+    console.log('═'.repeat(60));
+    console.log(`✍️  AUTHORS MIGRATION${isDryRun ? ' (DRY RUN)' : ''}`);
+    console.log('═'.repeat(60));
+
+    try {
+        await mongoose.connect(config.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const profiles = JSON.parse(await readFile(PROFILES_FILE, 'utf8'));
+        const report = await linkBookAuthors({ dryRun: isDryRun, all, profiles });
+
+        console.log('\n📊 MIGRATION SUMMARY');
+        console.log(`📚 Author names on books: ${report.credits}`);
+        console.log(`🔗 Books linked: ${report.booksLinked}`);
+        console.log(`🆕 Authors created: ${report.authorsCreated.length}`);
+        report.authorsCreated.forEach((name) => console.log(`   + ${name}`));
+        console.log(`✏️  Authors given new names or details: ${report.authorsUpdated}`);
+
+        if (report.ambiguous.length > 0) {
+            console.log(`\n⚠️  Left unlinked (fits several authors): ${report.ambiguous.length}`);
+            report.ambiguous.forEach(({ credit, name, candidates }) => {
+                console.log(`   "${name}" in "${credit}": ${candidates.join(', ')}`);
+            });
+            console.log('   Add the spelling as an alias of the right author and run again.');
+        }
+
+        if (isDryRun) {
+            console.log('\n🔍 DRY RUN COMPLETE - No changes were made to the database');
+            console.log('   Run without --dry-run flag to execute migration');
+        } else {
+            console.log('\n✅ MIGRATION COMPLETE!');
+        }
+    } catch (error) {
+        console.error('\n💥 MIGRATION FATAL ERROR:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('\n🔌 Disconnected from database');
+    }
+};
+
+migrate();
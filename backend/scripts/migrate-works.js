@@ -0,0 +1,54 @@
+// scripts/migrate-works.js
+/**
+ * Works Migration
+ *
+ * Groups books that are editions of one title (a paperback and a hardcover,
+ * the 2019 and the revised 2024 textbook) into a Work, so the store lists
+ * them as one book with an edition picker. Books are grouped when their
+ * titles sound the same, ignoring notes in brackets like "(2nd Edition)",
+ * and they have the same authors. Run migrate:authors first: linked authors
+ * match more reliably than the author names on the cover.
+ *
+ * Safe to run again: books that already belong to a work are left alone.
+ * Series and formats are set by hand afterwards (PUT /api/works/:id).
+ *
+ * Run with: node scripts/migrate-works.js [--dry-run]
+ */
+import mongoose from 'mongoose';
+import { groupEditions } from '../src/services/workService.js';
+import { config } from '../src/config/env.js';
+
+const migrate = async () => {
+    const isDryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log('═'.repeat(60));
+    console.log(`📚 WORKS MIGRATION${isDryRun ? ' (DRY RUN)' : ''}`);
+    console.log('═'.repeat(60));
+
+    try {
+        await mongoose.connect(config.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const report = await groupEditions({ dryRun: isDryRun });
+
+        console.log('\n📊 MIGRATION SUMMARY');
+        console.log(`🆕 Works created: ${report.works.length}`);
+        report.works.forEach(({ title, books }) => console.log(`   + ${title} (${books} editions)`));
+        console.log(`🔗 Books grouped: ${report.booksGrouped}`);
+
+        if (isDryRun) {
+            console.log('\n🔍 DRY RUN COMPLETE - No changes were made to the database');
+            console.log('   Run without --dry-run flag to execute migration');
+        } else {
+            console.log('\n✅ MIGRATION COMPLETE!');
+        }
+    } catch (error) {
+        console.error('\n💥 MIGRATION FATAL ERROR:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('\n🔌 Disconnected from database');
+    }
+};
+
+migrate();
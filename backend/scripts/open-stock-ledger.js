@@ -0,0 +1,50 @@
+// scripts/open-stock-ledger.js
+/**
+ * Open the Stock Ledger
+ *
+ * Every stock change is recorded in the stock ledger (StockMovement) since it
+ * was added, and the inventory reconciliation checks that each book's stock
+ * is the sum of its movements. Books from before then have stock but no
+ * movements; this gives each of them an opening entry for its current stock.
+ *
+ * Safe to run again: books that already have movements are left alone.
+ *
+ * Run with: node scripts/open-stock-ledger.js [--dry-run]
+ */
+import mongoose from 'mongoose';
+import { openStockLedger } from '../src/services/inventoryService.js';
+import { config } from '../src/config/env.js';
+
+const migrate = async () => {
+    const isDryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log('═'.repeat(60));
+    console.log(`📦 OPEN STOCK LEDGER${isDryRun ? ' (DRY RUN)' : ''}`);
+    console.log('═'.repeat(60));
+
+    try {
+        await mongoose.connect(config.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const report = await openStockLedger({ dryRun: isDryRun });
+
+        console.log('\n📊 SUMMARY');
+        console.log(`📚 Books opened: ${report.books}`);
+        console.log(`📦 Units on the opening entries: ${report.units}`);
+
+        if (isDryRun) {
+            console.log('\n🔍 DRY RUN COMPLETE - No changes were made to the database');
+            console.log('   Run without --dry-run flag to open the ledger');
+        } else {
+            console.log('\n✅ LEDGER OPENED!');
+        }
+    } catch (error) {
+        console.error('\n💥 FATAL ERROR:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('\n🔌 Disconnected from database');
+    }
+};
+
+migrate();
@@ -128,6 +128,11 @@ const startMaster = () => {
     cluster.on('message', (worker, message) => {
         if (message.type === 'log') {
             logger.info(`Worker ${worker.id}: ${message.data}`);
+        } else if (message.type === 'search-index') {
+            // Keep every worker's search index in step with the one that saw the write
+            Object.values(cluster.workers).forEach((other) => {
+                if (other && other.id !== worker.id) other.send(message);
+            });
         }
     });
 
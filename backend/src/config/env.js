@@ -24,6 +24,12 @@ const validateEnvVars = () => {
 // Validate on import
 validateEnvVars();
 
+/**
+ * Webhook secret used when PAYMENT_WEBHOOK_SECRET isn't set (development only; it's public)
+ * @type {string}
+ */
+export const DEV_PAYMENT_WEBHOOK_SECRET = 'dev-payment-webhook-secret';
+
 /**
  * Application configuration from environment variables
  * @type {Object}
@@ -37,6 +43,57 @@ export const config = {
   API_BASE_URL: process.env.API_BASE_URL || 'http://localhost:5000',
   CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  // Orders at or above this subtotal ship free unless a zone sets its own threshold
+  FREE_SHIPPING_THRESHOLD: parseInt(process.env.FREE_SHIPPING_THRESHOLD || '500', 10),
+  // Payment gateway adapter (see services/payments); 'mock' simulates a gateway locally
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'mock',
+  PAYMENT_WEBHOOK_SECRET: process.env.PAYMENT_WEBHOOK_SECRET || DEV_PAYMENT_WEBHOOK_SECRET,
+  // Nightly background jobs (see src/jobs); set SCHEDULED_JOBS_ENABLED=false to run them elsewhere
+  SCHEDULED_JOBS_ENABLED: process.env.SCHEDULED_JOBS_ENABLED !== 'false',
+  // Local hour (0-23) for the recommendation rebuild
+  RECOMMENDATION_JOB_HOUR: parseInt(process.env.RECOMMENDATION_JOB_HOUR || '2', 10),
+  // Deleted books are purged for good this many days after deletion; 0 keeps them
+  TRASH_RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10),
+  // Local hour (0-23) for the trash purge
+  TRASH_PURGE_JOB_HOUR: parseInt(process.env.TRASH_PURGE_JOB_HOUR || '3', 10),
+  // Local hour (0-23) for re-syncing sale campaign prices onto books
+  SALE_CAMPAIGN_JOB_HOUR: parseInt(process.env.SALE_CAMPAIGN_JOB_HOUR || '1', 10),
+  // Replenishment: sales velocity is measured over this many days of orders
+  REPLENISHMENT_SALES_WINDOW_DAYS: parseInt(
+    process.env.REPLENISHMENT_SALES_WINDOW_DAYS || '28',
+    10
+  ),
+  // Days from ordering copies to having them on the shelf, for books without their own
+  REPLENISHMENT_LEAD_TIME_DAYS: parseInt(process.env.REPLENISHMENT_LEAD_TIME_DAYS || '7', 10),
+  // Extra days of stock kept on top of the lead time before a reorder is suggested
+  REPLENISHMENT_SAFETY_DAYS: parseInt(process.env.REPLENISHMENT_SAFETY_DAYS || '7', 10),
+  // Days of sales a suggested reorder should cover once it arrives
+  REPLENISHMENT_COVER_DAYS: parseInt(process.env.REPLENISHMENT_COVER_DAYS || '30', 10),
+  // Local hour (0-23) for the low-stock alerts to admins
+  REPLENISHMENT_JOB_HOUR: parseInt(process.env.REPLENISHMENT_JOB_HOUR || '7', 10),
+  // Minutes checkout holds a customer's stock before it's released to others
+  STOCK_RESERVATION_TTL_MINUTES: parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES || '15', 10),
+  // Minutes an order placed for online payment waits for it before it's cancelled
+  // and its stock returned (0 keeps unpaid orders until they're cancelled by hand)
+  UNPAID_ORDER_TTL_MINUTES: parseInt(process.env.UNPAID_ORDER_TTL_MINUTES || '60', 10),
+  // Search index snapshot loaded on cold start (relative paths are from the working directory)
+  SEARCH_INDEX_SNAPSHOT_PATH: process.env.SEARCH_INDEX_SNAPSHOT_PATH || 'data/search-index.json',
+  // Where uploaded images are kept (see services/storage): 'local' disk, or 's3' for
+  // AWS S3 and S3-compatible stores such as MinIO
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  // Local driver: upload directory, served at /uploads (relative paths are from the working directory)
+  UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
+  // S3 driver; MinIO needs S3_ENDPOINT and S3_FORCE_PATH_STYLE=true
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_REGION: process.env.S3_REGION || 'us-east-1',
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  // Public base URL of the bucket (a CDN, or <endpoint>/<bucket> for MinIO)
+  S3_PUBLIC_URL: process.env.S3_PUBLIC_URL,
+  // Largest image an admin may upload, in bytes (default 5 MB)
+  IMAGE_MAX_BYTES: parseInt(process.env.IMAGE_MAX_BYTES || String(5 * 1024 * 1024), 10),
 };
 
 /**
@@ -52,6 +109,61 @@ export const validateConfig = () => {
     throw new Error('MONGODB_URI must be a valid MongoDB connection string');
   }
 
+  // The mock gateway marks orders paid by itself, and the default webhook secret is public
+  if (config.NODE_ENV === 'production' || config.NODE_ENV === 'prod') {
+    if (config.PAYMENT_PROVIDER === 'mock') {
+      throw new Error('PAYMENT_PROVIDER must be a real gateway in production, not mock');
+    }
+
+    if (config.PAYMENT_WEBHOOK_SECRET === DEV_PAYMENT_WEBHOOK_SECRET) {
+      throw new Error('PAYMENT_WEBHOOK_SECRET must be set to a secret of your own in production');
+    }
+  }
+
+  if (config.RECOMMENDATION_JOB_HOUR < 0 || config.RECOMMENDATION_JOB_HOUR > 23) {
+    throw new Error('RECOMMENDATION_JOB_HOUR must be between 0 and 23');
+  }
+
+  if (config.TRASH_PURGE_JOB_HOUR < 0 || config.TRASH_PURGE_JOB_HOUR > 23) {
+    throw new Error('TRASH_PURGE_JOB_HOUR must be between 0 and 23');
+  }
+
+  if (config.SALE_CAMPAIGN_JOB_HOUR < 0 || config.SALE_CAMPAIGN_JOB_HOUR > 23) {
+    throw new Error('SALE_CAMPAIGN_JOB_HOUR must be between 0 and 23');
+  }
+
+  if (config.REPLENISHMENT_JOB_HOUR < 0 || config.REPLENISHMENT_JOB_HOUR > 23) {
+    throw new Error('REPLENISHMENT_JOB_HOUR must be between 0 and 23');
+  }
+
+  if (!(config.REPLENISHMENT_SALES_WINDOW_DAYS >= 7)) {
+    throw new Error('REPLENISHMENT_SALES_WINDOW_DAYS must be 7 or more');
+  }
+
+  if (!(config.REPLENISHMENT_LEAD_TIME_DAYS >= 0) || !(config.REPLENISHMENT_SAFETY_DAYS >= 0)) {
+    throw new Error('REPLENISHMENT_LEAD_TIME_DAYS and REPLENISHMENT_SAFETY_DAYS must be 0 or more');
+  }
+
+  if (!(config.REPLENISHMENT_COVER_DAYS >= 1)) {
+    throw new Error('REPLENISHMENT_COVER_DAYS must be 1 or more');
+  }
+
+  if (!(config.STOCK_RESERVATION_TTL_MINUTES >= 1 && config.STOCK_RESERVATION_TTL_MINUTES <= 120)) {
+    throw new Error('STOCK_RESERVATION_TTL_MINUTES must be between 1 and 120');
+  }
+
+  if (!(config.UNPAID_ORDER_TTL_MINUTES >= 0)) {
+    throw new Error('UNPAID_ORDER_TTL_MINUTES must be 0 or more');
+  }
+
+  if (!(config.TRASH_RETENTION_DAYS >= 0)) {
+    throw new Error('TRASH_RETENTION_DAYS must be 0 or more');
+  }
+
+  if (config.STORAGE_DRIVER === 's3' && !config.S3_BUCKET) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER is s3');
+  }
+
   if (!config.JWT_SECRET || config.JWT_SECRET.length < 32) {
     throw new Error('JWT_SECRET must be at least 32 characters long for security');
   }
@@ -1,8 +1,16 @@
 import User from '../models/User.js';
-import Order from '../models/Order.js';
+import Order, { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS } from '../models/Order.js';
 import Book from '../models/Book.js';
 import asyncHandler from '../middleware/asyncHandler.js';
-import { NotFoundError, BadRequestError } from '../utils/errors.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../utils/errors.js';
+import { cancelOrder } from '../services/orderService.js';
+import JobRun from '../models/JobRun.js';
+import { getJobRuns } from '../jobs/scheduler.js';
+import { RECOMMENDATION_JOB, runRecommendationJob } from '../jobs/recommendationJob.js';
+import searchService from '../services/searchService.js';
+import { getStockMovementTrend } from '../services/inventoryService.js';
+import { REPLENISHMENT_JOB } from '../jobs/replenishmentJob.js';
+import logger from '../utils/logger.js';
 
 /**
  * @desc    Get dashboard statistics with real database data
@@ -394,8 +402,10 @@ export const getAllOrders = asyncHandler(async (req, res) => {
             price: item.price,
         })) || [],
         totalPrice: order.totalAmount,
-        shippingPrice: order.shippingCost || 50,
+        shippingPrice: order.shippingCost ?? 50,
         status: order.status?.toLowerCase() || 'pending',
+        allowedTransitions: (ORDER_STATUS_TRANSITIONS[order.status] || []).map((st) => st.toLowerCase()),
+        statusHistory: order.statusHistory || [],
         isPaid: order.isPaid,
         paidAt: order.paidAt,
         isDelivered: order.isDelivered,
@@ -423,17 +433,16 @@ export const getAllOrders = asyncHandler(async (req, res) => {
  * @access  Private/Admin
  */
 export const updateOrderStatus = asyncHandler(async (req, res) => {
-    const { status } = req.body;
-    const validStatuses = ['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
+    const { status, note } = req.body;
 
     // Case-insensitive matching
-    const matchedStatus = validStatuses.find(
+    const matchedStatus = ORDER_STATUSES.find(
         (s) => s.toLowerCase() === status?.toLowerCase()
     );
 
     if (!matchedStatus) {
         throw new BadRequestError(
-            `Invalid status. Valid options: ${validStatuses.join(', ')}`
+            `Invalid status. Valid options: ${ORDER_STATUSES.join(', ')}`
         );
     }
 
@@ -443,12 +452,22 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
         throw new NotFoundError('Order not found');
     }
 
-    order.status = matchedStatus;
-    if (matchedStatus === 'Delivered') {
-        order.isDelivered = true;
-        order.deliveredAt = new Date();
+    // Cancellation restores stock inside a transaction
+    if (matchedStatus === 'Cancelled') {
+        const cancelledOrder = await cancelOrder(req.params.id, {
+            actor: { id: req.user.id, role: req.user.role, name: req.user.name },
+            reason: note || req.body.reason,
+        });
+        return res.json({
+            success: true,
+            data: { order: cancelledOrder },
+            message: `Order status updated to ${matchedStatus}`,
+        });
     }
 
+    // Validates against the transition graph and records the timeline entry
+    order.transitionTo(matchedStatus, { actor: { id: req.user.id, role: req.user.role }, note });
+
     await order.save();
 
     res.json({
@@ -673,9 +692,13 @@ export const getAllBooks = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get inventory summary
+ * @desc    Get inventory summary, with stock movements per day from the ledger
+ *          and how many books need reordering at their current rate of sale
+ *          (lowStock is the fixed 5-copy threshold). Whether the ledger adds
+ *          up is its own report: GET /api/admin/inventory/reconciliation
  * @route   GET /api/admin/inventory
  * @access  Private/Admin
+ * @query   {number} days - Days of movements (default: 30, at most 365)
  */
 export const getInventorySummary = asyncHandler(async (req, res) => {
     const [
@@ -684,11 +707,15 @@ export const getInventorySummary = asyncHandler(async (req, res) => {
         lowStock,
         categoryBreakdown,
         stockValue,
+        movements,
+        replenishment,
     ] = await Promise.all([
         Book.countDocuments(),
         Book.countDocuments({ stock: 0 }),
         Book.countDocuments({ stock: { $gt: 0, $lte: 5 } }),
+        // Books in the trash are left out, as in the counts above
         Book.aggregate([
+            { $match: { isDeleted: { $ne: true } } },
             {
                 $group: {
                     _id: '$category',
@@ -700,6 +727,7 @@ export const getInventorySummary = asyncHandler(async (req, res) => {
             { $sort: { count: -1 } },
         ]),
         Book.aggregate([
+            { $match: { isDeleted: { $ne: true } } },
             {
                 $group: {
                     _id: null,
@@ -710,6 +738,9 @@ export const getInventorySummary = asyncHandler(async (req, res) => {
                 },
             },
         ]),
+        getStockMovementTrend({ days: req.query.days }),
+        // Counted by the nightly low-stock job; planning the catalogue is too slow per request
+        JobRun.findOne({ name: REPLENISHMENT_JOB }).select('stats lastSucceededAt').lean(),
     ]);
 
     res.json({
@@ -721,6 +752,63 @@ export const getInventorySummary = asyncHandler(async (req, res) => {
             totalUnits: stockValue[0]?.totalUnits || 0,
             totalValue: stockValue[0]?.totalValue || 0,
             categoryBreakdown,
+            reorder: replenishment?.stats?.counts
+                ? { ...replenishment.stats.counts, countedAt: replenishment.lastSucceededAt }
+                : null,
+            movements,
         },
     });
 });
+
+/**
+ * @desc    Get the last run of every background job
+ * @route   GET /api/admin/jobs
+ * @access  Private/Admin
+ */
+export const getJobStatus = asyncHandler(async (req, res) => {
+    const jobs = await getJobRuns();
+
+    res.json({
+        success: true,
+        data: jobs,
+    });
+});
+
+/**
+ * @desc    Rebuild recommendations now instead of waiting for the nightly run
+ * @route   POST /api/admin/recommendations/rebuild
+ * @access  Private/Admin
+ */
+export const rebuildRecommendations = asyncHandler(async (req, res) => {
+    const current = await JobRun.findOne({ name: RECOMMENDATION_JOB }).lean();
+    if (current?.lockedUntil && current.lockedUntil > new Date()) {
+        throw new ConflictError('A recommendation rebuild is already running');
+    }
+
+    // Can take minutes on a big catalogue; progress is visible at GET /api/admin/jobs
+    runRecommendationJob().catch((error) => {
+        logger.error('Manual recommendation rebuild failed', { error: error.message });
+    });
+
+    res.status(202).json({
+        success: true,
+        message: 'Recommendation rebuild started',
+    });
+});
+
+/**
+ * @desc    Rebuild the search index from the database in every worker
+ * @route   POST /api/admin/search/reindex
+ * @access  Private/Admin
+ */
+export const reindexSearch = asyncHandler(async (req, res) => {
+    logger.info('Search reindex requested', { adminId: req.user.id });
+
+    const result = await searchService.reindex();
+
+    res.json({
+        success: true,
+        data: result,
+        message: 'Search index rebuilt',
+    });
+});
@@ -1,28 +1,58 @@
-import { NotImplementedError } from '../utils/errors.js';
 import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  getRecommendations as getFeed,
+  getRelatedBooks,
+  enhanceSearch,
+} from '../services/aiService.js';
 
 /**
- * Get AI-powered book recommendations
+ * Get book recommendations: a personalised feed for logged-in users,
+ * popular books for guests
  * @route GET /api/ai/recommendations
- * @access Private
+ * @access Public (personalised when logged in)
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
- * @throws {NotImplementedError} Feature scheduled for v2.0
  */
 export const getRecommendations = asyncHandler(async (req, res) => {
-  // Feature planned for future release
-  throw new NotImplementedError('AI recommendations will be available in version 2.0');
+  const feed = await getFeed(req.user?.id || null, { limit: req.query.limit });
+
+  res.json({
+    success: true,
+    data: feed,
+  });
+});
+
+/**
+ * Get "customers also bought" and similar books for a book page
+ * @route GET /api/ai/recommendations/books/:bookId
+ * @access Public
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const getBookRecommendations = asyncHandler(async (req, res) => {
+  const related = await getRelatedBooks(req.params.bookId, { limit: req.query.limit });
+
+  res.json({
+    success: true,
+    data: related,
+  });
 });
 
 /**
- * AI-powered book search enhancement
+ * Natural-language book search
+ * Parses filters (language, grade, price, author, category) out of the query
+ * and returns them with the results so they can be shown as removable chips
  * @route POST /api/ai/search
  * @access Public
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
- * @throws {NotImplementedError} Feature scheduled for v2.0
  */
 export const aiSearch = asyncHandler(async (req, res) => {
-  // Feature planned for future release
-  throw new NotImplementedError('AI-powered search will be available in version 2.0');
+  const { query, ignore, page, limit } = req.body;
+  const result = await enhanceSearch(query, { ignore, page, limit });
+
+  res.json({
+    success: true,
+    data: result,
+  });
 });
@@ -0,0 +1,87 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  listAuthors,
+  getAuthorProfile,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor,
+} from '../services/authorService.js';
+
+/**
+ * List authors with how many books each has
+ * @route GET /api/authors
+ * @access Public
+ * @query {string} search - Part of a name, in Odia or English script
+ * @query {boolean} featured - Only featured authors (the home page spotlight)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Authors per page (default: 20)
+ */
+export const getAuthors = asyncHandler(async (req, res) => {
+  const { search, featured, page, limit } = req.query;
+  const result = await listAuthors({ search, featured, page, limit });
+
+  res.json({
+    success: true,
+    data: result.authors,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Get an author by ID or slug, with their book count
+ * Their books come from GET /api/books?authorId=
+ * @route GET /api/authors/:id
+ * @access Public
+ */
+export const getAuthor = asyncHandler(async (req, res) => {
+  const author = await getAuthorProfile(req.params.id);
+
+  res.json({
+    success: true,
+    data: author,
+  });
+});
+
+/**
+ * Create an author
+ * @route POST /api/authors
+ * @access Private/Admin
+ */
+export const addAuthor = asyncHandler(async (req, res) => {
+  const author = await createAuthor(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: author,
+    message: 'Author created successfully',
+  });
+});
+
+/**
+ * Update an author
+ * @route PUT /api/authors/:id
+ * @access Private/Admin
+ */
+export const editAuthor = asyncHandler(async (req, res) => {
+  const author = await updateAuthor(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: author,
+    message: 'Author updated successfully',
+  });
+});
+
+/**
+ * Delete an author; their books are unlinked, not deleted
+ * @route DELETE /api/authors/:id
+ * @access Private/Admin
+ */
+export const removeAuthor = asyncHandler(async (req, res) => {
+  await deleteAuthor(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Author deleted successfully',
+  });
+});
@@ -0,0 +1,64 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { notifyWishlisters } from '../services/notificationService.js';
+import { getBookHistory, getBookVersion, revertBook } from '../services/bookHistoryService.js';
+
+/**
+ * List a book's change history, newest first
+ * Each version has the admin who made it, when, and the fields that changed.
+ * @route GET /api/books/:id/history
+ * @access Private/Admin
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Versions per page (default: 20, max: 100)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const getHistory = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const result = await getBookHistory(req.params.id, { page, limit });
+
+  res.json({
+    success: true,
+    data: result.versions,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Get one version of a book, with the fields as they were after it
+ * @route GET /api/books/:id/history/:version
+ * @access Private/Admin
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const getVersion = asyncHandler(async (req, res) => {
+  const version = await getBookVersion(req.params.id, req.params.version);
+
+  res.json({
+    success: true,
+    data: version,
+  });
+});
+
+/**
+ * Put a book's fields back as they were in an earlier version
+ * @route POST /api/books/:id/history/:version/revert
+ * @access Private/Admin
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const revertToVersion = asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+  logger.info('Reverting book', { bookId: id, version, adminId: req.user.id });
+
+  const { before, book } = await revertBook(id, version, { actor: req.user });
+
+  // A reverted price can be a price drop
+  await notifyWishlisters(before, book);
+
+  res.json({
+    success: true,
+    data: book,
+    message: `Book reverted to version ${version}`,
+  });
+});
@@ -0,0 +1,86 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import {
+  addBookImage,
+  reorderBookImages,
+  updateBookImage,
+  removeBookImage,
+} from '../services/bookImageService.js';
+
+/**
+ * Upload an image of a book
+ * Send the file as the request body with its content type, e.g.
+ * `--data-binary @cover.jpg -H "Content-Type: image/jpeg"`.
+ * @route POST /api/books/:id/images
+ * @access Private/Admin
+ * @query {string} alt - Alt text
+ * @query {number} position - Where to insert it (0 makes it the cover; default: last)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const uploadBookImage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { alt, position } = req.query;
+
+  logger.info('Uploading book image', { bookId: id, adminId: req.user.id });
+  const images = await addBookImage(id, req.body, { alt, position });
+
+  res.status(201).json({
+    success: true,
+    data: images,
+    message: 'Image uploaded successfully',
+  });
+});
+
+/**
+ * Reorder a book's images; the first becomes the cover
+ * @route PUT /api/books/:id/images/order
+ * @access Private/Admin
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const reorderImages = asyncHandler(async (req, res) => {
+  const images = await reorderBookImages(req.params.id, req.body.order);
+
+  res.json({
+    success: true,
+    data: images,
+  });
+});
+
+/**
+ * Update an image's alt text
+ * @route PATCH /api/books/:id/images/:imageId
+ * @access Private/Admin
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const editBookImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+  const images = await updateBookImage(id, imageId, { alt: req.body.alt });
+
+  res.json({
+    success: true,
+    data: images,
+  });
+});
+
+/**
+ * Remove an image from a book and delete its files
+ * @route DELETE /api/books/:id/images/:imageId
+ * @access Private/Admin
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const deleteBookImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  logger.info('Removing book image', { bookId: id, imageId, adminId: req.user.id });
+  const images = await removeBookImage(id, imageId);
+
+  res.json({
+    success: true,
+    data: images,
+    message: 'Image removed successfully',
+  });
+});
@@ -0,0 +1,97 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  getCart,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  clearCart,
+  mergeCart,
+} from '../services/cartService.js';
+
+/**
+ * Get the logged-in user's cart, re-priced against current price and stock
+ * @route GET /api/cart
+ * @access Private
+ */
+export const getMyCart = asyncHandler(async (req, res) => {
+  const cart = await getCart(req.user.id);
+
+  res.json({
+    success: true,
+    data: cart,
+  });
+});
+
+/**
+ * Add a book to the cart
+ * @route POST /api/cart/items
+ * @access Private
+ */
+export const addCartItem = asyncHandler(async (req, res) => {
+  const { bookId, quantity = 1 } = req.body;
+
+  const cart = await addItem(req.user.id, bookId, quantity);
+
+  res.status(201).json({
+    success: true,
+    data: cart,
+    message: 'Added to cart',
+  });
+});
+
+/**
+ * Change the quantity of a cart line (0 removes it)
+ * @route PUT /api/cart/items/:bookId
+ * @access Private
+ */
+export const updateCartItem = asyncHandler(async (req, res) => {
+  const cart = await updateItemQuantity(req.user.id, req.params.bookId, req.body.quantity);
+
+  res.json({
+    success: true,
+    data: cart,
+  });
+});
+
+/**
+ * Remove a book from the cart
+ * @route DELETE /api/cart/items/:bookId
+ * @access Private
+ */
+export const removeCartItem = asyncHandler(async (req, res) => {
+  const cart = await removeItem(req.user.id, req.params.bookId);
+
+  res.json({
+    success: true,
+    data: cart,
+    message: 'Removed from cart',
+  });
+});
+
+/**
+ * Empty the cart
+ * @route DELETE /api/cart
+ * @access Private
+ */
+export const clearMyCart = asyncHandler(async (req, res) => {
+  const cart = await clearCart(req.user.id);
+
+  res.json({
+    success: true,
+    data: cart,
+  });
+});
+
+/**
+ * Merge the device's guest cart into the user's cart (call right after login)
+ * @route POST /api/cart/merge
+ * @access Private
+ */
+export const mergeGuestCart = asyncHandler(async (req, res) => {
+  const cart = await mergeCart(req.user.id, req.body.items);
+
+  res.json({
+    success: true,
+    data: cart,
+  });
+});
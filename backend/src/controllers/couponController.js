@@ -0,0 +1,128 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import {
+  listCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  priceCartItems,
+  validateCoupon,
+} from '../services/couponService.js';
+import { quoteShipping } from '../services/shippingService.js';
+
+/**
+ * Check a coupon code against the current cart (used by checkout before placing the order)
+ * @route POST /api/coupons/validate
+ * @access Public (per-user limits use the logged-in user, or customerPhone for guests)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const validateCouponCode = asyncHandler(async (req, res) => {
+  const { code, items, pincode, customerPhone } = req.body;
+
+  const pricedItems = await priceCartItems(items);
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  // Same shipping createOrder will charge, so free-shipping coupons quote correctly
+  const { shippingCost } = await quoteShipping({ pincode, subtotal });
+
+  const result = await validateCoupon(code, {
+    items: pricedItems,
+    shippingCost,
+    userId: req.user?.id,
+    customerPhone,
+  });
+
+  logger.debug('Coupon validated', { code: result.coupon.code, discount: result.discount });
+  res.json({
+    success: true,
+    data: {
+      code: result.coupon.code,
+      type: result.coupon.type,
+      description: result.coupon.description,
+      subtotal: result.subtotal,
+      eligibleSubtotal: result.eligibleSubtotal,
+      discount: result.discount,
+      shippingDiscount: result.shippingDiscount,
+      totalDiscount: result.discount + result.shippingDiscount,
+    },
+    message: 'Coupon applied',
+  });
+});
+
+/**
+ * List coupons
+ * @route GET /api/coupons
+ * @access Private/Admin
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Coupons per page (default: 20)
+ * @query {boolean} active - Filter by active flag
+ */
+export const getCoupons = asyncHandler(async (req, res) => {
+  const { page, limit, active } = req.query;
+  const result = await listCoupons({ page, limit, active });
+
+  res.json({
+    success: true,
+    data: result.coupons,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Get a coupon by ID
+ * @route GET /api/coupons/:id
+ * @access Private/Admin
+ */
+export const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await getCouponById(req.params.id);
+
+  res.json({
+    success: true,
+    data: coupon,
+  });
+});
+
+/**
+ * Create a coupon
+ * @route POST /api/coupons
+ * @access Private/Admin
+ */
+export const addCoupon = asyncHandler(async (req, res) => {
+  const coupon = await createCoupon(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: coupon,
+    message: 'Coupon created successfully',
+  });
+});
+
+/**
+ * Update a coupon
+ * @route PUT /api/coupons/:id
+ * @access Private/Admin
+ */
+export const editCoupon = asyncHandler(async (req, res) => {
+  const coupon = await updateCoupon(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: coupon,
+    message: 'Coupon updated successfully',
+  });
+});
+
+/**
+ * Delete a coupon
+ * @route DELETE /api/coupons/:id
+ * @access Private/Admin
+ */
+export const removeCoupon = asyncHandler(async (req, res) => {
+  await deleteCoupon(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Coupon deleted successfully',
+  });
+});
@@ -0,0 +1,125 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import {
+  receiveStock,
+  writeOffStock,
+  recordStockCount,
+  getStockLedger,
+  reconcileStock,
+} from '../services/inventoryService.js';
+import { notifyWishlisters } from '../services/notificationService.js';
+
+/**
+ * Receive new copies of a book (a delivery from the publisher or a return to shelf)
+ * @route POST /api/admin/inventory/books/:id/receive
+ * @access Private/Admin
+ * @body {number} quantity - Copies received
+ * @body {string} note - Supplier, invoice number...
+ */
+export const receiveBookStock = asyncHandler(async (req, res) => {
+  const { quantity, note } = req.body;
+  logger.info('Receiving stock', { bookId: req.params.id, quantity, adminId: req.user.id });
+
+  const { book, movement } = await receiveStock(req.params.id, quantity, {
+    actor: req.user,
+    note,
+  });
+  // Back in stock alerts for everyone who wishlisted it
+  await notifyWishlisters({ stock: book.stock - quantity }, book);
+
+  res.status(201).json({
+    success: true,
+    data: { book, movement },
+    message: `Received ${quantity} ${quantity === 1 ? 'copy' : 'copies'}`,
+  });
+});
+
+/**
+ * Write off damaged or lost copies of a book
+ * @route POST /api/admin/inventory/books/:id/damage
+ * @access Private/Admin
+ * @body {number} quantity - Copies written off
+ * @body {string} note - What happened
+ */
+export const writeOffBookStock = asyncHandler(async (req, res) => {
+  const { quantity, note } = req.body;
+  logger.info('Writing off stock', { bookId: req.params.id, quantity, adminId: req.user.id });
+
+  const { book, movement } = await writeOffStock(req.params.id, quantity, {
+    actor: req.user,
+    note,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: { book, movement },
+    message: `Wrote off ${quantity} ${quantity === 1 ? 'copy' : 'copies'}`,
+  });
+});
+
+/**
+ * Set a book's stock to a physical count
+ * Send expected (the stock shown when counting started) so a sale made
+ * meanwhile is caught instead of overwritten.
+ * @route POST /api/admin/inventory/books/:id/count
+ * @access Private/Admin
+ * @body {number} counted - Copies on the shelf
+ * @body {number} expected - Stock when the count started (optional)
+ * @body {string} note - Free-text note
+ */
+export const countBookStock = asyncHandler(async (req, res) => {
+  const { counted, expected, note } = req.body;
+  logger.info('Recording stock count', { bookId: req.params.id, counted, adminId: req.user.id });
+
+  const { book, movement } = await recordStockCount(req.params.id, counted, {
+    expected,
+    actor: req.user,
+    note,
+  });
+  if (movement) await notifyWishlisters({ stock: book.stock - movement.change }, book);
+
+  res.json({
+    success: true,
+    data: { book, movement },
+    message: movement
+      ? `Stock adjusted by ${movement.change > 0 ? '+' : ''}${movement.change}`
+      : 'Count matches the stock',
+  });
+});
+
+/**
+ * A book's stock ledger, newest first
+ * @route GET /api/admin/inventory/books/:id/movements
+ * @access Private/Admin
+ * @query {string} reason - opening | sale | cancellation | restock | damage | adjustment
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Movements per page (default: 50)
+ */
+export const getBookStockLedger = asyncHandler(async (req, res) => {
+  const { reason, page, limit } = req.query;
+  const result = await getStockLedger(req.params.id, { reason, page, limit });
+
+  res.json({
+    success: true,
+    data: { book: result.book, movements: result.movements },
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Books whose stock doesn't add up to their ledger
+ * @route GET /api/admin/inventory/reconciliation
+ * @access Private/Admin
+ * @query {number} page - Page of mismatches (default: 1)
+ * @query {number} limit - Mismatches per page (default: 100)
+ */
+export const getStockReconciliation = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+  const { pagination, ...report } = await reconcileStock({ page, limit });
+
+  res.json({
+    success: true,
+    data: report,
+    pagination,
+  });
+});
@@ -0,0 +1,46 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import { listNotifications, markAsRead, markAllAsRead } from '../services/notificationService.js';
+
+/**
+ * Get the logged-in user's notifications and unread count
+ * @route GET /api/notifications
+ * @access Private
+ */
+export const getMyNotifications = asyncHandler(async (req, res) => {
+  const { unreadOnly, limit } = req.query;
+
+  const result = await listNotifications(req.user.id, { unreadOnly, limit });
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Mark a notification as read
+ * @route PUT /api/notifications/:id/read
+ * @access Private
+ */
+export const readNotification = asyncHandler(async (req, res) => {
+  const notification = await markAsRead(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    data: notification,
+  });
+});
+
+/**
+ * Mark all notifications as read
+ * @route PUT /api/notifications/read-all
+ * @access Private
+ */
+export const readAllNotifications = asyncHandler(async (req, res) => {
+  const updated = await markAllAsRead(req.user.id);
+
+  res.json({
+    success: true,
+    data: { updated },
+  });
+});
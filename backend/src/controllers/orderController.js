@@ -1,9 +1,17 @@
 import mongoose from 'mongoose';
-import Order from '../models/Order.js';
-import Book from '../models/Book.js';
+import Order, { ORDER_STATUSES } from '../models/Order.js';
+import Book, { bookPricing } from '../models/Book.js';
 import asyncHandler from '../middleware/asyncHandler.js';
 import logger from '../utils/logger.js';
 import { NotFoundError, BadRequestError, UnauthorizedError } from '../utils/errors.js';
+import { cancelOrder } from '../services/orderService.js';
+import { validateCoupon, redeemCoupon } from '../services/couponService.js';
+import { quoteShipping, extractPincode } from '../services/shippingService.js';
+import { recordManualPayment } from '../services/paymentService.js';
+import { removeOrderedItems } from '../services/cartService.js';
+import { recordSalePurchases } from '../services/saleCampaignService.js';
+import { recordStockMovements } from '../services/inventoryService.js';
+import { getReservedStock, releaseReservation } from '../services/reservationService.js';
 
 /**
  * Create new order with guest support, price validation, and atomic stock updates
@@ -18,13 +26,33 @@ import { NotFoundError, BadRequestError, UnauthorizedError } from '../utils/erro
  *   customerPhone: string (required),
  *   customerAddress: string (required),
  *   items: [{ bookId, quantity, price }] (required),
- *   shippingCost: number (optional, default: 50),
+ *   pincode: string (optional, otherwise read from customerAddress),
+ *   couponCode: string (optional, re-validated server-side),
+ *   paymentMethod: 'cod' | 'upi' | 'card' | 'netbanking' | 'wallet' (optional, default 'cod'),
+ *   checkoutId: string (optional, from POST /api/orders/reservations),
  *   notes: string (optional)
  * }
+ *
+ * Items are priced at the moment of ordering: a live sale campaign's price
+ * applies (within its per-customer cap), otherwise the book's own price.
+ * Shipping is always computed server-side from the pincode's zone; any
+ * client-sent shippingCost is ignored. Online methods are paid afterwards via
+ * POST /api/payments/intents; the order stays Pending until the gateway confirms.
+ * Stock other checkouts are holding can't be ordered; the customer's own hold
+ * (checkoutId) is taken over by the order.
  */
 export const createOrder = asyncHandler(async (req, res) => {
-  const { customerName, customerPhone, customerAddress, items, shippingCost = 50, notes } =
-    req.body;
+  const {
+    customerName,
+    customerPhone,
+    customerAddress,
+    items,
+    pincode,
+    couponCode,
+    paymentMethod = 'cod',
+    checkoutId,
+    notes,
+  } = req.body;
 
   // Validation: Check for required fields
   if (!customerName || !customerPhone || !customerAddress) {
@@ -59,8 +87,18 @@ export const createOrder = asyncHandler(async (req, res) => {
     // SECURITY CHECK: Validate prices from database, don't trust client
     // Also validate stock and prepare items with validated data
     const validatedItems = [];
+    const pricedLines = []; // price + category, for coupon scoping
+    const saleLines = []; // lines at a campaign price, for per-customer caps
+    const stockMovements = []; // sale entries for the stock ledger
+    const pricedAt = new Date();
     let calculatedTotal = 0;
 
+    // Copies other customers are holding at checkout aren't for sale
+    const heldByOthers = await getReservedStock(
+      items.map((item) => item.bookId),
+      { checkout: checkoutId, user: req.user?.id, session }
+    );
+
     for (const item of items) {
       // Fetch book from database within transaction
       const book = await Book.findById(item.bookId).session(session);
@@ -70,14 +108,15 @@ export const createOrder = asyncHandler(async (req, res) => {
       }
 
       // Check stock availability
-      if (book.stock < item.quantity) {
+      const available = Math.max(0, book.stock - (heldByOthers.get(String(book._id)) || 0));
+      if (available < item.quantity) {
         throw new BadRequestError(
-          `Insufficient stock for "${book.title?.display || book.titleDisplay}". Available: ${book.stock}, Requested: ${item.quantity}`
+          `Insufficient stock for "${book.title?.display || book.titleDisplay}". Available: ${available}, Requested: ${item.quantity}`
         );
       }
 
       // CRITICAL: Use server-side price, ignore client-sent price
-      const validatedPrice = book.finalPrice; // Uses virtual from Book model
+      const { finalPrice: validatedPrice, activeSale } = bookPricing(book, pricedAt);
       const itemTotal = validatedPrice * item.quantity;
       calculatedTotal += itemTotal;
 
@@ -87,11 +126,20 @@ export const createOrder = asyncHandler(async (req, res) => {
         quantity: item.quantity,
         price: validatedPrice,
         title: book.title?.display || book.titleDisplay,
+        campaign: activeSale?.campaign || null,
       });
+      if (activeSale) saleLines.push({ sale: activeSale, quantity: item.quantity });
+      pricedLines.push({ price: validatedPrice, quantity: item.quantity, category: book.category });
 
       // Atomically update stock within transaction
       book.stock -= item.quantity;
       await book.save({ session });
+      stockMovements.push({
+        book: book._id,
+        reason: 'sale',
+        change: -item.quantity,
+        stockAfter: book.stock,
+      });
 
       logger.debug('Book stock updated', {
         bookId: book._id,
@@ -101,8 +149,48 @@ export const createOrder = asyncHandler(async (req, res) => {
       });
     }
 
-    // Calculate total amount (subtotal + shipping)
-    const totalAmount = calculatedTotal + shippingCost;
+    await recordSalePurchases(saleLines, { userId: req.user?.id, customerPhone, session });
+
+    // Shipping comes from the pincode's zone, never from the client
+    const shipping = await quoteShipping({
+      pincode: pincode || extractPincode(customerAddress),
+      subtotal: calculatedTotal,
+    });
+    const { shippingCost } = shipping;
+
+    if (paymentMethod === 'cod' && !shipping.codAvailable) {
+      throw new BadRequestError('Cash on delivery is not available for this pincode');
+    }
+    const codCharge = paymentMethod === 'cod' ? shipping.codCharge : 0;
+
+    // Re-validate the coupon against server-side prices; never trust a client discount
+    let coupon;
+    let discountAmount = 0;
+    if (couponCode) {
+      const applied = await validateCoupon(couponCode, {
+        items: pricedLines,
+        shippingCost,
+        userId: req.user?.id,
+        customerPhone,
+        session,
+      });
+      await redeemCoupon(applied.coupon, {
+        userId: req.user?.id,
+        customerPhone,
+        session,
+      });
+
+      discountAmount = applied.discount + applied.shippingDiscount;
+      coupon = {
+        code: applied.coupon.code,
+        type: applied.coupon.type,
+        discount: applied.discount,
+        shippingDiscount: applied.shippingDiscount,
+      };
+    }
+
+    // Calculate total amount (subtotal + shipping + COD charge - coupon discount)
+    const totalAmount = Math.max(0, calculatedTotal + shippingCost + codCharge - discountAmount);
 
     // Create order within transaction
     const [order] = await Order.create(
@@ -115,6 +203,13 @@ export const createOrder = asyncHandler(async (req, res) => {
           items: validatedItems,
           totalAmount,
           shippingCost,
+          shippingZone: shipping.zone,
+          deliveryPincode: shipping.pincode,
+          subtotal: calculatedTotal,
+          discountAmount,
+          coupon,
+          paymentMethod,
+          codCharge,
           notes,
           status: 'Pending',
         },
@@ -122,9 +217,30 @@ export const createOrder = asyncHandler(async (req, res) => {
       { session }
     );
 
+    // The sale takes over the checkout's hold
+    if (checkoutId) {
+      await releaseReservation(checkoutId, { session });
+    }
+
+    // Guests are named in the ledger by the name on the order
+    await recordStockMovements(
+      stockMovements.map((movement) => ({ ...movement, order: order._id })),
+      { actor: req.user || { name: customerName }, session }
+    );
+
     // Commit transaction - all changes are applied atomically
     await session.commitTransaction();
 
+    // Ordered books leave the saved cart (web and mobile both read it)
+    if (req.user) {
+      await removeOrderedItems(
+        req.user.id,
+        validatedItems.map((item) => item.bookId)
+      ).catch((error) =>
+        logger.warn('Could not clear ordered items from cart', { error: error.message })
+      );
+    }
+
     // Populate book details for response (outside transaction)
     await order.populate('items.bookId', 'title author category image');
 
@@ -132,6 +248,7 @@ export const createOrder = asyncHandler(async (req, res) => {
       orderId: order._id,
       customerName: order.customerName,
       totalAmount: order.totalAmount,
+      couponCode: order.coupon?.code,
       itemCount: order.items.length,
     });
 
@@ -182,21 +299,28 @@ export const getOrder = asyncHandler(async (req, res) => {
   const { id } = req.params;
   logger.debug('Fetching order', { orderId: id, userId: req.user?.id });
 
-  const order = await Order.findById(id)
-    .populate('user', 'name email')
-    .populate('items.bookId', 'title author category image price');
+  const order = await Order.findById(id).populate(
+    'items.bookId',
+    'title author category image price'
+  );
 
   if (!order) {
     logger.warn('Order not found', { orderId: id });
     throw new NotFoundError('Order not found');
   }
 
-  // Authorization: user can only view their own orders unless admin
-  if (order.user && order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Authorization: user can only view their own orders unless admin.
+  // Checked on the raw owner id, before populating: a deleted account doesn't
+  // populate, and a guest order has no owner, so neither is anyone else's to read.
+  const isOwner = Boolean(order.user) && order.user.toString() === String(req.user.id);
+  if (!isOwner && req.user.role !== 'admin') {
     logger.warn('Unauthorized order access attempt', { orderId: id, userId: req.user.id });
     throw new UnauthorizedError('Not authorized to view this order');
   }
 
+  // Admins still see who placed it after the account was deleted
+  await order.populate({ path: 'user', select: 'name email', options: { includeDeleted: true } });
+
   logger.info('Order fetched successfully', { orderId: id });
   res.json({
     success: true,
@@ -248,12 +372,10 @@ export const getOrders = asyncHandler(async (req, res) => {
  */
 export const updateOrderStatus = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
-
-  const validStatuses = ['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
+  const { status, note } = req.body;
 
-  if (!validStatuses.includes(status)) {
-    throw new BadRequestError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+  if (!ORDER_STATUSES.includes(status)) {
+    throw new BadRequestError(`Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`);
   }
 
   logger.info('Updating order status', { orderId: id, newStatus: status, adminId: req.user.id });
@@ -265,14 +387,22 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     throw new NotFoundError('Order not found');
   }
 
-  order.status = status;
-
-  // Auto-update delivery status when marked as delivered
-  if (status === 'Delivered') {
-    order.isDelivered = true;
-    order.deliveredAt = Date.now();
+  // Cancellation restores stock inside a transaction
+  if (status === 'Cancelled') {
+    const cancelledOrder = await cancelOrder(id, {
+      actor: { id: req.user.id, role: req.user.role, name: req.user.name },
+      reason: note || req.body.reason,
+    });
+    return res.json({
+      success: true,
+      data: cancelledOrder,
+      message: `Order status updated to ${status}`,
+    });
   }
 
+  // Validates against the transition graph and records the timeline entry
+  order.transitionTo(status, { actor: { id: req.user.id, role: req.user.role }, note });
+
   const updatedOrder = await order.save();
 
   logger.info('Order status updated successfully', { orderId: id, newStatus: status });
@@ -284,36 +414,49 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update order to paid status
- * @route PUT /api/orders/:id/pay
+ * Cancel the logged-in user's order and put its items back in stock
+ * Allowed only while the order is Pending or Confirmed
+ * @route PUT /api/orders/:id/cancel
  * @access Private
  */
-export const updateOrderToPaid = asyncHandler(async (req, res) => {
+export const cancelMyOrder = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  logger.info('Updating order to paid', { orderId: id, userId: req.user.id });
+  logger.info('Customer cancelling order', { orderId: id, userId: req.user.id });
 
-  const order = await Order.findById(id);
-
-  if (!order) {
-    logger.warn('Order not found for payment update', { orderId: id });
-    throw new NotFoundError('Order not found');
-  }
+  const order = await cancelOrder(id, {
+    // Customers go through the status window check even if they are admins
+    actor: { id: req.user.id, role: 'user', name: req.user.name },
+    reason: req.body.reason,
+  });
 
-  order.isPaid = true;
-  order.paidAt = Date.now();
+  res.json({
+    success: true,
+    data: order,
+    message: 'Order cancelled successfully',
+  });
+});
 
-  // Update status to Confirmed if still Pending
-  if (order.status === 'Pending') {
-    order.status = 'Confirmed';
-  }
+/**
+ * Record a payment collected outside the gateway (e.g. cash on delivery)
+ * Online payments are confirmed only by gateway webhooks (see /api/payments)
+ * @route PUT /api/orders/:id/pay
+ * @access Private/Admin
+ */
+export const updateOrderToPaid = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { method, reference } = req.body;
+  logger.info('Recording manual payment', { orderId: id, adminId: req.user.id });
 
-  const updatedOrder = await order.save();
+  const { order } = await recordManualPayment(id, {
+    actor: { id: req.user.id, role: req.user.role },
+    method,
+    reference,
+  });
 
-  logger.info('Order updated to paid successfully', { orderId: id });
   res.json({
     success: true,
-    data: updatedOrder,
-    message: 'Payment confirmed',
+    data: order,
+    message: 'Payment recorded',
   });
 });
 
@@ -333,9 +476,8 @@ export const updateOrderToDelivered = asyncHandler(async (req, res) => {
     throw new NotFoundError('Order not found');
   }
 
-  order.isDelivered = true;
-  order.deliveredAt = Date.now();
-  order.status = 'Delivered';
+  // Sets isDelivered/deliveredAt; only allowed from Shipped
+  order.transitionTo('Delivered', { actor: { id: req.user.id, role: req.user.role } });
 
   const updatedOrder = await order.save();
 
@@ -0,0 +1,126 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { SIGNATURE_HEADER } from '../services/payments/index.js';
+import {
+  createPaymentIntent,
+  handleWebhook,
+  refundPayment,
+  getPayment,
+  listOrderPayments,
+} from '../services/paymentService.js';
+
+/**
+ * The requesting user in the shape paymentService expects
+ * @param {import('express').Request} req - Express request object
+ * @returns {Object|undefined} { id, role } or undefined for guests
+ */
+const actorFrom = (req) => (req.user ? { id: req.user.id, role: req.user.role } : undefined);
+
+/**
+ * Start an online payment for an order
+ * @route POST /api/payments/intents
+ * @access Public (order owner, or guest with the order's phone number)
+ * @header {string} Idempotency-Key - Client-generated key; retries return the same payment
+ *
+ * Request body:
+ * {
+ *   orderId: string (required),
+ *   method: 'upi' | 'card' | 'netbanking' | 'wallet' (required),
+ *   customerPhone: string (guest orders only),
+ *   simulate: 'success' | 'failure' | 'delayed' (mock provider, development and test only)
+ * }
+ */
+export const createIntent = asyncHandler(async (req, res) => {
+  const { orderId, method, customerPhone, simulate } = req.body;
+
+  const { payment, nextAction, replayed } = await createPaymentIntent({
+    orderId,
+    method,
+    actor: actorFrom(req),
+    customerPhone,
+    idempotencyKey: req.get('Idempotency-Key'),
+    simulate,
+  });
+
+  res.status(replayed ? 200 : 201).json({
+    success: true,
+    data: { payment, nextAction },
+  });
+});
+
+/**
+ * Receive a signed event from a payment provider
+ * Always verifies against the raw body; req.body has been through the sanitisers.
+ * @route POST /api/payments/webhooks/:provider
+ * @access Public (signature-verified)
+ */
+export const receiveWebhook = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  const result = await handleWebhook(
+    provider,
+    req.rawBody || JSON.stringify(req.body),
+    req.get(SIGNATURE_HEADER)
+  );
+
+  logger.debug('Payment webhook received', { provider, ...result });
+  res.json(result);
+});
+
+/**
+ * Get a payment (poll this after creating an intent)
+ * @route GET /api/payments/:id
+ * @access Public (order owner, or guest with ?customerPhone=)
+ */
+export const getPaymentById = asyncHandler(async (req, res) => {
+  const payment = await getPayment(req.params.id, {
+    actor: actorFrom(req),
+    customerPhone: req.query.customerPhone,
+  });
+
+  res.json({
+    success: true,
+    data: payment,
+  });
+});
+
+/**
+ * List payment attempts for an order
+ * @route GET /api/payments?orderId=
+ * @access Public (order owner, or guest with ?customerPhone=)
+ */
+export const getOrderPayments = asyncHandler(async (req, res) => {
+  const payments = await listOrderPayments(req.query.orderId, {
+    actor: actorFrom(req),
+    customerPhone: req.query.customerPhone,
+  });
+
+  res.json({
+    success: true,
+    count: payments.length,
+    data: payments,
+  });
+});
+
+/**
+ * Refund (part of) a payment
+ * @route POST /api/payments/:id/refunds
+ * @access Private/Admin
+ * @header {string} Idempotency-Key - Client-generated key; retries return the same refund
+ */
+export const createRefund = asyncHandler(async (req, res) => {
+  const { amount, reason } = req.body;
+
+  const { payment, refund, replayed } = await refundPayment(req.params.id, {
+    amount,
+    reason,
+    actor: actorFrom(req),
+    idempotencyKey: req.get('Idempotency-Key'),
+  });
+
+  res.status(replayed ? 200 : 201).json({
+    success: true,
+    data: { payment, refund },
+    message: refund.status === 'succeeded' ? 'Refund completed' : 'Refund initiated',
+  });
+});
@@ -0,0 +1,48 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { getReplenishmentPlan, exportReplenishmentCsv } from '../services/replenishmentService.js';
+
+/**
+ * Reorder suggestions from each book's sales velocity, most urgent first
+ * @route GET /api/admin/replenishment
+ * @access Private/Admin
+ * @query {string} status - out_of_stock | critical | reorder
+ * @query {string} category - Only books in this category
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Suggestions per page (default: 50)
+ */
+export const getReplenishment = asyncHandler(async (req, res) => {
+  const { status, category, page, limit } = req.query;
+  const result = await getReplenishmentPlan({ status, category, page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      suggestions: result.suggestions,
+      counts: result.counts,
+      settings: result.settings,
+    },
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Download the reorder suggestions as a CSV purchase list
+ * @route GET /api/admin/replenishment/export
+ * @access Private/Admin
+ * @query {string} status - out_of_stock | critical | reorder
+ * @query {string} category - Only books in this category
+ */
+export const exportReplenishment = asyncHandler(async (req, res) => {
+  const { status, category } = req.query;
+  logger.info('Exporting reorder suggestions', { adminId: req.user.id, status, category });
+
+  const csv = await exportReplenishmentCsv({ status, category });
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="reorder-${date}.csv"`,
+  });
+  res.send(csv);
+});
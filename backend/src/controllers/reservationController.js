@@ -0,0 +1,48 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { reserveStock, releaseReservation } from '../services/reservationService.js';
+
+/**
+ * Hold the cart's stock while the customer checks out
+ * @route POST /api/orders/reservations
+ * @access Public (guests too; signed-in customers are linked to their holds)
+ * @body {Array} items - [{ bookId, quantity }]
+ * @body {string} checkoutId - Earlier reservation to renew (optional)
+ *
+ * Pass the returned checkoutId to POST /api/orders before expiresAt; after
+ * that the stock is free for others again. Rate limited per IP.
+ */
+export const reserveCheckoutStock = asyncHandler(async (req, res) => {
+  const { items, checkoutId } = req.body;
+
+  const reservation = await reserveStock(items, {
+    checkout: checkoutId || undefined,
+    user: req.user?.id || null,
+    ip: req.ip || null,
+  });
+
+  logger.info('Checkout stock reserved', {
+    checkoutId: reservation.checkoutId,
+    itemCount: reservation.items.length,
+    userId: req.user?.id || 'guest',
+  });
+
+  res.status(checkoutId ? 200 : 201).json({
+    success: true,
+    data: reservation,
+  });
+});
+
+/**
+ * Release a checkout's held stock (customer left checkout)
+ * @route DELETE /api/orders/reservations/:checkoutId
+ * @access Public (the checkout ID is the customer's secret)
+ */
+export const releaseCheckoutStock = asyncHandler(async (req, res) => {
+  const released = await releaseReservation(req.params.checkoutId);
+
+  res.json({
+    success: true,
+    data: { released },
+  });
+});
@@ -0,0 +1,96 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { listReviews, addReview, updateReview, deleteReview } from '../services/reviewService.js';
+
+/**
+ * Get paginated reviews for a book
+ * @route GET /api/books/:id/reviews
+ * @access Public
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Reviews per page (default: 10, max: 50)
+ * @query {string} sort - recent | oldest | highest | lowest
+ * @query {number} rating - Only return reviews with this star rating
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const getBookReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page, limit, sort, rating } = req.query;
+
+  const result = await listReviews(id, { page, limit, sort, rating });
+
+  res.json({
+    success: true,
+    data: result.reviews,
+    summary: result.summary,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Create a review for a book (verified purchasers only)
+ * @route POST /api/books/:id/reviews
+ * @access Private
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const createBookReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, title, comment } = req.body;
+
+  logger.info('Creating book review', { bookId: id, userId: req.user.id, rating });
+
+  const result = await addReview(id, req.user.id, { rating, title, comment });
+
+  logger.info('Book review created', { bookId: id, newRating: result.rating });
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: 'Review added successfully',
+  });
+});
+
+/**
+ * Update the logged-in user's review for a book
+ * @route PUT /api/books/:id/reviews
+ * @access Private
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const updateBookReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, title, comment } = req.body;
+
+  logger.info('Updating book review', { bookId: id, userId: req.user.id });
+
+  const result = await updateReview(id, req.user.id, { rating, title, comment });
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Review updated successfully',
+  });
+});
+
+/**
+ * Delete a review. Without :reviewId the logged-in user's own review is removed;
+ * admins can remove any review by ID.
+ * @route DELETE /api/books/:id/reviews
+ * @route DELETE /api/books/:id/reviews/:reviewId
+ * @access Private
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const deleteBookReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  logger.info('Deleting book review', { bookId: id, reviewId, userId: req.user.id });
+
+  const result = await deleteReview(id, { id: req.user.id, role: req.user.role }, reviewId);
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Review deleted successfully',
+  });
+});
@@ -0,0 +1,105 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  listCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  getStorefrontCampaigns,
+} from '../services/saleCampaignService.js';
+
+/**
+ * Live campaigns with their books and countdowns, and campaigns starting soon
+ * (deals section). serverTime lets clients correct for a wrong device clock.
+ * @route GET /api/campaigns/active
+ * @access Public
+ * @query {number} books - Books per live campaign (default: 8)
+ */
+export const getActiveCampaigns = asyncHandler(async (req, res) => {
+  const bookLimit = parseInt(req.query.books, 10) || 8;
+  const result = await getStorefrontCampaigns({ bookLimit });
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * List campaigns
+ * @route GET /api/campaigns
+ * @access Private/Admin
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Campaigns per page (default: 20)
+ * @query {string} status - scheduled | live | ended | paused
+ */
+export const getCampaigns = asyncHandler(async (req, res) => {
+  const { page, limit, status } = req.query;
+  const result = await listCampaigns({ page, limit, status });
+
+  res.json({
+    success: true,
+    data: result.campaigns,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Get a campaign by ID
+ * @route GET /api/campaigns/:id
+ * @access Private/Admin
+ */
+export const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await getCampaignById(req.params.id);
+
+  res.json({
+    success: true,
+    data: campaign,
+  });
+});
+
+/**
+ * Create a campaign; its prices go on the targeted books straight away
+ * @route POST /api/campaigns
+ * @access Private/Admin
+ */
+export const addCampaign = asyncHandler(async (req, res) => {
+  const { campaign, books } = await createCampaign(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: campaign,
+    books,
+    message: 'Sale campaign created successfully',
+  });
+});
+
+/**
+ * Update a campaign (set isActive: false to end it early)
+ * @route PUT /api/campaigns/:id
+ * @access Private/Admin
+ */
+export const editCampaign = asyncHandler(async (req, res) => {
+  const { campaign, books } = await updateCampaign(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: campaign,
+    books,
+    message: 'Sale campaign updated successfully',
+  });
+});
+
+/**
+ * Delete a campaign and its prices
+ * @route DELETE /api/campaigns/:id
+ * @access Private/Admin
+ */
+export const removeCampaign = asyncHandler(async (req, res) => {
+  await deleteCampaign(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Sale campaign deleted successfully',
+  });
+});
@@ -0,0 +1,85 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  listSeries,
+  getSeriesWithVolumes,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+} from '../services/seriesService.js';
+
+/**
+ * List series
+ * @route GET /api/series
+ * @access Public
+ * @query {string} search - Part of the name, in either script
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Series per page (default: 20)
+ */
+export const getSeriesList = asyncHandler(async (req, res) => {
+  const { search, page, limit } = req.query;
+  const result = await listSeries({ search, page, limit });
+
+  res.json({
+    success: true,
+    data: result.series,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Get a series by ID or slug, with its volumes in order
+ * @route GET /api/series/:id
+ * @access Public
+ */
+export const getSeries = asyncHandler(async (req, res) => {
+  const series = await getSeriesWithVolumes(req.params.id);
+
+  res.json({
+    success: true,
+    data: series,
+  });
+});
+
+/**
+ * Create a series
+ * @route POST /api/series
+ * @access Private/Admin
+ */
+export const addSeries = asyncHandler(async (req, res) => {
+  const series = await createSeries(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: series,
+    message: 'Series created successfully',
+  });
+});
+
+/**
+ * Update a series
+ * @route PUT /api/series/:id
+ * @access Private/Admin
+ */
+export const editSeries = asyncHandler(async (req, res) => {
+  const series = await updateSeries(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: series,
+    message: 'Series updated successfully',
+  });
+});
+
+/**
+ * Delete a series; its works leave it but are not deleted
+ * @route DELETE /api/series/:id
+ * @access Private/Admin
+ */
+export const removeSeries = asyncHandler(async (req, res) => {
+  await deleteSeries(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Series deleted successfully',
+  });
+});
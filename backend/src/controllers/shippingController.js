@@ -0,0 +1,128 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { BadRequestError } from '../utils/errors.js';
+import {
+  checkPincode,
+  getShippingSettings,
+  listZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  importPincodes,
+} from '../services/shippingService.js';
+
+/**
+ * Check delivery to a pincode: serviceability, shipping charge, COD and ETA
+ * @route GET /api/shipping/check/:pincode
+ * @access Public
+ * @query {number} subtotal - Cart subtotal for the free-shipping check (default: 0)
+ */
+export const checkServiceability = asyncHandler(async (req, res) => {
+  const { pincode } = req.params;
+  const subtotal = Number(req.query.subtotal) || 0;
+
+  const result = await checkPincode(pincode, { subtotal });
+
+  logger.debug('Pincode checked', { pincode, serviceable: result.serviceable });
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * Store-wide shipping settings (free-shipping threshold, default rate)
+ * @route GET /api/shipping/settings
+ * @access Public
+ */
+export const getSettings = asyncHandler(async (req, res) => {
+  const settings = await getShippingSettings();
+
+  res.json({
+    success: true,
+    data: settings,
+  });
+});
+
+/**
+ * List shipping zones
+ * @route GET /api/shipping/zones
+ * @access Private/Admin
+ */
+export const getZones = asyncHandler(async (req, res) => {
+  const zones = await listZones();
+
+  res.json({
+    success: true,
+    data: zones,
+  });
+});
+
+/**
+ * Create a shipping zone
+ * @route POST /api/shipping/zones
+ * @access Private/Admin
+ */
+export const addZone = asyncHandler(async (req, res) => {
+  const zone = await createZone(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: zone,
+    message: 'Shipping zone created successfully',
+  });
+});
+
+/**
+ * Update a shipping zone
+ * @route PUT /api/shipping/zones/:code
+ * @access Private/Admin
+ */
+export const editZone = asyncHandler(async (req, res) => {
+  const zone = await updateZone(req.params.code, req.body);
+
+  res.json({
+    success: true,
+    data: zone,
+    message: 'Shipping zone updated successfully',
+  });
+});
+
+/**
+ * Delete an unused shipping zone
+ * @route DELETE /api/shipping/zones/:code
+ * @access Private/Admin
+ */
+export const removeZone = asyncHandler(async (req, res) => {
+  await deleteZone(req.params.code);
+
+  res.json({
+    success: true,
+    message: 'Shipping zone deleted successfully',
+  });
+});
+
+/**
+ * Import the pincode→zone table from CSV
+ * Send the file as a text/csv body, or JSON { csv: "<file contents>" }
+ * @route POST /api/shipping/pincodes/import
+ * @access Private/Admin
+ * @query {boolean} dryRun - Validate and report without writing
+ */
+export const importPincodeCsv = asyncHandler(async (req, res) => {
+  const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!csvText) {
+    throw new BadRequestError('CSV content is required (text/csv body or { csv } JSON)');
+  }
+
+  logger.info('Importing pincodes', { adminId: req.user.id, dryRun });
+  const report = await importPincodes(csvText, { dryRun });
+
+  res.json({
+    success: true,
+    data: report,
+    message: dryRun ? 'Dry run complete - nothing was saved' : 'Pincodes imported',
+  });
+});
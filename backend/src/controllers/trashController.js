@@ -0,0 +1,53 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import logger from '../utils/logger.js';
+import { listDeletedBooks, restoreBook, purgeBook } from '../services/trashService.js';
+
+/**
+ * List deleted books with who deleted them, when, and when they'll be purged
+ * @route GET /api/admin/trash/books
+ * @access Private/Admin
+ * @query {string} search - Part of the title, author or ISBN
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Books per page (default: 20)
+ */
+export const getTrash = asyncHandler(async (req, res) => {
+  const { search, page, limit } = req.query;
+  const result = await listDeletedBooks({ search, page, limit });
+
+  res.json({
+    success: true,
+    data: result.books,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * Restore a deleted book
+ * @route POST /api/admin/trash/books/:id/restore
+ * @access Private/Admin
+ */
+export const restoreTrashedBook = asyncHandler(async (req, res) => {
+  logger.info('Restoring book', { bookId: req.params.id, adminId: req.user.id });
+  const book = await restoreBook(req.params.id, { actor: req.user });
+
+  res.json({
+    success: true,
+    data: book,
+    message: 'Book restored successfully',
+  });
+});
+
+/**
+ * Delete a book in the trash for good, with its images and history
+ * @route DELETE /api/admin/trash/books/:id
+ * @access Private/Admin
+ */
+export const purgeTrashedBook = asyncHandler(async (req, res) => {
+  logger.info('Purging book', { bookId: req.params.id, adminId: req.user.id });
+  await purgeBook(req.params.id, { actor: req.user });
+
+  res.json({
+    success: true,
+    message: 'Book permanently deleted',
+  });
+});
@@ -75,7 +75,7 @@ export const updateUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete user (Admin only)
+ * Delete user (Admin only; soft delete, their orders and reviews stay)
  * @route DELETE /api/users/:id
  * @access Private/Admin
  * @param {import('express').Request} req - Express request object
@@ -92,7 +92,7 @@ export const deleteUser = asyncHandler(async (req, res) => {
     throw new NotFoundError('User not found');
   }
 
-  await user.deleteOne();
+  await user.softDelete(req.user._id);
 
   logger.info('User deleted successfully', { userId: id });
   res.json({
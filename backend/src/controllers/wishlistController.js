@@ -0,0 +1,80 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist,
+  mergeWishlist,
+} from '../services/wishlistService.js';
+
+/**
+ * Get the logged-in user's wishlist with current prices and stock
+ * @route GET /api/wishlist
+ * @access Private
+ */
+export const getMyWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await getWishlist(req.user.id);
+
+  res.json({
+    success: true,
+    data: wishlist,
+  });
+});
+
+/**
+ * Add a book to the wishlist
+ * @route POST /api/wishlist/items
+ * @access Private
+ */
+export const addWishlistItem = asyncHandler(async (req, res) => {
+  const wishlist = await addToWishlist(req.user.id, req.body.bookId);
+
+  res.status(201).json({
+    success: true,
+    data: wishlist,
+    message: 'Added to wishlist',
+  });
+});
+
+/**
+ * Remove a book from the wishlist
+ * @route DELETE /api/wishlist/items/:bookId
+ * @access Private
+ */
+export const removeWishlistItem = asyncHandler(async (req, res) => {
+  const wishlist = await removeFromWishlist(req.user.id, req.params.bookId);
+
+  res.json({
+    success: true,
+    data: wishlist,
+    message: 'Removed from wishlist',
+  });
+});
+
+/**
+ * Empty the wishlist
+ * @route DELETE /api/wishlist
+ * @access Private
+ */
+export const clearMyWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await clearWishlist(req.user.id);
+
+  res.json({
+    success: true,
+    data: wishlist,
+  });
+});
+
+/**
+ * Merge the device's guest wishlist into the user's wishlist (call right after login)
+ * @route POST /api/wishlist/merge
+ * @access Private
+ */
+export const mergeGuestWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await mergeWishlist(req.user.id, req.body.bookIds);
+
+  res.json({
+    success: true,
+    data: wishlist,
+  });
+});
@@ -0,0 +1,65 @@
+import asyncHandler from '../middleware/asyncHandler.js';
+import {
+  getWorkWithEditions,
+  createWork,
+  updateWork,
+  deleteWork,
+} from '../services/workService.js';
+
+/**
+ * Get a work with its editions and series
+ * @route GET /api/works/:id
+ * @access Public
+ */
+export const getWork = asyncHandler(async (req, res) => {
+  const work = await getWorkWithEditions(req.params.id);
+
+  res.json({
+    success: true,
+    data: work,
+  });
+});
+
+/**
+ * Group books as editions of one work
+ * @route POST /api/works
+ * @access Private/Admin
+ */
+export const addWork = asyncHandler(async (req, res) => {
+  const work = await createWork(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: work,
+    message: 'Work created successfully',
+  });
+});
+
+/**
+ * Update a work's title, series, volume or editions
+ * @route PUT /api/works/:id
+ * @access Private/Admin
+ */
+export const editWork = asyncHandler(async (req, res) => {
+  const work = await updateWork(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: work,
+    message: 'Work updated successfully',
+  });
+});
+
+/**
+ * Delete a work; its editions become standalone books
+ * @route DELETE /api/works/:id
+ * @access Private/Admin
+ */
+export const removeWork = asyncHandler(async (req, res) => {
+  await deleteWork(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Work deleted successfully',
+  });
+});
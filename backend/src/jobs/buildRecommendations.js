@@ -0,0 +1,32 @@
+/**
+ * Rebuild recommendations from the command line (same as the nightly job)
+ *
+ * Run with: npm run recommendations:build
+ * Useful after importing a catalogue or orders, or where scheduled jobs are
+ * disabled (SCHEDULED_JOBS_ENABLED=false) and an external cron runs this instead.
+ */
+
+import mongoose from 'mongoose';
+import { config } from '../config/env.js';
+import { runRecommendationJob } from './recommendationJob.js';
+
+const main = async () => {
+  try {
+    await mongoose.connect(config.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const stats = await runRecommendationJob();
+    if (stats) {
+      console.log('Recommendations rebuilt:', stats);
+    } else {
+      console.log('Skipped: another rebuild is running');
+    }
+  } catch (error) {
+    console.error('Rebuild failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main();
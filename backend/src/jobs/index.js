@@ -0,0 +1,39 @@
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { scheduleRecommendationJob } from './recommendationJob.js';
+import { scheduleTrashPurgeJob } from './trashPurgeJob.js';
+import { scheduleSaleCampaignJob } from './saleCampaignJob.js';
+import { scheduleReplenishmentJob } from './replenishmentJob.js';
+import { scheduleUnpaidOrderJob } from './unpaidOrderJob.js';
+
+let schedules = [];
+
+/**
+ * Start the background jobs (call once the database is connected)
+ *
+ * Safe to call in every cluster worker: each run takes a lock in MongoDB.
+ */
+export const startScheduledJobs = () => {
+  if (!config.SCHEDULED_JOBS_ENABLED) {
+    logger.info('Scheduled jobs disabled');
+    return;
+  }
+
+  schedules = [scheduleRecommendationJob(), scheduleSaleCampaignJob(), scheduleReplenishmentJob()];
+  // TRASH_RETENTION_DAYS=0 keeps deleted books until they're purged by hand
+  if (config.TRASH_RETENTION_DAYS > 0) {
+    schedules.push(scheduleTrashPurgeJob());
+  }
+  // UNPAID_ORDER_TTL_MINUTES=0 keeps unpaid orders until they're cancelled by hand
+  if (config.UNPAID_ORDER_TTL_MINUTES > 0) {
+    schedules.push(scheduleUnpaidOrderJob());
+  }
+};
+
+/**
+ * Cancel all schedules (graceful shutdown)
+ */
+export const stopScheduledJobs = () => {
+  schedules.forEach((schedule) => schedule.stop());
+  schedules = [];
+};
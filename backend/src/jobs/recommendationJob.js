@@ -0,0 +1,25 @@
+import { config } from '../config/env.js';
+import { rebuildRecommendations } from '../services/recommendationService.js';
+import { runJob, scheduleDaily } from './scheduler.js';
+
+export const RECOMMENDATION_JOB = 'recommendations';
+
+// A full rebuild on a large catalogue can take a while; don't let a second worker start one
+const LOCK_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Rebuild recommendations now (admin "rebuild" button, CLI)
+ * @returns {Promise<Object|null>} Job stats, or null if a rebuild is already running
+ */
+export const runRecommendationJob = () =>
+  runJob(RECOMMENDATION_JOB, rebuildRecommendations, { lockMs: LOCK_MS });
+
+/**
+ * Schedule the nightly rebuild (RECOMMENDATION_JOB_HOUR, local time)
+ * @returns {{stop: Function}} Schedule handle
+ */
+export const scheduleRecommendationJob = () =>
+  scheduleDaily(RECOMMENDATION_JOB, rebuildRecommendations, {
+    hour: config.RECOMMENDATION_JOB_HOUR,
+    lockMs: LOCK_MS,
+  });
@@ -0,0 +1,20 @@
+import { config } from '../config/env.js';
+import { sendLowStockAlerts } from '../services/replenishmentService.js';
+import { runJob, scheduleDaily } from './scheduler.js';
+
+export const REPLENISHMENT_JOB = 'low-stock-alerts';
+
+/**
+ * Alert admins about books running out within their lead time now (CLI, tests)
+ * @returns {Promise<Object|null>} Job stats, or null if a run is already going
+ */
+export const runReplenishmentJob = () => runJob(REPLENISHMENT_JOB, () => sendLowStockAlerts());
+
+/**
+ * Schedule the daily alerts (REPLENISHMENT_JOB_HOUR, local time)
+ * @returns {{stop: Function}} Schedule handle
+ */
+export const scheduleReplenishmentJob = () =>
+  scheduleDaily(REPLENISHMENT_JOB, () => sendLowStockAlerts(), {
+    hour: config.REPLENISHMENT_JOB_HOUR,
+  });
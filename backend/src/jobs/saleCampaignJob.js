@@ -0,0 +1,20 @@
+import { config } from '../config/env.js';
+import { syncAllCampaigns } from '../services/saleCampaignService.js';
+import { runJob, scheduleDaily } from './scheduler.js';
+
+export const SALE_CAMPAIGN_JOB = 'sale-campaign-sync';
+
+/**
+ * Re-sync campaign prices on every book now (CLI, tests)
+ * @returns {Promise<Object|null>} Job stats, or null if a sync is already running
+ */
+export const runSaleCampaignJob = () => runJob(SALE_CAMPAIGN_JOB, () => syncAllCampaigns());
+
+/**
+ * Schedule the nightly sync (SALE_CAMPAIGN_JOB_HOUR, local time)
+ * @returns {{stop: Function}} Schedule handle
+ */
+export const scheduleSaleCampaignJob = () =>
+  scheduleDaily(SALE_CAMPAIGN_JOB, () => syncAllCampaigns(), {
+    hour: config.SALE_CAMPAIGN_JOB_HOUR,
+  });
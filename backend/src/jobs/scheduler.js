@@ -0,0 +1,198 @@
+import os from 'os';
+import JobRun from '../models/JobRun.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Run a job under its lock
+ *
+ * The lock is a JobRun document, so only one process across the cluster (or
+ * several servers) runs the job at a time. A crashed run is taken over once its
+ * lock expires.
+ *
+ * @param {string} name - Job name
+ * @param {Function} task - async () => stats
+ * @param {Object} [options] - Options
+ * @param {number} [options.lockMs=3600000] - How long the lock is held at most
+ * @param {number} [options.minIntervalMs=0] - Skip if the last success was more recent
+ * @returns {Promise<Object|null>} The task's stats, or null if skipped
+ */
+export const runJob = async (name, task, { lockMs = 60 * 60 * 1000, minIntervalMs = 0 } = {}) => {
+  const now = new Date();
+
+  let run;
+  try {
+    run = await JobRun.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }],
+        ...(minIntervalMs && {
+          $and: [
+            {
+              $or: [
+                { lastSucceededAt: null },
+                { lastSucceededAt: { $lt: new Date(now.getTime() - minIntervalMs) } },
+              ],
+            },
+          ],
+        }),
+      },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + lockMs),
+          lockedBy: OWNER,
+          status: 'running',
+          lastStartedAt: now,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // The job document exists but didn't match: someone else holds the lock or it ran recently
+    if (error.code === 11000) {
+      logger.debug('Job skipped', { job: name });
+      return null;
+    }
+    throw error;
+  }
+
+  logger.info('Job started', { job: name, owner: OWNER });
+
+  try {
+    const stats = await task();
+    const finishedAt = new Date();
+
+    await JobRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: 'succeeded',
+          lastFinishedAt: finishedAt,
+          lastSucceededAt: finishedAt,
+          durationMs: finishedAt - now,
+          stats,
+          lockedUntil: null,
+        },
+        $unset: { error: 1 },
+      }
+    );
+
+    logger.info('Job finished', { job: name, durationMs: finishedAt - now, stats });
+    return stats;
+  } catch (error) {
+    await JobRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: 'failed',
+          lastFinishedAt: new Date(),
+          error: error.message,
+          lockedUntil: null,
+        },
+      }
+    );
+
+    logger.error('Job failed', { job: name, error: error.message, stack: error.stack });
+    throw error;
+  }
+};
+
+/**
+ * Milliseconds until the next occurrence of a local time of day
+ * @param {number} hour - Hour (0-23)
+ * @param {number} [minute=0] - Minute
+ * @param {Date} [from=new Date()] - Reference time
+ * @returns {number} Delay in milliseconds (never 0)
+ */
+export const msUntilNext = (hour, minute = 0, from = new Date()) => {
+  const next = new Date(from);
+  next.setHours(hour, minute, 0, 0);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next - from;
+};
+
+/**
+ * Run a job every day at a fixed local time
+ *
+ * Every process may schedule it; runJob's lock and minIntervalMs keep it to one
+ * run per day. Timers are unref'd so they never keep the process alive.
+ *
+ * @param {string} name - Job name
+ * @param {Function} task - async () => stats
+ * @param {Object} options - Options
+ * @param {number} options.hour - Local hour to run at
+ * @param {number} [options.minute=0] - Minute past the hour
+ * @param {number} [options.lockMs] - See runJob
+ * @returns {{stop: Function}} Handle to cancel the schedule
+ */
+export const scheduleDaily = (name, task, { hour, minute = 0, lockMs } = {}) => {
+  let timer;
+
+  const scheduleNext = () => {
+    const delay = msUntilNext(hour, minute);
+    timer = setTimeout(async () => {
+      try {
+        // A bit under a day, so clock drift can't make the next night's run skip
+        await runJob(name, task, { lockMs, minIntervalMs: DAY_MS / 2 });
+      } catch (error) {
+        // Already logged by runJob; try again tomorrow
+      }
+      scheduleNext();
+    }, delay);
+    timer.unref();
+  };
+
+  scheduleNext();
+  logger.info('Job scheduled', { job: name, hour, minute });
+
+  return {
+    stop: () => clearTimeout(timer),
+  };
+};
+
+/**
+ * Run a job at a fixed interval
+ *
+ * Like scheduleDaily, every process may schedule it: runJob's lock and
+ * minIntervalMs keep it to about one run per interval across all of them.
+ *
+ * @param {string} name - Job name
+ * @param {Function} task - async () => stats
+ * @param {Object} options - Options
+ * @param {number} options.intervalMs - Time between runs
+ * @param {number} [options.lockMs] - See runJob
+ * @returns {{stop: Function}} Handle to cancel the schedule
+ */
+export const scheduleEvery = (name, task, { intervalMs, lockMs } = {}) => {
+  let timer;
+
+  const scheduleNext = () => {
+    timer = setTimeout(async () => {
+      try {
+        // Half the interval, so timers that drift apart between processes can't make runs skip
+        await runJob(name, task, { lockMs, minIntervalMs: intervalMs / 2 });
+      } catch (error) {
+        // Already logged by runJob; try again next interval
+      }
+      scheduleNext();
+    }, intervalMs);
+    timer.unref();
+  };
+
+  scheduleNext();
+  logger.info('Job scheduled', { job: name, intervalMs });
+
+  return {
+    stop: () => clearTimeout(timer),
+  };
+};
+
+/**
+ * Last run details for every job (admin status)
+ * @returns {Promise<Array>} JobRun documents
+ */
+export const getJobRuns = () => JobRun.find().sort({ name: 1 }).lean();
@@ -0,0 +1,20 @@
+import { config } from '../config/env.js';
+import { purgeExpiredBooks } from '../services/trashService.js';
+import { runJob, scheduleDaily } from './scheduler.js';
+
+export const TRASH_PURGE_JOB = 'trash-purge';
+
+/**
+ * Purge books past TRASH_RETENTION_DAYS now (CLI, tests)
+ * @returns {Promise<Object|null>} Job stats, or null if a purge is already running
+ */
+export const runTrashPurgeJob = () => runJob(TRASH_PURGE_JOB, () => purgeExpiredBooks());
+
+/**
+ * Schedule the nightly purge (TRASH_PURGE_JOB_HOUR, local time)
+ * @returns {{stop: Function}} Schedule handle
+ */
+export const scheduleTrashPurgeJob = () =>
+  scheduleDaily(TRASH_PURGE_JOB, () => purgeExpiredBooks(), {
+    hour: config.TRASH_PURGE_JOB_HOUR,
+  });
@@ -0,0 +1,22 @@
+import { expireUnpaidOrders } from '../services/orderService.js';
+import { runJob, scheduleEvery } from './scheduler.js';
+
+export const UNPAID_ORDER_JOB = 'unpaid-order-expiry';
+
+const INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Cancel orders still unpaid after UNPAID_ORDER_TTL_MINUTES now (CLI, tests)
+ * @returns {Promise<Object|null>} Job stats, or null if a run is already going
+ */
+export const runUnpaidOrderJob = () => runJob(UNPAID_ORDER_JOB, () => expireUnpaidOrders());
+
+/**
+ * Schedule the expiry every 15 minutes, so stock is back on sale soon after the TTL
+ * @returns {{stop: Function}} Schedule handle
+ */
+export const scheduleUnpaidOrderJob = () =>
+  scheduleEvery(UNPAID_ORDER_JOB, () => expireUnpaidOrders(), {
+    intervalMs: INTERVAL_MS,
+    lockMs: INTERVAL_MS,
+  });
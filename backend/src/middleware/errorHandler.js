@@ -5,6 +5,7 @@ import {
   NotFoundError,
   ConflictError,
   UnauthorizedError,
+  PayloadTooLargeError,
   InternalServerError,
 } from '../utils/errors.js';
 
@@ -60,6 +61,10 @@ const errorHandler = (err, req, res, next) => {
       .join(', ');
     error = new BadRequestError(message);
   }
+  // Body parser size limit - convert to PayloadTooLargeError
+  else if (err.type === 'entity.too.large') {
+    error = new PayloadTooLargeError(`Request body is larger than ${err.limit} bytes`);
+  }
   // JWT errors - convert to UnauthorizedError
   else if (err.name === 'JsonWebTokenError') {
     error = new UnauthorizedError('Invalid token');
@@ -146,6 +146,19 @@ export const orderLimiter = rateLimit({
   },
 });
 
+/**
+ * Rate limiter for checkout stock reservations
+ * Held stock can't be sold to anyone else, so holding and renewing is throttled
+ */
+export const reservationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 holds or renewals per 15 minutes
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: skipInTest,
+  handler: createHandler('reservation'),
+});
+
 /**
  * Sensitive operations limiter (password reset, email verification)
  */
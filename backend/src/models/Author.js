@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * Author Schema - A writer with names in both scripts
+ *
+ * Books keep the author as written on the cover (Book.author) and point at
+ * their authors through Book.authorIds. nameKeys and initialsKeys are
+ * script-neutral keys of every name and alias, so "ଫକୀରମୋହନ ସେନାପତି",
+ * "Fakir Mohan Senapati" and "F. M. Senapati" all find the same author
+ * (see services/authorService.js). The service fills them in on every write.
+ */
+const authorSchema = new mongoose.Schema(
+  {
+    name: {
+      // Name shown on the author page; usually the one readers know best
+      display: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      english: {
+        type: String,
+        trim: true,
+      },
+      odia: {
+        type: String,
+        trim: true,
+      },
+    },
+    // URL name for the author page (/authors/fakir-mohan-senapati)
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Other spellings and pen names books credit the author under
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    nameKeys: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // Keys for credits with initials ("F. M. Senapati" → "fm|snpti")
+    initialsKeys: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // One line under the name, e.g. "Father of Modern Odia Literature"
+    epithet: {
+      english: { type: String, trim: true },
+      odia: { type: String, trim: true },
+    },
+    bio: {
+      english: { type: String, default: '' },
+      odia: { type: String, default: '' },
+    },
+    photo: {
+      type: String,
+      default: '',
+    },
+    birthYear: {
+      type: Number,
+      default: null,
+    },
+    deathYear: {
+      type: Number,
+      default: null,
+    },
+    // Shown in the home page author spotlight
+    isFeatured: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authorSchema.index({ 'name.display': 1, _id: 1 });
+
+export default mongoose.model('Author', authorSchema);
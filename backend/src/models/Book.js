@@ -1,5 +1,70 @@
+import { EventEmitter } from 'events';
 import mongoose from 'mongoose';
 
+/**
+ * Formats a book can be sold in; each one is a separate edition (ISBN)
+ * @type {Array<string>}
+ */
+export const BOOK_FORMATS = ['Paperback', 'Hardcover', 'Board Book', 'Spiral Bound', 'eBook'];
+
+/**
+ * One uploaded image of a book, in three sizes
+ * The files live in storage (see services/storage) as <key>-thumb.webp,
+ * <key>-medium.webp and <key>-large.webp; the URLs are kept here so reads
+ * don't need the storage adapter.
+ */
+const bookImageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  thumb: String,
+  medium: String,
+  large: String,
+  // Size of the large variant
+  width: Number,
+  height: Number,
+  alt: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+});
+
+/**
+ * A sale campaign's price for this book, copied from the campaign (see
+ * models/SaleCampaign.js) with its window so finalPrice can tell whether it's
+ * live without another query
+ */
+const bookSaleSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SaleCampaign',
+      required: true,
+    },
+    name: String,
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    perCustomerLimit: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const bookSchema = new mongoose.Schema(
   {
     // NEW NESTED STRUCTURE
@@ -25,6 +90,12 @@ const bookSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // The people credited in author, matched by name (see services/authorService.js)
+    authorIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+      default: [],
+      index: true,
+    },
     description: {
       type: String,
       required: true,
@@ -47,6 +118,11 @@ const bookSchema = new mongoose.Schema(
         max: 100,
       },
     },
+    // Scheduled and live campaign prices; managed by services/saleCampaignService.js
+    sales: {
+      type: [bookSaleSchema],
+      default: [],
+    },
     category: {
       type: String,
       required: true,
@@ -56,16 +132,58 @@ const bookSchema = new mongoose.Schema(
       unique: true,
       sparse: true,
     },
+    // The work this book is an edition of (see models/Work.js); null for
+    // books that only come in one form
+    work: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Work',
+      default: null,
+      index: true,
+    },
+    format: {
+      type: String,
+      enum: BOOK_FORMATS,
+      default: 'Paperback',
+    },
+    edition: {
+      // "2nd", "Revised 2024"
+      label: {
+        type: String,
+        trim: true,
+      },
+      year: {
+        type: Number,
+        default: null,
+      },
+    },
     stock: {
       type: Number,
       required: true,
       default: 0,
       min: 0,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Stock must be a whole number',
+      },
+    },
+    // Days from reordering to copies on the shelf; null uses REPLENISHMENT_LEAD_TIME_DAYS
+    leadTimeDays: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 365,
     },
+    // Cover URL. Books with uploaded images get the medium size of the first
+    // one here (see services/bookImageService.js); otherwise any hosted URL.
     image: {
       type: String,
       default: '',
     },
+    // Uploaded images in display order; the first is the cover
+    images: {
+      type: [bookImageSchema],
+      default: [],
+    },
     rating: {
       type: Number,
       default: 0,
@@ -89,18 +207,39 @@ const bookSchema = new mongoose.Schema(
       default: [],
       index: true,
     },
+    reviewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     reviews: [
       {
         user: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'User',
         },
-        rating: Number,
+        rating: {
+          type: Number,
+          min: 1,
+          max: 5,
+        },
+        title: {
+          type: String,
+          trim: true,
+        },
         comment: String,
+        // True when the reviewer has a delivered order containing this book
+        verified: {
+          type: Boolean,
+          default: false,
+        },
         createdAt: {
           type: Date,
           default: Date.now,
         },
+        updatedAt: {
+          type: Date,
+        },
       },
     ],
   },
@@ -127,21 +266,98 @@ bookSchema.virtual('titleDisplay').get(function () {
   return this.title?.display || '';
 });
 
+/**
+ * Work out what a book sells for right now. Pure, and works on lean documents
+ * as well (listings don't get virtuals).
+ *
+ * The regular price is price.discounted when set, otherwise price.original. A
+ * campaign price in sales applies from its startsAt until its endsAt when it's
+ * lower than that; the lowest one wins if campaigns overlap.
+ *
+ * @param {Object} book - Book document or lean object
+ * @param {Date} [now] - Point in time to price at
+ * @returns {{finalPrice: number, hasDiscount: boolean, savings: number, activeSale: Object|null}}
+ *   activeSale is { campaign, name, price, startsAt, endsAt, perCustomerLimit }
+ */
+export const bookPricing = (book, now = new Date()) => {
+  const original = book.price?.original || 0;
+  const regular = book.price?.discounted || original;
+
+  const activeSale =
+    (book.sales || [])
+      .filter((sale) => sale.startsAt <= now && now < sale.endsAt && sale.price < regular)
+      .sort((a, b) => a.price - b.price || a.endsAt - b.endsAt)[0] || null;
+
+  const finalPrice = activeSale ? activeSale.price : regular;
+  const hasDiscount = Boolean(activeSale) || book.price?.discountPercent > 0;
+
+  return {
+    finalPrice,
+    hasDiscount,
+    savings: hasDiscount ? original - finalPrice : 0,
+    activeSale: activeSale && {
+      campaign: activeSale.campaign,
+      name: activeSale.name,
+      price: activeSale.price,
+      startsAt: activeSale.startsAt,
+      endsAt: activeSale.endsAt,
+      perCustomerLimit: activeSale.perCustomerLimit ?? null,
+    },
+  };
+};
+
+/**
+ * bookPricing's finalPrice as an aggregation expression, so MongoDB can
+ * filter and bucket books by what they sell for
+ * @param {Date} [now] - Point in time to price at
+ * @returns {Object} Aggregation expression
+ */
+export const finalPriceExpression = (now = new Date()) => ({
+  $min: [
+    { $cond: [{ $gt: ['$price.discounted', 0] }, '$price.discounted', '$price.original'] },
+    // $min of no live sales is null, which $min above ignores
+    {
+      $min: {
+        $map: {
+          input: {
+            $filter: {
+              input: { $ifNull: ['$sales', []] },
+              as: 'sale',
+              cond: { $and: [{ $lte: ['$$sale.startsAt', now] }, { $gt: ['$$sale.endsAt', now] }] },
+            },
+          },
+          as: 'sale',
+          in: '$$sale.price',
+        },
+      },
+    },
+  ],
+});
+
 /**
  * Virtual: finalPrice
- * Returns the active selling price (discounted if available, otherwise original)
+ * Returns the active selling price: a live campaign price, else the discounted
+ * price if set, otherwise the original (see bookPricing)
  * Usage: book.finalPrice instead of manually checking price.discounted
  */
 bookSchema.virtual('finalPrice').get(function () {
-  return this.price?.discounted || this.price?.original || 0;
+  return bookPricing(this).finalPrice;
+});
+
+/**
+ * Virtual: activeSale
+ * The live campaign price, with its end time for countdowns (null if none)
+ */
+bookSchema.virtual('activeSale').get(function getActiveSale() {
+  return bookPricing(this).activeSale;
 });
 
 /**
  * Virtual: hasDiscount
- * Returns true if the book has an active discount
+ * Returns true if the book has an active discount or sale
  */
 bookSchema.virtual('hasDiscount').get(function () {
-  return this.price?.discountPercent > 0;
+  return bookPricing(this).hasDiscount;
 });
 
 /**
@@ -149,8 +365,7 @@ bookSchema.virtual('hasDiscount').get(function () {
  * Returns the amount saved if there's a discount
  */
 bookSchema.virtual('savings').get(function () {
-  if (!this.hasDiscount) return 0;
-  return (this.price?.original || 0) - (this.price?.discounted || 0);
+  return bookPricing(this).savings;
 });
 
 // ============================================================================
@@ -159,6 +374,19 @@ bookSchema.virtual('savings').get(function () {
 // Create text index on title.display for full-text search
 bookSchema.index({ 'title.display': 'text', description: 'text', author: 'text' });
 
+// ============================================================================
+// LISTING INDEXES
+// ============================================================================
+// One per listing sort, with _id as the tie-breaker used by cursor pagination
+// (see services/bookService.js listBooks). Each also serves the reverse order.
+bookSchema.index({ createdAt: -1, _id: -1 });
+bookSchema.index({ 'price.discounted': 1, _id: 1 });
+bookSchema.index({ 'title.display': 1, _id: 1 });
+bookSchema.index({ author: 1, _id: 1 });
+bookSchema.index({ rating: -1, _id: -1 });
+// Books in a campaign (deals listing, campaign sync)
+bookSchema.index({ 'sales.campaign': 1 });
+
 // ============================================================================
 // METHODS
 // ============================================================================
@@ -185,9 +413,143 @@ bookSchema.methods.removeDiscount = function () {
   return this;
 };
 
+/**
+ * Recompute rating and reviewCount from the embedded reviews
+ * Call after any review is added, edited or removed
+ */
+bookSchema.methods.recalculateRating = function recalculateRating() {
+  const rated = this.reviews.filter((review) => review.rating > 0);
+  this.reviewCount = rated.length;
+  this.rating = rated.length
+    ? Math.round((rated.reduce((sum, review) => sum + review.rating, 0) / rated.length) * 10) / 10
+    : 0;
+  return this;
+};
+
+// ============================================================================
+// CHANGE EVENTS
+// ============================================================================
+
+// Fields the search index reads (see services/searchService.js)
+const SEARCHABLE_PATHS = [
+  'title',
+  'author',
+  'description',
+  'tags',
+  'category',
+  'language',
+  'price',
+  'isDeleted',
+];
+
+/**
+ * Emits 'change' with the book id after any write that touches a searchable
+ * field: create, update, soft delete, restore and delete, including
+ * updateOne/updateMany and (through emitBulkWriteChanges) bulk writes.
+ * Listeners re-read the book, so an id is all they get.
+ */
+export const bookEvents = new EventEmitter();
+
+bookSchema.pre('save', function trackSearchableChanges(next) {
+  // Stock and rating saves (orders, reviews) don't concern the search index
+  this.$locals.searchableChanged =
+    this.isNew || SEARCHABLE_PATHS.some((path) => this.isModified(path));
+  next();
+});
+
+bookSchema.post('save', (doc) => {
+  if (doc.$locals.searchableChanged) bookEvents.emit('change', doc._id);
+});
+
+/**
+ * Whether an update writes a searchable field (or a field inside or around one)
+ * @param {Object|Array} update - Query update; a pipeline counts as touching everything
+ * @returns {boolean}
+ */
+const touchesSearchable = (update) => {
+  if (!update || Array.isArray(update)) return true;
+  const paths = Object.entries(update).flatMap(([key, value]) =>
+    key.startsWith('$') ? Object.keys(value || {}) : [key]
+  );
+  return paths.some((path) =>
+    SEARCHABLE_PATHS.some(
+      (searchable) =>
+        path === searchable ||
+        path.startsWith(`${searchable}.`) ||
+        searchable.startsWith(`${path}.`)
+    )
+  );
+};
+
+bookSchema.post('findOneAndUpdate', function emitSearchableChange(doc) {
+  // Stock and rating updates don't concern the search index either
+  if (doc && touchesSearchable(this.getUpdate())) bookEvents.emit('change', doc._id);
+});
+
+bookSchema.post('deleteOne', { document: true, query: false }, (doc) => {
+  bookEvents.emit('change', doc._id);
+});
+
+// updateOne and updateMany don't return the books, so those they will write
+// are looked up first (with the same trash visibility as the update)
+const pendingChanges = new WeakMap();
+
+bookSchema.pre(
+  ['updateOne', 'updateMany'],
+  { document: false, query: true },
+  async function findSearchableChanges() {
+    if (!touchesSearchable(this.getUpdate())) return;
+    const { includeDeleted, session } = this.getOptions();
+    const books = await this.model
+      .find(this.getFilter())
+      .setOptions({ includeDeleted })
+      .session(session || null)
+      .select('_id')
+      .lean();
+    pendingChanges.set(
+      this,
+      books.map((book) => book._id)
+    );
+  }
+);
+
+bookSchema.post(
+  ['updateOne', 'updateMany'],
+  { document: false, query: true },
+  function emitChanges() {
+    (pendingChanges.get(this) || []).forEach((id) => bookEvents.emit('change', id));
+    pendingChanges.delete(this);
+  }
+);
+
 import softDeletePlugin from './plugins/softDelete.js';
 
 // Apply Soft Delete Plugin
 bookSchema.plugin(softDeletePlugin);
 
-export default mongoose.model('Book', bookSchema);
+const Book = mongoose.model('Book', bookSchema);
+
+/**
+ * Emit 'change' for the books a Book.bulkWrite() wrote a searchable field of
+ * bulkWrite skips query middleware, so callers pass their operations here
+ * once it's done. Updates are matched by their filter again.
+ * @param {Array<Object>} operations - The bulkWrite operations
+ * @returns {Promise<void>}
+ */
+export const emitBulkWriteChanges = async (operations) => {
+  const ids = await Promise.all(
+    operations.map(async (operation) => {
+      const [type, { document, filter, update }] = Object.entries(operation)[0];
+      if (type === 'insertOne') return [document._id];
+      if (!type.startsWith('update') || !touchesSearchable(update)) return [];
+      const books = await Book.find(filter)
+        .setOptions({ includeDeleted: true })
+        .select('_id')
+        .lean();
+      return books.map((book) => book._id);
+    })
+  );
+  ids.flat().forEach((id) => bookEvents.emit('change', id));
+};
+
+export default Book;
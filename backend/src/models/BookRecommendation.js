@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * BookRecommendation Schema - Precomputed neighbours of one book
+ *
+ * Written by the nightly recommendation job (see services/recommendationService).
+ * - alsoBought: books that appear in the same orders (co-purchase)
+ * - similar: books with the closest category/language/author/tags/grade profile
+ */
+const bookRecommendationSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+      unique: true,
+    },
+    alsoBought: [
+      {
+        _id: false,
+        book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+        score: { type: Number, required: true },
+        // Orders containing both books
+        count: { type: Number, required: true },
+      },
+    ],
+    similar: [
+      {
+        _id: false,
+        book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+        score: { type: Number, required: true },
+      },
+    ],
+    computedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+const BookRecommendation = mongoose.model('BookRecommendation', bookRecommendationSchema);
+
+export default BookRecommendation;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * What happened to the book in a version
+ * revert is an update that put the fields of an earlier version back.
+ * @type {Array<string>}
+ */
+export const BOOK_VERSION_ACTIONS = ['create', 'update', 'delete', 'restore', 'revert'];
+
+/**
+ * BookVersion Schema - One entry of a book's change history
+ *
+ * Versions are numbered from 1 per book and never edited. Each keeps the
+ * catalogue fields as they were after the change (snapshot), which is what
+ * a revert puts back, and the fields that changed since the previous version.
+ */
+const bookVersionSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    action: {
+      type: String,
+      enum: BOOK_VERSION_ACTIONS,
+      required: true,
+    },
+    // The admin who made the change; null for scripts run from the CLI
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Kept so the history still reads right after the account is gone
+    actorName: {
+      type: String,
+      default: 'system',
+    },
+    // Field-level diff: dotted paths, e.g. price.original
+    changes: [
+      {
+        _id: false,
+        path: { type: String, required: true },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // For reverts: the version that was put back
+    revertOf: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bookVersionSchema.index({ book: 1, version: -1 }, { unique: true });
+
+const BookVersion = mongoose.model('BookVersion', bookVersionSchema);
+
+export default BookVersion;
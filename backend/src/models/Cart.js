@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+/**
+ * Maximum distinct books in one cart (matches APP_CONFIG.MAX_CART_ITEMS)
+ */
+export const MAX_CART_LINES = 100;
+
+/**
+ * Cart Schema - A logged-in customer's cart, shared by web and mobile
+ *
+ * Guests keep their cart on the device and merge it in after login.
+ * price/title are snapshots from when the line was last read, used only to
+ * tell the customer that a price changed; checkout always re-prices.
+ */
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        book: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Book',
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        price: {
+          type: Number,
+          min: 0,
+        },
+        title: {
+          type: String,
+          trim: true,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Find the line for a book
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Object|undefined} Cart line
+ */
+cartSchema.methods.findItem = function findItem(bookId) {
+  return this.items.find((item) => item.book.toString() === bookId.toString());
+};
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
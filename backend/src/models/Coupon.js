@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+export const COUPON_TYPES = ['percentage', 'flat', 'free_shipping'];
+
+/**
+ * Coupon Schema - Promo codes redeemable at checkout
+ *
+ * Types:
+ * - percentage: value% off the eligible subtotal, optionally capped by maxDiscount
+ * - flat: fixed ₹value off the eligible subtotal
+ * - free_shipping: waives the order's shipping cost
+ *
+ * When categories is non-empty the coupon only applies to cart items in those
+ * categories (the minimum cart value is still checked against the whole cart).
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: COUPON_TYPES,
+      required: true,
+    },
+    // Percent for 'percentage', rupees for 'flat', ignored for 'free_shipping'
+    value: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Upper bound on a percentage discount (null = no cap)
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    // Restrict to these Book categories (empty = whole cart)
+    categories: {
+      type: [String],
+      default: [],
+    },
+    minCartValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Validity window
+    validFrom: {
+      type: Date,
+      default: Date.now,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Usage limits (null = unlimited)
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Redemptions by non-cancelled orders
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponSchema.pre('validate', function checkCouponValues(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage coupons need a value between 1 and 100');
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    this.invalidate('value', 'Flat coupons need a positive value');
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+/**
+ * Whether the coupon can be used at the given moment (ignores usage limits)
+ * @param {Date} [now] - Point in time to check
+ * @returns {boolean} True if active and inside the validity window
+ */
+couponSchema.methods.isCurrentlyValid = function isCurrentlyValid(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && now < this.validFrom) return false;
+  if (this.validUntil && now > this.validUntil) return false;
+  return true;
+};
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+export default Coupon;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * CouponRedemption Schema - How many times one customer has used one coupon
+ *
+ * The coupon's perUserLimit is enforced on this counter rather than by
+ * counting orders: each order bumps it inside its transaction, guarded by the
+ * limit, so two checkouts placed at once can't both slip under it. Cancelling
+ * an order gives the use back.
+ *
+ * A customer is a signed-in user ('user:<id>') or a phone number
+ * ('phone:<number>'), see utils/customerKeys.js.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    // The code as stored on the coupon and on orders (upper case)
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    customer: {
+      type: String,
+      required: true,
+    },
+    // Only ever changed with $inc
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+couponRedemptionSchema.index({ code: 1, customer: 1 }, { unique: true });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
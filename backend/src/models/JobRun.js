@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const JOB_STATUSES = ['running', 'succeeded', 'failed'];
+
+/**
+ * JobRun Schema - Lock and last-run record for a scheduled background job
+ *
+ * One document per job name. Every server process (and cluster worker) schedules
+ * the same jobs; the lock makes sure only one of them runs each time.
+ */
+const jobRunSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+    },
+    lastStartedAt: Date,
+    lastFinishedAt: Date,
+    lastSucceededAt: Date,
+    durationMs: Number,
+    // Whatever the job returned (counts etc.)
+    stats: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['price_drop', 'back_in_stock', 'low_stock'];
+
+/**
+ * Notification Schema - In-app alerts for a customer (web navbar, mobile app)
+ * and for admins (low_stock, in the admin panel)
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Type-specific details, e.g. { oldPrice, newPrice } or { stock }
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ user: 1, updatedAt: -1 });
+// Old notifications expire after 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -1,12 +1,36 @@
 import mongoose from 'mongoose';
+import { BadRequestError } from '../utils/errors.js';
+import { softDeletePlugin } from './plugins/softDelete.js';
+
+export const ORDER_STATUSES = [
+  'Pending',
+  'Confirmed',
+  'Processing',
+  'Shipped',
+  'Delivered',
+  'Cancelled',
+];
+
+/**
+ * Allowed status transitions. Delivered and Cancelled are terminal.
+ * Once an order has shipped it can no longer be cancelled.
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Confirmed', 'Cancelled'],
+  Confirmed: ['Processing', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
 
 /**
  * Order Schema - Supports both authenticated users and guest checkout
- * 
+ *
  * For Guest Orders:
  * - user field is null
  * - customerName, customerPhone, customerAddress are required
- * 
+ *
  * For Authenticated Orders:
  * - user field references User model
  * - customer fields can be auto-filled from user profile
@@ -60,6 +84,12 @@ const orderSchema = new mongoose.Schema(
           type: String,
           required: true,
         },
+        // Sale campaign the price came from (counts towards its per-customer cap)
+        campaign: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'SaleCampaign',
+          default: null,
+        },
       },
     ],
 
@@ -69,24 +99,98 @@ const orderSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Computed by shippingService from the delivery pincode's zone
     shippingCost: {
       type: Number,
-      default: 50, // Flat ₹50 shipping
+      default: 0,
+      min: 0,
+    },
+    shippingZone: {
+      type: String,
+    },
+    deliveryPincode: {
+      type: String,
+      trim: true,
+    },
+    // Items total before any discount
+    subtotal: {
+      type: Number,
       min: 0,
     },
+    // Total taken off by the coupon (items + shipping)
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Snapshot of the applied coupon (kept even if the coupon is later deleted)
+    coupon: {
+      code: {
+        type: String,
+        uppercase: true,
+        trim: true,
+      },
+      type: {
+        type: String,
+      },
+      discount: {
+        type: Number,
+        min: 0,
+      },
+      shippingDiscount: {
+        type: Number,
+        min: 0,
+      },
+    },
 
     // Order status tracking
     status: {
       type: String,
-      enum: ['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
+      enum: ORDER_STATUSES,
       default: 'Pending',
       required: true,
     },
 
-    // Payment details (optional - for future implementation)
+    // Every status change, oldest first
+    statusHistory: [
+      {
+        status: {
+          type: String,
+          enum: ORDER_STATUSES,
+          required: true,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        // null for guest or system changes
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
+        actorRole: {
+          type: String,
+          enum: ['customer', 'admin', 'system'],
+          default: 'system',
+        },
+        note: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+
+    // Payment details; attempts and refunds live in the Payment collection
     paymentMethod: {
       type: String,
-      default: 'Cash on Delivery',
+      default: 'cod',
+    },
+    // Extra charge for cash on delivery (from the shipping zone)
+    codCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
     isPaid: {
       type: Boolean,
@@ -105,6 +209,19 @@ const orderSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Cancellation details
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+
     // Notes or special instructions
     notes: {
       type: String,
@@ -116,9 +233,104 @@ const orderSchema = new mongoose.Schema(
   }
 );
 
+// Seed the timeline with the initial status
+orderSchema.pre('save', function seedStatusHistory(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedAt: this.createdAt || new Date(),
+      changedBy: this.user || null,
+      actorRole: this.user ? 'customer' : 'system',
+      note: 'Order placed',
+    });
+  }
+  next();
+});
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} True if the transition is in the graph
+ */
+orderSchema.statics.canTransition = function canTransition(from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Statuses this order may move to next
+ * @returns {string[]} Allowed target statuses
+ */
+orderSchema.methods.allowedTransitions = function allowedTransitions() {
+  return ORDER_STATUS_TRANSITIONS[this.status] || [];
+};
+
+/**
+ * Move the order to a new status and record it in statusHistory
+ * Does not save; callers save (optionally inside their transaction)
+ * @param {string} status - Target status
+ * @param {Object} [options] - Change metadata
+ * @param {Object} [options.actor] - The user making the change ({ id, role })
+ * @param {string} [options.note] - Free-text note shown on the timeline
+ * @returns {this} The order
+ * @throws {BadRequestError} If the transition is not allowed
+ */
+orderSchema.methods.transitionTo = function transitionTo(status, { actor, note } = {}) {
+  if (!this.constructor.canTransition(this.status, status)) {
+    const allowed = this.allowedTransitions();
+    throw new BadRequestError(
+      `Cannot change order status from ${this.status} to ${status}. ` +
+        `Allowed: ${allowed.length ? allowed.join(', ') : 'none (final status)'}`
+    );
+  }
+
+  let actorRole = 'system';
+  if (actor) actorRole = actor.role === 'admin' ? 'admin' : 'customer';
+
+  const changedAt = new Date();
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    changedAt,
+    changedBy: actor?.id || null,
+    actorRole,
+    note,
+  });
+
+  if (status === 'Delivered') {
+    this.isDelivered = true;
+    this.deliveredAt = changedAt;
+  }
+
+  return this;
+};
+
+/**
+ * Mark the order as paid and confirm it if it's still Pending
+ * Does not save
+ * @param {Object} payment - The successful payment ({ method, paidAt })
+ * @param {Object} [actor] - Who recorded it (omit for gateway webhooks)
+ * @returns {this} The order
+ */
+orderSchema.methods.markPaid = function markPaid({ method, paidAt }, actor) {
+  this.isPaid = true;
+  this.paidAt = paidAt;
+  this.paymentMethod = method;
+
+  if (this.status === 'Pending') {
+    this.transitionTo('Confirmed', { actor, note: `Payment received (${method.toUpperCase()})` });
+  }
+
+  return this;
+};
+
 // Index for efficient querying
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ customerPhone: 1 });
+orderSchema.index({ 'coupon.code': 1, user: 1 });
+
+// Deleted orders stay in the database (and in sales stats) but leave listings
+orderSchema.plugin(softDeletePlugin);
 
 export default mongoose.model('Order', orderSchema);
@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_STATUSES = [
+  'requires_action', // waiting on the customer (e.g. redirect to the gateway)
+  'processing', // submitted, waiting for the gateway webhook
+  'succeeded',
+  'failed',
+  'partially_refunded',
+  'refunded',
+];
+
+export const PAYMENT_METHODS = ['upi', 'card', 'netbanking', 'wallet', 'cod'];
+
+/**
+ * Payment Schema - One attempt to pay for an order through a provider
+ *
+ * An order can have several attempts (e.g. a failed UPI payment followed by a
+ * successful card payment). The gateway's webhook is the source of truth for
+ * the final status; the client is never trusted to mark a payment as paid.
+ */
+const paymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    // null for guest checkout
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // 'mock', 'manual' (admin-recorded, e.g. COD collected), or a real gateway
+    provider: {
+      type: String,
+      required: true,
+    },
+    // The provider's intent/payment ID
+    providerPaymentId: {
+      type: String,
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: 'processing',
+    },
+    // Client-supplied Idempotency-Key for intent creation
+    idempotencyKey: {
+      type: String,
+    },
+    failureReason: {
+      type: String,
+    },
+    paidAt: {
+      type: Date,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Held for refunds being sent to the provider (see refundPayment); only changed with $inc
+    refundsReserved: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    refunds: [
+      {
+        providerRefundId: {
+          type: String,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'succeeded', 'failed'],
+          default: 'pending',
+        },
+        idempotencyKey: {
+          type: String,
+        },
+        createdBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          default: null,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Webhook events already applied (for de-duplicating redeliveries)
+    events: [
+      {
+        eventId: {
+          type: String,
+          required: true,
+        },
+        type: {
+          type: String,
+          required: true,
+        },
+        receivedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    // Concurrent refunds must not both pass the refundableAmount() check
+    optimisticConcurrency: true,
+  }
+);
+
+/**
+ * Amount that can still be refunded
+ * @returns {number} Amount in ₹
+ */
+paymentSchema.methods.refundableAmount = function refundableAmount() {
+  if (!['succeeded', 'partially_refunded'].includes(this.status)) return 0;
+  const pending = this.refunds
+    .filter((refund) => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, this.amount - this.amountRefunded - (this.refundsReserved || 0) - pending);
+};
+
+/**
+ * Whether the payment has been captured at some point (even if since refunded)
+ * @returns {boolean}
+ */
+paymentSchema.methods.isCaptured = function isCaptured() {
+  return ['succeeded', 'partially_refunded', 'refunded'].includes(this.status);
+};
+
+/**
+ * Record a capture reported by the provider. Does not save.
+ * @param {Date} [at] - When the money was captured
+ * @returns {this} The payment
+ */
+paymentSchema.methods.markSucceeded = function markSucceeded(at = new Date()) {
+  this.status = 'succeeded';
+  this.paidAt = at;
+  this.failureReason = undefined;
+  return this;
+};
+
+/**
+ * Record a failure reported by the provider; a late failure never overrides a capture.
+ * Does not save.
+ * @param {string} [reason] - Provider's failure reason
+ * @returns {this} The payment
+ */
+paymentSchema.methods.markFailed = function markFailed(reason) {
+  if (this.isCaptured()) return this;
+  this.status = 'failed';
+  this.failureReason = reason || 'Payment failed';
+  return this;
+};
+
+/**
+ * Settle a pending refund and roll the total up into the payment status. Does not save.
+ * @param {Object} refund - Entry of this.refunds
+ * @param {'succeeded'|'failed'} status - Outcome reported by the provider
+ * @returns {this} The payment
+ */
+paymentSchema.methods.settleRefund = function settleRefund(refund, status) {
+  if (refund.status !== 'pending') return this;
+
+  refund.status = status; // eslint-disable-line no-param-reassign
+  if (status === 'succeeded') {
+    this.amountRefunded += refund.amount;
+    this.status = this.amountRefunded >= this.amount ? 'refunded' : 'partially_refunded';
+  }
+  return this;
+};
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ 'events.eventId': 1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+/**
+ * Pincode Schema - Maps an Indian postal code to a shipping zone
+ * Populated by the admin CSV import (POST /api/shipping/pincodes/import)
+ */
+const pincodeSchema = new mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      match: [/^[1-9][0-9]{5}$/, 'Pincode must be 6 digits'],
+    },
+    // ShippingZone.code
+    zone: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      index: true,
+    },
+    city: {
+      type: String,
+      trim: true,
+    },
+    district: {
+      type: String,
+      trim: true,
+    },
+    state: {
+      type: String,
+      trim: true,
+    },
+    isServiceable: {
+      type: Boolean,
+      default: true,
+    },
+    // Per-pincode COD override (null = follow the zone)
+    codAvailable: {
+      type: Boolean,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Pincode = mongoose.model('Pincode', pincodeSchema);
+
+export default Pincode;
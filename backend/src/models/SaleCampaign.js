@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+export const SALE_DISCOUNT_TYPES = ['percent', 'fixed_price'];
+
+/**
+ * Sale Campaign Schema - Time-boxed sale prices
+ *
+ * Discount types:
+ * - percent: value% off each book's original price
+ * - fixed_price: every targeted book sells for ₹value
+ *
+ * A book is targeted when it's listed in books, or its category is in
+ * categories, or it has one of tags. The sale price of each targeted book is
+ * copied onto it (Book.sales, see services/saleCampaignService.js) together
+ * with the time window, so Book.finalPrice switches to it at startsAt and back
+ * at endsAt on its own.
+ */
+const saleCampaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+
+    // Sale window: live from startsAt until (not including) endsAt
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+
+    discountType: {
+      type: String,
+      enum: SALE_DISCOUNT_TYPES,
+      required: true,
+    },
+    // Percent for 'percent', rupees for 'fixed_price'
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // Targets (at least one must be set)
+    books: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Book' }],
+      default: [],
+    },
+    categories: {
+      type: [String],
+      default: [],
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+
+    // Most copies of campaign books one customer may buy at the sale price
+    // over the whole campaign (null = no cap)
+    perCustomerLimit: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
+
+    // Switch a campaign off early without deleting it
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+saleCampaignSchema.pre('validate', function checkCampaignValues(next) {
+  if (this.discountType === 'percent' && (this.value <= 0 || this.value >= 100)) {
+    this.invalidate('value', 'Percent sales need a value between 1 and 99');
+  }
+  if (this.discountType === 'fixed_price' && this.value <= 0) {
+    this.invalidate('value', 'Fixed-price sales need a positive price');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (this.books.length === 0 && this.categories.length === 0 && this.tags.length === 0) {
+    this.invalidate('books', 'A campaign needs at least one book, category or tag');
+  }
+  next();
+});
+
+/**
+ * Sale price of a book with the given original price
+ * @param {number} originalPrice - Book's price.original
+ * @returns {number} Price during the campaign, rounded to paise
+ */
+saleCampaignSchema.methods.salePriceFor = function salePriceFor(originalPrice) {
+  const price =
+    this.discountType === 'percent' ? originalPrice * (1 - this.value / 100) : this.value;
+  return Math.round(price * 100) / 100;
+};
+
+/**
+ * Whether the campaign's prices apply at the given moment
+ * @param {Date} [now] - Point in time to check
+ * @returns {boolean} True if active and inside the sale window
+ */
+saleCampaignSchema.methods.isLive = function isLive(now = new Date()) {
+  return this.isActive && this.startsAt <= now && now < this.endsAt;
+};
+
+saleCampaignSchema.index({ isActive: 1, endsAt: 1 });
+
+const SaleCampaign = mongoose.model('SaleCampaign', saleCampaignSchema);
+
+export default SaleCampaign;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * SalePurchase Schema - Copies one customer has bought from one capped campaign
+ *
+ * The per-customer cap is enforced on this counter rather than by counting
+ * orders: each order bumps it inside its transaction, guarded by the cap, so
+ * two checkouts placed at once can't both slip under it. Cancelling an order
+ * gives its copies back.
+ *
+ * A customer is a signed-in user ('user:<id>') or a guest phone number
+ * ('phone:<number>'). Guests can switch numbers, so their cap is best effort.
+ */
+const salePurchaseSchema = new mongoose.Schema(
+  {
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SaleCampaign',
+      required: true,
+    },
+    customer: {
+      type: String,
+      required: true,
+    },
+    // Only ever changed with $inc
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+salePurchaseSchema.index({ campaign: 1, customer: 1 }, { unique: true });
+
+const SalePurchase = mongoose.model('SalePurchase', salePurchaseSchema);
+
+export default SalePurchase;
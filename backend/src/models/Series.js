@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Series Schema - Works published as numbered volumes
+ *
+ * Works join a series with a volume number (Work.series, Work.seriesVolume);
+ * the series itself only has a name and a description.
+ */
+const seriesSchema = new mongoose.Schema(
+  {
+    name: {
+      display: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      english: {
+        type: String,
+        trim: true,
+      },
+      odia: {
+        type: String,
+        trim: true,
+      },
+    },
+    // URL name for the series (/series/odia-sahityara-itihasa)
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+export default mongoose.model('Series', seriesSchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * ShippingZone Schema - Rate card for a group of pincodes
+ *
+ * Pincodes map to a zone by code (see Pincode model). Pincodes missing from the
+ * table fall back to the zone flagged isDefault; with no default zone they are
+ * treated as not serviceable.
+ */
+const shippingZoneSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Standard shipping charge in ₹
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Overrides the store-wide threshold (null = use FREE_SHIPPING_THRESHOLD)
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    codAvailable: {
+      type: Boolean,
+      default: true,
+    },
+    // Extra charged for Cash on Delivery below the free-shipping threshold
+    codCharge: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Delivery estimate in business days
+    etaMinDays: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    etaMaxDays: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Next-day delivery surcharge (null = express not offered)
+    expressRate: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shippingZoneSchema.pre('validate', function checkEta(next) {
+  if (this.etaMaxDays < this.etaMinDays) {
+    this.invalidate('etaMaxDays', 'etaMaxDays must be greater than or equal to etaMinDays');
+  }
+  next();
+});
+
+// Only one zone can be the fallback
+shippingZoneSchema.index(
+  { isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { BadRequestError } from '../utils/errors.js';
+
+/**
+ * Why a book's stock changed
+ * opening is the balance a book had when the ledger started (new books,
+ * imports and the open-stock-ledger script); adjustment is a physical count.
+ * @type {Array<string>}
+ */
+export const STOCK_MOVEMENT_REASONS = [
+  'opening',
+  'sale',
+  'cancellation',
+  'restock',
+  'damage',
+  'adjustment',
+];
+
+/**
+ * StockMovement Schema - One entry of the stock ledger
+ *
+ * The ledger is append-only: entries are never edited or deleted, so the
+ * changes of a book always add up to its stock. Mistakes are corrected by a
+ * new adjustment. stockAfter is the book's stock right after the change.
+ * Only purging a book from the trash takes its entries with it (straight
+ * through the collection, past the guard below).
+ */
+const stockMovementSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: STOCK_MOVEMENT_REASONS,
+      required: true,
+    },
+    // Units in (positive) or out (negative)
+    change: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (value) => Number.isInteger(value) && value !== 0,
+        message: 'Change must be a non-zero whole number',
+      },
+    },
+    stockAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Who made the change; null for the system and CLI scripts
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Kept so the ledger still reads right after the account is gone
+    actorName: {
+      type: String,
+      default: 'system',
+    },
+    // The order behind a sale or cancellation
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Note must be less than 300 characters'],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+stockMovementSchema.index({ book: 1, createdAt: -1 });
+stockMovementSchema.index({ createdAt: -1, reason: 1 });
+stockMovementSchema.index({ order: 1 }, { sparse: true });
+
+/**
+ * Refuse edits and deletes through the model
+ */
+function rejectLedgerRewrite() {
+  throw new BadRequestError('Stock movements cannot be changed; record an adjustment instead');
+}
+
+const LEDGER_REWRITE_OPS = [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+];
+
+stockMovementSchema.pre(LEDGER_REWRITE_OPS, { document: false, query: true }, rejectLedgerRewrite);
+stockMovementSchema.pre('deleteOne', { document: true, query: false }, rejectLedgerRewrite);
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+export default StockMovement;
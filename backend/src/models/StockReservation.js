@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * Most copies of one book a checkout can hold (matches APP_CONFIG.MAX_HELD_PER_LINE).
+ * Clients hold at most this many of a bigger line; the order can still buy them all.
+ */
+export const MAX_HELD_PER_LINE = 10;
+
+/**
+ * Most checkouts holding stock at once for one customer (signed-in) or one IP (guests)
+ */
+export const MAX_ACTIVE_CHECKOUTS = 3;
+
+/**
+ * Longest a checkout can keep renewing its hold; after that it lapses and
+ * holding again starts over at the back of the queue
+ */
+export const MAX_CHECKOUT_MINUTES = 60;
+
+/**
+ * StockReservation Schema - Copies of a book held for one checkout
+ *
+ * A checkout holds its cart's stock from the moment it starts, so nobody else
+ * can buy the last copies while the customer pays. Holds expire on their own:
+ * anything past expiresAt no longer counts against stock, and MongoDB's TTL
+ * monitor deletes it shortly after. Placing the order takes the hold over.
+ */
+const stockReservationSchema = new mongoose.Schema(
+  {
+    // Random ID of the checkout, handed to the client when it reserves
+    checkout: {
+      type: String,
+      required: true,
+    },
+    // The signed-in customer, so their own holds don't count against them; null for guests
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Where a guest reserved from, to cap how many checkouts one client can hold
+    ip: {
+      type: String,
+      default: null,
+    },
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Book',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1'],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Place in the queue for the book: set when the line is new or asks for more copies
+    queuedAt: {
+      type: Date,
+      required: true,
+    },
+    // When the checkout first held stock; renewals can't go past MAX_CHECKOUT_MINUTES from here
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockReservationSchema.index({ checkout: 1, book: 1 }, { unique: true });
+stockReservationSchema.index({ book: 1, expiresAt: 1 });
+stockReservationSchema.index({ user: 1, expiresAt: 1 });
+stockReservationSchema.index({ ip: 1, expiresAt: 1 });
+stockReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StockReservation = mongoose.model('StockReservation', stockReservationSchema);
+
+export default StockReservation;
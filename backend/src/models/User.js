@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { softDeletePlugin } from './plugins/softDelete.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -72,4 +73,7 @@ userSchema.methods.matchPassword = async function comparePassword(enteredPasswor
   return bcrypt.compare(enteredPassword, this.password);
 };
 
+// Deleted accounts stay in the database (orders and reviews point at them) but can't sign in
+userSchema.plugin(softDeletePlugin);
+
 export default mongoose.model('User', userSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+export const RECOMMENDATION_REASONS = ['also_bought', 'similar', 'popular'];
+
+/**
+ * UserRecommendation Schema - Precomputed personalised home feed
+ *
+ * Written by the nightly recommendation job from the user's orders and wishlist.
+ */
+const userRecommendationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        _id: false,
+        book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+        score: { type: Number, required: true },
+        reason: { type: String, enum: RECOMMENDATION_REASONS, required: true },
+        // The purchased/wishlisted book that led to this one
+        basedOn: { type: mongoose.Schema.Types.ObjectId, ref: 'Book' },
+      },
+    ],
+    computedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+const UserRecommendation = mongoose.model('UserRecommendation', userRecommendationSchema);
+
+export default UserRecommendation;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * Maximum books on one wishlist
+ */
+export const MAX_WISHLIST_ITEMS = 200;
+
+/**
+ * Wishlist Schema - Books a customer has saved, shared by web and mobile
+ *
+ * Also drives price-drop and back-in-stock notifications (see notificationService).
+ */
+const wishlistSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        book: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Book',
+          required: true,
+        },
+        // Price when saved, so the list can show "₹X less than when you saved it"
+        priceWhenAdded: {
+          type: Number,
+          min: 0,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Find every wishlist holding a book (for notifications)
+wishlistSchema.index({ 'items.book': 1 });
+
+const Wishlist = mongoose.model('Wishlist', wishlistSchema);
+
+export default Wishlist;
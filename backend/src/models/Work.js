@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Work Schema - One title, whatever it's printed as
+ *
+ * Each edition or format of a work (paperback, hardcover, the revised 2024
+ * textbook) is its own Book with its own ISBN, price and stock, pointing here
+ * through Book.work. Books that only come in one form don't need a work.
+ */
+const workSchema = new mongoose.Schema(
+  {
+    title: {
+      display: {
+        type: String,
+        required: true,
+        trim: true,
+      },
+      english: {
+        type: String,
+        trim: true,
+      },
+      odia: {
+        type: String,
+        trim: true,
+      },
+    },
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Series',
+      default: null,
+    },
+    // Place in the series (1, 2, 3 ... ; 2.5 for an in-between volume)
+    seriesVolume: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+workSchema.index({ series: 1, seriesVolume: 1 });
+
+export default mongoose.model('Work', workSchema);
@@ -13,6 +13,9 @@
  * 
  * Modified Behavior:
  * - find(), findOne(), etc. will exclude deleted documents by default
+ * - .setOptions({ includeDeleted: true }) turns that off
+ * - aggregate() is left alone: pipelines that should skip deleted documents
+ *   match { isDeleted: { $ne: true } } themselves
  */
 
 import mongoose from 'mongoose';
@@ -11,7 +11,32 @@ import {
     getTopProducts,
     getAllBooks,
     getInventorySummary,
+    getJobStatus,
+    rebuildRecommendations,
+    reindexSearch,
 } from '../controllers/adminController.js';
+import { getTrash, restoreTrashedBook, purgeTrashedBook } from '../controllers/trashController.js';
+import validate from '../middleware/validation.js';
+import { listTrashRules, trashBookIdRules } from '../validators/trashValidator.js';
+import {
+    receiveBookStock,
+    writeOffBookStock,
+    countBookStock,
+    getBookStockLedger,
+    getStockReconciliation,
+} from '../controllers/inventoryController.js';
+import {
+    stockQuantityRules,
+    stockCountRules,
+    stockLedgerRules,
+    reconciliationRules,
+    inventorySummaryRules,
+} from '../validators/inventoryValidator.js';
+import { getReplenishment, exportReplenishment } from '../controllers/replenishmentController.js';
+import {
+    listReplenishmentRules,
+    exportReplenishmentRules,
+} from '../validators/replenishmentValidator.js';
 
 const router = express.Router();
 
@@ -25,6 +50,11 @@ router.get('/dashboard/stats', getDashboardStats);
 // Books/Products Management
 router.get('/books', getAllBooks);
 
+// Trash: deleted books, restored or purged for good (TRASH_RETENTION_DAYS purges the rest)
+router.get('/trash/books', listTrashRules, validate, getTrash);
+router.post('/trash/books/:id/restore', trashBookIdRules, validate, restoreTrashedBook);
+router.delete('/trash/books/:id', trashBookIdRules, validate, purgeTrashedBook);
+
 // User Management
 router.get('/users', getAllUsers);
 router.get('/users/:id', getUserById);
@@ -34,11 +64,27 @@ router.put('/users/:id/role', updateUserRole);
 router.get('/orders', getAllOrders);
 router.put('/orders/:id/status', updateOrderStatus);
 
-// Inventory
-router.get('/inventory', getInventorySummary);
+// Inventory: every stock change goes through the ledger (receive, write off, count)
+router.get('/inventory', inventorySummaryRules, validate, getInventorySummary);
+router.get('/inventory/reconciliation', reconciliationRules, validate, getStockReconciliation);
+router.get('/inventory/books/:id/movements', stockLedgerRules, validate, getBookStockLedger);
+router.post('/inventory/books/:id/receive', stockQuantityRules, validate, receiveBookStock);
+router.post('/inventory/books/:id/damage', stockQuantityRules, validate, writeOffBookStock);
+router.post('/inventory/books/:id/count', stockCountRules, validate, countBookStock);
+
+// Replenishment: reorder suggestions from sales velocity (REPLENISHMENT_* settings)
+router.get('/replenishment', listReplenishmentRules, validate, getReplenishment);
+router.get('/replenishment/export', exportReplenishmentRules, validate, exportReplenishment);
 
 // Analytics
 router.get('/analytics/sales', getAnalyticsSales);
 router.get('/analytics/top-products', getTopProducts);
 
+// Background jobs
+router.get('/jobs', getJobStatus);
+router.post('/recommendations/rebuild', rebuildRecommendations);
+
+// Search index
+router.post('/search/reindex', reindexSearch);
+
 export default router;
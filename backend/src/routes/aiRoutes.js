@@ -1,10 +1,43 @@
 import express from 'express';
-import { getRecommendations, aiSearch } from '../controllers/aiController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import {
+  getRecommendations,
+  getBookRecommendations,
+  aiSearch,
+} from '../controllers/aiController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  recommendationsRules,
+  bookRecommendationsRules,
+  searchRules,
+} from '../validators/aiValidator.js';
 
 const router = express.Router();
 
-router.get('/recommendations', protect, getRecommendations);
-router.post('/search', aiSearch);
+/**
+ * @route   GET /api/ai/recommendations
+ * @desc    Home feed: personalised when logged in, popular books for guests
+ * @access  Public
+ */
+router.get('/recommendations', optionalAuth, recommendationsRules, validate, getRecommendations);
+
+/**
+ * @route   GET /api/ai/recommendations/books/:bookId
+ * @desc    "Customers also bought" and similar books
+ * @access  Public
+ */
+router.get(
+  '/recommendations/books/:bookId',
+  bookRecommendationsRules,
+  validate,
+  getBookRecommendations
+);
+
+/**
+ * @route   POST /api/ai/search
+ * @desc    Natural-language search: parses filters out of free text
+ * @access  Public
+ */
+router.post('/search', searchRules, validate, aiSearch);
 
 export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import {
+  getAuthors,
+  getAuthor,
+  addAuthor,
+  editAuthor,
+  removeAuthor,
+} from '../controllers/authorController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  createAuthorRules,
+  updateAuthorRules,
+  authorIdRules,
+  getAuthorRules,
+  listAuthorsRules,
+} from '../validators/authorValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/authors
+ * @desc    List authors (search by name in either script, or featured only)
+ * @access  Public
+ *
+ * @route   POST /api/authors
+ * @desc    Create an author
+ * @access  Private/Admin
+ */
+router
+  .route('/')
+  .get(listAuthorsRules, validate, getAuthors)
+  .post(protect, admin, createAuthorRules, validate, addAuthor);
+
+/**
+ * @route   GET /api/authors/:id
+ * @desc    Get an author by ID or slug
+ * @access  Public
+ *
+ * @route   PUT|DELETE /api/authors/:id
+ * @desc    Update or delete an author
+ * @access  Private/Admin
+ */
+router
+  .route('/:id')
+  .get(getAuthorRules, validate, getAuthor)
+  .put(protect, admin, updateAuthorRules, validate, editAuthor)
+  .delete(protect, admin, authorIdRules, validate, removeAuthor);
+
+export default router;
@@ -5,13 +5,56 @@ import {
     createBook,
     updateBook,
     deleteBook,
+    restoreBook,
     getCategories,
     getLanguages,
     getGrades,
     getFilterStats,
-    getSearchSuggestions
+    getSearchSuggestions,
+    importBookCatalog,
+    exportBookCatalog,
 } from '../controllers/bookController.js';
+import {
+    uploadBookImage,
+    reorderImages,
+    editBookImage,
+    deleteBookImage,
+} from '../controllers/bookImageController.js';
+import {
+    getHistory,
+    getVersion,
+    revertToVersion,
+} from '../controllers/bookHistoryController.js';
+import { XLSX_CONTENT_TYPE } from '../services/bookImportService.js';
+import { IMAGE_CONTENT_TYPES } from '../services/bookImageService.js';
+import { config } from '../config/env.js';
+import {
+    getBookReviews,
+    createBookReview,
+    updateBookReview,
+    deleteBookReview,
+} from '../controllers/reviewController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+    getReviewsRules,
+    createReviewRules,
+    updateReviewRules,
+    deleteReviewRules,
+} from '../validators/reviewValidator.js';
+import {
+    createBookRules,
+    updateBookRules,
+    importBooksRules,
+    exportBooksRules,
+    uploadBookImageRules,
+    reorderBookImagesRules,
+    updateBookImageRules,
+    bookImageIdRules,
+    bookHistoryRules,
+    bookVersionRules,
+    getBookByIdRules,
+} from '../validators/bookValidator.js';
 
 const router = express.Router();
 
@@ -57,6 +100,13 @@ router.get('/filters', getFilterStats);
  */
 router.get('/', getBooks);
 
+/**
+ * @route   GET /api/v1/books/export
+ * @desc    Download the catalogue as CSV, JSON or ONIX 3.0 (filter by category, language, stock, update date)
+ * @access  Private/Admin
+ */
+router.get('/export', protect, admin, exportBooksRules, validate, exportBookCatalog);
+
 /**
  * @route   GET /api/v1/books/:id
  * @desc    Get single book by ID
@@ -64,23 +114,141 @@ router.get('/', getBooks);
  */
 router.get('/:id', getBook);
 
+/**
+ * @route   GET /api/v1/books/:id/reviews
+ * @desc    Get paginated reviews for a book
+ * @access  Public
+ *
+ * @route   POST /api/v1/books/:id/reviews
+ * @desc    Review a book (verified purchasers only)
+ * @access  Private
+ *
+ * @route   PUT /api/v1/books/:id/reviews
+ * @desc    Edit your own review
+ * @access  Private
+ *
+ * @route   DELETE /api/v1/books/:id/reviews
+ * @desc    Delete your own review
+ * @access  Private
+ */
+router
+    .route('/:id/reviews')
+    .get(getReviewsRules, validate, getBookReviews)
+    .post(protect, createReviewRules, validate, createBookReview)
+    .put(protect, updateReviewRules, validate, updateBookReview)
+    .delete(protect, deleteReviewRules, validate, deleteBookReview);
+
+/**
+ * @route   DELETE /api/v1/books/:id/reviews/:reviewId
+ * @desc    Delete any review (moderation)
+ * @access  Private/Admin
+ */
+router.delete('/:id/reviews/:reviewId', protect, admin, deleteReviewRules, validate, deleteBookReview);
+
+/**
+ * @route   POST /api/v1/books/:id/images
+ * @desc    Upload an image (JPEG, PNG or WebP body); stored as thumb/medium/large WebP
+ * @access  Private/Admin
+ */
+router.post(
+    '/:id/images',
+    protect,
+    admin,
+    express.raw({ type: IMAGE_CONTENT_TYPES, limit: config.IMAGE_MAX_BYTES }),
+    uploadBookImageRules,
+    validate,
+    uploadBookImage
+);
+
+/**
+ * @route   PUT /api/v1/books/:id/images/order
+ * @desc    Reorder a book's images (the first is the cover)
+ * @access  Private/Admin
+ */
+router.put('/:id/images/order', protect, admin, reorderBookImagesRules, validate, reorderImages);
+
+/**
+ * @route   PATCH /api/v1/books/:id/images/:imageId
+ * @desc    Update an image's alt text
+ * @access  Private/Admin
+ *
+ * @route   DELETE /api/v1/books/:id/images/:imageId
+ * @desc    Remove an image and delete its files
+ * @access  Private/Admin
+ */
+router
+    .route('/:id/images/:imageId')
+    .patch(protect, admin, updateBookImageRules, validate, editBookImage)
+    .delete(protect, admin, bookImageIdRules, validate, deleteBookImage);
+
+/**
+ * @route   GET /api/v1/books/:id/history
+ * @desc    List a book's versions: who changed what, and when
+ * @access  Private/Admin
+ */
+router.get('/:id/history', protect, admin, bookHistoryRules, validate, getHistory);
+
+/**
+ * @route   GET /api/v1/books/:id/history/:version
+ * @desc    Get one version with the book's fields as they were
+ * @access  Private/Admin
+ */
+router.get('/:id/history/:version', protect, admin, bookVersionRules, validate, getVersion);
+
+/**
+ * @route   POST /api/v1/books/:id/history/:version/revert
+ * @desc    Put the book's fields back as they were in a version
+ * @access  Private/Admin
+ */
+router.post(
+    '/:id/history/:version/revert',
+    protect,
+    admin,
+    bookVersionRules,
+    validate,
+    revertToVersion
+);
+
+/**
+ * @route   POST /api/v1/books/:id/restore
+ * @desc    Take a book out of the trash (same as POST /api/v1/admin/trash/books/:id/restore)
+ * @access  Private/Admin
+ */
+router.post('/:id/restore', protect, admin, getBookByIdRules, validate, restoreBook);
+
+/**
+ * @route   POST /api/v1/books/import
+ * @desc    Upsert books by ISBN from a CSV, XLSX or JSON body (?dryRun=true to preview)
+ * @access  Private/Admin
+ */
+router.post(
+    '/import',
+    protect,
+    admin,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+    express.raw({ type: [XLSX_CONTENT_TYPE, 'application/octet-stream'], limit: '10mb' }),
+    importBooksRules,
+    validate,
+    importBookCatalog
+);
+
 /**
  * @route   POST /api/v1/books
  * @desc    Create a new book
  * @access  Private/Admin
  */
-router.post('/', protect, admin, createBook);
+router.post('/', protect, admin, createBookRules, validate, createBook);
 
 /**
  * @route   PUT /api/v1/books/:id
  * @desc    Update a book
  * @access  Private/Admin
  */
-router.put('/:id', protect, admin, updateBook);
+router.put('/:id', protect, admin, updateBookRules, validate, updateBook);
 
 /**
  * @route   DELETE /api/v1/books/:id
- * @desc    Delete a book
+ * @desc    Move a book to the trash (see POST /:id/restore and /api/admin/trash)
  * @access  Private/Admin
  */
 router.delete('/:id', protect, admin, deleteBook);
@@ -0,0 +1,63 @@
+import express from 'express';
+import {
+  getMyCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearMyCart,
+  mergeGuestCart,
+} from '../controllers/cartController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  addCartItemRules,
+  updateCartItemRules,
+  cartBookIdRules,
+  mergeCartRules,
+} from '../validators/cartValidator.js';
+
+const router = express.Router();
+
+// Carts belong to logged-in users; guests keep theirs on the device until login
+router.use(protect);
+
+/**
+ * @route   GET /api/cart
+ * @desc    Get my cart with current prices, stock and issues
+ * @access  Private
+ *
+ * @route   DELETE /api/cart
+ * @desc    Empty my cart
+ * @access  Private
+ */
+router.route('/').get(getMyCart).delete(clearMyCart);
+
+/**
+ * @route   POST /api/cart/items
+ * @desc    Add a book (or more copies of it)
+ * @access  Private
+ */
+router.post('/items', addCartItemRules, validate, addCartItem);
+
+/**
+ * @route   PUT /api/cart/items/:bookId
+ * @desc    Set a line's quantity (0 removes it)
+ * @access  Private
+ *
+ * @route   DELETE /api/cart/items/:bookId
+ * @desc    Remove a book
+ * @access  Private
+ */
+router
+  .route('/items/:bookId')
+  .put(updateCartItemRules, validate, updateCartItem)
+  .delete(cartBookIdRules, validate, removeCartItem);
+
+/**
+ * @route   POST /api/cart/merge
+ * @desc    Merge the device's guest cart after login
+ * @access  Private
+ */
+router.post('/merge', mergeCartRules, validate, mergeGuestCart);
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  validateCouponCode,
+  getCoupons,
+  getCoupon,
+  addCoupon,
+  editCoupon,
+  removeCoupon,
+} from '../controllers/couponController.js';
+import { protect, admin, optionalAuth } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  createCouponRules,
+  updateCouponRules,
+  couponIdRules,
+  listCouponsRules,
+  validateCouponRules,
+} from '../validators/couponValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/coupons/validate
+ * @desc    Check a code against the cart and return the discount
+ * @access  Public
+ */
+router.post('/validate', optionalAuth, validateCouponRules, validate, validateCouponCode);
+
+/**
+ * @route   GET /api/coupons
+ * @desc    List coupons
+ * @access  Private/Admin
+ *
+ * @route   POST /api/coupons
+ * @desc    Create a coupon
+ * @access  Private/Admin
+ */
+router
+  .route('/')
+  .get(protect, admin, listCouponsRules, validate, getCoupons)
+  .post(protect, admin, createCouponRules, validate, addCoupon);
+
+/**
+ * @route   GET|PUT|DELETE /api/coupons/:id
+ * @desc    Read, update or delete a coupon
+ * @access  Private/Admin
+ */
+router
+  .route('/:id')
+  .get(protect, admin, couponIdRules, validate, getCoupon)
+  .put(protect, admin, updateCouponRules, validate, editCoupon)
+  .delete(protect, admin, couponIdRules, validate, removeCoupon);
+
+export default router;
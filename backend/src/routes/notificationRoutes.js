@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getMyNotifications,
+  readNotification,
+  readAllNotifications,
+} from '../controllers/notificationController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  listNotificationsRules,
+  notificationIdRules,
+} from '../validators/notificationValidator.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get my notifications (price drops, back in stock) and unread count
+ * @access  Private
+ */
+router.get('/', listNotificationsRules, validate, getMyNotifications);
+
+/**
+ * @route   PUT /api/notifications/read-all
+ * @desc    Mark all my notifications as read
+ * @access  Private
+ */
+router.put('/read-all', readAllNotifications);
+
+/**
+ * @route   PUT /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.put('/:id/read', notificationIdRules, validate, readNotification);
+
+export default router;
@@ -7,14 +7,23 @@ import {
   updateOrderToPaid,
   updateOrderToDelivered,
   updateOrderStatus,
+  cancelMyOrder,
 } from '../controllers/orderController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  reserveCheckoutStock,
+  releaseCheckoutStock,
+} from '../controllers/reservationController.js';
+import { protect, admin, optionalAuth } from '../middleware/authMiddleware.js';
 import validate from '../middleware/validation.js';
+import { reservationLimiter } from '../middleware/rateLimiter.js';
 import {
   createOrderRules,
+  cancelOrderRules,
   getOrderByIdRules,
   updateOrderPaymentRules,
   updateOrderStatusRules,
+  reserveStockRules,
+  releaseReservationRules,
 } from '../validators/orderValidator.js';
 
 const router = express.Router();
@@ -22,7 +31,7 @@ const router = express.Router();
 /**
  * @route   POST /api/orders
  * @desc    Create a new order (supports guest checkout)
- * @access  Public
+ * @access  Public (a signed-in customer becomes the order's owner)
  * 
  * @route   GET /api/orders
  * @desc    Get all orders (admin only)
@@ -30,9 +39,30 @@ const router = express.Router();
  */
 router
   .route('/')
-  .post(createOrderRules, validate, createOrder) // Public - no auth required
+  .post(optionalAuth, createOrderRules, validate, createOrder) // Public - signed-in orders get an owner
   .get(protect, admin, getOrders); // Admin only
 
+/**
+ * @route   POST /api/orders/reservations
+ * @desc    Hold the cart's stock for STOCK_RESERVATION_TTL_MINUTES when checkout starts
+ * @access  Public (rate limited)
+ */
+router.post(
+  '/reservations',
+  reservationLimiter,
+  optionalAuth,
+  reserveStockRules,
+  validate,
+  reserveCheckoutStock
+);
+
+/**
+ * @route   DELETE /api/orders/reservations/:checkoutId
+ * @desc    Release a checkout's held stock
+ * @access  Public
+ */
+router.delete('/reservations/:checkoutId', releaseReservationRules, validate, releaseCheckoutStock);
+
 /**
  * @route   GET /api/orders/myorders
  * @desc    Get logged-in user's orders
@@ -49,10 +79,19 @@ router.route('/:id').get(protect, getOrderByIdRules, validate, getOrder);
 
 /**
  * @route   PUT /api/orders/:id/pay
- * @desc    Update order to paid
+ * @desc    Record an offline payment (e.g. COD collected); online payments go through /api/payments
+ * @access  Private/Admin
+ */
+router
+  .route('/:id/pay')
+  .put(protect, admin, updateOrderPaymentRules, validate, updateOrderToPaid);
+
+/**
+ * @route   PUT /api/orders/:id/cancel
+ * @desc    Cancel own order while Pending or Confirmed (restores stock)
  * @access  Private
  */
-router.route('/:id/pay').put(protect, updateOrderPaymentRules, validate, updateOrderToPaid);
+router.route('/:id/cancel').put(protect, cancelOrderRules, validate, cancelMyOrder);
 
 /**
  * @route   PUT /api/orders/:id/status
@@ -0,0 +1,56 @@
+import express from 'express';
+import {
+  createIntent,
+  receiveWebhook,
+  getPaymentById,
+  getOrderPayments,
+  createRefund,
+} from '../controllers/paymentController.js';
+import { protect, admin, optionalAuth } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  createIntentRules,
+  webhookRules,
+  paymentIdRules,
+  listPaymentsRules,
+  refundRules,
+} from '../validators/paymentValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/intents
+ * @desc    Start an online payment for an order (send an Idempotency-Key header)
+ * @access  Public (order owner, or guest with the order's phone number)
+ */
+router.post('/intents', optionalAuth, createIntentRules, validate, createIntent);
+
+/**
+ * @route   POST /api/payments/webhooks/:provider
+ * @desc    Signed payment/refund events from the gateway
+ * @access  Public (signature-verified)
+ */
+router.post('/webhooks/:provider', webhookRules, validate, receiveWebhook);
+
+/**
+ * @route   GET /api/payments?orderId=
+ * @desc    Payment attempts for an order
+ * @access  Public (order owner, or guest with ?customerPhone=)
+ */
+router.get('/', optionalAuth, listPaymentsRules, validate, getOrderPayments);
+
+/**
+ * @route   GET /api/payments/:id
+ * @desc    Payment status (poll after creating an intent)
+ * @access  Public (order owner, or guest with ?customerPhone=)
+ */
+router.get('/:id', optionalAuth, paymentIdRules, validate, getPaymentById);
+
+/**
+ * @route   POST /api/payments/:id/refunds
+ * @desc    Refund (part of) a payment
+ * @access  Private/Admin
+ */
+router.post('/:id/refunds', protect, admin, refundRules, validate, createRefund);
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  getActiveCampaigns,
+  getCampaigns,
+  getCampaign,
+  addCampaign,
+  editCampaign,
+  removeCampaign,
+} from '../controllers/saleCampaignController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  createCampaignRules,
+  updateCampaignRules,
+  campaignIdRules,
+  listCampaignsRules,
+  activeCampaignsRules,
+} from '../validators/saleCampaignValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/campaigns/active
+ * @desc    Live sales with their books and countdowns, and upcoming ones
+ * @access  Public
+ */
+router.get('/active', activeCampaignsRules, validate, getActiveCampaigns);
+
+/**
+ * @route   GET /api/campaigns
+ * @desc    List sale campaigns
+ * @access  Private/Admin
+ *
+ * @route   POST /api/campaigns
+ * @desc    Create a sale campaign
+ * @access  Private/Admin
+ */
+router
+  .route('/')
+  .get(protect, admin, listCampaignsRules, validate, getCampaigns)
+  .post(protect, admin, createCampaignRules, validate, addCampaign);
+
+/**
+ * @route   GET|PUT|DELETE /api/campaigns/:id
+ * @desc    Read, update or delete a sale campaign
+ * @access  Private/Admin
+ */
+router
+  .route('/:id')
+  .get(protect, admin, campaignIdRules, validate, getCampaign)
+  .put(protect, admin, updateCampaignRules, validate, editCampaign)
+  .delete(protect, admin, campaignIdRules, validate, removeCampaign);
+
+export default router;
@@ -0,0 +1,50 @@
+import express from 'express';
+import {
+  getSeriesList,
+  getSeries,
+  addSeries,
+  editSeries,
+  removeSeries,
+} from '../controllers/seriesController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  createSeriesRules,
+  updateSeriesRules,
+  seriesIdRules,
+  getSeriesRules,
+  listSeriesRules,
+} from '../validators/seriesValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/series
+ * @desc    List series (search by name in either script)
+ * @access  Public
+ *
+ * @route   POST /api/series
+ * @desc    Create a series
+ * @access  Private/Admin
+ */
+router
+  .route('/')
+  .get(listSeriesRules, validate, getSeriesList)
+  .post(protect, admin, createSeriesRules, validate, addSeries);
+
+/**
+ * @route   GET /api/series/:id
+ * @desc    Get a series by ID or slug with its volumes in order
+ * @access  Public
+ *
+ * @route   PUT|DELETE /api/series/:id
+ * @desc    Update or delete a series
+ * @access  Private/Admin
+ */
+router
+  .route('/:id')
+  .get(getSeriesRules, validate, getSeries)
+  .put(protect, admin, updateSeriesRules, validate, editSeries)
+  .delete(protect, admin, seriesIdRules, validate, removeSeries);
+
+export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import {
+  checkServiceability,
+  getSettings,
+  getZones,
+  addZone,
+  editZone,
+  removeZone,
+  importPincodeCsv,
+} from '../controllers/shippingController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  checkPincodeRules,
+  createZoneRules,
+  updateZoneRules,
+  zoneCodeRules,
+  importPincodesRules,
+} from '../validators/shippingValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/shipping/check/:pincode
+ * @desc    Serviceability, shipping charge, COD and ETA for a pincode
+ * @access  Public
+ */
+router.get('/check/:pincode', checkPincodeRules, validate, checkServiceability);
+
+/**
+ * @route   GET /api/shipping/settings
+ * @desc    Free-shipping threshold and default rate
+ * @access  Public
+ */
+router.get('/settings', getSettings);
+
+/**
+ * @route   GET /api/shipping/zones
+ * @desc    List zones with pincode counts
+ * @access  Private/Admin
+ *
+ * @route   POST /api/shipping/zones
+ * @desc    Create a zone
+ * @access  Private/Admin
+ */
+router
+  .route('/zones')
+  .get(protect, admin, getZones)
+  .post(protect, admin, createZoneRules, validate, addZone);
+
+/**
+ * @route   PUT|DELETE /api/shipping/zones/:code
+ * @desc    Update or delete a zone
+ * @access  Private/Admin
+ */
+router
+  .route('/zones/:code')
+  .put(protect, admin, updateZoneRules, validate, editZone)
+  .delete(protect, admin, zoneCodeRules, validate, removeZone);
+
+/**
+ * @route   POST /api/shipping/pincodes/import
+ * @desc    Upsert the pincode→zone table from CSV (?dryRun=true to preview)
+ * @access  Private/Admin
+ */
+router.post(
+  '/pincodes/import',
+  protect,
+  admin,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  importPincodesRules,
+  validate,
+  importPincodeCsv
+);
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import {
+  getMyWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  clearMyWishlist,
+  mergeGuestWishlist,
+} from '../controllers/wishlistController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import {
+  addWishlistItemRules,
+  wishlistBookIdRules,
+  mergeWishlistRules,
+} from '../validators/wishlistValidator.js';
+
+const router = express.Router();
+
+// Wishlists belong to logged-in users; guests keep theirs on the device until login
+router.use(protect);
+
+/**
+ * @route   GET /api/wishlist
+ * @desc    Get my wishlist with current prices and stock
+ * @access  Private
+ *
+ * @route   DELETE /api/wishlist
+ * @desc    Empty my wishlist
+ * @access  Private
+ */
+router.route('/').get(getMyWishlist).delete(clearMyWishlist);
+
+/**
+ * @route   POST /api/wishlist/items
+ * @desc    Save a book
+ * @access  Private
+ */
+router.post('/items', addWishlistItemRules, validate, addWishlistItem);
+
+/**
+ * @route   DELETE /api/wishlist/items/:bookId
+ * @desc    Remove a book
+ * @access  Private
+ */
+router.delete('/items/:bookId', wishlistBookIdRules, validate, removeWishlistItem);
+
+/**
+ * @route   POST /api/wishlist/merge
+ * @desc    Merge the device's guest wishlist after login
+ * @access  Private
+ */
+router.post('/merge', mergeWishlistRules, validate, mergeGuestWishlist);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import { getWork, addWork, editWork, removeWork } from '../controllers/workController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validation.js';
+import { createWorkRules, updateWorkRules, workIdRules } from '../validators/workValidator.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/works
+ * @desc    Group books as editions of one work
+ * @access  Private/Admin
+ */
+router.post('/', protect, admin, createWorkRules, validate, addWork);
+
+/**
+ * @route   GET /api/works/:id
+ * @desc    Get a work with its editions and series
+ * @access  Public
+ *
+ * @route   PUT|DELETE /api/works/:id
+ * @desc    Update a work (title, series, volume, editions) or delete it
+ * @access  Private/Admin
+ */
+router
+  .route('/:id')
+  .get(workIdRules, validate, getWork)
+  .put(protect, admin, updateWorkRules, validate, editWork)
+  .delete(protect, admin, workIdRules, validate, removeWork);
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * Export Books Script
+ *
+ * Streams the catalogue as CSV, JSON or ONIX 3.0 XML - the same files as
+ * GET /api/books/export. CSV exports can be edited and imported again with
+ * importBooks.js.
+ *
+ * Run with: node src/seed/exportBooks.js [out-file] [--format=csv|json|onix]
+ *   [--category=Novel] [--language=Odia] [--in-stock=true|false]
+ *   [--updated-since=2026-01-01] [--updated-before=2026-02-01]
+ *
+ * Without an out-file the export goes to stdout (progress goes to stderr).
+ */
+
+import mongoose from 'mongoose';
+import { createWriteStream } from 'fs';
+import { finished } from 'stream/promises';
+import { exportBooks, EXPORT_FORMATS } from '../services/bookExportService.js';
+import { config } from '../config/env.js';
+
+const option = (args, name) =>
+  args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const outFile = args.find((arg) => !arg.startsWith('--'));
+  const format = option(args, 'format') || 'csv';
+  const filters = {
+    category: option(args, 'category'),
+    language: option(args, 'language'),
+    inStock: option(args, 'in-stock'),
+    updatedSince: option(args, 'updated-since'),
+    updatedBefore: option(args, 'updated-before'),
+  };
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`✗ Unknown format "${format}"; use --format=${EXPORT_FORMATS.join('|')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const out = outFile ? createWriteStream(outFile) : process.stdout;
+
+  try {
+    await mongoose.connect(config.MONGODB_URI);
+    console.error('Connected to MongoDB');
+
+    const count = await exportBooks(out, { format, filters });
+    if (outFile) {
+      out.end();
+      await finished(out);
+    }
+    console.error(`✓ Exported ${count} books${outFile ? ` to ${outFile}` : ''}`);
+  } catch (error) {
+    console.error('✗ Error exporting books:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run();
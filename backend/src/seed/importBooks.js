@@ -1,9 +1,26 @@
+/**
+ * Import Books Script
+ *
+ * Upserts books from a CSV, XLSX or JSON file by ISBN (title and author for
+ * rows without one). Existing books keep their stock and reviews; nothing is
+ * deleted. Imported books are then linked to author profiles by name. Without
+ * a file, imports the bundled seed catalogue (books.json).
+ *
+ * Run with: node src/seed/importBooks.js [path/to/books.csv|.xlsx|.json] [--dry-run] [--format=csv]
+ *
+ * Afterwards the search index is rebuilt and its snapshot saved, so a server
+ * (re)started from it has the imported books. A server already running in
+ * another process doesn't see them until POST /api/admin/search/reindex.
+ */
+
 import mongoose from 'mongoose';
-import { readFileSync } from 'fs';
+import { readFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import connectDB from '../config/db.js';
-import Book from '../models/Book.js';
+import { dirname, extname, join } from 'path';
+import { importBooks, IMPORT_FORMATS } from '../services/bookImportService.js';
+import { linkBookAuthors } from '../services/authorService.js';
+import searchService from '../services/searchService.js';
+import { config } from '../config/env.js';
 
 // Get the directory path of the current module
 /* eslint-disable no-underscore-dangle */
@@ -11,58 +28,62 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 /* eslint-enable no-underscore-dangle */
 
-// Read and import books.json file
-const booksPath = join(__dirname, 'books.json');
-const booksData = JSON.parse(readFileSync(booksPath, 'utf-8'));
+const printReport = (report) => {
+  console.log(`\n📚 Books${report.dryRun ? ' (dry run)' : ''}:`);
+  console.log(`   Rows: ${report.total}`);
+  console.log(`   Inserted: ${report.inserted}`);
+  console.log(`   Updated: ${report.updated}`);
+  console.log(`   Skipped: ${report.skipped}`);
+  console.log(`   Failed: ${report.failed}`);
+  report.warnings.forEach((warning) => console.log(`   ! ${warning}`));
+
+  report.rows
+    .filter((row) => row.errors.length > 0 || row.warnings.length > 0)
+    .forEach((row) => {
+      const label = `line ${row.line} (${row.isbn || row.title || 'blank'})`;
+      row.errors.forEach((error) => console.log(`   - ${label}: ${error}`));
+      row.warnings.forEach((warning) => console.log(`   ~ ${label}: ${warning}`));
+    });
+};
 
-// Map books.json fields to Book model schema
-const mapBooksData = (books) =>
-  books.map((book) => {
-    const isbn = book.ISBN || book.isbn || '';
-    return {
-      title: book.Title || book.title || 'Untitled',
-      author: book.Author || book.author || 'Unknown Author',
-      description:
-        book.Description ||
-        book.description ||
-        `A book by ${book.Author || book.author || 'Unknown Author'}`,
-      price: book['Price (INR)'] || book.Price || book.price || 0,
-      category: book.Category || book.category || 'General',
-      stock: book.Stock || book.stock || 10, // Default stock
-      isbn: isbn.trim() || undefined, // Set to undefined if empty (sparse unique index allows multiple undefined values)
-      image: book.Image || book.image || '',
-      rating: book.Rating || book.rating || 0,
-    };
-  });
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const filePath = args.find((arg) => !arg.startsWith('--')) || join(__dirname, 'books.json');
+  const format =
+    args.find((arg) => arg.startsWith('--format='))?.split('=')[1] ||
+    extname(filePath).slice(1).toLowerCase();
 
-const importBooks = async () => {
-  try {
-    // Connect to database
-    await connectDB();
+  if (!IMPORT_FORMATS.includes(format)) {
+    console.error(`✗ Unknown format "${format}"; use --format=${IMPORT_FORMATS.join('|')}`);
+    process.exitCode = 1;
+    return;
+  }
 
-    // Clear existing books
-    await Book.deleteMany();
-    console.log('✓ Books cleared from database');
+  try {
+    await mongoose.connect(config.MONGODB_URI);
+    console.log('Connected to MongoDB');
 
-    // Map and insert books
-    const mappedBooks = mapBooksData(booksData);
-    await Book.insertMany(mappedBooks);
+    const content = await readFile(filePath);
+    const report = await importBooks(content, { format, dryRun });
+    printReport(report);
 
-    console.log(`✓ Successfully imported ${mappedBooks.length} books into database`);
+    if (!dryRun && report.inserted + report.updated > 0) {
+      const { booksLinked, authorsCreated } = await linkBookAuthors();
+      console.log(`Linked ${booksLinked} books to authors (${authorsCreated.length} new)`);
 
-    // Close database connection
-    await mongoose.connection.close();
-    console.log('✓ Database connection closed');
+      const { itemCount } = await searchService.reindex();
+      console.log(`Search index rebuilt (${itemCount} books)`);
+    }
 
-    process.exit(0);
+    if (report.failed > 0) process.exitCode = 1;
   } catch (error) {
-    console.error('✗ Error importing books:', error);
+    console.error('✗ Error importing books:', error.message);
+    process.exitCode = 1;
+  } finally {
     await mongoose.connection.close();
-    process.exit(1);
+    console.log('\nDatabase connection closed');
   }
 };
 
-// Run the import function
-importBooks();
-
-export default importBooks;
+run();
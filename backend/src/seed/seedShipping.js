@@ -0,0 +1,105 @@
+/**
+ * Seed Shipping Zones Script
+ *
+ * Creates the default zone rate card and, optionally, imports a pincode CSV.
+ * Existing zones are updated in place; pincodes are upserted.
+ * Run with: node src/seed/seedShipping.js [path/to/pincodes.csv] [--dry-run]
+ *
+ * CSV columns: pincode, zone, city, district, state, serviceable, cod
+ */
+
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import ShippingZone from '../models/ShippingZone.js';
+import { importPincodes } from '../services/shippingService.js';
+import { config } from '../config/env.js';
+
+const DEFAULT_ZONES = [
+    {
+        code: 'LOCAL',
+        name: 'Bhubaneswar & Cuttack',
+        rate: 30,
+        codAvailable: true,
+        codCharge: 20,
+        etaMinDays: 1,
+        etaMaxDays: 2,
+        expressRate: 49,
+    },
+    {
+        code: 'ODISHA',
+        name: 'Rest of Odisha',
+        rate: 40,
+        codAvailable: true,
+        codCharge: 30,
+        etaMinDays: 2,
+        etaMaxDays: 4,
+        expressRate: null,
+    },
+    {
+        code: 'METRO',
+        name: 'Metro cities',
+        rate: 60,
+        codAvailable: true,
+        codCharge: 40,
+        etaMinDays: 3,
+        etaMaxDays: 5,
+        expressRate: 99,
+    },
+    {
+        code: 'REST',
+        name: 'Rest of India',
+        rate: 60,
+        codAvailable: true,
+        codCharge: 50,
+        etaMinDays: 4,
+        etaMaxDays: 7,
+        expressRate: null,
+        isDefault: true,
+    },
+];
+
+async function seedShipping() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const csvPath = args.find((arg) => !arg.startsWith('--'));
+
+    try {
+        await mongoose.connect(config.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        if (!dryRun) {
+            // Drop the old default first so the unique isDefault index isn't tripped
+            await ShippingZone.updateMany({ isDefault: true }, { isDefault: false });
+            await ShippingZone.bulkWrite(
+                DEFAULT_ZONES.map((zone) => ({
+                    updateOne: { filter: { code: zone.code }, update: { $set: zone }, upsert: true },
+                }))
+            );
+            DEFAULT_ZONES.forEach((zone) => {
+                console.log(`Zone ${zone.code} ready (₹${zone.rate}, ${zone.etaMinDays}-${zone.etaMaxDays} days)`);
+            });
+        }
+
+        if (csvPath) {
+            const csv = await fs.readFile(csvPath, 'utf8');
+            const report = await importPincodes(csv, { dryRun });
+
+            console.log(`\n📮 Pincodes${dryRun ? ' (dry run)' : ''}:`);
+            console.log(`   Rows: ${report.total}`);
+            console.log(`   Inserted: ${report.inserted}`);
+            console.log(`   Updated: ${report.updated}`);
+            console.log(`   Failed: ${report.failed}`);
+            report.errors.forEach((err) => {
+                console.log(`   - line ${err.line} (${err.pincode || 'blank'}): ${err.error}`);
+            });
+        }
+    } catch (error) {
+        console.error('Error seeding shipping:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        console.log('\nDatabase connection closed');
+    }
+}
+
+seedShipping();
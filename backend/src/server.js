@@ -1,3 +1,4 @@
+import path from 'path';
 import express from 'express';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
@@ -22,11 +23,16 @@ import { defaultTimeout } from './middleware/timeoutHandler.js';
 // Utils
 import logger, { logError, startTimer } from './utils/logger.js';
 import { startHealthMonitoring, stopHealthMonitoring } from './utils/dbHealthMonitor.js';
+import { startScheduledJobs, stopScheduledJobs } from './jobs/index.js';
+import searchService from './services/searchService.js';
 import { getCache } from './utils/cacheManager.js';
 import { initAPM, setupAPMErrorHandler } from './utils/apm.js';
 
 // Routes
 import bookRoutes from './routes/bookRoutes.js';
+import authorRoutes from './routes/authorRoutes.js';
+import workRoutes from './routes/workRoutes.js';
+import seriesRoutes from './routes/seriesRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
 import authRoutes from './routes/authRoutes.js';
@@ -34,6 +40,13 @@ import aiRoutes from './routes/aiRoutes.js';
 import chatbotRoutes from './routes/chatbotRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import healthRoutes from './routes/healthRoutes.js';
+import couponRoutes from './routes/couponRoutes.js';
+import saleCampaignRoutes from './routes/saleCampaignRoutes.js';
+import shippingRoutes from './routes/shippingRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import wishlistRoutes from './routes/wishlistRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
 
 // ============================================================================
 // DATABASE CONNECTION
@@ -45,6 +58,8 @@ if (process.env.NODE_ENV !== 'test') {
     connectDB().then(() => {
         dbTimer.end({ status: 'connected' });
         startHealthMonitoring();
+        startScheduledJobs();
+        searchService.initialize();
     }).catch((err) => {
         logError('Database connection failed', err);
     });
@@ -158,7 +173,13 @@ if (process.env.ENABLE_COMPRESSION !== 'false') {
     }));
 }
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw bytes: payment webhook signatures are computed over the exact body
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ============================================================================
@@ -177,6 +198,24 @@ app.use(requestContext);
 app.use(requestLogger);
 app.use(defaultTimeout);
 
+// ============================================================================
+// UPLOADED FILES
+// ============================================================================
+
+// Book images on local disk (STORAGE_DRIVER=local; S3 and MinIO serve their own).
+// File names are unique per upload, so they can be cached for good.
+if (config.STORAGE_DRIVER === 'local') {
+    app.use('/uploads', express.static(path.resolve(config.UPLOAD_DIR), {
+        immutable: true,
+        maxAge: '1y',
+        index: false,
+        setHeaders: (res) => {
+            // The storefront runs on another origin
+            res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+        },
+    }));
+}
+
 // ============================================================================
 // API DOCUMENTATION ROUTE
 // ============================================================================
@@ -200,8 +239,18 @@ app.use('/api/v1/orders', orderLimiter);
 const apiRouter = express.Router();
 apiRouter.use('/health', healthRoutes);
 apiRouter.use('/books', bookRoutes);
+apiRouter.use('/authors', authorRoutes);
+apiRouter.use('/works', workRoutes);
+apiRouter.use('/series', seriesRoutes);
 apiRouter.use('/users', userRoutes);
 apiRouter.use('/orders', orderRoutes);
+apiRouter.use('/cart', cartRoutes);
+apiRouter.use('/wishlist', wishlistRoutes);
+apiRouter.use('/notifications', notificationRoutes);
+apiRouter.use('/coupons', couponRoutes);
+apiRouter.use('/campaigns', saleCampaignRoutes);
+apiRouter.use('/shipping', shippingRoutes);
+apiRouter.use('/payments', paymentRoutes);
 apiRouter.use('/auth', authRoutes);
 apiRouter.use('/ai', aiRoutes);
 apiRouter.use('/chatbot', chatbotRoutes);
@@ -258,6 +307,7 @@ if (process.env.NODE_ENV !== 'test') {
     const gracefulShutdown = async (signal) => {
         logger.info(`${signal} received. Shutdown initiated.`);
         stopHealthMonitoring();
+        stopScheduledJobs();
 
         server.close(async () => {
             logger.info('HTTP server closed.');
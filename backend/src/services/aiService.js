@@ -1,30 +1,150 @@
-import { NotImplementedError } from '../utils/errors.js';
+import Book from '../models/Book.js';
+import searchService, { SEARCH_VOCABULARY_CACHE_KEY } from './searchService.js';
+import { buildSearchVocabulary, parseSearchQuery } from './searchQueryParser.js';
+import { getHomeFeed, getBookRecommendations } from './recommendationService.js';
+import { getCache, CacheTTL } from '../utils/cacheManager.js';
+import logger from '../utils/logger.js';
+
+// Filters dropped (in this order) when a natural-language search finds nothing
+const RELAXABLE_FILTERS = ['category', 'academicGrade', 'author'];
+
+/**
+ * Get personalized book recommendations (home feed)
+ * Built from co-purchase data and content similarity; see recommendationService
+ * @param {string|null} userId - User ID, or null for a guest (popular books)
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=12] - Books to return
+ * @returns {Promise<{books: Array, personalised: boolean, computedAt: Date|null}>} Feed
+ */
+export const getRecommendations = async (userId, { limit } = {}) => getHomeFeed(userId, { limit });
+
+/**
+ * Get "customers also bought" and similar books for a book
+ * @param {string} bookId - Book ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=8] - Books per list
+ * @returns {Promise<{alsoBought: Array, similar: Array, computedAt: Date|null}>} Lists
+ */
+export const getRelatedBooks = async (bookId, { limit } = {}) =>
+  getBookRecommendations(bookId, { limit });
+
+/**
+ * Distinct authors, categories and grades to parse queries against (cached)
+ * @returns {Promise<Object>} Vocabulary from buildSearchVocabulary
+ */
+const getSearchVocabulary = async () => {
+  const cache = getCache();
+  const cached = cache.get(SEARCH_VOCABULARY_CACHE_KEY);
+  if (cached) return cached;
+
+  const [authors, categories, grades] = await Promise.all([
+    Book.distinct('author'),
+    Book.distinct('category'),
+    Book.distinct('academicGrade'),
+  ]);
+  const vocabulary = buildSearchVocabulary({ authors, categories, grades });
+
+  cache.set(SEARCH_VOCABULARY_CACHE_KEY, vocabulary, CacheTTL.MEDIUM);
+  return vocabulary;
+};
 
 /**
- * Get personalized book recommendations
- * This feature is planned for v2.0 with ML integration
- * @param {string} userId - User ID for personalized recommendations
- * @param {Object} userPreferences - User's reading preferences
- * @returns {Promise<Array>} Empty array until implementation
- * @throws {NotImplementedError} Feature scheduled for v2.0
+ * Drop one recognised filter so the search can be widened
+ * @param {Object} search - { text, filters }
+ * @param {Object} chip - Chip of the filter to drop
+ * @param {boolean} keepWords - Put the chip's words back into the free text
+ * @returns {Object} New { text, filters }
  */
-// eslint-disable-next-line no-unused-vars
-export const getRecommendations = async (userId, userPreferences) => {
-  // This will integrate with ML models for collaborative filtering
-  // and recommendation algorithms in future versions
-  throw new NotImplementedError('Recommendation algorithm scheduled for v2.0');
+const withoutFilter = ({ text, filters }, chip, keepWords) => {
+  const next = { ...filters };
+  if (chip.type === 'price') {
+    next.minPrice = null;
+    next.maxPrice = null;
+  } else if (chip.type === 'academicGrade') {
+    next.academicGrade = null;
+  } else {
+    next[chip.type] = [];
+  }
+  return {
+    text: keepWords ? [text, chip.match].filter(Boolean).join(' ') : text,
+    filters: next,
+  };
 };
 
 /**
- * Enhance search queries with AI-powered relevancy
- * This feature is planned for v2.0 with NLP integration
- * @param {string} query - Search query to enhance
- * @returns {Promise<string>} Enhanced query
- * @throws {NotImplementedError} Feature scheduled for v2.0
+ * Run the search, dropping relaxable filters one at a time while nothing matches
+ * @param {Object} search - { text, filters }
+ * @param {Array<Object>} relaxable - Chips that may be dropped, in order
+ * @param {Object} options - { page, limit }
+ * @param {Array<string>} [relaxed=[]] - Filter types dropped so far
+ * @returns {Promise<Object>} { books, total, relaxed }
  */
-// eslint-disable-next-line no-unused-vars
-export const enhanceSearch = async (query) => {
-  // This will use NLP for query understanding and enhancement
-  // in future versions
-  throw new NotImplementedError('AI search enhancement scheduled for v2.0');
+const searchRelaxing = async (search, relaxable, options, relaxed = []) => {
+  const result = await searchService.searchWithFilters(search.text, search.filters, options);
+  if (result.total > 0 || relaxable.length === 0) {
+    return { ...result, relaxed };
+  }
+
+  const [chip, ...rest] = relaxable;
+  return searchRelaxing(withoutFilter(search, chip, chip.type !== 'academicGrade'), rest, options, [
+    ...relaxed,
+    chip.type,
+  ]);
+};
+
+/**
+ * Natural-language search
+ *
+ * Parses filters out of free text ("class 10 odia grammar under 200"), runs
+ * them through the search service and returns the interpretation so the
+ * client can show each filter as a removable chip. Filters the customer removed
+ * are passed back in `ignore`. If nothing matches, category, grade and author
+ * are dropped in that order until something does (language and price always
+ * stay); dropped filters are listed in `relaxed`.
+ *
+ * @param {string} query - What the customer typed
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.ignore=[]] - Filter types not to apply
+ * @param {number} [options.page=1] - Page
+ * @param {number} [options.limit=20] - Books per page
+ * @returns {Promise<Object>} { query, interpretation: { text, filters, chips, relaxed }, books,
+ *   total, page, pages }
+ */
+export const enhanceSearch = async (query, { ignore = [], page = 1, limit = 20 } = {}) => {
+  const parsed = parseSearchQuery(query, await getSearchVocabulary());
+
+  const active = parsed.chips.filter((chip) => !ignore.includes(chip.type));
+  const search = parsed.chips
+    .filter((chip) => ignore.includes(chip.type))
+    .reduce((current, chip) => withoutFilter(current, chip, false), {
+      text: parsed.text,
+      filters: parsed.filters,
+    });
+  const relaxable = RELAXABLE_FILTERS.flatMap((type) =>
+    active.filter((chip) => chip.type === type)
+  );
+
+  const { books, total, relaxed } = await searchRelaxing(search, relaxable, { page, limit });
+
+  logger.debug('Natural-language search', {
+    query,
+    text: search.text,
+    filters: active.map((chip) => chip.type),
+    relaxed,
+    total,
+  });
+
+  return {
+    query,
+    interpretation: {
+      text: search.text,
+      filters: search.filters,
+      chips: active.map((chip) => ({ ...chip, applied: !relaxed.includes(chip.type) })),
+      relaxed,
+    },
+    books,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+  };
 };
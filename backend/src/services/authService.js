@@ -16,8 +16,8 @@ import { ConflictError, UnauthorizedError, NotFoundError } from '../utils/errors
 export const register = async (userData) => {
   const { name, email, password } = userData;
 
-  // Check if user already exists
-  const existingUser = await User.findOne({ email });
+  // Check if user already exists (deleted accounts keep their email)
+  const existingUser = await User.findOne({ email }).setOptions({ includeDeleted: true });
   if (existingUser) {
     throw new ConflictError('User already exists with this email');
   }
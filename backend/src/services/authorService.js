@@ -0,0 +1,594 @@
+import mongoose from 'mongoose';
+import Author from '../models/Author.js';
+import Book, { emitBulkWriteChanges } from '../models/Book.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import {
+  hasOdiaScript,
+  normaliseText,
+  phoneticKey,
+  romaniseOdia,
+  tokenize,
+} from '../utils/odiaText.js';
+import { authorNameParts } from './searchQueryParser.js';
+
+// Script-neutral key of a run of name words ("ଫକୀରମୋହନ" and "fakirmohan" -> "fkirmhn")
+const soundKey = (text) => phoneticKey(romaniseOdia(text));
+
+/**
+ * Key of a whole name, ignoring script and spacing
+ * "ଫକୀର ମୋହନ ସେନାପତି", "ଫକୀରମୋହନ ସେନାପତି" and "Fakir Mohan Senapati" -> "fkirmhnsenpti"
+ * @param {Array<string>} words - Name words (one entry of authorNameParts)
+ * @returns {string} Key
+ */
+export const nameKey = (words) => soundKey(words.join(''));
+
+/**
+ * Key of a name by the initials of its given names and the surname
+ * "Fakir Mohan Senapati" and "F. M. Senapati" -> "fm|senpti"
+ * @param {Array<string>} words - Name words
+ * @returns {string|null} Key, or null for one-word names
+ */
+export const initialsKey = (words) =>
+  words.length < 2
+    ? null
+    : `${words
+        .slice(0, -1)
+        .map((word) => soundKey(word).charAt(0))
+        .join('')}|${nameKey(words.slice(-1))}`;
+
+// "F. M. Senapati" - given names written as initials only
+const isInitialled = (words) =>
+  words.length > 1 && words.slice(0, -1).every((word) => [...word].length === 1);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Author fields that name nobody
+const NO_AUTHOR = new Set(
+  ['not specified', 'unknown', 'anonymous', 'various', 'n/a', 'ଅଜ୍ଞାତ'].map(normaliseText)
+);
+
+// "ଡକ୍ଟର ସଦାଶିବ ମିଶ୍ର" -> "ସଦାଶିବ ମିଶ୍ର": cut what comes before the first name word
+const withoutHonorifics = (name, words) => {
+  const first = tokenize(name).find((token) => normaliseText(token) === words[0]);
+  return first ? name.slice(name.indexOf(first)) : name;
+};
+
+/**
+ * The people credited in a book's author field, as written minus honorifics
+ * Splits like authorNameParts, but keeps each name's spelling for new authors.
+ * @param {string} credit - Book.author
+ * @returns {Array<{name: string, words: Array<string>}>} One entry per person
+ */
+export const splitAuthorCredit = (credit) => {
+  if (NO_AUTHOR.has(normaliseText(credit || ''))) return [];
+  return String(credit || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0]
+    .split(/\s+(?:ଓ|and)\s+|&/iu)
+    .map((part) => ({ part: part.replace(/\s+/g, ' ').trim(), words: authorNameParts(part)[0] }))
+    .filter(({ words }) => words?.length > 0)
+    .map(({ part, words }) => ({ name: withoutHonorifics(part, words), words }));
+};
+
+/**
+ * Every name an author is known by: display, English, Odia and aliases
+ * @param {Object} author - Author document or plain object
+ * @returns {Array<string>} Names, without blanks
+ */
+const namesOf = (author) =>
+  [author.name?.display, author.name?.english, author.name?.odia, ...(author.aliases || [])].filter(
+    Boolean
+  );
+
+/**
+ * Work out nameKeys and initialsKeys from the author's names
+ * @param {Object} author - Author document; changed in place
+ * @returns {Object} The author
+ */
+export const refreshAuthorKeys = (author) => {
+  const nameKeys = new Set();
+  const initialsKeys = new Set();
+  namesOf(author).forEach((name) => {
+    const words = authorNameParts(name)[0];
+    if (!words) return;
+    nameKeys.add(nameKey(words));
+    if (!isInitialled(words) && initialsKey(words)) initialsKeys.add(initialsKey(words));
+  });
+  author.set({ nameKeys: [...nameKeys], initialsKeys: [...initialsKeys] });
+  return author;
+};
+
+/**
+ * URL name for an author ("Fakir Mohan Senapati" -> "fakir-mohan-senapati")
+ * Odia-only names are romanised the way they're usually spelled in English:
+ * "ରବିନାରାୟଣ ସେନାପତି" -> "rabinarayan-senapati", not "rabinaaraayana-senaapati".
+ * @param {string} name - Author name
+ * @returns {string} Slug
+ */
+export const slugify = (name) => {
+  const roman = hasOdiaScript(name)
+    ? romaniseOdia(name)
+        // Inherent vowel after a lone final consonant (but "mahapatra" keeps it)
+        .replace(/([aeiou][^aeiou\s]h?)a(?=\s|$)/g, '$1')
+        .replace(/([aeiou])\1+/g, '$1')
+    : name;
+  return (
+    roman
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'author'
+  );
+};
+
+/**
+ * First free slug for a name: fakir-mohan-senapati, fakir-mohan-senapati-2, ...
+ * @param {string} name - Author name
+ * @param {Set<string>} [taken] - Slugs already handed out but not saved yet
+ * @param {number} [n] - Suffix to try
+ * @returns {Promise<string>} Slug
+ */
+const uniqueSlug = async (name, taken = new Set(), n = 1) => {
+  const slug = n === 1 ? slugify(name) : `${slugify(name)}-${n}`;
+  if (taken.has(slug) || (await Author.exists({ slug }))) return uniqueSlug(name, taken, n + 1);
+  taken.add(slug);
+  return slug;
+};
+
+const addToIndex = (index, key, author) => {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(author);
+};
+
+/**
+ * In-memory lookup of authors by name key
+ * Credits are matched on the whole name first; "F. M. Senapati" style credits
+ * fall back to the initials key, but only when exactly one author fits.
+ * @param {Array<Object>} authors - Author documents
+ * @returns {{add: Function, match: Function}}
+ */
+const createDirectory = (authors) => {
+  const byName = new Map();
+  const byInitials = new Map();
+
+  const add = (author) => {
+    author.nameKeys.forEach((key) => addToIndex(byName, key, author));
+    author.initialsKeys.forEach((key) => addToIndex(byInitials, key, author));
+  };
+
+  const match = (words) => {
+    let found = [...(byName.get(nameKey(words)) || [])];
+    if (found.length === 0 && isInitialled(words)) {
+      found = [...(byInitials.get(initialsKey(words)) || [])];
+    }
+    if (found.length === 1) return { author: found[0] };
+    return found.length > 1 ? { ambiguous: found } : {};
+  };
+
+  authors.forEach(add);
+  return { add, match };
+};
+
+/**
+ * Record a spelling a book credits an author under
+ * Fills in the English or Odia name when the author has none in that script,
+ * otherwise keeps it as an alias.
+ * @param {Object} author - Author document; changed in place
+ * @param {string} name - Name as credited
+ * @param {Array<string>} words - Its name words
+ * @returns {boolean} Whether the author changed
+ */
+const addNameVariant = (author, name, words) => {
+  if (namesOf(author).some((known) => normaliseText(known) === normaliseText(name))) return false;
+
+  if (hasOdiaScript(name) && !author.name.odia) author.set('name.odia', name);
+  else if (!hasOdiaScript(name) && !author.name.english && !isInitialled(words)) {
+    author.set('name.english', name);
+  } else author.aliases.push(name);
+
+  refreshAuthorKeys(author);
+  return true;
+};
+
+/**
+ * New author for a name as credited
+ * @param {string} name - Name as credited
+ * @returns {Object} Unsaved Author document (slug is set when it's saved)
+ */
+const newAuthorFor = (name) =>
+  refreshAuthorKeys(
+    new Author({
+      name: { display: name, [hasOdiaScript(name) ? 'odia' : 'english']: name },
+    })
+  );
+
+// Fields a bundled profile may fill in when the author doesn't have them yet
+const PROFILE_FIELDS = [
+  'name.english',
+  'name.odia',
+  'epithet.english',
+  'epithet.odia',
+  'bio.english',
+  'bio.odia',
+  'photo',
+  'birthYear',
+  'deathYear',
+];
+
+/**
+ * Apply a bundled profile (src/seed/authors.json) without overwriting edits
+ * @param {Object} author - Author document; changed in place
+ * @param {Object} profile - Profile fields
+ * @returns {boolean} Whether the author changed
+ */
+const applyProfile = (author, profile) => {
+  let changed = false;
+  PROFILE_FIELDS.forEach((path) => {
+    const value = path.split('.').reduce((object, key) => object?.[key], profile);
+    const current = author.get(path);
+    if (value && (current === null || current === undefined || current === '')) {
+      author.set(path, value);
+      changed = true;
+    }
+  });
+  (profile.aliases || []).forEach((alias) => {
+    const words = authorNameParts(alias)[0];
+    if (words && addNameVariant(author, alias, words)) changed = true;
+  });
+  if (profile.isFeatured && author.isNew) author.set('isFeatured', true);
+  if (changed) refreshAuthorKeys(author);
+  return changed;
+};
+
+/**
+ * Match the people in a credit against the directory, creating authors for
+ * names nobody has yet
+ * @param {string} credit - Book.author
+ * @param {Object} directory - From createDirectory
+ * @param {Set<Object>} touched - Collects authors that were created or changed
+ * @returns {{authorIds: Array, ambiguous: Array<{name: string, candidates: Array<string>}>}}
+ */
+const resolveCredit = (credit, directory, touched) => {
+  const authorIds = [];
+  const ambiguous = [];
+
+  splitAuthorCredit(credit).forEach(({ name, words }) => {
+    const { author, ambiguous: candidates } = directory.match(words);
+    if (candidates) {
+      ambiguous.push({ name, candidates: candidates.map((candidate) => candidate.name.display) });
+      return;
+    }
+    if (author) {
+      if (addNameVariant(author, name, words)) {
+        directory.add(author);
+        touched.add(author);
+      }
+      if (!authorIds.some((id) => id.equals(author._id))) authorIds.push(author._id);
+      return;
+    }
+    const created = newAuthorFor(name);
+    directory.add(created);
+    touched.add(created);
+    authorIds.push(created._id);
+  });
+
+  return { authorIds, ambiguous };
+};
+
+/**
+ * Save created and changed authors, giving new ones a slug
+ * @param {Set<Object>} touched - Authors to save
+ * @returns {Promise<void>}
+ */
+const saveAuthors = async (touched) => {
+  const taken = new Set();
+  // One at a time so new authors get distinct slugs
+  await [...touched].reduce(
+    (previous, author) =>
+      previous.then(async () => {
+        if (!author.slug) {
+          author.set('slug', await uniqueSlug(author.name.english || author.name.display, taken));
+        }
+        await author.save();
+      }),
+    Promise.resolve()
+  );
+};
+
+/**
+ * Authors for a book's author field, as used when a book is created or edited
+ * People nobody has a profile for get a new author; a name that fits several
+ * authors is left unlinked.
+ * @param {string} credit - Book.author
+ * @returns {Promise<Array>} Author ids in credit order
+ */
+export const resolveAuthorIds = async (credit) => {
+  const people = splitAuthorCredit(credit);
+  if (people.length === 0) return [];
+
+  const candidates = await Author.find({
+    $or: [
+      { nameKeys: { $in: people.map(({ words }) => nameKey(words)) } },
+      { initialsKeys: { $in: people.map(({ words }) => initialsKey(words)).filter(Boolean) } },
+    ],
+  });
+  const touched = new Set();
+  const { authorIds, ambiguous } = resolveCredit(credit, createDirectory(candidates), touched);
+  await saveAuthors(touched);
+
+  if (ambiguous.length > 0)
+    logger.warn('Author credit matches several authors', { credit, ambiguous });
+  return authorIds;
+};
+
+/**
+ * Link books to authors by their author field (the authors migration)
+ *
+ * Each distinct Book.author is split into people and matched by name key, so
+ * Odia and English spellings of one name end up on one author. People nobody
+ * has a profile for get a new author. Bundled profiles are applied first, so
+ * the well-known authors start with their bios and both names.
+ *
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @param {boolean} [options.all=false] - Relink every book, not only unlinked ones
+ * @param {Array<Object>} [options.profiles=[]] - Author profiles to create or fill in
+ * @returns {Promise<Object>} Report: credits, booksLinked, authorsCreated,
+ *   authorsUpdated, ambiguous
+ */
+export const linkBookAuthors = async ({ dryRun = false, all = false, profiles = [] } = {}) => {
+  const directory = createDirectory(await Author.find());
+  const touched = new Set();
+
+  profiles.forEach((profile) => {
+    const names = namesOf(profile)
+      .map((name) => authorNameParts(name)[0])
+      .filter(Boolean);
+    const found = names.map((words) => directory.match(words).author).find(Boolean);
+    const author = found || newAuthorFor(profile.name.display);
+    if (applyProfile(author, profile) || !found) {
+      directory.add(author);
+      touched.add(author);
+    }
+  });
+
+  // Aggregates skip the soft-delete filter, so books in the trash are linked too
+  const credits = await Book.aggregate([
+    {
+      $match: all ? {} : { $or: [{ authorIds: { $exists: false } }, { authorIds: { $size: 0 } }] },
+    },
+    { $group: { _id: '$author', books: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  // Full names first, so "F. M. Senapati" finds the author "Fakir Mohan Senapati" made
+  const initialled = (credit) => splitAuthorCredit(credit).some(({ words }) => isInitialled(words));
+  credits.sort((a, b) => initialled(a._id) - initialled(b._id));
+
+  const updates = [];
+  const ambiguous = [];
+  let booksLinked = 0;
+  credits.forEach(({ _id: credit, books }) => {
+    const resolved = resolveCredit(credit, directory, touched);
+    resolved.ambiguous.forEach((entry) => ambiguous.push({ credit, ...entry }));
+    if (resolved.authorIds.length === 0) return;
+    booksLinked += books;
+    updates.push({
+      updateMany: {
+        filter: { author: credit },
+        update: { $set: { authorIds: resolved.authorIds } },
+      },
+    });
+  });
+
+  const created = [...touched].filter((author) => author.isNew);
+  const report = {
+    dryRun,
+    credits: credits.length,
+    booksLinked,
+    authorsCreated: created.map((author) => author.name.display),
+    authorsUpdated: touched.size - created.length,
+    ambiguous,
+  };
+
+  if (!dryRun) {
+    await saveAuthors(touched);
+    if (updates.length > 0) {
+      await Book.bulkWrite(updates, { ordered: false });
+      await emitBulkWriteChanges(updates);
+    }
+    logger.info('Books linked to authors', {
+      credits: report.credits,
+      booksLinked,
+      authorsCreated: created.length,
+      authorsUpdated: report.authorsUpdated,
+      ambiguous: ambiguous.length,
+    });
+  }
+  return report;
+};
+
+/**
+ * Number of books (not in the trash) per author
+ * @param {Array} ids - Author ids
+ * @returns {Promise<Map<string, number>>} Count by author id
+ */
+const countBooks = async (ids) => {
+  const counts = await Book.aggregate([
+    { $match: { authorIds: { $in: ids }, isDeleted: { $ne: true } } },
+    { $unwind: '$authorIds' },
+    { $match: { authorIds: { $in: ids } } },
+    { $group: { _id: '$authorIds', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+};
+
+const withBookCounts = async (authors) => {
+  const counts = await countBooks(authors.map((author) => author._id));
+  return authors.map((author) => ({
+    ...author.toObject(),
+    bookCount: counts.get(String(author._id)) || 0,
+  }));
+};
+
+/**
+ * List authors
+ * @param {Object} options - Listing options
+ * @param {string} [options.search] - Part of a name in either script, or its sound
+ * @param {boolean|string} [options.featured] - Only featured (true) or other (false) authors
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Authors per page
+ * @returns {Promise<Object>} { authors (with bookCount), pagination }
+ */
+export const listAuthors = async ({ search, featured, page = 1, limit = 20 } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const query = {};
+
+  if (featured !== undefined) query.isFeatured = featured === true || featured === 'true';
+  if (search) {
+    const text = new RegExp(escapeRegExp(search.trim()), 'i');
+    const key = soundKey(normaliseText(search).replace(/\s+/g, ''));
+    query.$or = [
+      { 'name.display': text },
+      { 'name.english': text },
+      { 'name.odia': text },
+      { aliases: text },
+      ...(key ? [{ nameKeys: new RegExp(`^${escapeRegExp(key)}`) }] : []),
+    ];
+  }
+
+  const [authors, total] = await Promise.all([
+    Author.find(query)
+      .select('-nameKeys -initialsKeys')
+      .sort({ 'name.display': 1, _id: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Author.countDocuments(query),
+  ]);
+
+  return {
+    authors: await withBookCounts(authors),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Get an author by ID or slug
+ * @param {string} idOrSlug - MongoDB ID or slug
+ * @returns {Promise<Object>} Author document
+ * @throws {NotFoundError} If there's no such author
+ */
+export const getAuthorById = async (idOrSlug) => {
+  const author = mongoose.isValidObjectId(idOrSlug)
+    ? await Author.findById(idOrSlug)
+    : await Author.findOne({ slug: String(idOrSlug).toLowerCase() });
+  if (!author) {
+    throw new NotFoundError('Author not found');
+  }
+  return author;
+};
+
+/**
+ * Get an author with their book count, for the author page
+ * @param {string} idOrSlug - MongoDB ID or slug
+ * @returns {Promise<Object>} Author (without name keys) with bookCount
+ * @throws {NotFoundError} If there's no such author
+ */
+export const getAuthorProfile = async (idOrSlug) => {
+  const author = await getAuthorById(idOrSlug);
+  const [profile] = await withBookCounts([author]);
+  delete profile.nameKeys;
+  delete profile.initialsKeys;
+  return profile;
+};
+
+/**
+ * Make sure no other author goes by one of this author's names or slug
+ * @param {Object} author - Author document with fresh keys
+ * @throws {ConflictError} If the slug or a name is taken
+ */
+const assertAuthorUnique = async (author) => {
+  const others = { _id: { $ne: author._id } };
+  if (await Author.exists({ ...others, slug: author.slug })) {
+    throw new ConflictError(`Slug ${author.slug} is already taken`);
+  }
+  const sameName = await Author.findOne({ ...others, nameKeys: { $in: author.nameKeys } });
+  if (sameName) {
+    throw new ConflictError(`${sameName.name.display} already goes by one of these names`);
+  }
+};
+
+// Set by the service, not by hand
+const DERIVED_FIELDS = ['nameKeys', 'initialsKeys'];
+const stripDerived = (data) =>
+  Object.fromEntries(Object.entries(data).filter(([field]) => !DERIVED_FIELDS.includes(field)));
+
+/**
+ * Create an author
+ * The display name doubles as the English or Odia name when that one isn't given.
+ * @param {Object} data - Author fields
+ * @returns {Promise<Object>} Created author
+ * @throws {ConflictError} If the slug or a name is taken
+ */
+export const createAuthor = async (data) => {
+  const author = new Author(stripDerived(data));
+  const script = hasOdiaScript(author.name.display) ? 'odia' : 'english';
+  if (!author.name[script]) author.set(`name.${script}`, author.name.display);
+  refreshAuthorKeys(author);
+  author.slug = data.slug
+    ? slugify(data.slug)
+    : await uniqueSlug(author.name.english || author.name.display);
+  await assertAuthorUnique(author);
+
+  await author.save();
+  logger.info('Author created', { authorId: author._id, slug: author.slug });
+  return author;
+};
+
+/**
+ * Update an author
+ * @param {string} id - MongoDB ID of the author
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated author
+ * @throws {NotFoundError} If the author doesn't exist
+ * @throws {ConflictError} If the new slug or a name is taken
+ */
+export const updateAuthor = async (id, data) => {
+  const author = await getAuthorById(id);
+  const changes = stripDerived(data);
+  if (changes.slug !== undefined) changes.slug = slugify(changes.slug);
+
+  author.set(changes);
+  refreshAuthorKeys(author);
+  await assertAuthorUnique(author);
+  await author.save();
+
+  logger.info('Author updated', { authorId: id, fields: Object.keys(changes) });
+  return author;
+};
+
+/**
+ * Delete an author and unlink their books (the books stay)
+ * @param {string} id - MongoDB ID of the author
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the author doesn't exist
+ */
+export const deleteAuthor = async (id) => {
+  const author = await getAuthorById(id);
+  await Book.updateMany({ authorIds: author._id }, { $pull: { authorIds: author._id } }).setOptions(
+    {
+      includeDeleted: true,
+    }
+  );
+  await author.deleteOne();
+  logger.info('Author deleted', { authorId: id, slug: author.slug });
+};
@@ -0,0 +1,290 @@
+import { once } from 'events';
+import Book from '../models/Book.js';
+import logger from '../utils/logger.js';
+import { formatCsvRow } from '../utils/csv.js';
+import { hasOdiaScript } from '../utils/odiaText.js';
+import { BadRequestError } from '../utils/errors.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'onix'];
+
+export const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  onix: 'application/xml; charset=utf-8',
+};
+
+export const EXPORT_EXTENSIONS = { csv: 'csv', json: 'json', onix: 'xml' };
+
+const STORE_NAME = 'Odisha Book Store';
+
+// Fields every format needs; reviews stay out (customer data, and large)
+const EXPORT_FIELDS =
+  'isbn title author description price category language format edition stock image academicGrade tags rating reviewCount createdAt updatedAt';
+
+/**
+ * CSV columns, named so the file can be imported again unchanged
+ * (see services/bookImportService.js)
+ */
+const CSV_COLUMNS = [
+  ['id', (book) => book._id],
+  ['isbn', (book) => book.isbn],
+  ['title.display', (book) => book.title?.display],
+  ['title.english', (book) => book.title?.english],
+  ['title.odia', (book) => book.title?.odia],
+  ['author', (book) => book.author],
+  ['description', (book) => book.description],
+  ['price.original', (book) => book.price?.original],
+  ['price.discounted', (book) => book.price?.discounted],
+  ['price.discountPercent', (book) => book.price?.discountPercent],
+  ['category', (book) => book.category],
+  ['language', (book) => book.language],
+  ['format', (book) => book.format],
+  ['edition.label', (book) => book.edition?.label],
+  ['edition.year', (book) => book.edition?.year],
+  ['stock', (book) => book.stock],
+  ['image', (book) => book.image],
+  ['academicGrade', (book) => book.academicGrade],
+  ['tags', (book) => (book.tags || []).join(', ')],
+  ['rating', (book) => book.rating],
+  ['reviewCount', (book) => book.reviewCount],
+  ['updatedAt', (book) => book.updatedAt?.toISOString()],
+];
+
+// ONIX code list values used below (https://www.editeur.org/14/Code-Lists/)
+const ONIX_LANGUAGES = { Odia: 'ori', English: 'eng', Hindi: 'hin' }; // List 74 (ISO 639-2/B)
+const ONIX_SCRIPTS = { ori: 'Orya', eng: 'Latn', hin: 'Deva' }; // List 121 (ISO 15924)
+// List 150; BA (book, form unspecified) for anything else
+const ONIX_FORMS = {
+  Paperback: 'BC',
+  Hardcover: 'BB',
+  'Board Book': 'BH',
+  'Spiral Bound': 'BE',
+  eBook: 'EA',
+};
+
+/**
+ * Build the MongoDB query for an export
+ * @param {Object} filters - Export filters
+ * @param {string} [filters.category] - Exact category
+ * @param {string} [filters.language] - Odia, English or Hindi
+ * @param {string} [filters.inStock] - 'true' for books in stock, 'false' for sold out
+ * @param {string} [filters.updatedSince] - ISO date; only books changed on or after it
+ * @param {string} [filters.updatedBefore] - ISO date; only books changed before it
+ * @returns {Object} MongoDB query (deleted books are left out by the model)
+ * @throws {BadRequestError} If a date can't be read
+ */
+export const buildExportQuery = ({
+  category,
+  language,
+  inStock,
+  updatedSince,
+  updatedBefore,
+} = {}) => {
+  const query = {};
+  if (category) query.category = category;
+  if (language) query.language = language;
+  if (inStock === 'true') query.stock = { $gt: 0 };
+  else if (inStock === 'false') query.stock = 0;
+
+  [
+    ['$gte', updatedSince, 'updatedSince'],
+    ['$lt', updatedBefore, 'updatedBefore'],
+  ].forEach(([operator, value, name]) => {
+    if (!value) return;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new BadRequestError(`${name} must be a date`);
+    query.updatedAt = { ...query.updatedAt, [operator]: date };
+  });
+
+  return query;
+};
+
+const escapeXml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char]
+  );
+
+// <Tag>value</Tag>, or nothing when there's no value
+const element = (tag, value, attributes = '') =>
+  value === null || value === undefined || value === ''
+    ? ''
+    : `<${tag}${attributes}>${escapeXml(value)}</${tag}>`;
+
+const titleDetail = (type, text) => {
+  const language = hasOdiaScript(text) ? 'ori' : 'eng';
+  return (
+    `<TitleDetail><TitleType>${type}</TitleType><TitleElement>` +
+    '<TitleElementLevel>01</TitleElementLevel>' +
+    `${element('TitleText', text, ` language="${language}" textscript="${ONIX_SCRIPTS[language]}"`)}` +
+    '</TitleElement></TitleDetail>'
+  );
+};
+
+const onixPrice = (amount, qualifier = '') =>
+  `<Price><PriceType>02</PriceType>${qualifier}` +
+  `<PriceAmount>${amount.toFixed(2)}</PriceAmount><CurrencyCode>INR</CurrencyCode></Price>`;
+
+/**
+ * One ONIX 3.0 <Product> record
+ * Both scripts of a bilingual title are sent: the display title as the
+ * distinctive title (TitleType 01) and the other one as the title in another
+ * language (06). The list price is the RRP; a discounted price follows it as
+ * a promotional offer price (PriceQualifier 08).
+ */
+export const toOnixProduct = (book) => {
+  const id = String(book._id);
+  const identifiers = [
+    `<ProductIdentifier><ProductIDType>01</ProductIDType><IDTypeName>${STORE_NAME}</IDTypeName><IDValue>${id}</IDValue></ProductIdentifier>`,
+  ];
+  const isbn = (book.isbn || '').replace(/[\s-]/g, '');
+  if (/^\d{13}$/.test(isbn)) {
+    identifiers.push(
+      `<ProductIdentifier><ProductIDType>15</ProductIDType><IDValue>${isbn}</IDValue></ProductIdentifier>`
+    );
+  } else if (/^\d{9}[\dX]$/i.test(isbn)) {
+    identifiers.push(
+      `<ProductIdentifier><ProductIDType>02</ProductIDType><IDValue>${isbn}</IDValue></ProductIdentifier>`
+    );
+  }
+
+  const display = book.title?.display || '';
+  const otherTitles = [book.title?.odia, book.title?.english].filter(
+    (title, index, titles) => title && title !== display && titles.indexOf(title) === index
+  );
+  const languageCode = ONIX_LANGUAGES[book.language];
+  // Keywords carry the tags and the class a textbook is for
+  const keywords = [...(book.tags || []), book.academicGrade].filter(Boolean);
+
+  const price = book.price || {};
+  const prices = [];
+  if (price.original !== undefined) prices.push(onixPrice(price.original));
+  if (price.discounted !== undefined && price.discounted < price.original) {
+    prices.push(onixPrice(price.discounted, '<PriceQualifier>08</PriceQualifier>'));
+  }
+
+  const stock = book.stock || 0;
+
+  return [
+    '<Product>',
+    `<RecordReference>${escapeXml(`odishabookstore.${id}`)}</RecordReference>`,
+    '<NotificationType>03</NotificationType>',
+    ...identifiers,
+    '<DescriptiveDetail>',
+    '<ProductComposition>00</ProductComposition>',
+    `<ProductForm>${ONIX_FORMS[book.format] || 'BA'}</ProductForm>`,
+    titleDetail('01', display),
+    ...otherTitles.map((title) => titleDetail('06', title)),
+    book.author
+      ? `<Contributor><SequenceNumber>1</SequenceNumber><ContributorRole>A01</ContributorRole>${element('PersonName', book.author)}</Contributor>`
+      : '',
+    element('EditionStatement', book.edition?.label),
+    languageCode
+      ? `<Language><LanguageRole>01</LanguageRole><LanguageCode>${languageCode}</LanguageCode></Language>`
+      : '',
+    book.category
+      ? `<Subject><SubjectSchemeIdentifier>24</SubjectSchemeIdentifier><SubjectSchemeName>${STORE_NAME} category</SubjectSchemeName>${element('SubjectHeadingText', book.category)}</Subject>`
+      : '',
+    keywords.length
+      ? `<Subject><SubjectSchemeIdentifier>20</SubjectSchemeIdentifier>${element('SubjectHeadingText', keywords.join('; '))}</Subject>`
+      : '',
+    '</DescriptiveDetail>',
+    book.description || book.image
+      ? [
+          '<CollateralDetail>',
+          book.description
+            ? `<TextContent><TextType>03</TextType><ContentAudience>00</ContentAudience>${element('Text', book.description)}</TextContent>`
+            : '',
+          book.image
+            ? '<SupportingResource><ResourceContentType>01</ResourceContentType><ContentAudience>00</ContentAudience>' +
+              `<ResourceMode>03</ResourceMode><ResourceVersion><ResourceForm>02</ResourceForm>${element('ResourceLink', book.image)}</ResourceVersion></SupportingResource>`
+            : '',
+          '</CollateralDetail>',
+        ].join('')
+      : '',
+    '<PublishingDetail><PublishingStatus>04</PublishingStatus></PublishingDetail>',
+    '<ProductSupply>',
+    '<Market><Territory><CountriesIncluded>IN</CountriesIncluded></Territory></Market>',
+    '<SupplyDetail>',
+    `<Supplier><SupplierRole>01</SupplierRole><SupplierName>${STORE_NAME}</SupplierName></Supplier>`,
+    `<ProductAvailability>${stock > 0 ? '21' : '31'}</ProductAvailability>`,
+    `<Stock><OnHand>${stock}</OnHand></Stock>`,
+    ...prices,
+    '</SupplyDetail>',
+    '</ProductSupply>',
+    '</Product>\n',
+  ].join('');
+};
+
+const onixHeader = (sentAt) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  '<ONIXMessage release="3.0" xmlns="http://ns.editeur.org/onix/3.0/reference">\n' +
+  `<Header><Sender><SenderName>${STORE_NAME}</SenderName></Sender>` +
+  `<SentDateTime>${sentAt.toISOString().replace(/[-:]/g, '').slice(0, 13)}</SentDateTime></Header>\n`;
+
+// JSON keeps the stored shape: nested title and price, id instead of _id
+const toJsonBook = ({ _id, ...book }) => ({ id: _id, ...book });
+
+/**
+ * Pieces of an export: what goes before, between-and-around each book, and after
+ */
+const FORMATTERS = {
+  // BOM so spreadsheet apps read Odia text as UTF-8
+  csv: {
+    start: () => `\uFEFF${formatCsvRow(CSV_COLUMNS.map(([name]) => name))}`,
+    book: (book) => formatCsvRow(CSV_COLUMNS.map(([, value]) => value(book))),
+    end: () => '',
+  },
+  json: {
+    start: () => '[\n',
+    book: (book, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(toJsonBook(book))}`,
+    end: (count) => (count > 0 ? '\n]\n' : ']\n'),
+  },
+  onix: {
+    start: () => onixHeader(new Date()),
+    book: (book) => toOnixProduct(book),
+    end: () => '</ONIXMessage>\n',
+  },
+};
+
+const write = async (stream, chunk) => {
+  if (chunk && !stream.write(chunk)) await once(stream, 'drain');
+};
+
+/**
+ * Stream the catalogue to a writable stream
+ * Books are read with a cursor in _id order and written one at a time, so
+ * memory use doesn't grow with the catalogue. The stream is not ended.
+ *
+ * @param {import('stream').Writable} stream - Where to write (an HTTP response or a file)
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv, json or onix
+ * @param {Object} [options.filters] - See buildExportQuery
+ * @returns {Promise<number>} Number of books written
+ * @throws {BadRequestError} If the format or a filter is invalid (before anything is written)
+ */
+export const exportBooks = async (stream, { format, filters = {} }) => {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new BadRequestError(
+      `Unsupported export format "${format}" (${EXPORT_FORMATS.join(', ')})`
+    );
+  }
+  const query = buildExportQuery(filters);
+
+  let count = 0;
+  await write(stream, formatter.start());
+  await Book.find(query)
+    .select(EXPORT_FIELDS)
+    .sort({ _id: 1 })
+    .lean()
+    .cursor()
+    .eachAsync(async (book) => {
+      await write(stream, formatter.book(book, count));
+      count += 1;
+    });
+  await write(stream, formatter.end(count));
+
+  logger.info('Book export finished', { format, filters, count });
+  return count;
+};
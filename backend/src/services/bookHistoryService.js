@@ -0,0 +1,273 @@
+import Book from '../models/Book.js';
+import BookVersion from '../models/BookVersion.js';
+import logger from '../utils/logger.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+import { resolveAuthorIds } from './authorService.js';
+import { assertWorkExists } from './workService.js';
+
+/**
+ * Book fields the history leaves out: bookkeeping, customer reviews,
+ * stock (it moves with every order), images and the cover (they have their
+ * own endpoints), authorIds (worked out from author) and sales (set by
+ * sale campaigns)
+ * @type {Array<string>}
+ */
+export const UNTRACKED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'reviews',
+  'rating',
+  'reviewCount',
+  'stock',
+  'image',
+  'images',
+  'authorIds',
+  'sales',
+  'isDeleted',
+  'deletedAt',
+  'deletedBy',
+];
+
+// Most attempts at numbering a version when another change to the book wins the race
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * The tracked fields of a book, as stored in a version
+ * IDs and dates become strings, so snapshots compare and store as plain JSON.
+ * @param {Object} book - Book document or lean object
+ * @returns {Object} Nested plain object without UNTRACKED_FIELDS
+ */
+export const bookSnapshot = (book) => {
+  const plain =
+    typeof book.toObject === 'function'
+      ? book.toObject({ virtuals: false, depopulate: true })
+      : book;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+  UNTRACKED_FIELDS.forEach((field) => delete snapshot[field]);
+  return snapshot;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten a snapshot to dotted paths; arrays are kept whole
+ * @param {Object} snapshot - Snapshot
+ * @param {string} [prefix] - Path of the object inside the snapshot
+ * @returns {Object} { 'price.original': 200, tags: [...], ... }
+ */
+export const flattenSnapshot = (snapshot, prefix = '') =>
+  Object.entries(snapshot).reduce((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return isPlainObject(value)
+      ? { ...flat, ...flattenSnapshot(value, path) }
+      : { ...flat, [path]: value };
+  }, {});
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} before - Earlier snapshot ({} for a new book)
+ * @param {Object} after - Later snapshot
+ * @returns {Array<{path: string, from: *, to: *}>} Changed paths in order; a missing value is null
+ */
+export const diffSnapshots = (before, after) => {
+  const from = flattenSnapshot(before);
+  const to = flattenSnapshot(after);
+
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .sort()
+    .filter((path) => JSON.stringify(from[path] ?? null) !== JSON.stringify(to[path] ?? null))
+    .map((path) => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+};
+
+/**
+ * The latest version of each book
+ * @param {Array} bookIds - Book IDs
+ * @returns {Promise<Map>} Book ID -> { version, snapshot }
+ */
+const latestVersions = async (bookIds) => {
+  const latest = await BookVersion.aggregate([
+    { $match: { book: { $in: bookIds } } },
+    { $sort: { book: 1, version: -1 } },
+    {
+      $group: {
+        _id: '$book',
+        version: { $first: '$version' },
+        snapshot: { $first: '$snapshot' },
+      },
+    },
+  ]);
+  return new Map(latest.map((entry) => [String(entry._id), entry]));
+};
+
+/**
+ * Record a version for each of several changed books
+ * The diff is taken against the book's previous version. Books from before
+ * the history was kept have none; for them, pass the book as it was before an
+ * update (before). Without one, a create lists every field and other actions
+ * list none.
+ * @param {Array<Object>} entries - [{ book, action, before, revertOf }], book after the change
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - The user making the change (req.user); none for scripts
+ * @param {number} [attempt] - Internal: retry count after a numbering race
+ * @returns {Promise<Array<Object>>} The new versions
+ */
+export const recordBookVersions = async (entries, { actor } = {}, attempt = 1) => {
+  if (entries.length === 0) return [];
+
+  const latest = await latestVersions(entries.map(({ book }) => book._id));
+  const versions = entries.map(({ book, action, before, revertOf = null }) => {
+    const previous = latest.get(String(book._id));
+    const snapshot = bookSnapshot(book);
+    let baseline = previous?.snapshot;
+    if (!baseline && before) baseline = bookSnapshot(before);
+    if (!baseline) baseline = action === 'create' ? {} : snapshot;
+
+    return {
+      book: book._id,
+      version: (previous?.version || 0) + 1,
+      action,
+      actor: actor?._id || null,
+      actorName: actor ? actor.name || actor.email : 'system',
+      changes: diffSnapshots(baseline, snapshot),
+      snapshot,
+      revertOf,
+    };
+  });
+
+  try {
+    return await BookVersion.insertMany(versions, { ordered: false });
+  } catch (error) {
+    // Two changes to one book at once can pick the same number; the loser
+    // takes the next one
+    const writeErrors = [].concat(error.writeErrors || []);
+    const raced = writeErrors.every((writeError) => writeError.code === 11000);
+    if (writeErrors.length === 0 || !raced || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+
+    const failed = new Set(writeErrors.map((writeError) => writeError.index));
+    const retried = await recordBookVersions(
+      entries.filter((entry, index) => failed.has(index)),
+      { actor },
+      attempt + 1
+    );
+    const saved = error.insertedDocs || [];
+    return [...saved, ...retried];
+  }
+};
+
+/**
+ * Record a version of one changed book
+ * @param {Object} book - The book after the change
+ * @param {Object} options - Options
+ * @param {string} options.action - One of BOOK_VERSION_ACTIONS
+ * @param {Object} [options.actor] - The user making the change (req.user)
+ * @param {Object} [options.before] - The book before the change (see recordBookVersions)
+ * @param {number} [options.revertOf] - For reverts, the version put back
+ * @returns {Promise<Object>} The new version
+ */
+export const recordBookVersion = async (book, { action, actor, before, revertOf }) => {
+  const [version] = await recordBookVersions([{ book, action, before, revertOf }], { actor });
+  return version;
+};
+
+/**
+ * List a book's versions, newest first, without their snapshots
+ * Deleted books keep their history.
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Object} [options] - Options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Versions per page
+ * @returns {Promise<Object>} { versions, pagination }
+ * @throws {NotFoundError} If the book doesn't exist, even in the trash
+ */
+export const getBookHistory = async (bookId, { page = 1, limit = 20 } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+
+  const [exists, versions, total] = await Promise.all([
+    Book.exists({ _id: bookId }).setOptions({ includeDeleted: true }),
+    BookVersion.find({ book: bookId })
+      .select('-snapshot')
+      .sort({ version: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    BookVersion.countDocuments({ book: bookId }),
+  ]);
+  if (!exists) {
+    throw new NotFoundError('Book not found');
+  }
+
+  return {
+    versions,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Get one version of a book, with its snapshot
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Version
+ * @throws {NotFoundError} If there's no such version
+ */
+export const getBookVersion = async (bookId, version) => {
+  const found = await BookVersion.findOne({ book: bookId, version }).lean();
+  if (!found) {
+    throw new NotFoundError('Version not found');
+  }
+  return found;
+};
+
+/**
+ * Put the tracked fields of an earlier version back
+ * Stock, images and reviews stay as they are now. The revert is recorded as
+ * a new version, so it can be undone the same way.
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} version - Version to go back to
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - The user reverting (req.user)
+ * @returns {Promise<{before: Object, book: Object}>} The book before and after
+ * @throws {NotFoundError} If the book (outside the trash) or version doesn't exist
+ * @throws {BadRequestError} If the book already matches the version, or its work is gone
+ */
+export const revertBook = async (bookId, version, { actor } = {}) => {
+  const book = await Book.findById(bookId);
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+  const target = await getBookVersion(bookId, version);
+
+  const before = book.toObject();
+  const changes = diffSnapshots(bookSnapshot(book), target.snapshot);
+  if (changes.length === 0) {
+    throw new BadRequestError(`The book already matches version ${version}`);
+  }
+
+  changes.forEach(({ path, to }) => {
+    book.set(path, to ?? undefined);
+  });
+  if (book.isModified('author')) {
+    book.set('authorIds', await resolveAuthorIds(book.author));
+  }
+  if (book.isModified('work')) {
+    await assertWorkExists(book.work);
+  }
+  await book.save();
+
+  await recordBookVersion(book, { action: 'revert', actor, revertOf: version });
+
+  logger.info('Book reverted', {
+    bookId,
+    version,
+    fields: changes.map((change) => change.path),
+  });
+  return { before, book };
+};
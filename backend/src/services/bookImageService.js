@@ -0,0 +1,296 @@
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Book from '../models/Book.js';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { getStorage } from './storage/index.js';
+import { BadRequestError, NotFoundError, PayloadTooLargeError } from '../utils/errors.js';
+
+/** Content types an image upload may be sent as */
+export const IMAGE_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Sizes every upload is converted to: the longest side in pixels, never
+ * enlarged. thumb for carts and lists, medium for cards, large for the
+ * book page gallery and zoom.
+ */
+export const IMAGE_VARIANTS = { thumb: 160, medium: 480, large: 1200 };
+
+/** Most images a book may have */
+export const MAX_IMAGES_PER_BOOK = 10;
+
+// Variant files never change (a new upload gets a new key), so they can be cached forever
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Largest decoded image accepted (about 50 megapixels), against decompression bombs
+const MAX_INPUT_PIXELS = 50_000_000;
+
+/**
+ * Work out an image's type from its first bytes
+ * The Content-Type header is only what the client claims.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} image/jpeg, image/png, image/webp, or null for anything else
+ */
+export const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (
+    buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('latin1') === 'WEBP'
+  ) {
+    return 'image/webp';
+  }
+  return null;
+};
+
+/**
+ * Check an upload before it's decoded
+ * @param {Buffer} buffer - File contents
+ * @throws {BadRequestError} If it's empty or not a JPEG, PNG or WebP image
+ * @throws {PayloadTooLargeError} If it's over IMAGE_MAX_BYTES
+ */
+export const validateImage = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new BadRequestError(
+      `Send the image as the request body with a ${IMAGE_CONTENT_TYPES.join(', ')} Content-Type`
+    );
+  }
+  if (buffer.length > config.IMAGE_MAX_BYTES) {
+    throw new PayloadTooLargeError(
+      `Images must be at most ${Math.floor(config.IMAGE_MAX_BYTES / (1024 * 1024))} MB`
+    );
+  }
+  if (!detectImageType(buffer)) {
+    throw new BadRequestError('Only JPEG, PNG and WebP images can be uploaded');
+  }
+};
+
+/**
+ * Convert an image to the WebP variants in IMAGE_VARIANTS
+ * EXIF rotation is applied and metadata (camera, location) is dropped.
+ * @param {Buffer} buffer - JPEG, PNG or WebP file
+ * @returns {Promise<Array<{variant: string, body: Buffer, width: number, height: number}>>}
+ * @throws {BadRequestError} If the image can't be decoded or is too large
+ */
+export const processImage = async (buffer) => {
+  try {
+    return await Promise.all(
+      Object.entries(IMAGE_VARIANTS).map(async ([variant, size]) => {
+        const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+          .rotate()
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer({ resolveWithObject: true });
+        return { variant, body: data, width: info.width, height: info.height };
+      })
+    );
+  } catch (error) {
+    logger.warn('Image could not be processed', { error: error.message });
+    throw new BadRequestError('The image could not be read; it may be corrupt or too large');
+  }
+};
+
+const variantKey = (key, variant) => `${key}-${variant}.webp`;
+
+/**
+ * Storage keys of every file of the given images
+ * @param {Array<Object>} images - Book images
+ * @returns {Array<string>} Keys
+ */
+const storedKeys = (images) =>
+  images.flatMap((image) =>
+    Object.keys(IMAGE_VARIANTS).map((variant) => variantKey(image.key, variant))
+  );
+
+/**
+ * Delete the stored files of images
+ * Failures are logged, not thrown: a leftover file costs a little storage,
+ * while a failed request after the book was changed would be worse.
+ * @param {Array<Object>} images - Book images
+ * @param {Object} [storage] - Storage adapter
+ * @returns {Promise<void>}
+ */
+export const deleteStoredImages = async (images, storage = getStorage()) => {
+  if (images.length === 0) return;
+  try {
+    await storage.delete(storedKeys(images));
+  } catch (error) {
+    logger.error('Failed to delete stored images', {
+      keys: images.map((image) => image.key),
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Point Book.image at the cover, the first uploaded image
+ * @param {Object} book - Book document
+ */
+const syncCover = (book) => {
+  book.set('image', book.images[0]?.medium || '');
+};
+
+const findBook = async (bookId) => {
+  const book = await Book.findById(bookId);
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+  return book;
+};
+
+/**
+ * Upload an image of a book
+ * The image is validated, converted to the WebP variants, stored, and added
+ * to Book.images. If storing or saving fails, the stored files are removed again.
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Buffer} buffer - JPEG, PNG or WebP file
+ * @param {Object} [options] - Options
+ * @param {string} [options.alt] - Alt text
+ * @param {number} [options.position] - Index to insert at (default: last; 0 makes it the cover)
+ * @param {Object} [options.storage] - Storage adapter
+ * @returns {Promise<Array<Object>>} The book's images
+ * @throws {NotFoundError} If the book doesn't exist
+ * @throws {BadRequestError} If the book has MAX_IMAGES_PER_BOOK images or the image is invalid
+ * @throws {PayloadTooLargeError} If the image is over IMAGE_MAX_BYTES
+ */
+export const addBookImage = async (
+  bookId,
+  buffer,
+  { alt = '', position, storage = getStorage() } = {}
+) => {
+  validateImage(buffer);
+  const book = await findBook(bookId);
+  if (book.images.length >= MAX_IMAGES_PER_BOOK) {
+    throw new BadRequestError(`A book can have at most ${MAX_IMAGES_PER_BOOK} images`);
+  }
+
+  const variants = await processImage(buffer);
+  const imageId = new mongoose.Types.ObjectId();
+  const key = `books/${book._id}/${imageId}`;
+  const image = { _id: imageId, key, alt };
+
+  variants.forEach(({ variant, width, height }) => {
+    image[variant] = storage.url(variantKey(key, variant));
+    if (variant === 'large') Object.assign(image, { width, height });
+  });
+  const index =
+    position === undefined ? book.images.length : Math.min(position, book.images.length);
+  book.images.splice(index, 0, image);
+  syncCover(book);
+
+  // Files first, then the book; if either fails, nothing is left behind
+  try {
+    await Promise.all(
+      variants.map(({ variant, body }) =>
+        storage.put(variantKey(key, variant), body, {
+          contentType: 'image/webp',
+          cacheControl: CACHE_CONTROL,
+        })
+      )
+    );
+    await book.save();
+  } catch (error) {
+    await deleteStoredImages([image], storage);
+    throw error;
+  }
+
+  logger.info('Book image uploaded', { bookId, imageId, bytes: buffer.length });
+  return book.images;
+};
+
+/**
+ * Put a book's images in a new order; the first becomes the cover
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Array<string>} order - Every image ID of the book, in the new order
+ * @returns {Promise<Array<Object>>} The book's images
+ * @throws {NotFoundError} If the book doesn't exist
+ * @throws {BadRequestError} If order isn't exactly the book's image IDs
+ */
+export const reorderBookImages = async (bookId, order) => {
+  const book = await findBook(bookId);
+  const byId = new Map(book.images.map((image) => [String(image._id), image]));
+
+  if (
+    order.length !== byId.size ||
+    new Set(order).size !== order.length ||
+    !order.every((id) => byId.has(id))
+  ) {
+    throw new BadRequestError("order must list each of the book's image IDs once");
+  }
+
+  book.set(
+    'images',
+    order.map((id) => byId.get(id).toObject())
+  );
+  syncCover(book);
+  await book.save();
+
+  logger.info('Book images reordered', { bookId });
+  return book.images;
+};
+
+/**
+ * Update an image's alt text
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {string} imageId - ID of the image
+ * @param {string} alt - Alt text
+ * @returns {Promise<Array<Object>>} The book's images
+ * @throws {NotFoundError} If the book or image doesn't exist
+ */
+export const updateBookImage = async (bookId, imageId, { alt }) => {
+  const book = await findBook(bookId);
+  const image = book.images.id(imageId);
+  if (!image) {
+    throw new NotFoundError('Image not found');
+  }
+
+  image.set('alt', alt);
+  await book.save();
+  return book.images;
+};
+
+/**
+ * Remove an image from a book and delete its files
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {string} imageId - ID of the image
+ * @param {Object} [options] - Options
+ * @param {Object} [options.storage] - Storage adapter
+ * @returns {Promise<Array<Object>>} The book's remaining images
+ * @throws {NotFoundError} If the book or image doesn't exist
+ */
+export const removeBookImage = async (bookId, imageId, { storage = getStorage() } = {}) => {
+  const book = await findBook(bookId);
+  const image = book.images.id(imageId);
+  if (!image) {
+    throw new NotFoundError('Image not found');
+  }
+
+  const removed = image.toObject();
+  book.images.pull(image._id);
+  syncCover(book);
+  await book.save();
+  await deleteStoredImages([removed], storage);
+
+  logger.info('Book image removed', { bookId, imageId });
+  return book.images;
+};
+
+/**
+ * Delete the stored files of a book that's being purged
+ * Call after the book is gone from the database.
+ * @param {Object} book - The purged book
+ * @param {Object} [options] - Options
+ * @param {Object} [options.storage] - Storage adapter
+ * @returns {Promise<void>}
+ */
+export const purgeBookImages = async (book, { storage = getStorage() } = {}) => {
+  const images = book.images || [];
+  await deleteStoredImages(images, storage);
+  if (images.length > 0) {
+    logger.info('Book images purged', { bookId: book._id, images: images.length });
+  }
+};
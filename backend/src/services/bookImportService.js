@@ -0,0 +1,587 @@
+import mongoose from 'mongoose';
+import Book, { BOOK_FORMATS, emitBulkWriteChanges } from '../models/Book.js';
+import logger from '../utils/logger.js';
+import { parseCsvRows } from '../utils/csv.js';
+import readXlsxRows from '../utils/xlsx.js';
+import { hasOdiaScript } from '../utils/odiaText.js';
+import { BadRequestError } from '../utils/errors.js';
+import { recordBookVersions } from './bookHistoryService.js';
+import { recordOpeningStock } from './inventoryService.js';
+
+export const IMPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+export const XLSX_CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Accepted column names for each Book field, after normalising the header
+ * (lower-cased, underscores and runs of spaces turned into one space).
+ * Nested JSON is flattened first, so { price: { original } } is "price.original".
+ */
+const COLUMN_ALIASES = {
+  'title.display': ['title', 'title.display', 'display title', 'name'],
+  'title.english': ['title.english', 'english title', 'title english'],
+  'title.odia': ['title.odia', 'odia title', 'title odia'],
+  author: ['author', 'writer'],
+  description: ['description', 'summary'],
+  'price.original': ['price', 'price.original', 'price (inr)', 'mrp', 'original price'],
+  'price.discounted': ['price.discounted', 'discounted price', 'sale price', 'selling price'],
+  'price.discountPercent': ['price.discountpercent', 'discount', 'discount percent', 'discount %'],
+  category: ['category', 'genre'],
+  language: ['language'],
+  isbn: ['isbn', 'isbn13', 'isbn 13', 'isbn10', 'isbn 10'],
+  stock: ['stock', 'quantity', 'qty'],
+  image: ['image', 'image url', 'cover'],
+  academicGrade: ['academicgrade', 'academic grade', 'grade', 'class'],
+  tags: ['tags', 'keywords'],
+  format: ['format', 'binding'],
+  'edition.label': ['edition', 'edition.label', 'edition statement'],
+  'edition.year': ['edition.year', 'edition year', 'year'],
+};
+
+const FIELD_BY_COLUMN = new Map(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, aliases]) =>
+    aliases.map((alias) => [alias, field])
+  )
+);
+
+// Columns that look importable but are owned by the store itself
+const MANAGED_COLUMNS = {
+  id: 'books are matched by ISBN, or title and author',
+  updatedat: 'updatedAt is set by the store',
+  rating: 'rating is calculated from reviews',
+  reviews: 'reviews are written by customers',
+  reviewcount: 'reviewCount is calculated from reviews',
+};
+
+const DEFAULT_CATEGORY = 'General';
+
+const normaliseHeader = (header) =>
+  String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, ' ');
+
+/**
+ * Flatten nested objects into dotted keys: { price: { original: 1 } } → { 'price.original': 1 }
+ * Arrays are kept whole (tags).
+ */
+const flatten = (value, prefix = '') =>
+  Object.entries(value).reduce((flat, [key, nested]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+      return { ...flat, ...flatten(nested, path) };
+    }
+    return { ...flat, [path]: nested };
+  }, {});
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(',');
+  return String(value).trim();
+};
+
+/**
+ * Turn a header row plus data rows into records keyed by Book field
+ * Blank rows are skipped. line is the 1-based row number (header is row 1).
+ */
+const tableToRecords = ([headerRow = [], ...rows], lineOf) => {
+  const headers = headerRow.map(cellText);
+  const records = [];
+  rows.forEach((values, index) => {
+    if (!values.some((value) => cellText(value) !== '')) return;
+    records.push({
+      line: lineOf(index),
+      data: Object.fromEntries(headers.map((header, col) => [header, cellText(values[col])])),
+    });
+  });
+  return { headers, records };
+};
+
+/**
+ * Read an uploaded catalogue file into records
+ * @param {string|Buffer|Object|Array} content - File contents; JSON may also be already parsed
+ * @param {string} format - csv, xlsx or json
+ * @returns {{headers: string[], records: Array<{line: number, data: Object}>}}
+ *   For JSON, line is the 1-based position of the book in the array
+ * @throws {BadRequestError} If the file can't be read
+ */
+export const readImportFile = (content, format) => {
+  if (format === 'csv') {
+    // parseCsvRows skips blank lines, so line numbers count non-blank rows
+    return tableToRecords(parseCsvRows(content.toString()), (index) => index + 2);
+  }
+
+  if (format === 'xlsx') {
+    let rows;
+    try {
+      rows = readXlsxRows(content);
+    } catch (error) {
+      throw new BadRequestError(`Could not read XLSX file: ${error.message}`);
+    }
+    return tableToRecords(rows, (index) => index + 2);
+  }
+
+  if (format === 'json') {
+    let parsed = content;
+    if (typeof content === 'string' || Buffer.isBuffer(content)) {
+      try {
+        parsed = JSON.parse(content.toString());
+      } catch (error) {
+        throw new BadRequestError(`Could not read JSON file: ${error.message}`);
+      }
+    }
+    const books = Array.isArray(parsed) ? parsed : parsed?.books;
+    if (!Array.isArray(books)) {
+      throw new BadRequestError('JSON must be an array of books or { books: [...] }');
+    }
+
+    const flattened = books.map((book) => (book && typeof book === 'object' ? flatten(book) : {}));
+    const headers = [...new Set(flattened.flatMap((book) => Object.keys(book)))];
+    return {
+      headers,
+      records: flattened.map((book, index) => ({
+        line: index + 1,
+        data: Object.fromEntries(
+          Object.entries(book).map(([key, value]) => [key, cellText(value)])
+        ),
+      })),
+    };
+  }
+
+  throw new BadRequestError(`Unsupported import format "${format}" (${IMPORT_FORMATS.join(', ')})`);
+};
+
+/**
+ * ISBN without spaces or hyphens, upper-cased
+ */
+export const normaliseIsbn = (isbn) => cellText(isbn).replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Check an ISBN-10 or ISBN-13 check digit
+ * @param {string} isbn - Normalised ISBN
+ * @returns {boolean}
+ */
+export const isValidIsbn = (isbn) => {
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = [...isbn].reduce(
+      (total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i),
+      0
+    );
+    return sum % 11 === 0;
+  }
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = [...isbn].reduce((total, char, i) => total + Number(char) * (i % 2 ? 3 : 1), 0);
+    return sum % 10 === 0;
+  }
+  return false;
+};
+
+const parseNumber = (value, label, { integer = false, max = Infinity } = {}) => {
+  const number = Number(value.replace(/[₹,\s]/g, ''));
+  if (value === '' || Number.isNaN(number)) return { error: `${label} must be a number` };
+  if (integer && !Number.isInteger(number)) return { error: `${label} must be a whole number` };
+  if (number < 0) return { error: `${label} can't be negative` };
+  if (number > max) return { error: `${label} can't be more than ${max}` };
+  return { value: number };
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Map one imported row onto Book fields
+ * Only cells with a value are returned, so blank cells leave the stored value alone.
+ *
+ * @param {Object} data - Row keyed by Book field (see COLUMN_ALIASES)
+ * @returns {{isbn: string, fields: Object, price: Object, stock: (number|undefined),
+ *   errors: string[], warnings: string[]}}
+ *   fields uses dotted paths ready for $set; price holds the price cells given
+ */
+export const mapImportRow = (data) => {
+  const errors = [];
+  const warnings = [];
+  const fields = {};
+  const price = {};
+  let stock;
+  const get = (field) => data[field] ?? '';
+
+  const isbn = normaliseIsbn(get('isbn'));
+  if (isbn && !/^(\d{9}[\dX]|\d{13})$/.test(isbn)) {
+    errors.push(`ISBN "${get('isbn')}" must have 10 or 13 digits`);
+  } else if (isbn && !isValidIsbn(isbn)) {
+    warnings.push(`ISBN ${isbn} has a wrong check digit`);
+  }
+
+  // Titles: display falls back to the Odia or English title; a lone display
+  // title is filed under the script it is written in
+  const english = get('title.english');
+  const odia = get('title.odia');
+  const display = get('title.display') || odia || english;
+  if (display) fields['title.display'] = display;
+  if (english) fields['title.english'] = english;
+  if (odia) fields['title.odia'] = odia;
+  if (display && !english && !odia) {
+    fields[hasOdiaScript(display) ? 'title.odia' : 'title.english'] = display;
+  }
+
+  ['author', 'description', 'category', 'image', 'academicGrade'].forEach((field) => {
+    if (get(field)) fields[field] = get(field);
+  });
+
+  if (get('language')) {
+    const languages = Book.schema.path('language').enumValues;
+    const language = languages.find((name) => name.toLowerCase() === get('language').toLowerCase());
+    if (language) fields.language = language;
+    else errors.push(`Unknown language "${get('language')}" (${languages.join(', ')})`);
+  }
+
+  if (get('format')) {
+    const format = BOOK_FORMATS.find((name) => name.toLowerCase() === get('format').toLowerCase());
+    if (format) fields.format = format;
+    else errors.push(`Unknown format "${get('format')}" (${BOOK_FORMATS.join(', ')})`);
+  }
+
+  if (get('edition.label')) fields['edition.label'] = get('edition.label');
+  if (get('edition.year')) {
+    const parsed = parseNumber(get('edition.year'), 'edition year', { integer: true });
+    if (parsed.error) errors.push(parsed.error);
+    else fields['edition.year'] = parsed.value;
+  }
+
+  if (get('tags')) {
+    fields.tags = [
+      ...new Set(
+        get('tags')
+          .split(/[,;|]/)
+          .map((tag) => tag.trim())
+          .filter(Boolean)
+      ),
+    ];
+  }
+
+  [
+    ['price.original', 'original', 'price'],
+    ['price.discounted', 'discounted', 'discounted price'],
+    ['price.discountPercent', 'discountPercent', 'discount', { max: 100 }],
+  ].forEach(([field, key, label, options]) => {
+    if (!get(field)) return;
+    const parsed = parseNumber(get(field), label, options);
+    if (parsed.error) errors.push(parsed.error);
+    else price[key] = parsed.value;
+  });
+
+  if (get('stock')) {
+    const parsed = parseNumber(get('stock'), 'stock', { integer: true });
+    if (parsed.error) errors.push(parsed.error);
+    else stock = parsed.value;
+  }
+
+  return { isbn, fields, price, stock, errors, warnings };
+};
+
+/**
+ * Work out the full nested price from the cells given and the current price
+ * A new original price keeps the current discount percent. A discounted price
+ * wins over a percent when both are given.
+ * @param {Object} given - { original?, discounted?, discountPercent? }
+ * @param {Object} [current] - The book's current price
+ * @returns {{price?: Object, error?: string}}
+ */
+export const resolvePrice = (given, current = {}) => {
+  const original = given.original ?? current.original;
+  if (original === undefined) return { error: 'price is required' };
+
+  let { discounted, discountPercent } = given;
+  if (discounted !== undefined) {
+    if (discounted > original) return { error: 'discounted price is higher than the price' };
+    if (discountPercent === undefined) {
+      discountPercent = original > 0 ? Math.round((1 - discounted / original) * 100) : 0;
+    }
+  } else {
+    discountPercent = discountPercent ?? current.discountPercent ?? 0;
+    discounted = roundMoney(original * (1 - discountPercent / 100));
+  }
+
+  return { price: { original, discounted, discountPercent } };
+};
+
+// Identity of a row without an ISBN
+const titleKey = (title, author) => `${title}\u0000${author}`.toLowerCase();
+
+/**
+ * Find the stored books the rows refer to: by ISBN, or by title and author
+ * for rows without one. Deleted books are included so their ISBN isn't reused.
+ */
+const findExistingBooks = async (rows) => {
+  const isbns = rows.filter((row) => row.isbn).map((row) => row.isbn);
+  const untitled = rows.filter((row) => !row.isbn && row.fields['title.display']);
+  // Everything the change history compares, for books it has no version of yet
+  const select = '-reviews';
+
+  const [byIsbn, byTitle] = await Promise.all([
+    isbns.length
+      ? Book.find({ isbn: { $in: isbns } })
+          .select(select)
+          .setOptions({ includeDeleted: true })
+          .lean()
+      : [],
+    untitled.length
+      ? Book.find({ 'title.display': { $in: untitled.map((row) => row.fields['title.display']) } })
+          .select(select)
+          .setOptions({ includeDeleted: true })
+          .lean()
+      : [],
+  ]);
+
+  return {
+    byIsbn: new Map(byIsbn.map((book) => [book.isbn, book])),
+    byTitle: new Map(byTitle.map((book) => [titleKey(book.title?.display, book.author), book])),
+  };
+};
+
+/**
+ * Decide what to do with a mapped row: insert, update or reject it
+ * Stock is only ever set on new books and reviews are never touched, so
+ * re-importing a catalogue can't undo sales, restocks or customer reviews.
+ * @returns {{action: string, operation?: Object}} operation is a bulkWrite op
+ */
+const planRow = (row, existing) => {
+  const { fields, price, stock, errors, warnings } = row;
+  if (errors.length > 0) return { action: 'error' };
+
+  const hasPrice = Object.keys(price).length > 0;
+
+  if (existing) {
+    if (existing.isDeleted) {
+      errors.push('This book is in the trash; restore it before importing over it');
+      return { action: 'error' };
+    }
+
+    const update = { ...fields };
+    if (hasPrice) {
+      const resolved = resolvePrice(price, existing.price);
+      if (resolved.error) {
+        errors.push(resolved.error);
+        return { action: 'error' };
+      }
+      update.price = resolved.price;
+    }
+    // A new author credit is linked again afterwards (linkBookAuthors)
+    if (fields.author !== undefined && fields.author !== existing.author) update.authorIds = [];
+    if (stock !== undefined && stock !== existing.stock) {
+      warnings.push(`stock is only set for new books; kept the current ${existing.stock}`);
+    }
+    if (Object.keys(update).length === 0) {
+      warnings.push('Nothing to update');
+      return { action: 'skip' };
+    }
+    return {
+      action: 'update',
+      operation: { updateOne: { filter: { _id: existing._id }, update: { $set: update } } },
+    };
+  }
+
+  ['title.display', 'author'].forEach((field) => {
+    if (!fields[field])
+      errors.push(`${field === 'author' ? 'author' : 'title'} is required for a new book`);
+  });
+  const resolved = hasPrice ? resolvePrice(price) : { error: 'price is required for a new book' };
+  if (resolved.error) errors.push(resolved.error);
+  if (errors.length > 0) return { action: 'error' };
+
+  const document = Object.entries(fields).reduce((doc, [path, value]) => {
+    const [key, nested] = path.split('.');
+    if (nested) return { ...doc, [key]: { ...doc[key], [nested]: value } };
+    return { ...doc, [key]: value };
+  }, {});
+
+  // Set here so the change history can find the book after the write
+  document._id = new mongoose.Types.ObjectId();
+  document.price = resolved.price;
+  document.stock = stock ?? 0;
+  if (!document.language) {
+    document.language = hasOdiaScript(document.title.display) ? 'Odia' : 'English';
+  }
+  if (!document.category) {
+    document.category = DEFAULT_CATEGORY;
+    warnings.push(`No category; filed under ${DEFAULT_CATEGORY}`);
+  }
+  if (!document.description) document.description = `A book by ${document.author}`;
+
+  return { action: 'insert', operation: { insertOne: { document } } };
+};
+
+/**
+ * Record the change history of the books an import wrote
+ * @param {Array<Object>} written - Plans that were written ({ action, operation, existing })
+ * @param {Object} [actor] - The admin importing
+ */
+const recordImportVersions = async (written, actor) => {
+  const ids = written.map(({ action, operation, existing }) =>
+    action === 'insert' ? operation.insertOne.document._id : existing._id
+  );
+  const books = new Map(
+    (await Book.find({ _id: { $in: ids } }).lean()).map((book) => [String(book._id), book])
+  );
+
+  await recordBookVersions(
+    written
+      .map(({ action, existing }, index) => ({
+        book: books.get(String(ids[index])),
+        action: action === 'insert' ? 'create' : 'update',
+        before: existing,
+      }))
+      .filter((entry) => entry.book),
+    { actor }
+  );
+};
+
+/**
+ * Import a catalogue file, upserting books by ISBN
+ *
+ * Rows are matched to stored books by ISBN, or by title and author when a row
+ * has none. Matched books get the non-blank cells of their row; everything
+ * else (stock, reviews, rating, images not in the file) is left as it is.
+ * New books need a title, author and price. Bulk writes skip the Book change
+ * hooks, so callers inside the server should reindex search afterwards.
+ *
+ * @param {string|Buffer|Object|Array} content - File contents (see readImportFile)
+ * @param {Object} options - Import options
+ * @param {string} options.format - csv, xlsx or json
+ * @param {boolean} [options.dryRun=false] - Validate and report without writing
+ * @param {Object} [options.actor] - The admin importing, for the change history
+ * @returns {Promise<Object>} Report { dryRun, format, total, inserted, updated, skipped,
+ *   failed, warnings, rows: [{ line, isbn, title, action, errors, warnings }] }
+ * @throws {BadRequestError} If the file is unreadable, empty or lacks identifying columns
+ */
+export const importBooks = async (content, { format, dryRun = false, actor }) => {
+  const { headers, records } = readImportFile(content, format);
+
+  if (records.length === 0) {
+    throw new BadRequestError('File has no data rows');
+  }
+
+  // File-level warnings for columns that won't be imported
+  const warnings = [];
+  const columnFields = new Map();
+  headers.forEach((header) => {
+    const normalised = normaliseHeader(header);
+    const field = FIELD_BY_COLUMN.get(normalised);
+    if (field && [...columnFields.values()].includes(field)) {
+      warnings.push(`Column "${header}" repeats ${field}; the first one is used`);
+    } else if (field) {
+      columnFields.set(header, field);
+    } else if (MANAGED_COLUMNS[normalised]) {
+      warnings.push(`Column "${header}" is ignored: ${MANAGED_COLUMNS[normalised]}`);
+    } else {
+      warnings.push(`Column "${header}" is not a book field and is ignored`);
+    }
+  });
+
+  const mapped = [...columnFields.values()];
+  if (
+    !mapped.includes('isbn') &&
+    !(mapped.includes('title.display') && mapped.includes('author'))
+  ) {
+    throw new BadRequestError('File needs an isbn column, or title and author columns');
+  }
+
+  const rows = records.map(({ line, data }) => {
+    const byField = Object.fromEntries(
+      [...columnFields].map(([header, field]) => [field, data[header] ?? ''])
+    );
+    return { line, ...mapImportRow(byField) };
+  });
+
+  // Later rows for the same book win
+  const latest = new Map();
+  rows.forEach((row) => {
+    if (row.errors.length > 0 || !(row.isbn || row.fields['title.display'])) return;
+    const key = row.isbn || titleKey(row.fields['title.display'], row.fields.author);
+    if (latest.has(key)) {
+      const earlier = latest.get(key);
+      earlier.superseded = true;
+      earlier.warnings.push(`Replaced by line ${row.line} for the same book`);
+    }
+    latest.set(key, row);
+  });
+
+  const existing = await findExistingBooks(rows.filter((row) => row.errors.length === 0));
+
+  const planned = rows.map((row) => {
+    if (row.superseded) return { row, action: 'skip' };
+    let book;
+    if (row.isbn) {
+      book = existing.byIsbn.get(row.isbn);
+    } else {
+      book = existing.byTitle.get(titleKey(row.fields['title.display'], row.fields.author));
+      if (row.errors.length === 0) {
+        row.warnings.push(
+          book
+            ? 'No ISBN; matched by title and author'
+            : 'No ISBN; later imports can only match it by title and author'
+        );
+      }
+    }
+    return { row, existing: book, ...planRow(row, book) };
+  });
+
+  const writes = planned.filter((plan) => plan.operation);
+  if (!dryRun && writes.length > 0) {
+    try {
+      await Book.bulkWrite(
+        writes.map((plan) => plan.operation),
+        { ordered: false }
+      );
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      // Rows that lost a race (e.g. an ISBN added since the lookup) fail alone
+      [].concat(error.writeErrors).forEach((writeError) => {
+        const plan = writes[writeError.index];
+        plan.action = 'error';
+        plan.row.errors.push(writeError.errmsg || 'Write failed');
+      });
+    }
+    const written = writes.filter((plan) => plan.action !== 'error');
+    await emitBulkWriteChanges(written.map((plan) => plan.operation));
+    await recordImportVersions(written, actor);
+    await recordOpeningStock(
+      written
+        .filter((plan) => plan.action === 'insert')
+        .map((plan) => plan.operation.insertOne.document),
+      { actor, note: `Imported from ${format}` }
+    );
+  }
+
+  const count = (action) => planned.filter((plan) => plan.action === action).length;
+  const report = {
+    dryRun,
+    format,
+    total: records.length,
+    inserted: count('insert'),
+    updated: count('update'),
+    skipped: count('skip'),
+    failed: count('error'),
+    warnings,
+    rows: planned.map(({ row, action }) => ({
+      line: row.line,
+      isbn: row.isbn || null,
+      title: row.fields['title.display'] || null,
+      action,
+      errors: row.errors,
+      warnings: row.warnings,
+    })),
+  };
+
+  logger.info('Book import finished', {
+    dryRun,
+    format,
+    total: report.total,
+    inserted: report.inserted,
+    updated: report.updated,
+    skipped: report.skipped,
+    failed: report.failed,
+  });
+
+  return report;
+};
@@ -1,5 +1,7 @@
-import Book from '../models/Book.js';
-import { NotFoundError, BadRequestError } from '../utils/errors.js';
+import mongoose from 'mongoose';
+import Book, { finalPriceExpression } from '../models/Book.js';
+import { BadRequestError } from '../utils/errors.js';
+import { adjustStock } from './inventoryService.js';
 
 /**
  * Find books by category
@@ -46,19 +48,433 @@ export const updateStock = async (bookId, quantity) => {
     throw new BadRequestError('Quantity must be a positive number');
   }
 
-  const book = await Book.findById(bookId);
-  if (!book) {
-    throw new NotFoundError('Book not found');
+  // Recorded in the stock ledger like any other sale
+  const { book } = await adjustStock(bookId, -quantity, { reason: 'sale' });
+
+  return book;
+};
+
+/**
+ * Upper bounds of the price facet buckets; the last bucket is open-ended
+ * @type {Array<number>}
+ */
+export const PRICE_BUCKET_BOUNDS = [100, 200, 500, 1000];
+
+// Authors listed in the facet; the long tail is left to search
+const AUTHOR_FACET_LIMIT = 20;
+
+/**
+ * Books on sale: a discount of their own, or a live sale campaign price
+ * @param {Date} [now] - Reference time
+ * @returns {Object} MongoDB condition
+ */
+const onSaleCondition = (now = new Date()) => ({
+  $or: [
+    { 'price.discountPercent': { $gt: 0 } },
+    { sales: { $elemMatch: { startsAt: { $lte: now }, endsAt: { $gt: now } } } },
+  ],
+});
+
+/**
+ * Books whose selling price (campaign price, else regular price; see
+ * bookPricing) is within a range, both ends inclusive
+ * @param {Object} range - { min, max }, either may be missing
+ * @param {Date} [now] - Reference time
+ * @returns {Object} MongoDB condition
+ */
+export const finalPriceCondition = ({ min, max }, now = new Date()) => {
+  const price = finalPriceExpression(now);
+  return {
+    $expr: {
+      $and: [
+        ...(min != null ? [{ $gte: [price, min] }] : []),
+        ...(max != null ? [{ $lte: [price, max] }] : []),
+      ],
+    },
+  };
+};
+
+/**
+ * Build the catalogue filters of a book listing, one MongoDB condition per facet
+ * Kept apart so each facet can be counted with every filter except its own.
+ * @param {Object} params - Listing query (category, language, grade, author,
+ *   authorId, minPrice, maxPrice, inStock, discounted)
+ * @returns {Object} Conditions keyed by facet name, only for filters in use
+ */
+export const buildBookFilters = ({
+  category,
+  language,
+  grade,
+  author,
+  authorId,
+  minPrice,
+  maxPrice,
+  inStock,
+  discounted,
+} = {}) => {
+  const filters = {};
+
+  if (category && category !== 'All') filters.category = { category };
+  if (language && language !== 'All') filters.language = { language };
+  if (grade && grade !== 'All') filters.academicGrade = { academicGrade: grade };
+  if (author) filters.author = { author };
+  // Books linked to an author profile, whichever spelling they credit
+  if (authorId) {
+    filters.authorId = mongoose.isValidObjectId(authorId)
+      ? { authorIds: new mongoose.Types.ObjectId(authorId) }
+      : { _id: { $in: [] } };
+  }
+
+  if (minPrice || maxPrice) {
+    filters.price = finalPriceCondition({
+      min: minPrice ? Number(minPrice) : null,
+      max: maxPrice ? Number(maxPrice) : null,
+    });
+  }
+
+  if (inStock === true || inStock === 'true') filters.inStock = { stock: { $gt: 0 } };
+  if (discounted === true || discounted === 'true') {
+    filters.discounted = onSaleCondition();
+  }
+
+  return filters;
+};
+
+/**
+ * Merge facet conditions into one MongoDB query
+ * @param {Object} filters - Output of buildBookFilters
+ * @param {Array<string>} [except] - Facets to leave out
+ * @returns {Object} MongoDB query
+ */
+export const mergeBookFilters = (filters, except = []) =>
+  Object.entries(filters)
+    .filter(([facet]) => !except.includes(facet))
+    .reduce((query, [, condition]) => ({ ...query, ...condition }), {});
+
+/**
+ * Price buckets as { min, max } ranges (max null for the last one)
+ * Both ends are inclusive, like the minPrice/maxPrice filters they feed.
+ * @returns {Array<{min: number, max: number|null}>}
+ */
+export const priceBuckets = () =>
+  [0, ...PRICE_BUCKET_BOUNDS].map((min, index) => ({
+    min,
+    max: PRICE_BUCKET_BOUNDS[index] ?? null,
+  }));
+
+/**
+ * Count a value facet, most common first
+ * @param {string} field - Book field
+ * @param {Object|string} key - What counts as one result (see getBookFacets)
+ * @param {number} [limit] - Max values
+ * @returns {Array} Aggregation stages
+ */
+const valueFacet = (field, key, limit) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: { value: `$${field}`, key } } },
+  { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+  { $project: { _id: 0, name: '$_id', count: 1 } },
+];
+
+/**
+ * Facet counts for a book listing
+ * Each facet is counted with every active filter except its own, so picking
+ * "Poetry" still shows how many books the other categories would give.
+ * Values with no books are left out. Search results show the editions of a
+ * work as one result (see collapseEditions), so within search matches a work
+ * counts once per value, however many of its editions have it. Prices are
+ * selling prices, campaign prices included.
+ * @param {Object} options
+ * @param {Array<string>|null} [options.ids] - Search matches to count within (null for all books)
+ * @param {Object} [options.filters] - Output of buildBookFilters
+ * @returns {Promise<Object>} { category, language, academicGrade, author: [{ name, count }],
+ *   price: [{ min, max, count }], inStock, discounted }
+ */
+export const getBookFacets = async ({ ids = null, filters = {} } = {}) => {
+  // Books in the trash aren't listed, so they aren't counted; ids aren't cast here
+  const base = { isDeleted: { $ne: true } };
+  if (ids) base._id = { $in: ids.map((id) => new mongoose.Types.ObjectId(String(id))) };
+  const key = ids ? { $ifNull: ['$work', '$_id'] } : '$_id';
+
+  const buckets = priceBuckets();
+  const within = (facet) => [{ $match: mergeBookFilters(filters, [facet]) }];
+  const count = [{ $group: { _id: key } }, { $count: 'count' }];
+
+  const [result] = await Book.aggregate([
+    { $match: base },
+    { $addFields: { finalPrice: finalPriceExpression() } },
+    {
+      $facet: {
+        category: [...within('category'), ...valueFacet('category', key)],
+        language: [...within('language'), ...valueFacet('language', key)],
+        academicGrade: [...within('academicGrade'), ...valueFacet('academicGrade', key)],
+        author: [...within('author'), ...valueFacet('author', key, AUTHOR_FACET_LIMIT)],
+        price: [
+          ...within('price'),
+          // Whether each result has an edition in each bucket, then how many do
+          {
+            $group: buckets.reduce(
+              (group, { min, max }, index) => ({
+                ...group,
+                [`b${index}`]: {
+                  $max: {
+                    $cond: [
+                      {
+                        $and: [
+                          { $gte: ['$finalPrice', min] },
+                          ...(max === null ? [] : [{ $lte: ['$finalPrice', max] }]),
+                        ],
+                      },
+                      1,
+                      0,
+                    ],
+                  },
+                },
+              }),
+              { _id: key }
+            ),
+          },
+          {
+            $group: buckets.reduce(
+              (group, bucket, index) => ({ ...group, [`b${index}`]: { $sum: `$b${index}` } }),
+              { _id: null }
+            ),
+          },
+        ],
+        inStock: [...within('inStock'), { $match: { stock: { $gt: 0 } } }, ...count],
+        discounted: [...within('discounted'), { $match: onSaleCondition() }, ...count],
+      },
+    },
+  ]);
+
+  const priceCounts = result.price[0] || {};
+
+  return {
+    category: result.category,
+    language: result.language,
+    academicGrade: result.academicGrade,
+    author: result.author,
+    price: buckets
+      .map((bucket, index) => ({ ...bucket, count: priceCounts[`b${index}`] || 0 }))
+      .filter((bucket) => bucket.count > 0),
+    inStock: result.inStock[0]?.count || 0,
+    discounted: result.discounted[0]?.count || 0,
+  };
+};
+
+/**
+ * Most fuzzy matches a search listing considers; past this, relevance is too
+ * low to be worth paging through and the cost would grow with the catalogue
+ * @type {number}
+ */
+export const SEARCH_CANDIDATE_LIMIT = 1000;
+
+// Public sortBy values and the fields they sort on
+const SORT_FIELDS = {
+  title: 'title.display',
+  author: 'author',
+  price: 'price.discounted',
+  createdAt: 'createdAt',
+  rating: 'rating',
+};
+
+/**
+ * Opaque pagination cursor
+ * @param {Object} position - Where the next page starts
+ * @returns {string} base64url token
+ */
+export const encodeCursor = (position) =>
+  Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - base64url token
+ * @returns {Object} Position
+ * @throws {BadRequestError} If the cursor was not issued by this API
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || typeof position !== 'object' || !position.id) throw new Error();
+    return position;
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+};
+
+/**
+ * Condition for the rows after (value, id) in (field, _id) order
+ * MongoDB sorts missing and null values before everything else, which
+ * plain $gt/$lt comparisons never match, so nulls get their own clauses.
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 or -1
+ * @param {*} value - Sort value of the last row seen (null if it had none)
+ * @param {string} id - _id of the last row seen
+ * @returns {Object} MongoDB condition
+ */
+export const keysetCondition = (field, direction, value, id) => {
+  if (direction === 1) {
+    if (value === null) {
+      return { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: id } }] };
+    }
+    return { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: id } }] };
+  }
+
+  if (value === null) return { [field]: null, _id: { $lt: id } };
+  return {
+    $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }, { [field]: null }],
+  };
+};
+
+/**
+ * Read a nested field of a lean document ('price.discounted')
+ * @param {Object} doc - Lean document
+ * @param {string} field - Dotted path
+ * @returns {*} Value, or null when missing
+ */
+const fieldValue = (doc, field) =>
+  field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc) ?? null;
+
+/**
+ * List books in a stable (sort field, _id) order with keyset pagination
+ * A cursor continues exactly after the last book of the previous page, so
+ * books added or removed meanwhile never shift or repeat a page, and deep
+ * pages cost the same as the first. `page` (offset) still works for numbered
+ * pagination. The total is only counted for the first request of a listing.
+ * @param {Object} options
+ * @param {Object} options.query - MongoDB filter
+ * @param {string} [options.sortBy] - title, author, price, createdAt or rating
+ * @param {string} [options.sortOrder] - asc or desc
+ * @param {number} options.limit - Page size
+ * @param {number} [options.page] - Page number, ignored when a cursor is given
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<{books: Array, total: number|null, nextCursor: string|null}>}
+ */
+export const listBooks = async ({
+  query,
+  sortBy = 'createdAt',
+  sortOrder = 'desc',
+  limit,
+  page = 1,
+  cursor,
+}) => {
+  const field = SORT_FIELDS[sortBy] || SORT_FIELDS.createdAt;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  let condition = query;
+  let skip = (page - 1) * limit;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    // Dates come back from JSON as strings
+    const value =
+      field === 'createdAt' && position.value ? new Date(position.value) : position.value;
+    condition = { $and: [query, keysetCondition(field, direction, value, position.id)] };
+    skip = 0;
   }
 
-  if (book.stock < quantity) {
-    throw new BadRequestError(
-      `Insufficient stock. Available: ${book.stock}, Requested: ${quantity}`
+  const [rows, total] = await Promise.all([
+    Book.find(condition)
+      .sort({ [field]: direction, _id: direction })
+      .skip(skip)
+      .limit(limit + 1)
+      .lean(),
+    cursor ? null : Book.countDocuments(query),
+  ]);
+
+  const books = rows.slice(0, limit);
+  const last = books[books.length - 1];
+  const nextCursor =
+    rows.length > limit
+      ? encodeCursor({ value: fieldValue(last, field), id: String(last._id) })
+      : null;
+
+  return { books, total, nextCursor };
+};
+
+/**
+ * Collapse search matches to one per work
+ * Editions of a work (Book.work) that pass the filters show up as a single
+ * result: the best-scoring one, carrying how many editions matched. Books
+ * without a work stand alone.
+ * @param {Object} options
+ * @param {Array<{_id: string, score: number}>} options.matches - Fuzzy matches
+ * @param {Object} options.query - MongoDB filter, without the _id condition
+ * @returns {Promise<{matches: Array<{_id: string, score: number}>, editionCounts: Map<string, number>}>}
+ *   editionCounts maps each kept id to its number of matching editions
+ */
+export const collapseEditions = async ({ matches, query }) => {
+  const allowed = await Book.find({ ...query, _id: { $in: matches.map((match) => match._id) } })
+    .select('_id work')
+    .lean();
+  const workOf = new Map(allowed.map((book) => [String(book._id), book.work]));
+
+  const best = new Map();
+  const counts = new Map();
+  matches
+    .filter((match) => workOf.has(String(match._id)))
+    .forEach((match) => {
+      const id = String(match._id);
+      const key = workOf.get(id) ? String(workOf.get(id)) : id;
+      const kept = best.get(key);
+      counts.set(key, (counts.get(key) || 0) + 1);
+      if (!kept || match.score < kept.score || (match.score === kept.score && id < kept._id)) {
+        best.set(key, { _id: id, score: match.score });
+      }
+    });
+
+  return {
+    matches: [...best.values()],
+    editionCounts: new Map([...best].map(([key, match]) => [match._id, counts.get(key)])),
+  };
+};
+
+/**
+ * Page through search matches in relevance order
+ * Only ids are filtered in MongoDB; full documents are loaded for the page
+ * alone. Ties in score are broken by id so every page request sees the same
+ * order, and the cursor resumes after the last (score, id) returned.
+ * @param {Object} options
+ * @param {Array<{_id: string, score: number}>} options.matches - Fuzzy matches, at most SEARCH_CANDIDATE_LIMIT
+ * @param {Object} options.query - MongoDB filter, without the _id condition
+ * @param {number} options.limit - Page size
+ * @param {number} [options.page] - Page number, ignored when a cursor is given
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @returns {Promise<{books: Array, total: number, nextCursor: string|null}>}
+ */
+export const listSearchMatches = async ({ matches, query, limit, page = 1, cursor }) => {
+  const allowed = await Book.find({ ...query, _id: { $in: matches.map((match) => match._id) } })
+    .select('_id')
+    .lean();
+  const allowedIds = new Set(allowed.map((book) => String(book._id)));
+
+  const ranked = matches
+    .map((match) => ({ id: String(match._id), score: match.score }))
+    .filter((match) => allowedIds.has(match.id))
+    .sort((a, b) => a.score - b.score || (a.id < b.id ? -1 : 1));
+
+  let start = (page - 1) * limit;
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    const after = ranked.findIndex(
+      (match) =>
+        match.score > position.score || (match.score === position.score && match.id > position.id)
     );
+    start = after === -1 ? ranked.length : after;
   }
 
-  book.stock -= quantity;
-  await book.save();
+  const pageMatches = ranked.slice(start, start + limit);
+  const docs = await Book.find({ _id: { $in: pageMatches.map((match) => match.id) } }).lean();
+  const byId = new Map(docs.map((book) => [String(book._id), book]));
 
-  return book;
+  const last = pageMatches[pageMatches.length - 1];
+  const nextCursor =
+    start + limit < ranked.length ? encodeCursor({ score: last.score, id: last.id }) : null;
+
+  return {
+    books: pageMatches.map((match) => byId.get(match.id)).filter(Boolean),
+    total: ranked.length,
+    nextCursor,
+  };
 };
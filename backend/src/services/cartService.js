@@ -0,0 +1,317 @@
+import Cart, { MAX_CART_LINES } from '../models/Cart.js';
+import Book from '../models/Book.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError } from '../utils/errors.js';
+import { getReservedStock } from './reservationService.js';
+
+// sales is needed for finalPrice to see a live campaign
+const BOOK_FIELDS = 'title author image price sales stock category';
+
+const bookTitle = (book) => book.title?.display || book.titleDisplay;
+
+/**
+ * Stock of each book that other customers' checkouts aren't holding
+ * @param {Array<Object>} books - Books ({ _id, stock })
+ * @param {string} userId - MongoDB ID of the user (their own holds still count as theirs)
+ * @returns {Promise<Map<string, number>>} Available copies by book ID
+ */
+const availableStock = async (books, userId) => {
+  const held = await getReservedStock(
+    books.map((book) => book._id),
+    { user: userId }
+  );
+  return new Map(
+    books.map((book) => [
+      book._id.toString(),
+      Math.max(0, book.stock - (held.get(book._id.toString()) || 0)),
+    ])
+  );
+};
+
+/**
+ * Get the user's cart, creating an empty one on first use
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Object>} Cart document
+ */
+const getOrCreateCart = (userId) =>
+  Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+/**
+ * Re-price a cart against the current catalogue
+ *
+ * Every line gets today's price and stock (less what other checkouts are
+ * holding) plus a list of issues (out_of_stock, insufficient_stock,
+ * price_changed). Books that have since been deleted are dropped and reported
+ * in `removed`. The stored price snapshots are refreshed so a price change is
+ * only reported once.
+ *
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Object>} { items, itemCount, subtotal, hasIssues, removed }
+ */
+export const buildCartView = async (cart) => {
+  const lines = cart?.items || [];
+  const books = lines.length
+    ? await Book.find({ _id: { $in: lines.map((line) => line.book) } }).select(BOOK_FIELDS)
+    : [];
+  const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+  const stockById = await availableStock(books, cart?.user);
+
+  const removed = [];
+  const items = [];
+  const snapshotUpdates = [];
+
+  lines.forEach((line) => {
+    const book = booksById.get(line.book.toString());
+
+    if (!book) {
+      removed.push({ bookId: line.book, title: line.title });
+      return;
+    }
+
+    const price = book.finalPrice;
+    const title = bookTitle(book);
+    const priceChanged = line.price != null && line.price !== price;
+    const stock = stockById.get(book._id.toString());
+
+    const issues = [];
+    if (stock <= 0) issues.push('out_of_stock');
+    else if (line.quantity > stock) issues.push('insufficient_stock');
+    if (priceChanged) issues.push('price_changed');
+
+    items.push({
+      _id: book._id,
+      bookId: book._id,
+      title,
+      author: book.author,
+      image: book.image,
+      category: book.category,
+      price,
+      originalPrice: book.price?.original,
+      ...(priceChanged && { previousPrice: line.price }),
+      stock,
+      quantity: line.quantity,
+      lineTotal: price * line.quantity,
+      available: stock >= line.quantity,
+      issues,
+      addedAt: line.addedAt,
+    });
+
+    if (line.price !== price || line.title !== title) {
+      snapshotUpdates.push({
+        updateOne: {
+          filter: { _id: cart._id, 'items.book': book._id },
+          update: { $set: { 'items.$.price': price, 'items.$.title': title } },
+        },
+      });
+    }
+  });
+
+  // Positional updates so a concurrent add/remove isn't overwritten
+  if (removed.length) {
+    snapshotUpdates.push({
+      updateOne: {
+        filter: { _id: cart._id },
+        update: { $pull: { items: { book: { $in: removed.map((entry) => entry.bookId) } } } },
+      },
+    });
+  }
+  if (snapshotUpdates.length) {
+    await Cart.bulkWrite(snapshotUpdates);
+  }
+
+  return {
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: items
+      .filter((item) => item.available)
+      .reduce((total, item) => total + item.lineTotal, 0),
+    hasIssues: removed.length > 0 || items.some((item) => item.issues.length > 0),
+    removed,
+  };
+};
+
+/**
+ * Get the user's cart, re-priced
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Object>} Cart view (see buildCartView)
+ */
+export const getCart = async (userId) => {
+  const cart = await Cart.findOne({ user: userId });
+  return buildCartView(cart);
+};
+
+/**
+ * Add a book to the cart (or increase its quantity)
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} [quantity=1] - Copies to add
+ * @returns {Promise<Object>} Cart view
+ * @throws {NotFoundError} If the book doesn't exist
+ * @throws {BadRequestError} If there isn't enough stock or the cart is full
+ */
+export const addItem = async (userId, bookId, quantity = 1) => {
+  const book = await Book.findById(bookId).select(BOOK_FIELDS);
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+  const stock = (await availableStock([book], userId)).get(book._id.toString());
+  if (stock <= 0) {
+    throw new BadRequestError(`"${bookTitle(book)}" is out of stock`);
+  }
+
+  const cart = await getOrCreateCart(userId);
+  const line = cart.findItem(bookId);
+  const newQuantity = (line?.quantity || 0) + quantity;
+
+  if (newQuantity > stock) {
+    throw new BadRequestError(`Only ${stock} left in stock for "${bookTitle(book)}"`);
+  }
+
+  if (line) {
+    line.quantity = newQuantity;
+  } else {
+    if (cart.items.length >= MAX_CART_LINES) {
+      throw new BadRequestError(`A cart can hold at most ${MAX_CART_LINES} different books`);
+    }
+    cart.items.push({ book: book._id, quantity, price: book.finalPrice, title: bookTitle(book) });
+  }
+
+  await cart.save();
+
+  logger.debug('Cart item added', { userId, bookId, quantity: newQuantity });
+  return buildCartView(cart);
+};
+
+/**
+ * Set the quantity of a book already in the cart (0 removes it)
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object>} Cart view
+ * @throws {NotFoundError} If the book isn't in the cart
+ * @throws {BadRequestError} If there isn't enough stock
+ */
+export const updateItemQuantity = async (userId, bookId, quantity) => {
+  const cart = await Cart.findOne({ user: userId });
+  const line = cart?.findItem(bookId);
+
+  if (!line) {
+    throw new NotFoundError('Book is not in your cart');
+  }
+
+  if (quantity <= 0) {
+    cart.items.pull(line._id);
+  } else {
+    const book = await Book.findById(bookId).select(BOOK_FIELDS);
+    const stock = book && (await availableStock([book], userId)).get(book._id.toString());
+    if (book && quantity > stock) {
+      throw new BadRequestError(`Only ${stock} left in stock for "${bookTitle(book)}"`);
+    }
+    line.quantity = quantity;
+  }
+
+  await cart.save();
+  return buildCartView(cart);
+};
+
+/**
+ * Remove a book from the cart
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<Object>} Cart view
+ */
+export const removeItem = async (userId, bookId) => {
+  const cart = await Cart.findOneAndUpdate(
+    { user: userId },
+    { $pull: { items: { book: bookId } } },
+    { new: true }
+  );
+  return buildCartView(cart);
+};
+
+/**
+ * Empty the cart
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Object>} Cart view (empty)
+ */
+export const clearCart = async (userId) => {
+  await Cart.updateOne({ user: userId }, { $set: { items: [] } });
+  return buildCartView(null);
+};
+
+/**
+ * Merge a guest cart (kept on the device) into the user's cart after login
+ *
+ * When both carts have the same book the larger quantity wins, so merging the
+ * same guest cart twice is harmless. Quantities are capped at available stock;
+ * missing or out-of-stock books are skipped and reported.
+ *
+ * @param {string} userId - MongoDB ID of the user
+ * @param {Array<{bookId: string, quantity: number}>} guestItems - Guest cart lines
+ * @returns {Promise<Object>} Cart view plus `skipped: [{ bookId, reason }]`
+ */
+export const mergeCart = async (userId, guestItems = []) => {
+  const books = await Book.find({ _id: { $in: guestItems.map((item) => item.bookId) } }).select(
+    BOOK_FIELDS
+  );
+  const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+  const stockById = await availableStock(books, userId);
+
+  const cart = await getOrCreateCart(userId);
+  const skipped = [];
+
+  guestItems.forEach(({ bookId, quantity }) => {
+    const book = booksById.get(String(bookId));
+
+    if (!book) {
+      skipped.push({ bookId, reason: 'not_found' });
+      return;
+    }
+    const stock = stockById.get(book._id.toString());
+    if (stock <= 0) {
+      skipped.push({ bookId, reason: 'out_of_stock' });
+      return;
+    }
+
+    const line = cart.findItem(bookId);
+    const target = Math.min(Math.max(line?.quantity || 0, quantity), stock);
+
+    if (line) {
+      line.quantity = target;
+    } else if (cart.items.length >= MAX_CART_LINES) {
+      skipped.push({ bookId, reason: 'cart_full' });
+    } else {
+      cart.items.push({
+        book: book._id,
+        quantity: target,
+        price: book.finalPrice,
+        title: bookTitle(book),
+      });
+    }
+  });
+
+  await cart.save();
+
+  logger.info('Guest cart merged', {
+    userId,
+    merged: guestItems.length - skipped.length,
+    skipped: skipped.length,
+  });
+
+  return { ...(await buildCartView(cart)), skipped };
+};
+
+/**
+ * Drop ordered books from the user's cart (after checkout)
+ * @param {string} userId - MongoDB ID of the user
+ * @param {Array<string>} bookIds - Books that were ordered
+ * @returns {Promise<void>}
+ */
+export const removeOrderedItems = async (userId, bookIds) => {
+  await Cart.updateOne({ user: userId }, { $pull: { items: { book: { $in: bookIds } } } });
+};
@@ -1,6 +1,8 @@
 import Book from '../models/Book.js';
 import Order from '../models/Order.js';
 import logger from '../utils/logger.js';
+import { getHomeFeed } from './recommendationService.js';
+import { config as appConfig } from '../config/env.js';
 
 /**
  * Chatbot Service - Intent detection and response generation
@@ -109,7 +111,7 @@ const INTENT_PATTERNS = {
 // FAQ Responses
 const FAQ_RESPONSES = {
     faq_shipping: {
-        text: '🚚 **Shipping & Delivery**\n\n• Free shipping on orders over ₹500\n• Standard delivery: 3-5 business days\n• Express delivery (₹99): 1-2 days\n• We deliver across India!',
+        text: `🚚 **Shipping & Delivery**\n\n• Free shipping on orders over ₹${appConfig.FREE_SHIPPING_THRESHOLD}\n• Standard delivery: 3-5 business days\n• Express delivery (₹99): 1-2 days\n• Check your pincode on any book page for exact charges and dates`,
         quickActions: ['Track Order', 'Contact Support']
     },
     faq_payment: {
@@ -323,7 +325,17 @@ export const trackOrder = async (orderId, phone = null, userId = null) => {
                 createdAt: order.createdAt,
                 isPaid: order.isPaid,
                 isDelivered: order.isDelivered,
-                deliveredAt: order.deliveredAt
+                deliveredAt: order.deliveredAt,
+                // Older orders have no history; fall back to the creation event
+                timeline: (order.statusHistory?.length
+                    ? order.statusHistory
+                    : [{ status: 'Pending', changedAt: order.createdAt, note: 'Order placed' }]
+                ).map(entry => ({
+                    status: entry.status,
+                    statusEmoji: statusEmoji[entry.status] || '📋',
+                    at: entry.changedAt,
+                    note: entry.note || null
+                }))
             }
         };
     } catch (error) {
@@ -374,59 +386,18 @@ export const getOrderHistory = async (userId) => {
 };
 
 /**
- * Get book recommendations (popular + optionally personalized)
+ * Get book recommendations (personalised when logged in, popular otherwise)
+ * Uses the recommendation engine (co-purchases + content similarity)
  * @param {string} userId - Optional user ID for personalized recommendations
  */
 export const getRecommendations = async (userId = null) => {
     try {
-        // Get popular books (highest rated, most recent)
-        const popularBooks = await Book.find({ stock: { $gt: 0 } })
-            .sort({ rating: -1, createdAt: -1 })
-            .select('title author price category coverImage rating')
-            .limit(5)
-            .lean();
-
-        let personalizedBooks = [];
-
-        // If user is logged in, get recommendations based on their order history
-        if (userId) {
-            const userOrders = await Order.find({ user: userId })
-                .select('items')
-                .lean();
-
-            if (userOrders.length > 0) {
-                // Get categories from user's past purchases
-                const purchasedBookIds = userOrders.flatMap(o => o.items.map(i => i.bookId));
-                const purchasedBooks = await Book.find({ _id: { $in: purchasedBookIds } })
-                    .select('category')
-                    .lean();
-
-                const userCategories = [...new Set(purchasedBooks.map(b => b.category))];
-
-                if (userCategories.length > 0) {
-                    personalizedBooks = await Book.find({
-                        category: { $in: userCategories },
-                        _id: { $nin: purchasedBookIds },
-                        stock: { $gt: 0 }
-                    })
-                        .sort({ rating: -1 })
-                        .select('title author price category coverImage rating')
-                        .limit(3)
-                        .lean();
-                }
-            }
-        }
-
-        const allBooks = [...personalizedBooks, ...popularBooks]
-            .filter((book, idx, self) =>
-                idx === self.findIndex(b => b._id.toString() === book._id.toString())
-            )
-            .slice(0, 5);
+        const feed = await getHomeFeed(userId, { limit: 5 });
 
         return {
             success: true,
-            hasPersonalized: personalizedBooks.length > 0,
-            books: allBooks.map(book => ({
+            hasPersonalized: feed.personalised,
+            books: feed.books.map(book => ({
                 id: book._id,
                 title: book.title?.display || book.title?.english,
                 author: book.author,
@@ -534,7 +505,7 @@ export const generateResponse = async (intentResult, context = {}) => {
                     const o = result.order;
                     return {
                         type: 'order_status',
-                        text: `${o.statusEmoji} **Order Status: ${o.status}**\n\n• Order ID: \`${o.id}\`\n• Items: ${o.itemCount}\n• Total: ₹${o.totalAmount}\n• Placed: ${new Date(o.createdAt).toLocaleDateString()}`,
+                        text: `${o.statusEmoji} **Order Status: ${o.status}**\n\n• Order ID: \`${o.id}\`\n• Items: ${o.itemCount}\n• Total: ₹${o.totalAmount}\n• Placed: ${new Date(o.createdAt).toLocaleDateString()}\n\n**Timeline**\n${o.timeline.map(t => `${t.statusEmoji} ${t.status} - ${new Date(t.at).toLocaleString('en-IN')}${t.note ? ` (${t.note})` : ''}`).join('\n')}`,
                         order: o,
                         quickActions: ['Track Another', 'Contact Support']
                     };
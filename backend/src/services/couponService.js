@@ -0,0 +1,382 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import Order from '../models/Order.js';
+import Book from '../models/Book.js';
+import customerKeys from '../utils/customerKeys.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Normalise a user-entered code the same way the model stores it
+ * @param {string} code - Raw coupon code
+ * @returns {string} Trimmed, upper-cased code
+ */
+export const normalizeCode = (code) =>
+  String(code || '')
+    .trim()
+    .toUpperCase();
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out what a coupon takes off a cart. Pure - no DB access.
+ * @param {Object} coupon - Coupon document or plain object
+ * @param {Object} cart - Priced cart
+ * @param {Array<{price: number, quantity: number, category: string}>} cart.items - Cart lines
+ * @param {number} [cart.shippingCost=0] - Shipping charged before the coupon
+ * @returns {{subtotal: number, eligibleSubtotal: number, discount: number, shippingDiscount: number}}
+ */
+export const calculateDiscount = (coupon, { items = [], shippingCost = 0 } = {}) => {
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  const scoped = coupon.categories?.length > 0;
+  const eligibleSubtotal = scoped
+    ? items
+        .filter((item) => coupon.categories.includes(item.category))
+        .reduce((sum, item) => sum + item.price * item.quantity, 0)
+    : subtotal;
+
+  let discount = 0;
+  let shippingDiscount = 0;
+
+  if (coupon.type === 'percentage') {
+    discount = (eligibleSubtotal * coupon.value) / 100;
+    if (coupon.maxDiscount != null) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.type === 'flat') {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  } else if (coupon.type === 'free_shipping') {
+    shippingDiscount = shippingCost;
+  }
+
+  return {
+    subtotal: roundMoney(subtotal),
+    eligibleSubtotal: roundMoney(eligibleSubtotal),
+    discount: roundMoney(discount),
+    shippingDiscount: roundMoney(shippingDiscount),
+  };
+};
+
+/**
+ * Check the rules that don't need the database: active flag, validity window,
+ * minimum cart value and category scope
+ * @param {Object} coupon - Coupon document
+ * @param {Object} totals - Output of calculateDiscount
+ * @param {Date} [now] - Point in time to check
+ * @throws {BadRequestError} If the coupon can't be applied
+ */
+export const assertCouponApplicable = (coupon, totals, now = new Date()) => {
+  if (!coupon.isActive) {
+    throw new BadRequestError('This coupon is no longer active');
+  }
+  if (coupon.validFrom && now < coupon.validFrom) {
+    throw new BadRequestError('This coupon is not valid yet');
+  }
+  if (coupon.validUntil && now > coupon.validUntil) {
+    throw new BadRequestError('This coupon has expired');
+  }
+  if (totals.subtotal < (coupon.minCartValue || 0)) {
+    throw new BadRequestError(`Add items worth ₹${coupon.minCartValue} or more to use this coupon`);
+  }
+  if (coupon.categories?.length > 0 && totals.eligibleSubtotal === 0) {
+    throw new BadRequestError(`This coupon only applies to: ${coupon.categories.join(', ')}`);
+  }
+};
+
+/**
+ * Count a customer's orders that used the coupon (cancelled orders don't count)
+ * Guests are identified by phone number
+ * @param {string} code - Coupon code
+ * @param {Object} customer - { userId, customerPhone }
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session
+ * @returns {Promise<number>} Number of redemptions
+ */
+const countCustomerRedemptions = async (code, { userId, customerPhone }, session) => {
+  const who = [];
+  if (userId) who.push({ user: userId });
+  if (customerPhone) who.push({ customerPhone });
+  if (who.length === 0) return 0;
+
+  return Order.countDocuments({
+    'coupon.code': code,
+    status: { $ne: 'Cancelled' },
+    $or: who,
+  }).session(session || null);
+};
+
+/**
+ * How many times each of a customer's keys has used the coupon
+ * Keys without a counter yet start from the customer's earlier orders.
+ * @param {string} code - Coupon code
+ * @param {Object} customer - { userId, customerPhone }
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session
+ * @returns {Promise<Map<string, number>>} Redemptions by customer key
+ */
+const customerRedemptions = async (code, customer, session) => {
+  const customers = customerKeys(customer);
+  if (customers.length === 0) return new Map();
+
+  const counters = await CouponRedemption.find({ code, customer: { $in: customers } })
+    .session(session || null)
+    .lean();
+  const legacy =
+    counters.length < customers.length
+      ? await countCustomerRedemptions(code, customer, session)
+      : 0;
+
+  return new Map(
+    customers.map((key) => [
+      key,
+      counters.find((counter) => counter.customer === key)?.count ?? legacy,
+    ])
+  );
+};
+
+/**
+ * Price cart lines from the database (server-side prices, never the client's)
+ * @param {Array<{bookId: string, quantity: number}>} items - Cart lines
+ * @returns {Promise<Array<{bookId: string, price: number, quantity: number, category: string}>>}
+ * @throws {NotFoundError} If a book doesn't exist
+ */
+export const priceCartItems = async (items = []) => {
+  const ids = items.map((item) => item.bookId);
+  const books = await Book.find({ _id: { $in: ids } });
+  const byId = new Map(books.map((book) => [book._id.toString(), book]));
+
+  return items.map((item) => {
+    const book = byId.get(String(item.bookId));
+    if (!book) {
+      throw new NotFoundError(`Book with ID ${item.bookId} not found`);
+    }
+    return {
+      bookId: book._id,
+      price: book.finalPrice,
+      quantity: Number(item.quantity),
+      category: book.category,
+    };
+  });
+};
+
+/**
+ * Validate a coupon code against a priced cart and the customer's usage
+ * @param {string} code - Coupon code as entered
+ * @param {Object} context - Checkout context
+ * @param {Array} context.items - Priced cart lines ({ price, quantity, category })
+ * @param {number} [context.shippingCost=0] - Shipping charged before the coupon
+ * @param {string} [context.userId] - Logged-in customer
+ * @param {string} [context.customerPhone] - Guest customer phone
+ * @param {import('mongoose').ClientSession} [context.session] - Active transaction session
+ * @returns {Promise<Object>} { coupon, subtotal, eligibleSubtotal, discount, shippingDiscount }
+ * @throws {NotFoundError} If the code doesn't exist
+ * @throws {BadRequestError} If the coupon can't be applied to this cart/customer
+ */
+export const validateCoupon = async (
+  code,
+  { items, shippingCost = 0, userId, customerPhone, session } = {}
+) => {
+  const normalized = normalizeCode(code);
+  const coupon = await Coupon.findOne({ code: normalized }).session(session || null);
+
+  if (!coupon) {
+    throw new NotFoundError('Invalid coupon code');
+  }
+
+  const totals = calculateDiscount(coupon, { items, shippingCost });
+  assertCouponApplicable(coupon, totals);
+
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    throw new BadRequestError('This coupon has reached its usage limit');
+  }
+
+  const used = await customerRedemptions(normalized, { userId, customerPhone }, session);
+  if (Math.max(0, ...used.values()) >= coupon.perUserLimit) {
+    throw new BadRequestError('You have already used this coupon');
+  }
+
+  return { coupon, ...totals };
+};
+
+/**
+ * Record a redemption. The usedCount check and increment are a single atomic update
+ * so two checkouts can't both take the last use.
+ *
+ * The customer's own uses are counted the same way, on a CouponRedemption
+ * counter per customer key raised with a guarded $inc. A missing counter is
+ * created first, starting from the customer's earlier orders, so the $inc
+ * always lands on an existing counter.
+ *
+ * @param {Object} coupon - Coupon document
+ * @param {Object} [customer] - Checkout context
+ * @param {string} [customer.userId] - Logged-in customer
+ * @param {string} [customer.customerPhone] - Guest customer phone
+ * @param {import('mongoose').ClientSession} [customer.session] - Active transaction session
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the global or the customer's limit was reached meanwhile
+ */
+export const redeemCoupon = async (coupon, { userId, customerPhone, session } = {}) => {
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new BadRequestError('This coupon has reached its usage limit');
+  }
+
+  const { code, perUserLimit } = coupon;
+  const used = await customerRedemptions(code, { userId, customerPhone }, session);
+
+  // One write at a time: a transaction can't run operations in parallel
+  const claim = async ([customer, count]) => {
+    await CouponRedemption.updateOne(
+      { code, customer },
+      { $setOnInsert: { count } },
+      { upsert: true, session }
+    );
+    const claimed = await CouponRedemption.findOneAndUpdate(
+      { code, customer, count: { $lt: perUserLimit } },
+      { $inc: { count: 1 } },
+      { session }
+    );
+    if (!claimed) {
+      throw new BadRequestError('You have already used this coupon');
+    }
+  };
+  await [...used.entries()].reduce(
+    (previous, entry) => previous.then(() => claim(entry)),
+    Promise.resolve()
+  );
+};
+
+/**
+ * Give a redemption back (e.g. when the order is cancelled)
+ * @param {Object} order - Order document with the applied coupon
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session
+ * @returns {Promise<void>}
+ */
+export const releaseCoupon = async (order, session) => {
+  const code = normalizeCode(order.coupon.code);
+  await Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+
+  const customers = customerKeys({ userId: order.user, customerPhone: order.customerPhone });
+  if (customers.length > 0) {
+    await CouponRedemption.updateMany(
+      { code, customer: { $in: customers }, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+  logger.debug('Coupon redemption released', { code, orderId: order._id });
+};
+
+/**
+ * List coupons for the admin panel
+ * @param {Object} options - Listing options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Coupons per page
+ * @param {boolean} [options.active] - Only active (true) or inactive (false) coupons
+ * @returns {Promise<Object>} { coupons, pagination }
+ */
+export const listCoupons = async ({ page = 1, limit = 20, active } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const query = {};
+
+  if (active !== undefined) {
+    query.isActive = active === true || active === 'true';
+  }
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Coupon.countDocuments(query),
+  ]);
+
+  return {
+    coupons,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Get a single coupon
+ * @param {string} id - MongoDB ID of the coupon
+ * @returns {Promise<Object>} Coupon document
+ * @throws {NotFoundError} If the coupon doesn't exist
+ */
+export const getCouponById = async (id) => {
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+  return coupon;
+};
+
+/**
+ * Create a coupon
+ * @param {Object} data - Coupon fields
+ * @param {string} adminId - Creating admin
+ * @returns {Promise<Object>} Created coupon
+ * @throws {ConflictError} If the code is already taken
+ */
+export const createCoupon = async (data, adminId) => {
+  const code = normalizeCode(data.code);
+
+  if (await Coupon.exists({ code })) {
+    throw new ConflictError(`Coupon code ${code} already exists`);
+  }
+
+  const coupon = await Coupon.create({ ...data, code, usedCount: 0, createdBy: adminId });
+  logger.info('Coupon created', { couponId: coupon._id, code, adminId });
+  return coupon;
+};
+
+/**
+ * Update a coupon. usedCount is managed by redemptions and can't be set here.
+ * @param {string} id - MongoDB ID of the coupon
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated coupon
+ * @throws {NotFoundError} If the coupon doesn't exist
+ * @throws {ConflictError} If the new code is already taken
+ */
+export const updateCoupon = async (id, data) => {
+  const coupon = await getCouponById(id);
+  const changes = { ...data };
+  delete changes.usedCount;
+  delete changes.createdBy;
+
+  if (changes.code !== undefined) {
+    changes.code = normalizeCode(changes.code);
+    if (changes.code !== coupon.code && (await Coupon.exists({ code: changes.code }))) {
+      throw new ConflictError(`Coupon code ${changes.code} already exists`);
+    }
+  }
+
+  coupon.set(changes);
+  await coupon.save();
+
+  logger.info('Coupon updated', { couponId: id, fields: Object.keys(changes) });
+  return coupon;
+};
+
+/**
+ * Delete a coupon. Orders keep their own snapshot of the applied code.
+ * @param {string} id - MongoDB ID of the coupon
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the coupon doesn't exist
+ */
+export const deleteCoupon = async (id) => {
+  const coupon = await getCouponById(id);
+  await coupon.deleteOne();
+  logger.info('Coupon deleted', { couponId: id, code: coupon.code });
+};
@@ -0,0 +1,525 @@
+import mongoose from 'mongoose';
+import Book from '../models/Book.js';
+import StockMovement, { STOCK_MOVEMENT_REASONS } from '../models/StockMovement.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest stock movement trend, in days
+const MAX_TREND_DAYS = 365;
+
+// Book fields shown next to ledger entries
+const LEDGER_BOOK_FIELDS = 'title author isbn stock isDeleted';
+
+/**
+ * Ledger fields for who made a change
+ * Accepts req.user or the { id, role, name } actors orders pass around.
+ * @param {Object} [actor] - The user making the change; none for the system
+ * @returns {{actor: (string|null), actorName: string}}
+ */
+const actorFields = (actor) => ({
+  actor: actor?._id || actor?.id || null,
+  actorName: actor ? actor.name || actor.email || 'unknown' : 'system',
+});
+
+/**
+ * Run a stock change in the caller's transaction, or in one of its own
+ * The stock and its ledger entry are written together or not at all.
+ * @param {import('mongoose').ClientSession} [session] - The caller's transaction
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} What work returned
+ */
+const inTransaction = async (session, work) => {
+  if (session) return work(session);
+
+  const own = await mongoose.startSession();
+  own.startTransaction();
+  try {
+    const result = await work(own);
+    await own.commitTransaction();
+    return result;
+  } catch (error) {
+    await own.abortTransaction();
+    throw error;
+  } finally {
+    own.endSession();
+  }
+};
+
+/**
+ * Append entries to the stock ledger
+ * Callers change Book.stock themselves and pass what the stock was right
+ * after; entries that don't change anything are skipped.
+ * @param {Array<Object>} entries - [{ book, reason, change, stockAfter, order, note }]
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - The user making the change (req.user); none for the system
+ * @param {import('mongoose').ClientSession} [options.session] - Transaction the stock changed in
+ * @returns {Promise<Array<Object>>} The new movements
+ */
+export const recordStockMovements = async (entries, { actor, session } = {}) => {
+  const movements = entries
+    .filter((entry) => entry.change !== 0)
+    .map(({ book, reason, change, stockAfter, order = null, note }) => ({
+      book: book?._id || book,
+      reason,
+      change,
+      stockAfter,
+      order: order?._id || order,
+      note,
+      ...actorFields(actor),
+    }));
+
+  if (movements.length === 0) return [];
+  return StockMovement.insertMany(movements, { session });
+};
+
+/**
+ * Record the stock new books start with
+ * @param {Array<Object>} books - Books ({ _id, stock }) as created
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - The admin adding them
+ * @param {string} [options.note] - Where they came from
+ * @returns {Promise<Array<Object>>} The new movements
+ */
+export const recordOpeningStock = (books, { actor, note = 'Opening stock' } = {}) =>
+  recordStockMovements(
+    books.map((book) => ({
+      book: book._id,
+      reason: 'opening',
+      change: book.stock || 0,
+      stockAfter: book.stock || 0,
+      note,
+    })),
+    { actor }
+  );
+
+/**
+ * Move a book's stock up or down and record why
+ * Stock never goes below zero: taking out more than is left fails.
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} change - Units in (positive) or out (negative)
+ * @param {Object} options - Options
+ * @param {string} options.reason - One of STOCK_MOVEMENT_REASONS
+ * @param {Object} [options.actor] - The user making the change
+ * @param {string} [options.note] - Free-text note (supplier, invoice, what broke)
+ * @param {import('mongoose').ClientSession} [options.session] - Active transaction (one is
+ *   started otherwise, so the stock and its ledger entry are saved together)
+ * @returns {Promise<Object>} { book, movement }
+ * @throws {NotFoundError} If the book doesn't exist
+ * @throws {BadRequestError} If there isn't enough stock to take out
+ */
+export const adjustStock = async (bookId, change, { reason, actor, note, session } = {}) => {
+  if (!Number.isInteger(change) || change === 0) {
+    throw new BadRequestError('Change must be a non-zero whole number');
+  }
+  if (!STOCK_MOVEMENT_REASONS.includes(reason)) {
+    throw new BadRequestError(`Reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`);
+  }
+
+  const filter = { _id: bookId };
+  if (change < 0) filter.stock = { $gte: -change };
+
+  const { book, movement } = await inTransaction(session, async (txn) => {
+    const updated = await Book.findOneAndUpdate(
+      filter,
+      { $inc: { stock: change } },
+      { new: true, session: txn }
+    );
+
+    if (!updated) {
+      const current = await Book.findById(bookId).select('stock').session(txn).lean();
+      if (!current) throw new NotFoundError('Book not found');
+      throw new BadRequestError(
+        `Insufficient stock. Available: ${current.stock}, Requested: ${-change}`
+      );
+    }
+
+    const [recorded] = await recordStockMovements(
+      [{ book: updated, reason, change, stockAfter: updated.stock, note }],
+      { actor, session: txn }
+    );
+    return { book: updated, movement: recorded };
+  });
+
+  logger.info('Stock adjusted', { bookId, reason, change, stock: book.stock });
+  return { book, movement };
+};
+
+/**
+ * Take delivery of new copies
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} quantity - Copies received
+ * @param {Object} [options] - { actor, note }
+ * @returns {Promise<Object>} { book, movement }
+ */
+export const receiveStock = (bookId, quantity, { actor, note } = {}) =>
+  adjustStock(bookId, quantity, { reason: 'restock', actor, note });
+
+/**
+ * Write off damaged or lost copies
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} quantity - Copies written off
+ * @param {Object} [options] - { actor, note }
+ * @returns {Promise<Object>} { book, movement }
+ */
+export const writeOffStock = (bookId, quantity, { actor, note } = {}) =>
+  adjustStock(bookId, -quantity, { reason: 'damage', actor, note });
+
+/**
+ * Set a book's stock to a physical count and record the difference
+ *
+ * The count replaces the stock only if the stock is still what the counter
+ * saw (expected, by default the stock when the count is recorded), so a sale
+ * made while the shelf was being counted isn't silently lost.
+ *
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {number} counted - Copies on the shelf
+ * @param {Object} [options] - Options
+ * @param {number} [options.expected] - The stock the counter started from
+ * @param {Object} [options.actor] - The admin counting
+ * @param {string} [options.note] - Free-text note
+ * @param {import('mongoose').ClientSession} [options.session] - Transaction to count in
+ *   (one is started otherwise)
+ * @returns {Promise<Object>} { book, movement } (movement is null if the count matched)
+ * @throws {BadRequestError} If the count isn't a non-negative whole number
+ * @throws {NotFoundError} If the book doesn't exist
+ * @throws {ConflictError} If the stock changed since the counter saw it
+ */
+export const recordStockCount = async (
+  bookId,
+  counted,
+  { expected, actor, note, session } = {}
+) => {
+  if (!Number.isInteger(counted) || counted < 0) {
+    throw new BadRequestError('Counted stock must be a non-negative whole number');
+  }
+
+  const current = await Book.findById(bookId).select('stock').session(session).lean();
+  if (!current) throw new NotFoundError('Book not found');
+
+  const before = expected ?? current.stock;
+  if (current.stock !== before) {
+    throw new ConflictError(
+      `Stock changed to ${current.stock} since the count started at ${before}; count again`
+    );
+  }
+  if (counted === before) {
+    return { book: await Book.findById(bookId).session(session), movement: null };
+  }
+
+  const result = await inTransaction(session, async (txn) => {
+    const book = await Book.findOneAndUpdate(
+      { _id: bookId, stock: before },
+      { $set: { stock: counted } },
+      { new: true, runValidators: true, session: txn }
+    );
+    if (!book) {
+      throw new ConflictError('Stock changed while the count was being saved; count again');
+    }
+
+    const [movement] = await recordStockMovements(
+      [
+        {
+          book,
+          reason: 'adjustment',
+          change: counted - before,
+          stockAfter: counted,
+          note: note || `Physical count: ${counted} (was ${before})`,
+        },
+      ],
+      { actor, session: txn }
+    );
+    return { book, movement };
+  });
+
+  logger.info('Stock count recorded', { bookId, before, counted });
+  return result;
+};
+
+/**
+ * Put every item of a cancelled order back into Book.stock and record it
+ * Uses bulkWrite so soft-deleted books are restocked too (bypasses query middleware)
+ * @param {Object} order - Order document (or lean object) with items
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - Who cancelled the order
+ * @param {import('mongoose').ClientSession} [options.session] - Active transaction session
+ * @returns {Promise<Array<Object>>} The new movements
+ */
+export const returnOrderStock = async (order, { actor, session } = {}) => {
+  const quantities = order.items.reduce((totals, item) => {
+    const key = String(item.bookId?._id || item.bookId);
+    totals.set(key, (totals.get(key) || 0) + item.quantity);
+    return totals;
+  }, new Map());
+
+  if (quantities.size === 0) return [];
+
+  await Book.bulkWrite(
+    [...quantities].map(([bookId, quantity]) => ({
+      updateOne: {
+        filter: { _id: bookId },
+        update: { $inc: { stock: quantity } },
+      },
+    })),
+    { session }
+  );
+
+  const books = await Book.find({ _id: { $in: [...quantities.keys()] } })
+    .select('stock')
+    .setOptions({ includeDeleted: true })
+    .session(session)
+    .lean();
+
+  return recordStockMovements(
+    books.map((book) => ({
+      book: book._id,
+      reason: 'cancellation',
+      change: quantities.get(String(book._id)),
+      stockAfter: book.stock,
+      order: order._id,
+    })),
+    { actor, session }
+  );
+};
+
+/**
+ * A book's stock ledger, newest first
+ * @param {string} bookId - MongoDB ID of the book (deleted books included)
+ * @param {Object} [options] - Options
+ * @param {string} [options.reason] - Only movements with this reason
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Movements per page
+ * @returns {Promise<Object>} { book, movements, pagination }
+ * @throws {NotFoundError} If the book doesn't exist
+ */
+export const getStockLedger = async (bookId, { reason, page = 1, limit = 50 } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 50;
+
+  const book = await Book.findById(bookId)
+    .select(LEDGER_BOOK_FIELDS)
+    .setOptions({ includeDeleted: true })
+    .lean();
+  if (!book) throw new NotFoundError('Book not found');
+
+  const query = { book: book._id };
+  if (reason) query.reason = reason;
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .populate('order', 'status customerName')
+      .lean(),
+    StockMovement.countDocuments(query),
+  ]);
+
+  return {
+    book,
+    movements,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Compare a book's stock with what its ledger adds up to
+ * @param {Object} book - Book ({ stock })
+ * @param {Object} [ledger] - The book's ledger totals ({ units, lastStockAfter })
+ * @returns {Object} { ledger, difference, inSync }
+ */
+export const reconcileBook = (book, ledger) => {
+  const units = ledger?.units || 0;
+  const difference = (book.stock || 0) - units;
+  return { ledger: units, difference, inSync: difference === 0 };
+};
+
+/**
+ * Reconcile the stock ledger against every book's current stock
+ *
+ * A book is out of sync when its stock isn't the sum of its movements: it was
+ * changed outside the ledger (a script, a database edit) or it predates the
+ * ledger and has no opening entry (npm run stock:open-ledger adds those).
+ * Deleted books are checked too, since cancellations still restock them.
+ *
+ * The whole catalogue is checked in the database (one indexed ledger lookup
+ * per book), so this is a report to run on demand, not part of a dashboard.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.page=1] - Page of mismatches
+ * @param {number} [options.limit=100] - Mismatches per page (largest first)
+ * @returns {Promise<Object>} { checkedAt, books, inSync, mismatched, stockUnits,
+ *   ledgerUnits, mismatches: [{ book, title, isbn, stock, ledger, difference,
+ *   lastMovementAt }], pagination }
+ */
+export const reconcileStock = async ({ page = 1, limit = 100 } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 100;
+  const checkedAt = new Date();
+
+  const [{ totals, mismatches }] = await Book.aggregate([
+    { $project: { title: 1, isbn: 1, stock: { $ifNull: ['$stock', 0] } } },
+    {
+      $lookup: {
+        from: StockMovement.collection.name,
+        localField: '_id',
+        foreignField: 'book',
+        pipeline: [
+          { $match: { createdAt: { $lte: checkedAt } } },
+          {
+            $group: {
+              _id: null,
+              units: { $sum: '$change' },
+              lastMovementAt: { $max: '$createdAt' },
+            },
+          },
+        ],
+        as: 'ledger',
+      },
+    },
+    { $set: { ledger: { $arrayElemAt: ['$ledger', 0] } } },
+    {
+      $set: {
+        units: { $ifNull: ['$ledger.units', 0] },
+        lastMovementAt: { $ifNull: ['$ledger.lastMovementAt', null] },
+      },
+    },
+    { $set: { difference: { $subtract: ['$stock', '$units'] } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              books: { $sum: 1 },
+              mismatched: { $sum: { $cond: [{ $ne: ['$difference', 0] }, 1, 0] } },
+              stockUnits: { $sum: '$stock' },
+              ledgerUnits: { $sum: '$units' },
+            },
+          },
+        ],
+        mismatches: [
+          { $match: { difference: { $ne: 0 } } },
+          { $set: { gap: { $abs: '$difference' } } },
+          { $sort: { gap: -1, _id: 1 } },
+          { $skip: (pageNum - 1) * limitNum },
+          { $limit: limitNum },
+        ],
+      },
+    },
+  ]);
+
+  const summary = totals[0] || { books: 0, mismatched: 0, stockUnits: 0, ledgerUnits: 0 };
+
+  return {
+    checkedAt,
+    books: summary.books,
+    inSync: summary.books - summary.mismatched,
+    mismatched: summary.mismatched,
+    stockUnits: summary.stockUnits,
+    ledgerUnits: summary.ledgerUnits,
+    mismatches: mismatches.map((row) => ({
+      book: row._id,
+      title: row.title?.display,
+      isbn: row.isbn,
+      stock: row.stock,
+      lastMovementAt: row.lastMovementAt,
+      ...reconcileBook(row, { units: row.units }),
+    })),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: summary.mismatched,
+      pages: Math.ceil(summary.mismatched / limitNum),
+    },
+  };
+};
+
+/**
+ * Stock movements per day over a period, for the inventory summary
+ * Days without movements are included so the series can be charted as is.
+ * @param {Object} [options] - Options
+ * @param {number} [options.days=30] - Days back from today (UTC), at most 365
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Object>} { since, totals: { in, out, net, byReason },
+ *   daily: [{ date, in, out, net, byReason }] }
+ */
+export const getStockMovementTrend = async ({ days = 30, now = new Date() } = {}) => {
+  const dayCount = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_TREND_DAYS);
+  const today = new Date(now);
+  today.setUTCHours(0, 0, 0, 0);
+  const since = new Date(today.getTime() - (dayCount - 1) * DAY_MS);
+
+  const grouped = await StockMovement.aggregate([
+    { $match: { createdAt: { $gte: since, $lte: now } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          reason: '$reason',
+        },
+        in: { $sum: { $cond: [{ $gt: ['$change', 0] }, '$change', 0] } },
+        out: { $sum: { $cond: [{ $lt: ['$change', 0] }, { $multiply: ['$change', -1] }, 0] } },
+        net: { $sum: '$change' },
+      },
+    },
+  ]);
+
+  // Sum the grouped entries that fall in a bucket
+  const bucket = (entries) =>
+    entries.reduce(
+      (sum, entry) => ({
+        in: sum.in + entry.in,
+        out: sum.out + entry.out,
+        net: sum.net + entry.net,
+        byReason: {
+          ...sum.byReason,
+          [entry._id.reason]: (sum.byReason[entry._id.reason] || 0) + entry.net,
+        },
+      }),
+      { in: 0, out: 0, net: 0, byReason: {} }
+    );
+
+  // Grouped once by day rather than filtered once per day
+  const byDate = grouped.reduce((dates, entry) => {
+    const entries = dates.get(entry._id.date) || [];
+    entries.push(entry);
+    return dates.set(entry._id.date, entries);
+  }, new Map());
+
+  const daily = Array.from({ length: dayCount }, (_, index) => {
+    const date = new Date(since.getTime() + index * DAY_MS).toISOString().slice(0, 10);
+    return { date, ...bucket(byDate.get(date) || []) };
+  });
+  const totals = bucket(grouped);
+
+  return { since, totals, daily };
+};
+
+/**
+ * Open the ledger for books that have no movements yet
+ * Each gets an opening entry for its current stock, so the ledger adds up
+ * from here on. Books that already have movements are left alone.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Only count the books
+ * @returns {Promise<Object>} { books, units }
+ */
+export const openStockLedger = async ({ dryRun = false } = {}) => {
+  const opened = await StockMovement.distinct('book');
+  const books = await Book.find({ _id: { $nin: opened } })
+    .select('stock')
+    .setOptions({ includeDeleted: true })
+    .lean();
+  const units = books.reduce((sum, book) => sum + (book.stock || 0), 0);
+
+  if (!dryRun) {
+    await recordOpeningStock(books, { note: 'Opening stock when the ledger started' });
+  }
+
+  return { books: books.filter((book) => book.stock > 0).length, units };
+};
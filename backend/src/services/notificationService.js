@@ -0,0 +1,150 @@
+import Notification from '../models/Notification.js';
+import { getWishlistersForBook } from './wishlistService.js';
+import logger from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Work out which wishlist alerts a book change should trigger
+ *
+ * - price_drop: the selling price (price.discounted, falling back to
+ *   price.original) went down
+ * - back_in_stock: stock went from zero to above zero
+ *
+ * @param {Object} before - Book as it was before the update
+ * @param {Object} after - Book after the update
+ * @returns {Array<{type: string, title: string, message: string, data: Object}>} Alerts
+ */
+export const detectBookAlerts = (before, after) => {
+  const alerts = [];
+  const title = after.title?.display || after.titleDisplay;
+  const oldPrice = before.finalPrice;
+  const newPrice = after.finalPrice;
+
+  if (oldPrice != null && newPrice != null && newPrice < oldPrice) {
+    alerts.push({
+      type: 'price_drop',
+      title: 'Price drop on your wishlist',
+      message: `"${title}" is now ₹${newPrice} (was ₹${oldPrice})`,
+      data: { oldPrice, newPrice },
+    });
+  }
+
+  if ((before.stock ?? 0) <= 0 && after.stock > 0) {
+    alerts.push({
+      type: 'back_in_stock',
+      title: 'Back in stock',
+      message: `"${title}" is back in stock`,
+      data: { stock: after.stock },
+    });
+  }
+
+  return alerts;
+};
+
+/**
+ * Notify everyone who wishlisted a book about a price drop or restock
+ *
+ * A still-unread alert of the same type for the same book is updated rather than
+ * duplicated (and moves back to the top), so a run of price edits leaves one
+ * notification with the latest price. Never throws: a failure here must not fail the book update.
+ *
+ * @param {Object} before - Book as it was before the update
+ * @param {Object} after - Book after the update
+ * @returns {Promise<number>} Number of notifications created or refreshed
+ */
+export const notifyWishlisters = async (before, after) => {
+  try {
+    const alerts = detectBookAlerts(before, after);
+    if (!alerts.length) return 0;
+
+    const userIds = await getWishlistersForBook(after._id);
+    if (!userIds.length) return 0;
+
+    const operations = userIds.flatMap((user) =>
+      alerts.map(({ type, title, message, data }) => ({
+        updateOne: {
+          filter: { user, book: after._id, type, readAt: null },
+          update: { $set: { title, message, data } },
+          upsert: true,
+        },
+      }))
+    );
+
+    await Notification.bulkWrite(operations, { ordered: false });
+
+    logger.info('Wishlist notifications sent', {
+      bookId: after._id,
+      types: alerts.map((alert) => alert.type),
+      users: userIds.length,
+    });
+    return operations.length;
+  } catch (error) {
+    logger.error('Failed to send wishlist notifications', {
+      bookId: after?._id,
+      error: error.message,
+    });
+    return 0;
+  }
+};
+
+/**
+ * List a user's notifications, most recently updated first
+ * @param {string} userId - MongoDB ID of the user
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.unreadOnly=false] - Only unread notifications
+ * @param {number} [options.limit=20] - Maximum to return
+ * @returns {Promise<{notifications: Array, unreadCount: number}>}
+ */
+export const listNotifications = async (
+  userId,
+  { unreadOnly = false, limit = DEFAULT_LIMIT } = {}
+) => {
+  const query = { user: userId, ...(unreadOnly && { readAt: null }) };
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ updatedAt: -1 })
+      .limit(limit)
+      .populate('book', 'title image')
+      .lean(),
+    Notification.countDocuments({ user: userId, readAt: null }),
+  ]);
+
+  return { notifications, unreadCount };
+};
+
+/**
+ * Mark one notification as read
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} notificationId - MongoDB ID of the notification
+ * @returns {Promise<Object>} Updated notification
+ * @throws {NotFoundError} If the notification doesn't belong to the user
+ */
+export const markAsRead = async (userId, notificationId) => {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: userId },
+    [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+    { new: true }
+  );
+
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  return notification;
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<number>} Number of notifications marked
+ */
+export const markAllAsRead = async (userId) => {
+  const result = await Notification.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
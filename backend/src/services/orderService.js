@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Payment from '../models/Payment.js';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { releaseCoupon } from './couponService.js';
+import { refundOrderPayments } from './paymentService.js';
+import { returnOrderStock } from './inventoryService.js';
+import { releaseSalePurchases } from './saleCampaignService.js';
+import { NotFoundError, BadRequestError, ConflictError, ForbiddenError } from '../utils/errors.js';
+
+/**
+ * Statuses in which a customer may still cancel their own order
+ */
+export const CUSTOMER_CANCELLABLE_STATUSES = ['Pending', 'Confirmed'];
+
+/**
+ * Cancel an order, restore its stock and release its coupon redemption atomically
+ * Online payments are refunded after the cancellation commits.
+ * @param {string} orderId - MongoDB ID of the order
+ * @param {Object} options - Cancellation options
+ * @param {Object} [options.actor] - The requesting user ({ id, role, name }); none with unpaidOnly
+ * @param {string} [options.reason] - Free-text cancellation reason
+ * @param {boolean} [options.unpaidOnly=false] - Cancel as the system, and only a Pending order
+ *   still waiting for its payment (expiry job)
+ * @returns {Promise<import('../models/Order.js').default>} The cancelled order
+ * @throws {NotFoundError} If the order doesn't exist
+ * @throws {ForbiddenError} If a customer tries to cancel someone else's order
+ * @throws {ConflictError} If unpaidOnly and the order was paid or moved on meanwhile
+ * @throws {BadRequestError} If the order can no longer be cancelled (see ORDER_STATUS_TRANSITIONS)
+ */
+export const cancelOrder = async (orderId, { actor, reason, unpaidOnly = false } = {}) => {
+  const isAdmin = actor?.role === 'admin';
+  // The expiry job has no actor; the timeline records it as the system
+  const isSystem = unpaidOnly && !actor;
+
+  // Start MongoDB session for atomic transaction
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let order;
+
+  try {
+    order = await Order.findById(orderId).session(session);
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    if (unpaidOnly && (order.isPaid || order.status !== 'Pending')) {
+      throw new ConflictError('Order is no longer waiting for payment');
+    }
+
+    if (!isAdmin && !isSystem && order.user?.toString() !== actor?.id?.toString()) {
+      throw new ForbiddenError('Not authorized to cancel this order');
+    }
+
+    if (order.status === 'Cancelled') {
+      throw new BadRequestError('Order is already cancelled');
+    }
+
+    if (!isAdmin && !isSystem && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      throw new BadRequestError(
+        `Order can no longer be cancelled (status: ${order.status}). Please contact support.`
+      );
+    }
+
+    // Throws if the state machine forbids cancelling (e.g. already shipped)
+    order.transitionTo('Cancelled', { actor, note: reason || 'Order cancelled' });
+
+    await returnOrderStock(order, { actor, session });
+
+    // Cancelled orders don't count towards coupon usage limits
+    if (order.coupon?.code) {
+      await releaseCoupon(order, session);
+    }
+    // ...nor towards sale campaign caps
+    await releaseSalePurchases(order, session);
+
+    order.cancelledAt = new Date();
+    order.cancelledBy = actor?.id || null;
+    order.cancellationReason = reason;
+    await order.save({ session });
+
+    // Commit transaction - stock and status change together
+    await session.commitTransaction();
+
+    logger.info('Order cancelled', {
+      orderId,
+      cancelledBy: actor?.id,
+      byAdmin: isAdmin,
+      bySystem: isSystem,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error('Order cancellation failed', { orderId, error: error.message });
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // Outside the transaction: the gateway call can't be rolled back anyway
+  if (order.isPaid) {
+    await refundOrderPayments(order, { actor, reason: reason || 'Order cancelled' });
+  }
+
+  return order;
+};
+
+/**
+ * Cancel orders placed for online payment that were never paid
+ *
+ * They hold their stock from the moment they're placed, so without this a
+ * customer who leaves at the gateway keeps it from everyone else. Orders with a
+ * payment started within the window are left alone: the customer may still be
+ * on the gateway's page. A payment that succeeds after all is refunded (see
+ * paymentService.applyPaymentEvent).
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.ttlMinutes=config.UNPAID_ORDER_TTL_MINUTES] - How long an order may wait
+ * @param {Date} [options.now=new Date()] - Reference time (tests)
+ * @returns {Promise<{expired: number, waiting: number, skipped: number}>} Stats for the job run
+ */
+export const expireUnpaidOrders = async ({
+  ttlMinutes = config.UNPAID_ORDER_TTL_MINUTES,
+  now = new Date(),
+} = {}) => {
+  const cutoff = new Date(now.getTime() - ttlMinutes * 60 * 1000);
+
+  const candidates = await Order.find({
+    status: 'Pending',
+    isPaid: false,
+    paymentMethod: { $ne: 'cod' },
+    createdAt: { $lt: cutoff },
+  })
+    .select('_id')
+    .lean();
+
+  const inProgress = await Payment.distinct('order', {
+    order: { $in: candidates.map((order) => order._id) },
+    status: { $in: ['requires_action', 'processing'] },
+    createdAt: { $gte: cutoff },
+  });
+  const waiting = new Set(inProgress.map(String));
+  const expiring = candidates.filter((order) => !waiting.has(String(order._id)));
+
+  // One at a time: each cancellation is its own transaction
+  const stats = await expiring.reduce(
+    (previous, order) =>
+      previous.then(async (counts) => {
+        try {
+          await cancelOrder(order._id, {
+            reason: 'Payment not received in time',
+            unpaidOnly: true,
+          });
+          return { ...counts, expired: counts.expired + 1 };
+        } catch (error) {
+          // Paid or cancelled meanwhile (already logged by cancelOrder)
+          return { ...counts, skipped: counts.skipped + 1 };
+        }
+      }),
+    Promise.resolve({ expired: 0, waiting: waiting.size, skipped: 0 })
+  );
+
+  if (stats.expired > 0) {
+    logger.info('Unpaid orders expired', { ...stats, cutoff });
+  }
+
+  return stats;
+};
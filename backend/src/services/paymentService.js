@@ -0,0 +1,511 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Order from '../models/Order.js';
+import logger from '../utils/logger.js';
+import { config } from '../config/env.js';
+import { getPaymentProvider } from './payments/index.js';
+import { NotFoundError, BadRequestError, ForbiddenError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Payment statuses that still have money captured
+ */
+const CAPTURED_STATUSES = ['succeeded', 'partially_refunded'];
+
+/**
+ * Check the requester may pay for / view payments of an order
+ * Admins always can; customers only for their own orders; guests by the order's phone number
+ * @param {Object} order - Order document
+ * @param {Object} [actor] - The requesting user ({ id, role })
+ * @param {string} [customerPhone] - Phone number given by a guest
+ * @throws {ForbiddenError} If the requester has no access
+ */
+const assertOrderAccess = (order, actor, customerPhone) => {
+  if (actor?.role === 'admin') return;
+
+  if (order.user) {
+    if (order.user.toString() !== actor?.id?.toString()) {
+      throw new ForbiddenError('Not authorized to access payments for this order');
+    }
+    return;
+  }
+
+  if (!customerPhone || customerPhone !== order.customerPhone) {
+    throw new ForbiddenError('Not authorized to access payments for this order');
+  }
+};
+
+/**
+ * Start an online payment for an order
+ * Re-sending the same idempotency key returns the original payment instead of charging twice.
+ * @param {Object} params - Intent parameters
+ * @param {string} params.orderId - MongoDB ID of the order
+ * @param {string} params.method - upi | card | netbanking | wallet
+ * @param {Object} [params.actor] - The requesting user ({ id, role })
+ * @param {string} [params.customerPhone] - Guest checkout phone number
+ * @param {string} [params.idempotencyKey] - Client-generated key for safe retries
+ * @param {string} [params.simulate] - Mock provider outcome (success | failure | delayed);
+ *   ignored outside development and test
+ * @returns {Promise<{payment: Object, nextAction: Object|null, replayed: boolean}>}
+ * @throws {NotFoundError} If the order doesn't exist
+ * @throws {ForbiddenError} If the requester can't pay for this order
+ * @throws {ConflictError} If the idempotency key was used for another order
+ * @throws {BadRequestError} If the order is paid, not Pending, or COD
+ */
+export const createPaymentIntent = async ({
+  orderId,
+  method,
+  actor,
+  customerPhone,
+  idempotencyKey,
+  simulate,
+}) => {
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  assertOrderAccess(order, actor, customerPhone);
+
+  if (idempotencyKey) {
+    const existing = await Payment.findOne({ idempotencyKey });
+    if (existing) {
+      if (existing.order.toString() !== order._id.toString()) {
+        throw new ConflictError('Idempotency key has already been used for a different order');
+      }
+      return { payment: existing, nextAction: null, replayed: true };
+    }
+  }
+
+  if (method === 'cod') {
+    throw new BadRequestError('Cash on delivery is collected at the door, not online');
+  }
+  if (order.isPaid) {
+    throw new BadRequestError('Order is already paid');
+  }
+  if (order.status !== 'Pending') {
+    throw new BadRequestError(`Order can no longer be paid (status: ${order.status})`);
+  }
+
+  const provider = getPaymentProvider();
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: 'INR',
+    method,
+    orderId: order._id.toString(),
+    idempotencyKey,
+    // Customers mustn't pick their own payment outcome on a live store
+    simulate: ['development', 'test'].includes(config.NODE_ENV) ? simulate : undefined,
+  });
+
+  try {
+    const payment = await Payment.create({
+      order: order._id,
+      user: order.user,
+      provider: provider.name,
+      providerPaymentId: intent.id,
+      method,
+      amount: order.totalAmount,
+      status: intent.status,
+      idempotencyKey,
+    });
+
+    logger.info('Payment intent created', {
+      paymentId: payment._id,
+      orderId: order._id,
+      provider: provider.name,
+      method,
+      amount: payment.amount,
+    });
+
+    return { payment, nextAction: intent.nextAction, replayed: false };
+  } catch (error) {
+    // Two concurrent requests with the same key: hand back the one that won
+    if (error.code === 11000 && idempotencyKey) {
+      const existing = await Payment.findOne({ idempotencyKey });
+      if (existing) return { payment: existing, nextAction: null, replayed: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Refund (part of) a captured payment through its provider
+ * @param {string} paymentId - MongoDB ID of the payment
+ * @param {Object} [options] - Refund options
+ * @param {number} [options.amount] - Amount in ₹ (defaults to everything refundable)
+ * @param {string} [options.reason] - Free-text reason
+ * @param {Object} [options.actor] - Admin issuing the refund (null for automatic refunds)
+ * @param {string} [options.idempotencyKey] - Client-generated key for safe retries
+ * @returns {Promise<{payment: Object, refund: Object, replayed: boolean}>}
+ * @throws {NotFoundError} If the payment doesn't exist
+ * @throws {BadRequestError} If nothing (or less than requested) is refundable
+ * @throws {ConflictError} If a concurrent refund took the amount first
+ */
+export const refundPayment = async (
+  paymentId,
+  { amount, reason, actor = null, idempotencyKey } = {}
+) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (idempotencyKey) {
+    const existing = payment.refunds.find((refund) => refund.idempotencyKey === idempotencyKey);
+    if (existing) return { payment, refund: existing, replayed: true };
+  }
+
+  if (payment.provider === 'manual') {
+    throw new BadRequestError('Manually recorded payments must be refunded outside the gateway');
+  }
+
+  const refundable = payment.refundableAmount();
+  const refundAmount = amount ?? refundable;
+
+  if (refundable <= 0) {
+    throw new BadRequestError('Nothing left to refund on this payment');
+  }
+  if (refundAmount > refundable) {
+    throw new BadRequestError(`Refund exceeds the refundable amount (₹${refundable})`);
+  }
+
+  // Hold the amount first, so concurrent refunds can't both pass the check above
+  const held = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: CAPTURED_STATUSES },
+      $expr: {
+        $lte: [
+          {
+            $add: [
+              '$amountRefunded',
+              { $ifNull: ['$refundsReserved', 0] },
+              {
+                $sum: {
+                  $map: {
+                    input: {
+                      $filter: { input: '$refunds', cond: { $eq: ['$$this.status', 'pending'] } },
+                    },
+                    in: '$$this.amount',
+                  },
+                },
+              },
+              refundAmount,
+            ],
+          },
+          '$amount',
+        ],
+      },
+    },
+    { $inc: { refundsReserved: refundAmount } }
+  );
+  if (!held) {
+    throw new ConflictError('Another refund changed this payment; check the refundable amount');
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  let result;
+  try {
+    result = await provider.refund({
+      intentId: payment.providerPaymentId,
+      amount: refundAmount,
+      idempotencyKey,
+    });
+  } catch (error) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundsReserved: -refundAmount } });
+    throw error;
+  }
+
+  // The hold becomes a pending refund in one update
+  const refunded = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    {
+      $inc: { refundsReserved: -refundAmount, __v: 1 },
+      $push: {
+        refunds: {
+          providerRefundId: result.id,
+          amount: refundAmount,
+          reason,
+          status: 'pending',
+          idempotencyKey,
+          createdBy: actor?.id || null,
+        },
+      },
+    },
+    { new: true }
+  );
+  const refund = refunded.refunds[refunded.refunds.length - 1];
+
+  // Some gateways settle refunds synchronously; others confirm by webhook
+  if (result.status !== 'pending') {
+    refunded.settleRefund(refund, result.status);
+    await refunded.save();
+  }
+
+  logger.info('Refund issued', {
+    paymentId: refunded._id,
+    orderId: payment.order,
+    refundId: result.id,
+    amount: refundAmount,
+    by: actor?.id || 'system',
+  });
+
+  return { payment: refunded, refund, replayed: false };
+};
+
+/**
+ * Refund everything captured for an order (e.g. after cancellation)
+ * Failures are logged, not thrown, so they never undo the cancellation itself
+ * @param {Object} order - Order document
+ * @param {Object} [options] - Refund options
+ * @param {Object} [options.actor] - Who triggered it
+ * @param {string} [options.reason] - Reason stored on each refund
+ * @returns {Promise<Array<Object>>} Refunds issued
+ */
+export const refundOrderPayments = async (order, { actor = null, reason } = {}) => {
+  const payments = await Payment.find({
+    order: order._id,
+    status: { $in: CAPTURED_STATUSES },
+    provider: { $ne: 'manual' },
+  });
+
+  const results = await Promise.all(
+    payments
+      .filter((payment) => payment.refundableAmount() > 0)
+      .map((payment) =>
+        refundPayment(payment._id, {
+          actor,
+          reason,
+          idempotencyKey: `cancel_${order._id}_${payment._id}`,
+        })
+          .then(({ refund }) => refund)
+          .catch((error) => {
+            logger.error('Automatic refund failed', {
+              orderId: order._id,
+              paymentId: payment._id,
+              error: error.message,
+            });
+            return null;
+          })
+      )
+  );
+
+  return results.filter(Boolean);
+};
+
+/**
+ * Apply a payment.succeeded / payment.failed event inside a transaction
+ * @param {Object} payment - Payment document (loaded in the session)
+ * @param {Object} event - Verified event
+ * @param {import('mongoose').ClientSession} session - Active transaction session
+ * @returns {Promise<boolean>} True if the money has to go back (order already paid or cancelled)
+ */
+const applyPaymentEvent = async (payment, event, session) => {
+  if (event.type === 'payment.failed') {
+    payment.markFailed(event.data.failureReason);
+    return false;
+  }
+
+  if (payment.isCaptured()) return false;
+
+  payment.markSucceeded();
+
+  const order = await Order.findById(payment.order).session(session);
+
+  // Double payment, or paid after the order was cancelled: keep the record, return the money
+  if (!order || order.isPaid || order.status !== 'Pending') {
+    return true;
+  }
+
+  order.markPaid(payment);
+  await order.save({ session });
+  return false;
+};
+
+/**
+ * Verify and apply a provider webhook
+ * Each event is applied at most once; redeliveries are acknowledged and ignored.
+ * @param {string} providerName - Provider key from the URL
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header value
+ * @returns {Promise<{received: boolean, duplicate?: boolean, ignored?: string}>}
+ * @throws {UnauthorizedError} If the signature doesn't verify
+ */
+export const handleWebhook = async (providerName, rawBody, signature) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, signature);
+  const { intentId, refundId } = event.data || {};
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let refundAfterCommit = null;
+
+  try {
+    const payment = await Payment.findOne({
+      provider: provider.name,
+      providerPaymentId: intentId,
+    }).session(session);
+
+    if (!payment) {
+      await session.abortTransaction();
+      logger.warn('Webhook for unknown payment', { provider: provider.name, eventId: event.id });
+      return { received: true, ignored: 'unknown payment' };
+    }
+
+    if (payment.events.some((applied) => applied.eventId === event.id)) {
+      await session.abortTransaction();
+      return { received: true, duplicate: true };
+    }
+
+    if (event.type.startsWith('refund.')) {
+      const refund = payment.refunds.find((entry) => entry.providerRefundId === refundId);
+      if (refund) {
+        payment.settleRefund(refund, event.type === 'refund.succeeded' ? 'succeeded' : 'failed');
+      }
+    } else if (await applyPaymentEvent(payment, event, session)) {
+      refundAfterCommit = payment._id;
+    }
+
+    payment.events.push({ eventId: event.id, type: event.type });
+    await payment.save({ session });
+
+    await session.commitTransaction();
+
+    logger.info('Payment webhook applied', {
+      paymentId: payment._id,
+      orderId: payment.order,
+      eventId: event.id,
+      type: event.type,
+      status: payment.status,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error('Payment webhook failed', { eventId: event.id, error: error.message });
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  if (refundAfterCommit) {
+    await refundPayment(refundAfterCommit, {
+      reason: 'Order was already paid or cancelled',
+      idempotencyKey: `auto_${event.id}`,
+    }).catch((error) =>
+      logger.error('Automatic refund failed', {
+        paymentId: refundAfterCommit,
+        error: error.message,
+      })
+    );
+  }
+
+  return { received: true };
+};
+
+/**
+ * Record a payment collected outside the gateway (e.g. cash on delivery)
+ * @param {string} orderId - MongoDB ID of the order
+ * @param {Object} options - Payment details
+ * @param {Object} options.actor - Admin recording it ({ id, role })
+ * @param {string} [options.method='cod'] - How it was paid
+ * @param {string} [options.reference] - Receipt or transaction reference
+ * @returns {Promise<{order: Object, payment: Object}>}
+ * @throws {NotFoundError} If the order doesn't exist
+ * @throws {BadRequestError} If the order is already paid or cancelled
+ */
+export const recordManualPayment = async (orderId, { actor, method = 'cod', reference }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const order = await Order.findById(orderId).session(session);
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (order.isPaid) {
+      throw new BadRequestError('Order is already paid');
+    }
+    if (order.status === 'Cancelled') {
+      throw new BadRequestError('Cannot record a payment for a cancelled order');
+    }
+
+    const [payment] = await Payment.create(
+      [
+        {
+          order: order._id,
+          user: order.user,
+          provider: 'manual',
+          providerPaymentId: reference || `manual_${order._id}_${Date.now()}`,
+          method,
+          amount: order.totalAmount,
+          status: 'succeeded',
+          paidAt: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    order.markPaid(payment, actor);
+    await order.save({ session });
+
+    await session.commitTransaction();
+
+    logger.info('Manual payment recorded', { orderId, paymentId: payment._id, by: actor?.id });
+
+    return { order, payment };
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error('Recording manual payment failed', { orderId, error: error.message });
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Get a single payment
+ * @param {string} paymentId - MongoDB ID of the payment
+ * @param {Object} [options] - Access options
+ * @param {Object} [options.actor] - The requesting user ({ id, role })
+ * @param {string} [options.customerPhone] - Guest checkout phone number
+ * @returns {Promise<Object>} Payment
+ * @throws {NotFoundError} If the payment doesn't exist
+ * @throws {ForbiddenError} If the requester has no access to its order
+ */
+export const getPayment = async (paymentId, { actor, customerPhone } = {}) => {
+  const payment = await Payment.findById(paymentId).select('-events');
+
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  const order = await Order.findById(payment.order).select('user customerPhone');
+  if (order) assertOrderAccess(order, actor, customerPhone);
+
+  return payment;
+};
+
+/**
+ * List every payment attempt for an order, newest first
+ * @param {string} orderId - MongoDB ID of the order
+ * @param {Object} [options] - Access options
+ * @param {Object} [options.actor] - The requesting user ({ id, role })
+ * @param {string} [options.customerPhone] - Guest checkout phone number
+ * @returns {Promise<Array<Object>>} Payments
+ * @throws {NotFoundError} If the order doesn't exist
+ * @throws {ForbiddenError} If the requester has no access
+ */
+export const listOrderPayments = async (orderId, { actor, customerPhone } = {}) => {
+  const order = await Order.findById(orderId).select('user customerPhone');
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  assertOrderAccess(order, actor, customerPhone);
+
+  return Payment.find({ order: orderId }).select('-events').sort({ createdAt: -1 }).lean();
+};
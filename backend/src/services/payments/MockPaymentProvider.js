@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import logger from '../../utils/logger.js';
+import PaymentProvider, { SIGNATURE_HEADER } from './PaymentProvider.js';
+
+/**
+ * Outcomes the mock gateway can simulate, with the webhook delay for each
+ * - success: payment.succeeded after a short delay
+ * - failure: payment.failed after a short delay
+ * - delayed: payment.succeeded after a long delay (exercise "still processing" UI)
+ */
+export const MOCK_SCENARIOS = {
+  success: { event: 'payment.succeeded', delayMs: 1500 },
+  failure: { event: 'payment.failed', delayMs: 1500 },
+  delayed: { event: 'payment.succeeded', delayMs: 20000 },
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Local stand-in for a real gateway
+ *
+ * Intents are "paid" immediately and the outcome arrives as a signed webhook,
+ * POSTed back to this server, exactly like a real gateway would. With
+ * autoDeliver off (tests), events are queued in pendingEvents instead.
+ */
+export default class MockPaymentProvider extends PaymentProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.webhookSecret - Shared secret for webhook signatures
+   * @param {string} options.webhookUrl - Where to POST simulated webhooks
+   * @param {boolean} [options.autoDeliver=true] - Send webhooks over HTTP
+   */
+  constructor({ webhookSecret, webhookUrl, autoDeliver = true } = {}) {
+    super('mock', { webhookSecret });
+    this.webhookUrl = webhookUrl;
+    this.autoDeliver = autoDeliver;
+    this.pendingEvents = [];
+    this.intentsByKey = new Map();
+  }
+
+  /**
+   * Create an intent and schedule the simulated outcome
+   * @param {Object} params - See PaymentProvider#createIntent
+   * @param {string} [params.simulate='success'] - success | failure | delayed
+   * @returns {Promise<{id: string, status: string, nextAction: null}>}
+   */
+  async createIntent({ amount, currency, orderId, idempotencyKey, simulate = 'success' }) {
+    // Gateways return the original intent when a request is retried with the same key
+    if (idempotencyKey && this.intentsByKey.has(idempotencyKey)) {
+      return this.intentsByKey.get(idempotencyKey);
+    }
+
+    const scenario = MOCK_SCENARIOS[simulate] || MOCK_SCENARIOS.success;
+    const intent = { id: randomId('mock_pi'), status: 'processing', nextAction: null };
+
+    this.emit(
+      {
+        type: scenario.event,
+        data: {
+          intentId: intent.id,
+          amount,
+          currency,
+          orderId,
+          ...(scenario.event === 'payment.failed' && {
+            failureReason: 'Payment declined by bank (simulated)',
+          }),
+        },
+      },
+      scenario.delayMs
+    );
+
+    if (idempotencyKey) this.intentsByKey.set(idempotencyKey, intent);
+    logger.debug('Mock payment intent created', { intentId: intent.id, orderId, simulate });
+    return intent;
+  }
+
+  /**
+   * Refunds always succeed; the confirmation arrives by webhook
+   * @param {Object} params - See PaymentProvider#refund
+   * @returns {Promise<{id: string, status: 'pending'}>}
+   */
+  async refund({ intentId, amount }) {
+    const refund = { id: randomId('mock_re'), status: 'pending' };
+
+    this.emit(
+      { type: 'refund.succeeded', data: { intentId, refundId: refund.id, amount } },
+      MOCK_SCENARIOS.success.delayMs
+    );
+
+    return refund;
+  }
+
+  /**
+   * Build the signed request a webhook delivery would send
+   * @param {Object} event - Normalised event
+   * @returns {{body: string, signature: string}} Raw body and signature header value
+   */
+  buildWebhook(event) {
+    const body = JSON.stringify(event);
+    return { body, signature: this.signPayload(body) };
+  }
+
+  /**
+   * Queue or deliver an event after a delay
+   * @param {Object} event - Event without an id
+   * @param {number} delayMs - Delay before delivery
+   */
+  emit(event, delayMs) {
+    const fullEvent = { id: randomId('mock_evt'), created: Date.now(), ...event };
+
+    if (!this.autoDeliver) {
+      this.pendingEvents.push(fullEvent);
+      return;
+    }
+
+    setTimeout(() => this.deliver(fullEvent), delayMs).unref();
+  }
+
+  /**
+   * POST a signed event to the webhook endpoint
+   * @param {Object} event - Event to send
+   * @returns {Promise<void>}
+   */
+  async deliver(event) {
+    const { body, signature } = this.buildWebhook(event);
+
+    try {
+      const response = await fetch(this.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signature },
+        body,
+      });
+      logger.debug('Mock webhook delivered', { eventId: event.id, status: response.status });
+    } catch (error) {
+      logger.error('Mock webhook delivery failed', { eventId: event.id, error: error.message });
+    }
+  }
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { NotImplementedError, UnauthorizedError } from '../../utils/errors.js';
+
+/** Header carrying the webhook signature */
+export const SIGNATURE_HEADER = 'x-payment-signature';
+
+/** How old a webhook signature may be before it is rejected (replay protection) */
+export const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Base class for payment gateway adapters
+ *
+ * A provider turns an order amount into a payment intent, issues refunds, and
+ * verifies the webhooks the gateway sends back. paymentService only talks to
+ * this interface, so swapping the mock for a real gateway means adding one
+ * subclass and registering it in ./index.js.
+ *
+ * Webhook events are normalised to:
+ *   { id, type, data: { intentId, amount, failureReason?, refundId? } }
+ * with type one of payment.succeeded | payment.failed | refund.succeeded | refund.failed
+ */
+export default class PaymentProvider {
+  /**
+   * @param {string} name - Provider key stored on Payment.provider
+   * @param {Object} options - Provider options
+   * @param {string} options.webhookSecret - Shared secret for webhook signatures
+   */
+  constructor(name, { webhookSecret } = {}) {
+    this.name = name;
+    this.webhookSecret = webhookSecret;
+  }
+
+  /**
+   * Create a payment intent with the gateway
+   * @param {Object} params - Intent parameters
+   * @param {number} params.amount - Amount in ₹
+   * @param {string} params.currency - ISO currency code
+   * @param {string} params.method - upi | card | netbanking | wallet
+   * @param {string} params.orderId - Our order ID (sent as gateway metadata)
+   * @param {string} params.idempotencyKey - Forwarded so gateway retries are safe
+   * @returns {Promise<{id: string, status: string, nextAction: Object|null}>}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async createIntent(params) {
+    throw new NotImplementedError(`${this.name} provider does not implement createIntent`);
+  }
+
+  /**
+   * Refund (part of) a captured payment
+   * @param {Object} params - Refund parameters
+   * @param {string} params.intentId - Provider payment ID
+   * @param {number} params.amount - Amount in ₹
+   * @param {string} params.idempotencyKey - Forwarded so gateway retries are safe
+   * @returns {Promise<{id: string, status: 'pending'|'succeeded'|'failed'}>}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async refund(params) {
+    throw new NotImplementedError(`${this.name} provider does not implement refund`);
+  }
+
+  /**
+   * Sign a webhook payload: HMAC-SHA256 over "<timestamp>.<body>"
+   * @param {string} payload - Raw JSON body
+   * @param {number} [timestamp] - Unix seconds
+   * @returns {string} Header value "t=<timestamp>,v1=<hex signature>"
+   */
+  signPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Verify a webhook signature and parse the event
+   * @param {string|Buffer} rawBody - Body exactly as received
+   * @param {string} signatureHeader - Value of the signature header
+   * @returns {Object} Normalised event
+   * @throws {UnauthorizedError} If the signature is missing, wrong or too old
+   */
+  verifyWebhook(rawBody, signatureHeader) {
+    const parts = Object.fromEntries(
+      String(signatureHeader || '')
+        .split(',')
+        .map((part) => part.split('=').map((s) => s.trim()))
+    );
+    const timestamp = Number(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      throw new UnauthorizedError('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new UnauthorizedError('Webhook signature has expired');
+    }
+
+    const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+    const expected = this.signPayload(payload, timestamp).split('v1=')[1];
+    const given = Buffer.from(parts.v1, 'hex');
+
+    if (
+      given.length !== expected.length / 2 ||
+      !crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'))
+    ) {
+      throw new UnauthorizedError('Invalid webhook signature');
+    }
+
+    return JSON.parse(payload);
+  }
+}
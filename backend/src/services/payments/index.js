@@ -0,0 +1,36 @@
+import { config } from '../../config/env.js';
+import { BadRequestError } from '../../utils/errors.js';
+import MockPaymentProvider from './MockPaymentProvider.js';
+
+/**
+ * Provider factories by name. Add real gateways here.
+ */
+const PROVIDER_FACTORIES = {
+  mock: () =>
+    new MockPaymentProvider({
+      webhookSecret: config.PAYMENT_WEBHOOK_SECRET,
+      webhookUrl: `${config.API_BASE_URL}/api/payments/webhooks/mock`,
+      autoDeliver: config.NODE_ENV !== 'test',
+    }),
+};
+
+const instances = new Map();
+
+/**
+ * Get a payment provider (one instance per name)
+ * @param {string} [name] - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {import('./PaymentProvider.js').default} Provider
+ * @throws {BadRequestError} If the provider isn't registered
+ */
+export const getPaymentProvider = (name = config.PAYMENT_PROVIDER) => {
+  if (!instances.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new BadRequestError(`Unknown payment provider: ${name}`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+};
+
+export { SIGNATURE_HEADER } from './PaymentProvider.js';
@@ -0,0 +1,732 @@
+import Book from '../models/Book.js';
+import Order from '../models/Order.js';
+import Wishlist from '../models/Wishlist.js';
+import BookRecommendation from '../models/BookRecommendation.js';
+import UserRecommendation from '../models/UserRecommendation.js';
+import { getCache, CacheTTL } from '../utils/cacheManager.js';
+import logger from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Recommendation engine
+ *
+ * Runs offline on one CPU, no ML libraries:
+ * - co-purchase: books bought in the same order, scored by cosine similarity of
+ *   their order sets (count / sqrt(ordersA * ordersB))
+ * - content: weighted, IDF-scaled cosine similarity over category, language,
+ *   author, tags and academicGrade
+ * - home feed: neighbours of the user's purchases and wishlist, topped up with
+ *   books that sell well right now
+ *
+ * The nightly job (jobs/recommendationJob.js) stores neighbours per book and a
+ * feed per user; requests only read and hydrate them.
+ */
+
+// How much each kind of shared attribute counts towards content similarity
+export const CONTENT_WEIGHTS = {
+  author: 3,
+  category: 2,
+  academicGrade: 2,
+  tag: 1,
+  language: 1,
+};
+
+// Feature kinds too common to be worth scanning for candidates on their own
+const NON_CANDIDATE_FEATURES = new Set(['language']);
+
+export const MAX_NEIGHBOURS = 20;
+export const FEED_SIZE = 24;
+
+// Candidate lists per feature are capped (best-rated first) so big categories stay cheap
+const MAX_CANDIDATES_PER_FEATURE = 300;
+// Bulk/institutional orders would add O(n²) pairs without saying much about taste
+const MAX_BASKET_SIZE = 30;
+// Orders older than this don't shape the home feed
+const FEED_HISTORY_DAYS = 365;
+const POPULAR_WINDOW_DAYS = 90;
+const POPULAR_LIMIT = 50;
+// Content matches count less than proven co-purchases in the feed
+const SIMILAR_FEED_WEIGHT = 0.6;
+const WISHLIST_SEED_WEIGHT = 0.8;
+
+const POPULAR_CACHE_KEY = 'recommendations:popular';
+const BOOK_CARD_FIELDS = 'title author image price stock category language rating reviewCount';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toId = (value) => String(value?._id ?? value);
+
+/**
+ * Normalise an author name for matching ("Fakir Mohan  Senapati" = "fakir mohan senapati")
+ * @param {string} author - Author name
+ * @returns {string} Normalised name ('' if missing)
+ */
+export const normaliseAuthor = (author) =>
+  (author || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Content features of a book with their base weights
+ * @param {Object} book - Book (lean or document)
+ * @returns {Map<string, number>} feature -> weight
+ */
+export const bookFeatures = (book) => {
+  const features = new Map();
+  const add = (kind, value) => {
+    if (value == null || value === '') return;
+    features.set(`${kind}:${String(value).toLowerCase()}`, CONTENT_WEIGHTS[kind]);
+  };
+
+  add('author', normaliseAuthor(book.author));
+  add('category', book.category);
+  add('academicGrade', book.academicGrade);
+  add('language', book.language);
+  (book.tags || []).forEach((tag) => add('tag', String(tag).trim()));
+
+  return features;
+};
+
+const featureKind = (feature) => feature.slice(0, feature.indexOf(':'));
+
+/**
+ * Keep the best `limit` entries of a score map
+ * @param {Map<string, number>} scores - id -> score
+ * @param {number} limit - How many to keep
+ * @param {Function} [tieBreak] - (idA, idB) => number for equal scores
+ * @returns {Array<[string, number]>} Sorted [id, score] pairs
+ */
+const topEntries = (scores, limit, tieBreak = () => 0) =>
+  [...scores.entries()].sort((a, b) => b[1] - a[1] || tieBreak(a[0], b[0])).slice(0, limit);
+
+/**
+ * Build the content-similarity index for a catalogue
+ *
+ * Features are weighted by CONTENT_WEIGHTS and by rarity (IDF), so sharing a
+ * niche tag says more than sharing "English". Candidates come from an inverted
+ * index; each feature contributes at most MAX_CANDIDATES_PER_FEATURE books (the
+ * best rated), which keeps the work roughly linear in catalogue size.
+ *
+ * @param {Array<Object>} books - Books with _id, author, category, language, tags, academicGrade, rating
+ * @returns {{ids: Array<string>, neighboursOf: Function}} neighboursOf(index, limit) => [{ book, score }]
+ */
+const createContentIndex = (books) => {
+  const ids = books.map((book) => toId(book));
+  const ratings = books.map((book) => book.rating || 0);
+  const rawFeatures = books.map(bookFeatures);
+
+  // Inverted index: feature -> book indexes
+  const postings = new Map();
+  rawFeatures.forEach((features, index) => {
+    features.forEach((weight, feature) => {
+      if (!postings.has(feature)) postings.set(feature, []);
+      postings.get(feature).push(index);
+    });
+  });
+
+  const idf = new Map();
+  const candidateLists = new Map();
+  postings.forEach((list, feature) => {
+    idf.set(feature, Math.log(1 + books.length / list.length));
+    if (!NON_CANDIDATE_FEATURES.has(featureKind(feature))) {
+      // Best-rated first, so the capped candidate list keeps the books worth showing
+      candidateLists.set(
+        feature,
+        [...list].sort((a, b) => ratings[b] - ratings[a]).slice(0, MAX_CANDIDATES_PER_FEATURE)
+      );
+    }
+  });
+
+  const vectors = rawFeatures.map((features) => {
+    const vector = new Map();
+    features.forEach((weight, feature) => vector.set(feature, weight * idf.get(feature)));
+    return vector;
+  });
+  const norms = vectors.map((vector) =>
+    Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0))
+  );
+
+  const neighboursOf = (index, limit) => {
+    const vector = vectors[index];
+    const candidates = new Set();
+    vector.forEach((weight, feature) => {
+      (candidateLists.get(feature) || []).forEach((other) => {
+        if (other !== index) candidates.add(other);
+      });
+    });
+
+    const scored = [];
+    candidates.forEach((other) => {
+      let dot = 0;
+      vector.forEach((weight, feature) => {
+        const otherWeight = vectors[other].get(feature);
+        if (otherWeight) dot += weight * otherWeight;
+      });
+      if (dot > 0) {
+        scored.push([other, dot / (norms[index] * norms[other])]);
+      }
+    });
+
+    return scored
+      .sort((a, b) => b[1] - a[1] || ratings[b[0]] - ratings[a[0]])
+      .slice(0, limit)
+      .map(([other, score]) => ({ book: ids[other], score: Number(score.toFixed(4)) }));
+  };
+
+  return { ids, neighboursOf };
+};
+
+/**
+ * Content-based neighbours for every book (see createContentIndex)
+ * @param {Array<Object>} books - Books with _id, author, category, language, tags, academicGrade, rating
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=MAX_NEIGHBOURS] - Neighbours per book
+ * @returns {Map<string, Array<{book: string, score: number}>>} bookId -> neighbours
+ */
+export const computeContentSimilarity = (books, { limit = MAX_NEIGHBOURS } = {}) => {
+  const { ids, neighboursOf } = createContentIndex(books);
+  return new Map(ids.map((id, index) => [id, neighboursOf(index, limit)]));
+};
+
+/**
+ * computeContentSimilarity for a whole catalogue without blocking the server:
+ * books are scored in chunks, yielding to the event loop in between
+ * @param {Array<Object>} books - Books (see computeContentSimilarity)
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=MAX_NEIGHBOURS] - Neighbours per book
+ * @param {number} [options.chunkSize=100] - Books per chunk
+ * @returns {Promise<Map<string, Array<{book: string, score: number}>>>} bookId -> neighbours
+ */
+const computeContentSimilarityInChunks = async (
+  books,
+  { limit = MAX_NEIGHBOURS, chunkSize = 100 } = {}
+) => {
+  const { ids, neighboursOf } = createContentIndex(books);
+  const result = new Map();
+
+  const processFrom = async (start) => {
+    if (start >= ids.length) return;
+    const end = Math.min(start + chunkSize, ids.length);
+    for (let index = start; index < end; index += 1) {
+      result.set(ids[index], neighboursOf(index, limit));
+    }
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    await processFrom(end);
+  };
+
+  await processFrom(0);
+  return result;
+};
+
+/**
+ * Co-purchase counts from order baskets
+ * @param {Array<Array<string>>} baskets - Book IDs per order
+ * @returns {{bookCounts: Map<string, number>, pairCounts: Map<string, Map<string, number>>}}
+ */
+export const countCoPurchases = (baskets) => {
+  const bookCounts = new Map();
+  const pairCounts = new Map();
+
+  baskets.forEach((basket) => {
+    const books = [...new Set(basket.map(toId))];
+
+    books.forEach((book) => bookCounts.set(book, (bookCounts.get(book) || 0) + 1));
+    if (books.length < 2 || books.length > MAX_BASKET_SIZE) return;
+
+    books.forEach((a) => {
+      if (!pairCounts.has(a)) pairCounts.set(a, new Map());
+      const row = pairCounts.get(a);
+      books.forEach((b) => {
+        if (a !== b) row.set(b, (row.get(b) || 0) + 1);
+      });
+    });
+  });
+
+  return { bookCounts, pairCounts };
+};
+
+/**
+ * "Customers also bought" neighbours for every book that shares an order with another
+ * @param {Object} counts - Output of countCoPurchases
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=MAX_NEIGHBOURS] - Neighbours per book
+ * @returns {Map<string, Array<{book: string, score: number, count: number}>>} bookId -> neighbours
+ */
+export const computeAlsoBought = ({ bookCounts, pairCounts }, { limit = MAX_NEIGHBOURS } = {}) => {
+  const result = new Map();
+
+  pairCounts.forEach((row, book) => {
+    const scores = new Map();
+    row.forEach((count, other) => {
+      scores.set(other, count / Math.sqrt(bookCounts.get(book) * bookCounts.get(other)));
+    });
+
+    result.set(
+      book,
+      topEntries(scores, limit, (a, b) => row.get(b) - row.get(a)).map(([other, score]) => ({
+        book: other,
+        score: Number(score.toFixed(4)),
+        count: row.get(other),
+      }))
+    );
+  });
+
+  return result;
+};
+
+/**
+ * Build a personalised feed from a user's history
+ *
+ * Each seed (purchased or wishlisted book) votes for its neighbours, weighted
+ * by how recent the purchase was. Books the user already bought or saved are
+ * left out. Remaining slots are filled with popular books.
+ *
+ * @param {Object} params - Inputs
+ * @param {Array<{book: string, weight: number}>} params.seeds - Purchased/wishlisted books with weights
+ * @param {Set<string>} params.exclude - Book IDs not to recommend
+ * @param {Function} params.neighboursOf - bookId => { alsoBought, similar } (arrays of { book, score })
+ * @param {Array<string>} [params.popular=[]] - Popular book IDs, best first
+ * @param {number} [params.limit=FEED_SIZE] - Feed size
+ * @returns {Array<{book: string, score: number, reason: string, basedOn?: string}>} Feed
+ */
+export const buildUserFeed = ({
+  seeds,
+  exclude,
+  neighboursOf,
+  popular = [],
+  limit = FEED_SIZE,
+}) => {
+  const candidates = new Map();
+
+  const vote = (book, score, reason, basedOn) => {
+    if (exclude.has(book)) return;
+    const current = candidates.get(book);
+    if (!current) {
+      candidates.set(book, { book, score, reason, basedOn, best: score });
+      return;
+    }
+    current.score += score;
+    // Explain with the strongest single vote
+    if (score > current.best) {
+      Object.assign(current, { reason, basedOn, best: score });
+    }
+  };
+
+  seeds.forEach(({ book: seed, weight }) => {
+    const { alsoBought = [], similar = [] } = neighboursOf(seed) || {};
+    alsoBought.forEach(({ book, score }) => vote(toId(book), weight * score, 'also_bought', seed));
+    similar.forEach(({ book, score }) =>
+      vote(toId(book), weight * score * SIMILAR_FEED_WEIGHT, 'similar', seed)
+    );
+  });
+
+  const feed = [...candidates.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ book, score, reason, basedOn }) => ({
+      book,
+      score: Number(score.toFixed(4)),
+      reason,
+      basedOn,
+    }));
+
+  const chosen = new Set(feed.map((item) => item.book));
+  popular.forEach((book) => {
+    const id = toId(book);
+    if (feed.length < limit && !exclude.has(id) && !chosen.has(id)) {
+      feed.push({ book: id, score: 0, reason: 'popular' });
+      chosen.add(id);
+    }
+  });
+
+  return feed;
+};
+
+/**
+ * Weight of a purchase by age: 1 today, 0.5 after 90 days, 0.2 after a year
+ * @param {Date} date - Order date
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {number} Weight in (0, 1]
+ */
+export const recencyWeight = (date, now = Date.now()) => {
+  const ageDays = Math.max(0, (now - new Date(date).getTime()) / DAY_MS);
+  return 1 / (1 + ageDays / 90);
+};
+
+/**
+ * Best-selling in-stock books over the last POPULAR_WINDOW_DAYS (cached for an hour)
+ * @returns {Promise<Array<string>>} Book IDs, best first
+ */
+export const getPopularBookIds = async () => {
+  const cache = getCache();
+  const cached = cache.get(POPULAR_CACHE_KEY);
+  if (cached) return cached;
+
+  const since = new Date(Date.now() - POPULAR_WINDOW_DAYS * DAY_MS);
+  const sales = await Order.aggregate([
+    { $match: { createdAt: { $gte: since }, status: { $ne: 'Cancelled' } } },
+    { $unwind: '$items' },
+    { $group: { _id: '$items.bookId', sold: { $sum: '$items.quantity' } } },
+    { $sort: { sold: -1 } },
+    { $limit: POPULAR_LIMIT * 2 },
+  ]);
+
+  const inStock = await Book.find({
+    _id: { $in: sales.map((sale) => sale._id) },
+    stock: { $gt: 0 },
+  })
+    .select('_id')
+    .lean();
+  const inStockIds = new Set(inStock.map((book) => toId(book)));
+  let popular = sales.map((sale) => toId(sale._id)).filter((id) => inStockIds.has(id));
+
+  // Quiet shop (or a fresh install): fall back to the best-rated books
+  if (popular.length < POPULAR_LIMIT) {
+    const topRated = await Book.find({ stock: { $gt: 0 }, _id: { $nin: popular } })
+      .sort({ rating: -1, reviewCount: -1, createdAt: -1 })
+      .limit(POPULAR_LIMIT - popular.length)
+      .select('_id')
+      .lean();
+    popular = [...popular, ...topRated.map((book) => toId(book))];
+  }
+
+  cache.set(POPULAR_CACHE_KEY, popular, CacheTTL.HOUR);
+  return popular;
+};
+
+/**
+ * Load books by ID in the given order, in stock only, tagged with why they're recommended
+ * @param {Array<{book: string, reason?: string, basedOn?: string}>} entries - Recommendations
+ * @param {number} limit - Maximum to return
+ * @returns {Promise<Array<Object>>} Book documents (JSON) with `recommendation: { reason, basedOn }`
+ */
+const hydrateBooks = async (entries, limit) => {
+  const ids = entries.map((entry) => toId(entry.book));
+  const books = await Book.find({ _id: { $in: ids }, stock: { $gt: 0 } }).select(BOOK_CARD_FIELDS);
+  const byId = new Map(books.map((book) => [toId(book), book]));
+
+  return entries
+    .filter((entry) => byId.has(toId(entry.book)))
+    .slice(0, limit)
+    .map((entry) => ({
+      ...byId.get(toId(entry.book)).toJSON(),
+      recommendation: {
+        reason: entry.reason,
+        ...(entry.basedOn && { basedOn: toId(entry.basedOn) }),
+      },
+    }));
+};
+
+/**
+ * Neighbours for a book that isn't in the precomputed set yet (added since the last run)
+ * @param {Object} book - Book document
+ * @param {number} limit - How many
+ * @returns {Promise<Array<{book: string, score: number}>>} Closest books from the same category
+ */
+const fallbackSimilar = async (book, limit) => {
+  const books = await Book.find({
+    _id: { $ne: book._id },
+    category: book.category,
+    stock: { $gt: 0 },
+  })
+    .sort({ rating: -1 })
+    .limit(limit * 5)
+    .select('author category language tags academicGrade rating')
+    .lean();
+
+  const neighbours = computeContentSimilarity([book, ...books], { limit }).get(toId(book));
+  return neighbours || [];
+};
+
+/**
+ * "Customers also bought" and "similar books" for a book page
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=8] - Books per list
+ * @returns {Promise<{alsoBought: Array, similar: Array, computedAt: Date|null}>}
+ * @throws {NotFoundError} If the book doesn't exist
+ */
+export const getBookRecommendations = async (bookId, { limit = 8 } = {}) => {
+  const [book, stored] = await Promise.all([
+    Book.findById(bookId).select('author category language tags academicGrade rating').lean(),
+    BookRecommendation.findOne({ book: bookId }).lean(),
+  ]);
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const similarEntries = stored?.similar?.length
+    ? stored.similar
+    : await fallbackSimilar(book, limit);
+
+  const [alsoBought, similar] = await Promise.all([
+    hydrateBooks(
+      (stored?.alsoBought || []).map((entry) => ({ ...entry, reason: 'also_bought' })),
+      limit
+    ),
+    hydrateBooks(
+      similarEntries.map((entry) => ({ ...entry, reason: 'similar' })),
+      limit
+    ),
+  ]);
+
+  return { alsoBought, similar, computedAt: stored?.computedAt || null };
+};
+
+/**
+ * A user's seeds (purchases and wishlist) and the books to leave out of their feed
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<{seeds: Array, exclude: Set<string>}>}
+ */
+const loadUserHistory = async (userId) => {
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * DAY_MS);
+  const [orders, wishlist] = await Promise.all([
+    Order.find({ user: userId, status: { $ne: 'Cancelled' } })
+      .select('items.bookId createdAt')
+      .lean(),
+    Wishlist.findOne({ user: userId }).select('items.book').lean(),
+  ]);
+
+  const weights = new Map();
+  const exclude = new Set();
+  const now = Date.now();
+
+  orders.forEach((order) => {
+    order.items.forEach((item) => {
+      const id = toId(item.bookId);
+      exclude.add(id);
+      if (order.createdAt >= since) {
+        weights.set(id, Math.max(weights.get(id) || 0, recencyWeight(order.createdAt, now)));
+      }
+    });
+  });
+  (wishlist?.items || []).forEach((item) => {
+    const id = toId(item.book);
+    exclude.add(id);
+    weights.set(id, Math.max(weights.get(id) || 0, WISHLIST_SEED_WEIGHT));
+  });
+
+  return {
+    seeds: [...weights.entries()].map(([book, weight]) => ({ book, weight })),
+    exclude,
+  };
+};
+
+/**
+ * Build a feed for one user from the stored book neighbours (no nightly run needed)
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Array>} Feed entries (see buildUserFeed)
+ */
+const computeUserFeed = async (userId) => {
+  const [{ seeds, exclude }, popular] = await Promise.all([
+    loadUserHistory(userId),
+    getPopularBookIds(),
+  ]);
+
+  const neighbours = seeds.length
+    ? await BookRecommendation.find({ book: { $in: seeds.map((seed) => seed.book) } })
+        .select('book alsoBought similar')
+        .lean()
+    : [];
+  const neighboursByBook = new Map(neighbours.map((doc) => [toId(doc.book), doc]));
+
+  return buildUserFeed({
+    seeds,
+    exclude,
+    neighboursOf: (book) => neighboursByBook.get(book),
+    popular,
+  });
+};
+
+/**
+ * Personalised home feed ("Recommended for you")
+ *
+ * Uses the nightly precomputed feed when there is one; otherwise (new customer,
+ * or no run yet) builds it on the spot. Guests get popular books.
+ *
+ * @param {string|null} userId - MongoDB ID of the user, or null for guests
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=12] - Books to return
+ * @returns {Promise<{books: Array, personalised: boolean, computedAt: Date|null}>}
+ */
+export const getHomeFeed = async (userId, { limit = 12 } = {}) => {
+  if (!userId) {
+    const popular = await getPopularBookIds();
+    const books = await hydrateBooks(
+      popular.map((book) => ({ book, reason: 'popular' })),
+      limit
+    );
+    return { books, personalised: false, computedAt: null };
+  }
+
+  const stored = await UserRecommendation.findOne({ user: userId }).lean();
+  const entries = stored?.items?.length ? stored.items : await computeUserFeed(userId);
+  let books = await hydrateBooks(entries, limit);
+
+  // Precomputed picks may have sold out since last night
+  if (books.length < limit) {
+    const shown = new Set(books.map((book) => toId(book)));
+    const popular = (await getPopularBookIds()).filter((book) => !shown.has(book));
+    books = [
+      ...books,
+      ...(await hydrateBooks(
+        popular.map((book) => ({ book, reason: 'popular' })),
+        limit - books.length
+      )),
+    ];
+  }
+
+  return {
+    books,
+    personalised: books.some((book) => book.recommendation.reason !== 'popular'),
+    computedAt: stored?.computedAt || null,
+  };
+};
+
+/**
+ * Write documents in batches
+ * @param {mongoose.Model} Model - Target model
+ * @param {Array<Object>} operations - bulkWrite operations
+ * @param {number} [batchSize=1000] - Operations per batch
+ * @returns {Promise<void>}
+ */
+const bulkWriteInBatches = async (Model, operations, batchSize = 1000) => {
+  const batches = [];
+  for (let i = 0; i < operations.length; i += batchSize) {
+    batches.push(operations.slice(i, i + batchSize));
+  }
+  await batches.reduce(
+    (previous, batch) => previous.then(() => Model.bulkWrite(batch, { ordered: false })),
+    Promise.resolve()
+  );
+};
+
+/**
+ * Recompute and store all recommendations (the nightly job)
+ *
+ * Reads every book, order and wishlist once, computes neighbours per book and
+ * a feed per customer with history, upserts them and removes documents left
+ * over from books/users that no longer qualify.
+ *
+ * @returns {Promise<Object>} Stats: books, orders, bookDocs, userDocs, removed
+ */
+export const rebuildRecommendations = async () => {
+  const computedAt = new Date();
+  const historySince = new Date(computedAt.getTime() - FEED_HISTORY_DAYS * DAY_MS);
+
+  const books = await Book.find()
+    .select('author category language tags academicGrade rating')
+    .lean();
+
+  const baskets = [];
+  const userPurchases = new Map();
+  await Order.find({ status: { $ne: 'Cancelled' } })
+    .select('user items.bookId createdAt')
+    .lean()
+    .cursor()
+    .eachAsync((order) => {
+      const bookIds = order.items.map((item) => toId(item.bookId));
+      baskets.push(bookIds);
+
+      if (!order.user) return;
+      const userId = toId(order.user);
+      if (!userPurchases.has(userId)) userPurchases.set(userId, []);
+      userPurchases.get(userId).push({ bookIds, createdAt: order.createdAt });
+    });
+
+  const userWishlists = new Map();
+  await Wishlist.find({ 'items.0': { $exists: true } })
+    .select('user items.book')
+    .lean()
+    .cursor()
+    .eachAsync((wishlist) => {
+      userWishlists.set(
+        toId(wishlist.user),
+        wishlist.items.map((item) => toId(item.book))
+      );
+    });
+
+  const similar = await computeContentSimilarityInChunks(books);
+  const alsoBought = computeAlsoBought(countCoPurchases(baskets));
+  const liveBooks = new Set(books.map((book) => toId(book)));
+  const onlyLive = (list = []) => list.filter((entry) => liveBooks.has(entry.book));
+
+  const bookOperations = books.map((book) => {
+    const id = toId(book);
+    return {
+      updateOne: {
+        filter: { book: book._id },
+        update: {
+          $set: {
+            alsoBought: onlyLive(alsoBought.get(id)),
+            similar: similar.get(id) || [],
+            computedAt,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  const popular = await getPopularBookIds();
+  const now = computedAt.getTime();
+  const userIds = new Set([...userPurchases.keys(), ...userWishlists.keys()]);
+  const userOperations = [...userIds].map((userId) => {
+    const weights = new Map();
+    const exclude = new Set();
+
+    (userPurchases.get(userId) || []).forEach(({ bookIds, createdAt }) => {
+      bookIds.forEach((book) => {
+        exclude.add(book);
+        if (createdAt >= historySince) {
+          weights.set(book, Math.max(weights.get(book) || 0, recencyWeight(createdAt, now)));
+        }
+      });
+    });
+    (userWishlists.get(userId) || []).forEach((book) => {
+      exclude.add(book);
+      weights.set(book, Math.max(weights.get(book) || 0, WISHLIST_SEED_WEIGHT));
+    });
+
+    const items = buildUserFeed({
+      seeds: [...weights.entries()].map(([book, weight]) => ({ book, weight })),
+      exclude,
+      neighboursOf: (book) => ({
+        alsoBought: onlyLive(alsoBought.get(book)),
+        similar: similar.get(book),
+      }),
+      popular,
+    });
+
+    return {
+      updateOne: {
+        filter: { user: userId },
+        update: { $set: { items, computedAt } },
+        upsert: true,
+      },
+    };
+  });
+
+  await bulkWriteInBatches(BookRecommendation, bookOperations);
+  await bulkWriteInBatches(UserRecommendation, userOperations);
+
+  // Books deleted and users without history since the last run
+  const [staleBooks, staleUsers] = await Promise.all([
+    BookRecommendation.deleteMany({ computedAt: { $lt: computedAt } }),
+    UserRecommendation.deleteMany({ computedAt: { $lt: computedAt } }),
+  ]);
+
+  const stats = {
+    books: books.length,
+    orders: baskets.length,
+    bookDocs: bookOperations.length,
+    userDocs: userOperations.length,
+    removed: staleBooks.deletedCount + staleUsers.deletedCount,
+  };
+  logger.info('Recommendations rebuilt', stats);
+  return stats;
+};
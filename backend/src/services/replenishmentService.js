@@ -0,0 +1,301 @@
+import Book from '../models/Book.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { formatCsvRow } from '../utils/csv.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales over the last week weigh in on their own, so a book that has just
+// started selling fast (guides before exams) is reordered in time
+const RECENT_DAYS = 7;
+
+/**
+ * How urgent a book's reorder is, most urgent first
+ * out_of_stock: selling but none left; critical: runs out before a reorder
+ * placed today would arrive; reorder: within the safety margin after that.
+ * @type {Array<string>}
+ */
+export const REPLENISHMENT_STATUSES = ['out_of_stock', 'critical', 'reorder'];
+
+// Book fields the plan needs
+const PLAN_BOOK_FIELDS = 'title author isbn category stock leadTimeDays price';
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Current replenishment settings, from the environment
+ * @returns {Object} { windowDays, leadTimeDays, safetyDays, coverDays }
+ */
+export const replenishmentSettings = () => ({
+  windowDays: config.REPLENISHMENT_SALES_WINDOW_DAYS,
+  leadTimeDays: config.REPLENISHMENT_LEAD_TIME_DAYS,
+  safetyDays: config.REPLENISHMENT_SAFETY_DAYS,
+  coverDays: config.REPLENISHMENT_COVER_DAYS,
+});
+
+/**
+ * Units sold per book over the sales window, and over its last week
+ * Counted from the items of orders that weren't cancelled.
+ * @param {Object} [options] - Options
+ * @param {number} [options.windowDays] - Days of orders to count
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Map<string, {units: number, recentUnits: number}>>} Sales by book ID
+ */
+export const getBookSales = async ({
+  windowDays = config.REPLENISHMENT_SALES_WINDOW_DAYS,
+  now = new Date(),
+} = {}) => {
+  const since = new Date(now.getTime() - windowDays * DAY_MS);
+  const recentSince = new Date(now.getTime() - RECENT_DAYS * DAY_MS);
+
+  const sales = await Order.aggregate([
+    { $match: { status: { $ne: 'Cancelled' }, createdAt: { $gte: since, $lte: now } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.bookId',
+        units: { $sum: '$items.quantity' },
+        recentUnits: {
+          $sum: { $cond: [{ $gte: ['$createdAt', recentSince] }, '$items.quantity', 0] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    sales.map((entry) => [
+      String(entry._id),
+      { units: entry.units, recentUnits: entry.recentUnits },
+    ])
+  );
+};
+
+/**
+ * Work out how fast a book sells, how long its stock lasts and what to reorder
+ *
+ * Velocity is units per day over the sales window, or over the last week if
+ * that is faster. Days of cover is how long the stock lasts at that rate. A
+ * reorder is suggested once the stock won't outlast the lead time plus the
+ * safety days, for enough copies to cover the lead time and coverDays more.
+ *
+ * @param {Object} book - Book ({ stock, leadTimeDays })
+ * @param {Object} [sales] - The book's sales ({ units, recentUnits }); none if it didn't sell
+ * @param {Object} [settings] - See replenishmentSettings (defaults to the environment)
+ * @returns {Object} { unitsSold, velocity, daysOfCover, leadTimeDays, reorderPoint,
+ *   suggestedQuantity, status } (status is null when nothing needs ordering)
+ */
+export const planReplenishment = (book, sales, settings = replenishmentSettings()) => {
+  const { windowDays, safetyDays, coverDays } = settings;
+  const leadTimeDays = book.leadTimeDays ?? settings.leadTimeDays;
+  const stock = book.stock || 0;
+  const units = sales?.units || 0;
+
+  const velocity = roundTo(
+    Math.max(units / windowDays, (sales?.recentUnits || 0) / Math.min(RECENT_DAYS, windowDays)),
+    2
+  );
+  const daysOfCover = velocity > 0 ? roundTo(stock / velocity, 1) : null;
+  const reorderPoint = Math.ceil(velocity * (leadTimeDays + safetyDays));
+
+  let status = null;
+  if (velocity > 0 && stock === 0) status = 'out_of_stock';
+  else if (velocity > 0 && daysOfCover <= leadTimeDays) status = 'critical';
+  else if (velocity > 0 && stock <= reorderPoint) status = 'reorder';
+
+  const suggestedQuantity = status
+    ? Math.max(1, Math.ceil(velocity * (leadTimeDays + coverDays)) - stock)
+    : 0;
+
+  return {
+    unitsSold: units,
+    velocity,
+    daysOfCover,
+    leadTimeDays,
+    reorderPoint,
+    suggestedQuantity,
+    status,
+  };
+};
+
+/**
+ * Plan replenishment for every book in the catalogue
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Array<Object>>} Books needing a reorder with their plan, most urgent first
+ */
+const planCatalogue = async ({ now = new Date() } = {}) => {
+  const settings = replenishmentSettings();
+  const [books, sales] = await Promise.all([
+    Book.find({}).select(PLAN_BOOK_FIELDS).lean(),
+    getBookSales({ windowDays: settings.windowDays, now }),
+  ]);
+
+  return books
+    .map((book) => ({
+      book: book._id,
+      title: book.title?.display,
+      author: book.author,
+      isbn: book.isbn,
+      category: book.category,
+      stock: book.stock || 0,
+      unitPrice: book.price?.original,
+      ...planReplenishment(book, sales.get(String(book._id)), settings),
+    }))
+    .filter((row) => row.status)
+    .sort(
+      (a, b) =>
+        REPLENISHMENT_STATUSES.indexOf(a.status) - REPLENISHMENT_STATUSES.indexOf(b.status) ||
+        a.daysOfCover - b.daysOfCover ||
+        b.velocity - a.velocity
+    );
+};
+
+/**
+ * How many books of a plan are in each status
+ * @param {Array<Object>} plan - Output of planCatalogue
+ * @returns {Object} { out_of_stock, critical, reorder }
+ */
+const countByStatus = (plan) =>
+  Object.fromEntries(
+    REPLENISHMENT_STATUSES.map((key) => [key, plan.filter((row) => row.status === key).length])
+  );
+
+/**
+ * Reorder suggestions, most urgent first
+ * @param {Object} [options] - Options
+ * @param {string} [options.status] - Only this status (see REPLENISHMENT_STATUSES)
+ * @param {string} [options.category] - Only books in this category
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=50] - Suggestions per page
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Object>} { suggestions, counts: { out_of_stock, critical, reorder },
+ *   settings, pagination }
+ */
+export const getReplenishmentPlan = async ({
+  status,
+  category,
+  page = 1,
+  limit = 50,
+  now = new Date(),
+} = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 50;
+
+  const plan = await planCatalogue({ now });
+  const counts = countByStatus(plan);
+  const matching = plan.filter(
+    (row) => (!status || row.status === status) && (!category || row.category === category)
+  );
+
+  return {
+    suggestions: matching.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+    counts,
+    settings: replenishmentSettings(),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: matching.length,
+      pages: Math.ceil(matching.length / limitNum),
+    },
+  };
+};
+
+/**
+ * Reorder suggestions as a CSV purchase list
+ * @param {Object} [options] - status and category filters, as for getReplenishmentPlan
+ * @returns {Promise<string>} CSV with a header row
+ */
+export const exportReplenishmentCsv = async ({ status, category } = {}) => {
+  const plan = await planCatalogue();
+  const rows = plan.filter(
+    (row) => (!status || row.status === status) && (!category || row.category === category)
+  );
+
+  return [
+    formatCsvRow([
+      'ISBN',
+      'Title',
+      'Author',
+      'Category',
+      'Status',
+      'Stock',
+      'Sold (window)',
+      'Units per day',
+      'Days of cover',
+      'Lead time (days)',
+      'Reorder point',
+      'Suggested quantity',
+    ]),
+    ...rows.map((row) =>
+      formatCsvRow([
+        row.isbn,
+        row.title,
+        row.author,
+        row.category,
+        row.status,
+        row.stock,
+        row.unitsSold,
+        row.velocity,
+        row.daysOfCover,
+        row.leadTimeDays,
+        row.reorderPoint,
+        row.suggestedQuantity,
+      ])
+    ),
+  ].join('');
+};
+
+/**
+ * Alert admins about books that will run out within their lead time
+ *
+ * Each admin gets one low_stock notification per book; while it's unread it
+ * is updated in place rather than repeated every day.
+ *
+ * The run's counts per status are kept with the job's stats, where the admin
+ * dashboard reads them instead of planning the whole catalogue on every load.
+ *
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Object>} { books, admins, alerts, counts: { out_of_stock, critical, reorder } }
+ */
+export const sendLowStockAlerts = async ({ now = new Date() } = {}) => {
+  const plan = await planCatalogue({ now });
+  const counts = countByStatus(plan);
+  const urgent = plan.filter((row) => row.status !== 'reorder');
+  if (urgent.length === 0) return { books: 0, admins: 0, alerts: 0, counts };
+
+  const admins = await User.find({ role: 'admin' }).select('_id').lean();
+  if (admins.length === 0) return { books: urgent.length, admins: 0, alerts: 0, counts };
+
+  const operations = admins.flatMap((admin) =>
+    urgent.map((row) => ({
+      updateOne: {
+        filter: { user: admin._id, book: row.book, type: 'low_stock', readAt: null },
+        update: {
+          $set: {
+            title: row.status === 'out_of_stock' ? 'Out of stock' : 'Running out of stock',
+            message:
+              row.status === 'out_of_stock'
+                ? `"${row.title}" is out of stock; reorder ${row.suggestedQuantity}`
+                : `"${row.title}" has ${row.stock} left, about ${row.daysOfCover} days of sales; reorder ${row.suggestedQuantity}`,
+            data: {
+              stock: row.stock,
+              daysOfCover: row.daysOfCover,
+              leadTimeDays: row.leadTimeDays,
+              suggestedQuantity: row.suggestedQuantity,
+            },
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  await Notification.bulkWrite(operations, { ordered: false });
+
+  logger.info('Low-stock alerts sent', { books: urgent.length, admins: admins.length });
+  return { books: urgent.length, admins: admins.length, alerts: operations.length, counts };
+};
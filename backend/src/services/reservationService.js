@@ -0,0 +1,230 @@
+import { randomUUID } from 'crypto';
+import mongoose from 'mongoose';
+import Book from '../models/Book.js';
+import StockReservation, {
+  MAX_ACTIVE_CHECKOUTS,
+  MAX_CHECKOUT_MINUTES,
+  MAX_HELD_PER_LINE,
+} from '../models/StockReservation.js';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../utils/errors.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const bookTitle = (book) => book.title?.display || book.titleDisplay;
+
+// Whether hold a is ahead of hold b in the queue for a book
+const queuedBefore = (a, b) => {
+  const gap = a.queuedAt - b.queuedAt;
+  return gap < 0 || (gap === 0 && String(a._id) < String(b._id));
+};
+
+/**
+ * When a hold placed now runs out
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date} Expiry
+ */
+export const reservationExpiry = (now = new Date()) =>
+  new Date(now.getTime() + config.STOCK_RESERVATION_TTL_MINUTES * MINUTE_MS);
+
+/**
+ * Copies of each book held by other customers' checkouts
+ * Expired holds don't count, even before the TTL monitor removes them.
+ * @param {Array<string>} bookIds - Books to look up
+ * @param {Object} [options] - Options
+ * @param {string} [options.checkout] - The customer's own checkout (not counted)
+ * @param {string} [options.user] - The signed-in customer (their holds aren't counted)
+ * @param {import('mongoose').ClientSession} [options.session] - Transaction to read in
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Map<string, number>>} Units held by book ID (books without holds are missing)
+ */
+export const getReservedStock = async (
+  bookIds,
+  { checkout, user, session, now = new Date() } = {}
+) => {
+  if (bookIds.length === 0) return new Map();
+
+  const own = [...(checkout ? [{ checkout }] : []), ...(user ? [{ user: toObjectId(user) }] : [])];
+  const held = await StockReservation.aggregate([
+    {
+      $match: {
+        book: { $in: bookIds.map(toObjectId) },
+        expiresAt: { $gt: now },
+        ...(own.length && { $nor: own }),
+      },
+    },
+    { $group: { _id: '$book', units: { $sum: '$quantity' } } },
+  ]).session(session || null);
+
+  return new Map(held.map((entry) => [String(entry._id), entry.units]));
+};
+
+/**
+ * Hold a cart's stock for a checkout
+ *
+ * Reserving again with the same checkout replaces its holds with the new cart
+ * and starts the clock again, but never past MAX_CHECKOUT_MINUTES from the
+ * checkout's first hold. A checkout whose holds have run out starts over, at
+ * the back of the queue. Holds are placed first and checked after: each line is
+ * kept only if the stock covers it plus every other hold queued ahead of it, so
+ * two customers racing for the last copy can't both get it. A renewal that
+ * fails on some lines still holds the others.
+ *
+ * So that nobody can lock up the catalogue, a line holds at most
+ * MAX_HELD_PER_LINE copies and a customer (or, for guests, an IP) can have at
+ * most MAX_ACTIVE_CHECKOUTS checkouts holding stock at once.
+ *
+ * @param {Array<{bookId: string, quantity: number}>} items - Cart lines
+ * @param {Object} [options] - Options
+ * @param {string} [options.checkout] - Checkout to renew; a new one is started if missing
+ * @param {string} [options.user] - The signed-in customer, if any
+ * @param {string} [options.ip] - Client IP, for guests' checkout cap
+ * @param {Date} [options.now] - Current time (tests)
+ * @returns {Promise<Object>} { checkoutId, expiresAt, items: [{ bookId, quantity }] }
+ * @throws {BadRequestError} If a line asks for more than MAX_HELD_PER_LINE copies
+ * @throws {NotFoundError} If a book doesn't exist
+ * @throws {ConflictError} If a line can't be held or the customer has too many
+ *   checkouts; nothing is held then
+ */
+export const reserveStock = async (
+  items,
+  { checkout = randomUUID(), user = null, ip = null, now = new Date() } = {}
+) => {
+  // The same book on two lines is one hold
+  const quantities = items.reduce(
+    (totals, item) =>
+      totals.set(String(item.bookId), (totals.get(String(item.bookId)) || 0) + item.quantity),
+    new Map()
+  );
+  const bookIds = [...quantities.keys()];
+  if ([...quantities.values()].some((quantity) => quantity > MAX_HELD_PER_LINE)) {
+    throw new BadRequestError(`A checkout can hold at most ${MAX_HELD_PER_LINE} copies of a book`);
+  }
+
+  const books = await Book.find({ _id: { $in: bookIds } })
+    .select('title stock')
+    .lean();
+  const booksById = new Map(books.map((book) => [String(book._id), book]));
+  const missing = bookIds.find((id) => !booksById.has(id));
+  if (missing) {
+    throw new NotFoundError(`Book with ID ${missing} not found`);
+  }
+
+  // A checkout whose holds have all run out starts over
+  const current = await StockReservation.find({ checkout, expiresAt: { $gt: now } })
+    .select('book quantity startedAt queuedAt')
+    .lean();
+  const startedAt = current.length
+    ? new Date(Math.min(...current.map((hold) => hold.startedAt.getTime())))
+    : now;
+  // Renewals never take a hold past this, so it then lapses and starts over
+  const deadline = new Date(startedAt.getTime() + MAX_CHECKOUT_MINUTES * MINUTE_MS);
+
+  const holder = user ? { user: toObjectId(user) } : ip && { ip };
+  if (current.length === 0 && holder) {
+    const active = await StockReservation.distinct('checkout', {
+      ...holder,
+      checkout: { $ne: checkout },
+      expiresAt: { $gt: now },
+    });
+    if (active.length >= MAX_ACTIVE_CHECKOUTS) {
+      throw new ConflictError(
+        `At most ${MAX_ACTIVE_CHECKOUTS} checkouts can hold stock at once; finish or leave one first`
+      );
+    }
+  }
+
+  const expiresAt = new Date(Math.min(reservationExpiry(now).getTime(), deadline.getTime()));
+
+  // A renewed line keeps its place in the queue unless it asks for more copies;
+  // then it goes to the back, behind everyone who reserved meanwhile
+  const queuedAt = (bookId) => {
+    const previous = current.find((hold) => String(hold.book) === bookId);
+    return previous && quantities.get(bookId) <= previous.quantity ? previous.queuedAt : now;
+  };
+
+  await StockReservation.bulkWrite([
+    {
+      deleteMany: {
+        filter: current.length
+          ? { checkout, book: { $nin: bookIds.map(toObjectId) } }
+          : { checkout },
+      },
+    },
+    ...bookIds.map((bookId) => ({
+      updateOne: {
+        filter: { checkout, book: toObjectId(bookId) },
+        update: {
+          $set: {
+            user,
+            ip,
+            quantity: quantities.get(bookId),
+            expiresAt,
+            startedAt,
+            queuedAt: queuedAt(bookId),
+          },
+        },
+        upsert: true,
+      },
+    })),
+  ]);
+
+  const [holds, others] = await Promise.all([
+    StockReservation.find({ checkout }).lean(),
+    StockReservation.find({
+      book: { $in: bookIds.map(toObjectId) },
+      checkout: { $ne: checkout },
+      expiresAt: { $gt: now },
+    })
+      .select('book quantity queuedAt')
+      .lean(),
+  ]);
+
+  const shortages = holds
+    .map((hold) => {
+      const ahead = others
+        .filter((other) => other.book.equals(hold.book) && queuedBefore(other, hold))
+        .reduce((units, other) => units + other.quantity, 0);
+      const book = booksById.get(String(hold.book));
+      return { hold, book, available: Math.max(0, book.stock - ahead) };
+    })
+    .filter(({ hold, available }) => available < hold.quantity);
+
+  if (shortages.length) {
+    // Only the lines that can't be held are let go. A new checkout keeps
+    // nothing: the customer never got its ID, so nobody could use the rest.
+    await StockReservation.deleteMany(
+      current.length
+        ? { checkout, book: { $in: shortages.map(({ hold }) => hold.book) } }
+        : { checkout }
+    );
+
+    const [{ book, available, hold }] = shortages;
+    throw new ConflictError(
+      `Insufficient stock for "${bookTitle(book)}". Available: ${available}, Requested: ${hold.quantity}`
+    );
+  }
+
+  logger.debug('Stock reserved', { checkout, books: holds.length, expiresAt });
+
+  return {
+    checkoutId: checkout,
+    expiresAt,
+    items: holds.map((hold) => ({ bookId: hold.book, quantity: hold.quantity })),
+  };
+};
+
+/**
+ * Let go of a checkout's holds (checkout abandoned, or the order took them over)
+ * @param {string} checkout - Checkout ID
+ * @param {Object} [options] - Options
+ * @param {import('mongoose').ClientSession} [options.session] - Transaction to release in
+ * @returns {Promise<number>} Holds released
+ */
+export const releaseReservation = async (checkout, { session } = {}) => {
+  const { deletedCount } = await StockReservation.deleteMany({ checkout }, { session });
+  return deletedCount;
+};
@@ -0,0 +1,192 @@
+import Book from '../models/Book.js';
+import Order from '../models/Order.js';
+import { NotFoundError, BadRequestError, ForbiddenError, ConflictError } from '../utils/errors.js';
+
+const REVIEW_SORTS = {
+  recent: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+  oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+  highest: (a, b) => b.rating - a.rating || new Date(b.createdAt) - new Date(a.createdAt),
+  lowest: (a, b) => a.rating - b.rating || new Date(b.createdAt) - new Date(a.createdAt),
+};
+
+/**
+ * Load a book or fail with 404
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<import('../models/Book.js').default>} Book document
+ * @throws {NotFoundError} If book with ID doesn't exist
+ */
+const findBookOrThrow = async (bookId) => {
+  const book = await Book.findById(bookId);
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+  return book;
+};
+
+/**
+ * Check whether a user has a delivered order containing the book
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<boolean>} True if the purchase is verified
+ */
+export const hasVerifiedPurchase = async (userId, bookId) => {
+  const order = await Order.exists({
+    user: userId,
+    status: 'Delivered',
+    'items.bookId': bookId,
+  });
+  return Boolean(order);
+};
+
+/**
+ * List reviews for a book with rating breakdown and pagination
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Object} options - Listing options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Reviews per page (max 50)
+ * @param {string} [options.sort='recent'] - recent | oldest | highest | lowest
+ * @param {number} [options.rating] - Only return reviews with this star rating
+ * @returns {Promise<Object>} Reviews, summary and pagination
+ * @throws {NotFoundError} If book with ID doesn't exist
+ */
+export const listReviews = async (
+  bookId,
+  { page = 1, limit = 10, sort = 'recent', rating } = {}
+) => {
+  const book = await Book.findById(bookId)
+    .select('reviews rating reviewCount')
+    .populate('reviews.user', 'name')
+    .lean();
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  book.reviews.forEach((review) => {
+    const stars = Math.round(review.rating);
+    if (distribution[stars] !== undefined) distribution[stars] += 1;
+  });
+
+  const ratingFilter = Number(rating);
+  const filtered = ratingFilter
+    ? book.reviews.filter((review) => Math.round(review.rating) === ratingFilter)
+    : [...book.reviews];
+  filtered.sort(REVIEW_SORTS[sort] || REVIEW_SORTS.recent);
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+  const start = (pageNum - 1) * limitNum;
+
+  return {
+    reviews: filtered.slice(start, start + limitNum),
+    summary: {
+      average: book.rating || 0,
+      total: book.reviewCount || book.reviews.length,
+      distribution,
+    },
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: filtered.length,
+      pages: Math.ceil(filtered.length / limitNum),
+    },
+  };
+};
+
+/**
+ * Add a review for a book (one review per user per book)
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {string} userId - MongoDB ID of the reviewer
+ * @param {Object} data - Review data ({ rating, title, comment })
+ * @returns {Promise<Object>} The created review and updated book rating
+ * @throws {NotFoundError} If book with ID doesn't exist
+ * @throws {ForbiddenError} If the user has no delivered order for the book
+ * @throws {ConflictError} If the user already reviewed the book
+ */
+export const addReview = async (bookId, userId, { rating, title, comment }) => {
+  const book = await findBookOrThrow(bookId);
+
+  if (!(await hasVerifiedPurchase(userId, bookId))) {
+    throw new ForbiddenError('Only customers who received this book can review it');
+  }
+
+  const existing = book.reviews.find((review) => review.user?.toString() === userId.toString());
+  if (existing) {
+    throw new ConflictError('You have already reviewed this book');
+  }
+
+  book.reviews.push({ user: userId, rating, title, comment, verified: true });
+  book.recalculateRating();
+  await book.save();
+
+  return {
+    review: book.reviews[book.reviews.length - 1],
+    rating: book.rating,
+    reviewCount: book.reviewCount,
+  };
+};
+
+/**
+ * Update the current user's review of a book
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {string} userId - MongoDB ID of the reviewer
+ * @param {Object} data - Fields to update ({ rating, title, comment })
+ * @returns {Promise<Object>} The updated review and book rating
+ * @throws {NotFoundError} If book or review doesn't exist
+ * @throws {BadRequestError} If no updatable fields are provided
+ */
+export const updateReview = async (bookId, userId, { rating, title, comment }) => {
+  if (rating === undefined && title === undefined && comment === undefined) {
+    throw new BadRequestError('Nothing to update');
+  }
+
+  const book = await findBookOrThrow(bookId);
+  const review = book.reviews.find((r) => r.user?.toString() === userId.toString());
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (rating !== undefined) review.rating = rating;
+  if (title !== undefined) review.title = title;
+  if (comment !== undefined) review.comment = comment;
+  review.updatedAt = new Date();
+
+  book.recalculateRating();
+  await book.save();
+
+  return { review, rating: book.rating, reviewCount: book.reviewCount };
+};
+
+/**
+ * Delete a review. Customers delete their own review; admins may pass a reviewId
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Object} actor - The requesting user ({ id, role })
+ * @param {string} [reviewId] - Review to delete (admin only)
+ * @returns {Promise<Object>} The updated book rating
+ * @throws {NotFoundError} If book or review doesn't exist
+ * @throws {ForbiddenError} If a non-admin targets someone else's review
+ */
+export const deleteReview = async (bookId, actor, reviewId = null) => {
+  const book = await findBookOrThrow(bookId);
+  const actorId = actor.id.toString();
+
+  const review = reviewId
+    ? book.reviews.id(reviewId)
+    : book.reviews.find((r) => r.user?.toString() === actorId);
+
+  if (!review) {
+    throw new NotFoundError('Review not found');
+  }
+
+  if (review.user?.toString() !== actorId && actor.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to delete this review');
+  }
+
+  review.deleteOne();
+  book.recalculateRating();
+  await book.save();
+
+  return { rating: book.rating, reviewCount: book.reviewCount };
+};
@@ -0,0 +1,484 @@
+import mongoose from 'mongoose';
+import SaleCampaign from '../models/SaleCampaign.js';
+import Book, { bookPricing, emitBulkWriteChanges } from '../models/Book.js';
+import Order from '../models/Order.js';
+import SalePurchase from '../models/SalePurchase.js';
+import customerKeys from '../utils/customerKeys.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError } from '../utils/errors.js';
+
+// What the deals listing shows of each book
+const DEAL_BOOK_FIELDS = 'title author image price category tags stock rating reviewCount sales';
+
+/**
+ * Where a campaign stands at a given moment
+ * @param {Object} campaign - Campaign document or plain object
+ * @param {Date} [now] - Point in time to check
+ * @returns {'paused'|'scheduled'|'live'|'ended'} Status
+ */
+export const campaignStatus = (campaign, now = new Date()) => {
+  if (now >= campaign.endsAt) return 'ended';
+  if (!campaign.isActive) return 'paused';
+  if (now < campaign.startsAt) return 'scheduled';
+  return 'live';
+};
+
+/**
+ * Book filter matching everything a campaign targets
+ * @param {Object} campaign - Campaign document or plain object
+ * @returns {Object} Mongo filter
+ */
+export const campaignBookFilter = (campaign) => {
+  const targets = [];
+  if (campaign.books?.length) targets.push({ _id: { $in: campaign.books } });
+  if (campaign.categories?.length) targets.push({ category: { $in: campaign.categories } });
+  if (campaign.tags?.length) targets.push({ tags: { $in: campaign.tags } });
+  return targets.length ? { $or: targets } : { _id: null };
+};
+
+/**
+ * Whether a campaign targets a book. Pure counterpart of campaignBookFilter.
+ * @param {Object} campaign - Campaign document or plain object
+ * @param {Object} book - Book document or plain object
+ * @returns {boolean} True if the book is in the campaign
+ */
+export const campaignTargetsBook = (campaign, book) =>
+  (campaign.books || []).some((id) => String(id) === String(book._id)) ||
+  (campaign.categories || []).includes(book.category) ||
+  (campaign.tags || []).some((tag) => (book.tags || []).includes(tag));
+
+/**
+ * The entry a campaign puts in a book's sales
+ * @param {Object} campaign - Campaign document
+ * @param {Object} book - Book with price
+ * @returns {Object} Book.sales entry
+ */
+const saleEntry = (campaign, book) => ({
+  campaign: campaign._id,
+  name: campaign.name,
+  price: campaign.salePriceFor(book.price?.original || 0),
+  startsAt: campaign.startsAt,
+  endsAt: campaign.endsAt,
+  perCustomerLimit: campaign.perCustomerLimit,
+});
+
+/**
+ * Take a campaign's prices off every book, deleted ones included
+ * @param {string} campaignId - MongoDB ID of the campaign
+ * @returns {Promise<void>}
+ */
+const removeCampaignPrices = (campaignId) =>
+  Book.updateMany(
+    { 'sales.campaign': campaignId },
+    { $pull: { sales: { campaign: campaignId } } }
+  ).setOptions({ includeDeleted: true });
+
+/**
+ * Copy a campaign's prices onto the books it targets, and take them off books
+ * it no longer does. Paused and ended campaigns are taken off everywhere.
+ *
+ * Soft-deleted books are kept in step too, so a restored book is priced right.
+ * These are plain updates without book history versions; the search index
+ * hears about them like any other book write (see emitBulkWriteChanges).
+ *
+ * @param {Object} campaign - Campaign document
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of books now carrying the campaign
+ */
+export const syncCampaignBooks = async (campaign, now = new Date()) => {
+  await removeCampaignPrices(campaign._id);
+
+  const status = campaignStatus(campaign, now);
+  if (status === 'ended' || status === 'paused') return 0;
+
+  const books = await Book.find(campaignBookFilter(campaign))
+    .setOptions({ includeDeleted: true })
+    .select('price')
+    .lean();
+  if (books.length === 0) return 0;
+
+  const operations = books.map((book) => ({
+    updateOne: {
+      filter: { _id: book._id },
+      update: { $push: { sales: saleEntry(campaign, book) } },
+    },
+  }));
+  await Book.bulkWrite(operations);
+  await emitBulkWriteChanges(operations);
+
+  logger.debug('Campaign prices synced', { campaignId: campaign._id, books: books.length });
+  return books.length;
+};
+
+/**
+ * Recompute one book's campaign prices, e.g. after its price, category or
+ * tags changed
+ * @param {Object} book - Book document (its sales are updated in place)
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Array>} The book's new sales entries
+ */
+export const syncBookSales = async (book, now = new Date()) => {
+  const campaigns = await SaleCampaign.find({ isActive: true, endsAt: { $gt: now } });
+  const sales = campaigns
+    .filter((campaign) => campaignTargetsBook(campaign, book))
+    .map((campaign) => saleEntry(campaign, book));
+
+  await Book.updateOne({ _id: book._id }, { $set: { sales } }).setOptions({
+    includeDeleted: true,
+  });
+  book.set('sales', sales);
+  return sales;
+};
+
+/**
+ * Re-sync every running or upcoming campaign and drop prices of campaigns that
+ * ended, were paused or were deleted (nightly job)
+ *
+ * Prices switch at the scheduled times without this; it picks up books that
+ * were added, imported or restored into a campaign's targets since, and keeps
+ * sales from growing.
+ *
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<{campaigns: number, books: number}>} Job stats
+ */
+export const syncAllCampaigns = async ({ now = new Date() } = {}) => {
+  const campaigns = await SaleCampaign.find({ isActive: true, endsAt: { $gt: now } });
+
+  await Book.updateMany(
+    { 'sales.0': { $exists: true } },
+    { $pull: { sales: { campaign: { $nin: campaigns.map((campaign) => campaign._id) } } } }
+  ).setOptions({ includeDeleted: true });
+
+  const counts = await Promise.all(campaigns.map((campaign) => syncCampaignBooks(campaign, now)));
+  const books = counts.reduce((sum, count) => sum + count, 0);
+
+  return { campaigns: campaigns.length, books };
+};
+
+/**
+ * Copies of campaign books each customer has already bought at the sale price
+ * (cancelled orders don't count). Guests are identified by phone number.
+ * @param {Array<string>} campaignIds - Campaigns to count
+ * @param {Object} customer - { userId, customerPhone }
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session
+ * @returns {Promise<Map<string, number>>} Copies bought per campaign ID
+ */
+const countCustomerPurchases = async (campaignIds, { userId, customerPhone }, session) => {
+  const who = [];
+  // aggregate() doesn't cast, so the user ID has to be an ObjectId already
+  if (userId) who.push({ user: new mongoose.Types.ObjectId(String(userId)) });
+  if (customerPhone) who.push({ customerPhone });
+  if (who.length === 0 || campaignIds.length === 0) return new Map();
+
+  const rows = await Order.aggregate([
+    { $match: { 'items.campaign': { $in: campaignIds }, status: { $ne: 'Cancelled' }, $or: who } },
+    { $unwind: '$items' },
+    { $match: { 'items.campaign': { $in: campaignIds } } },
+    { $group: { _id: '$items.campaign', quantity: { $sum: '$items.quantity' } } },
+  ]).session(session || null);
+
+  return new Map(rows.map((row) => [String(row._id), row.quantity]));
+};
+
+// Counter keys for a customer: the account and/or the phone number
+const saleLimitError = (sale, bought) => {
+  const left = Math.max(0, sale.perCustomerLimit - bought);
+  const rest = left > 0 ? `you can buy ${left} more` : 'you have reached the limit';
+  return new BadRequestError(
+    `"${sale.name}" is limited to ${sale.perCustomerLimit} per customer; ${rest}`
+  );
+};
+
+/**
+ * Count an order's campaign copies against the per-customer caps
+ *
+ * Each capped campaign has a SalePurchase counter per customer key. The
+ * counter is raised with a guarded $inc in the order's transaction, so
+ * concurrent orders conflict on it instead of both passing a count. A counter
+ * seen for the first time is created first, starting from the customer's
+ * earlier orders, so the $inc always lands on an existing counter.
+ * Signed-in customers are held to the cap; guests are keyed by phone number,
+ * which they can change, so their cap is best effort.
+ *
+ * @param {Array<{sale: Object, quantity: number}>} lines - Order lines bought at a
+ *   campaign price (sale is bookPricing's activeSale)
+ * @param {Object} customer - Checkout context
+ * @param {string} [customer.userId] - Logged-in customer
+ * @param {string} [customer.customerPhone] - Guest customer phone
+ * @param {import('mongoose').ClientSession} [customer.session] - Active transaction session
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the order would take a customer over a cap
+ */
+export const recordSalePurchases = async (lines, { userId, customerPhone, session } = {}) => {
+  const capped = new Map();
+  lines
+    .filter((line) => line.sale?.perCustomerLimit)
+    .forEach(({ sale, quantity }) => {
+      const key = String(sale.campaign);
+      const entry = capped.get(key) || { sale, quantity: 0 };
+      entry.quantity += quantity;
+      capped.set(key, entry);
+    });
+  const customers = customerKeys({ userId, customerPhone });
+  if (capped.size === 0 || customers.length === 0) return;
+
+  const campaignIds = [...capped.values()].map(({ sale }) => sale.campaign);
+  const counters = await SalePurchase.find({
+    campaign: { $in: campaignIds },
+    customer: { $in: customers },
+  })
+    .session(session || null)
+    .lean();
+  const legacy =
+    counters.length < campaignIds.length * customers.length
+      ? await countCustomerPurchases(campaignIds, { userId, customerPhone }, session)
+      : new Map();
+
+  const claims = [...capped.entries()].flatMap(([key, { sale, quantity }]) =>
+    customers.map((customer) => {
+      const counter = counters.find(
+        (entry) => String(entry.campaign) === key && entry.customer === customer
+      );
+      const bought = counter ? counter.quantity : legacy.get(key) || 0;
+      return { sale, quantity, customer, counter, bought };
+    })
+  );
+
+  const over = claims.find(
+    ({ sale, quantity, bought }) => bought + quantity > sale.perCustomerLimit
+  );
+  if (over) throw saleLimitError(over.sale, over.bought);
+
+  // One write at a time: a transaction can't run operations in parallel
+  const claim = async ({ sale, quantity, customer, counter, bought }) => {
+    // A counter another order created meanwhile is kept as it is
+    if (!counter) {
+      await SalePurchase.updateOne(
+        { campaign: sale.campaign, customer },
+        { $setOnInsert: { quantity: bought } },
+        { upsert: true, session }
+      );
+    }
+
+    const updated = await SalePurchase.findOneAndUpdate(
+      {
+        campaign: sale.campaign,
+        customer,
+        quantity: { $lte: sale.perCustomerLimit - quantity },
+      },
+      { $inc: { quantity } },
+      { session }
+    );
+    if (!updated) throw saleLimitError(sale, sale.perCustomerLimit);
+  };
+  await claims.reduce((previous, entry) => previous.then(() => claim(entry)), Promise.resolve());
+};
+
+/**
+ * Give a cancelled order's campaign copies back to its customer's caps
+ * @param {Object} order - Order document
+ * @param {import('mongoose').ClientSession} [session] - Active transaction session
+ * @returns {Promise<void>}
+ */
+export const releaseSalePurchases = async (order, session) => {
+  const customers = customerKeys({ userId: order.user, customerPhone: order.customerPhone });
+  const quantities = order.items
+    .filter((item) => item.campaign)
+    .reduce(
+      (totals, item) =>
+        totals.set(String(item.campaign), (totals.get(String(item.campaign)) || 0) + item.quantity),
+      new Map()
+    );
+  if (customers.length === 0 || quantities.size === 0) return;
+
+  // Uncapped campaigns have no counters, so their updates match nothing
+  await SalePurchase.bulkWrite(
+    [...quantities.entries()].map(([campaign, quantity]) => ({
+      updateMany: {
+        filter: { campaign, customer: { $in: customers }, quantity: { $gte: quantity } },
+        update: { $inc: { quantity: -quantity } },
+      },
+    })),
+    { session }
+  );
+  logger.debug('Sale purchases released', { orderId: order._id, campaigns: quantities.size });
+};
+
+/**
+ * Campaigns for the storefront: live ones with their books and time left, and
+ * the ones starting soon
+ * @param {Object} [options] - Options
+ * @param {number} [options.bookLimit=8] - Books per live campaign
+ * @param {number} [options.upcomingDays=7] - How far ahead to list upcoming campaigns
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} { serverTime, live, upcoming }
+ */
+export const getStorefrontCampaigns = async ({
+  bookLimit = 8,
+  upcomingDays = 7,
+  now = new Date(),
+} = {}) => {
+  const horizon = new Date(now.getTime() + upcomingDays * 24 * 60 * 60 * 1000);
+  const campaigns = await SaleCampaign.find({
+    isActive: true,
+    startsAt: { $lt: horizon },
+    endsAt: { $gt: now },
+  })
+    .sort({ endsAt: 1 })
+    .lean();
+
+  const summary = (campaign) => ({
+    _id: campaign._id,
+    name: campaign.name,
+    description: campaign.description,
+    discountType: campaign.discountType,
+    value: campaign.value,
+    perCustomerLimit: campaign.perCustomerLimit,
+    startsAt: campaign.startsAt,
+    endsAt: campaign.endsAt,
+  });
+
+  const live = await Promise.all(
+    campaigns
+      .filter((campaign) => campaign.startsAt <= now)
+      .map(async (campaign) => {
+        const books = await Book.find({ 'sales.campaign': campaign._id })
+          .select(DEAL_BOOK_FIELDS)
+          .sort({ rating: -1, _id: -1 })
+          .limit(bookLimit)
+          .lean();
+
+        return {
+          ...summary(campaign),
+          secondsLeft: Math.floor((campaign.endsAt - now) / 1000),
+          // A campaign price above a book's own discount doesn't apply
+          books: books
+            .map(({ sales, ...book }) => ({ ...book, ...bookPricing({ ...book, sales }, now) }))
+            .filter((book) => book.activeSale),
+        };
+      })
+  );
+
+  const upcoming = campaigns
+    .filter((campaign) => campaign.startsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .map((campaign) => ({
+      ...summary(campaign),
+      secondsToStart: Math.floor((campaign.startsAt - now) / 1000),
+    }));
+
+  return { serverTime: now, live, upcoming };
+};
+
+/**
+ * List campaigns for the admin panel, newest first
+ * @param {Object} options - Listing options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Campaigns per page
+ * @param {string} [options.status] - Only 'scheduled', 'live', 'ended' or 'paused' campaigns
+ * @returns {Promise<Object>} { campaigns, pagination }
+ */
+export const listCampaigns = async ({ page = 1, limit = 20, status } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const now = new Date();
+
+  const statusFilters = {
+    ended: { endsAt: { $lte: now } },
+    paused: { isActive: false, endsAt: { $gt: now } },
+    scheduled: { isActive: true, startsAt: { $gt: now } },
+    live: { isActive: true, startsAt: { $lte: now }, endsAt: { $gt: now } },
+  };
+  const query = statusFilters[status] || {};
+
+  const [campaigns, total] = await Promise.all([
+    SaleCampaign.find(query)
+      .sort({ startsAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    SaleCampaign.countDocuments(query),
+  ]);
+
+  return {
+    campaigns: campaigns.map((campaign) => ({
+      ...campaign,
+      status: campaignStatus(campaign, now),
+    })),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Get a single campaign
+ * @param {string} id - MongoDB ID of the campaign
+ * @returns {Promise<Object>} Campaign document
+ * @throws {NotFoundError} If the campaign doesn't exist
+ */
+export const getCampaignById = async (id) => {
+  const campaign = await SaleCampaign.findById(id);
+  if (!campaign) {
+    throw new NotFoundError('Sale campaign not found');
+  }
+  return campaign;
+};
+
+/**
+ * Create a campaign and put its prices on the targeted books
+ * @param {Object} data - Campaign fields
+ * @param {string} adminId - Creating admin
+ * @returns {Promise<Object>} { campaign, books } - books is how many it covers
+ */
+export const createCampaign = async (data, adminId) => {
+  const campaign = await SaleCampaign.create({ ...data, createdBy: adminId });
+  const books = await syncCampaignBooks(campaign);
+
+  logger.info('Sale campaign created', { campaignId: campaign._id, books, adminId });
+  return { campaign, books };
+};
+
+/**
+ * Update a campaign and re-price its books
+ * @param {string} id - MongoDB ID of the campaign
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} { campaign, books }
+ * @throws {NotFoundError} If the campaign doesn't exist
+ * @throws {BadRequestError} If it has already ended
+ */
+export const updateCampaign = async (id, data) => {
+  const campaign = await getCampaignById(id);
+  if (campaignStatus(campaign) === 'ended') {
+    throw new BadRequestError('This campaign has ended and can no longer be changed');
+  }
+
+  const changes = { ...data };
+  delete changes.createdBy;
+  campaign.set(changes);
+  await campaign.save();
+
+  const books = await syncCampaignBooks(campaign);
+
+  logger.info('Sale campaign updated', { campaignId: id, fields: Object.keys(changes), books });
+  return { campaign, books };
+};
+
+/**
+ * Delete a campaign and take its prices off every book. Orders keep the
+ * prices they were placed at.
+ * @param {string} id - MongoDB ID of the campaign
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the campaign doesn't exist
+ */
+export const deleteCampaign = async (id) => {
+  const campaign = await getCampaignById(id);
+  await campaign.deleteOne();
+  await removeCampaignPrices(campaign._id);
+
+  logger.info('Sale campaign deleted', { campaignId: id, name: campaign.name });
+};
@@ -0,0 +1,498 @@
+import { normaliseText, phoneticKey, romaniseOdia, tokenize } from '../utils/odiaText.js';
+
+/**
+ * Natural-language search query parser
+ *
+ * Rule- and dictionary-based, no ML: turns "class 10 odia grammar under 200" or
+ * "ଫକୀର ମୋହନ novels" into structured filters (language, academicGrade, price
+ * range, author, category) plus whatever free text is left for fuzzy search.
+ *
+ * Grades and prices are found with patterns; languages, categories and authors
+ * by looking up word spans (longest first) in a vocabulary built from the
+ * catalogue (see buildSearchVocabulary).
+ */
+
+export const FILTER_TYPES = ['language', 'academicGrade', 'price', 'author', 'category'];
+
+const LANGUAGE_TERMS = {
+  Odia: ['odia', 'oriya', 'odiya', 'ଓଡ଼ିଆ', 'ଓଡିଆ'],
+  English: ['english', 'ଇଂରାଜୀ', 'ଇଂରେଜୀ'],
+  Hindi: ['hindi', 'ହିନ୍ଦୀ'],
+};
+
+// Common ways of asking for a category. Only categories the catalogue has are used.
+const CATEGORY_TERMS = [
+  { categories: ['Novel'], terms: ['novel', 'ଉପନ୍ୟାସ'] },
+  {
+    categories: ['Short Story', 'Story Collection'],
+    terms: ['story', 'short story', 'ଗଳ୍ପ', 'କାହାଣୀ'],
+  },
+  { categories: ['Poetry'], terms: ['poem', 'poetry', 'କବିତା', 'କାବ୍ୟ'] },
+  { categories: ['Biography'], terms: ['biography', 'ଜୀବନୀ'] },
+  { categories: ['Autobiography'], terms: ['autobiography', 'memoir', 'ଆତ୍ମଜୀବନୀ'] },
+  { categories: ['Travel'], terms: ['travel', 'travelogue', 'ଭ୍ରମଣ', 'ଭ୍ରମଣ କାହାଣୀ'] },
+  { categories: ['Children'], terms: ['children', 'child', 'kid', 'ଶିଶୁ', 'ପିଲା'] },
+  { categories: ['Health'], terms: ['health', 'ସ୍ୱାସ୍ଥ୍ୟ'] },
+  { categories: ['Science'], terms: ['science', 'ବିଜ୍ଞାନ'] },
+  { categories: ['Grammar'], terms: ['grammar', 'ବ୍ୟାକରଣ'] },
+  { categories: ['Dictionary'], terms: ['dictionary', 'ଅଭିଧାନ'] },
+  { categories: ['Mathematics'], terms: ['math', 'maths', 'mathematics', 'ଗଣିତ'] },
+  { categories: ['Educational'], terms: ['educational', 'textbook', 'text book', 'ପାଠ୍ୟପୁସ୍ତକ'] },
+  { categories: ['Literary Criticism'], terms: ['criticism', 'literary criticism', 'ସମାଲୋଚନା'] },
+  { categories: ['Self-Help'], terms: ['self help', 'motivational'] },
+];
+
+// Titles that are part of how an author is credited, not of their name
+const HONORIFICS = [
+  'dr',
+  'prof',
+  'shri',
+  'sri',
+  'smt',
+  'mr',
+  'mrs',
+  'ms',
+  'ଡକ୍ଟର',
+  'ଡାକ୍ତର',
+  'ଡଃ',
+  'ଅଧ୍ୟାପକ',
+  'ଅଧ୍ୟାପିକା',
+  'ଶ୍ରୀ',
+  'ଶ୍ରୀମତୀ',
+  'ଲୋକରତ୍ନ',
+  'ପଦ୍ମଶ୍ରୀ',
+  'ବାରିଷ୍ଟର',
+];
+
+// Filler words dropped from the free text left after parsing
+const STOPWORDS = [
+  'a',
+  'an',
+  'the',
+  'of',
+  'for',
+  'in',
+  'on',
+  'by',
+  'with',
+  'and',
+  'or',
+  'to',
+  's',
+  'book',
+  'books',
+  'show',
+  'me',
+  'find',
+  'i',
+  'want',
+  'need',
+  'some',
+  'any',
+  'please',
+  'written',
+  'about',
+  'class',
+  'grade',
+  'price',
+  'rs',
+  'inr',
+  'rupee',
+  'rupees',
+  'ବହି',
+  'ପୁସ୍ତକ',
+  'ପାଇଁ',
+  'ଓ',
+  'ର',
+  'ଟଙ୍କା',
+  'ଶ୍ରେଣୀ',
+];
+
+// Longest phrase (in words) looked up in the vocabulary
+const MAX_SPAN = 3;
+// Single words shorter than this are too ambiguous to be read as an author
+const MIN_AUTHOR_WORD_LENGTH = 4;
+
+const ENGLISH_ORDINALS = [
+  'first',
+  'second',
+  'third',
+  'fourth',
+  'fifth',
+  'sixth',
+  'seventh',
+  'eighth',
+  'ninth',
+  'tenth',
+  'eleventh',
+  'twelfth',
+];
+const ROMAN_NUMERALS = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x', 'xi', 'xii'];
+// Both spellings of ଦ୍ୱ (with ୱ and with ବ) are in common use
+const ODIA_ORDINALS = {
+  ପ୍ରଥମ: 1,
+  ଦ୍ୱିତୀୟ: 2,
+  ଦ୍ବିତୀୟ: 2,
+  ତୃତୀୟ: 3,
+  ଚତୁର୍ଥ: 4,
+  ପଞ୍ଚମ: 5,
+  ଷଷ୍ଠ: 6,
+  ସପ୍ତମ: 7,
+  ଅଷ୍ଟମ: 8,
+  ନବମ: 9,
+  ଦଶମ: 10,
+  ଏକାଦଶ: 11,
+  ଦ୍ୱାଦଶ: 12,
+  ଦ୍ବାଦଶ: 12,
+};
+const MAX_GRADE = 12;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const alternation = (words) =>
+  words
+    .map(normaliseText)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+const CLASS_WORD = '(?:class|grade|std|standard)';
+const ODIA_CLASS_WORD = `(?:${alternation(['ଶ୍ରେଣୀ', 'ଶ୍ରେଣି'])})`;
+const ROMAN = `(?:${alternation(ROMAN_NUMERALS)})`;
+
+// Each pattern captures the grade as digits, a roman numeral or an ordinal word
+const GRADE_PATTERNS = [
+  new RegExp(`\\b${CLASS_WORD}\\s*[.:-]?\\s*(\\d{1,2}|${ROMAN})(?:st|nd|rd|th)?\\b`),
+  new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s*${CLASS_WORD}\\b`),
+  new RegExp(`\\b(${ENGLISH_ORDINALS.join('|')})\\s+${CLASS_WORD}\\b`),
+  new RegExp(`(${alternation(Object.keys(ODIA_ORDINALS))}|\\d{1,2})\\s*ମ?\\s*${ODIA_CLASS_WORD}`),
+  new RegExp(`${ODIA_CLASS_WORD}\\s*(\\d{1,2})`),
+];
+
+const CURRENCY = `(?:\\brs\\.?|\\binr|₹|\\brupees?|${alternation(['ଟଙ୍କା'])})`;
+const AMOUNT = `${CURRENCY}?\\s*(\\d+)(?:\\s*${CURRENCY})?`;
+const ODIA_AMOUNT = `(\\d+)\\s*(?:${alternation(['ଟଙ୍କାରୁ', 'ଟଙ୍କା'])})?\\s*(?:ରୁ)?`;
+
+// [pattern, kind]; 'range' captures two amounts
+const PRICE_PATTERNS = [
+  [new RegExp(`\\b(?:between|from)\\s*${AMOUNT}\\s*(?:and|to|-)\\s*${AMOUNT}`), 'range'],
+  [new RegExp(`${CURRENCY}\\s*(\\d+)\\s*(?:-|to)\\s*${AMOUNT}`), 'range'],
+  [new RegExp(`(\\d+)\\s*(?:-|to)\\s*(\\d+)\\s*${CURRENCY}`), 'range'],
+  [
+    new RegExp(
+      `(?:\\b(?:under|below|less than|cheaper than|within|upto|up to|max|maximum|at most|not more than)|<=?|≤)\\s*${AMOUNT}`
+    ),
+    'max',
+  ],
+  [
+    new RegExp(
+      `(?:\\b(?:over|above|more than|greater than|min|minimum|at least|starting at|starting from)|>=?|≥)\\s*${AMOUNT}`
+    ),
+    'min',
+  ],
+  [
+    new RegExp(`${ODIA_AMOUNT}\\s*(?:${alternation(['ତଳେ', 'କମ୍', 'କମ', 'ଭିତରେ', 'ମଧ୍ୟରେ'])})`),
+    'max',
+  ],
+  [new RegExp(`${ODIA_AMOUNT}\\s*(?:${alternation(['ଅଧିକ', 'ଉପରେ', 'ବେଶୀ'])})`), 'min'],
+];
+
+const HONORIFIC_SET = new Set(HONORIFICS.map(normaliseText));
+const STOPWORD_SET = new Set(STOPWORDS.map(normaliseText));
+
+/**
+ * Singular form of an English word ("novels" -> "novel", "stories" -> "story")
+ * Other scripts are returned unchanged.
+ * @param {string} word - Lower-case word
+ * @returns {string} Singular form
+ */
+const singular = (word) => {
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const phraseKey = (words) => words.map(singular).join(' ');
+
+// Odia possessive ending (-ଙ୍କ / -ଙ୍କର, "of"), as in ଫକୀରମୋହନଙ୍କ
+const stripPossessive = (word) => word.replace(/ଙ୍କର?$/u, '');
+
+// Script-neutral key of a run of name words ("ଫକୀରମୋହନ" and "fakirmohan" -> "fkirmhn")
+const soundKey = (text) => phoneticKey(romaniseOdia(text));
+
+const addToIndex = (index, key, value) => {
+  if (!key) return;
+  if (!index.has(key)) index.set(key, new Set());
+  index.get(key).add(value);
+};
+
+/**
+ * The people credited in an author field, as word lists without honorifics
+ * "ଡଃ. ବିଜୟାନନ୍ଦ ସିଂହ ଓ ଡଃ. ନିରଞ୍ଜନ ସାହୁ (ସମ୍ପାଦନା)" -> [[ବିଜୟାନନ୍ଦ, ସିଂହ], [ନିରଞ୍ଜନ, ସାହୁ]]
+ * @param {string} author - Author field as stored
+ * @returns {Array<Array<string>>} Word lists
+ */
+export const authorNameParts = (author) =>
+  normaliseText(author)
+    .replace(/\([^)]*\)/g, ' ')
+    // Post-nominals such as ", I.A.S."
+    .split(',')[0]
+    .split(/\s+(?:ଓ|and)\s+|&/u)
+    .map((name) => tokenize(name).filter((word) => !HONORIFIC_SET.has(word)))
+    .filter((words) => words.length > 0);
+
+/**
+ * Build the lookup tables the parser matches against
+ *
+ * Authors are indexed by every run of consecutive words in their name with the
+ * spaces removed, so "ଫକୀର ମୋହନ" finds "ଫକୀରମୋହନ ସେନାପତି" and vice versa, and
+ * by the phonetic key of that run, so "fakir mohan" finds it too.
+ *
+ * @param {Object} catalogue - Distinct values from the catalogue
+ * @param {Array<string>} catalogue.authors - Author names
+ * @param {Array<string>} catalogue.categories - Category names
+ * @param {Array<string>} catalogue.grades - academicGrade values
+ * @returns {Object} Vocabulary for parseSearchQuery
+ */
+export const buildSearchVocabulary = ({ authors = [], categories = [], grades = [] } = {}) => {
+  const languages = new Map();
+  Object.entries(LANGUAGE_TERMS).forEach(([language, terms]) =>
+    terms.forEach((term) =>
+      addToIndex(languages, phraseKey(tokenize(normaliseText(term))), language)
+    )
+  );
+
+  const categoryIndex = new Map();
+  const byLowerName = new Map(categories.filter(Boolean).map((name) => [name.toLowerCase(), name]));
+  byLowerName.forEach((name, lower) => addToIndex(categoryIndex, phraseKey(tokenize(lower)), name));
+  CATEGORY_TERMS.forEach(({ categories: wanted, terms }) => {
+    const present = wanted
+      .flatMap((name) => [name, `${name} Collection`])
+      .map((name) => byLowerName.get(name.toLowerCase()))
+      .filter(Boolean);
+    if (!present.length) return;
+    terms.forEach((term) => {
+      const key = phraseKey(tokenize(normaliseText(term)));
+      present.forEach((name) => addToIndex(categoryIndex, key, name));
+    });
+  });
+
+  const authorIndex = new Map();
+  const authorSounds = new Map();
+  authors.filter(Boolean).forEach((author) => {
+    authorNameParts(author).forEach((words) => {
+      for (let start = 0; start < words.length; start += 1) {
+        for (let end = start + 1; end <= words.length; end += 1) {
+          const key = words.slice(start, end).join('');
+          const sound = soundKey(key);
+          if (end - start > 1 || key.length >= MIN_AUTHOR_WORD_LENGTH) {
+            addToIndex(authorIndex, key, author);
+          }
+          if (end - start > 1 || sound.length >= MIN_AUTHOR_WORD_LENGTH) {
+            addToIndex(authorSounds, sound, author);
+          }
+        }
+      }
+    });
+  });
+
+  return {
+    languages,
+    categories: categoryIndex,
+    authors: authorIndex,
+    authorSounds,
+    grades: grades.filter(Boolean),
+  };
+};
+
+/**
+ * Read a grade level from what a grade pattern captured
+ * @param {string} captured - Digits, roman numeral or ordinal word
+ * @returns {number|null} Level 1-12, or null
+ */
+const gradeLevel = (captured) => {
+  let level = null;
+  if (/^\d+$/.test(captured)) level = Number(captured);
+  else if (ROMAN_NUMERALS.includes(captured)) level = ROMAN_NUMERALS.indexOf(captured) + 1;
+  else if (ENGLISH_ORDINALS.includes(captured)) level = ENGLISH_ORDINALS.indexOf(captured) + 1;
+  else {
+    const odia = Object.entries(ODIA_ORDINALS).find(([word]) => normaliseText(word) === captured);
+    level = odia ? odia[1] : null;
+  }
+  return level >= 1 && level <= MAX_GRADE ? level : null;
+};
+
+/**
+ * Catalogue grade values that mean the given level ("Class 10", "10", "X")
+ * @param {Array<string>} grades - academicGrade values in the catalogue
+ * @param {number} level - Grade level
+ * @returns {Array<string>} Matching values
+ */
+export const gradesForLevel = (grades, level) =>
+  grades.filter((grade) =>
+    tokenize(normaliseText(grade)).some(
+      (word) =>
+        word.replace(/(st|nd|rd|th)$/, '') === String(level) ||
+        ROMAN_NUMERALS.indexOf(word) + 1 === level ||
+        gradeLevel(word) === level
+    )
+  );
+
+const formatPrice = (amount) => `₹${amount}`;
+
+const priceLabel = ({ min, max }) => {
+  if (min != null && max != null) return `${formatPrice(min)} - ${formatPrice(max)}`;
+  if (max != null) return `Under ${formatPrice(max)}`;
+  return `Over ${formatPrice(min)}`;
+};
+
+/**
+ * Find the first match of any pattern and cut it out of the text
+ * @param {string} text - Normalised text
+ * @param {Array<RegExp>} patterns - Patterns to try in order
+ * @param {Function} accept - (match, pattern index) => parsed value, or null to skip the match
+ * @returns {{value: *, match: string, text: string}|null} Parsed value and remaining text
+ */
+const extract = (text, patterns, accept) => {
+  for (let i = 0; i < patterns.length; i += 1) {
+    const match = text.match(patterns[i]);
+    const value = match && accept(match, i);
+    if (value != null) {
+      return {
+        value,
+        match: match[0].trim(),
+        text: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse a free-text search query into filters
+ *
+ * @param {string} query - What the customer typed
+ * @param {Object} vocabulary - From buildSearchVocabulary
+ * @returns {Object} Interpretation:
+ *   - filters: { language: [], category: [], author: [], academicGrade: [] | null,
+ *     minPrice, maxPrice } (empty arrays / null when not mentioned)
+ *   - gradeLevel: 1-12 or null
+ *   - text: words left over for fuzzy search
+ *   - chips: [{ type, label, match }] one per recognised filter, for display
+ */
+export const parseSearchQuery = (query, vocabulary) => {
+  let text = normaliseText(query);
+  const chips = [];
+  const filters = {
+    language: [],
+    category: [],
+    author: [],
+    academicGrade: null,
+    minPrice: null,
+    maxPrice: null,
+  };
+
+  // Grade first so "10th class" isn't read as a price
+  const grade = extract(text, GRADE_PATTERNS, (match) => gradeLevel(match[1]));
+  if (grade) {
+    text = grade.text;
+    filters.academicGrade = gradesForLevel(vocabulary.grades, grade.value);
+    chips.push({ type: 'academicGrade', label: `Class ${grade.value}`, match: grade.match });
+  }
+
+  const kinds = PRICE_PATTERNS.map(([, kind]) => kind);
+  const price = extract(
+    text,
+    PRICE_PATTERNS.map(([pattern]) => pattern),
+    (match, i) => {
+      const amounts = match.slice(1).filter(Boolean).map(Number);
+      if (kinds[i] === 'range') {
+        return { min: Math.min(...amounts), max: Math.max(...amounts) };
+      }
+      return kinds[i] === 'max' ? { min: null, max: amounts[0] } : { min: amounts[0], max: null };
+    }
+  );
+  if (price) {
+    text = price.text;
+    filters.minPrice = price.value.min;
+    filters.maxPrice = price.value.max;
+    chips.push({ type: 'price', label: priceLabel(price.value), match: price.match });
+  }
+
+  // Dictionary lookups over word spans, longest first
+  const words = tokenize(text);
+  const used = new Array(words.length).fill(false);
+  const matched = { language: [], category: [], author: [] };
+
+  const lookup = (span) => {
+    const key = phraseKey(span);
+    if (vocabulary.languages.has(key)) return ['language', vocabulary.languages.get(key)];
+    if (vocabulary.categories.has(key)) return ['category', vocabulary.categories.get(key)];
+
+    const compact = [...span.slice(0, -1), stripPossessive(span[span.length - 1])].join('');
+    if (span.length === 1 && compact.length < MIN_AUTHOR_WORD_LENGTH) return null;
+    if (vocabulary.authors.has(compact)) return ['author', vocabulary.authors.get(compact)];
+
+    // Odia names typed in Roman script
+    if (span.every((word) => /^[a-z]+$/.test(word))) {
+      const sound = soundKey(span.join(''));
+      if (span.length > 1 || sound.length >= MIN_AUTHOR_WORD_LENGTH) {
+        const found = vocabulary.authorSounds.get(sound);
+        if (found) return ['author', found];
+      }
+    }
+    return null;
+  };
+
+  for (let size = Math.min(MAX_SPAN, words.length); size >= 1; size -= 1) {
+    for (let start = 0; start + size <= words.length; start += 1) {
+      const span = words.slice(start, start + size);
+      const free = used.slice(start, start + size).every((taken) => !taken);
+      const found = free && !span.every((word) => STOPWORD_SET.has(word)) && lookup(span);
+
+      if (found) {
+        const [type, values] = found;
+        values.forEach((value) => {
+          if (!filters[type].includes(value)) filters[type].push(value);
+        });
+        matched[type].push(span.join(' '));
+        used.fill(true, start, start + size);
+      }
+    }
+  }
+
+  if (filters.language.length) {
+    chips.push({
+      type: 'language',
+      label: filters.language.join(' / '),
+      match: matched.language.join(' '),
+    });
+  }
+  if (filters.author.length) {
+    const match = matched.author.join(' ');
+    chips.push({
+      type: 'author',
+      label:
+        filters.author.length === 1
+          ? filters.author[0]
+          : `${match} (${filters.author.length} authors)`,
+      match,
+    });
+  }
+  if (filters.category.length) {
+    chips.push({
+      type: 'category',
+      label: filters.category.join(' / '),
+      match: matched.category.join(' '),
+    });
+  }
+
+  return {
+    filters,
+    gradeLevel: grade ? grade.value : null,
+    text: words
+      .filter((word, i) => !used[i] && !STOPWORD_SET.has(word) && !HONORIFIC_SET.has(word))
+      .join(' '),
+    chips: FILTER_TYPES.flatMap((type) => chips.filter((chip) => chip.type === type)),
+  };
+};
@@ -1,18 +1,92 @@
+import cluster from 'cluster';
+import fs from 'fs/promises';
+import path from 'path';
 import Fuse from 'fuse.js';
-import Book from '../models/Book.js';
+import Book, { bookEvents } from '../models/Book.js';
+import { config } from '../config/env.js';
 import logger from '../utils/logger.js';
 import { getCache } from '../utils/cacheManager.js';
+import { finalPriceCondition } from './bookService.js';
+import { hasOdiaScript, phoneticKey, romaniseOdia, toOdiaScript } from '../utils/odiaText.js';
+
+// Fuzzy matches considered before filters narrow them down
+const FILTERED_SEARCH_CANDIDATES = 500;
+// Shorter phonetic keys match too much of the catalogue to be useful
+const MIN_PHONETIC_QUERY_LENGTH = 4;
+// Only the fields the index needs, to keep memory usage low
+const INDEXED_FIELDS = 'title author description tags category language price';
+// Bump when the indexed document shape changes so old snapshots are ignored
+const SNAPSHOT_VERSION = 1;
+// Incremental changes are written to the snapshot in batches
+const SNAPSHOT_DELAY_MS = 30000;
+// IPC message relayed to every worker by the cluster primary (see cluster.js)
+const CLUSTER_MESSAGE_TYPE = 'search-index';
+
+// Parsed search vocabulary (see aiService); stale once a book changes
+export const SEARCH_VOCABULARY_CACHE_KEY = 'search:vocabulary';
+
+/**
+ * Script-neutral key for cross-script matching: Odia is romanised first, so
+ * "ଫକୀର ମୋହନ" and "fakir mohan" get the same key
+ * @param {string} text - Text in either script
+ * @returns {string} Phonetic key
+ */
+const romanKey = (text) => phoneticKey(romaniseOdia(text));
+
+/**
+ * Shape a book for the index: title as an object for the Fuse keys, plus
+ * romanised title and author. Ids are strings so documents look the same
+ * whether built here, received from another worker or read from a snapshot.
+ * @param {Object} book - Lean book with INDEXED_FIELDS
+ * @returns {Object} Index document
+ */
+const toIndexDoc = ({ _id, title, author, description, tags, category, language, price }) => {
+    const titleObject = typeof title === 'string'
+        ? { display: title, english: title, odia: null }
+        : title;
+
+    return {
+        _id: String(_id),
+        title: titleObject,
+        author,
+        description,
+        tags,
+        category,
+        language,
+        price,
+        roman: {
+            title: romanKey(titleObject?.odia || titleObject?.display),
+            author: romanKey(author),
+        },
+    };
+};
+
+/**
+ * Pass an index change to the other cluster workers via the primary
+ * @param {Object} change - { action: 'upsert', doc } | { action: 'remove', id } | { action: 'rebuild' }
+ */
+const broadcast = (change) => {
+    if (cluster.isWorker) process.send({ type: CLUSTER_MESSAGE_TYPE, change });
+};
 
 /**
  * Advanced Search Service
  * Uses Fuse.js for fuzzy searching, typo tolerance, and relevance scoring.
- * Ideal for catalogs < 10,000 items.
+ * Every lookup scans the in-memory index, but results are capped, so callers
+ * (listings, filtered search) only ever work with a bounded candidate set.
  */
 class SearchService {
     constructor() {
         this.fuse = null;
+        this.romanFuse = null;
+        this.documents = new Map(); // id -> index document, in Fuse order
         this.isInitialized = false;
+        this.isListening = false;
         this.lastUpdated = null;
+        this.warming = null;
+        this.rebuilding = null;
+        this.pendingChanges = null;
+        this.snapshotTimer = null;
 
         // Configuration for "Amazon-like" search experience
         this.options = {
@@ -35,6 +109,148 @@ class SearchService {
                 { name: 'description', weight: 0.1 },
             ],
         };
+
+        // Romanised Odia titles and authors, so customers can type Odia in Roman script
+        this.romanOptions = {
+            ...this.options,
+            includeMatches: false,
+            keys: [
+                { name: 'roman.title', weight: 0.5 },
+                { name: 'roman.author', weight: 0.3 },
+            ],
+        };
+    }
+
+    /**
+     * Start keeping the index current
+     * Listens for Book writes and for changes relayed from other cluster
+     * workers, then warms the index without blocking startup.
+     */
+    initialize() {
+        if (this.isListening) return;
+        this.isListening = true;
+
+        bookEvents.on('change', (id) => {
+            this.syncBook(id).catch((error) => {
+                logger.error('Failed to update search index', { bookId: String(id), error: error.message });
+            });
+        });
+
+        if (cluster.isWorker) {
+            process.on('message', (message) => {
+                if (message?.type !== CLUSTER_MESSAGE_TYPE) return;
+
+                if (message.change.action === 'rebuild') {
+                    this.rebuild().catch((error) => {
+                        logger.error('Failed to rebuild search index', { error: error.message });
+                    });
+                } else {
+                    this.applyChange(message.change);
+                }
+            });
+        }
+
+        this.ensureIndex();
+    }
+
+    /**
+     * Replace the whole index
+     * @param {Array} docs - Index documents
+     * @param {Object} [indexes] - Prebuilt Fuse indexes ({ fuse, romanFuse }) from a snapshot
+     */
+    setDocuments(docs, indexes = {}) {
+        // Fuse keeps (and appends to) the array it is given, so each needs its own
+        this.fuse = new Fuse([...docs], this.options, indexes.fuse);
+        this.romanFuse = new Fuse([...docs], this.romanOptions, indexes.romanFuse);
+        this.documents = new Map(docs.map(doc => [doc._id, doc]));
+
+        this.lastUpdated = Date.now();
+        this.isInitialized = true;
+        getCache().delete(SEARCH_VOCABULARY_CACHE_KEY);
+    }
+
+    /**
+     * Apply one change to the index in this process
+     * @param {Object} change - { action: 'upsert', doc } or { action: 'remove', id }
+     */
+    applyChange(change) {
+        // A rebuild in progress replays this on top of what it read
+        if (this.pendingChanges) this.pendingChanges.push(change);
+        if (!this.isInitialized) return;
+
+        const id = change.action === 'upsert' ? change.doc._id : change.id;
+        if (this.documents.has(id)) {
+            this.fuse.remove(doc => doc._id === id);
+            this.romanFuse.remove(doc => doc._id === id);
+            this.documents.delete(id);
+        }
+
+        if (change.action === 'upsert') {
+            this.fuse.add(change.doc);
+            this.romanFuse.add(change.doc);
+            this.documents.set(id, change.doc);
+        }
+
+        this.lastUpdated = Date.now();
+        getCache().delete(SEARCH_VOCABULARY_CACHE_KEY);
+    }
+
+    /**
+     * Re-read one book and update the index here and in the other workers
+     * @param {string} id - Book ID
+     */
+    async syncBook(id) {
+        // Soft-deleted books are hidden by default, so they come back as null
+        const book = await Book.findById(id).select(INDEXED_FIELDS).lean();
+        const change = book
+            ? { action: 'upsert', doc: toIndexDoc(book) }
+            : { action: 'remove', id: String(id) };
+
+        this.applyChange(change);
+        broadcast(change);
+        this.scheduleSnapshot();
+    }
+
+    /**
+     * Rebuild the index from MongoDB
+     * Concurrent callers share one rebuild; changes that arrive while the
+     * books are being read are replayed on top.
+     * @returns {Promise<{itemCount: number, durationMs: number}>}
+     */
+    rebuild() {
+        if (!this.rebuilding) {
+            this.rebuilding = this.buildFromDatabase().finally(() => {
+                this.rebuilding = null;
+            });
+        }
+        return this.rebuilding;
+    }
+
+    /**
+     * Read every live book and swap in a fresh index (use rebuild())
+     * @returns {Promise<{itemCount: number, durationMs: number}>}
+     */
+    async buildFromDatabase() {
+        const startTime = Date.now();
+        logger.debug('Refreshing search index...');
+
+        this.pendingChanges = [];
+        try {
+            const books = await Book.find({ isDeleted: { $ne: true } })
+                .select(INDEXED_FIELDS)
+                .lean();
+
+            const pending = this.pendingChanges;
+            this.pendingChanges = null;
+            this.setDocuments(books.map(toIndexDoc));
+            pending.forEach(change => this.applyChange(change));
+        } finally {
+            this.pendingChanges = null;
+        }
+
+        const result = { itemCount: this.documents.size, durationMs: Date.now() - startTime };
+        logger.info('Search index refreshed', result);
+        return result;
     }
 
     /**
@@ -42,45 +258,179 @@ class SearchService {
      */
     async refreshIndex() {
         try {
-            const startTime = Date.now();
-            logger.debug('Refreshing search index...');
+            await this.rebuild();
+            await this.saveSnapshot();
+        } catch (error) {
+            logger.error('Failed to refresh search index', error);
+        }
+    }
 
-            // Fetch only necessary fields to keep memory usage low
-            const rawBooks = await Book.find({ isDeleted: { $ne: true } })
-                .select('title author description tags category language price')
-                .lean();
+    /**
+     * Rebuild now in every worker and save a fresh snapshot (admin "reindex")
+     * @returns {Promise<{itemCount: number, durationMs: number}>}
+     */
+    async reindex() {
+        const result = await this.rebuild();
+        broadcast({ action: 'rebuild' });
+        await this.saveSnapshot();
+        return result;
+    }
 
-            // Normalize books: Ensure title is an object for Fuse.js keys
-            const books = rawBooks.map(book => ({
-                ...book,
-                title: typeof book.title === 'string'
-                    ? { display: book.title, english: book.title, odia: null }
-                    : book.title
-            }));
+    /**
+     * Write the index to disk so the next cold start can skip the rebuild
+     * Written to a temporary file first, so readers never see half a snapshot.
+     * @param {string} [file] - Snapshot path
+     */
+    async saveSnapshot(file = config.SEARCH_INDEX_SNAPSHOT_PATH) {
+        if (!this.isInitialized) return;
 
-            this.fuse = new Fuse(books, this.options);
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            savedAt: new Date().toISOString(),
+            docs: [...this.documents.values()],
+            index: this.fuse.getIndex().toJSON(),
+            romanIndex: this.romanFuse.getIndex().toJSON(),
+        };
 
-            this.lastUpdated = Date.now();
-            this.isInitialized = true;
+        try {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(snapshot));
+            await fs.rename(tempFile, file);
+            logger.debug('Search index snapshot saved', { file, itemCount: snapshot.docs.length });
+        } catch (error) {
+            logger.warn('Failed to save search index snapshot', { file, error: error.message });
+        }
+    }
+
+    /**
+     * Save a snapshot shortly after a burst of incremental changes
+     */
+    scheduleSnapshot() {
+        if (this.snapshotTimer) return;
+        this.snapshotTimer = setTimeout(() => {
+            this.snapshotTimer = null;
+            this.saveSnapshot();
+        }, SNAPSHOT_DELAY_MS);
+        this.snapshotTimer.unref();
+    }
 
-            const duration = Date.now() - startTime;
-            logger.info('Search index refreshed', {
-                itemCount: books.length,
-                durationMs: duration
+    /**
+     * Load the index from a snapshot
+     * @param {string} [file] - Snapshot path
+     * @returns {Promise<Date|null>} When the snapshot was saved, or null if there is none
+     */
+    async loadSnapshot(file = config.SEARCH_INDEX_SNAPSHOT_PATH) {
+        try {
+            const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+            if (snapshot.version !== SNAPSHOT_VERSION) return null;
+
+            this.setDocuments(snapshot.docs, {
+                fuse: Fuse.parseIndex(snapshot.index),
+                romanFuse: Fuse.parseIndex(snapshot.romanIndex),
+            });
+
+            logger.info('Search index loaded from snapshot', {
+                itemCount: snapshot.docs.length,
+                savedAt: snapshot.savedAt,
             });
+            return new Date(snapshot.savedAt);
         } catch (error) {
-            logger.error('Failed to refresh search index', error);
+            if (error.code !== 'ENOENT') {
+                logger.warn('Ignoring unreadable search index snapshot', { file, error: error.message });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Apply book writes made since a snapshot was saved
+     * Hard deletes leave nothing to find, so a count mismatch falls back to a
+     * full rebuild.
+     * @param {Date} since - Snapshot time
+     */
+    async catchUp(since) {
+        const [changed, total] = await Promise.all([
+            Book.find({ updatedAt: { $gt: since } })
+                .setOptions({ includeDeleted: true })
+                .select(`${INDEXED_FIELDS} isDeleted`)
+                .lean(),
+            Book.countDocuments(),
+        ]);
+
+        changed.forEach(book => this.applyChange(book.isDeleted
+            ? { action: 'remove', id: String(book._id) }
+            : { action: 'upsert', doc: toIndexDoc(book) }));
+
+        if (this.documents.size !== total) {
+            await this.refreshIndex();
+        } else if (changed.length > 0) {
+            this.scheduleSnapshot();
+        }
+    }
+
+    /**
+     * Load from the snapshot and catch up in the background, or build from
+     * MongoDB when there is no snapshot
+     */
+    async warmUp() {
+        const savedAt = await this.loadSnapshot();
+        if (!savedAt) {
+            await this.refreshIndex();
+            return;
         }
+
+        this.catchUp(savedAt).catch((error) => {
+            logger.error('Failed to catch up search index snapshot', { error: error.message });
+        });
     }
 
     /**
      * Ensure index is ready (lazy load)
+     * Afterwards the index is kept current by Book change events, not rebuilt.
      */
     async ensureIndex() {
-        // If not initialized or stale (> 1 hour), refresh
-        if (!this.isInitialized || (Date.now() - this.lastUpdated > 3600000)) {
-            await this.refreshIndex();
+        if (this.isInitialized) return;
+
+        if (!this.warming) {
+            this.warming = this.warmUp().finally(() => {
+                this.warming = null;
+            });
         }
+        await this.warming;
+    }
+
+    /**
+     * Fuzzy-match a query in both scripts
+     * Runs the query as typed, its phonetic key against the romanised index
+     * and, for Roman-script queries, an Odia transliteration against the Odia
+     * fields. Each book keeps its best score.
+     * Capping each lookup at `limit` is enough: a book in the overall top
+     * `limit` is also in the top `limit` of the lookup that gave its best score.
+     * @param {string} query - Search query (Odia or Roman script)
+     * @param {number} limit - Max results
+     * @returns {Array} Fuse results ({ item, score }), best first
+     */
+    matchAcrossScripts(query, limit) {
+        const best = new Map();
+        const add = (results) => results.forEach(result => {
+            const id = result.item._id.toString();
+            if (!best.has(id) || result.score < best.get(id).score) best.set(id, result);
+        });
+
+        add(this.fuse.search(query, { limit }));
+
+        const key = romanKey(query);
+        if (key.replace(/\s/g, '').length >= MIN_PHONETIC_QUERY_LENGTH) {
+            add(this.romanFuse.search(key, { limit }));
+        }
+
+        if (!hasOdiaScript(query)) {
+            const odia = toOdiaScript(query);
+            add(this.fuse.search({ $or: [{ 'title.odia': odia }, { author: odia }] }, { limit }));
+        }
+
+        return [...best.values()].sort((a, b) => a.score - b.score).slice(0, limit);
     }
 
     /**
@@ -93,16 +443,61 @@ class SearchService {
         if (!query) return [];
         await this.ensureIndex();
 
-        const results = this.fuse.search(query);
+        const results = this.matchAcrossScripts(query, limit);
 
         // Return formatted results
-        return results.slice(0, limit).map(result => ({
+        return results.map(result => ({
             _id: result.item._id,
             score: result.score,
             item: result.item,
         }));
     }
 
+    /**
+     * Search with structured filters (natural-language search)
+     * Free text is ranked by Fuse; the filters are applied in MongoDB.
+     * @param {string} text - Free text ('' to browse by filters alone)
+     * @param {Object} filters - language, category, author (arrays of values),
+     *   academicGrade (array, or null for any), minPrice, maxPrice
+     * @param {Object} [options] - { page = 1, limit = 20 }
+     * @returns {Promise<{books: Array, total: number}>} Page of books and total matches
+     */
+    async searchWithFilters(text, filters = {}, { page = 1, limit = 20 } = {}) {
+        const query = {};
+
+        if (filters.language?.length) query.language = { $in: filters.language };
+        if (filters.category?.length) query.category = { $in: filters.category };
+        if (filters.author?.length) query.author = { $in: filters.author };
+        if (filters.academicGrade) query.academicGrade = { $in: filters.academicGrade };
+
+        if (filters.minPrice != null || filters.maxPrice != null) {
+            // What the book sells for, campaign prices included
+            Object.assign(query, finalPriceCondition({ min: filters.minPrice, max: filters.maxPrice }));
+        }
+
+        const skip = (page - 1) * limit;
+
+        if (!text) {
+            const [books, total] = await Promise.all([
+                Book.find(query)
+                    .sort({ rating: -1, reviewCount: -1, createdAt: -1 })
+                    .skip(skip)
+                    .limit(limit),
+                Book.countDocuments(query),
+            ]);
+            return { books, total };
+        }
+
+        const results = await this.search(text, FILTERED_SEARCH_CANDIDATES);
+        if (results.length === 0) return { books: [], total: 0 };
+
+        const scores = new Map(results.map(r => [r._id.toString(), r.score]));
+        const books = await Book.find({ ...query, _id: { $in: results.map(r => r._id) } });
+        books.sort((a, b) => scores.get(a._id.toString()) - scores.get(b._id.toString()));
+
+        return { books: books.slice(skip, skip + limit), total: books.length };
+    }
+
     /**
      * Get autocompletion suggestions
      * @param {string} text - Partial text
@@ -113,7 +508,7 @@ class SearchService {
         await this.ensureIndex();
 
         // Perform a search with slightly looser threshold for suggestions
-        const results = this.fuse.search(text, { limit: 10 });
+        const results = this.matchAcrossScripts(text, 10);
 
         const suggestions = new Set();
 
@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import Series from '../models/Series.js';
+import Work from '../models/Work.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import { hasOdiaScript } from '../utils/odiaText.js';
+import { slugify } from './authorService.js';
+import { getSeriesVolumes } from './workService.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * List series by name
+ * @param {Object} [options] - Options
+ * @param {string} [options.search] - Part of the name, in either script
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Series per page
+ * @returns {Promise<Object>} { series, pagination }
+ */
+export const listSeries = async ({ search, page = 1, limit = 20 } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const query = {};
+
+  if (search) {
+    const text = new RegExp(escapeRegExp(search.trim()), 'i');
+    query.$or = [{ 'name.display': text }, { 'name.english': text }, { 'name.odia': text }];
+  }
+
+  const [series, total] = await Promise.all([
+    Series.find(query)
+      .sort({ 'name.display': 1, _id: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    Series.countDocuments(query),
+  ]);
+
+  return {
+    series,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Get a series by ID or slug
+ * @param {string} idOrSlug - MongoDB ID or slug
+ * @returns {Promise<Object>} Series document
+ * @throws {NotFoundError} If there's no such series
+ */
+export const getSeriesById = async (idOrSlug) => {
+  const series = mongoose.isValidObjectId(idOrSlug)
+    ? await Series.findById(idOrSlug)
+    : await Series.findOne({ slug: String(idOrSlug).toLowerCase() });
+  if (!series) {
+    throw new NotFoundError('Series not found');
+  }
+  return series;
+};
+
+/**
+ * Get a series with its volumes in order, each with the edition to show for it
+ * @param {string} idOrSlug - MongoDB ID or slug
+ * @returns {Promise<Object>} { ...series, volumes: [{ volume, work, book }] }
+ * @throws {NotFoundError} If there's no such series
+ */
+export const getSeriesWithVolumes = async (idOrSlug) => {
+  const series = await getSeriesById(idOrSlug);
+  const volumes = await getSeriesVolumes(series._id);
+
+  return {
+    ...series.toObject(),
+    volumes: volumes.map(({ work, volume, book }) => ({
+      volume,
+      work: { _id: work._id, title: work.title },
+      book,
+    })),
+  };
+};
+
+/**
+ * Make sure no other series has this slug
+ * @param {Object} series - Series document
+ * @throws {ConflictError} If the slug is taken
+ */
+const assertSlugFree = async (series) => {
+  if (await Series.exists({ _id: { $ne: series._id }, slug: series.slug })) {
+    throw new ConflictError(`Slug ${series.slug} is already taken`);
+  }
+};
+
+/**
+ * Create a series
+ * The display name doubles as the English or Odia name when that one isn't given.
+ * @param {Object} data - Series fields
+ * @returns {Promise<Object>} Created series
+ * @throws {ConflictError} If the slug is taken
+ */
+export const createSeries = async (data) => {
+  const series = new Series(data);
+  const script = hasOdiaScript(series.name.display) ? 'odia' : 'english';
+  if (!series.name[script]) series.set(`name.${script}`, series.name.display);
+  series.slug = slugify(data.slug || series.name.english || series.name.display);
+  await assertSlugFree(series);
+
+  await series.save();
+  logger.info('Series created', { seriesId: series._id, slug: series.slug });
+  return series;
+};
+
+/**
+ * Update a series
+ * @param {string} id - MongoDB ID of the series
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated series
+ * @throws {NotFoundError} If the series doesn't exist
+ * @throws {ConflictError} If the new slug is taken
+ */
+export const updateSeries = async (id, data) => {
+  const series = await getSeriesById(id);
+  const changes = { ...data };
+  if (changes.slug !== undefined) changes.slug = slugify(changes.slug);
+
+  series.set(changes);
+  await assertSlugFree(series);
+  await series.save();
+
+  logger.info('Series updated', { seriesId: id, fields: Object.keys(changes) });
+  return series;
+};
+
+/**
+ * Delete a series; its works stay, without a series or volume
+ * @param {string} id - MongoDB ID of the series
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the series doesn't exist
+ */
+export const deleteSeries = async (id) => {
+  const series = await getSeriesById(id);
+  await Work.updateMany({ series: series._id }, { $set: { series: null, seriesVolume: null } });
+  await series.deleteOne();
+  logger.info('Series deleted', { seriesId: id, slug: series.slug });
+};
@@ -0,0 +1,388 @@
+import ShippingZone from '../models/ShippingZone.js';
+import Pincode from '../models/Pincode.js';
+import logger from '../utils/logger.js';
+import { parseCsv } from '../utils/csv.js';
+import { config } from '../config/env.js';
+import { NotFoundError, BadRequestError, ConflictError } from '../utils/errors.js';
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+/**
+ * Rate card used until an admin creates zones, so checkout keeps working on a fresh
+ * database. Matches the old flat ₹50 shipping.
+ */
+export const FALLBACK_ZONE = Object.freeze({
+  code: 'STANDARD',
+  name: 'India',
+  rate: 50,
+  freeShippingThreshold: null,
+  codAvailable: true,
+  codCharge: 0,
+  etaMinDays: 4,
+  etaMaxDays: 7,
+  expressRate: null,
+});
+
+/**
+ * Check a pincode's format
+ * @param {string} pincode - Postal code
+ * @returns {boolean} True for a 6-digit Indian pincode
+ */
+export const isValidPincode = (pincode) => PINCODE_PATTERN.test(String(pincode || '').trim());
+
+/**
+ * Pull the delivery pincode out of a free-text address (last 6-digit number wins)
+ * @param {string} address - Address line
+ * @returns {string|null} Pincode or null
+ */
+export const extractPincode = (address) => {
+  const matches = String(address || '').match(/\b[1-9][0-9]{5}\b/g);
+  return matches ? matches[matches.length - 1] : null;
+};
+
+/**
+ * Add business days (Sundays skipped) to a date
+ * @param {Date} from - Start date
+ * @param {number} days - Business days to add
+ * @returns {Date} Resulting date
+ */
+export const addBusinessDays = (from, days) => {
+  const date = new Date(from);
+  let remaining = days;
+  while (remaining > 0) {
+    date.setDate(date.getDate() + 1);
+    if (date.getDay() !== 0) remaining -= 1;
+  }
+  return date;
+};
+
+/**
+ * Work out the shipping charge for a zone and cart subtotal. Pure - no DB access.
+ * @param {Object} zone - ShippingZone document or plain object
+ * @param {number} subtotal - Cart subtotal in ₹
+ * @returns {{shippingCost: number, isFreeShipping: boolean, freeShippingThreshold: number, amountToFreeShipping: number, codCharge: number}}
+ */
+export const calculateShipping = (zone, subtotal = 0) => {
+  const freeShippingThreshold = zone.freeShippingThreshold ?? config.FREE_SHIPPING_THRESHOLD;
+  const isFreeShipping = subtotal >= freeShippingThreshold;
+
+  return {
+    shippingCost: isFreeShipping ? 0 : zone.rate,
+    isFreeShipping,
+    freeShippingThreshold,
+    amountToFreeShipping: isFreeShipping ? 0 : freeShippingThreshold - subtotal,
+    codCharge: zone.codAvailable && !isFreeShipping ? zone.codCharge || 0 : 0,
+  };
+};
+
+/**
+ * Find the zone for a pincode
+ * Unknown pincodes use the default zone; with no zones configured at all the
+ * built-in FALLBACK_ZONE is used.
+ * @param {string} [pincode] - Delivery pincode (omit to get the default zone)
+ * @returns {Promise<{zone: Object|null, pincode: Object|null}>} zone is null when not serviceable
+ */
+export const resolveZone = async (pincode) => {
+  const entry = pincode ? await Pincode.findOne({ pincode }).lean() : null;
+
+  if (entry) {
+    if (!entry.isServiceable) return { zone: null, pincode: entry };
+    const zone = await ShippingZone.findOne({ code: entry.zone }).lean();
+    return { zone, pincode: entry };
+  }
+
+  const defaultZone = await ShippingZone.findOne({ isDefault: true }).lean();
+  if (defaultZone) return { zone: defaultZone, pincode: null };
+
+  const hasZones = await ShippingZone.exists({});
+  return { zone: hasZones ? null : FALLBACK_ZONE, pincode: null };
+};
+
+/**
+ * Serviceability, shipping charge, COD and delivery estimate for a pincode
+ * @param {string} pincode - Delivery pincode
+ * @param {Object} [options] - Check options
+ * @param {number} [options.subtotal=0] - Cart subtotal used for the free-shipping check
+ * @returns {Promise<Object>} Serviceability details
+ * @throws {BadRequestError} If the pincode is malformed
+ */
+export const checkPincode = async (pincode, { subtotal = 0 } = {}) => {
+  if (!isValidPincode(pincode)) {
+    throw new BadRequestError('Please enter a valid 6-digit pincode');
+  }
+
+  const { zone, pincode: entry } = await resolveZone(pincode);
+  const location = {
+    city: entry?.city || null,
+    district: entry?.district || null,
+    state: entry?.state || null,
+  };
+
+  if (!zone) {
+    return { pincode, serviceable: false, location };
+  }
+
+  const now = new Date();
+  const charges = calculateShipping(zone, subtotal);
+
+  return {
+    pincode,
+    serviceable: true,
+    location,
+    zone: { code: zone.code, name: zone.name },
+    rate: zone.rate,
+    ...charges,
+    cod: {
+      available: Boolean(zone.codAvailable && entry?.codAvailable !== false),
+      charge: charges.codCharge,
+    },
+    eta: {
+      minDays: zone.etaMinDays,
+      maxDays: zone.etaMaxDays,
+      from: addBusinessDays(now, zone.etaMinDays),
+      to: addBusinessDays(now, zone.etaMaxDays),
+    },
+    express: {
+      available: zone.expressRate != null,
+      rate: zone.expressRate,
+    },
+  };
+};
+
+/**
+ * Shipping charge for an order. Used by createOrder so the client never sets it.
+ * @param {Object} params - Quote parameters
+ * @param {string} [params.pincode] - Delivery pincode (falls back to the default zone)
+ * @param {number} params.subtotal - Items total in ₹
+ * @returns {Promise<Object>} { zone, pincode, shippingCost, isFreeShipping, codAvailable, codCharge, etaMinDays, etaMaxDays }
+ * @throws {BadRequestError} If the pincode is malformed or not serviceable
+ */
+export const quoteShipping = async ({ pincode, subtotal }) => {
+  if (pincode && !isValidPincode(pincode)) {
+    throw new BadRequestError('Please enter a valid 6-digit pincode');
+  }
+
+  const { zone, pincode: entry } = await resolveZone(pincode);
+
+  if (!zone) {
+    throw new BadRequestError(`Sorry, we don't deliver to pincode ${pincode} yet`);
+  }
+
+  const charges = calculateShipping(zone, subtotal);
+
+  return {
+    zone: zone.code,
+    pincode: pincode || null,
+    shippingCost: charges.shippingCost,
+    isFreeShipping: charges.isFreeShipping,
+    codAvailable: Boolean(zone.codAvailable && entry?.codAvailable !== false),
+    codCharge: charges.codCharge,
+    etaMinDays: zone.etaMinDays,
+    etaMaxDays: zone.etaMaxDays,
+  };
+};
+
+/**
+ * Public shipping settings for banners and the cart page
+ * @returns {Promise<Object>} { freeShippingThreshold, defaultRate }
+ */
+export const getShippingSettings = async () => {
+  const { zone } = await resolveZone();
+  return {
+    freeShippingThreshold: zone?.freeShippingThreshold ?? config.FREE_SHIPPING_THRESHOLD,
+    defaultRate: zone?.rate ?? null,
+  };
+};
+
+/**
+ * List all zones with how many pincodes map to each
+ * @returns {Promise<Array>} Zones
+ */
+export const listZones = async () => {
+  const [zones, counts] = await Promise.all([
+    ShippingZone.find().sort({ code: 1 }).lean(),
+    Pincode.aggregate([{ $group: { _id: '$zone', count: { $sum: 1 } } }]),
+  ]);
+  const countByZone = new Map(counts.map((c) => [c._id, c.count]));
+
+  return zones.map((zone) => ({ ...zone, pincodeCount: countByZone.get(zone.code) || 0 }));
+};
+
+/**
+ * Unset isDefault on every other zone so the new default is the only one
+ * @param {string} code - Zone that becomes the default
+ * @returns {Promise<void>}
+ */
+const clearOtherDefaults = async (code) => {
+  await ShippingZone.updateMany({ code: { $ne: code }, isDefault: true }, { isDefault: false });
+};
+
+/**
+ * Create a zone
+ * @param {Object} data - Zone fields
+ * @returns {Promise<Object>} Created zone
+ * @throws {ConflictError} If the code is taken
+ */
+export const createZone = async (data) => {
+  const code = String(data.code).trim().toUpperCase();
+
+  if (await ShippingZone.exists({ code })) {
+    throw new ConflictError(`Shipping zone ${code} already exists`);
+  }
+  if (data.isDefault) await clearOtherDefaults(code);
+
+  const zone = await ShippingZone.create({ ...data, code });
+  logger.info('Shipping zone created', { code });
+  return zone;
+};
+
+/**
+ * Update a zone (the code itself can't change - pincodes reference it)
+ * @param {string} code - Zone code
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated zone
+ * @throws {NotFoundError} If the zone doesn't exist
+ */
+export const updateZone = async (code, data) => {
+  const zone = await ShippingZone.findOne({ code: code.toUpperCase() });
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found');
+  }
+
+  const changes = { ...data };
+  delete changes.code;
+  if (changes.isDefault) await clearOtherDefaults(zone.code);
+
+  zone.set(changes);
+  await zone.save();
+
+  logger.info('Shipping zone updated', { code: zone.code, fields: Object.keys(changes) });
+  return zone;
+};
+
+/**
+ * Delete a zone that no pincode uses
+ * @param {string} code - Zone code
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the zone doesn't exist
+ * @throws {ConflictError} If pincodes still map to it
+ */
+export const deleteZone = async (code) => {
+  const normalized = code.toUpperCase();
+  const zone = await ShippingZone.findOne({ code: normalized });
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found');
+  }
+
+  const inUse = await Pincode.countDocuments({ zone: normalized });
+  if (inUse > 0) {
+    throw new ConflictError(
+      `Shipping zone ${normalized} is used by ${inUse} pincode(s). Re-import them first.`
+    );
+  }
+
+  await zone.deleteOne();
+  logger.info('Shipping zone deleted', { code: normalized });
+};
+
+const parseBooleanCell = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return null;
+};
+
+/**
+ * Import the pincode→zone table from CSV (upsert by pincode)
+ *
+ * Columns: pincode, zone (required); city, district, state, serviceable, cod (optional).
+ * Boolean columns accept true/false, yes/no, 1/0. Blank optional cells keep the
+ * current value.
+ *
+ * @param {string} csvText - CSV file contents
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dryRun=false] - Validate and report without writing
+ * @returns {Promise<Object>} Report { total, inserted, updated, failed, errors: [{ line, pincode, error }] }
+ * @throws {BadRequestError} If the file is empty or required columns are missing
+ */
+export const importPincodes = async (csvText, { dryRun = false } = {}) => {
+  const { headers, records } = parseCsv(csvText);
+
+  if (records.length === 0) {
+    throw new BadRequestError('CSV file has no data rows');
+  }
+  const missing = ['pincode', 'zone'].filter((column) => !headers.includes(column));
+  if (missing.length > 0) {
+    throw new BadRequestError(`CSV is missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const zoneCodes = new Set((await ShippingZone.find().select('code').lean()).map((z) => z.code));
+  const errors = [];
+  const rowsByPincode = new Map();
+
+  records.forEach(({ line, data }) => {
+    const { pincode } = data;
+    const zone = (data.zone || '').toUpperCase();
+    const isServiceable = parseBooleanCell(data.serviceable);
+    const codAvailable = parseBooleanCell(data.cod);
+
+    let error = null;
+    if (!isValidPincode(pincode)) error = 'Invalid pincode';
+    else if (!zoneCodes.has(zone)) error = `Unknown zone "${data.zone}"`;
+    else if (isServiceable === null) error = 'serviceable must be true/false';
+    else if (codAvailable === null) error = 'cod must be true/false';
+
+    if (error) {
+      errors.push({ line, pincode, error });
+      return;
+    }
+
+    const fields = { zone };
+    ['city', 'district', 'state'].forEach((key) => {
+      if (data[key]) fields[key] = data[key];
+    });
+    if (isServiceable !== undefined) fields.isServiceable = isServiceable;
+    if (codAvailable !== undefined) fields.codAvailable = codAvailable;
+
+    // Later rows for the same pincode win
+    rowsByPincode.set(pincode, fields);
+  });
+
+  const pincodes = [...rowsByPincode.keys()];
+  const existing = await Pincode.countDocuments({ pincode: { $in: pincodes } });
+
+  const report = {
+    dryRun,
+    total: records.length,
+    inserted: pincodes.length - existing,
+    updated: existing,
+    failed: errors.length,
+    errors,
+  };
+
+  if (!dryRun && pincodes.length > 0) {
+    const result = await Pincode.bulkWrite(
+      pincodes.map((pincode) => ({
+        updateOne: {
+          filter: { pincode },
+          update: { $set: rowsByPincode.get(pincode) },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    report.inserted = result.upsertedCount;
+    report.updated = result.matchedCount;
+  }
+
+  logger.info('Pincode import finished', {
+    dryRun,
+    total: report.total,
+    inserted: report.inserted,
+    updated: report.updated,
+    failed: report.failed,
+  });
+
+  return report;
+};
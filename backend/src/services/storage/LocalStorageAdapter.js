@@ -0,0 +1,49 @@
+import path from 'path';
+import { mkdir, rm, writeFile } from 'fs/promises';
+import StorageAdapter from './StorageAdapter.js';
+
+/**
+ * Keeps files on local disk under one directory, which the server serves at
+ * /uploads (see server.js). Fine for one server; use S3 or MinIO when there
+ * are several.
+ */
+export default class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.directory - Upload directory
+   * @param {string} options.baseUrl - Public URL the directory is served at
+   */
+  constructor({ directory, baseUrl }) {
+    super('local');
+    this.directory = path.resolve(directory);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Path of a key inside the upload directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute path
+   * @throws {Error} If the key would leave the upload directory
+   */
+  pathOf(key) {
+    const file = path.resolve(this.directory, key);
+    if (!file.startsWith(`${this.directory}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.pathOf(key);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, body);
+  }
+
+  async delete(keys) {
+    await Promise.all(keys.map((key) => rm(this.pathOf(key), { force: true })));
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
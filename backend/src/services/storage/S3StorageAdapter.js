@@ -0,0 +1,83 @@
+import { S3Client, PutObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import StorageAdapter from './StorageAdapter.js';
+
+// DeleteObjects takes at most this many keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Keeps files in an S3 bucket, or any S3-compatible store such as MinIO
+ * (set an endpoint and path-style addressing). The bucket must allow public
+ * reads of the uploaded keys, directly or through a CDN at publicUrl.
+ */
+export default class S3StorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region
+   * @param {string} [options.endpoint] - Endpoint for S3-compatible stores
+   * @param {boolean} [options.forcePathStyle] - Use <endpoint>/<bucket>/<key> URLs (MinIO)
+   * @param {string} [options.accessKeyId] - Access key (defaults to the AWS credential chain)
+   * @param {string} [options.secretAccessKey] - Secret key
+   * @param {string} [options.publicUrl] - Public base URL of the bucket
+   * @param {S3Client} [options.client] - Client to use instead of building one
+   */
+  constructor({
+    bucket,
+    region,
+    endpoint,
+    forcePathStyle = false,
+    accessKeyId,
+    secretAccessKey,
+    publicUrl,
+    client,
+  }) {
+    super('s3');
+    this.bucket = bucket;
+    this.client =
+      client ||
+      new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+      });
+
+    let base = publicUrl;
+    if (!base && endpoint) base = `${endpoint.replace(/\/+$/, '')}/${bucket}`;
+    if (!base) base = `https://${bucket}.s3.${region}.amazonaws.com`;
+    this.publicUrl = base.replace(/\/+$/, '');
+  }
+
+  async put(key, body, { contentType, cacheControl } = {}) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: cacheControl,
+      })
+    );
+  }
+
+  async delete(keys) {
+    const batches = [];
+    for (let start = 0; start < keys.length; start += DELETE_BATCH_SIZE) {
+      batches.push(keys.slice(start, start + DELETE_BATCH_SIZE));
+    }
+    await Promise.all(
+      batches.map((batch) =>
+        this.client.send(
+          new DeleteObjectsCommand({
+            Bucket: this.bucket,
+            Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true },
+          })
+        )
+      )
+    );
+  }
+
+  url(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
@@ -0,0 +1,52 @@
+import { NotImplementedError } from '../../utils/errors.js';
+
+/**
+ * Base class for file storage adapters
+ *
+ * Uploaded files are stored under a key such as "books/<bookId>/<imageId>-thumb.webp"
+ * and served from a public URL. Services only talk to this interface, so moving
+ * from local disk to S3 or MinIO is a matter of STORAGE_DRIVER (see ./index.js).
+ * Keys use forward slashes and never start with one.
+ */
+export default class StorageAdapter {
+  /**
+   * @param {string} name - Adapter name (the STORAGE_DRIVER value)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store a file, replacing any file with the same key
+   * @param {string} key - Storage key
+   * @param {Buffer} body - File contents
+   * @param {Object} [options] - Options
+   * @param {string} [options.contentType] - MIME type
+   * @param {string} [options.cacheControl] - Cache-Control header for public reads
+   * @returns {Promise<void>}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async put(key, body, options) {
+    throw new NotImplementedError(`${this.name} storage does not implement put`);
+  }
+
+  /**
+   * Delete files; keys that don't exist are ignored
+   * @param {Array<string>} keys - Storage keys
+   * @returns {Promise<void>}
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  async delete(keys) {
+    throw new NotImplementedError(`${this.name} storage does not implement delete`);
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  // eslint-disable-next-line class-methods-use-this, no-unused-vars
+  url(key) {
+    throw new NotImplementedError(`${this.name} storage does not implement url`);
+  }
+}
@@ -0,0 +1,46 @@
+import { config } from '../../config/env.js';
+import { BadRequestError } from '../../utils/errors.js';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import S3StorageAdapter from './S3StorageAdapter.js';
+
+/**
+ * Storage factories by driver name
+ */
+const STORAGE_FACTORIES = {
+  local: () =>
+    new LocalStorageAdapter({
+      directory: config.UPLOAD_DIR,
+      baseUrl: `${config.API_BASE_URL}/uploads`,
+    }),
+  s3: () =>
+    new S3StorageAdapter({
+      bucket: config.S3_BUCKET,
+      region: config.S3_REGION,
+      endpoint: config.S3_ENDPOINT,
+      forcePathStyle: config.S3_FORCE_PATH_STYLE,
+      accessKeyId: config.S3_ACCESS_KEY_ID,
+      secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+      publicUrl: config.S3_PUBLIC_URL,
+    }),
+};
+
+const instances = new Map();
+
+/**
+ * Get a storage adapter (one instance per driver)
+ * @param {string} [driver] - Driver name (defaults to STORAGE_DRIVER)
+ * @returns {import('./StorageAdapter.js').default} Storage adapter
+ * @throws {BadRequestError} If the driver isn't registered
+ */
+export const getStorage = (driver = config.STORAGE_DRIVER) => {
+  if (!instances.has(driver)) {
+    const factory = STORAGE_FACTORIES[driver];
+    if (!factory) {
+      throw new BadRequestError(`Unknown storage driver: ${driver}`);
+    }
+    instances.set(driver, factory());
+  }
+  return instances.get(driver);
+};
+
+export { default as StorageAdapter } from './StorageAdapter.js';
@@ -0,0 +1,236 @@
+import Author from '../models/Author.js';
+import Book from '../models/Book.js';
+import BookVersion from '../models/BookVersion.js';
+import Cart from '../models/Cart.js';
+import SaleCampaign from '../models/SaleCampaign.js';
+import StockMovement from '../models/StockMovement.js';
+import StockReservation from '../models/StockReservation.js';
+import User from '../models/User.js';
+import Wishlist from '../models/Wishlist.js';
+import Work from '../models/Work.js';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { purgeBookImages } from './bookImageService.js';
+import { recordBookVersion } from './bookHistoryService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What the trash list shows of each book
+const TRASH_FIELDS = 'title author isbn image price category deletedAt deletedBy';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a book that's in the trash
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<Object>} Book document
+ * @throws {NotFoundError} If there's no deleted book with this ID
+ */
+const findDeletedBook = async (bookId) => {
+  const book = await Book.findOne({ _id: bookId, isDeleted: true }).setOptions({
+    includeDeleted: true,
+  });
+  if (!book) {
+    throw new NotFoundError('No deleted book with this ID');
+  }
+  return book;
+};
+
+/**
+ * When a deleted book is due to be purged
+ * @param {Date} deletedAt - When it was deleted
+ * @param {number} [retentionDays] - Days kept in the trash (0: forever)
+ * @returns {Date|null} Purge date, or null if it's kept
+ */
+export const purgeDate = (deletedAt, retentionDays = config.TRASH_RETENTION_DAYS) =>
+  retentionDays > 0 && deletedAt
+    ? new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS)
+    : null;
+
+/**
+ * List deleted books, most recently deleted first
+ * Each comes with who deleted it ({ _id, name, email }, or null if that
+ * account is gone or it was deleted by a script) and when it will be purged.
+ * @param {Object} [options] - Options
+ * @param {string} [options.search] - Part of the title, author or ISBN
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Books per page
+ * @returns {Promise<Object>} { books, pagination }
+ */
+export const listDeletedBooks = async ({ search, page = 1, limit = 20 } = {}) => {
+  const pageNum = parseInt(page, 10) || 1;
+  const limitNum = parseInt(limit, 10) || 20;
+  const query = { isDeleted: true };
+
+  if (search) {
+    const text = new RegExp(escapeRegExp(search.trim()), 'i');
+    query.$or = [{ 'title.display': text }, { author: text }, { isbn: text }];
+  }
+
+  const [books, total] = await Promise.all([
+    Book.find(query)
+      .setOptions({ includeDeleted: true })
+      .select(TRASH_FIELDS)
+      .sort({ deletedAt: -1, _id: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .lean(),
+    Book.countDocuments(query).setOptions({ includeDeleted: true }),
+  ]);
+
+  // deletedBy is a bare ID; deleted admins still count
+  const adminIds = [
+    ...new Set(
+      books
+        .map((book) => book.deletedBy)
+        .filter(Boolean)
+        .map(String)
+    ),
+  ];
+  const admins = adminIds.length
+    ? await User.find({ _id: { $in: adminIds } })
+        .setOptions({ includeDeleted: true })
+        .select('name email')
+        .lean()
+    : [];
+  const adminsById = new Map(admins.map((user) => [String(user._id), user]));
+
+  return {
+    books: books.map((book) => ({
+      ...book,
+      deletedBy: adminsById.get(String(book.deletedBy)) || null,
+      purgeAt: purgeDate(book.deletedAt),
+    })),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+};
+
+/**
+ * Take a book out of the trash
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - The admin restoring it (req.user)
+ * @returns {Promise<Object>} The restored book
+ * @throws {NotFoundError} If there's no deleted book with this ID
+ */
+export const restoreBook = async (bookId, { actor } = {}) => {
+  const book = await findDeletedBook(bookId);
+
+  await book.restore();
+  await recordBookVersion(book, { action: 'restore', actor });
+
+  logger.info('Book restored', { bookId, adminId: actor?._id });
+  return book;
+};
+
+/**
+ * Delete books for good: the documents, their history, stock ledger and
+ * holds, their stored images, and every reference to them
+ *
+ * Carts, wishlists and campaigns drop the books. Works left without an
+ * edition are deleted, and so are authors left without a book unless they
+ * have a profile (bio, photo, featured). Orders keep their own copy of what
+ * was bought and aren't touched.
+ *
+ * @param {Array<Object>} books - Deleted books (with images, work and authorIds)
+ * @returns {Promise<void>}
+ */
+const purgeBooks = async (books) => {
+  const ids = books.map((book) => book._id);
+  const workIds = books.map((book) => book.work).filter(Boolean);
+  const authorIds = books.flatMap((book) => book.authorIds || []);
+
+  await Book.deleteMany({ _id: { $in: ids }, isDeleted: true });
+  await Promise.all([
+    BookVersion.deleteMany({ book: { $in: ids } }),
+    // The model refuses to delete ledger entries; a purged book's go with it
+    StockMovement.collection.deleteMany({ book: { $in: ids } }),
+    StockReservation.deleteMany({ book: { $in: ids } }),
+    Cart.updateMany({ 'items.book': { $in: ids } }, { $pull: { items: { book: { $in: ids } } } }),
+    Wishlist.updateMany(
+      { 'items.book': { $in: ids } },
+      { $pull: { items: { book: { $in: ids } } } }
+    ),
+    SaleCampaign.updateMany({ books: { $in: ids } }, { $pull: { books: { $in: ids } } }),
+    ...books.map((book) => purgeBookImages(book)),
+  ]);
+
+  // Books still in the trash keep their work and authors
+  const [editionWorks, creditedAuthors] = await Promise.all([
+    workIds.length
+      ? Book.distinct('work', { work: { $in: workIds } }).setOptions({ includeDeleted: true })
+      : [],
+    authorIds.length
+      ? Book.distinct('authorIds', { authorIds: { $in: authorIds } }).setOptions({
+          includeDeleted: true,
+        })
+      : [],
+  ]);
+  const without = (candidates, kept) =>
+    candidates.filter((id) => !kept.some((keptId) => keptId.equals(id)));
+
+  await Promise.all([
+    Work.deleteMany({ _id: { $in: without(workIds, editionWorks) } }),
+    Author.deleteMany({
+      _id: { $in: without(authorIds, creditedAuthors) },
+      isFeatured: { $ne: true },
+      photo: { $in: ['', null] },
+      'bio.english': { $in: ['', null] },
+      'bio.odia': { $in: ['', null] },
+    }),
+  ]);
+};
+
+/**
+ * Delete a book in the trash for good
+ * It can't be restored afterwards; its change history goes with it.
+ * @param {string} bookId - MongoDB ID of the book
+ * @param {Object} [options] - Options
+ * @param {Object} [options.actor] - The admin purging it (req.user)
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If there's no deleted book with this ID
+ */
+export const purgeBook = async (bookId, { actor } = {}) => {
+  const book = await findDeletedBook(bookId);
+
+  await purgeBooks([book]);
+
+  logger.info('Book purged', {
+    bookId,
+    title: book.title?.display,
+    isbn: book.isbn,
+    adminId: actor?._id,
+  });
+};
+
+/**
+ * Purge every book that has been in the trash longer than the retention period
+ * @param {Object} [options] - Options
+ * @param {number} [options.retentionDays] - Days to keep (default: TRASH_RETENTION_DAYS; 0 keeps all)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<{purged: number}>} Job stats
+ */
+export const purgeExpiredBooks = async ({
+  retentionDays = config.TRASH_RETENTION_DAYS,
+  now = new Date(),
+} = {}) => {
+  if (!(retentionDays > 0)) return { purged: 0 };
+
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const books = await Book.find({ isDeleted: true, deletedAt: { $lt: cutoff } })
+    .setOptions({ includeDeleted: true })
+    .select('title isbn images work authorIds')
+    .lean();
+
+  if (books.length > 0) {
+    await purgeBooks(books);
+    logger.info('Expired books purged from the trash', { purged: books.length, retentionDays });
+  }
+  return { purged: books.length };
+};
@@ -0,0 +1,198 @@
+import Wishlist, { MAX_WISHLIST_ITEMS } from '../models/Wishlist.js';
+import Book from '../models/Book.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError } from '../utils/errors.js';
+
+// sales is needed for finalPrice to see a live campaign
+const BOOK_FIELDS = 'title author image price sales stock category';
+
+/**
+ * Build the wishlist response with today's price and stock
+ *
+ * Books that have since been deleted are left out (and pulled from the stored list).
+ *
+ * @param {Object|null} wishlist - Wishlist document
+ * @returns {Promise<Object>} { items, count }
+ */
+const buildWishlistView = async (wishlist) => {
+  const lines = wishlist?.items || [];
+  const books = lines.length
+    ? await Book.find({ _id: { $in: lines.map((line) => line.book) } }).select(BOOK_FIELDS)
+    : [];
+  const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+  const missing = [];
+  const items = [];
+
+  lines.forEach((line) => {
+    const book = booksById.get(line.book.toString());
+
+    if (!book) {
+      missing.push(line.book);
+      return;
+    }
+
+    items.push({
+      _id: book._id,
+      bookId: book._id,
+      title: book.title?.display || book.titleDisplay,
+      author: book.author,
+      image: book.image,
+      category: book.category,
+      price: book.finalPrice,
+      originalPrice: book.price?.original,
+      priceWhenAdded: line.priceWhenAdded,
+      priceDropped: line.priceWhenAdded != null && book.finalPrice < line.priceWhenAdded,
+      stock: book.stock,
+      inStock: book.stock > 0,
+      addedAt: line.addedAt,
+    });
+  });
+
+  if (missing.length) {
+    await Wishlist.updateOne(
+      { _id: wishlist._id },
+      { $pull: { items: { book: { $in: missing } } } }
+    );
+  }
+
+  // Newest first, like the old device-local list
+  items.sort((a, b) => new Date(b.addedAt) - new Date(a.addedAt));
+
+  return { items, count: items.length };
+};
+
+/**
+ * Get the user's wishlist, creating an empty one on first use
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Object>} Wishlist document
+ */
+const getOrCreateWishlist = (userId) =>
+  Wishlist.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+/**
+ * Get the user's wishlist
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Object>} Wishlist view (see buildWishlistView)
+ */
+export const getWishlist = async (userId) => {
+  const wishlist = await Wishlist.findOne({ user: userId });
+  return buildWishlistView(wishlist);
+};
+
+/**
+ * Add a book to the wishlist (no-op if it's already there)
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<Object>} Wishlist view
+ * @throws {NotFoundError} If the book doesn't exist
+ * @throws {BadRequestError} If the wishlist is full
+ */
+export const addToWishlist = async (userId, bookId) => {
+  const book = await Book.findById(bookId).select(BOOK_FIELDS);
+
+  if (!book) {
+    throw new NotFoundError('Book not found');
+  }
+
+  const current = await getOrCreateWishlist(userId);
+  if (current.items.some((line) => line.book.equals(book._id))) {
+    return buildWishlistView(current);
+  }
+  if (current.items.length >= MAX_WISHLIST_ITEMS) {
+    throw new BadRequestError(`A wishlist can hold at most ${MAX_WISHLIST_ITEMS} books`);
+  }
+
+  // The items.book filter makes adding a saved book a no-op, even under concurrent requests
+  const updated = await Wishlist.findOneAndUpdate(
+    { user: userId, 'items.book': { $ne: book._id } },
+    { $push: { items: { book: book._id, priceWhenAdded: book.finalPrice } } },
+    { new: true }
+  );
+
+  logger.debug('Wishlist item added', { userId, bookId });
+  return buildWishlistView(updated || (await Wishlist.findOne({ user: userId })));
+};
+
+/**
+ * Remove a book from the wishlist
+ * @param {string} userId - MongoDB ID of the user
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<Object>} Wishlist view
+ */
+export const removeFromWishlist = async (userId, bookId) => {
+  const wishlist = await Wishlist.findOneAndUpdate(
+    { user: userId },
+    { $pull: { items: { book: bookId } } },
+    { new: true }
+  );
+  return buildWishlistView(wishlist);
+};
+
+/**
+ * Empty the wishlist
+ * @param {string} userId - MongoDB ID of the user
+ * @returns {Promise<Object>} Wishlist view (empty)
+ */
+export const clearWishlist = async (userId) => {
+  await Wishlist.updateOne({ user: userId }, { $set: { items: [] } });
+  return buildWishlistView(null);
+};
+
+/**
+ * Merge a guest wishlist (kept on the device) into the user's wishlist after login
+ *
+ * Books already on the list keep their original added date; missing books are
+ * skipped and reported. Merging the same list twice is harmless.
+ *
+ * @param {string} userId - MongoDB ID of the user
+ * @param {Array<string>} bookIds - Guest wishlist book IDs
+ * @returns {Promise<Object>} Wishlist view plus `skipped: [{ bookId, reason }]`
+ */
+export const mergeWishlist = async (userId, bookIds = []) => {
+  const books = await Book.find({ _id: { $in: bookIds } }).select(BOOK_FIELDS);
+  const booksById = new Map(books.map((book) => [book._id.toString(), book]));
+
+  const wishlist = await getOrCreateWishlist(userId);
+  const saved = new Set(wishlist.items.map((line) => line.book.toString()));
+  const skipped = [];
+
+  bookIds.forEach((bookId) => {
+    const book = booksById.get(String(bookId));
+
+    if (!book) {
+      skipped.push({ bookId, reason: 'not_found' });
+    } else if (!saved.has(book._id.toString())) {
+      if (wishlist.items.length >= MAX_WISHLIST_ITEMS) {
+        skipped.push({ bookId, reason: 'wishlist_full' });
+        return;
+      }
+      wishlist.items.push({ book: book._id, priceWhenAdded: book.finalPrice });
+      saved.add(book._id.toString());
+    }
+  });
+
+  await wishlist.save();
+
+  logger.info('Guest wishlist merged', {
+    userId,
+    merged: bookIds.length - skipped.length,
+    skipped: skipped.length,
+  });
+
+  return { ...(await buildWishlistView(wishlist)), skipped };
+};
+
+/**
+ * Find the users who have a book on their wishlist
+ * @param {string} bookId - MongoDB ID of the book
+ * @returns {Promise<Array>} User IDs
+ */
+export const getWishlistersForBook = async (bookId) => {
+  const wishlists = await Wishlist.find({ 'items.book': bookId }).select('user').lean();
+  return wishlists.map((wishlist) => wishlist.user);
+};
@@ -0,0 +1,308 @@
+import Book, { BOOK_FORMATS, emitBulkWriteChanges } from '../models/Book.js';
+import Work from '../models/Work.js';
+import Series from '../models/Series.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, BadRequestError } from '../utils/errors.js';
+import { normaliseText, phoneticKey, romaniseOdia } from '../utils/odiaText.js';
+
+// What an edition picker or series list needs of each book
+const EDITION_FIELDS = 'title author isbn format edition price stock image work';
+
+/**
+ * Order editions the way a picker lists them: by format, newest edition first
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @returns {number} Sort order
+ */
+const byFormatThenNewest = (a, b) =>
+  BOOK_FORMATS.indexOf(a.format) - BOOK_FORMATS.indexOf(b.format) ||
+  (b.edition?.year || 0) - (a.edition?.year || 0) ||
+  (a.price?.discounted ?? a.price?.original ?? 0) - (b.price?.discounted ?? b.price?.original ?? 0);
+
+/**
+ * The edition to show for a work when only one fits (series lists, "next in
+ * series"): one in stock if any, then the newest, then the cheapest
+ * @param {Array<Object>} editions - Books of one work
+ * @returns {Object|null} Book
+ */
+export const pickEdition = (editions) =>
+  [...editions].sort(
+    (a, b) =>
+      Number(b.stock > 0) - Number(a.stock > 0) ||
+      (b.edition?.year || 0) - (a.edition?.year || 0) ||
+      (a.price?.discounted ?? a.price?.original ?? 0) -
+        (b.price?.discounted ?? b.price?.original ?? 0)
+  )[0] || null;
+
+/**
+ * Editions of a work, in picker order
+ * @param {string} workId - MongoDB ID of the work
+ * @returns {Promise<Array<Object>>} Lean books
+ */
+export const getEditions = async (workId) => {
+  const editions = await Book.find({ work: workId }).select(EDITION_FIELDS).lean();
+  return editions.sort(byFormatThenNewest);
+};
+
+/**
+ * Volumes of a series in order, each with the edition to show for it
+ * Works with no books left (all in the trash) are skipped.
+ * @param {string} seriesId - MongoDB ID of the series
+ * @returns {Promise<Array<{work: Object, volume: number|null, book: Object}>>}
+ */
+export const getSeriesVolumes = async (seriesId) => {
+  const works = await Work.find({ series: seriesId }).sort({ seriesVolume: 1, _id: 1 }).lean();
+  const books = await Book.find({ work: { $in: works.map((work) => work._id) } })
+    .select(EDITION_FIELDS)
+    .lean();
+
+  return works
+    .map((work) => ({
+      work,
+      volume: work.seriesVolume,
+      book: pickEdition(books.filter((book) => String(book.work) === String(work._id))),
+    }))
+    .filter((volume) => volume.book);
+};
+
+const volumeSummary = ({ volume, book }) => ({
+  volume,
+  book: { _id: book._id, title: book.title, format: book.format, image: book.image },
+});
+
+/**
+ * The other editions and series position of a book, for its detail page
+ * @param {Object} book - Book document or lean book
+ * @returns {Promise<{editions: Array, series: Object|null}>}
+ *   series: { _id, name, slug, volume, volumes, previous, next }; previous and
+ *   next are { volume, book } or null
+ */
+export const getEditionInfo = async (book) => {
+  if (!book.work) return { editions: [], series: null };
+
+  const work = await Work.findById(book.work).lean();
+  if (!work) return { editions: [], series: null };
+
+  const editions = await getEditions(work._id);
+  if (!work.series) return { editions, series: null };
+
+  const series = await Series.findById(work.series).lean();
+  if (!series) return { editions, series: null };
+
+  const volumes = await getSeriesVolumes(series._id);
+  const index = volumes.findIndex((volume) => String(volume.work._id) === String(work._id));
+
+  return {
+    editions,
+    series: {
+      _id: series._id,
+      name: series.name,
+      slug: series.slug,
+      volume: work.seriesVolume,
+      volumes: volumes.length,
+      previous: index > 0 ? volumeSummary(volumes[index - 1]) : null,
+      next: index !== -1 && index < volumes.length - 1 ? volumeSummary(volumes[index + 1]) : null,
+    },
+  };
+};
+
+/**
+ * Get a work
+ * @param {string} id - MongoDB ID of the work
+ * @returns {Promise<Object>} Work document
+ * @throws {NotFoundError} If the work doesn't exist
+ */
+export const getWorkById = async (id) => {
+  const work = await Work.findById(id);
+  if (!work) {
+    throw new NotFoundError('Work not found');
+  }
+  return work;
+};
+
+/**
+ * Get a work with its editions and series
+ * @param {string} id - MongoDB ID of the work
+ * @returns {Promise<Object>} { ...work, series (populated), editions }
+ * @throws {NotFoundError} If the work doesn't exist
+ */
+export const getWorkWithEditions = async (id) => {
+  const work = await Work.findById(id).populate('series', 'name slug').lean();
+  if (!work) {
+    throw new NotFoundError('Work not found');
+  }
+  return { ...work, editions: await getEditions(work._id) };
+};
+
+/**
+ * Check a series exists before a work joins it
+ * @param {string|null} seriesId - MongoDB ID of the series, or null to leave it
+ * @throws {BadRequestError} If there's no such series
+ */
+const assertSeriesExists = async (seriesId) => {
+  if (seriesId && !(await Series.exists({ _id: seriesId }))) {
+    throw new BadRequestError('Series not found');
+  }
+};
+
+/**
+ * Check a work exists before a book is made an edition of it
+ * @param {string|null} workId - MongoDB ID of the work, or null for a standalone book
+ * @throws {BadRequestError} If there's no such work
+ */
+export const assertWorkExists = async (workId) => {
+  if (workId && !(await Work.exists({ _id: workId }))) {
+    throw new BadRequestError('Work not found');
+  }
+};
+
+/**
+ * Make the given books the editions of a work
+ * Books in another work move to this one; books of this work left out of
+ * the list stop being editions of it.
+ * @param {Object} work - Work document
+ * @param {Array<string>} bookIds - MongoDB IDs of the editions
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If a book doesn't exist
+ */
+const setEditions = async (work, bookIds) => {
+  const ids = [...new Set(bookIds.map(String))];
+  const found = await Book.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw new BadRequestError('Some of the books were not found');
+  }
+
+  await Book.updateMany(
+    { work: work._id, _id: { $nin: ids } },
+    { $set: { work: null } }
+  ).setOptions({ includeDeleted: true });
+  await Book.updateMany({ _id: { $in: ids } }, { $set: { work: work._id } });
+};
+
+/**
+ * Group books as editions of one work
+ * @param {Object} data - { bookIds, title?, series?, seriesVolume? }; the title
+ *   defaults to the first book's
+ * @returns {Promise<Object>} The work with its editions
+ * @throws {BadRequestError} If a book or the series doesn't exist
+ */
+export const createWork = async ({ bookIds, title, series = null, seriesVolume = null }) => {
+  const first = await Book.findById(bookIds[0]).select('title').lean();
+  if (!first) {
+    throw new BadRequestError('Some of the books were not found');
+  }
+  await assertSeriesExists(series);
+
+  const work = new Work({ title: title || first.title, series, seriesVolume });
+  await setEditions(work, bookIds);
+  await work.save();
+
+  logger.info('Work created', { workId: work._id, editions: bookIds.length });
+  return getWorkWithEditions(work._id);
+};
+
+/**
+ * Update a work: its title, series and volume, or which books are its editions
+ * @param {string} id - MongoDB ID of the work
+ * @param {Object} data - { title?, series?, seriesVolume?, bookIds? }
+ * @returns {Promise<Object>} The work with its editions
+ * @throws {NotFoundError} If the work doesn't exist
+ * @throws {BadRequestError} If a book or the series doesn't exist
+ */
+export const updateWork = async (id, { bookIds, ...changes }) => {
+  const work = await getWorkById(id);
+  if (changes.series !== undefined) await assertSeriesExists(changes.series);
+
+  work.set(changes);
+  if (bookIds) await setEditions(work, bookIds);
+  await work.save();
+
+  logger.info('Work updated', {
+    workId: id,
+    fields: Object.keys(changes),
+    editions: bookIds?.length,
+  });
+  return getWorkWithEditions(work._id);
+};
+
+/**
+ * Delete a work; its editions become standalone books
+ * @param {string} id - MongoDB ID of the work
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the work doesn't exist
+ */
+export const deleteWork = async (id) => {
+  const work = await getWorkById(id);
+  await Book.updateMany({ work: work._id }, { $set: { work: null } }).setOptions({
+    includeDeleted: true,
+  });
+  await work.deleteOne();
+  logger.info('Work deleted', { workId: id });
+};
+
+// Bracketed notes about the edition, not the text: "(2nd Edition)",
+// "(Revised 2024)", "(ନୂଆ ସଂସ୍କରଣ)". Other notes like "(Part II)" or
+// "(ଦ୍ବିତୀୟ ସ୍ତବକ)" name a different volume and stay in the key.
+const EDITION_NOTE =
+  /\([^)]*(?:\bedition\b|\brevised\b|\breprint\b|\bpaperback\b|\bhardcover\b|\bhardback\b|ସଂସ୍କରଣ)[^)]*\)/giu;
+
+/**
+ * Key two editions of one title share: the title by sound, without edition
+ * notes, plus the authors
+ * @param {Object} book - Lean book
+ * @returns {string} Key
+ */
+export const editionKey = (book) => {
+  const title = normaliseText(book.title?.display).replace(EDITION_NOTE, ' ');
+  const author = book.authorIds?.length
+    ? book.authorIds.map(String).sort().join(',')
+    : phoneticKey(romaniseOdia(normaliseText(book.author || '')));
+  return `${phoneticKey(romaniseOdia(title)).replace(/\s+/g, '')}|${author}`;
+};
+
+/**
+ * Group books that are editions of one title into works (the works migration)
+ * Only books without a work are looked at, and only titles with two or more
+ * such books become works. Editions are matched by title and author (see
+ * editionKey), so check the report with a dry run first.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing
+ * @returns {Promise<Object>} { dryRun, works: [{ title, books }], booksGrouped }
+ */
+export const groupEditions = async ({ dryRun = false } = {}) => {
+  const books = await Book.find({ work: null })
+    .select('title author authorIds createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const groups = new Map();
+  books.forEach((book) => {
+    const key = editionKey(book);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(book);
+  });
+  const editions = [...groups.values()].filter((group) => group.length > 1);
+
+  const report = {
+    dryRun,
+    works: editions.map((group) => ({ title: group[0].title.display, books: group.length })),
+    booksGrouped: editions.reduce((sum, group) => sum + group.length, 0),
+  };
+  if (dryRun || editions.length === 0) return report;
+
+  const works = await Work.insertMany(editions.map((group) => ({ title: group[0].title })));
+  const operations = editions.map((group, index) => ({
+    updateMany: {
+      filter: { _id: { $in: group.map((book) => book._id) } },
+      update: { $set: { work: works[index]._id } },
+    },
+  }));
+  await Book.bulkWrite(operations, { ordered: false });
+  await emitBulkWriteChanges(operations);
+
+  logger.info('Editions grouped into works', {
+    works: works.length,
+    booksGrouped: report.booksGrouped,
+  });
+  return report;
+};
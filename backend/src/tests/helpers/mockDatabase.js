@@ -1,15 +1,20 @@
 // eslint-disable-next-line import/no-extraneous-dependencies
-import { MongoMemoryServer } from 'mongodb-memory-server';
+import { MongoMemoryReplSet, MongoMemoryServer } from 'mongodb-memory-server';
 import mongoose from 'mongoose';
 
 let mongoServer;
 
 /**
  * Connect to in-memory MongoDB for testing
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.replSet=false] - Start a one-node replica set, for code
+ *   that runs in transactions (e.g. placing and cancelling orders)
  */
-export const connectTestDB = async () => {
+export const connectTestDB = async ({ replSet = false } = {}) => {
   try {
-    mongoServer = await MongoMemoryServer.create();
+    mongoServer = replSet
+      ? await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } })
+      : await MongoMemoryServer.create();
     const mongoUri = mongoServer.getUri();
 
     await mongoose.connect(mongoUri, {
@@ -0,0 +1,45 @@
+import { config, validateConfig, DEV_PAYMENT_WEBHOOK_SECRET } from '../../../config/env.js';
+
+describe('validateConfig', () => {
+  const original = { ...config };
+
+  afterEach(() => {
+    Object.assign(config, original);
+  });
+
+  const production = (overrides) =>
+    Object.assign(config, {
+      NODE_ENV: 'production',
+      PAYMENT_PROVIDER: 'razorpay',
+      PAYMENT_WEBHOOK_SECRET: 'a-secret-of-our-own',
+      ...overrides,
+    });
+
+  it('should accept a production setup with a real gateway and its own secret', () => {
+    production();
+
+    expect(() => validateConfig()).not.toThrow();
+  });
+
+  it('should refuse the mock gateway in production', () => {
+    production({ PAYMENT_PROVIDER: 'mock' });
+
+    expect(() => validateConfig()).toThrow('PAYMENT_PROVIDER');
+  });
+
+  it('should refuse the public default webhook secret in production', () => {
+    production({ PAYMENT_WEBHOOK_SECRET: DEV_PAYMENT_WEBHOOK_SECRET });
+
+    expect(() => validateConfig()).toThrow('PAYMENT_WEBHOOK_SECRET');
+  });
+
+  it('should allow both in development', () => {
+    Object.assign(config, {
+      NODE_ENV: 'development',
+      PAYMENT_PROVIDER: 'mock',
+      PAYMENT_WEBHOOK_SECRET: DEV_PAYMENT_WEBHOOK_SECRET,
+    });
+
+    expect(() => validateConfig()).not.toThrow();
+  });
+});
@@ -2,11 +2,14 @@ import request from 'supertest';
 import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
 import { createTestAdmin, createTestUser } from '../../helpers/authHelpers.js';
 import { createTestBook, createTestBooks } from '../../helpers/factories.js';
+import Book from '../../../models/Book.js';
+import StockMovement from '../../../models/StockMovement.js';
 import app from '../../../server.js';
 
 describe('BookController', () => {
   beforeAll(async () => {
-    await connectTestDB();
+    // Book edits are saved in transactions
+    await connectTestDB({ replSet: true });
   });
 
   afterAll(async () => {
@@ -50,6 +53,20 @@ describe('BookController', () => {
       expect(response.body.data[0].title).toContain('Unique');
     });
 
+    it('should rank a search by relevance unless another sort is asked for', async () => {
+      await createTestBook({ title: 'Paraja', isbn: 'rel-1' });
+      await createTestBook({ title: 'Paraja Kahani', isbn: 'rel-2' });
+      const titles = (response) => response.body.data.map((book) => book.title);
+
+      const ranked = await request(app).get('/api/books?search=Paraja').expect(200);
+      const newest = await request(app)
+        .get('/api/books?search=Paraja&sortBy=createdAt&sortOrder=desc')
+        .expect(200);
+
+      expect(titles(ranked)).toEqual(['Paraja', 'Paraja Kahani']);
+      expect(titles(newest)).toEqual(['Paraja Kahani', 'Paraja']);
+    });
+
     it('should sort books by price ascending', async () => {
       const response = await request(app).get('/api/books?sortBy=price&sortOrder=asc').expect(200);
 
@@ -153,6 +170,24 @@ describe('BookController', () => {
       expect(response.body.data.price).toBe(bookData.price);
     });
 
+    it('should reject an out-of-range lead time', async () => {
+      const response = await request(app)
+        .post('/api/books')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          title: 'Slow Book',
+          author: 'Test Author',
+          description: 'Takes a while to reorder',
+          price: 299,
+          category: 'Fiction',
+          leadTimeDays: 400,
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Lead time must be between 0 and 365 days');
+      expect(await Book.countDocuments()).toBe(0);
+    });
+
     it('should return 401 without authentication', async () => {
       const bookData = {
         title: 'Unauthorized Book',
@@ -212,6 +247,58 @@ describe('BookController', () => {
       expect(response.body.data.stock).toBe(50);
     });
 
+    it('should refuse a stock edit made against stale stock', async () => {
+      // An order took a copy after the form was loaded at 10
+      await Book.updateOne({ _id: testBook._id }, { $inc: { stock: -1 } });
+
+      const response = await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ price: 399, stock: 12, expectedStock: 10 })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect((await Book.findById(testBook._id)).stock).toBe(9);
+    });
+
+    it('should take expectedStock as sent by a form', async () => {
+      const response = await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: '12', expectedStock: '10' })
+        .expect(200);
+
+      expect(response.body.data.stock).toBe(12);
+      const [movement] = await StockMovement.find({ book: testBook._id });
+      expect(movement).toMatchObject({ reason: 'adjustment', change: 2, stockAfter: 12 });
+    });
+
+    it('should reject negative and fractional stock', async () => {
+      await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: -3 })
+        .expect(400);
+      await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 2.5 })
+        .expect(400);
+
+      expect((await Book.findById(testBook._id)).stock).toBe(10);
+    });
+
+    it('should leave the stock alone when another field is invalid', async () => {
+      await request(app)
+        .put(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 12, expectedStock: 10, language: 'Klingon' })
+        .expect(400);
+
+      expect((await Book.findById(testBook._id)).stock).toBe(10);
+      expect(await StockMovement.countDocuments({ book: testBook._id })).toBe(0);
+    });
+
     it('should return 404 for non-existent book', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
 
@@ -269,6 +356,43 @@ describe('BookController', () => {
       await request(app).get(`/api/books/${testBook._id}`).expect(404);
     });
 
+    it('should restore a deleted book and record both in its history', async () => {
+      await request(app)
+        .delete(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/books/${testBook._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await request(app).get(`/api/books/${testBook._id}`).expect(200);
+
+      const history = await request(app)
+        .get(`/api/books/${testBook._id}/history`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(history.body.data.map((version) => version.action)).toEqual(['restore', 'delete']);
+    });
+
+    it('should restore from the trash page route as well', async () => {
+      await request(app)
+        .delete(`/api/books/${testBook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/admin/trash/books/${testBook._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/books/${testBook._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
     it('should return 404 for non-existent book', async () => {
       const fakeId = '507f1f77bcf86cd799439011';
 
@@ -0,0 +1,286 @@
+import mongoose from 'mongoose';
+import request from 'supertest';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import { createTestAdmin, createTestUser } from '../../helpers/authHelpers.js';
+import { createTestBook } from '../../helpers/factories.js';
+import Book from '../../../models/Book.js';
+import Coupon from '../../../models/Coupon.js';
+import Order from '../../../models/Order.js';
+import SalePurchase from '../../../models/SalePurchase.js';
+import StockMovement from '../../../models/StockMovement.js';
+import StockReservation from '../../../models/StockReservation.js';
+import { expireUnpaidOrders } from '../../../services/orderService.js';
+import { createCampaign } from '../../../services/saleCampaignService.js';
+import app from '../../../server.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The order flow end to end: placing an order through POST /api/orders and
+ * what the other features (stock, coupons, sale caps, reservations) do with it
+ */
+describe('Order flow', () => {
+  beforeAll(async () => {
+    // Orders are placed and cancelled in transactions
+    await connectTestDB({ replSet: true });
+  });
+
+  afterAll(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+  });
+
+  const placeOrder = (items, { token, ...body } = {}) => {
+    const req = request(app).post('/api/orders');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send({
+      customerName: 'Sita Das',
+      customerPhone: '9876543210',
+      customerAddress: 'Plot 12, Saheed Nagar, Bhubaneswar 751007',
+      items,
+      ...body,
+    });
+  };
+
+  const cancel = (orderId, token) =>
+    request(app)
+      .put(`/api/orders/${orderId}/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ reason: 'Changed my mind' });
+
+  describe('POST /api/orders', () => {
+    it('should make a signed-in customer the owner of their order', async () => {
+      const { user, token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-1', stock: 5 });
+
+      const response = await placeOrder([{ bookId: book._id, quantity: 2 }], { token }).expect(201);
+
+      expect(String((await Order.findById(response.body.data._id)).user)).toBe(String(user.id));
+      expect((await Book.findById(book._id)).stock).toBe(3);
+      const [movement] = await StockMovement.find({ order: response.body.data._id });
+      expect(movement).toMatchObject({ reason: 'sale', change: -2, stockAfter: 3 });
+    });
+
+    it('should leave guest orders without an owner', async () => {
+      const book = await createTestBook({ isbn: 'ord-2', stock: 5 });
+
+      const response = await placeOrder([{ bookId: book._id, quantity: 1 }]).expect(201);
+
+      expect((await Order.findById(response.body.data._id)).user).toBeNull();
+    });
+
+    it("should hold a signed-in customer to a coupon's per-customer limit", async () => {
+      const { token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-7', stock: 5, price: { original: 300 } });
+      await Coupon.create({ code: 'WELCOME', type: 'flat', value: 50 });
+
+      await placeOrder([{ bookId: book._id, quantity: 1 }], {
+        token,
+        couponCode: 'WELCOME',
+      }).expect(201);
+      // A different phone number doesn't make it a different customer
+      const response = await placeOrder([{ bookId: book._id, quantity: 1 }], {
+        token,
+        couponCode: 'WELCOME',
+        customerPhone: '9000000000',
+      }).expect(400);
+
+      expect(response.body.message).toBe('You have already used this coupon');
+      expect((await Book.findById(book._id)).stock).toBe(4);
+    });
+  });
+
+  describe('Checkout reservations', () => {
+    const reserve = (items, token) =>
+      request(app)
+        .post('/api/orders/reservations')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ items });
+
+    it("should turn the customer's hold into the sale and keep it from others", async () => {
+      const { token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-9', stock: 2 });
+      const items = [{ bookId: book._id, quantity: 2 }];
+      const held = await reserve(items, token).expect(201);
+
+      // A guest can't buy the held copies
+      await placeOrder([{ bookId: book._id, quantity: 1 }], {
+        customerPhone: '9000000000',
+      }).expect(400);
+
+      await placeOrder(items, { token, checkoutId: held.body.data.checkoutId }).expect(201);
+
+      expect((await Book.findById(book._id)).stock).toBe(0);
+      expect(await StockReservation.countDocuments()).toBe(0);
+    });
+
+    it("should count a signed-in customer's own holds as theirs to buy", async () => {
+      const { token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-10', stock: 2 });
+      await reserve([{ bookId: book._id, quantity: 2 }], token).expect(201);
+
+      // The web app lost the checkout ID, but the holds are the customer's
+      await placeOrder([{ bookId: book._id, quantity: 2 }], { token }).expect(201);
+
+      expect((await Book.findById(book._id)).stock).toBe(0);
+    });
+  });
+
+  describe('Sale campaign caps', () => {
+    it('should hold a signed-in customer to the cap whatever phone they order with', async () => {
+      const { token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-8', stock: 10, price: { original: 300 } });
+      await createCampaign(
+        {
+          name: 'Flash Sale',
+          discountType: 'percent',
+          value: 50,
+          books: [book._id],
+          perCustomerLimit: 2,
+          startsAt: new Date(Date.now() - HOUR_MS),
+          endsAt: new Date(Date.now() + HOUR_MS),
+        },
+        new mongoose.Types.ObjectId()
+      );
+
+      const placed = await placeOrder([{ bookId: book._id, quantity: 2 }], { token }).expect(201);
+      expect(placed.body.data.items[0].price).toBe(150);
+
+      const response = await placeOrder([{ bookId: book._id, quantity: 1 }], {
+        token,
+        customerPhone: '9000000000',
+      }).expect(400);
+
+      expect(response.body.message).toContain('you have reached the limit');
+      expect((await Book.findById(book._id)).stock).toBe(8);
+    });
+  });
+
+  describe('PUT /api/orders/:id/cancel', () => {
+    it('should let customers cancel their own order and give everything back', async () => {
+      const { token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-3', stock: 5, price: { original: 300 } });
+      await Coupon.create({ code: 'WELCOME', type: 'flat', value: 50 });
+      await createCampaign(
+        {
+          name: 'Flash Sale',
+          discountType: 'percent',
+          value: 50,
+          books: [book._id],
+          perCustomerLimit: 2,
+          startsAt: new Date(Date.now() - HOUR_MS),
+          endsAt: new Date(Date.now() + HOUR_MS),
+        },
+        new mongoose.Types.ObjectId()
+      );
+      const placed = await placeOrder([{ bookId: book._id, quantity: 2 }], {
+        token,
+        couponCode: 'WELCOME',
+      }).expect(201);
+      expect((await Coupon.findOne({ code: 'WELCOME' })).usedCount).toBe(1);
+      // Counted against the account and the phone number
+      const counted = async () => (await SalePurchase.find()).map((counter) => counter.quantity);
+      expect(await counted()).toEqual([2, 2]);
+
+      const response = await cancel(placed.body.data._id, token).expect(200);
+
+      expect(response.body.data.status).toBe('Cancelled');
+      expect((await Book.findById(book._id)).stock).toBe(5);
+      expect((await Coupon.findOne({ code: 'WELCOME' })).usedCount).toBe(0);
+      expect(await counted()).toEqual([0, 0]);
+      const movements = await StockMovement.find({ order: placed.body.data._id }).sort('createdAt');
+      expect(movements.map((movement) => [movement.reason, movement.change])).toEqual([
+        ['sale', -2],
+        ['cancellation', 2],
+      ]);
+    });
+
+    it("should refuse to cancel someone else's order", async () => {
+      const owner = await createTestUser();
+      const other = await createTestUser({ email: 'other@example.com' });
+      const book = await createTestBook({ isbn: 'ord-4', stock: 5 });
+      const placed = await placeOrder([{ bookId: book._id, quantity: 1 }], {
+        token: owner.token,
+      }).expect(201);
+
+      await cancel(placed.body.data._id, other.token).expect(403);
+
+      expect((await Order.findById(placed.body.data._id)).status).toBe('Pending');
+      expect((await Book.findById(book._id)).stock).toBe(4);
+    });
+
+    it('should refuse to cancel once the order has shipped', async () => {
+      const { token } = await createTestUser();
+      const book = await createTestBook({ isbn: 'ord-5', stock: 5 });
+      const placed = await placeOrder([{ bookId: book._id, quantity: 1 }], { token }).expect(201);
+      await Order.updateOne({ _id: placed.body.data._id }, { status: 'Shipped' });
+
+      await cancel(placed.body.data._id, token).expect(400);
+
+      expect((await Book.findById(book._id)).stock).toBe(4);
+    });
+  });
+
+  describe('Unpaid online orders', () => {
+    it('should cancel orders never paid for within the TTL and return their stock', async () => {
+      const book = await createTestBook({ isbn: 'ord-11', stock: 5 });
+      const unpaid = await placeOrder([{ bookId: book._id, quantity: 2 }], {
+        paymentMethod: 'upi',
+      }).expect(201);
+      const cod = await placeOrder([{ bookId: book._id, quantity: 1 }], {
+        customerPhone: '9000000000',
+      }).expect(201);
+      expect((await Book.findById(book._id)).stock).toBe(2);
+
+      // Still within the TTL
+      expect(await expireUnpaidOrders({ ttlMinutes: 60 })).toMatchObject({ expired: 0 });
+
+      const stats = await expireUnpaidOrders({
+        ttlMinutes: 60,
+        now: new Date(Date.now() + 2 * HOUR_MS),
+      });
+
+      expect(stats).toEqual({ expired: 1, waiting: 0, skipped: 0 });
+      const expired = await Order.findById(unpaid.body.data._id);
+      expect(expired.status).toBe('Cancelled');
+      expect(expired.statusHistory.at(-1).actorRole).toBe('system');
+      expect((await Order.findById(cod.body.data._id)).status).toBe('Pending');
+      expect((await Book.findById(book._id)).stock).toBe(4);
+    });
+  });
+
+  describe('Reviews of ordered books', () => {
+    const review = (bookId, token) =>
+      request(app)
+        .post(`/api/books/${bookId}/reviews`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ rating: 5, comment: 'Arrived quickly and well packed.' });
+
+    it('should count a delivered order as a verified purchase', async () => {
+      const { token } = await createTestUser();
+      const { token: adminToken } = await createTestAdmin();
+      const book = await createTestBook({ isbn: 'ord-6', stock: 5 });
+      const placed = await placeOrder([{ bookId: book._id, quantity: 1 }], { token }).expect(201);
+
+      await review(book._id, token).expect(403);
+
+      await ['Confirmed', 'Processing', 'Shipped', 'Delivered'].reduce(
+        (previous, status) =>
+          previous.then(() =>
+            request(app)
+              .put(`/api/orders/${placed.body.data._id}/status`)
+              .set('Authorization', `Bearer ${adminToken}`)
+              .send({ status })
+              .expect(200)
+          ),
+        Promise.resolve()
+      );
+
+      const response = await review(book._id, token).expect(201);
+      expect(response.body.data.review.verified).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import request from 'supertest';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import { createTestAdmin, createTestUser } from '../../helpers/authHelpers.js';
+import { createTestBook } from '../../helpers/factories.js';
+import Book from '../../../models/Book.js';
+import Order from '../../../models/Order.js';
+import app from '../../../server.js';
+
+const createOrderFor = (userId, book, status) =>
+  Order.create({
+    user: userId,
+    customerName: 'Test User',
+    customerPhone: '9876543210',
+    customerAddress: '123 Test Street, Bhubaneswar',
+    items: [{ bookId: book._id, quantity: 1, price: 299, title: 'Review Book' }],
+    totalAmount: 349,
+    status,
+  });
+
+describe('ReviewController', () => {
+  let book;
+  let user;
+  let userToken;
+
+  beforeAll(async () => {
+    await connectTestDB();
+  });
+
+  afterAll(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+    book = await createTestBook({
+      title: { display: 'Review Book' },
+      price: { original: 299, discounted: 299 },
+    });
+    ({ user, token: userToken } = await createTestUser());
+  });
+
+  describe('POST /api/books/:id/reviews', () => {
+    it('should create a verified review and recompute the book rating', async () => {
+      await createOrderFor(user.id, book, 'Delivered');
+
+      const response = await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 4, comment: 'A wonderful read, well printed.' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.review.verified).toBe(true);
+      expect(response.body.data.rating).toBe(4);
+
+      const updated = await Book.findById(book._id);
+      expect(updated.rating).toBe(4);
+      expect(updated.reviewCount).toBe(1);
+    });
+
+    it('should return 403 when the order has not been delivered', async () => {
+      await createOrderFor(user.id, book, 'Shipped');
+
+      const response = await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 5, comment: 'Cannot review before delivery.' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 409 for a second review by the same user', async () => {
+      await createOrderFor(user.id, book, 'Delivered');
+      const review = { rating: 5, comment: 'Loved every page of it.' };
+
+      await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(review)
+        .expect(201);
+
+      await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(review)
+        .expect(409);
+    });
+
+    it('should return 400 for an out-of-range rating', async () => {
+      await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 7, comment: 'Rating is out of range.' })
+        .expect(400);
+    });
+
+    it('should return 401 without authentication', async () => {
+      await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .send({ rating: 4, comment: 'Anonymous review attempt.' })
+        .expect(401);
+    });
+  });
+
+  describe('GET /api/books/:id/reviews', () => {
+    beforeEach(async () => {
+      await createOrderFor(user.id, book, 'Delivered');
+      await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 5, comment: 'Excellent translation and notes.' });
+    });
+
+    it('should list reviews with summary and pagination', async () => {
+      const response = await request(app).get(`/api/books/${book._id}/reviews`).expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.summary.distribution['5']).toBe(1);
+      expect(response.body.pagination).toHaveProperty('total', 1);
+    });
+
+    it('should filter reviews by star rating', async () => {
+      const response = await request(app)
+        .get(`/api/books/${book._id}/reviews?rating=3`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('PUT and DELETE /api/books/:id/reviews', () => {
+    beforeEach(async () => {
+      await createOrderFor(user.id, book, 'Delivered');
+      await request(app)
+        .post(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 2, comment: 'Binding came loose quickly.' });
+    });
+
+    it('should update the user review and rating', async () => {
+      const response = await request(app)
+        .put(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 3 })
+        .expect(200);
+
+      expect(response.body.data.rating).toBe(3);
+    });
+
+    it('should delete the user review and reset the rating', async () => {
+      await request(app)
+        .delete(`/api/books/${book._id}/reviews`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      const updated = await Book.findById(book._id);
+      expect(updated.reviews).toHaveLength(0);
+      expect(updated.rating).toBe(0);
+    });
+
+    it('should let an admin remove any review by ID', async () => {
+      const { token: adminToken } = await createTestAdmin();
+      const { reviews } = await Book.findById(book._id);
+
+      await request(app)
+        .delete(`/api/books/${book._id}/reviews/${reviews[0]._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+    });
+  });
+});
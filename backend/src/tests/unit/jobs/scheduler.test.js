@@ -0,0 +1,23 @@
+import { msUntilNext } from '../../../jobs/scheduler.js';
+
+describe('Scheduler', () => {
+  describe('msUntilNext', () => {
+    it('should wait until later today when the time has not passed', () => {
+      const from = new Date(2024, 0, 10, 1, 30);
+
+      expect(msUntilNext(2, 0, from)).toBe(30 * 60 * 1000);
+    });
+
+    it('should wait until tomorrow when the time has passed', () => {
+      const from = new Date(2024, 0, 10, 3, 0);
+
+      expect(msUntilNext(2, 0, from)).toBe(23 * 60 * 60 * 1000);
+    });
+
+    it('should never return zero', () => {
+      const from = new Date(2024, 0, 10, 2, 0);
+
+      expect(msUntilNext(2, 0, from)).toBe(24 * 60 * 60 * 1000);
+    });
+  });
+});
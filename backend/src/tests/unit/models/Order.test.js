@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import Order from '../../../models/Order.js';
+import { BadRequestError } from '../../../utils/errors.js';
+
+const buildOrder = (status = 'Pending') =>
+  new Order({
+    customerName: 'Test User',
+    customerPhone: '9876543210',
+    customerAddress: '123 Test Street, Bhubaneswar',
+    items: [],
+    totalAmount: 100,
+    status,
+  });
+
+describe('Order status state machine', () => {
+  describe('canTransition', () => {
+    it('should allow the forward path', () => {
+      expect(Order.canTransition('Pending', 'Confirmed')).toBe(true);
+      expect(Order.canTransition('Confirmed', 'Processing')).toBe(true);
+      expect(Order.canTransition('Processing', 'Shipped')).toBe(true);
+      expect(Order.canTransition('Shipped', 'Delivered')).toBe(true);
+    });
+
+    it('should reject backwards and terminal jumps', () => {
+      expect(Order.canTransition('Delivered', 'Pending')).toBe(false);
+      expect(Order.canTransition('Cancelled', 'Shipped')).toBe(false);
+      expect(Order.canTransition('Shipped', 'Cancelled')).toBe(false);
+      expect(Order.canTransition('Pending', 'Delivered')).toBe(false);
+    });
+  });
+
+  describe('transitionTo', () => {
+    it('should update status and append a history entry', () => {
+      const order = buildOrder('Pending');
+      const adminId = new mongoose.Types.ObjectId();
+
+      order.transitionTo('Confirmed', { actor: { id: adminId, role: 'admin' }, note: 'Paid' });
+
+      expect(order.status).toBe('Confirmed');
+      const last = order.statusHistory[order.statusHistory.length - 1];
+      expect(last.status).toBe('Confirmed');
+      expect(last.actorRole).toBe('admin');
+      expect(last.changedBy.toString()).toBe(adminId.toString());
+      expect(last.note).toBe('Paid');
+    });
+
+    it('should mark the order delivered', () => {
+      const order = buildOrder('Shipped');
+
+      order.transitionTo('Delivered');
+
+      expect(order.isDelivered).toBe(true);
+      expect(order.deliveredAt).toBeInstanceOf(Date);
+      expect(order.statusHistory[0].actorRole).toBe('system');
+    });
+
+    it('should throw BadRequestError for a disallowed transition', () => {
+      const order = buildOrder('Delivered');
+
+      expect(() => order.transitionTo('Pending')).toThrow(BadRequestError);
+      expect(order.status).toBe('Delivered');
+      expect(order.statusHistory).toHaveLength(0);
+    });
+
+    it('should list allowed next statuses', () => {
+      expect(buildOrder('Processing').allowedTransitions()).toEqual(['Shipped', 'Cancelled']);
+      expect(buildOrder('Cancelled').allowedTransitions()).toEqual([]);
+    });
+  });
+
+  describe('markPaid', () => {
+    it('should record the payment and confirm a Pending order', () => {
+      const paidAt = new Date();
+      const order = buildOrder().markPaid({ method: 'upi', paidAt });
+
+      expect(order.isPaid).toBe(true);
+      expect(order.paidAt).toEqual(paidAt);
+      expect(order.paymentMethod).toBe('upi');
+      expect(order.status).toBe('Confirmed');
+      expect(order.statusHistory[0].note).toBe('Payment received (UPI)');
+    });
+
+    it('should leave a later status alone', () => {
+      const order = buildOrder('Shipped').markPaid({ method: 'cod', paidAt: new Date() });
+
+      expect(order.isPaid).toBe(true);
+      expect(order.status).toBe('Shipped');
+      expect(order.statusHistory).toHaveLength(0);
+    });
+  });
+});
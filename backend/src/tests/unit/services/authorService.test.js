@@ -0,0 +1,138 @@
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  createAuthor,
+  initialsKey,
+  linkBookAuthors,
+  listAuthors,
+  nameKey,
+  resolveAuthorIds,
+  slugify,
+  splitAuthorCredit,
+} from '../../../services/authorService.js';
+import { authorNameParts } from '../../../services/searchQueryParser.js';
+import Author from '../../../models/Author.js';
+import Book from '../../../models/Book.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const words = (name) => authorNameParts(name)[0];
+
+const senapati = {
+  name: { display: 'Fakir Mohan Senapati', english: 'Fakir Mohan Senapati' },
+  epithet: { english: 'Father of Modern Odia Literature' },
+  birthYear: 1843,
+  deathYear: 1918,
+  isFeatured: true,
+};
+
+describe('AuthorService', () => {
+  describe('name keys', () => {
+    it('should give Odia and English spellings of a name the same key', () => {
+      const key = nameKey(words('Fakir Mohan Senapati'));
+
+      expect(nameKey(words('ଫକୀରମୋହନ ସେନାପତି'))).toBe(key);
+      expect(nameKey(words('ଫକୀର ମୋହନ ସେନାପତି'))).toBe(key);
+      expect(nameKey(words('Gopinath Mohanty'))).toBe(nameKey(words('ଗୋପୀନାଥ ମହାନ୍ତି')));
+    });
+
+    it('should match initials to full given names', () => {
+      expect(initialsKey(words('F. M. Senapati'))).toBe(initialsKey(words('Fakir Mohan Senapati')));
+      expect(initialsKey(words('Senapati'))).toBeNull();
+    });
+  });
+
+  describe('splitAuthorCredit', () => {
+    it('should split co-authors and drop honorifics and roles', () => {
+      expect(
+        splitAuthorCredit('ଡଃ. ବିଜୟାନନ୍ଦ ସିଂହ ଓ ଡଃ. ନିରଞ୍ଜନ ସାହୁ (ସମ୍ପାଦନା)').map(
+          ({ name }) => name
+        )
+      ).toEqual(['ବିଜୟାନନ୍ଦ ସିଂହ', 'ନିରଞ୍ଜନ ସାହୁ']);
+      expect(splitAuthorCredit('ରବିନାରାୟଣ ସେନାପତି, I.A.S.').map(({ name }) => name)).toEqual([
+        'ରବିନାରାୟଣ ସେନାପତି',
+      ]);
+    });
+
+    it('should credit nobody for placeholders', () => {
+      expect(splitAuthorCredit('Not specified')).toEqual([]);
+      expect(splitAuthorCredit('')).toEqual([]);
+    });
+  });
+
+  describe('slugify', () => {
+    it('should spell romanised Odia names the usual way', () => {
+      expect(slugify('Fakir Mohan Senapati')).toBe('fakir-mohan-senapati');
+      expect(slugify('ରବିନାରାୟଣ ସେନାପତି')).toBe('rabinarayan-senapati');
+      expect(slugify('ମନୋରମା ମହାପାତ୍ର')).toBe('manorama-mahapatra');
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    it('should link every spelling of a name to one author', async () => {
+      await createTestBook({ isbn: 'a-1', author: 'ଫକୀରମୋହନ ସେନାପତି' });
+      await createTestBook({ isbn: 'a-2', author: 'F. M. Senapati' });
+      await createTestBook({ isbn: 'a-3', author: 'ଡକ୍ଟର ସଦାଶିବ ମିଶ୍ର' });
+      await createTestBook({ isbn: 'a-4', author: 'Not specified' });
+
+      const report = await linkBookAuthors({ profiles: [senapati] });
+
+      expect(report.booksLinked).toBe(3);
+      expect(report.authorsCreated).toEqual(['Fakir Mohan Senapati', 'ସଦାଶିବ ମିଶ୍ର']);
+
+      const author = await Author.findOne({ slug: 'fakir-mohan-senapati' });
+      expect(author.name.odia).toBe('ଫକୀରମୋହନ ସେନାପତି');
+      expect(author.aliases).toEqual(['F. M. Senapati']);
+      expect(author.isFeatured).toBe(true);
+      expect(await Book.countDocuments({ authorIds: author._id })).toBe(2);
+      expect(await Book.countDocuments({ authorIds: { $size: 0 } })).toBe(1);
+    });
+
+    it('should change nothing on a dry run', async () => {
+      await createTestBook({ isbn: 'a-1', author: 'Gopinath Mohanty' });
+
+      const report = await linkBookAuthors({ dryRun: true });
+
+      expect(report.authorsCreated).toEqual(['Gopinath Mohanty']);
+      expect(await Author.countDocuments()).toBe(0);
+    });
+
+    it('should leave a credit unlinked when the initials fit several authors', async () => {
+      await createAuthor({ name: { display: 'Bijay Kumar Mishra' } });
+      await createAuthor({ name: { display: 'Bimal Kumar Mishra' } });
+
+      expect(await resolveAuthorIds('B. K. Mishra')).toEqual([]);
+    });
+
+    it('should refuse a second author with the same name in another script', async () => {
+      await createAuthor({ name: { display: 'Gopinath Mohanty' } });
+
+      await expect(createAuthor({ name: { display: 'ଗୋପୀନାଥ ମହାନ୍ତି' } })).rejects.toThrow(
+        'Gopinath Mohanty already goes by one of these names'
+      );
+    });
+
+    it('should find authors by either script and count their books', async () => {
+      const author = await createAuthor({
+        name: { display: 'Gopinath Mohanty', odia: 'ଗୋପୀନାଥ ମହାନ୍ତି' },
+      });
+      await createTestBook({ isbn: 'a-1', author: 'ଗୋପୀନାଥ ମହାନ୍ତି', authorIds: [author._id] });
+
+      const { authors } = await listAuthors({ search: 'gopinath' });
+
+      expect(authors).toHaveLength(1);
+      expect(authors[0].bookCount).toBe(1);
+      expect((await listAuthors({ search: 'ଗୋପୀନାଥ' })).authors).toHaveLength(1);
+    });
+  });
+});
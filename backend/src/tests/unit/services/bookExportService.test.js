@@ -0,0 +1,164 @@
+import { PassThrough } from 'stream';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  buildExportQuery,
+  exportBooks,
+  toOnixProduct,
+} from '../../../services/bookExportService.js';
+import { readImportFile } from '../../../services/bookImportService.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const paraja = {
+  _id: '65a000000000000000000001',
+  isbn: '978-0-306-40615-7',
+  title: { display: 'ପରଜା', odia: 'ପରଜା', english: 'Paraja' },
+  author: 'Gopinath Mohanty',
+  description: 'Tribal life & land',
+  price: { original: 250, discounted: 200, discountPercent: 20 },
+  category: 'Novel',
+  language: 'Odia',
+  stock: 3,
+  tags: ['classic'],
+};
+
+describe('BookExportService', () => {
+  describe('buildExportQuery', () => {
+    it('should filter by category, language, stock and update date', () => {
+      expect(
+        buildExportQuery({
+          category: 'Novel',
+          language: 'Odia',
+          inStock: 'false',
+          updatedSince: '2026-01-01',
+          updatedBefore: '2026-02-01',
+        })
+      ).toEqual({
+        category: 'Novel',
+        language: 'Odia',
+        stock: 0,
+        updatedAt: { $gte: new Date('2026-01-01'), $lt: new Date('2026-02-01') },
+      });
+    });
+
+    it('should reject a date it cannot read', () => {
+      expect(() => buildExportQuery({ updatedSince: 'last week' })).toThrow(
+        'updatedSince must be a date'
+      );
+    });
+  });
+
+  describe('toOnixProduct', () => {
+    it('should send both titles, the ISBN-13 and both prices', () => {
+      const xml = toOnixProduct(paraja);
+
+      expect(xml).toContain('<ProductIDType>15</ProductIDType><IDValue>9780306406157</IDValue>');
+      expect(xml).toContain(
+        '<TitleType>01</TitleType><TitleElement><TitleElementLevel>01</TitleElementLevel><TitleText language="ori" textscript="Orya">ପରଜା</TitleText>'
+      );
+      expect(xml).toContain(
+        '<TitleType>06</TitleType><TitleElement><TitleElementLevel>01</TitleElementLevel><TitleText language="eng" textscript="Latn">Paraja</TitleText>'
+      );
+      expect(xml).toContain('<PriceType>02</PriceType><PriceAmount>250.00</PriceAmount>');
+      expect(xml).toContain(
+        '<PriceType>02</PriceType><PriceQualifier>08</PriceQualifier><PriceAmount>200.00</PriceAmount>'
+      );
+      expect(xml).toContain('<ProductAvailability>21</ProductAvailability>');
+      expect(xml).toContain('<Text>Tribal life &amp; land</Text>');
+    });
+
+    it('should send one price and no second title when there is none', () => {
+      const xml = toOnixProduct({
+        ...paraja,
+        title: { display: 'Paraja', english: 'Paraja' },
+        price: { original: 250, discounted: 250, discountPercent: 0 },
+        stock: 0,
+      });
+
+      expect(xml.match(/<TitleDetail>/g)).toHaveLength(1);
+      expect(xml.match(/<Price>/g)).toHaveLength(1);
+      expect(xml).toContain('<ProductAvailability>31</ProductAvailability>');
+    });
+
+    it('should send the format and edition statement', () => {
+      const xml = toOnixProduct({ ...paraja, format: 'Hardcover', edition: { label: 'Revised 2024' } });
+
+      expect(xml).toContain('<ProductForm>BB</ProductForm>');
+      expect(xml).toContain('<EditionStatement>Revised 2024</EditionStatement>');
+      expect(toOnixProduct(paraja)).toContain('<ProductForm>BA</ProductForm>');
+    });
+  });
+
+  describe('exportBooks', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+      await createTestBook({ ...paraja, _id: undefined });
+      await createTestBook({
+        isbn: '9788172671235',
+        title: { display: 'Mamu', english: 'Mamu' },
+        price: { original: 150, discounted: 150 },
+        category: 'Drama',
+        stock: 0,
+      });
+    });
+
+    const run = async (format, filters) => {
+      const stream = new PassThrough();
+      let output = '';
+      stream.on('data', (chunk) => {
+        output += chunk;
+      });
+      const count = await exportBooks(stream, { format, filters });
+      return { count, output };
+    };
+
+    it('should write CSV that the importer reads back', async () => {
+      const { count, output } = await run('csv', { category: 'Novel' });
+
+      expect(count).toBe(1);
+      const { records } = readImportFile(output, 'csv');
+      expect(records[0].data).toMatchObject({
+        'title.display': 'ପରଜା',
+        'title.english': 'Paraja',
+        'price.original': '250',
+        'price.discounted': '200',
+        'price.discountPercent': '20',
+      });
+    });
+
+    it('should keep nested titles and prices in JSON', async () => {
+      const { output } = await run('json', { inStock: 'true' });
+      const books = JSON.parse(output);
+
+      expect(books).toHaveLength(1);
+      expect(books[0].title).toEqual(paraja.title);
+      expect(books[0].price).toEqual(paraja.price);
+      expect(books[0].reviews).toBeUndefined();
+    });
+
+    it('should wrap ONIX products in one message', async () => {
+      const { count, output } = await run('onix');
+
+      expect(count).toBe(2);
+      expect(output).toMatch(
+        /^<\?xml version="1.0" encoding="UTF-8"\?>\n<ONIXMessage release="3.0"/
+      );
+      expect(output.match(/<Product>/g)).toHaveLength(2);
+      expect(output.trim().endsWith('</ONIXMessage>')).toBe(true);
+    });
+
+    it('should write an empty list when nothing matches', async () => {
+      const { count, output } = await run('json', { language: 'Hindi' });
+
+      expect(count).toBe(0);
+      expect(JSON.parse(output)).toEqual([]);
+    });
+  });
+});
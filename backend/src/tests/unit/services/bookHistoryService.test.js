@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  bookSnapshot,
+  diffSnapshots,
+  flattenSnapshot,
+  getBookHistory,
+  recordBookVersion,
+  revertBook,
+} from '../../../services/bookHistoryService.js';
+import Book from '../../../models/Book.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+describe('BookHistoryService', () => {
+  describe('bookSnapshot', () => {
+    it('should keep catalogue fields as plain JSON and leave out stock, images and reviews', () => {
+      const work = new mongoose.Types.ObjectId();
+      const snapshot = bookSnapshot({
+        _id: new mongoose.Types.ObjectId(),
+        title: { display: 'Paraja' },
+        price: { original: 200 },
+        work,
+        stock: 4,
+        images: [{ key: 'books/1/2' }],
+        reviews: [{ rating: 5 }],
+      });
+
+      expect(snapshot).toEqual({
+        title: { display: 'Paraja' },
+        price: { original: 200 },
+        work: String(work),
+      });
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list changed paths with their old and new values', () => {
+      const before = { title: { display: 'Paraja' }, price: { original: 200 }, tags: ['novel'] };
+      const after = {
+        title: { display: 'Paraja' },
+        price: { original: 180 },
+        tags: ['novel', 'classic'],
+        isbn: '9788172671235',
+      };
+
+      expect(diffSnapshots(before, after)).toEqual([
+        { path: 'isbn', from: null, to: '9788172671235' },
+        { path: 'price.original', from: 200, to: 180 },
+        { path: 'tags', from: ['novel'], to: ['novel', 'classic'] },
+      ]);
+      expect(diffSnapshots(after, after)).toEqual([]);
+    });
+
+    it('should list every field of a new book', () => {
+      const snapshot = { title: { display: 'Mamu', odia: 'ମାମୁଁ' }, author: 'Fakir Mohan' };
+
+      expect(diffSnapshots({}, snapshot).map((change) => change.path)).toEqual(
+        Object.keys(flattenSnapshot(snapshot)).sort()
+      );
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    const admin = { _id: new mongoose.Types.ObjectId(), name: 'Catalogue Admin' };
+
+    it('should number versions and diff each against the one before', async () => {
+      const book = await createTestBook({ isbn: 'h-1' });
+      await recordBookVersion(book, { action: 'create', actor: admin });
+
+      book.set('price.original', 150);
+      book.set('description', 'A broken description');
+      await book.save();
+      await recordBookVersion(book, { action: 'update', actor: admin });
+
+      const { versions, pagination } = await getBookHistory(book._id);
+
+      expect(pagination.total).toBe(2);
+      expect(versions.map((version) => version.version)).toEqual([2, 1]);
+      expect(versions[0].actorName).toBe('Catalogue Admin');
+      expect(versions[0].changes.map((change) => change.path)).toEqual([
+        'description',
+        'price.original',
+      ]);
+    });
+
+    it('should revert to an earlier version but keep the current stock', async () => {
+      const book = await createTestBook({ isbn: 'h-2', stock: 10 });
+      const { original } = book.price;
+      await recordBookVersion(book, { action: 'create', actor: admin });
+
+      book.set('price.original', 1);
+      book.set('stock', 3);
+      await book.save();
+      await recordBookVersion(book, { action: 'update', actor: admin });
+
+      const { book: reverted } = await revertBook(book._id, 1, { actor: admin });
+      const { versions } = await getBookHistory(book._id);
+
+      expect(reverted.price.original).toBe(original);
+      expect(reverted.stock).toBe(3);
+      expect(versions[0]).toMatchObject({ version: 3, action: 'revert', revertOf: 1 });
+      await expect(revertBook(book._id, 1, { actor: admin })).rejects.toThrow('already matches');
+    });
+
+    it('should keep the history of a deleted book but not revert it', async () => {
+      const book = await createTestBook({ isbn: 'h-3' });
+      await recordBookVersion(book, { action: 'create', actor: admin });
+      await book.softDelete(admin._id);
+      await recordBookVersion(book, { action: 'delete', actor: admin });
+
+      const { versions } = await getBookHistory(book._id);
+
+      expect(versions[0]).toMatchObject({ action: 'delete', changes: [] });
+      expect(await Book.findById(book._id)).toBeNull();
+      await expect(revertBook(book._id, 1)).rejects.toThrow('Book not found');
+    });
+  });
+});
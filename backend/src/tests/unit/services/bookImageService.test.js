@@ -0,0 +1,122 @@
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import sharp from 'sharp';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  addBookImage,
+  detectImageType,
+  processImage,
+  purgeBookImages,
+  removeBookImage,
+  reorderBookImages,
+  validateImage,
+} from '../../../services/bookImageService.js';
+import LocalStorageAdapter from '../../../services/storage/LocalStorageAdapter.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const makeImage = (width, height, format = 'jpeg') =>
+  sharp({ create: { width, height, channels: 3, background: '#b5452b' } })
+    .toFormat(format)
+    .toBuffer();
+
+describe('BookImageService', () => {
+  describe('validateImage', () => {
+    it('should recognise JPEG, PNG and WebP by their bytes', async () => {
+      expect(detectImageType(await makeImage(10, 10, 'jpeg'))).toBe('image/jpeg');
+      expect(detectImageType(await makeImage(10, 10, 'png'))).toBe('image/png');
+      expect(detectImageType(await makeImage(10, 10, 'webp'))).toBe('image/webp');
+      expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+    });
+
+    it('should reject empty bodies, other files and oversized ones', () => {
+      expect(() => validateImage(Buffer.alloc(0))).toThrow('Send the image as the request body');
+      expect(() => validateImage(Buffer.from('%PDF-1.7'))).toThrow(
+        'Only JPEG, PNG and WebP images can be uploaded'
+      );
+      expect(() =>
+        validateImage(
+          Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(6 * 1024 * 1024)])
+        )
+      ).toThrow('Images must be at most 5 MB');
+    });
+  });
+
+  describe('processImage', () => {
+    it('should make WebP variants without enlarging', async () => {
+      const variants = await processImage(await makeImage(800, 1200));
+      const sizes = Object.fromEntries(
+        variants.map(({ variant, width, height }) => [variant, [width, height]])
+      );
+
+      expect(sizes).toEqual({ thumb: [107, 160], medium: [320, 480], large: [800, 1200] });
+      expect(detectImageType(variants[0].body)).toBe('image/webp');
+    });
+
+    it('should reject a file that only looks like an image', async () => {
+      await expect(processImage(Buffer.from([0xff, 0xd8, 0xff, 0x00, 0x01]))).rejects.toThrow(
+        'The image could not be read'
+      );
+    });
+  });
+
+  describe('with a database', () => {
+    let directory;
+    let storage;
+
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+      directory = await mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+      storage = new LocalStorageAdapter({ directory, baseUrl: 'http://cdn.test' });
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    const storedFiles = async (book) =>
+      readdir(path.join(directory, 'books', String(book._id))).catch(() => []);
+
+    it('should store the variants and make the first image the cover', async () => {
+      const book = await createTestBook({ isbn: 'img-1' });
+
+      await addBookImage(book._id, await makeImage(600, 900), { alt: 'Back', storage });
+      const images = await addBookImage(book._id, await makeImage(600, 900), {
+        alt: 'Front',
+        position: 0,
+        storage,
+      });
+
+      expect(images.map((image) => image.alt)).toEqual(['Front', 'Back']);
+      expect(images[0].large).toMatch(/^http:\/\/cdn\.test\/books\/.+-large\.webp$/);
+      expect(await storedFiles(book)).toHaveLength(6);
+
+      const reordered = await reorderBookImages(
+        book._id,
+        images.map((image) => String(image._id)).reverse()
+      );
+      expect(reordered[0].alt).toBe('Back');
+    });
+
+    it('should delete the files of removed and purged images', async () => {
+      const book = await createTestBook({ isbn: 'img-2' });
+      const [first] = await addBookImage(book._id, await makeImage(100, 100), { storage });
+      const images = await addBookImage(book._id, await makeImage(100, 100), { storage });
+
+      const remaining = await removeBookImage(book._id, first._id, { storage });
+      expect(remaining).toHaveLength(1);
+      expect(await storedFiles(book)).toHaveLength(3);
+
+      await purgeBookImages({ _id: book._id, images }, { storage });
+      expect(await storedFiles(book)).toHaveLength(0);
+    });
+  });
+});
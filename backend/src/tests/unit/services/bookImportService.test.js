@@ -0,0 +1,277 @@
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  importBooks,
+  isValidIsbn,
+  mapImportRow,
+  readImportFile,
+  resolvePrice,
+} from '../../../services/bookImportService.js';
+import Book, { bookEvents } from '../../../models/Book.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const ISBN = '9780306406157';
+
+describe('BookImportService', () => {
+  describe('readImportFile', () => {
+    it('should read CSV rows with their line numbers', () => {
+      const { headers, records } = readImportFile(
+        'ISBN,Title\n\n978-0-306-40615-7,Paraja\n',
+        'csv'
+      );
+
+      expect(headers).toEqual(['ISBN', 'Title']);
+      expect(records).toEqual([{ line: 2, data: { ISBN: '978-0-306-40615-7', Title: 'Paraja' } }]);
+    });
+
+    it('should flatten nested JSON books', () => {
+      const { headers, records } = readImportFile(
+        JSON.stringify({ books: [{ title: { display: 'Paraja' }, price: { original: 250 } }] }),
+        'json'
+      );
+
+      expect(headers).toEqual(['title.display', 'price.original']);
+      expect(records[0]).toEqual({
+        line: 1,
+        data: { 'title.display': 'Paraja', 'price.original': '250' },
+      });
+    });
+
+    it('should reject unreadable files', () => {
+      expect(() => readImportFile('[{', 'json')).toThrow('Could not read JSON file');
+      expect(() => readImportFile('a,b', 'xlsx')).toThrow('Could not read XLSX file');
+      expect(() => readImportFile('a,b', 'xls')).toThrow('Unsupported import format');
+    });
+  });
+
+  describe('isValidIsbn', () => {
+    it('should check ISBN-10 and ISBN-13 check digits', () => {
+      expect(isValidIsbn(ISBN)).toBe(true);
+      expect(isValidIsbn('080442957X')).toBe(true);
+      expect(isValidIsbn('9780306406158')).toBe(false);
+    });
+  });
+
+  describe('mapImportRow', () => {
+    it('should map cells onto nested book fields', () => {
+      const row = mapImportRow({
+        isbn: '978-0-306-40615-7',
+        'title.display': 'ପରଜା',
+        author: 'Gopinath Mohanty',
+        language: 'odia',
+        'price.original': '₹1,250',
+        tags: 'classic; tribal, classic',
+        stock: '12',
+      });
+
+      expect(row.errors).toEqual([]);
+      expect(row.isbn).toBe(ISBN);
+      expect(row.fields).toEqual({
+        'title.display': 'ପରଜା',
+        'title.odia': 'ପରଜା',
+        author: 'Gopinath Mohanty',
+        language: 'Odia',
+        tags: ['classic', 'tribal'],
+      });
+      expect(row.price).toEqual({ original: 1250 });
+      expect(row.stock).toBe(12);
+    });
+
+    it('should leave blank cells out', () => {
+      const row = mapImportRow({ isbn: ISBN, 'title.display': '', 'price.original': '' });
+
+      expect(row.fields).toEqual({});
+      expect(row.price).toEqual({});
+    });
+
+    it('should report bad cells', () => {
+      const row = mapImportRow({
+        isbn: '12345',
+        language: 'French',
+        'price.original': 'free',
+        'price.discountPercent': '120',
+        stock: '2.5',
+      });
+
+      expect(row.errors).toEqual([
+        'ISBN "12345" must have 10 or 13 digits',
+        'Unknown language "French" (Odia, English, Hindi)',
+        'price must be a number',
+        "discount can't be more than 100",
+        'stock must be a whole number',
+      ]);
+    });
+
+    it('should map the format and edition', () => {
+      const row = mapImportRow({
+        format: 'hardcover',
+        'edition.label': '2nd',
+        'edition.year': '2024',
+      });
+
+      expect(row.fields).toEqual({
+        format: 'Hardcover',
+        'edition.label': '2nd',
+        'edition.year': 2024,
+      });
+      expect(mapImportRow({ format: 'Scroll' }).errors).toEqual([
+        'Unknown format "Scroll" (Paperback, Hardcover, Board Book, Spiral Bound, eBook)',
+      ]);
+    });
+
+    it('should warn about a wrong check digit', () => {
+      expect(mapImportRow({ isbn: '9780306406158' }).warnings).toEqual([
+        'ISBN 9780306406158 has a wrong check digit',
+      ]);
+    });
+  });
+
+  describe('resolvePrice', () => {
+    it('should work out the discounted price from a percent', () => {
+      expect(resolvePrice({ original: 299, discountPercent: 10 }).price).toEqual({
+        original: 299,
+        discounted: 269.1,
+        discountPercent: 10,
+      });
+    });
+
+    it('should work out the percent from a discounted price', () => {
+      expect(resolvePrice({ original: 200, discounted: 150 }).price.discountPercent).toBe(25);
+    });
+
+    it('should keep the current discount when only the price changes', () => {
+      const current = { original: 200, discounted: 180, discountPercent: 10 };
+
+      expect(resolvePrice({ original: 300 }, current).price).toEqual({
+        original: 300,
+        discounted: 270,
+        discountPercent: 10,
+      });
+    });
+
+    it('should reject a discounted price above the price', () => {
+      expect(resolvePrice({ original: 100, discounted: 150 }).error).toMatch(/higher/);
+    });
+  });
+
+  describe('importBooks', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    const csv = (rows) => ['isbn,title,author,price,stock', ...rows].join('\n');
+
+    it('should insert new books and update existing ones by ISBN', async () => {
+      await createTestBook({
+        isbn: ISBN,
+        title: { display: 'Paraja', english: 'Paraja' },
+        price: { original: 200, discounted: 180, discountPercent: 10 },
+      });
+
+      const report = await importBooks(
+        csv([`${ISBN},Paraja (Reprint),,250,`, '9788172671235,Mamu,Fakir Mohan Senapati,150,4']),
+        { format: 'csv' }
+      );
+
+      expect(report).toMatchObject({ total: 2, inserted: 1, updated: 1, failed: 0 });
+      const updated = await Book.findOne({ isbn: ISBN }).lean();
+      expect(updated.title.display).toBe('Paraja (Reprint)');
+      expect(updated.author).toBe('Test Author');
+      expect(updated.price).toEqual({ original: 250, discounted: 225, discountPercent: 10 });
+      const inserted = await Book.findOne({ isbn: '9788172671235' }).lean();
+      expect(inserted).toMatchObject({ stock: 4, category: 'General', language: 'English' });
+    });
+
+    it('should tell the search index about every book it wrote', async () => {
+      const existing = await createTestBook({ isbn: ISBN });
+      const changed = [];
+      const listener = (id) => changed.push(String(id));
+      bookEvents.on('change', listener);
+
+      try {
+        await importBooks(
+          csv([`${ISBN},Paraja (Reprint),,250,`, '9788172671235,Mamu,Fakir Mohan Senapati,150,4']),
+          { format: 'csv' }
+        );
+      } finally {
+        bookEvents.off('change', listener);
+      }
+
+      const inserted = await Book.findOne({ isbn: '9788172671235' });
+      expect(changed.sort()).toEqual([String(existing._id), String(inserted._id)].sort());
+    });
+
+    it('should never change stock or reviews of an existing book', async () => {
+      const book = await createTestBook({
+        isbn: ISBN,
+        title: { display: 'Paraja' },
+        price: { original: 200, discounted: 200 },
+        stock: 7,
+        reviews: [{ rating: 5, comment: 'Classic' }],
+        reviewCount: 1,
+        rating: 5,
+      });
+
+      const report = await importBooks(csv([`${ISBN},Paraja,,200,0`]), { format: 'csv' });
+
+      expect(report.rows[0].warnings).toContain(
+        'stock is only set for new books; kept the current 7'
+      );
+      const after = await Book.findById(book._id).lean();
+      expect(after.stock).toBe(7);
+      expect(after.reviews).toHaveLength(1);
+      expect(after.rating).toBe(5);
+    });
+
+    it('should not write anything on a dry run', async () => {
+      const report = await importBooks(csv(['9788172671235,Mamu,Fakir Mohan Senapati,150,4']), {
+        format: 'csv',
+        dryRun: true,
+      });
+
+      expect(report).toMatchObject({ dryRun: true, inserted: 1 });
+      expect(await Book.countDocuments()).toBe(0);
+    });
+
+    it('should match rows without an ISBN by title and author', async () => {
+      await createTestBook({
+        isbn: undefined,
+        title: { display: 'Mamu' },
+        author: 'Fakir Mohan Senapati',
+        price: { original: 100, discounted: 100 },
+      });
+
+      const report = await importBooks(csv([',Mamu,Fakir Mohan Senapati,120,']), { format: 'csv' });
+
+      expect(report).toMatchObject({ inserted: 0, updated: 1 });
+      expect(await Book.countDocuments()).toBe(1);
+    });
+
+    it('should refuse to import over a book in the trash', async () => {
+      const book = await createTestBook({
+        isbn: ISBN,
+        title: { display: 'Paraja' },
+        price: { original: 200, discounted: 200 },
+      });
+      await Book.softDelete(book._id);
+
+      const report = await importBooks(csv([`${ISBN},Paraja,,200,`]), { format: 'csv' });
+
+      expect(report.failed).toBe(1);
+      expect(report.rows[0].errors[0]).toMatch(/trash/);
+    });
+
+    it('should require identifying columns', async () => {
+      await expect(importBooks('price,stock\n100,1', { format: 'csv' })).rejects.toThrow(
+        'File needs an isbn column, or title and author columns'
+      );
+    });
+  });
+});
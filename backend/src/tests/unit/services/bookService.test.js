@@ -1,14 +1,27 @@
+import mongoose from 'mongoose';
 import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
 import {
   findBooksByCategory,
   findBooksByAuthor,
   updateStock,
+  buildBookFilters,
+  mergeBookFilters,
+  getBookFacets,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition,
+  listBooks,
+  listSearchMatches,
+  collapseEditions,
 } from '../../../services/bookService.js';
+import Book from '../../../models/Book.js';
+import Work from '../../../models/Work.js';
 import { createTestBook, createTestBooks } from '../../helpers/factories.js';
 
 describe('BookService', () => {
   beforeAll(async () => {
-    await connectTestDB();
+    // updateStock saves the stock and its ledger entry in a transaction
+    await connectTestDB({ replSet: true });
   });
 
   afterAll(async () => {
@@ -104,4 +117,276 @@ describe('BookService', () => {
       await expect(updateStock(testBook._id.toString(), -1)).rejects.toThrow();
     });
   });
+
+  describe('buildBookFilters', () => {
+    it('should keep one condition per facet and skip "All"', () => {
+      const filters = buildBookFilters({
+        category: 'Poetry',
+        language: 'All',
+        minPrice: '100',
+        inStock: 'true',
+        discounted: 'false',
+      });
+
+      expect(Object.keys(filters)).toEqual(['category', 'price', 'inStock']);
+      expect(filters.category).toEqual({ category: 'Poetry' });
+      expect(mergeBookFilters(filters, ['category'])).toEqual({
+        ...filters.price,
+        stock: { $gt: 0 },
+      });
+    });
+  });
+
+  describe('getBookFacets', () => {
+    const book = (overrides) =>
+      createTestBook({
+        title: { display: overrides.isbn },
+        price: { original: 150, discounted: 150, discountPercent: 0 },
+        stock: 5,
+        ...overrides,
+      });
+
+    beforeEach(async () => {
+      await book({ isbn: 'f-1', category: 'Poetry', author: 'A', language: 'Odia' });
+      await book({ isbn: 'f-2', category: 'Poetry', author: 'B', language: 'English', stock: 0 });
+      await book({
+        isbn: 'f-3',
+        category: 'Novel',
+        author: 'A',
+        language: 'Odia',
+        price: { original: 600, discounted: 450, discountPercent: 25 },
+      });
+      const deleted = await book({ isbn: 'f-4', category: 'Drama', author: 'C' });
+      await deleted.softDelete();
+    });
+
+    it('should count every facet over the whole catalogue', async () => {
+      const facets = await getBookFacets();
+
+      expect(facets.category).toEqual([
+        { name: 'Poetry', count: 2 },
+        { name: 'Novel', count: 1 },
+      ]);
+      expect(facets.author).toEqual([
+        { name: 'A', count: 2 },
+        { name: 'B', count: 1 },
+      ]);
+      expect(facets.price).toEqual([
+        { min: 100, max: 200, count: 2 },
+        { min: 200, max: 500, count: 1 },
+      ]);
+      expect(facets.inStock).toBe(2);
+      expect(facets.discounted).toBe(1);
+    });
+
+    it('should count each facet without its own filter', async () => {
+      const facets = await getBookFacets({
+        filters: buildBookFilters({ category: 'Poetry', language: 'Odia' }),
+      });
+
+      // Other categories stay visible for Odia books; other languages for Poetry
+      expect(facets.category).toEqual([
+        { name: 'Novel', count: 1 },
+        { name: 'Poetry', count: 1 },
+      ]);
+      expect(facets.language).toEqual([
+        { name: 'English', count: 1 },
+        { name: 'Odia', count: 1 },
+      ]);
+      expect(facets.author).toEqual([{ name: 'A', count: 1 }]);
+    });
+
+    it('should count only within search matches', async () => {
+      const match = await Book.findOne({ isbn: 'f-3' });
+
+      const facets = await getBookFacets({ ids: [match._id.toString()] });
+
+      expect(facets.category).toEqual([{ name: 'Novel', count: 1 }]);
+      expect(facets.discounted).toBe(1);
+    });
+
+    it('should count the editions of a work once within search matches', async () => {
+      const work = new mongoose.Types.ObjectId();
+      const editions = await Promise.all([
+        book({ isbn: 'f-5', category: 'Drama', author: 'D', work }),
+        book({ isbn: 'f-6', category: 'Drama', author: 'D', work, stock: 0 }),
+      ]);
+      const ids = editions.map((edition) => edition._id.toString());
+
+      const facets = await getBookFacets({ ids });
+
+      expect(facets.category).toEqual([{ name: 'Drama', count: 1 }]);
+      expect(facets.price).toEqual([{ min: 100, max: 200, count: 1 }]);
+      expect(facets.inStock).toBe(1);
+      // Browsing lists every edition, so every edition counts
+      expect((await getBookFacets()).category).toContainEqual({ name: 'Drama', count: 2 });
+    });
+
+    it('should price books at their live campaign price', async () => {
+      const now = Date.now();
+      await book({
+        isbn: 'f-7',
+        category: 'Drama',
+        sales: [
+          {
+            campaign: new mongoose.Types.ObjectId(),
+            price: 90,
+            startsAt: new Date(now - 60 * 60 * 1000),
+            endsAt: new Date(now + 60 * 60 * 1000),
+          },
+        ],
+      });
+      // Without a discounted price, the original one is what it sells for
+      await book({ isbn: 'f-8', category: 'Drama', price: { original: 80 } });
+
+      const facets = await getBookFacets();
+      const cheap = await Book.find(mergeBookFilters(buildBookFilters({ maxPrice: '100' }))).lean();
+
+      expect(facets.price[0]).toEqual({ min: 0, max: 100, count: 2 });
+      expect(cheap.map((found) => found.isbn).sort()).toEqual(['f-7', 'f-8']);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a position and reject foreign tokens', () => {
+      const position = { value: 'Paraja', id: '507f1f77bcf86cd799439011' };
+
+      expect(decodeCursor(encodeCursor(position))).toEqual(position);
+      expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+      expect(() => decodeCursor(encodeCursor({ value: 1 }))).toThrow('Invalid cursor');
+    });
+
+    it('should include books without a value after the last valued one', () => {
+      expect(keysetCondition('rating', -1, 4, 'x')).toEqual({
+        $or: [{ rating: { $lt: 4 } }, { rating: 4, _id: { $lt: 'x' } }, { rating: null }],
+      });
+      expect(keysetCondition('rating', 1, null, 'x')).toEqual({
+        $or: [{ rating: { $ne: null } }, { rating: null, _id: { $gt: 'x' } }],
+      });
+    });
+  });
+
+  describe('listBooks', () => {
+    beforeEach(async () => {
+      const prices = [300, 100, 200, 200, 200];
+      for (let i = 0; i < prices.length; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        await createTestBook({
+          title: { display: `Book ${i}` },
+          isbn: `list-${i}`,
+          price: { original: prices[i], discounted: prices[i] },
+        });
+      }
+    });
+
+    const walk = async (options, cursor = undefined, seen = []) => {
+      const { books, nextCursor } = await listBooks({ ...options, cursor });
+      const titles = [...seen, ...books.map((book) => book.title.display)];
+      return nextCursor ? walk(options, nextCursor, titles) : titles;
+    };
+
+    it('should count the first page and hand out a cursor', async () => {
+      const result = await listBooks({ query: {}, sortBy: 'price', sortOrder: 'asc', limit: 2 });
+
+      expect(result.total).toBe(5);
+      expect(result.books.map((book) => book.price.discounted)).toEqual([100, 200]);
+      expect(result.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should visit every book once across pages, even with tied sort values', async () => {
+      const titles = await walk({ query: {}, sortBy: 'price', sortOrder: 'desc', limit: 2 });
+
+      expect(titles).toHaveLength(5);
+      expect(new Set(titles).size).toBe(5);
+      expect(titles[0]).toBe('Book 0');
+      expect(titles[4]).toBe('Book 1');
+    });
+
+    it('should not shift later pages when a book is added meanwhile', async () => {
+      const first = await listBooks({ query: {}, sortBy: 'createdAt', limit: 2 });
+      await createTestBook({
+        title: { display: 'Newest' },
+        isbn: 'list-new',
+        price: { original: 50 },
+      });
+
+      const second = await listBooks({
+        query: {},
+        sortBy: 'createdAt',
+        limit: 2,
+        cursor: first.nextCursor,
+      });
+
+      expect(second.total).toBeNull();
+      expect(second.books.map((book) => book.title.display)).not.toContain('Newest');
+      expect(second.books.map((book) => book.title.display)).not.toContain(
+        first.books[1].title.display
+      );
+    });
+  });
+
+  describe('listSearchMatches', () => {
+    it('should page matches in score order, filtered in MongoDB', async () => {
+      const [a, b, c] = await Promise.all(
+        ['a', 'b', 'c'].map((name) =>
+          createTestBook({
+            title: { display: name },
+            isbn: `match-${name}`,
+            price: { original: 100 },
+            language: name === 'b' ? 'English' : 'Odia',
+          })
+        )
+      );
+      const matches = [
+        { _id: String(c._id), score: 0.3 },
+        { _id: String(b._id), score: 0.1 },
+        { _id: String(a._id), score: 0.1 },
+      ];
+
+      const first = await listSearchMatches({ matches, query: { language: 'Odia' }, limit: 1 });
+      const second = await listSearchMatches({
+        matches,
+        query: { language: 'Odia' },
+        limit: 1,
+        cursor: first.nextCursor,
+      });
+
+      expect(first.total).toBe(2);
+      expect(first.books.map((book) => book.title.display)).toEqual(['a']);
+      expect(second.books.map((book) => book.title.display)).toEqual(['c']);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+
+  describe('collapseEditions', () => {
+    it('should keep the best-scoring edition of each work', async () => {
+      const work = await Work.create({ title: { display: 'Paraja' } });
+      const [paperback, hardcover, other] = await Promise.all(
+        ['paperback', 'hardcover', 'other'].map((name) =>
+          createTestBook({
+            title: { display: name },
+            isbn: `edition-${name}`,
+            price: { original: 100 },
+            work: name === 'other' ? null : work._id,
+          })
+        )
+      );
+
+      const { matches, editionCounts } = await collapseEditions({
+        matches: [
+          { _id: String(paperback._id), score: 0.2 },
+          { _id: String(hardcover._id), score: 0.1 },
+          { _id: String(other._id), score: 0.3 },
+        ],
+        query: {},
+      });
+
+      expect(matches).toEqual([
+        { _id: String(hardcover._id), score: 0.1 },
+        { _id: String(other._id), score: 0.3 },
+      ]);
+      expect(editionCounts.get(String(hardcover._id))).toBe(2);
+      expect(editionCounts.get(String(other._id))).toBe(1);
+    });
+  });
 });
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import Book from '../../../models/Book.js';
+import {
+  getCart,
+  addItem,
+  updateItemQuantity,
+  removeItem,
+  mergeCart,
+} from '../../../services/cartService.js';
+import { BadRequestError, NotFoundError } from '../../../utils/errors.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const createBook = (overrides = {}) =>
+  Book.create({
+    title: { display: 'Test Book' },
+    author: 'Test Author',
+    description: 'A test book description',
+    price: { original: 300, discounted: 250 },
+    category: 'Fiction',
+    stock: 5,
+    ...overrides,
+  });
+
+describe('CartService', () => {
+  beforeAll(async () => {
+    await connectTestDB();
+  });
+
+  afterAll(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+  });
+
+  describe('addItem', () => {
+    it('should add a line priced from the catalogue', async () => {
+      const book = await createBook();
+
+      const cart = await addItem(userId, book._id, 2);
+
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].price).toBe(250);
+      expect(cart.itemCount).toBe(2);
+      expect(cart.subtotal).toBe(500);
+    });
+
+    it('should increase the quantity of an existing line', async () => {
+      const book = await createBook();
+
+      await addItem(userId, book._id, 1);
+      const cart = await addItem(userId, book._id, 2);
+
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].quantity).toBe(3);
+    });
+
+    it('should refuse more copies than are in stock', async () => {
+      const book = await createBook({ stock: 2 });
+
+      await expect(addItem(userId, book._id, 3)).rejects.toThrow(BadRequestError);
+    });
+
+    it('should throw NotFoundError for an unknown book', async () => {
+      await expect(addItem(userId, new mongoose.Types.ObjectId(), 1)).rejects.toThrow(
+        NotFoundError
+      );
+    });
+  });
+
+  describe('getCart', () => {
+    it('should return an empty cart for a new user', async () => {
+      const cart = await getCart(userId);
+
+      expect(cart.items).toEqual([]);
+      expect(cart.subtotal).toBe(0);
+    });
+
+    it('should report a price change once', async () => {
+      const book = await createBook();
+      await addItem(userId, book._id, 1);
+      await Book.updateOne({ _id: book._id }, { 'price.discounted': 200 });
+
+      const first = await getCart(userId);
+      const second = await getCart(userId);
+
+      expect(first.items[0].issues).toContain('price_changed');
+      expect(first.items[0].previousPrice).toBe(250);
+      expect(second.items[0].issues).not.toContain('price_changed');
+    });
+
+    it('should price lines at a live sale campaign', async () => {
+      const hour = 60 * 60 * 1000;
+      const book = await createBook({
+        sales: [
+          {
+            campaign: new mongoose.Types.ObjectId(),
+            name: 'Exam Week',
+            price: 199,
+            startsAt: new Date(Date.now() - hour),
+            endsAt: new Date(Date.now() + hour),
+          },
+        ],
+      });
+
+      await addItem(userId, book._id, 2);
+      const cart = await getCart(userId);
+
+      expect(cart.items[0].price).toBe(199);
+      expect(cart.subtotal).toBe(398);
+    });
+
+    it('should flag lines above current stock and leave them out of the subtotal', async () => {
+      const book = await createBook();
+      await addItem(userId, book._id, 4);
+      await Book.updateOne({ _id: book._id }, { stock: 2 });
+
+      const cart = await getCart(userId);
+
+      expect(cart.items[0].issues).toContain('insufficient_stock');
+      expect(cart.items[0].available).toBe(false);
+      expect(cart.subtotal).toBe(0);
+    });
+
+    it('should drop deleted books and report them', async () => {
+      const book = await createBook();
+      await addItem(userId, book._id, 1);
+      await Book.softDelete(book._id);
+
+      const cart = await getCart(userId);
+
+      expect(cart.items).toHaveLength(0);
+      expect(cart.removed).toHaveLength(1);
+      expect((await getCart(userId)).removed).toHaveLength(0);
+    });
+  });
+
+  describe('updateItemQuantity / removeItem', () => {
+    it('should set the quantity and remove the line at 0', async () => {
+      const book = await createBook();
+      await addItem(userId, book._id, 1);
+
+      expect((await updateItemQuantity(userId, book._id, 3)).items[0].quantity).toBe(3);
+      expect((await updateItemQuantity(userId, book._id, 0)).items).toHaveLength(0);
+    });
+
+    it('should remove a line', async () => {
+      const book = await createBook();
+      await addItem(userId, book._id, 1);
+
+      const cart = await removeItem(userId, book._id);
+
+      expect(cart.items).toHaveLength(0);
+    });
+  });
+
+  describe('mergeCart', () => {
+    it('should keep the larger quantity and cap it at stock', async () => {
+      const book = await createBook({ stock: 4 });
+      const other = await createBook({ title: { display: 'Other' }, stock: 3 });
+      await addItem(userId, book._id, 2);
+
+      const cart = await mergeCart(userId, [
+        { bookId: book._id.toString(), quantity: 1 },
+        { bookId: other._id.toString(), quantity: 10 },
+      ]);
+
+      const quantities = Object.fromEntries(cart.items.map((item) => [item.title, item.quantity]));
+      expect(quantities).toEqual({ 'Test Book': 2, Other: 3 });
+    });
+
+    it('should be safe to merge the same guest cart twice', async () => {
+      const book = await createBook();
+      const guestItems = [{ bookId: book._id.toString(), quantity: 2 }];
+
+      await mergeCart(userId, guestItems);
+      const cart = await mergeCart(userId, guestItems);
+
+      expect(cart.items[0].quantity).toBe(2);
+    });
+
+    it('should skip unknown and out-of-stock books', async () => {
+      const soldOut = await createBook({ stock: 0 });
+
+      const cart = await mergeCart(userId, [
+        { bookId: soldOut._id.toString(), quantity: 1 },
+        { bookId: new mongoose.Types.ObjectId().toString(), quantity: 1 },
+      ]);
+
+      expect(cart.items).toHaveLength(0);
+      expect(cart.skipped.map((entry) => entry.reason).sort()).toEqual([
+        'not_found',
+        'out_of_stock',
+      ]);
+    });
+  });
+});
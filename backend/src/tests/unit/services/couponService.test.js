@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import Coupon from '../../../models/Coupon.js';
+import CouponRedemption from '../../../models/CouponRedemption.js';
+import Order from '../../../models/Order.js';
+import {
+  calculateDiscount,
+  assertCouponApplicable,
+  validateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} from '../../../services/couponService.js';
+import { BadRequestError } from '../../../utils/errors.js';
+
+const cart = {
+  items: [
+    { price: 200, quantity: 2, category: 'Literature' },
+    { price: 300, quantity: 1, category: 'Academic' },
+  ],
+  shippingCost: 40,
+};
+
+describe('CouponService', () => {
+  describe('calculateDiscount', () => {
+    it('should take a percentage off the whole cart', () => {
+      const totals = calculateDiscount({ type: 'percentage', value: 10 }, cart);
+
+      expect(totals.subtotal).toBe(700);
+      expect(totals.discount).toBe(70);
+      expect(totals.shippingDiscount).toBe(0);
+    });
+
+    it('should cap a percentage discount at maxDiscount', () => {
+      const totals = calculateDiscount({ type: 'percentage', value: 50, maxDiscount: 100 }, cart);
+
+      expect(totals.discount).toBe(100);
+    });
+
+    it('should never take more than the eligible subtotal for flat coupons', () => {
+      const coupon = { type: 'flat', value: 500, categories: ['Academic'] };
+      const totals = calculateDiscount(coupon, cart);
+
+      expect(totals.eligibleSubtotal).toBe(300);
+      expect(totals.discount).toBe(300);
+    });
+
+    it('should waive shipping for free-shipping coupons', () => {
+      const totals = calculateDiscount({ type: 'free_shipping' }, cart);
+
+      expect(totals.discount).toBe(0);
+      expect(totals.shippingDiscount).toBe(40);
+    });
+  });
+
+  describe('assertCouponApplicable', () => {
+    const build = (overrides = {}) =>
+      new Coupon({ code: 'save10', type: 'percentage', value: 10, ...overrides });
+
+    it('should upper-case the stored code', () => {
+      expect(build().code).toBe('SAVE10');
+    });
+
+    it('should reject expired and not-yet-valid coupons', () => {
+      const expired = build({
+        validFrom: new Date('2020-01-01'),
+        validUntil: new Date('2020-02-01'),
+      });
+      const future = build({ validFrom: new Date(Date.now() + 86400000) });
+
+      expect(() => assertCouponApplicable(expired, calculateDiscount(expired, cart))).toThrow(
+        BadRequestError
+      );
+      expect(() => assertCouponApplicable(future, calculateDiscount(future, cart))).toThrow(
+        'not valid yet'
+      );
+    });
+
+    it('should enforce the minimum cart value', () => {
+      const coupon = build({ minCartValue: 1000 });
+
+      expect(() => assertCouponApplicable(coupon, calculateDiscount(coupon, cart))).toThrow(
+        '₹1000'
+      );
+    });
+
+    it('should reject category coupons when no cart item matches', () => {
+      const coupon = build({ categories: ['Children'] });
+
+      expect(() => assertCouponApplicable(coupon, calculateDiscount(coupon, cart))).toThrow(
+        'only applies to'
+      );
+    });
+
+    it('should accept a valid coupon', () => {
+      const coupon = build({ minCartValue: 500, categories: ['Literature'] });
+
+      expect(() => assertCouponApplicable(coupon, calculateDiscount(coupon, cart))).not.toThrow();
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    const redeem = async (customer) => {
+      const { coupon } = await validateCoupon('welcome', { items: cart.items, ...customer });
+      await redeemCoupon(coupon, customer);
+    };
+
+    it('should hold each customer to perUserLimit by account and by phone', async () => {
+      await Coupon.create({ code: 'WELCOME', type: 'flat', value: 50, perUserLimit: 2 });
+      const customer = { userId: new mongoose.Types.ObjectId(), customerPhone: '9876543210' };
+
+      await redeem(customer);
+      await redeem(customer);
+
+      await expect(redeem(customer)).rejects.toThrow('You have already used this coupon');
+      await expect(redeem({ customerPhone: '9876543210' })).rejects.toThrow(
+        'You have already used this coupon'
+      );
+      await expect(redeem({ customerPhone: '9000000000' })).resolves.toBeUndefined();
+    });
+
+    it('should count orders placed before the customer had a counter', async () => {
+      await Coupon.create({ code: 'WELCOME', type: 'flat', value: 50 });
+      await Order.create({
+        customerName: 'Sita Das',
+        customerPhone: '9876543210',
+        customerAddress: 'Plot 12, Saheed Nagar, Bhubaneswar',
+        items: [{ bookId: new mongoose.Types.ObjectId(), quantity: 1, price: 299, title: 'Book' }],
+        totalAmount: 249,
+        coupon: { code: 'WELCOME', type: 'flat', discount: 50 },
+      });
+
+      await expect(redeem({ customerPhone: '9876543210' })).rejects.toThrow(
+        'You have already used this coupon'
+      );
+    });
+
+    it('should give the use back when the order is cancelled', async () => {
+      await Coupon.create({ code: 'WELCOME', type: 'flat', value: 50 });
+      const userId = new mongoose.Types.ObjectId();
+      await redeem({ userId, customerPhone: '9876543210' });
+
+      await releaseCoupon({
+        coupon: { code: 'WELCOME' },
+        user: userId,
+        customerPhone: '9876543210',
+      });
+
+      expect((await Coupon.findOne({ code: 'WELCOME' })).usedCount).toBe(0);
+      await expect(redeem({ userId, customerPhone: '9876543210' })).resolves.toBeUndefined();
+    });
+
+    it('should let only one of two simultaneous checkouts take the last use', async () => {
+      await Coupon.create({ code: 'WELCOME', type: 'flat', value: 50 });
+      const customer = { userId: new mongoose.Types.ObjectId() };
+      // Both checkouts validate before either redeems
+      const { coupon } = await validateCoupon('WELCOME', { items: cart.items, ...customer });
+
+      const results = await Promise.allSettled([
+        redeemCoupon(coupon, customer),
+        redeemCoupon(coupon, customer),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      const [counter] = await CouponRedemption.find();
+      expect(counter.count).toBe(1);
+    });
+  });
+});
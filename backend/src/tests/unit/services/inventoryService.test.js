@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  getStockLedger,
+  getStockMovementTrend,
+  openStockLedger,
+  receiveStock,
+  reconcileBook,
+  reconcileStock,
+  recordStockCount,
+  returnOrderStock,
+  writeOffStock,
+} from '../../../services/inventoryService.js';
+import Book, { bookEvents } from '../../../models/Book.js';
+import StockMovement from '../../../models/StockMovement.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+describe('InventoryService', () => {
+  describe('reconcileBook', () => {
+    it('should compare the stock with the sum of its movements', () => {
+      expect(reconcileBook({ stock: 7 }, { units: 7 })).toEqual({
+        ledger: 7,
+        difference: 0,
+        inSync: true,
+      });
+      expect(reconcileBook({ stock: 5 }, { units: 8 })).toMatchObject({
+        difference: -3,
+        inSync: false,
+      });
+    });
+
+    it('should treat a book without movements as an empty ledger', () => {
+      expect(reconcileBook({ stock: 4 })).toMatchObject({ ledger: 0, difference: 4 });
+      expect(reconcileBook({ stock: 0 }).inSync).toBe(true);
+    });
+  });
+
+  describe('StockMovement', () => {
+    it('should need a known reason and a non-zero whole change', async () => {
+      const error = await new StockMovement({
+        book: new mongoose.Types.ObjectId(),
+        reason: 'gift',
+        change: 0,
+        stockAfter: 3,
+      })
+        .validate()
+        .catch((err) => err);
+
+      expect(error.errors.reason).toBeDefined();
+      expect(error.errors.change).toBeDefined();
+    });
+  });
+
+  describe('with a database', () => {
+    const admin = { _id: new mongoose.Types.ObjectId(), name: 'Store Admin' };
+
+    beforeAll(async () => {
+      // Stock changes are saved with their ledger entry in a transaction
+      await connectTestDB({ replSet: true });
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    it('should record receipts and write-offs with who made them', async () => {
+      const book = await createTestBook({ isbn: 'inv-1', stock: 2 });
+
+      await receiveStock(book._id, 10, { actor: admin, note: 'Invoice 42' });
+      const { book: after } = await writeOffStock(book._id, 3, { actor: admin });
+
+      expect(after.stock).toBe(9);
+      const { movements } = await getStockLedger(book._id);
+      expect(
+        movements.map(({ reason, change, stockAfter }) => [reason, change, stockAfter])
+      ).toEqual([
+        ['damage', -3, 9],
+        ['restock', 10, 12],
+      ]);
+      expect(movements[1]).toMatchObject({ actorName: 'Store Admin', note: 'Invoice 42' });
+    });
+
+    it('should not write off more than is in stock', async () => {
+      const book = await createTestBook({ isbn: 'inv-2', stock: 1 });
+
+      await expect(writeOffStock(book._id, 2)).rejects.toThrow('Available: 1');
+      expect(await StockMovement.countDocuments()).toBe(0);
+    });
+
+    it('should leave the stock alone when its ledger entry is refused', async () => {
+      const book = await createTestBook({ isbn: 'inv-9', stock: 2 });
+
+      await expect(receiveStock(book._id, 5, { note: 'x'.repeat(301) })).rejects.toThrow(
+        'Note must be less than 300 characters'
+      );
+      await expect(recordStockCount(book._id, 7, { note: 'x'.repeat(301) })).rejects.toThrow(
+        'Note must be less than 300 characters'
+      );
+
+      expect((await Book.findById(book._id)).stock).toBe(2);
+      expect(await StockMovement.countDocuments()).toBe(0);
+    });
+
+    it('should not tell the search index about stock changes', async () => {
+      const book = await createTestBook({ isbn: 'inv-10', stock: 2 });
+      const changed = [];
+      const listener = (id) => changed.push(String(id));
+      bookEvents.on('change', listener);
+
+      try {
+        await receiveStock(book._id, 3);
+        await recordStockCount(book._id, 4);
+        await Book.findByIdAndUpdate(book._id, { 'price.original': 250 });
+      } finally {
+        bookEvents.off('change', listener);
+      }
+
+      expect(changed).toEqual([String(book._id)]);
+    });
+
+    it('should set a physical count only if the stock is still as counted', async () => {
+      const book = await createTestBook({ isbn: 'inv-3', stock: 10 });
+
+      await expect(recordStockCount(book._id, 8, { expected: 11 })).rejects.toThrow('count again');
+
+      const { book: counted, movement } = await recordStockCount(book._id, 8, {
+        expected: 10,
+        actor: admin,
+      });
+      expect(counted.stock).toBe(8);
+      expect(movement).toMatchObject({ reason: 'adjustment', change: -2, stockAfter: 8 });
+
+      const unchanged = await recordStockCount(book._id, 8);
+      expect(unchanged.movement).toBeNull();
+    });
+
+    it('should put a cancelled order back in stock and link the order', async () => {
+      const book = await createTestBook({ isbn: 'inv-4', stock: 3 });
+      const orderId = new mongoose.Types.ObjectId();
+
+      await returnOrderStock({
+        _id: orderId,
+        items: [
+          { bookId: book._id, quantity: 1 },
+          { bookId: book._id, quantity: 2 },
+        ],
+      });
+
+      expect((await Book.findById(book._id)).stock).toBe(6);
+      const [movement] = await StockMovement.find({ order: orderId });
+      expect(movement).toMatchObject({ reason: 'cancellation', change: 3, stockAfter: 6 });
+    });
+
+    it('should report books whose stock the ledger does not add up to', async () => {
+      const opened = await createTestBook({ isbn: 'inv-5', stock: 5 });
+      const legacy = await createTestBook({ isbn: 'inv-6', stock: 4 });
+      await openStockLedger();
+      await receiveStock(opened._id, 2);
+      // Changed behind the ledger's back
+      await Book.collection.updateOne({ _id: legacy._id }, { $set: { stock: 1 } });
+
+      const report = await reconcileStock();
+
+      expect(report).toMatchObject({ books: 2, inSync: 1, mismatched: 1 });
+      expect(report.mismatches[0]).toMatchObject({ stock: 1, ledger: 4, difference: -3 });
+      expect(report.pagination).toEqual({ page: 1, limit: 100, total: 1, pages: 1 });
+      expect((await reconcileStock({ page: 2 })).mismatches).toEqual([]);
+    });
+
+    it('should refuse to edit or delete movements', async () => {
+      const book = await createTestBook({ isbn: 'inv-7', stock: 0 });
+      await receiveStock(book._id, 1);
+
+      await expect(StockMovement.updateMany({}, { change: 5 })).rejects.toThrow(
+        'cannot be changed'
+      );
+      await expect(StockMovement.deleteMany({})).rejects.toThrow('cannot be changed');
+    });
+
+    it('should total movements per day and reason', async () => {
+      const book = await createTestBook({ isbn: 'inv-8', stock: 0 });
+      await receiveStock(book._id, 6);
+      await writeOffStock(book._id, 1);
+
+      const { daily, totals } = await getStockMovementTrend({ days: 7 });
+
+      expect(daily).toHaveLength(7);
+      expect(daily[6]).toMatchObject({ in: 6, out: 1, net: 5 });
+      expect(totals.byReason).toEqual({ restock: 6, damage: -1 });
+      expect((await getStockMovementTrend({ days: 5000 })).daily).toHaveLength(365);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import Book from '../../../models/Book.js';
+import { detectBookAlerts } from '../../../services/notificationService.js';
+
+const buildBook = (overrides = {}) =>
+  new Book({
+    title: { display: 'Test Book' },
+    author: 'Test Author',
+    description: 'A test book description',
+    price: { original: 300, discounted: 250 },
+    category: 'Fiction',
+    stock: 5,
+    ...overrides,
+  });
+
+describe('NotificationService', () => {
+  describe('detectBookAlerts', () => {
+    it('should report a price drop when the discounted price is lowered', () => {
+      const alerts = detectBookAlerts(
+        buildBook(),
+        buildBook({ price: { original: 300, discounted: 199 } })
+      );
+
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].type).toBe('price_drop');
+      expect(alerts[0].data).toEqual({ oldPrice: 250, newPrice: 199 });
+    });
+
+    it('should treat a new discount on an undiscounted book as a price drop', () => {
+      const alerts = detectBookAlerts(
+        buildBook({ price: { original: 300 } }),
+        buildBook({ price: { original: 300, discounted: 270 } })
+      );
+
+      expect(alerts.map((alert) => alert.type)).toEqual(['price_drop']);
+    });
+
+    it('should not report a price increase', () => {
+      const alerts = detectBookAlerts(
+        buildBook(),
+        buildBook({ price: { original: 300, discounted: 280 } })
+      );
+
+      expect(alerts).toHaveLength(0);
+    });
+
+    it('should report back in stock when stock rises from zero', () => {
+      const alerts = detectBookAlerts(buildBook({ stock: 0 }), buildBook({ stock: 12 }));
+
+      expect(alerts.map((alert) => alert.type)).toEqual(['back_in_stock']);
+      expect(alerts[0].data).toEqual({ stock: 12 });
+    });
+
+    it('should not report a restock of a book that was already in stock', () => {
+      const alerts = detectBookAlerts(buildBook({ stock: 2 }), buildBook({ stock: 20 }));
+
+      expect(alerts).toHaveLength(0);
+    });
+
+    it('should report both alerts when a restock comes with a lower price', () => {
+      const alerts = detectBookAlerts(
+        buildBook({ stock: 0 }),
+        buildBook({ stock: 3, price: { original: 300, discounted: 200 } })
+      );
+
+      expect(alerts.map((alert) => alert.type)).toEqual(['price_drop', 'back_in_stock']);
+    });
+  });
+});
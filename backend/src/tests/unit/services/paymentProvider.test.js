@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+import PaymentProvider from '../../../services/payments/PaymentProvider.js';
+import MockPaymentProvider from '../../../services/payments/MockPaymentProvider.js';
+import Payment from '../../../models/Payment.js';
+import { UnauthorizedError } from '../../../utils/errors.js';
+import { refundPayment } from '../../../services/paymentService.js';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+
+const SECRET = 'test-webhook-secret';
+
+const buildMock = () => new MockPaymentProvider({ webhookSecret: SECRET, autoDeliver: false });
+
+const buildPayment = (overrides = {}) =>
+  new Payment({
+    order: new mongoose.Types.ObjectId(),
+    provider: 'mock',
+    providerPaymentId: 'mock_pi_test',
+    method: 'upi',
+    amount: 500,
+    ...overrides,
+  });
+
+describe('Payment providers', () => {
+  describe('webhook signatures', () => {
+    const provider = new PaymentProvider('test', { webhookSecret: SECRET });
+    const body = JSON.stringify({ id: 'evt_1', type: 'payment.succeeded', data: {} });
+
+    it('should verify a payload it signed and return the event', () => {
+      const event = provider.verifyWebhook(Buffer.from(body), provider.signPayload(body));
+
+      expect(event.id).toBe('evt_1');
+    });
+
+    it('should reject a tampered body', () => {
+      const signature = provider.signPayload(body);
+
+      expect(() => provider.verifyWebhook(body.replace('evt_1', 'evt_2'), signature)).toThrow(
+        UnauthorizedError
+      );
+    });
+
+    it('should reject a signature made with another secret', () => {
+      const other = new PaymentProvider('test', { webhookSecret: 'other-secret' });
+
+      expect(() => provider.verifyWebhook(body, other.signPayload(body))).toThrow(
+        'Invalid webhook signature'
+      );
+    });
+
+    it('should reject old signatures and missing headers', () => {
+      const stale = provider.signPayload(body, Math.floor(Date.now() / 1000) - 3600);
+
+      expect(() => provider.verifyWebhook(body, stale)).toThrow('expired');
+      expect(() => provider.verifyWebhook(body, undefined)).toThrow('Missing webhook signature');
+    });
+  });
+
+  describe('MockPaymentProvider', () => {
+    it('should queue a payment.succeeded event by default', async () => {
+      const provider = buildMock();
+      const intent = await provider.createIntent({ amount: 250, currency: 'INR', orderId: 'o1' });
+
+      expect(intent.id).toMatch(/^mock_pi_/);
+      expect(intent.status).toBe('processing');
+      expect(provider.pendingEvents).toHaveLength(1);
+      expect(provider.pendingEvents[0]).toMatchObject({
+        type: 'payment.succeeded',
+        data: { intentId: intent.id, amount: 250 },
+      });
+    });
+
+    it('should simulate a failure with a reason', async () => {
+      const provider = buildMock();
+      await provider.createIntent({ amount: 250, simulate: 'failure' });
+
+      expect(provider.pendingEvents[0].type).toBe('payment.failed');
+      expect(provider.pendingEvents[0].data.failureReason).toBeDefined();
+    });
+
+    it('should return the same intent for a repeated idempotency key', async () => {
+      const provider = buildMock();
+      const first = await provider.createIntent({ amount: 250, idempotencyKey: 'key-12345' });
+      const second = await provider.createIntent({ amount: 250, idempotencyKey: 'key-12345' });
+
+      expect(second.id).toBe(first.id);
+      expect(provider.pendingEvents).toHaveLength(1);
+    });
+
+    it('should build webhooks that verify', async () => {
+      const provider = buildMock();
+      await provider.refund({ intentId: 'mock_pi_1', amount: 100 });
+
+      const { body, signature } = provider.buildWebhook(provider.pendingEvents[0]);
+      const event = provider.verifyWebhook(body, signature);
+
+      expect(event.type).toBe('refund.succeeded');
+      expect(event.data.refundId).toMatch(/^mock_re_/);
+    });
+  });
+
+  describe('Payment model', () => {
+    it('should only allow refunds of captured money not already pending', () => {
+      const payment = buildPayment();
+      expect(payment.refundableAmount()).toBe(0);
+
+      payment.markSucceeded();
+      payment.refunds.push({ providerRefundId: 're_1', amount: 200 });
+
+      expect(payment.refundableAmount()).toBe(300);
+
+      payment.refundsReserved = 100;
+      expect(payment.refundableAmount()).toBe(200);
+    });
+
+    it('should roll settled refunds into the status', () => {
+      const payment = buildPayment().markSucceeded();
+      payment.refunds.push({ providerRefundId: 're_1', amount: 200 });
+      payment.refunds.push({ providerRefundId: 're_2', amount: 300 });
+
+      payment.settleRefund(payment.refunds[0], 'succeeded');
+      expect(payment.status).toBe('partially_refunded');
+      expect(payment.amountRefunded).toBe(200);
+
+      payment.settleRefund(payment.refunds[1], 'succeeded');
+      expect(payment.status).toBe('refunded');
+
+      // Redelivered settlement is a no-op
+      payment.settleRefund(payment.refunds[1], 'succeeded');
+      expect(payment.amountRefunded).toBe(500);
+    });
+
+    it('should not let a late failure override a capture', () => {
+      const payment = buildPayment().markSucceeded();
+
+      payment.markFailed('Timed out');
+
+      expect(payment.status).toBe('succeeded');
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    it('should not refund more than was paid when refunds race', async () => {
+      const payment = await buildPayment({ status: 'succeeded', paidAt: new Date() }).save();
+
+      const results = await Promise.allSettled([
+        refundPayment(payment._id, { amount: 400 }),
+        refundPayment(payment._id, { amount: 400 }),
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      const after = await Payment.findById(payment._id);
+      expect(after.refunds).toHaveLength(1);
+      expect(after.refundsReserved).toBe(0);
+      expect(after.refundableAmount()).toBe(100);
+    });
+  });
+});
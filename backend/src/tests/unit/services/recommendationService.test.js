@@ -0,0 +1,154 @@
+import {
+  normaliseAuthor,
+  computeContentSimilarity,
+  countCoPurchases,
+  computeAlsoBought,
+  buildUserFeed,
+  recencyWeight,
+} from '../../../services/recommendationService.js';
+
+const book = (id, overrides = {}) => ({
+  _id: id,
+  author: 'Author',
+  category: 'Novel',
+  language: 'Odia',
+  tags: [],
+  rating: 4,
+  ...overrides,
+});
+
+describe('RecommendationService', () => {
+  describe('normaliseAuthor', () => {
+    it('should ignore case, punctuation and extra spaces', () => {
+      expect(normaliseAuthor('  Fakir Mohan   Senapati.')).toBe('fakir mohan senapati');
+      expect(normaliseAuthor('FAKIR MOHAN SENAPATI')).toBe('fakir mohan senapati');
+    });
+
+    it('should keep Odia script intact', () => {
+      expect(normaliseAuthor('ଫକୀର ମୋହନ ସେନାପତି')).toBe('ଫକୀର ମୋହନ ସେନାପତି');
+    });
+
+    it('should return an empty string for a missing author', () => {
+      expect(normaliseAuthor(undefined)).toBe('');
+    });
+  });
+
+  describe('computeContentSimilarity', () => {
+    const books = [
+      book('a', { author: 'Fakir Mohan Senapati', tags: ['classic'] }),
+      book('b', { author: 'Fakir Mohan Senapati', tags: ['classic'] }),
+      book('c', { author: 'Someone Else', tags: ['classic'] }),
+      book('d', { author: 'Another', category: 'Poetry', language: 'English' }),
+      book('e', { author: 'Fifth', category: 'Poetry', language: 'English' }),
+    ];
+
+    it('should rank books by the same author and tags first', () => {
+      const similar = computeContentSimilarity(books).get('a');
+
+      expect(similar[0].book).toBe('b');
+      expect(similar[1].book).toBe('c');
+    });
+
+    it('should not match books that only share a language', () => {
+      const onlyLanguage = [
+        book('x', { category: 'Novel', author: 'One' }),
+        book('y', { category: 'Poetry', author: 'Two' }),
+      ];
+
+      expect(computeContentSimilarity(onlyLanguage).get('x')).toEqual([]);
+    });
+
+    it('should never list a book as similar to itself', () => {
+      const result = computeContentSimilarity(books);
+
+      result.forEach((neighbours, id) => {
+        expect(neighbours.map((n) => n.book)).not.toContain(id);
+      });
+    });
+
+    it('should respect the limit', () => {
+      expect(computeContentSimilarity(books, { limit: 1 }).get('a')).toHaveLength(1);
+    });
+  });
+
+  describe('computeAlsoBought', () => {
+    it('should score books that are usually bought together highest', () => {
+      const counts = countCoPurchases([['a', 'b'], ['a', 'b'], ['a', 'c'], ['c'], ['c']]);
+
+      const alsoBought = computeAlsoBought(counts).get('a');
+
+      expect(alsoBought.map((entry) => entry.book)).toEqual(['b', 'c']);
+      expect(alsoBought[0].count).toBe(2);
+    });
+
+    it('should count a book once per order', () => {
+      const { bookCounts, pairCounts } = countCoPurchases([['a', 'a', 'b']]);
+
+      expect(bookCounts.get('a')).toBe(1);
+      expect(pairCounts.get('a').get('b')).toBe(1);
+    });
+
+    it('should ignore very large baskets', () => {
+      const bulkOrder = Array.from({ length: 40 }, (_, i) => `book${i}`);
+
+      const { pairCounts } = countCoPurchases([bulkOrder]);
+
+      expect(pairCounts.size).toBe(0);
+    });
+  });
+
+  describe('buildUserFeed', () => {
+    const neighbours = {
+      a: {
+        alsoBought: [{ book: 'b', score: 0.9 }],
+        similar: [
+          { book: 'c', score: 0.8 },
+          { book: 'b', score: 0.5 },
+        ],
+      },
+    };
+
+    it('should recommend neighbours of purchased books and explain why', () => {
+      const feed = buildUserFeed({
+        seeds: [{ book: 'a', weight: 1 }],
+        exclude: new Set(['a']),
+        neighboursOf: (id) => neighbours[id],
+      });
+
+      expect(feed.map((item) => item.book)).toEqual(['b', 'c']);
+      expect(feed[0]).toMatchObject({ reason: 'also_bought', basedOn: 'a' });
+      expect(feed[1]).toMatchObject({ reason: 'similar', basedOn: 'a' });
+    });
+
+    it('should leave out books the user already has', () => {
+      const feed = buildUserFeed({
+        seeds: [{ book: 'a', weight: 1 }],
+        exclude: new Set(['a', 'b']),
+        neighboursOf: (id) => neighbours[id],
+      });
+
+      expect(feed.map((item) => item.book)).toEqual(['c']);
+    });
+
+    it('should fill remaining slots with popular books', () => {
+      const feed = buildUserFeed({
+        seeds: [],
+        exclude: new Set(['p1']),
+        neighboursOf: () => undefined,
+        popular: ['p1', 'p2', 'p3'],
+        limit: 1,
+      });
+
+      expect(feed).toEqual([{ book: 'p2', score: 0, reason: 'popular' }]);
+    });
+  });
+
+  describe('recencyWeight', () => {
+    it('should halve the weight of a 90-day-old purchase', () => {
+      const now = Date.now();
+
+      expect(recencyWeight(new Date(now), now)).toBe(1);
+      expect(recencyWeight(new Date(now - 90 * 24 * 60 * 60 * 1000), now)).toBeCloseTo(0.5);
+    });
+  });
+});
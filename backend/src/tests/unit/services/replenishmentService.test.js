@@ -0,0 +1,144 @@
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  exportReplenishmentCsv,
+  getBookSales,
+  getReplenishmentPlan,
+  planReplenishment,
+  sendLowStockAlerts,
+} from '../../../services/replenishmentService.js';
+import Order from '../../../models/Order.js';
+import Notification from '../../../models/Notification.js';
+import User from '../../../models/User.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ReplenishmentService', () => {
+  const settings = { windowDays: 28, leadTimeDays: 7, safetyDays: 7, coverDays: 30 };
+
+  describe('planReplenishment', () => {
+    it('should suggest a reorder once stock would not outlast the lead time and safety days', () => {
+      // 56 sold in 28 days: 2 a day, 10 days of cover
+      const plan = planReplenishment({ stock: 20 }, { units: 56, recentUnits: 14 }, settings);
+
+      expect(plan).toMatchObject({
+        velocity: 2,
+        daysOfCover: 10,
+        reorderPoint: 28,
+        status: 'reorder',
+        // 2 a day for the 7-day lead time and 30 days after, less the 20 in stock
+        suggestedQuantity: 54,
+      });
+    });
+
+    it('should flag books that run out within their lead time', () => {
+      expect(planReplenishment({ stock: 5 }, { units: 56 }, settings).status).toBe('critical');
+      expect(planReplenishment({ stock: 0 }, { units: 1 }, settings).status).toBe('out_of_stock');
+    });
+
+    it("should use the book's own lead time", () => {
+      const plan = planReplenishment({ stock: 20, leadTimeDays: 14 }, { units: 56 }, settings);
+
+      expect(plan).toMatchObject({ leadTimeDays: 14, status: 'critical' });
+    });
+
+    it('should follow a sudden rush in the last week', () => {
+      // 2 a month before, 70 in the last week: exam season
+      const plan = planReplenishment({ stock: 60 }, { units: 72, recentUnits: 70 }, settings);
+
+      expect(plan.velocity).toBe(10);
+      expect(plan.status).toBe('critical');
+    });
+
+    it('should leave slow sellers and unsold books alone', () => {
+      expect(planReplenishment({ stock: 10 }, { units: 2 }, settings).status).toBeNull();
+      expect(planReplenishment({ stock: 0 }, undefined, settings)).toMatchObject({
+        velocity: 0,
+        daysOfCover: null,
+        status: null,
+        suggestedQuantity: 0,
+      });
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    const order = async (book, quantity, { daysAgo = 1, status = 'Delivered' } = {}) => {
+      const created = await Order.create({
+        customerName: 'Reader',
+        customerPhone: '9876543210',
+        customerAddress: 'Bhubaneswar',
+        items: [{ bookId: book._id, quantity, price: 100, title: 'Book' }],
+        totalAmount: 100 * quantity,
+        status,
+      });
+      // Backdated behind the timestamps plugin
+      await Order.collection.updateOne(
+        { _id: created._id },
+        { $set: { createdAt: new Date(Date.now() - daysAgo * DAY_MS) } }
+      );
+    };
+
+    it('should count sales in the window, leaving out cancelled orders', async () => {
+      const book = await createTestBook({ isbn: 'rep-1' });
+      await order(book, 3);
+      await order(book, 4, { daysAgo: 20 });
+      await order(book, 5, { status: 'Cancelled' });
+      await order(book, 6, { daysAgo: 60 });
+
+      const sales = await getBookSales({ windowDays: 28 });
+
+      expect(sales.get(String(book._id))).toEqual({ units: 7, recentUnits: 3 });
+    });
+
+    it('should list the most urgent suggestions first and export them', async () => {
+      const guide = await createTestBook({ isbn: 'rep-2', stock: 2, title: { display: 'Guide' } });
+      const poetry = await createTestBook({ isbn: 'rep-3', stock: 40 });
+      await order(guide, 30);
+      await order(poetry, 1);
+
+      const { suggestions, counts } = await getReplenishmentPlan();
+
+      expect(suggestions.map((row) => String(row.book))).toEqual([String(guide._id)]);
+      expect(counts).toMatchObject({ critical: 1, reorder: 0 });
+
+      const csv = await exportReplenishmentCsv();
+      expect(csv.split('\r\n')[1]).toContain('Guide');
+    });
+
+    it('should alert admins once per book while the alert is unread', async () => {
+      await User.create({
+        name: 'Store Admin',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin',
+      });
+      const book = await createTestBook({ isbn: 'rep-4', stock: 0 });
+      await order(book, 5);
+
+      await sendLowStockAlerts();
+      const result = await sendLowStockAlerts();
+
+      // The counts are what the dashboard shows until the next run
+      expect(result).toMatchObject({
+        books: 1,
+        admins: 1,
+        counts: { out_of_stock: 1, critical: 0, reorder: 0 },
+      });
+      const alerts = await Notification.find({ type: 'low_stock' });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].title).toBe('Out of stock');
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  getReservedStock,
+  releaseReservation,
+  reservationExpiry,
+  reserveStock,
+} from '../../../services/reservationService.js';
+import StockReservation, {
+  MAX_ACTIVE_CHECKOUTS,
+  MAX_CHECKOUT_MINUTES,
+  MAX_HELD_PER_LINE,
+} from '../../../models/StockReservation.js';
+import { config } from '../../../config/env.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('ReservationService', () => {
+  describe('reservationExpiry', () => {
+    it('should hold stock for STOCK_RESERVATION_TTL_MINUTES', () => {
+      const now = new Date('2026-03-01T10:00:00Z');
+
+      expect(reservationExpiry(now).getTime() - now.getTime()).toBe(
+        config.STOCK_RESERVATION_TTL_MINUTES * MINUTE_MS
+      );
+    });
+  });
+
+  describe('reserveStock', () => {
+    it('should refuse to hold more than MAX_HELD_PER_LINE copies of a book', async () => {
+      const bookId = '507f1f77bcf86cd799439011';
+
+      await expect(
+        reserveStock([
+          { bookId, quantity: MAX_HELD_PER_LINE },
+          { bookId, quantity: 1 },
+        ])
+      ).rejects.toThrow(`at most ${MAX_HELD_PER_LINE} copies`);
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    it('should hold the cart for one checkout and keep it from others', async () => {
+      const book = await createTestBook({ isbn: 'res-1', stock: 3 });
+
+      const { checkoutId, items } = await reserveStock([
+        { bookId: book._id, quantity: 1 },
+        { bookId: book._id, quantity: 1 },
+      ]);
+
+      expect(items).toEqual([{ bookId: book._id, quantity: 2 }]);
+      expect((await getReservedStock([book._id])).get(String(book._id))).toBe(2);
+      expect((await getReservedStock([book._id], { checkout: checkoutId })).size).toBe(0);
+
+      await expect(reserveStock([{ bookId: book._id, quantity: 2 }])).rejects.toThrow(
+        'Available: 1'
+      );
+      // The refused checkout holds nothing
+      expect(await StockReservation.countDocuments()).toBe(1);
+    });
+
+    it('should renew a checkout with its new cart', async () => {
+      const first = await createTestBook({ isbn: 'res-2', stock: 5 });
+      const second = await createTestBook({ isbn: 'res-3', stock: 5 });
+      const { checkoutId } = await reserveStock([{ bookId: first._id, quantity: 1 }]);
+
+      const renewed = await reserveStock([{ bookId: second._id, quantity: 4 }], {
+        checkout: checkoutId,
+      });
+
+      expect(renewed.checkoutId).toBe(checkoutId);
+      const holds = await StockReservation.find({ checkout: checkoutId });
+      expect(holds.map((hold) => [String(hold.book), hold.quantity])).toEqual([
+        [String(second._id), 4],
+      ]);
+    });
+
+    it('should send a renewed line that asks for more copies to the back of the queue', async () => {
+      const book = await createTestBook({ isbn: 'res-8', stock: 2 });
+      const first = await reserveStock([{ bookId: book._id, quantity: 1 }]);
+      const second = await reserveStock([{ bookId: book._id, quantity: 1 }]);
+
+      await expect(
+        reserveStock([{ bookId: book._id, quantity: 2 }], { checkout: first.checkoutId })
+      ).rejects.toThrow('Available: 1');
+      expect(await StockReservation.countDocuments({ checkout: second.checkoutId })).toBe(1);
+
+      // Renewing without asking for more keeps the place
+      const third = await reserveStock([{ bookId: book._id, quantity: 1 }]);
+      await expect(
+        reserveStock([{ bookId: book._id, quantity: 1 }], { checkout: third.checkoutId })
+      ).resolves.toMatchObject({ items: [{ quantity: 1 }] });
+    });
+
+    it('should keep the lines it can hold when a renewal falls short', async () => {
+      const plenty = await createTestBook({ isbn: 'res-9', stock: 5 });
+      const scarce = await createTestBook({ isbn: 'res-10', stock: 1 });
+      const { checkoutId } = await reserveStock([{ bookId: plenty._id, quantity: 2 }]);
+
+      await expect(
+        reserveStock(
+          [
+            { bookId: plenty._id, quantity: 2 },
+            { bookId: scarce._id, quantity: 2 },
+          ],
+          { checkout: checkoutId }
+        )
+      ).rejects.toThrow('Available: 1');
+
+      const holds = await StockReservation.find({ checkout: checkoutId });
+      expect(holds.map((hold) => [String(hold.book), hold.quantity])).toEqual([
+        [String(plenty._id), 2],
+      ]);
+    });
+
+    it('should stop counting holds once they expire', async () => {
+      const book = await createTestBook({ isbn: 'res-4', stock: 1 });
+      const earlier = new Date(Date.now() - (config.STOCK_RESERVATION_TTL_MINUTES + 1) * MINUTE_MS);
+      await reserveStock([{ bookId: book._id, quantity: 1 }], { now: earlier });
+
+      expect((await getReservedStock([book._id])).size).toBe(0);
+      await expect(reserveStock([{ bookId: book._id, quantity: 1 }])).resolves.toMatchObject({
+        items: [{ quantity: 1 }],
+      });
+    });
+
+    it('should release a checkout', async () => {
+      const book = await createTestBook({ isbn: 'res-5', stock: 2 });
+      const { checkoutId } = await reserveStock([{ bookId: book._id, quantity: 2 }]);
+
+      expect(await releaseReservation(checkoutId)).toBe(1);
+      expect((await getReservedStock([book._id])).size).toBe(0);
+    });
+
+    it('should not renew a hold past MAX_CHECKOUT_MINUTES', async () => {
+      const book = await createTestBook({ isbn: 'res-6', stock: 2 });
+      const startedAt = new Date(Date.now() - 2 * MAX_CHECKOUT_MINUTES * MINUTE_MS);
+      const at = (minutes) => new Date(startedAt.getTime() + minutes * MINUTE_MS);
+      const deadline = at(MAX_CHECKOUT_MINUTES);
+      const items = [{ bookId: book._id, quantity: 1 }];
+      const { checkoutId: checkout } = await reserveStock(items, { now: startedAt });
+
+      // Renewed just before each hold runs out
+      const step = config.STOCK_RESERVATION_TTL_MINUTES - 1;
+      const renewals = Array.from(
+        { length: Math.floor((MAX_CHECKOUT_MINUTES - 1) / step) },
+        (_, index) => (index + 1) * step
+      );
+      const renewed = await renewals.reduce(
+        (previous, minutes) =>
+          previous.then(() => reserveStock(items, { checkout, now: at(minutes) })),
+        Promise.resolve()
+      );
+
+      expect(renewed.expiresAt).toEqual(deadline);
+      expect((await getReservedStock([book._id], { now: deadline })).size).toBe(0);
+
+      // Holding again starts over
+      const restarted = await reserveStock(items, { checkout, now: deadline });
+      expect(restarted.expiresAt).toEqual(reservationExpiry(deadline));
+    });
+
+    it('should cap the checkouts one guest IP holds at once', async () => {
+      const book = await createTestBook({ isbn: 'res-7', stock: 10 });
+      const items = [{ bookId: book._id, quantity: 1 }];
+      const ip = '203.0.113.7';
+      await Array.from({ length: MAX_ACTIVE_CHECKOUTS }).reduce(
+        (previous) => previous.then(() => reserveStock(items, { ip })),
+        Promise.resolve()
+      );
+
+      await expect(reserveStock(items, { ip })).rejects.toThrow(
+        `At most ${MAX_ACTIVE_CHECKOUTS} checkouts`
+      );
+      await expect(reserveStock(items, { ip: '203.0.113.8' })).resolves.toBeDefined();
+    });
+  });
+});
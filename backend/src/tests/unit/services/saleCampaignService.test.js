@@ -0,0 +1,292 @@
+import mongoose from 'mongoose';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  campaignStatus,
+  campaignTargetsBook,
+  createCampaign,
+  deleteCampaign,
+  getStorefrontCampaigns,
+  recordSalePurchases,
+  releaseSalePurchases,
+  syncBookSales,
+} from '../../../services/saleCampaignService.js';
+import Book, { bookPricing } from '../../../models/Book.js';
+import Order from '../../../models/Order.js';
+import SaleCampaign from '../../../models/SaleCampaign.js';
+import SalePurchase from '../../../models/SalePurchase.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('SaleCampaignService', () => {
+  const now = new Date('2026-11-01T10:00:00Z');
+  const window = {
+    startsAt: new Date(now.getTime() - HOUR_MS),
+    endsAt: new Date(now.getTime() + HOUR_MS),
+  };
+
+  describe('bookPricing', () => {
+    const book = {
+      price: { original: 300, discounted: 270, discountPercent: 10 },
+      sales: [
+        { campaign: 'a', name: 'Puja Sale', price: 240, ...window },
+        { campaign: 'b', name: 'Rath Yatra Sale', price: 200, ...window, perCustomerLimit: 2 },
+        {
+          campaign: 'c',
+          name: 'Next Week',
+          price: 100,
+          startsAt: window.endsAt,
+          endsAt: new Date(now.getTime() + 9 * HOUR_MS),
+        },
+      ],
+    };
+
+    it('should sell at the lowest live campaign price', () => {
+      const pricing = bookPricing(book, now);
+
+      expect(pricing.finalPrice).toBe(200);
+      expect(pricing.savings).toBe(100);
+      expect(pricing.activeSale).toMatchObject({ campaign: 'b', perCustomerLimit: 2 });
+    });
+
+    it('should switch back to the regular price outside the sale window', () => {
+      const pricing = bookPricing(book, new Date(window.startsAt.getTime() - 1));
+
+      expect(pricing.finalPrice).toBe(270);
+      expect(pricing.activeSale).toBeNull();
+      expect(bookPricing(book, window.endsAt).finalPrice).toBe(100);
+    });
+
+    it("should ignore a campaign price above the book's own discount", () => {
+      const pricing = bookPricing(
+        { price: { original: 300, discounted: 150 }, sales: book.sales.slice(0, 1) },
+        now
+      );
+
+      expect(pricing.finalPrice).toBe(150);
+      expect(pricing.activeSale).toBeNull();
+    });
+  });
+
+  describe('SaleCampaign', () => {
+    const build = (overrides = {}) =>
+      new SaleCampaign({
+        name: 'Puja Sale',
+        discountType: 'percent',
+        value: 20,
+        categories: ['Fiction'],
+        ...window,
+        ...overrides,
+      });
+
+    it('should price a percent or fixed-price sale', () => {
+      expect(build().salePriceFor(299)).toBe(239.2);
+      expect(build({ discountType: 'fixed_price', value: 99 }).salePriceFor(299)).toBe(99);
+    });
+
+    it('should need a target and an end after the start', async () => {
+      const error = await build({ categories: [], endsAt: window.startsAt })
+        .validate()
+        .catch((err) => err);
+
+      expect(error.errors.books).toBeDefined();
+      expect(error.errors.endsAt).toBeDefined();
+    });
+  });
+
+  describe('campaignStatus', () => {
+    it('should tell scheduled, live, paused and ended campaigns apart', () => {
+      expect(campaignStatus({ isActive: true, ...window }, now)).toBe('live');
+      expect(
+        campaignStatus({ isActive: true, ...window }, new Date(window.startsAt.getTime() - 1))
+      ).toBe('scheduled');
+      expect(campaignStatus({ isActive: false, ...window }, now)).toBe('paused');
+      expect(campaignStatus({ isActive: false, ...window }, window.endsAt)).toBe('ended');
+    });
+  });
+
+  describe('campaignTargetsBook', () => {
+    it('should match books by ID, category or tag', () => {
+      const _id = new mongoose.Types.ObjectId();
+      const book = { _id, category: 'Poetry', tags: ['classic'] };
+
+      expect(campaignTargetsBook({ books: [String(_id)] }, book)).toBe(true);
+      expect(campaignTargetsBook({ categories: ['Poetry'] }, book)).toBe(true);
+      expect(campaignTargetsBook({ tags: ['classic'] }, book)).toBe(true);
+      expect(campaignTargetsBook({ categories: ['Drama'], tags: ['new'] }, book)).toBe(false);
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    const liveWindow = () => ({
+      startsAt: new Date(Date.now() - HOUR_MS),
+      endsAt: new Date(Date.now() + HOUR_MS),
+    });
+
+    it('should put campaign prices on targeted books and take them off when deleted', async () => {
+      const poetry = await createTestBook({
+        isbn: 's-1',
+        category: 'Poetry',
+        price: { original: 200 },
+      });
+      const drama = await createTestBook({
+        isbn: 's-2',
+        category: 'Drama',
+        price: { original: 200 },
+      });
+
+      const { campaign, books } = await createCampaign(
+        {
+          name: 'Poetry Week',
+          discountType: 'percent',
+          value: 25,
+          categories: ['Poetry'],
+          ...liveWindow(),
+        },
+        new mongoose.Types.ObjectId()
+      );
+
+      expect(books).toBe(1);
+      expect((await Book.findById(poetry._id)).finalPrice).toBe(150);
+      expect((await Book.findById(drama._id)).finalPrice).toBe(200);
+
+      const { live } = await getStorefrontCampaigns();
+      expect(live).toHaveLength(1);
+      expect(live[0].secondsLeft).toBeGreaterThan(0);
+      expect(live[0].books.map((book) => String(book._id))).toEqual([String(poetry._id)]);
+
+      await deleteCampaign(campaign._id);
+      expect((await Book.findById(poetry._id)).finalPrice).toBe(200);
+    });
+
+    it('should pick up campaigns when a book moves into their category', async () => {
+      await SaleCampaign.create({
+        name: 'Drama Days',
+        discountType: 'fixed_price',
+        value: 99,
+        categories: ['Drama'],
+        ...liveWindow(),
+      });
+      const book = await createTestBook({
+        isbn: 's-3',
+        category: 'Poetry',
+        price: { original: 250 },
+      });
+
+      book.category = 'Drama';
+      await book.save();
+      await syncBookSales(book);
+
+      expect(book.finalPrice).toBe(99);
+      expect((await Book.findById(book._id)).activeSale.name).toBe('Drama Days');
+    });
+
+    it('should hold customers to the per-customer cap across orders', async () => {
+      const book = await createTestBook({ isbn: 's-4', price: { original: 300 } });
+      const { campaign } = await createCampaign(
+        {
+          name: 'Flash Sale',
+          discountType: 'percent',
+          value: 50,
+          books: [book._id],
+          perCustomerLimit: 2,
+          ...liveWindow(),
+        },
+        new mongoose.Types.ObjectId()
+      );
+      const sale = (await Book.findById(book._id)).activeSale;
+      await Order.create({
+        customerName: 'Guest',
+        customerPhone: '9876543210',
+        customerAddress: 'Cuttack',
+        items: [
+          { bookId: book._id, quantity: 1, price: 150, title: 'Sale Book', campaign: campaign._id },
+        ],
+        totalAmount: 150,
+      });
+
+      const guest = { customerPhone: '9876543210' };
+
+      await expect(recordSalePurchases([{ sale, quantity: 2 }], guest)).rejects.toThrow(
+        'you can buy 1 more'
+      );
+      await expect(recordSalePurchases([{ sale, quantity: 1 }], guest)).resolves.toBeUndefined();
+      await expect(recordSalePurchases([{ sale, quantity: 1 }], guest)).rejects.toThrow(
+        'you have reached the limit'
+      );
+      await expect(
+        recordSalePurchases([{ sale, quantity: 2 }], { customerPhone: '9000000000' })
+      ).resolves.toBeUndefined();
+
+      // Cancelling gives the copies back
+      await releaseSalePurchases({
+        customerPhone: '9876543210',
+        items: [{ campaign: campaign._id, quantity: 1 }],
+      });
+      await expect(recordSalePurchases([{ sale, quantity: 1 }], guest)).resolves.toBeUndefined();
+    });
+
+    it('should let only one of two simultaneous orders take the last copies', async () => {
+      const book = await createTestBook({ isbn: 's-5', price: { original: 300 } });
+      await createCampaign(
+        {
+          name: 'Flash Sale',
+          discountType: 'percent',
+          value: 50,
+          books: [book._id],
+          perCustomerLimit: 2,
+          ...liveWindow(),
+        },
+        new mongoose.Types.ObjectId()
+      );
+      const sale = (await Book.findById(book._id)).activeSale;
+      const customer = { userId: new mongoose.Types.ObjectId() };
+
+      const results = await Promise.allSettled([
+        recordSalePurchases([{ sale, quantity: 2 }], customer),
+        recordSalePurchases([{ sale, quantity: 2 }], customer),
+      ]);
+
+      expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    });
+
+    it('should let two simultaneous first orders share a cap they both fit in', async () => {
+      const book = await createTestBook({ isbn: 's-6', price: { original: 300 } });
+      await createCampaign(
+        {
+          name: 'Flash Sale',
+          discountType: 'percent',
+          value: 50,
+          books: [book._id],
+          perCustomerLimit: 2,
+          ...liveWindow(),
+        },
+        new mongoose.Types.ObjectId()
+      );
+      const sale = (await Book.findById(book._id)).activeSale;
+      const customer = { userId: new mongoose.Types.ObjectId() };
+
+      // Neither sees a counter yet; the second must add to the first's, not fail
+      const results = await Promise.allSettled([
+        recordSalePurchases([{ sale, quantity: 1 }], customer),
+        recordSalePurchases([{ sale, quantity: 1 }], customer),
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual(['fulfilled', 'fulfilled']);
+      const [counter] = await SalePurchase.find();
+      expect(counter.quantity).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  authorNameParts,
+  buildSearchVocabulary,
+  gradesForLevel,
+  parseSearchQuery,
+} from '../../../services/searchQueryParser.js';
+
+const vocabulary = buildSearchVocabulary({
+  authors: [
+    'ଫକୀରମୋହନ ସେନାପତି',
+    'ଡକ୍ଟର ସୂର୍ଯ୍ୟନାରାୟଣ ଦାସ',
+    'ଅନାଦି ସାହୁ, I.P.S.',
+    'Gopinath Mohanty',
+  ],
+  categories: ['Novel', 'Grammar', 'Short Story', 'Story Collection', 'Science Fiction', 'Poetry'],
+  grades: ['Class 10', 'Class 9', 'X', '12th'],
+});
+
+const chipTypes = (result) => result.chips.map((chip) => chip.type);
+
+describe('SearchQueryParser', () => {
+  describe('authorNameParts', () => {
+    it('should drop honorifics, post-nominals and roles', () => {
+      expect(authorNameParts('ଡକ୍ଟର ସୂର୍ଯ୍ୟନାରାୟଣ ଦାସ')).toEqual([['ସୂର୍ଯ୍ୟନାରାୟଣ', 'ଦାସ']]);
+      expect(authorNameParts('ଅନାଦି ସାହୁ, I.P.S.')).toEqual([['ଅନାଦି', 'ସାହୁ']]);
+      expect(authorNameParts('Dr. A. Rao (Editor)')).toEqual([['a', 'rao']]);
+    });
+
+    it('should split co-authors', () => {
+      expect(authorNameParts('ଡଃ. ବିଜୟାନନ୍ଦ ସିଂହ ଓ ଡଃ. ନିରଞ୍ଜନ ସାହୁ')).toEqual([
+        ['ବିଜୟାନନ୍ଦ', 'ସିଂହ'],
+        ['ନିରଞ୍ଜନ', 'ସାହୁ'],
+      ]);
+    });
+  });
+
+  describe('gradesForLevel', () => {
+    it('should match digits, ordinals and roman numerals', () => {
+      expect(gradesForLevel(['Class 10', 'Class 1', 'X', '10th', 'Grade 11'], 10)).toEqual([
+        'Class 10',
+        'X',
+        '10th',
+      ]);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should parse grade, language, category and price', () => {
+      const result = parseSearchQuery('class 10 odia grammar under 200', vocabulary);
+
+      expect(result.filters).toEqual({
+        language: ['Odia'],
+        category: ['Grammar'],
+        author: [],
+        academicGrade: ['Class 10', 'X'],
+        minPrice: null,
+        maxPrice: 200,
+      });
+      expect(result.gradeLevel).toBe(10);
+      expect(result.text).toBe('');
+      expect(chipTypes(result)).toEqual(['language', 'academicGrade', 'price', 'category']);
+    });
+
+    it('should find an Odia author written with different spacing', () => {
+      const result = parseSearchQuery('ଫକୀର ମୋହନ novels', vocabulary);
+
+      expect(result.filters.author).toEqual(['ଫକୀରମୋହନ ସେନାପତି']);
+      expect(result.filters.category).toEqual(['Novel']);
+      expect(result.chips.find((chip) => chip.type === 'author').match).toBe('ଫକୀର ମୋହନ');
+    });
+
+    it('should read Odia grades, digits and price words', () => {
+      const result = parseSearchQuery('ଦଶମ ଶ୍ରେଣୀ ଉପନ୍ୟାସ ୨୦୦ ଟଙ୍କା ତଳେ', vocabulary);
+
+      expect(result.gradeLevel).toBe(10);
+      expect(result.filters.category).toEqual(['Novel']);
+      expect(result.filters.maxPrice).toBe(200);
+    });
+
+    it('should find Odia authors typed in Roman script', () => {
+      expect(parseSearchQuery('fakir mohan novels', vocabulary).filters).toMatchObject({
+        author: ['ଫକୀରମୋହନ ସେନାପତି'],
+        category: ['Novel'],
+      });
+      expect(parseSearchQuery('gopinath mohanty', vocabulary).filters.author).toEqual([
+        'Gopinath Mohanty',
+      ]);
+    });
+
+    it('should strip the Odia possessive ending from author names', () => {
+      const result = parseSearchQuery('ଫକୀରମୋହନଙ୍କ ଉପନ୍ୟାସ', vocabulary);
+
+      expect(result.filters.author).toEqual(['ଫକୀରମୋହନ ସେନାପତି']);
+    });
+
+    it('should parse price ranges in any order', () => {
+      expect(parseSearchQuery('poems between 300 and 100', vocabulary).filters).toMatchObject({
+        minPrice: 100,
+        maxPrice: 300,
+      });
+      expect(parseSearchQuery('rs. 100-250 stories', vocabulary).filters).toMatchObject({
+        category: ['Short Story', 'Story Collection'],
+        minPrice: 100,
+        maxPrice: 250,
+      });
+      expect(parseSearchQuery('novels above ₹500', vocabulary).filters).toMatchObject({
+        minPrice: 500,
+        maxPrice: null,
+      });
+    });
+
+    it('should prefer the longest phrase', () => {
+      const result = parseSearchQuery('science fiction', vocabulary);
+
+      expect(result.filters.category).toEqual(['Science Fiction']);
+    });
+
+    it('should leave unknown words as free text without filler words', () => {
+      const result = parseSearchQuery('show me books about chha mana atha guntha', vocabulary);
+
+      expect(result.chips).toEqual([]);
+      expect(result.text).toBe('chha mana atha guntha');
+    });
+
+    it('should ignore grades out of range and bare numbers', () => {
+      const result = parseSearchQuery('class 15 1984', vocabulary);
+
+      expect(result.filters.academicGrade).toBeNull();
+      expect(result.filters.minPrice).toBeNull();
+      expect(result.filters.maxPrice).toBeNull();
+      expect(result.text).toBe('15 1984');
+    });
+
+    it('should not offer categories the catalogue does not have', () => {
+      const result = parseSearchQuery('travel', vocabulary);
+
+      expect(result.filters.category).toEqual([]);
+      expect(result.text).toBe('travel');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import searchService, { SEARCH_VOCABULARY_CACHE_KEY } from '../../../services/searchService.js';
+import { getCache } from '../../../utils/cacheManager.js';
+
+const doc = (id, display, author, odia = null) => ({
+  _id: id,
+  title: { display, english: odia ? null : display, odia },
+  author,
+  tags: [],
+  category: 'Novel',
+  language: odia ? 'Odia' : 'English',
+  roman: { title: '', author: '' },
+});
+
+const matchIds = (query) =>
+  searchService.matchAcrossScripts(query).map((result) => result.item._id);
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    searchService.setDocuments([
+      doc('1', 'Paraja', 'Gopinath Mohanty'),
+      doc('2', 'Amrutara Santana', 'Gopinath Mohanty'),
+    ]);
+  });
+
+  describe('applyChange', () => {
+    it('should make a new book searchable at once', () => {
+      searchService.applyChange({
+        action: 'upsert',
+        doc: doc('3', 'Mamu', 'Fakir Mohan Senapati'),
+      });
+
+      expect(matchIds('mamu')).toEqual(['3']);
+      expect(searchService.documents.size).toBe(3);
+    });
+
+    it('should replace an edited book instead of adding a copy', () => {
+      searchService.applyChange({
+        action: 'upsert',
+        doc: doc('1', 'Paraja (Reprint)', 'Gopinath Mohanty'),
+      });
+
+      expect(matchIds('paraja')).toEqual(['1']);
+      expect(searchService.matchAcrossScripts('paraja')[0].item.title.display).toBe(
+        'Paraja (Reprint)'
+      );
+      expect(searchService.documents.size).toBe(2);
+    });
+
+    it('should drop a deleted book', () => {
+      searchService.applyChange({ action: 'remove', id: '1' });
+
+      expect(matchIds('paraja')).toEqual([]);
+      expect(matchIds('gopinath')).toEqual(['2']);
+    });
+
+    it('should ignore removal of a book that is not indexed', () => {
+      searchService.applyChange({ action: 'remove', id: 'missing' });
+
+      expect(searchService.documents.size).toBe(2);
+    });
+
+    it('should clear the cached search vocabulary', () => {
+      getCache().set(SEARCH_VOCABULARY_CACHE_KEY, { authors: new Map() });
+
+      searchService.applyChange({ action: 'remove', id: '2' });
+
+      expect(getCache().get(SEARCH_VOCABULARY_CACHE_KEY)).toBeUndefined();
+    });
+  });
+
+  describe('snapshots', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'search-index-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should restore the index and its later changes from a snapshot', async () => {
+      const file = path.join(dir, 'nested', 'search-index.json');
+      searchService.applyChange({ action: 'remove', id: '1' });
+      searchService.applyChange({
+        action: 'upsert',
+        doc: doc('3', 'Mamu', 'Fakir Mohan Senapati'),
+      });
+      await searchService.saveSnapshot(file);
+
+      searchService.setDocuments([]);
+      const savedAt = await searchService.loadSnapshot(file);
+
+      expect(savedAt).toBeInstanceOf(Date);
+      expect(matchIds('mamu')).toEqual(['3']);
+      expect(matchIds('amrutara')).toEqual(['2']);
+      expect(matchIds('paraja')).toEqual([]);
+    });
+
+    it('should return null when there is no snapshot', async () => {
+      expect(await searchService.loadSnapshot(path.join(dir, 'missing.json'))).toBeNull();
+    });
+
+    it('should ignore a corrupt snapshot', async () => {
+      const file = path.join(dir, 'search-index.json');
+      await fs.writeFile(file, '{"version":');
+
+      expect(await searchService.loadSnapshot(file)).toBeNull();
+      expect(searchService.documents.size).toBe(2);
+    });
+  });
+});
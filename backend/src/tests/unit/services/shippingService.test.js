@@ -0,0 +1,71 @@
+import {
+  FALLBACK_ZONE,
+  calculateShipping,
+  extractPincode,
+  isValidPincode,
+  addBusinessDays,
+} from '../../../services/shippingService.js';
+
+const zone = {
+  code: 'ODISHA',
+  rate: 40,
+  freeShippingThreshold: null,
+  codAvailable: true,
+  codCharge: 30,
+};
+
+describe('ShippingService', () => {
+  describe('calculateShipping', () => {
+    it('should charge the zone rate below the threshold', () => {
+      const result = calculateShipping(zone, 300);
+
+      expect(result.shippingCost).toBe(40);
+      expect(result.isFreeShipping).toBe(false);
+      expect(result.freeShippingThreshold).toBe(500);
+      expect(result.amountToFreeShipping).toBe(200);
+      expect(result.codCharge).toBe(30);
+    });
+
+    it('should ship free at or above the threshold and waive the COD charge', () => {
+      const result = calculateShipping(zone, 500);
+
+      expect(result.shippingCost).toBe(0);
+      expect(result.isFreeShipping).toBe(true);
+      expect(result.codCharge).toBe(0);
+    });
+
+    it('should prefer the zone threshold over the store-wide one', () => {
+      const result = calculateShipping({ ...zone, freeShippingThreshold: 1000 }, 700);
+
+      expect(result.shippingCost).toBe(40);
+      expect(result.amountToFreeShipping).toBe(300);
+    });
+
+    it('should keep the old flat ₹50 when no zones are configured', () => {
+      expect(calculateShipping(FALLBACK_ZONE, 100).shippingCost).toBe(50);
+    });
+  });
+
+  describe('pincode helpers', () => {
+    it('should validate 6-digit pincodes', () => {
+      expect(isValidPincode('751001')).toBe(true);
+      expect(isValidPincode('051001')).toBe(false);
+      expect(isValidPincode('75100')).toBe(false);
+    });
+
+    it('should pull the pincode out of an address', () => {
+      expect(extractPincode('Plot 12, Sahid Nagar, Bhubaneswar, Odisha - 751007')).toBe('751007');
+      expect(extractPincode('123 Test Street, Bhubaneswar')).toBeNull();
+    });
+  });
+
+  describe('addBusinessDays', () => {
+    it('should skip Sundays', () => {
+      // Friday 2 Jan 2026 + 2 business days = Monday 5 Jan
+      const result = addBusinessDays(new Date(2026, 0, 2), 2);
+
+      expect(result.getDate()).toBe(5);
+      expect(result.getDay()).toBe(1);
+    });
+  });
+});
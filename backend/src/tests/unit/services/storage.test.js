@@ -0,0 +1,86 @@
+import os from 'os';
+import path from 'path';
+import { mkdtemp, readFile, rm, stat } from 'fs/promises';
+import { PutObjectCommand, DeleteObjectsCommand } from '@aws-sdk/client-s3';
+import LocalStorageAdapter from '../../../services/storage/LocalStorageAdapter.js';
+import S3StorageAdapter from '../../../services/storage/S3StorageAdapter.js';
+
+describe('Storage adapters', () => {
+  describe('LocalStorageAdapter', () => {
+    let directory;
+    let storage;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+      storage = new LocalStorageAdapter({ directory, baseUrl: 'http://localhost:5000/uploads/' });
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should store, serve and delete files by key', async () => {
+      await storage.put('books/1/a-thumb.webp', Buffer.from('webp'));
+
+      expect(await readFile(path.join(directory, 'books/1/a-thumb.webp'), 'utf8')).toBe('webp');
+      expect(storage.url('books/1/a-thumb.webp')).toBe(
+        'http://localhost:5000/uploads/books/1/a-thumb.webp'
+      );
+
+      await storage.delete(['books/1/a-thumb.webp', 'books/1/missing.webp']);
+      await expect(stat(path.join(directory, 'books/1/a-thumb.webp'))).rejects.toThrow();
+    });
+
+    it('should refuse keys outside the upload directory', async () => {
+      await expect(storage.put('../escape.txt', Buffer.from('x'))).rejects.toThrow(
+        'Invalid storage key'
+      );
+    });
+  });
+
+  describe('S3StorageAdapter', () => {
+    const client = () => {
+      const sent = [];
+      return { sent, send: async (command) => sent.push(command) };
+    };
+
+    it('should put objects with their content type and cache headers', async () => {
+      const fake = client();
+      const storage = new S3StorageAdapter({ bucket: 'books', region: 'ap-south-1', client: fake });
+
+      await storage.put('books/1/a-large.webp', Buffer.from('webp'), {
+        contentType: 'image/webp',
+        cacheControl: 'public, max-age=60',
+      });
+
+      expect(fake.sent[0]).toBeInstanceOf(PutObjectCommand);
+      expect(fake.sent[0].input).toMatchObject({
+        Bucket: 'books',
+        Key: 'books/1/a-large.webp',
+        ContentType: 'image/webp',
+        CacheControl: 'public, max-age=60',
+      });
+      expect(storage.url('books/1/a-large.webp')).toBe(
+        'https://books.s3.ap-south-1.amazonaws.com/books/1/a-large.webp'
+      );
+    });
+
+    it('should delete in batches and use the MinIO endpoint for URLs', async () => {
+      const fake = client();
+      const storage = new S3StorageAdapter({
+        bucket: 'books',
+        region: 'us-east-1',
+        endpoint: 'http://localhost:9000/',
+        forcePathStyle: true,
+        client: fake,
+      });
+
+      await storage.delete(Array.from({ length: 1001 }, (_, index) => `k${index}`));
+
+      expect(fake.sent).toHaveLength(2);
+      expect(fake.sent[0]).toBeInstanceOf(DeleteObjectsCommand);
+      expect(fake.sent[1].input.Delete.Objects).toEqual([{ Key: 'k1000' }]);
+      expect(storage.url('a.webp')).toBe('http://localhost:9000/books/a.webp');
+    });
+  });
+});
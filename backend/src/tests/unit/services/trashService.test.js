@@ -0,0 +1,163 @@
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  listDeletedBooks,
+  purgeBook,
+  purgeDate,
+  purgeExpiredBooks,
+  restoreBook,
+} from '../../../services/trashService.js';
+import { reserveStock } from '../../../services/reservationService.js';
+import { getBookFacets } from '../../../services/bookService.js';
+import Author from '../../../models/Author.js';
+import Book from '../../../models/Book.js';
+import BookVersion from '../../../models/BookVersion.js';
+import Cart from '../../../models/Cart.js';
+import StockMovement from '../../../models/StockMovement.js';
+import StockReservation from '../../../models/StockReservation.js';
+import Wishlist from '../../../models/Wishlist.js';
+import Work from '../../../models/Work.js';
+import { createTestUser } from '../../helpers/authHelpers.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('TrashService', () => {
+  describe('purgeDate', () => {
+    it('should add the retention period to the deletion date', () => {
+      const deletedAt = new Date('2026-01-01T10:00:00Z');
+
+      expect(purgeDate(deletedAt, 30)).toEqual(new Date('2026-01-31T10:00:00Z'));
+    });
+
+    it('should keep books forever when retention is 0', () => {
+      expect(purgeDate(new Date(), 0)).toBeNull();
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    it('should list deleted books with the admin who deleted them', async () => {
+      const { user: admin } = await createTestUser({ name: 'Trash Admin', role: 'admin' });
+      const kept = await createTestBook({ isbn: 't-1' });
+      const deleted = await createTestBook({ isbn: 't-2' });
+      await deleted.softDelete(admin.id);
+
+      const { books, pagination } = await listDeletedBooks();
+
+      expect(pagination.total).toBe(1);
+      expect(String(books[0]._id)).toBe(String(deleted._id));
+      expect(books[0].deletedBy.name).toBe('Trash Admin');
+      expect(books[0].purgeAt).toBeInstanceOf(Date);
+      expect(await Book.findById(kept._id)).not.toBeNull();
+    });
+
+    it('should restore a deleted book and refuse one that is not deleted', async () => {
+      const book = await createTestBook({ isbn: 't-3' });
+      await book.softDelete();
+
+      await restoreBook(book._id);
+
+      expect(await Book.findById(book._id)).not.toBeNull();
+      expect(await BookVersion.countDocuments({ book: book._id, action: 'restore' })).toBe(1);
+      await expect(restoreBook(book._id)).rejects.toThrow('No deleted book');
+    });
+
+    it('should only purge books that are in the trash', async () => {
+      const book = await createTestBook({ isbn: 't-4' });
+
+      await expect(purgeBook(book._id)).rejects.toThrow('No deleted book');
+
+      await book.softDelete();
+      await purgeBook(book._id);
+
+      expect(await Book.exists({ _id: book._id }).setOptions({ includeDeleted: true })).toBeNull();
+    });
+
+    it('should leave trashed books out of listing facets', async () => {
+      await createTestBook({ isbn: 't-7', category: 'Poetry' });
+      const trashed = await createTestBook({ isbn: 't-8', category: 'Drama' });
+      await trashed.softDelete();
+
+      const facets = await getBookFacets();
+
+      expect(facets.category).toEqual([{ name: 'Poetry', count: 1 }]);
+    });
+
+    it('should take the stock ledger, holds and every reference with a purged book', async () => {
+      const { user } = await createTestUser();
+      const [lone, shared] = await Work.create([
+        { title: { display: 'Chha Mana Atha Guntha' } },
+        { title: { display: 'Mamu' } },
+      ]);
+      const [unknown, famous] = await Author.create([
+        { name: { display: 'Unknown Writer' }, slug: 'unknown-writer' },
+        {
+          name: { display: 'Famous Writer' },
+          slug: 'famous-writer',
+          bio: { english: 'Wrote a lot' },
+        },
+      ]);
+      const book = await createTestBook({
+        isbn: 't-9',
+        work: lone._id,
+        authorIds: [unknown._id, famous._id],
+      });
+      const edition = await createTestBook({ isbn: 't-10', work: shared._id });
+      const other = await createTestBook({ isbn: 't-11', work: shared._id });
+      await StockMovement.create({ book: book._id, reason: 'restock', change: 10, stockAfter: 10 });
+      await reserveStock([{ bookId: book._id, quantity: 1 }]);
+      await Cart.create({ user: user.id, items: [{ book: book._id, quantity: 1 }] });
+      await Wishlist.create({
+        user: user.id,
+        items: [{ book: book._id }, { book: other._id }],
+      });
+      await book.softDelete();
+      await edition.softDelete();
+
+      await purgeBook(book._id);
+      await purgeBook(edition._id);
+
+      expect(await StockMovement.countDocuments()).toBe(0);
+      expect(await StockReservation.countDocuments()).toBe(0);
+      expect((await Cart.findOne({ user: user.id })).items).toHaveLength(0);
+      const wishlist = await Wishlist.findOne({ user: user.id });
+      expect(wishlist.items.map((item) => String(item.book))).toEqual([String(other._id)]);
+      // The other edition keeps its work; an author with a profile stays
+      expect((await Work.find()).map((work) => String(work._id))).toEqual([String(shared._id)]);
+      expect((await Author.find()).map((author) => author.slug)).toEqual(['famous-writer']);
+    });
+
+    it('should purge books deleted longer ago than the retention period', async () => {
+      const now = new Date();
+      const old = await createTestBook({ isbn: 't-5' });
+      const recent = await createTestBook({ isbn: 't-6' });
+      await Book.updateOne(
+        { _id: old._id },
+        { isDeleted: true, deletedAt: new Date(now.getTime() - 31 * DAY_MS) }
+      );
+      await Book.updateOne(
+        { _id: recent._id },
+        { isDeleted: true, deletedAt: new Date(now.getTime() - DAY_MS) }
+      );
+
+      expect(await purgeExpiredBooks({ retentionDays: 0, now })).toEqual({ purged: 0 });
+      expect(await purgeExpiredBooks({ retentionDays: 30, now })).toEqual({ purged: 1 });
+
+      const left = await Book.find({ _id: { $in: [old._id, recent._id] } })
+        .setOptions({ includeDeleted: true })
+        .lean();
+      expect(left.map((book) => String(book._id))).toEqual([String(recent._id)]);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import Book from '../../../models/Book.js';
+import Notification from '../../../models/Notification.js';
+import {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  mergeWishlist,
+} from '../../../services/wishlistService.js';
+import {
+  notifyWishlisters,
+  listNotifications,
+  markAllAsRead,
+} from '../../../services/notificationService.js';
+import { NotFoundError } from '../../../utils/errors.js';
+
+const userId = new mongoose.Types.ObjectId().toString();
+const otherUserId = new mongoose.Types.ObjectId().toString();
+
+const createBook = (overrides = {}) =>
+  Book.create({
+    title: { display: 'Test Book' },
+    author: 'Test Author',
+    description: 'A test book description',
+    price: { original: 300, discounted: 250 },
+    category: 'Fiction',
+    stock: 5,
+    ...overrides,
+  });
+
+describe('WishlistService', () => {
+  beforeAll(async () => {
+    await connectTestDB();
+  });
+
+  afterAll(async () => {
+    await disconnectTestDB();
+  });
+
+  beforeEach(async () => {
+    await clearTestDB();
+  });
+
+  describe('addToWishlist', () => {
+    it('should save a book with its current price', async () => {
+      const book = await createBook();
+
+      const wishlist = await addToWishlist(userId, book._id);
+
+      expect(wishlist.count).toBe(1);
+      expect(wishlist.items[0].price).toBe(250);
+      expect(wishlist.items[0].priceWhenAdded).toBe(250);
+      expect(wishlist.items[0].inStock).toBe(true);
+    });
+
+    it('should not add the same book twice', async () => {
+      const book = await createBook();
+
+      await addToWishlist(userId, book._id);
+      const wishlist = await addToWishlist(userId, book._id);
+
+      expect(wishlist.count).toBe(1);
+    });
+
+    it('should reject an unknown book', async () => {
+      await expect(addToWishlist(userId, new mongoose.Types.ObjectId().toString())).rejects.toThrow(
+        NotFoundError
+      );
+    });
+  });
+
+  describe('getWishlist', () => {
+    it('should flag books that got cheaper since they were saved', async () => {
+      const book = await createBook();
+      await addToWishlist(userId, book._id);
+      await Book.findByIdAndUpdate(book._id, { 'price.discounted': 200 });
+
+      const wishlist = await getWishlist(userId);
+
+      expect(wishlist.items[0].price).toBe(200);
+      expect(wishlist.items[0].priceDropped).toBe(true);
+    });
+
+    it('should return an empty list for a new user', async () => {
+      const wishlist = await getWishlist(userId);
+
+      expect(wishlist).toEqual({ items: [], count: 0 });
+    });
+  });
+
+  describe('removeFromWishlist', () => {
+    it('should remove the book', async () => {
+      const book = await createBook();
+      await addToWishlist(userId, book._id);
+
+      const wishlist = await removeFromWishlist(userId, book._id);
+
+      expect(wishlist.count).toBe(0);
+    });
+  });
+
+  describe('mergeWishlist', () => {
+    it('should add guest books and skip missing ones', async () => {
+      const saved = await createBook();
+      const guest = await createBook({ title: { display: 'Guest Book' } });
+      const missing = new mongoose.Types.ObjectId().toString();
+      await addToWishlist(userId, saved._id);
+
+      const wishlist = await mergeWishlist(userId, [
+        saved._id.toString(),
+        guest._id.toString(),
+        missing,
+      ]);
+
+      expect(wishlist.count).toBe(2);
+      expect(wishlist.skipped).toEqual([{ bookId: missing, reason: 'not_found' }]);
+    });
+  });
+
+  describe('notifyWishlisters', () => {
+    it('should notify every user who wishlisted a book when its price drops', async () => {
+      const book = await createBook();
+      await addToWishlist(userId, book._id);
+      await addToWishlist(otherUserId, book._id);
+
+      const updated = await Book.findByIdAndUpdate(
+        book._id,
+        { 'price.discounted': 199 },
+        { new: true }
+      );
+      await notifyWishlisters(book, updated);
+
+      const { notifications, unreadCount } = await listNotifications(userId);
+      expect(unreadCount).toBe(1);
+      expect(notifications[0].type).toBe('price_drop');
+      expect(notifications[0].data).toEqual({ oldPrice: 250, newPrice: 199 });
+      expect(await Notification.countDocuments({ user: otherUserId })).toBe(1);
+    });
+
+    it('should refresh an unread alert instead of adding another', async () => {
+      const book = await createBook();
+      await addToWishlist(userId, book._id);
+
+      const first = await Book.findByIdAndUpdate(
+        book._id,
+        { 'price.discounted': 220 },
+        { new: true }
+      );
+      await notifyWishlisters(book, first);
+      const second = await Book.findByIdAndUpdate(
+        book._id,
+        { 'price.discounted': 180 },
+        { new: true }
+      );
+      await notifyWishlisters(first, second);
+
+      const { notifications } = await listNotifications(userId);
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].data.newPrice).toBe(180);
+    });
+
+    it('should notify again once the earlier alert was read', async () => {
+      const book = await createBook({ stock: 0 });
+      await addToWishlist(userId, book._id);
+
+      const restocked = await Book.findByIdAndUpdate(book._id, { stock: 4 }, { new: true });
+      await notifyWishlisters(book, restocked);
+      await markAllAsRead(userId);
+      const soldOut = await Book.findByIdAndUpdate(book._id, { stock: 0 }, { new: true });
+      const restockedAgain = await Book.findByIdAndUpdate(book._id, { stock: 6 }, { new: true });
+      await notifyWishlisters(soldOut, restockedAgain);
+
+      const { notifications, unreadCount } = await listNotifications(userId);
+      expect(notifications).toHaveLength(2);
+      expect(unreadCount).toBe(1);
+    });
+
+    it('should not notify users who did not wishlist the book', async () => {
+      const book = await createBook({ stock: 0 });
+
+      const updated = await Book.findByIdAndUpdate(book._id, { stock: 4 }, { new: true });
+      const sent = await notifyWishlisters(book, updated);
+
+      expect(sent).toBe(0);
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { connectTestDB, disconnectTestDB, clearTestDB } from '../../helpers/mockDatabase.js';
+import {
+  createWork,
+  deleteWork,
+  editionKey,
+  getEditionInfo,
+  groupEditions,
+  pickEdition,
+} from '../../../services/workService.js';
+import { createSeries } from '../../../services/seriesService.js';
+import Book, { bookEvents } from '../../../models/Book.js';
+import Work from '../../../models/Work.js';
+import { createTestBook } from '../../helpers/factories.js';
+
+const book = (title, author = 'Gopinath Mohanty') => ({ title: { display: title }, author });
+
+describe('WorkService', () => {
+  describe('editionKey', () => {
+    it('should give editions of one title the same key in either script', () => {
+      const key = editionKey(book('Amrutara Santana'));
+
+      expect(editionKey(book('Amrutara Santana (2nd Edition)'))).toBe(key);
+      expect(editionKey(book('ଅମୃତର ସନ୍ତାନ (ନୂଆ ସଂସ୍କରଣ)', 'ଗୋପୀନାଥ ମହାନ୍ତି'))).toBe(key);
+    });
+
+    it('should keep volumes and other authors apart', () => {
+      const key = editionKey(book('Amrutara Santana'));
+
+      expect(editionKey(book('Amrutara Santana (Part II)'))).not.toBe(key);
+      expect(editionKey(book('Amrutara Santana', 'Pratibha Ray'))).not.toBe(key);
+    });
+  });
+
+  describe('pickEdition', () => {
+    it('should prefer an edition in stock, then the newest', () => {
+      const old = { _id: 'old', stock: 4, edition: { year: 2001 } };
+      const soldOut = { _id: 'sold-out', stock: 0, edition: { year: 2024 } };
+      const latest = { _id: 'latest', stock: 1, edition: { year: 2019 } };
+
+      expect(pickEdition([old, soldOut, latest])._id).toBe('latest');
+      expect(pickEdition([soldOut])._id).toBe('sold-out');
+      expect(pickEdition([])).toBeNull();
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(async () => {
+      await connectTestDB();
+    });
+
+    afterAll(async () => {
+      await disconnectTestDB();
+    });
+
+    beforeEach(async () => {
+      await clearTestDB();
+    });
+
+    it('should group editions of one title into a work', async () => {
+      await createTestBook({ isbn: 'w-1', title: { display: 'Paraja' } });
+      await createTestBook({ isbn: 'w-2', title: { display: 'Paraja (Hardcover Edition)' } });
+      await createTestBook({ isbn: 'w-3', title: { display: 'Paraja (Part II)' } });
+
+      const dryRun = await groupEditions({ dryRun: true });
+      expect(dryRun.works).toEqual([{ title: 'Paraja', books: 2 }]);
+      expect(await Work.countDocuments()).toBe(0);
+
+      const report = await groupEditions();
+      const work = await Work.findOne();
+
+      expect(report.booksGrouped).toBe(2);
+      expect(await Book.countDocuments({ work: work._id })).toBe(2);
+      expect((await groupEditions()).works).toEqual([]);
+    });
+
+    it('should only tell the search index about bulk updates of indexed fields', async () => {
+      await createTestBook({ isbn: 'w-4', title: { display: 'Mamu' } });
+      await createTestBook({ isbn: 'w-5', title: { display: 'Mamu (Hardcover Edition)' } });
+      const changed = [];
+      const listener = (id) => changed.push(String(id));
+      bookEvents.on('change', listener);
+
+      try {
+        await groupEditions();
+        expect(changed).toEqual([]);
+
+        const work = await Work.findOne();
+        await Book.updateMany({ work: work._id }, { $set: { category: 'Novel' } });
+      } finally {
+        bookEvents.off('change', listener);
+      }
+
+      expect(changed).toHaveLength(2);
+    });
+
+    it('should list the other editions and the next volume of a series', async () => {
+      const series = await createSeries({ name: { display: 'Sahitya Sambhar' } });
+      const [first, hardcover, second] = await Promise.all([
+        createTestBook({ isbn: 's-1', title: { display: 'Volume One' } }),
+        createTestBook({ isbn: 's-2', title: { display: 'Volume One' }, format: 'Hardcover' }),
+        createTestBook({ isbn: 's-3', title: { display: 'Volume Two' } }),
+      ]);
+      await createWork({
+        bookIds: [first._id, hardcover._id],
+        series: series._id,
+        seriesVolume: 1,
+      });
+      await createWork({ bookIds: [second._id], series: series._id, seriesVolume: 2 });
+
+      const { editions, series: position } = await getEditionInfo(
+        await Book.findById(hardcover._id)
+      );
+
+      expect(editions.map((edition) => edition.format)).toEqual(['Paperback', 'Hardcover']);
+      expect(position.volume).toBe(1);
+      expect(position.previous).toBeNull();
+      expect(String(position.next.book._id)).toBe(String(second._id));
+    });
+
+    it('should leave the books standalone when a work is deleted', async () => {
+      const paperback = await createTestBook({ isbn: 'd-1' });
+      const work = await createWork({ bookIds: [paperback._id] });
+
+      await deleteWork(work._id);
+
+      const standalone = await Book.findById(paperback._id);
+      expect(standalone.work).toBeNull();
+      expect(await getEditionInfo(standalone)).toEqual({ editions: [], series: null });
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { formatCsvRow, parseCsv, parseCsvRows } from '../../../utils/csv.js';
+
+describe('CSV parser', () => {
+  it('should handle quoted fields, escaped quotes and CRLF', () => {
+    const rows = parseCsvRows('a,b\r\n"x, y","say ""hi"""\r\n');
+
+    expect(rows).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"'],
+    ]);
+  });
+
+  it('should map rows to lower-cased headers and skip blank lines', () => {
+    const { headers, records } = parseCsv('Pincode,Zone\n751001, local \n\n760001,ODISHA');
+
+    expect(headers).toEqual(['pincode', 'zone']);
+    expect(records).toEqual([
+      { line: 2, data: { pincode: '751001', zone: 'local' } },
+      { line: 3, data: { pincode: '760001', zone: 'ODISHA' } },
+    ]);
+  });
+
+  it('should quote fields that need it and round-trip through the parser', () => {
+    const row = formatCsvRow(['ପରଜା, 2nd ed.', 'say "hi"', 'two\nlines', 250, null]);
+
+    expect(row).toBe('"ପରଜା, 2nd ed.","say ""hi""","two\nlines",250,\r\n');
+    expect(parseCsvRows(row)).toEqual([['ପରଜା, 2nd ed.', 'say "hi"', 'two\nlines', '250', '']]);
+  });
+
+  it('should stop text from running as a spreadsheet formula', () => {
+    expect(formatCsvRow(['=SUM(A1)', -5])).toBe("'=SUM(A1),-5\r\n");
+  });
+});
@@ -0,0 +1,62 @@
+import {
+  normaliseText,
+  romaniseOdia,
+  toOdiaScript,
+  phoneticKey,
+  hasOdiaScript,
+} from '../../../utils/odiaText.js';
+
+const romanKey = (text) => phoneticKey(romaniseOdia(text));
+
+describe('Odia text helpers', () => {
+  describe('normaliseText', () => {
+    it('should lower-case, convert Odia digits and drop zero-width joiners', () => {
+      expect(normaliseText('Class ୧୦ ଉଦ୍\u200Cଗାତା')).toBe('class 10 ଉଦ୍ଗାତା');
+    });
+  });
+
+  describe('romaniseOdia', () => {
+    it('should keep the inherent vowel unless a virama or vowel sign follows', () => {
+      expect(romaniseOdia('ଫକୀର ମୋହନ')).toBe('phakiira mohana');
+      expect(romaniseOdia('ଗୁଣ୍ଠ')).toBe('guntha');
+    });
+
+    it('should handle nukta letters, signs and digits', () => {
+      expect(romaniseOdia('ଓଡ଼ିଆ')).toBe('odiaa');
+      expect(romaniseOdia('ସିଂହ ୨')).toBe('sinha 2');
+    });
+
+    it('should pass Roman text through', () => {
+      expect(romaniseOdia('Gopinath Mohanty')).toBe('Gopinath Mohanty');
+    });
+  });
+
+  describe('toOdiaScript', () => {
+    it('should transliterate Roman words', () => {
+      expect(toOdiaScript('mohan')).toBe('ମୋହନ');
+      expect(toOdiaScript('chha')).toBe('ଛ');
+      expect(toOdiaScript('krishna')).toBe('କ୍ରିଶ୍ନ');
+    });
+  });
+
+  describe('phoneticKey', () => {
+    it('should give typed and romanised Odia the same key', () => {
+      expect(phoneticKey('fakir mohan senapati')).toBe(romanKey('ଫକୀର ମୋହନ ସେନାପତି'));
+      expect(phoneticKey('chha mana atha guntha')).toBe(romanKey('ଛ ମାଣ ଆଠ ଗୁଣ୍ଠ'));
+      expect(phoneticKey('gopinath mohanty')).toBe(romanKey('ଗୋପୀନାଥ ମହାନ୍ତି'));
+      expect(phoneticKey('pattanaik')).toBe(romanKey('ପଟ୍ଟନାୟକ'));
+    });
+
+    it('should keep a vowel that starts a word', () => {
+      expect(phoneticKey('atha')).toBe('at');
+      expect(phoneticKey('odia')).toBe('odi');
+    });
+  });
+
+  describe('hasOdiaScript', () => {
+    it('should detect Odia characters', () => {
+      expect(hasOdiaScript('novels by ଫକୀର')).toBe(true);
+      expect(hasOdiaScript('novels')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { deflateRawSync } from 'zlib';
+import readXlsxRows from '../../../utils/xlsx.js';
+
+/**
+ * Build a ZIP archive (deflated entries, CRCs left as zero - the reader
+ * doesn't check them)
+ */
+const zip = (files) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, eocd]);
+};
+
+const workbook = (sheetXml, sharedStrings = []) =>
+  zip({
+    'xl/workbook.xml':
+      '<workbook><sheets><sheet name="Books" sheetId="1" r:id="rId3"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels':
+      '<Relationships><Relationship Id="rId3" Target="worksheets/books.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${sharedStrings.map((s) => `<si>${s}</si>`).join('')}</sst>`,
+    'xl/worksheets/books.xml': `<worksheet><sheetData>${sheetXml}</sheetData></worksheet>`,
+  });
+
+describe('XLSX reader', () => {
+  it('should read shared, inline, numeric and boolean cells of the first sheet', () => {
+    const buffer = workbook(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+        '<row r="2"><c r="A2" t="inlineStr"><is><t>Tom &amp; Jerry</t></is></c>' +
+        '<c r="B2"><v>299.5</v></c><c r="C2" t="b"><v>1</v></c></row>',
+      ['<t>Title</t>', '<r><t>Pri</t></r><r><t xml:space="preserve">ce</t></r>']
+    );
+
+    expect(readXlsxRows(buffer)).toEqual([
+      ['Title', 'Price'],
+      ['Tom & Jerry', '299.5', 'TRUE'],
+    ]);
+  });
+
+  it('should keep row and column positions across empty cells and rows', () => {
+    const buffer = workbook(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c></row>' +
+        '<row r="3"><c r="A3" s="1"/><c r="C3" t="s"><v>1</v></c></row>',
+      ['<t>ISBN</t>', '<t>ଓଡ଼ିଆ</t>']
+    );
+
+    expect(readXlsxRows(buffer)).toEqual([['ISBN'], [], ['', '', 'ଓଡ଼ିଆ']]);
+  });
+
+  it('should reject files that are not XLSX', () => {
+    expect(() => readXlsxRows(Buffer.from('Title,Author\n'))).toThrow('Not a ZIP archive');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Minimal RFC 4180 CSV parser
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} Rows of fields (blank lines skipped)
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, ''); // strip BOM
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into objects
+ * Header names are trimmed and lower-cased; values are trimmed.
+ * @param {string} text - Raw CSV text
+ * @returns {{headers: string[], records: Array<{line: number, data: Object}>}}
+ *   line is the 1-based row number (header is row 1, blank lines aren't counted)
+ */
+export const parseCsv = (text) => {
+  const [headerRow = [], ...rows] = parseCsvRows(text);
+  const headers = headerRow.map((header) => header.trim().toLowerCase());
+
+  const records = rows.map((values, index) => ({
+    line: index + 2,
+    data: Object.fromEntries(headers.map((header, col) => [header, (values[col] ?? '').trim()])),
+  }));
+
+  return { headers, records };
+};
+
+// Leading characters that make spreadsheets treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV row (RFC 4180)
+ * Fields with commas, quotes or line breaks are quoted. Text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe.
+ * @param {Array<string|number|null|undefined>} values - Field values (null/undefined → empty)
+ * @returns {string} The row, ending in CRLF
+ */
+export const formatCsvRow = (values) =>
+  `${values
+    .map((value) => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')}\r\n`;
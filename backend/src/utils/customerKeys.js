@@ -0,0 +1,18 @@
+/**
+ * Keys a customer's per-customer counters (coupon redemptions, sale caps) are stored under
+ *
+ * A signed-in customer is counted as 'user:<id>' and, since their orders carry a
+ * phone number too, as 'phone:<number>'. Guests only have the phone key, which
+ * they can change, so limits on guests are best effort.
+ *
+ * @param {Object} customer - Checkout context
+ * @param {string} [customer.userId] - Logged-in customer
+ * @param {string} [customer.customerPhone] - Phone number on the order
+ * @returns {string[]} Counter keys (empty if the customer can't be identified)
+ */
+const customerKeys = ({ userId, customerPhone }) => [
+  ...(userId ? [`user:${userId}`] : []),
+  ...(customerPhone ? [`phone:${customerPhone}`] : []),
+];
+
+export default customerKeys;
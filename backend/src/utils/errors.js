@@ -185,6 +185,16 @@ export class ConflictError extends PermanentError {
   }
 }
 
+/**
+ * Payload Too Large error (413)
+ * Used when an upload is bigger than the endpoint accepts
+ */
+export class PayloadTooLargeError extends PermanentError {
+  constructor(message = 'Payload too large') {
+    super(message, 413);
+  }
+}
+
 /**
  * Unprocessable Entity error (422)
  * Used when request is well-formed but semantically incorrect
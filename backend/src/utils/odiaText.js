@@ -0,0 +1,292 @@
+/**
+ * Helpers for matching text that mixes Odia and Latin script
+ */
+
+// Odia digits ୦-୯ (U+0B66-U+0B6F)
+const ODIA_DIGIT_ZERO = 0x0b66;
+const ODIA_DIGITS = /[\u0B66-\u0B6F]/g;
+
+// Zero-width (non-)joiners change how a conjunct renders, not what it says
+const ZERO_WIDTH = /[\u200C\u200D]/g;
+
+/**
+ * Replace Odia digits with ASCII digits ("୨୦୦" -> "200")
+ * @param {string} text - Text
+ * @returns {string} Text with ASCII digits
+ */
+export const toAsciiDigits = (text) =>
+  (text || '').replace(ODIA_DIGITS, (digit) => String(digit.charCodeAt(0) - ODIA_DIGIT_ZERO));
+
+/**
+ * Normalise text for matching: NFKC, lower case, ASCII digits, no zero-width joiners
+ * @param {string} text - Text
+ * @returns {string} Normalised text ('' if missing)
+ */
+export const normaliseText = (text) =>
+  toAsciiDigits(String(text ?? '').normalize('NFKC'))
+    .replace(ZERO_WIDTH, '')
+    .toLowerCase();
+
+/**
+ * Split normalised text into words (letters with their vowel signs, or digits)
+ * @param {string} text - Normalised text
+ * @returns {Array<string>} Words
+ */
+export const tokenize = (text) => text.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+/**
+ * Whether text contains any Odia script
+ * @param {string} text - Text
+ * @returns {boolean} True if any character is in the Odia block
+ */
+export const hasOdiaScript = (text) => /[\u0B00-\u0B7F]/.test(text || '');
+
+// Consonants without their inherent vowel. Spellings follow how Odia names are
+// usually written in English (ଯ as "j", ଶ/ଷ as "sh", ୃ as "ru").
+const CONSONANTS = {
+  କ: 'k',
+  ଖ: 'kh',
+  ଗ: 'g',
+  ଘ: 'gh',
+  ଙ: 'ng',
+  ଚ: 'ch',
+  ଛ: 'chh',
+  ଜ: 'j',
+  ଝ: 'jh',
+  ଞ: 'ny',
+  ଟ: 't',
+  ଠ: 'th',
+  ଡ: 'd',
+  ଢ: 'dh',
+  ଣ: 'n',
+  ତ: 't',
+  ଥ: 'th',
+  ଦ: 'd',
+  ଧ: 'dh',
+  ନ: 'n',
+  ପ: 'p',
+  ଫ: 'ph',
+  ବ: 'b',
+  ଭ: 'bh',
+  ମ: 'm',
+  ଯ: 'j',
+  ର: 'r',
+  ଲ: 'l',
+  ଳ: 'l',
+  ଵ: 'v',
+  ଶ: 'sh',
+  ଷ: 'sh',
+  ସ: 's',
+  ହ: 'h',
+  ୟ: 'y',
+  ୱ: 'w',
+};
+
+// ଡ଼ and ଢ଼ (NFC keeps them as ଡ/ଢ + nukta) are usually typed as "d"/"dh" (Odia, Odisha)
+const NUKTA = '଼';
+
+const VOWELS = {
+  ଅ: 'a',
+  ଆ: 'aa',
+  ଇ: 'i',
+  ଈ: 'ii',
+  ଉ: 'u',
+  ଊ: 'uu',
+  ଋ: 'ru',
+  ଏ: 'e',
+  ଐ: 'ai',
+  ଓ: 'o',
+  ଔ: 'au',
+};
+
+const VOWEL_SIGNS = {
+  'ା': 'aa',
+  'ି': 'i',
+  'ୀ': 'ii',
+  'ୁ': 'u',
+  'ୂ': 'uu',
+  'ୃ': 'ru',
+  'େ': 'e',
+  'ୈ': 'ai',
+  'ୋ': 'o',
+  'ୌ': 'au',
+};
+
+const VIRAMA = '୍';
+
+const SIGNS = {
+  'ଁ': 'n',
+  'ଂ': 'n',
+  'ଃ': 'h',
+};
+
+/**
+ * Write Odia script in Roman letters ("ଫକୀର ମୋହନ" -> "phakiira mohana")
+ * Every consonant keeps its inherent "a"; use phoneticKey to compare with how
+ * people actually type. Other characters pass through unchanged.
+ * @param {string} text - Text in Odia (or mixed) script
+ * @returns {string} Romanised text
+ */
+export const romaniseOdia = (text) => {
+  const chars = [...toAsciiDigits(String(text ?? '').normalize('NFC'))];
+  let out = '';
+
+  for (let i = 0; i < chars.length; i += 1) {
+    const char = chars[i];
+
+    if (CONSONANTS[char]) {
+      const consonant = CONSONANTS[char];
+      if (chars[i + 1] === NUKTA) i += 1;
+
+      const next = chars[i + 1];
+      if (next === VIRAMA) {
+        out += consonant;
+        i += 1;
+      } else if (VOWEL_SIGNS[next]) {
+        out += consonant + VOWEL_SIGNS[next];
+        i += 1;
+      } else {
+        out += `${consonant}a`;
+      }
+    } else if (VOWELS[char]) {
+      out += VOWELS[char];
+    } else if (SIGNS[char]) {
+      out += SIGNS[char];
+    } else if (char !== NUKTA && char !== VIRAMA && !VOWEL_SIGNS[char]) {
+      out += char;
+    }
+  }
+
+  return out;
+};
+
+// Roman spellings people use for Odia sounds, longest first
+const ROMAN_CONSONANTS = [
+  ['chh', 'ଛ'],
+  ['ch', 'ଚ'],
+  ['kh', 'ଖ'],
+  ['gh', 'ଘ'],
+  ['jh', 'ଝ'],
+  ['th', 'ଥ'],
+  ['dh', 'ଧ'],
+  ['ph', 'ଫ'],
+  ['bh', 'ଭ'],
+  ['sh', 'ଶ'],
+  ['k', 'କ'],
+  ['g', 'ଗ'],
+  ['c', 'ଚ'],
+  ['j', 'ଜ'],
+  ['t', 'ତ'],
+  ['d', 'ଦ'],
+  ['n', 'ନ'],
+  ['p', 'ପ'],
+  ['f', 'ଫ'],
+  ['b', 'ବ'],
+  ['m', 'ମ'],
+  ['y', 'ୟ'],
+  ['r', 'ର'],
+  ['l', 'ଲ'],
+  ['v', 'ବ'],
+  ['w', 'ୱ'],
+  ['s', 'ସ'],
+  ['h', 'ହ'],
+  ['z', 'ଜ'],
+  ['q', 'କ'],
+  ['x', 'କ୍ସ'],
+];
+
+// [roman, independent vowel, vowel sign after a consonant]
+const ROMAN_VOWELS = [
+  ['aa', 'ଆ', 'ା'],
+  ['ai', 'ଐ', 'ୈ'],
+  ['au', 'ଔ', 'ୌ'],
+  ['ee', 'ଈ', 'ୀ'],
+  ['ii', 'ଈ', 'ୀ'],
+  ['oo', 'ଉ', 'ୁ'],
+  ['uu', 'ଊ', 'ୂ'],
+  ['a', 'ଅ', ''],
+  ['i', 'ଇ', 'ି'],
+  ['u', 'ଉ', 'ୁ'],
+  ['e', 'ଏ', 'େ'],
+  ['o', 'ଓ', 'ୋ'],
+];
+
+const matchAt = (word, i, table) => table.find(([roman]) => word.startsWith(roman, i));
+
+/**
+ * Transliterate a Roman-script word into Odia script ("mohan" -> "ମୋହନ")
+ * Roman spelling is ambiguous (t is ତ or ଟ, i is ି or ୀ), so this is a best
+ * guess for fuzzy matching, not a spelling.
+ * @param {string} word - Lower-case Roman word
+ * @returns {string} Odia script
+ */
+const romanWordToOdia = (word) => {
+  let out = '';
+  let i = 0;
+
+  while (i < word.length) {
+    const consonant = matchAt(word, i, ROMAN_CONSONANTS);
+    if (consonant) {
+      out += consonant[1];
+      i += consonant[0].length;
+
+      const vowel = matchAt(word, i, ROMAN_VOWELS);
+      if (vowel) {
+        out += vowel[2];
+        i += vowel[0].length;
+      } else if (i < word.length && matchAt(word, i, ROMAN_CONSONANTS)) {
+        // Consonant cluster
+        out += VIRAMA;
+      }
+    } else {
+      const vowel = matchAt(word, i, ROMAN_VOWELS);
+      out += vowel ? vowel[1] : word[i];
+      i += vowel ? vowel[0].length : 1;
+    }
+  }
+
+  return out;
+};
+
+/**
+ * Transliterate Roman-script text into Odia script ("fakir mohan" -> "ଫକିର ମୋହନ")
+ * Words that aren't plain Roman letters are left as they are.
+ * @param {string} text - Text
+ * @returns {string} Odia script
+ */
+export const toOdiaScript = (text) =>
+  normaliseText(text).replace(/[a-z]+/g, (word) => romanWordToOdia(word));
+
+/**
+ * Loose phonetic key of Roman-script text, for matching romanised Odia
+ *
+ * Folds the differences between how Odia is romanised and how people type it:
+ * aspirates ("ph"/"f", "th"/"t"), long vowels ("ee"/"i"), v/w/b, y/i,
+ * doubled letters, and the inherent vowel, which is written as "a" or "o" or not at
+ * all ("mohana", "mohan"). So "fakir mohan senapati" and "phakiira mohana
+ * senaapati" get the same key.
+ *
+ * @param {string} text - Roman-script text (romanise Odia first)
+ * @returns {string} Key
+ */
+export const phoneticKey = (text) =>
+  normaliseText(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/chh|ch/g, 'c')
+    .replace(/ph/g, 'f')
+    .replace(/([kgjtdb])h/g, '$1')
+    .replace(/sh/g, 's')
+    .replace(/ee|ii/g, 'i')
+    .replace(/oo|uu/g, 'u')
+    .replace(/[vw]/g, 'b')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/y/g, 'i')
+    // The inherent vowel, except where it starts a word
+    .replace(/\B[ao]+/g, '')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
@@ -0,0 +1,151 @@
+import { inflateRawSync } from 'zlib';
+
+/**
+ * Minimal XLSX reader
+ * Reads the cell values of the first worksheet. Formatting, formulas (only
+ * their cached results are read) and dates (left as serial numbers) are not
+ * interpreted - enough for importing tabular data.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] !== '#') return XML_ENTITIES[code] ?? entity;
+    const isHex = code[1] === 'x' || code[1] === 'X';
+    return String.fromCodePoint(parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+  });
+
+/**
+ * Unzip every entry of a ZIP archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Map<string, Buffer>} Entry name → contents
+ */
+const unzip = (buffer) => {
+  // The end-of-central-directory record is the last thing in the file,
+  // followed only by an optional comment of up to 64KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP archive');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const entries = new Map();
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < entryCount; i += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_ENTRY_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // The local header repeats the name but may have a different extra field
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, inflateRawSync(data));
+    else throw new Error(`Unsupported ZIP compression method ${method}`);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// Text of every <t> run, skipping phonetic hints (<rPh>)
+const runText = (xml) =>
+  decodeXml(
+    [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)]
+      .map((match) => match[1])
+      .join('')
+  );
+
+const attribute = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+// "AB12" → 27 (zero-based column index)
+const columnIndex = (ref) =>
+  [...ref.replace(/\d+$/, '')].reduce(
+    (index, letter) => index * 26 + letter.charCodeAt(0) - 64,
+    0
+  ) - 1;
+
+/**
+ * Path of the first worksheet in the workbook
+ */
+const firstSheetPath = (entries) => {
+  const workbook = entries.get('xl/workbook.xml')?.toString('utf8') || '';
+  const rels = entries.get('xl/_rels/workbook.xml.rels')?.toString('utf8') || '';
+  const sheet = workbook.match(/<sheet\b[^>]*>/)?.[0];
+  const relId = sheet && attribute(sheet, 'r:id');
+  const rel =
+    relId &&
+    [...rels.matchAll(/<Relationship\b[^>]*>/g)].find(([tag]) => attribute(tag, 'Id') === relId);
+  const target = rel && attribute(rel[0], 'Target');
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+/**
+ * Read the first worksheet of an XLSX file as rows of strings
+ * Rows keep their sheet position (row 5 is index 4); empty rows are [].
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {string[][]} Cell values
+ * @throws {Error} If the file isn't a readable XLSX workbook
+ */
+const readXlsxRows = (buffer) => {
+  const entries = unzip(buffer);
+  const sheetXml = entries.get(firstSheetPath(entries))?.toString('utf8');
+  if (!sheetXml) throw new Error('Workbook has no worksheet');
+
+  const sharedStringsXml = entries.get('xl/sharedStrings.xml')?.toString('utf8') || '';
+  const sharedStrings = [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((match) =>
+    runText(match[1])
+  );
+
+  const rows = [];
+  [...sheetXml.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>/g)].forEach(([, rowAttributes, cells]) => {
+    const rowNumber = Number(attribute(rowAttributes, 'r')) || rows.length + 1;
+    const values = [];
+
+    [...cells.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)].forEach(
+      ([, cellAttributes, body = '']) => {
+        const ref = attribute(cellAttributes, 'r');
+        const col = ref ? columnIndex(ref) : values.length;
+        const type = attribute(cellAttributes, 't');
+        const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+        let value = '';
+        if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+        else if (type === 'inlineStr') value = runText(body);
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else if (raw !== undefined) value = decodeXml(raw);
+
+        values[col] = value;
+      }
+    );
+
+    rows[rowNumber - 1] = Array.from(values, (value) => value ?? '');
+  });
+
+  return Array.from(rows, (row) => row ?? []);
+};
+
+export default readXlsxRows;
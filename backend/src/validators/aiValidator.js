@@ -0,0 +1,47 @@
+import { body, param, query } from 'express-validator';
+import { FILTER_TYPES } from '../services/searchQueryParser.js';
+
+const limitRule = query('limit')
+  .optional()
+  .isInt({ min: 1, max: 24 })
+  .withMessage('Limit must be between 1 and 24')
+  .toInt();
+
+/**
+ * Validation rules for the recommendation feed
+ * @returns {Array} Array of validation middleware
+ */
+export const recommendationsRules = [limitRule];
+
+/**
+ * Validation rules for a book's recommendations
+ * @returns {Array} Array of validation middleware
+ */
+export const bookRecommendationsRules = [
+  param('bookId').isMongoId().withMessage('Invalid book ID'),
+  limitRule,
+];
+
+/**
+ * Validation rules for natural-language search
+ * @returns {Array} Array of validation middleware
+ */
+export const searchRules = [
+  body('query')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ max: 200 })
+    .withMessage('Search query must be at most 200 characters'),
+  body('ignore').optional().isArray().withMessage('ignore must be an array'),
+  body('ignore.*')
+    .isIn(FILTER_TYPES)
+    .withMessage(`ignore may only contain: ${FILTER_TYPES.join(', ')}`),
+  body('page').optional().isInt({ min: 1 }).withMessage('Page must be at least 1').toInt(),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
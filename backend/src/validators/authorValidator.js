@@ -0,0 +1,119 @@
+import { body, param, query } from 'express-validator';
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+/**
+ * Shared field rules for creating/updating authors
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} Array of validation middleware
+ */
+const authorFieldRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name.display')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('name.display is required')
+      .isLength({ max: 100 })
+      .withMessage('Name must be less than 100 characters'),
+
+    body(['name.english', 'name.odia'])
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Names must be less than 100 characters'),
+
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/i)
+      .withMessage('Slug must be letters and digits separated by dashes'),
+
+    body('aliases').optional().isArray({ max: 20 }).withMessage('Aliases must be an array'),
+
+    body('aliases.*').isString().trim().notEmpty().withMessage('Invalid alias'),
+
+    body(['epithet.english', 'epithet.odia'])
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 150 })
+      .withMessage('Epithet must be less than 150 characters'),
+
+    body(['bio.english', 'bio.odia'])
+      .optional()
+      .isString()
+      .isLength({ max: 5000 })
+      .withMessage('Bio must be less than 5000 characters'),
+
+    body('photo').optional().isString().trim().withMessage('Photo must be a URL'),
+
+    body(['birthYear', 'deathYear'])
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: CURRENT_YEAR })
+      .withMessage(`Years must be between 1 and ${CURRENT_YEAR}`),
+
+    body('deathYear')
+      .optional({ values: 'null' })
+      .custom((deathYear, { req }) => !req.body.birthYear || deathYear >= req.body.birthYear)
+      .withMessage('deathYear must not be before birthYear'),
+
+    body('isFeatured').optional().isBoolean().withMessage('isFeatured must be a boolean'),
+  ];
+};
+
+/**
+ * Validation rules for creating an author
+ * @returns {Array} Array of validation middleware
+ */
+export const createAuthorRules = authorFieldRules(false);
+
+/**
+ * Validation rules for updating an author
+ * @returns {Array} Array of validation middleware
+ */
+export const updateAuthorRules = [
+  param('id').isMongoId().withMessage('Invalid author ID'),
+  ...authorFieldRules(true),
+];
+
+/**
+ * Validation rules for routes taking an author ID
+ * @returns {Array} Array of validation middleware
+ */
+export const authorIdRules = [param('id').isMongoId().withMessage('Invalid author ID')];
+
+/**
+ * Validation rules for getting an author by ID or slug
+ * @returns {Array} Array of validation middleware
+ */
+export const getAuthorRules = [
+  param('id')
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/i)
+    .withMessage('Invalid author ID or slug'),
+];
+
+/**
+ * Validation rules for listing authors
+ * @returns {Array} Array of validation middleware
+ */
+export const listAuthorsRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query must be less than 100 characters'),
+
+  query('featured').optional().isBoolean().withMessage('featured must be true or false'),
+];
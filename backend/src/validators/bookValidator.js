@@ -1,11 +1,47 @@
 import { body, param, query } from 'express-validator';
+import { BOOK_FORMATS } from '../models/Book.js';
+import { IMPORT_FORMATS } from '../services/bookImportService.js';
+import { EXPORT_FORMATS } from '../services/bookExportService.js';
+import { MAX_IMAGES_PER_BOOK } from '../services/bookImageService.js';
+
+// 10 or 13 digits (ISBN-10 may end in X); hyphens and spaces between groups are fine
+const isIsbn = (isbn) => /^(?:\d{9}[\dX]|\d{13})$/i.test(String(isbn).replace(/[\s-]/g, ''));
+
+/**
+ * Rules for the edition fields: which work a book is an edition of, its
+ * format and its edition statement
+ * @returns {Array} Array of validation middleware
+ */
+const editionRules = [
+  body('work').optional({ values: 'null' }).isMongoId().withMessage('Invalid work ID'),
+
+  body('format')
+    .optional()
+    .isIn(BOOK_FORMATS)
+    .withMessage(`format must be one of: ${BOOK_FORMATS.join(', ')}`),
+
+  body('edition.label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Edition label must be less than 50 characters'),
+
+  body('edition.year')
+    .optional({ values: 'null' })
+    .isInt({ min: 1800, max: new Date().getFullYear() + 1 })
+    .withMessage('Edition year is not a valid year')
+    .toInt(),
+];
 
 /**
  * Validation rules for creating a book
  * @returns {Array} Array of validation middleware
  */
 export const createBookRules = [
+  // The title and price may also be sent nested ({ display, ... }, { original, ... })
   body('title')
+    .if((title) => typeof title === 'string')
     .trim()
     .notEmpty()
     .withMessage('Title is required')
@@ -26,22 +62,26 @@ export const createBookRules = [
     .isLength({ min: 10, max: 5000 })
     .withMessage('Description must be between 10 and 5000 characters'),
 
-  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('price')
+    .if((price) => typeof price !== 'object')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
 
+  // Optional: books with an academicGrade default to Educational
   body('category')
+    .optional()
     .trim()
-    .notEmpty()
-    .withMessage('Category is required')
     .isLength({ min: 1, max: 50 })
     .withMessage('Category must be between 1 and 50 characters'),
 
   body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
 
-  body('isbn')
-    .optional()
-    .trim()
-    .matches(/^(?:\d{10}|\d{13})$/)
-    .withMessage('ISBN must be 10 or 13 digits'),
+  body('leadTimeDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+
+  body('isbn').optional().trim().custom(isIsbn).withMessage('ISBN must be 10 or 13 digits'),
 
   body('image').optional().trim().isURL().withMessage('Image must be a valid URL'),
 
@@ -49,6 +89,7 @@ export const createBookRules = [
     .optional()
     .isFloat({ min: 0, max: 5 })
     .withMessage('Rating must be between 0 and 5'),
+  ...editionRules,
 ];
 
 /**
@@ -58,8 +99,10 @@ export const createBookRules = [
 export const updateBookRules = [
   param('id').isMongoId().withMessage('Invalid book ID'),
 
+  // Edits may send the title and price nested ({ display, ... }, { original, ... })
   body('title')
     .optional()
+    .if((title) => typeof title === 'string')
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
@@ -76,7 +119,11 @@ export const updateBookRules = [
     .isLength({ min: 10, max: 5000 })
     .withMessage('Description must be between 10 and 5000 characters'),
 
-  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('price')
+    .optional()
+    .if((price) => typeof price !== 'object')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be a positive number'),
 
   body('category')
     .optional()
@@ -84,13 +131,24 @@ export const updateBookRules = [
     .isLength({ min: 1, max: 50 })
     .withMessage('Category must be between 1 and 50 characters'),
 
-  body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+  body('stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer')
+    .toInt(),
 
-  body('isbn')
+  body('expectedStock')
     .optional()
-    .trim()
-    .matches(/^(?:\d{10}|\d{13})$/)
-    .withMessage('ISBN must be 10 or 13 digits'),
+    .isInt({ min: 0 })
+    .withMessage('Expected stock must be a non-negative integer')
+    .toInt(),
+
+  body('leadTimeDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Lead time must be between 0 and 365 days'),
+
+  body('isbn').optional().trim().custom(isIsbn).withMessage('ISBN must be 10 or 13 digits'),
 
   body('image').optional().trim().isURL().withMessage('Image must be a valid URL'),
 
@@ -98,6 +156,7 @@ export const updateBookRules = [
     .optional()
     .isFloat({ min: 0, max: 5 })
     .withMessage('Rating must be between 0 and 5'),
+  ...editionRules,
 ];
 
 /**
@@ -127,10 +186,23 @@ export const getBooksQueryRules = [
     .withMessage('Category must be less than 50 characters')
     .escape(),
 
+  query('author')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Author must be less than 100 characters'),
+
+  query('authorId').optional().isMongoId().withMessage('Invalid author ID'),
+
+  query(['inStock', 'discounted', 'facets'])
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('inStock, discounted and facets must be "true" or "false"'),
+
   query('sortBy')
     .optional()
-    .isIn(['title', 'author', 'price', 'createdAt', 'rating'])
-    .withMessage('sortBy must be one of: title, author, price, createdAt, rating'),
+    .isIn(['relevance', 'title', 'author', 'price', 'createdAt', 'rating'])
+    .withMessage('sortBy must be one of: relevance, title, author, price, createdAt, rating'),
 
   query('sortOrder')
     .optional()
@@ -143,3 +215,133 @@ export const getBooksQueryRules = [
  * @returns {Array} Array of validation middleware
  */
 export const getBookByIdRules = [param('id').isMongoId().withMessage('Invalid book ID')];
+
+/**
+ * Validation rules for importing a catalogue file
+ * @returns {Array} Array of validation middleware
+ */
+export const importBooksRules = [
+  query('format')
+    .optional()
+    .isIn(IMPORT_FORMATS)
+    .withMessage(`format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+];
+
+/**
+ * Validation rules for exporting the catalogue
+ * @returns {Array} Array of validation middleware
+ */
+export const exportBooksRules = [
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category must be less than 50 characters'),
+
+  query('language')
+    .optional()
+    .isIn(['Odia', 'English', 'Hindi'])
+    .withMessage('Language must be Odia, English, or Hindi'),
+
+  query('inStock')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('inStock must be "true" or "false"'),
+
+  query(['updatedSince', 'updatedBefore'])
+    .optional()
+    .isISO8601()
+    .withMessage('updatedSince and updatedBefore must be ISO 8601 dates'),
+];
+
+/**
+ * Validation rules for uploading a book image
+ * @returns {Array} Array of validation middleware
+ */
+export const uploadBookImageRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  query('alt')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text must be less than 200 characters'),
+
+  query('position')
+    .optional()
+    .isInt({ min: 0, max: MAX_IMAGES_PER_BOOK - 1 })
+    .withMessage(`position must be between 0 and ${MAX_IMAGES_PER_BOOK - 1}`)
+    .toInt(),
+];
+
+/**
+ * Validation rules for reordering a book's images
+ * @returns {Array} Array of validation middleware
+ */
+export const reorderBookImagesRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  body('order').isArray({ min: 1 }).withMessage('order must be an array of image IDs'),
+
+  body('order.*').isMongoId().withMessage('Invalid image ID'),
+];
+
+/**
+ * Validation rules for updating a book image
+ * @returns {Array} Array of validation middleware
+ */
+export const updateBookImageRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  param('imageId').isMongoId().withMessage('Invalid image ID'),
+
+  body('alt')
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Alt text must be less than 200 characters'),
+];
+
+/**
+ * Validation rules for removing a book image
+ * @returns {Array} Array of validation middleware
+ */
+export const bookImageIdRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  param('imageId').isMongoId().withMessage('Invalid image ID'),
+];
+
+/**
+ * Validation rules for listing a book's history
+ * @returns {Array} Array of validation middleware
+ */
+export const bookHistoryRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+];
+
+/**
+ * Validation rules for routes taking a book version
+ * @returns {Array} Array of validation middleware
+ */
+export const bookVersionRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt(),
+];
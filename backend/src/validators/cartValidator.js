@@ -0,0 +1,52 @@
+import { body, param } from 'express-validator';
+import { MAX_CART_LINES } from '../models/Cart.js';
+
+/**
+ * Validation rules for adding a book to the cart
+ * @returns {Array} Array of validation middleware
+ */
+export const addCartItemRules = [
+  body('bookId').isMongoId().withMessage('Invalid book ID'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+];
+
+/**
+ * Validation rules for changing a cart line's quantity
+ * @returns {Array} Array of validation middleware
+ */
+export const updateCartItemRules = [
+  param('bookId').isMongoId().withMessage('Invalid book ID'),
+
+  body('quantity')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Quantity must be between 0 and 100')
+    .toInt(),
+];
+
+/**
+ * Validation rules for routes with a book ID parameter
+ * @returns {Array} Array of validation middleware
+ */
+export const cartBookIdRules = [param('bookId').isMongoId().withMessage('Invalid book ID')];
+
+/**
+ * Validation rules for merging a guest cart
+ * @returns {Array} Array of validation middleware
+ */
+export const mergeCartRules = [
+  body('items')
+    .isArray({ max: MAX_CART_LINES })
+    .withMessage(`Items must be an array of at most ${MAX_CART_LINES} entries`),
+
+  body('items.*.bookId').isMongoId().withMessage('Invalid book ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Quantity must be between 1 and 100')
+    .toInt(),
+];
@@ -0,0 +1,129 @@
+import { body, param, query } from 'express-validator';
+import { COUPON_TYPES } from '../models/Coupon.js';
+
+/**
+ * Shared field rules for creating/updating coupons
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} Array of validation middleware
+ */
+const couponFieldRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Coupon code is required')
+      .matches(/^[A-Za-z0-9_-]{3,30}$/)
+      .withMessage('Coupon code must be 3-30 letters, digits, dashes or underscores'),
+
+    field('type')
+      .isIn(COUPON_TYPES)
+      .withMessage(`Type must be one of: ${COUPON_TYPES.join(', ')}`),
+
+    body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a non-negative number'),
+
+    body('maxDiscount')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Max discount must be a non-negative number'),
+
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+
+    body('categories.*').isString().trim().notEmpty().withMessage('Invalid category'),
+
+    body('minCartValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum cart value must be a non-negative number'),
+
+    body('validFrom').optional().isISO8601().withMessage('validFrom must be a valid date'),
+
+    body('validUntil')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('validUntil must be a valid date'),
+
+    body('usageLimit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be a positive integer'),
+
+    body('perUserLimit')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be a positive integer'),
+
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description must be less than 200 characters'),
+  ];
+};
+
+/**
+ * Validation rules for creating a coupon
+ * @returns {Array} Array of validation middleware
+ */
+export const createCouponRules = couponFieldRules(false);
+
+/**
+ * Validation rules for updating a coupon
+ * @returns {Array} Array of validation middleware
+ */
+export const updateCouponRules = [
+  param('id').isMongoId().withMessage('Invalid coupon ID'),
+  ...couponFieldRules(true),
+];
+
+/**
+ * Validation rules for routes taking a coupon ID
+ * @returns {Array} Array of validation middleware
+ */
+export const couponIdRules = [param('id').isMongoId().withMessage('Invalid coupon ID')];
+
+/**
+ * Validation rules for listing coupons
+ * @returns {Array} Array of validation middleware
+ */
+export const listCouponsRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('active').optional().isBoolean().withMessage('active must be true or false'),
+];
+
+/**
+ * Validation rules for checking a code against a cart at checkout
+ * @returns {Array} Array of validation middleware
+ */
+export const validateCouponRules = [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+
+  body('items').isArray({ min: 1 }).withMessage('Cart must contain at least one item'),
+
+  body('items.*.bookId').isMongoId().withMessage('Each cart item must have a valid book ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Each cart item must have a quantity of at least 1'),
+
+  body('pincode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[1-9][0-9]{5}$/)
+    .withMessage('Pincode must be 6 digits'),
+
+  body('customerPhone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Phone number must be 10 digits'),
+];
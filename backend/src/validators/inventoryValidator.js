@@ -0,0 +1,89 @@
+import { body, param, query } from 'express-validator';
+import { STOCK_MOVEMENT_REASONS } from '../models/StockMovement.js';
+
+const noteRule = () =>
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note must be less than 300 characters');
+
+/**
+ * Validation rules for receiving or writing off copies of a book
+ * @returns {Array} Array of validation middleware
+ */
+export const stockQuantityRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  body('quantity')
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Quantity must be a whole number between 1 and 100000')
+    .toInt(),
+
+  noteRule(),
+];
+
+/**
+ * Validation rules for recording a physical count
+ * @returns {Array} Array of validation middleware
+ */
+export const stockCountRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  body('counted')
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Counted must be a whole number between 0 and 100000')
+    .toInt(),
+
+  body('expected')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Expected must be a non-negative whole number')
+    .toInt(),
+
+  noteRule(),
+];
+
+/**
+ * Validation rules for a book's stock ledger
+ * @returns {Array} Array of validation middleware
+ */
+export const stockLedgerRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('reason')
+    .optional()
+    .isIn(STOCK_MOVEMENT_REASONS)
+    .withMessage(`Reason must be one of: ${STOCK_MOVEMENT_REASONS.join(', ')}`),
+];
+
+/**
+ * Validation rules for the reconciliation report
+ * @returns {Array} Array of validation middleware
+ */
+export const reconciliationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+/**
+ * Validation rules for the inventory summary
+ * @returns {Array} Array of validation middleware
+ */
+export const inventorySummaryRules = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+];
@@ -0,0 +1,25 @@
+import { param, query } from 'express-validator';
+
+/**
+ * Validation rules for listing notifications
+ * @returns {Array} Array of validation middleware
+ */
+export const listNotificationsRules = [
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be true or false')
+    .toBoolean(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+];
+
+/**
+ * Validation rules for routes with a notification ID parameter
+ * @returns {Array} Array of validation middleware
+ */
+export const notificationIdRules = [param('id').isMongoId().withMessage('Invalid notification ID')];
@@ -1,4 +1,6 @@
 import { body, param } from 'express-validator';
+import { PAYMENT_METHODS } from '../models/Payment.js';
+import { MAX_HELD_PER_LINE } from '../models/StockReservation.js';
 
 /**
  * Validation rules for creating an order (supports guest checkout)
@@ -40,11 +42,30 @@ export const createOrderRules = [
     .isInt({ min: 1 })
     .withMessage('Each order item must have a quantity of at least 1'),
 
-  // Shipping cost (optional, defaults to 50)
-  body('shippingCost')
+  // Delivery pincode (optional - read from the address when missing)
+  body('pincode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[1-9][0-9]{5}$/)
+    .withMessage('Pincode must be 6 digits'),
+
+  // Optional coupon code (re-validated in createOrder)
+  body('couponCode')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Coupon code must be less than 30 characters'),
+
+  body('paymentMethod')
     .optional()
-    .isFloat({ min: 0 })
-    .withMessage('Shipping cost must be a non-negative number'),
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+
+  // Checkout whose reserved stock the order takes over (POST /api/orders/reservations)
+  body('checkoutId')
+    .optional({ values: 'falsy' })
+    .isUUID(4)
+    .withMessage('Invalid checkout ID'),
 
   // Optional notes
   body('notes')
@@ -67,6 +88,12 @@ export const updateOrderStatusRules = [
     .withMessage('Status is required')
     .isIn(['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Cancelled'])
     .withMessage('Invalid status value'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be less than 500 characters'),
 ];
 
 /**
@@ -76,7 +103,30 @@ export const updateOrderStatusRules = [
 export const updateOrderPaymentRules = [
   param('id').isMongoId().withMessage('Invalid order ID'),
 
-  body('paymentResult').optional().isObject().withMessage('Payment result must be an object'),
+  body('method')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+];
+
+/**
+ * Validation rules for a customer cancelling their order
+ * @returns {Array} Array of validation middleware
+ */
+export const cancelOrderRules = [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason must be less than 500 characters'),
 ];
 
 /**
@@ -84,3 +134,38 @@ export const updateOrderPaymentRules = [
  * @returns {Array} Array of validation middleware
  */
 export const getOrderByIdRules = [param('id').isMongoId().withMessage('Invalid order ID')];
+
+/**
+ * Validation rules for holding stock at the start of checkout
+ * @returns {Array} Array of validation middleware
+ */
+export const reserveStockRules = [
+  body('items')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Reserve between 1 and 100 items'),
+
+  body('items.*.bookId')
+    .isMongoId()
+    .withMessage('Each item must have a valid book ID'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1, max: MAX_HELD_PER_LINE })
+    .withMessage(`Each item must hold between 1 and ${MAX_HELD_PER_LINE} copies`)
+    .toInt(),
+
+  // Renews an earlier reservation instead of starting a new one
+  body('checkoutId')
+    .optional({ values: 'falsy' })
+    .isUUID(4)
+    .withMessage('Invalid checkout ID'),
+];
+
+/**
+ * Validation rules for releasing a checkout's reserved stock
+ * @returns {Array} Array of validation middleware
+ */
+export const releaseReservationRules = [
+  param('checkoutId')
+    .isUUID(4)
+    .withMessage('Invalid checkout ID'),
+];
@@ -0,0 +1,79 @@
+import { body, param, query, header } from 'express-validator';
+import { PAYMENT_METHODS } from '../models/Payment.js';
+import { MOCK_SCENARIOS } from '../services/payments/MockPaymentProvider.js';
+
+const ONLINE_METHODS = PAYMENT_METHODS.filter((method) => method !== 'cod');
+
+const idempotencyKeyRule = header('Idempotency-Key')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ min: 8, max: 255 })
+  .withMessage('Idempotency-Key must be 8-255 characters');
+
+/**
+ * Validation rules for creating a payment intent
+ * @returns {Array} Array of validation middleware
+ */
+export const createIntentRules = [
+  idempotencyKeyRule,
+
+  body('orderId').isMongoId().withMessage('Invalid order ID'),
+
+  body('method')
+    .isIn(ONLINE_METHODS)
+    .withMessage(`Payment method must be one of: ${ONLINE_METHODS.join(', ')}`),
+
+  body('customerPhone')
+    .optional()
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Phone number must be 10 digits'),
+
+  body('simulate')
+    .optional()
+    .isIn(Object.keys(MOCK_SCENARIOS))
+    .withMessage(`simulate must be one of: ${Object.keys(MOCK_SCENARIOS).join(', ')}`),
+];
+
+/**
+ * Validation rules for a provider webhook
+ * @returns {Array} Array of validation middleware
+ */
+export const webhookRules = [
+  param('provider').trim().isAlphanumeric().withMessage('Invalid payment provider'),
+];
+
+/**
+ * Validation rules for routes with a payment ID parameter
+ * @returns {Array} Array of validation middleware
+ */
+export const paymentIdRules = [param('id').isMongoId().withMessage('Invalid payment ID')];
+
+/**
+ * Validation rules for listing an order's payments
+ * @returns {Array} Array of validation middleware
+ */
+export const listPaymentsRules = [query('orderId').isMongoId().withMessage('Invalid order ID')];
+
+/**
+ * Validation rules for issuing a refund
+ * @returns {Array} Array of validation middleware
+ */
+export const refundRules = [
+  idempotencyKeyRule,
+
+  param('id').isMongoId().withMessage('Invalid payment ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Refund amount must be greater than 0')
+    .toFloat(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+];
@@ -0,0 +1,36 @@
+import { query } from 'express-validator';
+import { REPLENISHMENT_STATUSES } from '../services/replenishmentService.js';
+
+const filterRules = [
+  query('status')
+    .optional()
+    .isIn(REPLENISHMENT_STATUSES)
+    .withMessage(`Status must be one of: ${REPLENISHMENT_STATUSES.join(', ')}`),
+
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+];
+
+/**
+ * Validation rules for listing reorder suggestions
+ * @returns {Array} Array of validation middleware
+ */
+export const listReplenishmentRules = [
+  ...filterRules,
+
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+];
+
+/**
+ * Validation rules for exporting reorder suggestions
+ * @returns {Array} Array of validation middleware
+ */
+export const exportReplenishmentRules = filterRules;
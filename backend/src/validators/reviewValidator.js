@@ -0,0 +1,89 @@
+import { body, param, query } from 'express-validator';
+
+/**
+ * Validation rules for listing a book's reviews
+ * @returns {Array} Array of validation middleware
+ */
+export const getReviewsRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+
+  query('sort')
+    .optional()
+    .isIn(['recent', 'oldest', 'highest', 'lowest'])
+    .withMessage('sort must be one of: recent, oldest, highest, lowest'),
+
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating filter must be between 1 and 5'),
+];
+
+/**
+ * Validation rules for creating a review
+ * @returns {Array} Array of validation middleware
+ */
+export const createReviewRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  body('rating')
+    .notEmpty()
+    .withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage('Review title must be less than 120 characters'),
+
+  body('comment')
+    .trim()
+    .notEmpty()
+    .withMessage('Review comment is required')
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Review comment must be between 10 and 2000 characters'),
+];
+
+/**
+ * Validation rules for updating a review
+ * @returns {Array} Array of validation middleware
+ */
+export const updateReviewRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage('Review title must be less than 120 characters'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Review comment must be between 10 and 2000 characters'),
+];
+
+/**
+ * Validation rules for deleting a review
+ * @returns {Array} Array of validation middleware
+ */
+export const deleteReviewRules = [
+  param('id').isMongoId().withMessage('Invalid book ID'),
+  param('reviewId').optional().isMongoId().withMessage('Invalid review ID'),
+];
@@ -0,0 +1,107 @@
+import { body, param, query } from 'express-validator';
+import { SALE_DISCOUNT_TYPES } from '../models/SaleCampaign.js';
+
+export const CAMPAIGN_STATUSES = ['scheduled', 'live', 'ended', 'paused'];
+
+/**
+ * Shared field rules for creating/updating campaigns
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} Array of validation middleware
+ */
+const campaignFieldRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Campaign name is required')
+      .isLength({ max: 100 })
+      .withMessage('Campaign name must be less than 100 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Description must be less than 300 characters'),
+
+    field('startsAt').isISO8601().withMessage('startsAt must be a valid date'),
+
+    field('endsAt').isISO8601().withMessage('endsAt must be a valid date'),
+
+    field('discountType')
+      .isIn(SALE_DISCOUNT_TYPES)
+      .withMessage(`Discount type must be one of: ${SALE_DISCOUNT_TYPES.join(', ')}`),
+
+    field('value').isFloat({ gt: 0 }).withMessage('Value must be a positive number'),
+
+    body('books').optional().isArray().withMessage('Books must be an array'),
+
+    body('books.*').isMongoId().withMessage('Invalid book ID'),
+
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+
+    body('categories.*').isString().trim().notEmpty().withMessage('Invalid category'),
+
+    body('tags').optional().isArray().withMessage('Tags must be an array'),
+
+    body('tags.*').isString().trim().notEmpty().withMessage('Invalid tag'),
+
+    body('perCustomerLimit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Per-customer limit must be a positive integer'),
+
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  ];
+};
+
+/**
+ * Validation rules for creating a campaign
+ * @returns {Array} Array of validation middleware
+ */
+export const createCampaignRules = campaignFieldRules(false);
+
+/**
+ * Validation rules for updating a campaign
+ * @returns {Array} Array of validation middleware
+ */
+export const updateCampaignRules = [
+  param('id').isMongoId().withMessage('Invalid campaign ID'),
+  ...campaignFieldRules(true),
+];
+
+/**
+ * Validation rules for routes taking a campaign ID
+ * @returns {Array} Array of validation middleware
+ */
+export const campaignIdRules = [param('id').isMongoId().withMessage('Invalid campaign ID')];
+
+/**
+ * Validation rules for listing campaigns
+ * @returns {Array} Array of validation middleware
+ */
+export const listCampaignsRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('status')
+    .optional()
+    .isIn(CAMPAIGN_STATUSES)
+    .withMessage(`Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`),
+];
+
+/**
+ * Validation rules for the storefront campaign listing
+ * @returns {Array} Array of validation middleware
+ */
+export const activeCampaignsRules = [
+  query('books')
+    .optional()
+    .isInt({ min: 1, max: 24 })
+    .withMessage('books must be between 1 and 24'),
+];
@@ -0,0 +1,90 @@
+import { body, param, query } from 'express-validator';
+
+/**
+ * Shared field rules for creating/updating series
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} Array of validation middleware
+ */
+const seriesFieldRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name.display')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('name.display is required')
+      .isLength({ max: 150 })
+      .withMessage('Name must be less than 150 characters'),
+
+    body(['name.english', 'name.odia'])
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 150 })
+      .withMessage('Names must be less than 150 characters'),
+
+    body('slug')
+      .optional()
+      .trim()
+      .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/i)
+      .withMessage('Slug must be letters and digits separated by dashes'),
+
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Description must be less than 2000 characters'),
+  ];
+};
+
+/**
+ * Validation rules for creating a series
+ * @returns {Array} Array of validation middleware
+ */
+export const createSeriesRules = seriesFieldRules(false);
+
+/**
+ * Validation rules for updating a series
+ * @returns {Array} Array of validation middleware
+ */
+export const updateSeriesRules = [
+  param('id').isMongoId().withMessage('Invalid series ID'),
+  ...seriesFieldRules(true),
+];
+
+/**
+ * Validation rules for routes taking a series ID
+ * @returns {Array} Array of validation middleware
+ */
+export const seriesIdRules = [param('id').isMongoId().withMessage('Invalid series ID')];
+
+/**
+ * Validation rules for getting a series by ID or slug
+ * @returns {Array} Array of validation middleware
+ */
+export const getSeriesRules = [
+  param('id')
+    .trim()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/i)
+    .withMessage('Invalid series ID or slug'),
+];
+
+/**
+ * Validation rules for listing series
+ * @returns {Array} Array of validation middleware
+ */
+export const listSeriesRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query must be less than 100 characters'),
+];
@@ -0,0 +1,93 @@
+import { body, param, query } from 'express-validator';
+
+/**
+ * Shared field rules for creating/updating shipping zones
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} Array of validation middleware
+ */
+const zoneFieldRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Zone name is required'),
+
+    field('rate').isFloat({ min: 0 }).withMessage('Rate must be a non-negative number'),
+
+    field('etaMinDays')
+      .isInt({ min: 0, max: 60 })
+      .withMessage('etaMinDays must be between 0 and 60'),
+
+    field('etaMaxDays')
+      .isInt({ min: 0, max: 60 })
+      .withMessage('etaMaxDays must be between 0 and 60'),
+
+    body('freeShippingThreshold')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Free-shipping threshold must be a non-negative number'),
+
+    body('codAvailable').optional().isBoolean().withMessage('codAvailable must be a boolean'),
+
+    body('codCharge')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('COD charge must be a non-negative number'),
+
+    body('expressRate')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('Express rate must be a non-negative number'),
+
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  ];
+};
+
+/**
+ * Validation rules for creating a zone
+ * @returns {Array} Array of validation middleware
+ */
+export const createZoneRules = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{2,20}$/)
+    .withMessage('Zone code must be 2-20 letters, digits, dashes or underscores'),
+  ...zoneFieldRules(false),
+];
+
+/**
+ * Validation rules for updating a zone
+ * @returns {Array} Array of validation middleware
+ */
+export const updateZoneRules = [
+  param('code').trim().notEmpty().withMessage('Zone code is required'),
+  ...zoneFieldRules(true),
+];
+
+/**
+ * Validation rules for routes taking a zone code
+ * @returns {Array} Array of validation middleware
+ */
+export const zoneCodeRules = [param('code').trim().notEmpty().withMessage('Zone code is required')];
+
+/**
+ * Validation rules for the pincode check
+ * @returns {Array} Array of validation middleware
+ */
+export const checkPincodeRules = [
+  param('pincode')
+    .matches(/^[1-9][0-9]{5}$/)
+    .withMessage('Please enter a valid 6-digit pincode'),
+
+  query('subtotal')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Subtotal must be a non-negative number'),
+];
+
+/**
+ * Validation rules for the pincode CSV import
+ * @returns {Array} Array of validation middleware
+ */
+export const importPincodesRules = [
+  query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+];
@@ -0,0 +1,26 @@
+import { param, query } from 'express-validator';
+
+/**
+ * Validation rules for listing the trash
+ * @returns {Array} Array of validation middleware
+ */
+export const listTrashRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search query must be less than 100 characters'),
+];
+
+/**
+ * Validation rules for routes taking a deleted book's ID
+ * @returns {Array} Array of validation middleware
+ */
+export const trashBookIdRules = [param('id').isMongoId().withMessage('Invalid book ID')];
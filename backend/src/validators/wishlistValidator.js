@@ -0,0 +1,26 @@
+import { body, param } from 'express-validator';
+import { MAX_WISHLIST_ITEMS } from '../models/Wishlist.js';
+
+/**
+ * Validation rules for adding a book to the wishlist
+ * @returns {Array} Array of validation middleware
+ */
+export const addWishlistItemRules = [body('bookId').isMongoId().withMessage('Invalid book ID')];
+
+/**
+ * Validation rules for routes with a book ID parameter
+ * @returns {Array} Array of validation middleware
+ */
+export const wishlistBookIdRules = [param('bookId').isMongoId().withMessage('Invalid book ID')];
+
+/**
+ * Validation rules for merging a guest wishlist
+ * @returns {Array} Array of validation middleware
+ */
+export const mergeWishlistRules = [
+  body('bookIds')
+    .isArray({ max: MAX_WISHLIST_ITEMS })
+    .withMessage(`Book IDs must be an array of at most ${MAX_WISHLIST_ITEMS} entries`),
+
+  body('bookIds.*').isMongoId().withMessage('Invalid book ID'),
+];
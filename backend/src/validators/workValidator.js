@@ -0,0 +1,63 @@
+import { body, param } from 'express-validator';
+
+/**
+ * Shared field rules for creating/updating works
+ * @param {boolean} isUpdate - Make every field optional
+ * @returns {Array} Array of validation middleware
+ */
+const workFieldRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('bookIds')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('bookIds must list between 1 and 50 books'),
+
+    body('bookIds.*').isMongoId().withMessage('Invalid book ID'),
+
+    body('title.display')
+      .optional()
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('title.display must not be empty')
+      .isLength({ max: 200 })
+      .withMessage('Title must be less than 200 characters'),
+
+    body(['title.english', 'title.odia'])
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Titles must be less than 200 characters'),
+
+    body('series').optional({ values: 'null' }).isMongoId().withMessage('Invalid series ID'),
+
+    body('seriesVolume')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 })
+      .withMessage('seriesVolume must be a non-negative number')
+      .toFloat(),
+  ];
+};
+
+/**
+ * Validation rules for creating a work
+ * @returns {Array} Array of validation middleware
+ */
+export const createWorkRules = workFieldRules(false);
+
+/**
+ * Validation rules for updating a work
+ * @returns {Array} Array of validation middleware
+ */
+export const updateWorkRules = [
+  param('id').isMongoId().withMessage('Invalid work ID'),
+  ...workFieldRules(true),
+];
+
+/**
+ * Validation rules for routes taking a work ID
+ * @returns {Array} Array of validation middleware
+ */
+export const workIdRules = [param('id').isMongoId().withMessage('Invalid work ID')];
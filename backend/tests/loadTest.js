@@ -1,17 +1,48 @@
+import 'dotenv/config';
 import autocannon from 'autocannon';
+import mongoose from 'mongoose';
 import { format } from 'util';
 
 /**
  * Basic Load Testing Script
  * Simulates high traffic to verify system stability and performance.
- * 
+ *
  * Usage:
- * node tests/loadTest.js
+ * node tests/loadTest.js                     Health check endpoint
+ * node tests/loadTest.js catalog --seed      Seed a 50k-book catalogue (needs MONGODB_URI)
+ * node tests/loadTest.js catalog             Book listing latency at 50k books
+ * node tests/loadTest.js catalog --cleanup   Remove the seeded books
+ *
+ * Seed before starting the server (or restart it afterwards) so the search
+ * index picks up the new books.
  */
 
 const targetUrl = 'http://localhost:5000/api/v1';
 
-console.log('🚀 Starting Load Test on:', targetUrl);
+// Synthetic books are tagged so they can be removed again
+const LOAD_TEST_TAG = 'loadtest';
+const CATALOG_SIZE = 50000;
+const SEED_BATCH_SIZE = 1000;
+const PAGE_SIZE = 20;
+// How far the deep-page scenarios go (page 500 = books 9,981-10,000)
+const DEEP_PAGE = 500;
+// Deep pages may be at most this much slower than the first one
+const MAX_DEEP_PAGE_SLOWDOWN = 2;
+
+const WORDS = ['Odisha', 'Konark', 'Jagannath', 'Mahanadi', 'Chilika', 'Utkal', 'Kalinga', 'Puri', 'Sambalpur', 'Cuttack'];
+const CATEGORIES = ['Novel', 'Poetry', 'Short Story', 'Educational', 'Drama', 'Biography'];
+const LANGUAGES = ['Odia', 'English', 'Hindi'];
+
+const printResult = (result) => {
+    console.log('------------------------------------------------');
+    console.log(format('Requests/sec: %d', result.requests.average));
+    console.log(format('Latency (average): %d ms', result.latency.average));
+    console.log(format('Latency (p99): %d ms', result.latency.p99));
+    console.log(format('Throughput (average): %d MB/sec', result.throughput.average / 1024 / 1024));
+    console.log(format('Errors: %d', result.errors));
+    console.log(format('Timeouts: %d', result.timeouts));
+    console.log('------------------------------------------------');
+};
 
 const runTest = async () => {
     const result = await autocannon({
@@ -23,13 +54,7 @@ const runTest = async () => {
     });
 
     console.log('\n✅ Load Test Completed!');
-    console.log('------------------------------------------------');
-    console.log(format('Requests/sec: %d', result.requests.average));
-    console.log(format('Latency (average): %d ms', result.latency.average));
-    console.log(format('Throughput (average): %d MB/sec', result.throughput.average / 1024 / 1024));
-    console.log(format('Errors: %d', result.errors));
-    console.log(format('Timeouts: %d', result.timeouts));
-    console.log('------------------------------------------------');
+    printResult(result);
 
     if (result.errors > 0 || result.timeouts > 0) {
         console.error('❌ Test Failed: Errors or Timeouts detected.');
@@ -39,6 +64,163 @@ const runTest = async () => {
     }
 };
 
-runTest().catch((err) => {
+// ============================================================================
+// CATALOG SCENARIO (50k books)
+// ============================================================================
+
+const syntheticBook = (n) => {
+    const title = `${WORDS[n % WORDS.length]} ${WORDS[Math.floor(n / 10) % WORDS.length]} ${n}`;
+    const price = 50 + (n * 37) % 950;
+    return {
+        title: { display: title, english: title },
+        author: `Load Test Author ${n % 2000}`,
+        description: `Synthetic book ${n} for load testing`,
+        price: { original: price, discounted: price, discountPercent: 0 },
+        category: CATEGORIES[n % CATEGORIES.length],
+        language: LANGUAGES[n % LANGUAGES.length],
+        isbn: `LOADTEST-${String(n).padStart(6, '0')}`,
+        stock: n % 7,
+        rating: (n % 50) / 10,
+        tags: [LOAD_TEST_TAG],
+    };
+};
+
+/**
+ * Top the catalogue up to CATALOG_SIZE books
+ * Written with the raw driver: documents are already in the Book shape and
+ * model hooks aren't needed for synthetic data.
+ */
+const seedCatalog = async () => {
+    const books = mongoose.connection.collection('books');
+    const existing = await books.countDocuments({ isDeleted: { $ne: true } });
+    const missing = Math.max(CATALOG_SIZE - existing, 0);
+    const seeded = await books.countDocuments({ tags: LOAD_TEST_TAG });
+    console.log(format('Catalogue has %d books; adding %d', existing, missing));
+
+    const insertBatch = async (from) => {
+        if (from >= missing) return;
+        const count = Math.min(SEED_BATCH_SIZE, missing - from);
+        const now = Date.now();
+        const docs = Array.from({ length: count }, (_, i) => {
+            const n = seeded + from + i;
+            // Spread createdAt so sorting by date has work to do
+            const createdAt = new Date(now - n * 60000);
+            return { ...syntheticBook(n), isDeleted: false, createdAt, updatedAt: createdAt };
+        });
+        await books.insertMany(docs, { ordered: false });
+        process.stdout.write(format('\r  %d / %d', from + count, missing));
+        await insertBatch(from + count);
+    };
+
+    await insertBatch(0);
+    console.log('\n✅ Seeded. Restart the server so the search index includes them.');
+};
+
+const cleanupCatalog = async () => {
+    const { deletedCount } = await mongoose.connection
+        .collection('books')
+        .deleteMany({ tags: LOAD_TEST_TAG });
+    console.log(format('🧹 Removed %d load-test books', deletedCount));
+};
+
+const getJson = async (path) => {
+    const response = await fetch(`${targetUrl}${path}`);
+    if (!response.ok) throw new Error(format('GET %s failed with %d', path, response.status));
+    return response.json();
+};
+
+/**
+ * Follow nextCursor `pages` times and return the cursor of the page after
+ */
+const walkCursor = async (path, pages, cursor = null) => {
+    if (pages === 0) return cursor;
+    const separator = path.includes('?') ? '&' : '?';
+    const url = cursor ? `${path}${separator}cursor=${encodeURIComponent(cursor)}` : path;
+    const { pagination } = await getJson(url);
+    if (!pagination.nextCursor) throw new Error(format('%s ran out of pages; seed more books', path));
+    return walkCursor(path, pages - 1, pagination.nextCursor);
+};
+
+const measure = async (title, path) => {
+    const result = await autocannon({
+        url: `${targetUrl}${path}`,
+        connections: 10,
+        pipelining: 1,
+        duration: 10,
+        title,
+    });
+    return {
+        title,
+        average: result.latency.average,
+        p99: result.latency.p99,
+        failed: result.errors + result.timeouts + result.non2xx,
+    };
+};
+
+const runSequentially = async (scenarios, results = []) => {
+    if (scenarios.length === 0) return results;
+    const [[title, path], ...rest] = scenarios;
+    console.log(format('⏱  %s', title));
+    const result = await measure(title, path);
+    return runSequentially(rest, [...results, result]);
+};
+
+const runCatalogTest = async () => {
+    const { totalBooks } = await getJson(`/books?limit=1`);
+    console.log(format('🚀 Book listing at %d books on: %s', totalBooks, targetUrl));
+    if (totalBooks < CATALOG_SIZE) {
+        console.warn(format('⚠️  Fewer than %d books; run with --seed first', CATALOG_SIZE));
+    }
+
+    const browse = `/books?limit=${PAGE_SIZE}&sortBy=price&sortOrder=asc`;
+    const search = `/books?limit=${PAGE_SIZE}&search=odisha`;
+    const deepBrowseCursor = await walkCursor(browse, DEEP_PAGE - 1);
+    const deepSearchCursor = await walkCursor(search, 20);
+
+    const results = await runSequentially([
+        ['Browse, page 1', browse],
+        [format('Browse, page %d by cursor', DEEP_PAGE), `${browse}&cursor=${encodeURIComponent(deepBrowseCursor)}`],
+        [format('Browse, page %d by offset (for comparison)', DEEP_PAGE), `${browse}&page=${DEEP_PAGE}`],
+        ['Search, page 1', search],
+        ['Search, page 21 by cursor', `${search}&cursor=${encodeURIComponent(deepSearchCursor)}`],
+    ]);
+
+    console.log('\n✅ Catalog Load Test Completed!');
+    console.table(results);
+
+    const [firstBrowse, deepBrowse, , firstSearch, deepSearch] = results;
+    const flat = deepBrowse.average <= firstBrowse.average * MAX_DEEP_PAGE_SLOWDOWN
+        && deepSearch.average <= firstSearch.average * MAX_DEEP_PAGE_SLOWDOWN;
+
+    if (results.some((result) => result.failed > 0)) {
+        console.error('❌ Test Failed: Errors, timeouts or non-2xx responses detected.');
+        process.exit(1);
+    } else if (!flat) {
+        console.error(format('❌ Test Failed: deep pages are more than %dx slower than the first.', MAX_DEEP_PAGE_SLOWDOWN));
+        process.exit(1);
+    } else {
+        console.log('✨ Latency stays flat with page depth.');
+    }
+};
+
+const withDatabase = async (fn) => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    try {
+        await fn();
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+const [scenario, flag] = process.argv.slice(2);
+
+let run = runTest;
+if (scenario === 'catalog' && flag === '--seed') run = () => withDatabase(seedCatalog);
+else if (scenario === 'catalog' && flag === '--cleanup') run = () => withDatabase(cleanupCatalog);
+else if (scenario === 'catalog') run = runCatalogTest;
+else console.log('🚀 Starting Load Test on:', targetUrl);
+
+run().catch((err) => {
     console.error('Test Error:', err);
+    process.exit(1);
 });
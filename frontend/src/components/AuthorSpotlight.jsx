@@ -1,42 +1,36 @@
 import { motion } from 'framer-motion';
 import { Link } from 'react-router-dom';
 import { useBooks } from '../services/bookService';
-
-// Featured authors - can be made dynamic later with author API
-const featuredAuthors = [
-    {
-        name: 'Gopabandhu Das',
-        title: 'Utkalmani (Jewel of Odisha)',
-        bio: 'Pioneer of modern Odia literature and freedom fighter',
-        category: 'Literature',
-    },
-    {
-        name: 'Fakir Mohan Senapati',
-        title: 'Father of Modern Odia Literature',
-        bio: 'Famous for "Chha Mana Atha Guntha"',
-        category: 'Classics',
-    },
-    {
-        name: 'Pratibha Ray',
-        title: 'Jnanpith Award Winner',
-        bio: 'Contemporary Odia novelist and short story writer',
-        category: 'Fiction',
-    },
-];
+import { useAuthors, lifeDates } from '../services/authorService';
 
 const AuthorSpotlight = () => {
+    // Featured authors are flagged on their profiles (admin)
+    const { data: authorsData } = useAuthors({ featured: true, limit: 50 });
+    const featuredAuthors = authorsData?.authors || [];
+
     // Get current week's featured author (rotates weekly)
     const weekNumber = Math.floor(Date.now() / (7 * 24 * 60 * 60 * 1000));
-    const currentAuthor = featuredAuthors[weekNumber % featuredAuthors.length];
+    const currentAuthor = featuredAuthors.length
+        ? featuredAuthors[weekNumber % featuredAuthors.length]
+        : null;
 
-    // Fetch books by author (dynamic - searches across all inventory)
-    const { data, isLoading } = useBooks({
-        search: currentAuthor.name,
-        limit: 4,
-    });
+    // Books linked to the author, whichever script they're credited in
+    const { data, isLoading } = useBooks(
+        { authorId: currentAuthor?._id, limit: 4 },
+        { enabled: !!currentAuthor }
+    );
 
     const authorBooks = data?.books || [];
 
+    if (!currentAuthor) return null;
+
+    const authorPath = `/authors/${currentAuthor.slug}`;
+    const initials = (currentAuthor.name.english || currentAuthor.name.display)
+        .split(' ')
+        .map((n) => n[0])
+        .join('');
+    const dates = lifeDates(currentAuthor);
+
     return (
         <section className="py-16 bg-gradient-to-br from-primary/5 via-white to-primary/5">
             <div className="container-custom">
@@ -62,22 +56,41 @@ const AuthorSpotlight = () => {
                     >
                         <div className="glass-card p-8 text-center bg-gradient-to-br from-white to-primary/5">
                             {/* Author Avatar */}
-                            <div className="w-24 h-24 mx-auto mb-4 rounded-full bg-gradient-to-br from-primary to-primary-600 flex items-center justify-center text-white text-3xl font-serif">
-                                {currentAuthor.name.split(' ').map(n => n[0]).join('')}
-                            </div>
+                            {currentAuthor.photo ? (
+                                <img
+                                    src={currentAuthor.photo}
+                                    alt={currentAuthor.name.display}
+                                    className="w-24 h-24 mx-auto mb-4 rounded-full object-cover"
+                                    loading="lazy"
+                                />
+                            ) : (
+                                <div className="w-24 h-24 mx-auto mb-4 rounded-full bg-gradient-to-br from-primary to-primary-600 flex items-center justify-center text-white text-3xl font-serif">
+                                    {initials}
+                                </div>
+                            )}
 
                             <h3 className="text-2xl font-serif font-bold text-secondary mb-1">
-                                {currentAuthor.name}
+                                <Link to={authorPath} className="hover:text-primary transition-colors">
+                                    {currentAuthor.name.display}
+                                </Link>
                             </h3>
-                            <p className="text-primary font-medium text-sm mb-3">
-                                {currentAuthor.title}
-                            </p>
-                            <p className="text-gray-500 text-sm mb-6">
-                                {currentAuthor.bio}
-                            </p>
+                            {currentAuthor.name.odia && currentAuthor.name.odia !== currentAuthor.name.display && (
+                                <p className="text-secondary/80 mb-1">{currentAuthor.name.odia}</p>
+                            )}
+                            {dates && <p className="text-gray-400 text-xs mb-2">{dates}</p>}
+                            {currentAuthor.epithet?.english && (
+                                <p className="text-primary font-medium text-sm mb-3">
+                                    {currentAuthor.epithet.english}
+                                </p>
+                            )}
+                            {currentAuthor.bio?.english && (
+                                <p className="text-gray-500 text-sm mb-6 line-clamp-3">
+                                    {currentAuthor.bio.english}
+                                </p>
+                            )}
 
                             <Link
-                                to={`/books?search=${encodeURIComponent(currentAuthor.name)}`}
+                                to={authorPath}
                                 className="btn-accent inline-flex items-center gap-2"
                             >
                                 View All Books
@@ -136,8 +149,8 @@ const AuthorSpotlight = () => {
                         ) : (
                             <div className="text-center py-12 text-gray-500">
                                 <p>Explore our collection for books by this author</p>
-                                <Link to="/books" className="text-primary hover:underline mt-2 inline-block">
-                                    Browse All Books →
+                                <Link to={authorPath} className="text-primary hover:underline mt-2 inline-block">
+                                    About the author →
                                 </Link>
                             </div>
                         )}
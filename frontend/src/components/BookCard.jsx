@@ -3,6 +3,7 @@ import { useState } from 'react';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
 import { useCart } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
 
 /**
  * BookCard - Unified book card component with multiple variants
@@ -31,11 +32,8 @@ const BookCard = ({
   className = ''
 }) => {
   const { addToCart } = useCart();
-  const [isWishlisted, setIsWishlisted] = useState(() => {
-    if (typeof window === 'undefined') return false;
-    const wishlist = JSON.parse(localStorage.getItem('wishlist') || '[]');
-    return wishlist.some((item) => item._id === book?._id);
-  });
+  const wishlist = useWishlist();
+  const isWishlisted = wishlist.isWishlisted(book?._id);
   const [isHovered, setIsHovered] = useState(false);
 
   if (!book) return null;
@@ -43,7 +41,8 @@ const BookCard = ({
   // Handle nested price structure from backend
   const getPrice = () => {
     if (typeof book.price === 'object') {
-      return book.price.discounted || book.price.original || 0;
+      // finalPrice includes a live sale campaign
+      return book.finalPrice || book.price.discounted || book.price.original || 0;
     }
     return book.price || 0;
   };
@@ -56,7 +55,7 @@ const BookCard = ({
   };
 
   const getDiscountPercent = () => {
-    if (typeof book.price === 'object' && book.price.discountPercent) {
+    if (typeof book.price === 'object' && book.price.discountPercent && !book.activeSale) {
       return book.price.discountPercent;
     }
     const price = getPrice();
@@ -98,25 +97,19 @@ const BookCard = ({
   const toggleWishlist = (e) => {
     e.preventDefault();
     e.stopPropagation();
-    const wishlist = JSON.parse(localStorage.getItem('wishlist') || '[]');
-
     if (isWishlisted) {
-      const newWishlist = wishlist.filter((item) => item._id !== book._id);
-      localStorage.setItem('wishlist', JSON.stringify(newWishlist));
-      setIsWishlisted(false);
+      wishlist.removeFromWishlist(book._id);
       toast.success('Removed from wishlist', { icon: '💔' });
     } else {
-      const wishlistItem = {
+      wishlist.addToWishlist({
         _id: book._id,
         title: getTitle(),
         author: book.author,
         image: book.image,
         price: getPrice(),
         category: book.category,
-      };
-      wishlist.push(wishlistItem);
-      localStorage.setItem('wishlist', JSON.stringify(wishlist));
-      setIsWishlisted(true);
+        stock: book.stock,
+      });
       toast.success('Added to wishlist!', { icon: '❤️' });
     }
   };
@@ -441,6 +434,11 @@ const BookCard = ({
         {/* Author */}
         <p className="text-sm text-gray-500 mt-1 line-clamp-1">{book.author}</p>
 
+        {/* Editions (search results show one card per work) */}
+        {book.editionCount > 1 && (
+          <p className="text-xs text-primary mt-1">{book.editionCount} editions & formats</p>
+        )}
+
         {/* Bottom Section */}
         <div className="mt-auto pt-4 border-t border-gray-100">
           {/* Price and Rating Row */}
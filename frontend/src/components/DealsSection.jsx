@@ -1,48 +1,25 @@
-import { useState, useEffect } from 'react';
+import { useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import BookCard from './BookCard';
 import SkeletonCard from './ui/SkeletonCard';
-import { useBooks } from '../services/bookService';
+import { useActiveCampaigns } from '../services/campaignService';
+import { useCountdown } from '../hooks/useCountdown';
 
 const DealsSection = () => {
-    // Calculate end of day for countdown
-    const [timeLeft, setTimeLeft] = useState({ hours: 0, minutes: 0, seconds: 0 });
+    // Live sale campaigns; the one ending soonest is shown
+    const { data, isLoading, refetch } = useActiveCampaigns({ books: 4 });
 
-    // Fetch books with discount (simulated - using random books for now)
-    // When discount field is added to backend, filter by: hasDiscount: true
-    const { data, isLoading } = useBooks({
-        limit: 4,
-        sortBy: 'price',
-        sortOrder: 'asc', // Lower priced books as "deals"
-    });
+    const campaign = data?.live?.[0];
+    const dealBooks = campaign?.books || [];
 
-    const dealBooks = data?.books || [];
+    // Counts down to the campaign's end on the server's clock
+    const timeLeft = useCountdown(campaign?.endsAt, data?.clockOffset);
 
-    // Countdown timer - resets at midnight
+    // Prices go back to normal when the sale ends; pick up the next one
     useEffect(() => {
-        const calculateTimeLeft = () => {
-            const now = new Date();
-            const endOfDay = new Date();
-            endOfDay.setHours(23, 59, 59, 999);
-
-            const diff = endOfDay - now;
-
-            return {
-                hours: Math.floor(diff / (1000 * 60 * 60)),
-                minutes: Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60)),
-                seconds: Math.floor((diff % (1000 * 60)) / 1000)
-            };
-        };
-
-        setTimeLeft(calculateTimeLeft());
-
-        const timer = setInterval(() => {
-            setTimeLeft(calculateTimeLeft());
-        }, 1000);
-
-        return () => clearInterval(timer);
-    }, []);
+        if (campaign && timeLeft.done) refetch();
+    }, [campaign, timeLeft.done, refetch]);
 
     // Don't render if no books
     if (!isLoading && dealBooks.length === 0) return null;
@@ -59,9 +36,12 @@ const DealsSection = () => {
                             viewport={{ once: true }}
                             className="text-2xl md:text-3xl font-serif font-bold text-secondary flex items-center gap-2"
                         >
-                            <span className="text-3xl">⚡</span> Today's Deals
+                            <span className="text-3xl">⚡</span> {campaign?.name || "Today's Deals"}
                         </motion.h2>
-                        <p className="text-gray-500 mt-1">Limited time offers on select books</p>
+                        <p className="text-gray-500 mt-1">
+                            {campaign?.description || 'Limited time offers on select books'}
+                            {campaign?.perCustomerLimit && ` · Limit ${campaign.perCustomerLimit} per customer`}
+                        </p>
                     </div>
 
                     {/* Countdown Timer */}
@@ -73,6 +53,12 @@ const DealsSection = () => {
                     >
                         <span className="text-sm text-gray-500 font-medium">Ends in:</span>
                         <div className="flex gap-2">
+                            {timeLeft.days > 0 && (
+                                <div className="bg-sale text-white px-3 py-2 rounded-lg text-center min-w-[50px]">
+                                    <span className="text-xl font-bold">{timeLeft.days}</span>
+                                    <p className="text-xs opacity-80">DAYS</p>
+                                </div>
+                            )}
                             <div className="bg-sale text-white px-3 py-2 rounded-lg text-center min-w-[50px]">
                                 <span className="text-xl font-bold">{String(timeLeft.hours).padStart(2, '0')}</span>
                                 <p className="text-xs opacity-80">HRS</p>
@@ -105,7 +91,7 @@ const DealsSection = () => {
                             >
                                 {/* Deal Badge */}
                                 <div className="absolute top-2 left-2 z-10 sale-badge">
-                                    🔥 Deal
+                                    🔥 {book.discountPercent > 0 ? `${book.discountPercent}% off` : 'Deal'}
                                 </div>
                                 <BookCard book={book} />
                             </motion.div>
@@ -116,7 +102,7 @@ const DealsSection = () => {
                 {/* View All Link */}
                 <div className="text-center mt-8">
                     <Link
-                        to="/books?sortBy=price&sortOrder=asc"
+                        to="/books?discounted=true"
                         className="inline-flex items-center gap-2 text-sale hover:text-sale-dark font-medium transition-colors"
                     >
                         View All Deals
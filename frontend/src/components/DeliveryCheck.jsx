@@ -1,45 +1,44 @@
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { shippingService, useShippingSettings } from '../services/shippingService';
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-IN', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+    });
 
 /**
  * DeliveryCheck - Pincode-based delivery estimate
- * Shows delivery date, shipping cost, and COD availability
+ * Shows delivery date, shipping cost, and COD availability from GET /api/shipping/check/:pincode
  */
 const DeliveryCheck = ({ price = 0 }) => {
     const [pincode, setPincode] = useState('');
     const [isChecking, setIsChecking] = useState(false);
     const [deliveryInfo, setDeliveryInfo] = useState(null);
     const [error, setError] = useState('');
+    const { freeShippingThreshold } = useShippingSettings();
 
-    // Mock delivery calculation
-    const calculateDelivery = (pin) => {
-        // Odisha pincodes start with 75, 76, 77
-        const isOdisha = pin.startsWith('75') || pin.startsWith('76') || pin.startsWith('77');
-        // Metro pincodes (simplified check)
-        const isMetro = ['110', '400', '560', '600', '700', '500'].some(p => pin.startsWith(p));
-
-        const today = new Date();
-        let deliveryDays = isOdisha ? 2 : isMetro ? 3 : 5;
-        const deliveryDate = new Date(today.setDate(today.getDate() + deliveryDays));
-
-        const freeDeliveryThreshold = 500;
-        const isFreeDelivery = price >= freeDeliveryThreshold;
-        const shippingCost = isFreeDelivery ? 0 : isOdisha ? 40 : 60;
+    // Shape the API response for display
+    const toDeliveryInfo = (result) => {
+        const place = [result.location.city, result.location.state].filter(Boolean).join(', ');
 
         return {
-            pincode: pin,
-            location: isOdisha ? 'Odisha' : isMetro ? 'Metro City' : 'India',
-            deliveryDate: deliveryDate.toLocaleDateString('en-IN', {
-                weekday: 'short',
-                month: 'short',
-                day: 'numeric'
-            }),
-            deliveryDays,
-            shippingCost,
-            isFreeDelivery,
-            freeDeliveryThreshold,
-            codAvailable: true,
-            expressAvailable: isOdisha || isMetro
+            pincode: result.pincode,
+            location: place || result.zone.name,
+            deliveryDate: formatDate(result.eta.to),
+            earliestDate: result.eta.minDays !== result.eta.maxDays ? formatDate(result.eta.from) : null,
+            deliveryDays: result.eta.maxDays,
+            deliveryDaysLabel: result.eta.minDays !== result.eta.maxDays
+                ? `${result.eta.minDays}-${result.eta.maxDays} business days`
+                : `${result.eta.maxDays} business days`,
+            shippingCost: result.shippingCost,
+            isFreeDelivery: result.isFreeShipping,
+            freeDeliveryThreshold: result.freeShippingThreshold,
+            codAvailable: result.cod.available,
+            expressAvailable: result.express.available,
+            expressRate: result.express.rate,
         };
     };
 
@@ -52,12 +51,22 @@ const DeliveryCheck = ({ price = 0 }) => {
         setIsChecking(true);
         setError('');
 
-        // Simulate API call
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        const info = calculateDelivery(pincode);
-        setDeliveryInfo(info);
-        setIsChecking(false);
+        try {
+            const result = await shippingService.checkPincode(pincode, price);
+
+            if (!result.serviceable) {
+                setDeliveryInfo(null);
+                setError(`Sorry, we don't deliver to ${pincode} yet`);
+                return;
+            }
+
+            setDeliveryInfo(toDeliveryInfo(result));
+        } catch (err) {
+            setDeliveryInfo(null);
+            setError(err.response?.data?.message || 'Could not check this pincode. Please try again.');
+        } finally {
+            setIsChecking(false);
+        }
     };
 
     const handleKeyPress = (e) => {
@@ -127,10 +136,14 @@ const DeliveryCheck = ({ price = 0 }) => {
                             </div>
                             <div>
                                 <p className="font-medium text-green-800">
-                                    Get it by <span className="font-bold">{deliveryInfo.deliveryDate}</span>
+                                    {deliveryInfo.earliestDate ? (
+                                        <>Get it <span className="font-bold">{deliveryInfo.earliestDate} – {deliveryInfo.deliveryDate}</span></>
+                                    ) : (
+                                        <>Get it by <span className="font-bold">{deliveryInfo.deliveryDate}</span></>
+                                    )}
                                 </p>
                                 <p className="text-sm text-green-600">
-                                    {deliveryInfo.deliveryDays === 1 ? 'Tomorrow' : `${deliveryInfo.deliveryDays} business days`} to {deliveryInfo.location}
+                                    {deliveryInfo.deliveryDays === 1 ? 'Tomorrow' : deliveryInfo.deliveryDaysLabel} to {deliveryInfo.location}
                                 </p>
                             </div>
                         </div>
@@ -165,7 +178,7 @@ const DeliveryCheck = ({ price = 0 }) => {
                                     <span>⚡</span>
                                     <span className="text-sm font-medium text-yellow-800">Express Delivery</span>
                                 </div>
-                                <span className="text-sm text-yellow-700">+₹99 for next day</span>
+                                <span className="text-sm text-yellow-700">+₹{deliveryInfo.expressRate} for next day</span>
                             </div>
                         )}
 
@@ -187,7 +200,7 @@ const DeliveryCheck = ({ price = 0 }) => {
             {!deliveryInfo && !error && (
                 <div className="text-sm text-gray-500 space-y-1">
                     <p>📦 Usually ships within 24 hours</p>
-                    <p>🚚 Free delivery on orders over ₹500</p>
+                    <p>🚚 Free delivery on orders over ₹{freeShippingThreshold}</p>
                 </div>
             )}
         </div>
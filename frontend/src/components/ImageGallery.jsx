@@ -4,6 +4,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 /**
  * ImageGallery - Advanced image viewer with zoom and lightbox
  * Features: Magnifying zoom, thumbnail nav, fullscreen mode
+ * images: URLs, or uploaded book images ({ thumb, medium, large, alt })
  */
 const ImageGallery = ({ images = [], title = 'Product' }) => {
     const [selectedIndex, setSelectedIndex] = useState(0);
@@ -13,7 +14,9 @@ const ImageGallery = ({ images = [], title = 'Product' }) => {
     const imageContainerRef = useRef(null);
 
     // Default placeholder if no images
-    const displayImages = images.length > 0 ? images : [null];
+    const displayImages = images.length > 0
+        ? images.map((image) => (typeof image === 'string' ? { thumb: image, large: image, alt: '' } : image))
+        : [null];
     const currentImage = displayImages[selectedIndex];
 
     const handleMouseMove = (e) => {
@@ -53,8 +56,8 @@ const ImageGallery = ({ images = [], title = 'Product' }) => {
                         <div className="relative aspect-[3/4] overflow-hidden">
                             {/* Normal Image */}
                             <img
-                                src={currentImage}
-                                alt={`${title} - Image ${selectedIndex + 1}`}
+                                src={currentImage.large}
+                                alt={currentImage.alt || `${title} - Image ${selectedIndex + 1}`}
                                 className={`w-full h-full object-cover transition-opacity duration-200 ${isZooming ? 'opacity-0' : 'opacity-100'}`}
                             />
 
@@ -62,7 +65,7 @@ const ImageGallery = ({ images = [], title = 'Product' }) => {
                             <div
                                 className={`absolute inset-0 hidden md:block transition-opacity duration-200 ${isZooming ? 'opacity-100' : 'opacity-0'}`}
                                 style={{
-                                    backgroundImage: `url(${currentImage})`,
+                                    backgroundImage: `url(${currentImage.large})`,
                                     backgroundPosition: `${zoomPosition.x}% ${zoomPosition.y}%`,
                                     backgroundSize: '200%',
                                     backgroundRepeat: 'no-repeat'
@@ -116,7 +119,7 @@ const ImageGallery = ({ images = [], title = 'Product' }) => {
                                     }`}
                             >
                                 {img ? (
-                                    <img src={img} alt={`Thumbnail ${idx + 1}`} className="w-full h-full object-cover" />
+                                    <img src={img.thumb} alt={`Thumbnail ${idx + 1}`} className="w-full h-full object-cover" />
                                 ) : (
                                     <div className="w-full h-full bg-gray-100 flex items-center justify-center text-2xl">📚</div>
                                 )}
@@ -175,8 +178,8 @@ const ImageGallery = ({ images = [], title = 'Product' }) => {
                             initial={{ scale: 0.9, opacity: 0 }}
                             animate={{ scale: 1, opacity: 1 }}
                             exit={{ scale: 0.9, opacity: 0 }}
-                            src={currentImage}
-                            alt={title}
+                            src={currentImage.large}
+                            alt={currentImage.alt || title}
                             className="max-w-full max-h-[90vh] object-contain rounded-lg shadow-2xl"
                             onClick={(e) => e.stopPropagation()}
                         />
@@ -4,6 +4,8 @@ import { useCart } from '../context/CartContext';
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import SearchAutocomplete from './SearchAutocomplete';
+import NotificationBell from './NotificationBell';
+import { useShippingSettings } from '../services/shippingService';
 
 /**
  * Modern E-Commerce Navbar
@@ -12,6 +14,7 @@ import SearchAutocomplete from './SearchAutocomplete';
  * - Enhanced avatar dropdown with user info
  * - Category mega menu
  * - Cart preview dropdown
+ * - Notification bell (wishlist price drops / back in stock)
  * - Announcement bar
  */
 
@@ -31,6 +34,7 @@ const bookCategories = [
 const Navbar = () => {
   const { user, logout } = useAuth();
   const { cartItems, getItemCount, getTotalPrice } = useCart();
+  const { freeShippingThreshold } = useShippingSettings();
   const [searchQuery, setSearchQuery] = useState('');
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isScrolled, setIsScrolled] = useState(false);
@@ -51,7 +55,7 @@ const Navbar = () => {
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
-      navigate(`/books?search=${encodeURIComponent(searchQuery.trim())}`);
+      navigate(`/search?q=${encodeURIComponent(searchQuery.trim())}`);
       setSearchQuery('');
       setIsMobileMenuOpen(false);
     }
@@ -84,7 +88,7 @@ const Navbar = () => {
             <div className="container-custom py-2 flex items-center justify-between">
               <div className="flex-1 text-center">
                 <span className="mr-2">🚚</span>
-                <span>Free shipping on orders over <strong>₹500</strong>!</span>
+                <span>Free shipping on orders over <strong>₹{freeShippingThreshold}</strong>!</span>
                 <span className="ml-2">•</span>
                 <span className="ml-2">📦 Same-day dispatch on orders before 2 PM</span>
               </div>
@@ -195,6 +199,9 @@ const Navbar = () => {
                 </svg>
               </Link>
 
+              {/* Notifications (logged-in users) */}
+              {user && <NotificationBell />}
+
               {/* Cart Icon with Dropdown */}
               <div
                 className="relative"
@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuth } from '../hooks/useAuth';
+import { useNotifications, useMarkNotificationsRead } from '../services/notificationService';
+
+const TYPE_ICONS = {
+  price_drop: '🏷️',
+  back_in_stock: '📦',
+};
+
+const timeAgo = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * NotificationBell - Navbar bell with unread count and a dropdown of
+ * wishlist alerts (price drops, back in stock). Render only for logged-in users.
+ */
+const NotificationBell = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { user } = useAuth();
+  const { notifications, unreadCount } = useNotifications(user?._id || user?.id);
+  const { markRead, markAllRead } = useMarkNotificationsRead();
+
+  const handleOpen = (notification) => {
+    if (!notification.readAt) markRead.mutate(notification._id);
+    setIsOpen(false);
+  };
+
+  return (
+    <div
+      className="relative"
+      onMouseEnter={() => setIsOpen(true)}
+      onMouseLeave={() => setIsOpen(false)}
+    >
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className="relative flex p-2 text-secondary hover:text-primary hover:bg-gray-50 rounded-lg transition-all"
+        aria-label={unreadCount ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 inline-flex items-center justify-center w-5 h-5 text-xs font-bold text-white bg-cta rounded-full">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 top-full pt-2 z-50">
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="bg-white rounded-xl shadow-xl border border-gray-100 w-80"
+          >
+            <div className="flex justify-between items-center px-4 py-3 border-b border-gray-100">
+              <h3 className="font-semibold text-secondary">Notifications</h3>
+              {unreadCount > 0 && (
+                <button
+                  onClick={() => markAllRead.mutate()}
+                  className="text-sm text-primary hover:underline"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">
+                No notifications yet. We'll tell you when a book on your wishlist drops in price or is back in stock.
+              </p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto divide-y divide-gray-50">
+                {notifications.map((notification) => (
+                  <Link
+                    key={notification._id}
+                    to={notification.book ? `/books/${notification.book._id}` : '/wishlist'}
+                    onClick={() => handleOpen(notification)}
+                    className={`flex gap-3 px-4 py-3 hover:bg-gray-50 ${notification.readAt ? '' : 'bg-primary/5'}`}
+                  >
+                    <span className="text-xl">{TYPE_ICONS[notification.type] || '🔔'}</span>
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                      <p className="text-xs text-gray-600 line-clamp-2">{notification.message}</p>
+                      <p className="text-[11px] text-gray-400 mt-1">{timeAgo(notification.updatedAt)}</p>
+                    </div>
+                    {!notification.readAt && <span className="w-2 h-2 mt-1.5 bg-cta rounded-full flex-shrink-0" />}
+                  </Link>
+                ))}
+              </div>
+            )}
+
+            <Link
+              to="/wishlist"
+              onClick={() => setIsOpen(false)}
+              className="block px-4 py-2 text-sm text-center text-primary border-t border-gray-100 hover:bg-gray-50 rounded-b-xl"
+            >
+              View wishlist
+            </Link>
+          </motion.div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
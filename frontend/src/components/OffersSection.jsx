@@ -1,13 +1,19 @@
 import { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { useCountdown } from '../hooks/useCountdown';
+
+const pad = (value) => String(value).padStart(2, '0');
 
 /**
  * OffersSection - Display available offers, coupons, and deals
- * Features: Bank offers, coupon codes, EMI options, combo deals
+ * Features: Live sale campaign with countdown, bank offers, coupon codes, EMI options, combo deals
+ * sale is the book's live campaign ({ name, price, endsAt, perCustomerLimit }), if any
  */
-const OffersSection = ({ price = 0, bookTitle = '' }) => {
+const OffersSection = ({ price = 0, bookTitle = '', sale = null }) => {
     const [copiedCode, setCopiedCode] = useState(null);
     const [isExpanded, setIsExpanded] = useState(false);
+    const saleEndsIn = useCountdown(sale?.endsAt);
+    const saleIsLive = Boolean(sale) && !saleEndsIn.done;
 
     // Mock offers data (in real app, fetch from API)
     const bankOffers = [
@@ -43,12 +49,29 @@ const OffersSection = ({ price = 0, bookTitle = '' }) => {
                     <span className="text-xl">🎁</span>
                     <span className="font-semibold text-gray-900">Available Offers</span>
                     <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full font-medium">
-                        {bankOffers.length + coupons.length} offers
+                        {bankOffers.length + coupons.length + (saleIsLive ? 1 : 0)} offers
                     </span>
                 </div>
             </div>
 
             <div className="p-4 space-y-4">
+                {/* Sale Campaign */}
+                {saleIsLive && (
+                    <div className="flex items-center gap-3 p-3 bg-sale/10 rounded-lg border border-sale/20">
+                        <span className="text-2xl">⚡</span>
+                        <div className="flex-1">
+                            <p className="text-sm font-medium text-gray-900">
+                                {sale.name}: <span className="text-sale font-bold">₹{sale.price}</span>
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                Ends in {saleEndsIn.days > 0 && `${saleEndsIn.days}d `}
+                                {pad(saleEndsIn.hours)}:{pad(saleEndsIn.minutes)}:{pad(saleEndsIn.seconds)}
+                                {sale.perCustomerLimit && ` • Limit ${sale.perCustomerLimit} per customer`}
+                            </p>
+                        </div>
+                    </div>
+                )}
+
                 {/* Bank Offers */}
                 <div className="space-y-2">
                     {visibleOffers.map((offer) => (
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useSubmitReview } from '../services/bookService';
+
+/**
+ * ReviewForm - Star picker + comment form for writing or editing a review
+ * Only customers with a delivered order can post; the server enforces this.
+ */
+const ReviewForm = ({ bookId, existingReview, onClose }) => {
+    const [rating, setRating] = useState(existingReview?.rating || 0);
+    const [hoverRating, setHoverRating] = useState(0);
+    const [title, setTitle] = useState(existingReview?.title || '');
+    const [comment, setComment] = useState(existingReview?.comment || '');
+    const submitReview = useSubmitReview(bookId);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (rating < 1) {
+            toast.error('Please select a star rating');
+            return;
+        }
+
+        submitReview.mutate(
+            { isEdit: !!existingReview, rating, title, comment },
+            {
+                onSuccess: () => {
+                    toast.success(existingReview ? 'Review updated' : 'Thanks for your review!');
+                    onClose?.();
+                },
+                onError: (error) => {
+                    toast.error(error.response?.data?.message || error.response?.data?.error?.message || 'Could not save review');
+                },
+            }
+        );
+    };
+
+    return (
+        <motion.form
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            onSubmit={handleSubmit}
+            className="bg-white p-5 rounded-xl shadow-sm border border-gray-100 space-y-4 mb-6"
+        >
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold text-gray-900">
+                    {existingReview ? 'Edit your review' : 'Write a review'}
+                </h3>
+                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+                    ×
+                </button>
+            </div>
+
+            <div className="flex gap-1 text-2xl text-yellow-400" onMouseLeave={() => setHoverRating(0)}>
+                {[1, 2, 3, 4, 5].map(star => (
+                    <button
+                        key={star}
+                        type="button"
+                        onClick={() => setRating(star)}
+                        onMouseEnter={() => setHoverRating(star)}
+                        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+                    >
+                        {star <= (hoverRating || rating) ? '★' : '☆'}
+                    </button>
+                ))}
+            </div>
+
+            <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                maxLength={120}
+                placeholder="Headline (optional)"
+                className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:border-primary focus:ring-1 focus:ring-primary outline-none"
+            />
+
+            <textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                minLength={10}
+                maxLength={2000}
+                rows={4}
+                required
+                placeholder="What did you like or dislike about this book?"
+                className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:border-primary focus:ring-1 focus:ring-primary outline-none"
+            />
+
+            <button
+                type="submit"
+                disabled={submitReview.isPending}
+                className="px-5 py-2 bg-primary text-white rounded-lg font-medium text-sm hover:bg-primary/90 transition-colors disabled:opacity-60"
+            >
+                {submitReview.isPending ? 'Saving...' : 'Submit Review'}
+            </button>
+        </motion.form>
+    );
+};
+
+export default ReviewForm;
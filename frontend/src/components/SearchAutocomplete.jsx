@@ -113,12 +113,15 @@ const SearchAutocomplete = ({ className = '', categories = [] }) => {
 
     const performSearch = (text) => {
         saveRecentSearch(text);
-        const searchParams = new URLSearchParams();
-        searchParams.set('search', text);
         if (selectedCategory.name !== 'All') {
+            const searchParams = new URLSearchParams();
+            searchParams.set('search', text);
             searchParams.set('category', selectedCategory.name);
+            navigate(`/books?${searchParams.toString()}`);
+        } else {
+            // Natural-language search picks filters like language, grade and price out of the text
+            navigate(`/search?q=${encodeURIComponent(text)}`);
         }
-        navigate(`/books?${searchParams.toString()}`);
         setQuery('');
         setIsOpen(false);
         setIsFocused(false);
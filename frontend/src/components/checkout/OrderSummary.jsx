@@ -1,8 +1,10 @@
+import { useState } from 'react';
 import { motion } from 'framer-motion';
 
 /**
  * OrderSummary - Sticky order summary sidebar
- * Shows cart items, pricing breakdown, and trust badges
+ * Shows cart items, coupon entry, pricing breakdown, and trust badges
+ * The coupon box only renders when onApplyCoupon is provided
  */
 const OrderSummary = ({
     cartItems = [],
@@ -10,10 +12,24 @@ const OrderSummary = ({
     shippingCost = 0,
     discount = 0,
     codCharge = 0,
+    freeShippingThreshold = 500,
     isCollapsible = true,
+    appliedCoupon = null,
+    couponError = '',
+    isApplyingCoupon = false,
+    onApplyCoupon,
+    onRemoveCoupon,
 }) => {
+    const [codeInput, setCodeInput] = useState('');
     const total = subtotal - discount + shippingCost + codCharge;
 
+    const handleApply = async (e) => {
+        e.preventDefault();
+        if (!codeInput.trim()) return;
+        const ok = await onApplyCoupon(codeInput.trim());
+        if (ok) setCodeInput('');
+    };
+
     return (
         <div className="bg-white rounded-2xl shadow-lg border border-gray-100 overflow-hidden">
             {/* Header */}
@@ -57,6 +73,49 @@ const OrderSummary = ({
                 </div>
             </div>
 
+            {/* Coupon */}
+            {onApplyCoupon && (
+                <div className="p-4 border-t border-gray-100">
+                    {appliedCoupon ? (
+                        <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+                            <div>
+                                <p className="text-sm font-bold text-green-700">🏷️ {appliedCoupon.code}</p>
+                                <p className="text-xs text-green-600">
+                                    {appliedCoupon.shippingDiscount > 0 && appliedCoupon.discount === 0
+                                        ? 'Free shipping applied'
+                                        : `You save ₹${appliedCoupon.totalDiscount}`}
+                                </p>
+                            </div>
+                            <button
+                                type="button"
+                                onClick={onRemoveCoupon}
+                                className="text-xs font-medium text-gray-500 hover:text-red-500"
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleApply} className="flex gap-2">
+                            <input
+                                type="text"
+                                value={codeInput}
+                                onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+                                placeholder="Coupon code"
+                                className="flex-1 min-w-0 px-3 py-2 border border-gray-200 rounded-lg focus:border-primary focus:outline-none text-sm uppercase"
+                            />
+                            <button
+                                type="submit"
+                                disabled={isApplyingCoupon || !codeInput.trim()}
+                                className="px-4 py-2 bg-gray-900 text-white rounded-lg font-medium text-sm hover:bg-gray-800 transition-colors disabled:opacity-50"
+                            >
+                                {isApplyingCoupon ? '...' : 'Apply'}
+                            </button>
+                        </form>
+                    )}
+                    {couponError && <p className="text-xs text-red-500 mt-2">{couponError}</p>}
+                </div>
+            )}
+
             {/* Price Breakdown */}
             <div className="p-4 border-t border-gray-100 space-y-2">
                 <div className="flex justify-between text-sm text-gray-600">
@@ -66,7 +125,7 @@ const OrderSummary = ({
 
                 {discount > 0 && (
                     <div className="flex justify-between text-sm text-green-600">
-                        <span>Discount</span>
+                        <span>{appliedCoupon ? `Coupon (${appliedCoupon.code})` : 'Discount'}</span>
                         <span>-₹{discount}</span>
                     </div>
                 )}
@@ -113,7 +172,7 @@ const OrderSummary = ({
                             <path d="M8 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM15 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0z" />
                             <path d="M3 4a1 1 0 00-1 1v10a1 1 0 001 1h1.05a2.5 2.5 0 014.9 0H10a1 1 0 001-1V5a1 1 0 00-1-1H3zM14 7h4.5a1 1 0 01.8.4l1.5 2a1 1 0 01.2.6V15a1 1 0 01-1 1h-1.05a2.5 2.5 0 00-4.9 0H14V7z" />
                         </svg>
-                        <span>Free shipping on orders above ₹500</span>
+                        <span>Free shipping on orders above ₹{freeShippingThreshold}</span>
                     </div>
                 </div>
             </div>
@@ -9,7 +9,8 @@ const PaymentStep = ({
     selectedMethod,
     onMethodSelect,
     onContinue,
-    orderTotal = 0
+    codAvailable = true,
+    codCharge = 0,
 }) => {
     const [cardDetails, setCardDetails] = useState({
         number: '',
@@ -51,11 +52,11 @@ const PaymentStep = ({
         {
             id: 'cod',
             title: 'Cash on Delivery',
-            subtitle: orderTotal >= 500 ? 'Available for this order' : '+₹40 extra charge',
+            subtitle: codCharge > 0 ? `+₹${codCharge} extra charge` : 'Available for this order',
             icon: '💵',
-            extraCharge: orderTotal >= 500 ? 0 : 40,
+            extraCharge: codCharge,
         },
-    ];
+    ].filter((method) => method.id !== 'cod' || codAvailable); // COD depends on the delivery pincode
 
     const banks = [
         { id: 'sbi', name: 'State Bank of India' },
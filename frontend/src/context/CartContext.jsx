@@ -1,4 +1,7 @@
-import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import { cartService } from '../services/cartService';
 
 // Initialize the context with null, as required by createContext.
 const CartContext = createContext(null);
@@ -7,9 +10,45 @@ export const CartProvider = ({ children }) => {
   // Initialize state with an empty array.
   const [cartItems, setCartItems] = useState([]);
 
+  const { user, loading: authLoading } = useAuth();
+  const isLoggedIn = Boolean(user);
+  // Set when the server reports problems (price changed, out of stock, book removed)
+  const [hasIssues, setHasIssues] = useState(false);
+  const previousUser = useRef(null);
+
   // --- Persistence Logic ---
+  // Guests keep the cart in localStorage. Logged-in users use the server cart
+  // (shared with the mobile app); the guest cart is merged into it on login.
+
+  // Replace local state with the server's re-priced cart
+  const applyServerCart = useCallback((cart) => {
+    setCartItems(cart.items);
+    setHasIssues(cart.hasIssues);
+    cart.removed?.forEach((item) => {
+      toast.error(`"${item.title || 'A book'}" is no longer available and was removed from your cart`);
+    });
+  }, []);
+
+  const refreshCart = useCallback(async () => {
+    if (!isLoggedIn) return;
+    try {
+      applyServerCart(await cartService.getCart());
+    } catch (e) {
+      console.error('Could not load cart:', e);
+    }
+  }, [applyServerCart, isLoggedIn]);
+
+  // Apply an optimistic change, then let the server's answer win
+  const syncWithServer = useCallback(async (request) => {
+    try {
+      applyServerCart(await request());
+    } catch (e) {
+      toast.error(e.response?.data?.message || 'Could not update your cart');
+      refreshCart();
+    }
+  }, [applyServerCart, refreshCart]);
 
-  // 1. Load cart data from localStorage on initial mount (client side only).
+  // 1. Load the guest cart from localStorage on initial mount (client side only).
   useEffect(() => {
     try {
       const savedCart = localStorage.getItem('cart');
@@ -23,15 +62,52 @@ export const CartProvider = ({ children }) => {
     }
   }, []);
 
-  // 2. Save cart data to localStorage whenever cartItems changes.
+  // 2. On login, merge the guest cart into the server cart; on logout, forget the user's cart.
   useEffect(() => {
+    if (authLoading) return;
+
+    const userId = user?._id || user?.id || null;
+    if (userId === previousUser.current) return;
+    const wasLoggedIn = previousUser.current !== null;
+    previousUser.current = userId;
+
+    if (!userId) {
+      if (wasLoggedIn) setCartItems([]);
+      return;
+    }
+
+    let guestItems = [];
+    try {
+      guestItems = (JSON.parse(localStorage.getItem('cart')) || []).map((item) => ({
+        bookId: item._id || item.id,
+        quantity: item.quantity,
+      }));
+    } catch (e) {
+      guestItems = [];
+    }
+
+    const request = guestItems.length
+      ? cartService.mergeCart(guestItems)
+      : cartService.getCart();
+
+    request
+      .then((cart) => {
+        localStorage.removeItem('cart');
+        applyServerCart(cart);
+      })
+      .catch((e) => console.error('Could not sync cart with server:', e));
+  }, [user, authLoading, applyServerCart]);
+
+  // 3. Save the guest cart to localStorage whenever it changes.
+  useEffect(() => {
+    if (authLoading || isLoggedIn) return;
     try {
       localStorage.setItem('cart', JSON.stringify(cartItems));
     } catch (e) {
       console.error("Could not save cart to localStorage:", e);
       // Handle potential storage limit errors here if needed
     }
-  }, [cartItems]);
+  }, [cartItems, isLoggedIn, authLoading]);
 
   // --- Cart Operations ---
 
@@ -64,11 +140,19 @@ export const CartProvider = ({ children }) => {
       // Ensure we store it with _id for consistency if possible
       return [...prevItems, { ...book, _id: bookId, quantity: quantityToAdd }];
     });
-  }, []);
+
+    if (isLoggedIn) {
+      syncWithServer(() => cartService.addItem(bookId, quantityToAdd));
+    }
+  }, [isLoggedIn, syncWithServer]);
 
   const removeFromCart = useCallback((bookId) => {
     setCartItems((prevItems) => prevItems.filter((item) => (item._id || item.id) !== bookId));
-  }, []);
+
+    if (isLoggedIn) {
+      syncWithServer(() => cartService.removeItem(bookId));
+    }
+  }, [isLoggedIn, syncWithServer]);
 
   const updateQuantity = useCallback((bookId, quantity) => {
     const newQuantity = Number(quantity); // Ensure quantity is treated as a number
@@ -83,13 +167,22 @@ export const CartProvider = ({ children }) => {
         (item._id || item.id) === bookId ? { ...item, quantity: newQuantity } : item
       )
     );
-  }, [removeFromCart]);
+
+    if (isLoggedIn) {
+      syncWithServer(() => cartService.updateQuantity(bookId, newQuantity));
+    }
+  }, [removeFromCart, isLoggedIn, syncWithServer]);
 
   const clearCart = useCallback(() => {
     setCartItems([]);
+    setHasIssues(false);
     // Remove the item completely from storage
     localStorage.removeItem('cart');
-  }, []);
+
+    if (isLoggedIn) {
+      cartService.clearCart().catch((e) => console.error('Could not clear server cart:', e));
+    }
+  }, [isLoggedIn]);
 
   // --- Derived Values (Memoized for Performance) ---
 
@@ -118,7 +211,9 @@ export const CartProvider = ({ children }) => {
     getTotalPrice,
     getItemCount,
     getSubtotal,
-  }), [cartItems, getTotalPrice, getItemCount, getSubtotal, addToCart, removeFromCart, updateQuantity, clearCart]);
+    hasIssues,
+    refreshCart,
+  }), [cartItems, getTotalPrice, getItemCount, getSubtotal, addToCart, removeFromCart, updateQuantity, clearCart, hasIssues, refreshCart]);
 
   return (
     <CartContext.Provider value={contextValue}>
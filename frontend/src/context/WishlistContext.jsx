@@ -0,0 +1,150 @@
+import { createContext, useContext, useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../hooks/useAuth';
+import { wishlistService } from '../services/wishlistService';
+
+const WishlistContext = createContext(null);
+
+const loadGuestWishlist = () => {
+  try {
+    return JSON.parse(localStorage.getItem('wishlist')) || [];
+  } catch (e) {
+    console.error('Could not load wishlist from localStorage:', e);
+    return [];
+  }
+};
+
+export const WishlistProvider = ({ children }) => {
+  const [wishlistItems, setWishlistItems] = useState(loadGuestWishlist);
+
+  const { user, loading: authLoading } = useAuth();
+  const isLoggedIn = Boolean(user);
+  const previousUser = useRef(null);
+
+  // --- Persistence Logic ---
+  // Guests keep the wishlist in localStorage. Logged-in users use the server
+  // wishlist (shared with the mobile app, and the source of price-drop and
+  // back-in-stock notifications); the guest list is merged into it on login.
+
+  const refreshWishlist = useCallback(async () => {
+    if (!isLoggedIn) return;
+    try {
+      setWishlistItems((await wishlistService.getWishlist()).items);
+    } catch (e) {
+      console.error('Could not load wishlist:', e);
+    }
+  }, [isLoggedIn]);
+
+  // Apply an optimistic change, then let the server's answer win
+  const syncWithServer = useCallback(async (request) => {
+    try {
+      setWishlistItems((await request()).items);
+    } catch (e) {
+      toast.error(e.response?.data?.message || 'Could not update your wishlist');
+      refreshWishlist();
+    }
+  }, [refreshWishlist]);
+
+  // On login, merge the guest wishlist into the server one; on logout, forget the user's list.
+  useEffect(() => {
+    if (authLoading) return;
+
+    const userId = user?._id || user?.id || null;
+    if (userId === previousUser.current) return;
+    const wasLoggedIn = previousUser.current !== null;
+    previousUser.current = userId;
+
+    if (!userId) {
+      if (wasLoggedIn) setWishlistItems([]);
+      return;
+    }
+
+    const guestIds = loadGuestWishlist().map((item) => item._id || item.id);
+    const request = guestIds.length
+      ? wishlistService.mergeWishlist(guestIds)
+      : wishlistService.getWishlist();
+
+    request
+      .then((wishlist) => {
+        localStorage.removeItem('wishlist');
+        setWishlistItems(wishlist.items);
+      })
+      .catch((e) => console.error('Could not sync wishlist with server:', e));
+  }, [user, authLoading]);
+
+  // Save the guest wishlist to localStorage whenever it changes.
+  useEffect(() => {
+    if (authLoading || isLoggedIn) return;
+    try {
+      localStorage.setItem('wishlist', JSON.stringify(wishlistItems));
+    } catch (e) {
+      console.error('Could not save wishlist to localStorage:', e);
+    }
+  }, [wishlistItems, isLoggedIn, authLoading]);
+
+  // --- Wishlist Operations ---
+
+  const isWishlisted = useCallback(
+    (bookId) => wishlistItems.some((item) => (item._id || item.id) === bookId),
+    [wishlistItems]
+  );
+
+  // book: { _id, title, author, image, price, category } (title and price already flattened)
+  const addToWishlist = useCallback((book) => {
+    const bookId = book?._id || book?.id;
+    if (!bookId) {
+      console.error('Invalid book object passed to addToWishlist:', book);
+      return;
+    }
+
+    setWishlistItems((prevItems) =>
+      prevItems.some((item) => (item._id || item.id) === bookId)
+        ? prevItems
+        : [{ ...book, _id: bookId, addedAt: new Date().toISOString() }, ...prevItems]
+    );
+
+    if (isLoggedIn) {
+      syncWithServer(() => wishlistService.addItem(bookId));
+    }
+  }, [isLoggedIn, syncWithServer]);
+
+  const removeFromWishlist = useCallback((bookId) => {
+    setWishlistItems((prevItems) => prevItems.filter((item) => (item._id || item.id) !== bookId));
+
+    if (isLoggedIn) {
+      syncWithServer(() => wishlistService.removeItem(bookId));
+    }
+  }, [isLoggedIn, syncWithServer]);
+
+  const clearWishlist = useCallback(() => {
+    setWishlistItems([]);
+    localStorage.removeItem('wishlist');
+
+    if (isLoggedIn) {
+      wishlistService.clearWishlist().catch((e) => console.error('Could not clear server wishlist:', e));
+    }
+  }, [isLoggedIn]);
+
+  const contextValue = useMemo(() => ({
+    wishlistItems,
+    isWishlisted,
+    addToWishlist,
+    removeFromWishlist,
+    clearWishlist,
+    refreshWishlist,
+  }), [wishlistItems, isWishlisted, addToWishlist, removeFromWishlist, clearWishlist, refreshWishlist]);
+
+  return (
+    <WishlistContext.Provider value={contextValue}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+const timeLeftUntil = (target, offsetMs) => {
+  const diff = Math.max(0, new Date(target).getTime() - (Date.now() + offsetMs));
+  return {
+    done: diff === 0,
+    days: Math.floor(diff / (1000 * 60 * 60 * 24)),
+    hours: Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
+    minutes: Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60)),
+    seconds: Math.floor((diff % (1000 * 60)) / 1000),
+  };
+};
+
+// Ticks every second until target (a date). offsetMs corrects the device clock
+// to the server's (see useActiveCampaigns).
+export const useCountdown = (target, offsetMs = 0) => {
+  const [timeLeft, setTimeLeft] = useState(() => timeLeftUntil(target, offsetMs));
+
+  useEffect(() => {
+    if (!target) return undefined;
+    setTimeLeft(timeLeftUntil(target, offsetMs));
+
+    const timer = setInterval(() => {
+      const next = timeLeftUntil(target, offsetMs);
+      setTimeLeft(next);
+      if (next.done) clearInterval(timer);
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [target, offsetMs]);
+
+  return timeLeft;
+};
@@ -0,0 +1,145 @@
+import { useParams, Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { useAuthor, lifeDates } from '../services/authorService';
+import { useBooks } from '../services/bookService';
+import Loader from '../components/Loader';
+import BookCard from '../components/BookCard';
+
+// Most books shown on the page; the rest are a search away
+const BOOK_LIMIT = 48;
+
+/**
+ * Author Page - profile in both scripts with the author's books
+ * Books come from their link to the profile (GET /books?authorId=), so every
+ * spelling a book credits the author under is included.
+ */
+const Author = () => {
+  const { slug } = useParams();
+  const { data: author, isLoading, error } = useAuthor(slug);
+  const { data: booksData, isLoading: loadingBooks } = useBooks(
+    { authorId: author?._id, limit: BOOK_LIMIT, sortBy: 'title', sortOrder: 'asc' },
+    { enabled: !!author?._id }
+  );
+  const books = booksData?.books || [];
+
+  if (isLoading) return <Loader />;
+
+  if (error || !author) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
+        <div className="text-center bg-white p-8 rounded-2xl shadow-lg">
+          <div className="text-6xl mb-4">✍️</div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Author Not Found</h2>
+          <p className="text-gray-500 mb-6">We don't have a page for this author yet.</p>
+          <Link to="/books" className="bg-primary text-white px-6 py-3 rounded-xl font-semibold hover:bg-primary/90 transition-colors">
+            Browse All Books
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const { name, epithet, bio } = author;
+  // The name in the other script, under the display name
+  const otherName = [name.odia, name.english].find((value) => value && value !== name.display);
+  const dates = lifeDates(author);
+  const initials = (name.english || name.display)
+    .split(' ')
+    .map((word) => word[0])
+    .join('');
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100">
+      {/* Breadcrumb */}
+      <div className="container-custom py-4">
+        <nav className="flex items-center gap-2 text-sm text-gray-500">
+          <Link to="/" className="hover:text-primary transition-colors">Home</Link>
+          <span>/</span>
+          <span>Authors</span>
+          <span>/</span>
+          <span className="text-gray-900 font-medium truncate max-w-[200px]">{name.display}</span>
+        </nav>
+      </div>
+
+      <div className="container-custom pb-16">
+        {/* Profile */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="bg-white rounded-2xl shadow-sm p-6 lg:p-10 flex flex-col md:flex-row gap-8 items-center md:items-start mb-10"
+        >
+          {author.photo ? (
+            <img
+              src={author.photo}
+              alt={name.display}
+              className="w-36 h-36 rounded-full object-cover flex-shrink-0"
+            />
+          ) : (
+            <div className="w-36 h-36 rounded-full bg-gradient-to-br from-primary to-primary-600 flex items-center justify-center text-white text-5xl font-serif flex-shrink-0">
+              {initials}
+            </div>
+          )}
+
+          <div className="text-center md:text-left">
+            <h1 className="font-serif text-3xl lg:text-4xl font-bold text-gray-900">{name.display}</h1>
+            {otherName && <p className="text-xl text-gray-600 mt-1">{otherName}</p>}
+            {dates && <p className="text-gray-400 text-sm mt-2">{dates}</p>}
+            {(epithet?.english || epithet?.odia) && (
+              <p className="text-primary font-medium mt-3">
+                {[epithet.english, epithet.odia].filter(Boolean).join(' · ')}
+              </p>
+            )}
+            {bio?.english && <p className="text-gray-600 leading-relaxed mt-4 max-w-3xl">{bio.english}</p>}
+            {bio?.odia && <p className="text-gray-600 leading-relaxed mt-3 max-w-3xl">{bio.odia}</p>}
+            {author.aliases?.length > 0 && (
+              <p className="text-gray-400 text-sm mt-4">
+                Also credited as: {author.aliases.join(', ')}
+              </p>
+            )}
+          </div>
+        </motion.div>
+
+        {/* Books */}
+        <div className="flex items-baseline justify-between mb-6">
+          <h2 className="section-title">Books by {name.display}</h2>
+          <span className="text-gray-500 text-sm">
+            {author.bookCount} book{author.bookCount !== 1 ? 's' : ''}
+          </span>
+        </div>
+
+        {loadingBooks ? (
+          <div className="text-center py-12">
+            <div className="animate-spin w-8 h-8 border-4 border-primary border-t-transparent rounded-full mx-auto" />
+          </div>
+        ) : books.length > 0 ? (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+              {books.map((book) => (
+                <BookCard key={book._id} book={book} />
+              ))}
+            </div>
+            {author.bookCount > books.length && (
+              <div className="text-center mt-8">
+                <Link
+                  to={`/books?search=${encodeURIComponent(name.display)}`}
+                  className="text-primary hover:underline"
+                >
+                  Search for more →
+                </Link>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="text-center py-12 text-gray-500 bg-white rounded-2xl">
+            <p>No books by this author are in the catalogue right now.</p>
+            <Link to="/books" className="text-primary hover:underline mt-2 inline-block">
+              Browse All Books →
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Author;
@@ -1,13 +1,16 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { useBook, useBooks } from '../services/bookService';
+import { useBook, useBookReviews } from '../services/bookService';
+import { useBookRecommendations } from '../services/aiService';
 import { useCart } from '../context/CartContext';
+import { useAuth } from '../context/AuthContext';
 import Loader from '../components/Loader';
 import BookCard from '../components/BookCard';
 import ImageGallery from '../components/ImageGallery';
 import DeliveryCheck from '../components/DeliveryCheck';
 import OffersSection from '../components/OffersSection';
 import ReviewsSection from '../components/ReviewsSection';
+import ReviewForm from '../components/ReviewForm';
 import { motion, AnimatePresence } from 'framer-motion';
 
 /**
@@ -18,20 +21,20 @@ const BookDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const { addToCart } = useCart();
+  const { user } = useAuth();
   const [quantity, setQuantity] = useState(1);
   const [activeTab, setActiveTab] = useState('description');
   const [isAddedToCart, setIsAddedToCart] = useState(false);
   const [showStickyBar, setShowStickyBar] = useState(false);
+  const [showReviewForm, setShowReviewForm] = useState(false);
 
   // Use the normalized book data from the hook
   const { data: book, isLoading, error } = useBook(id);
 
-  // Fetch related books (same category)
-  const { data: relatedData } = useBooks({
-    category: book?.category,
-    limit: 4
-  });
-  const relatedBooks = relatedData?.books?.filter(b => b._id !== id)?.slice(0, 4) || [];
+  // Co-purchase and content-based recommendations (precomputed nightly)
+  const { data: recommendations } = useBookRecommendations(id);
+  const alsoBought = recommendations?.alsoBought || [];
+  const similarBooks = recommendations?.similar || [];
 
   // Scroll listener for sticky bar
   useEffect(() => {
@@ -45,43 +48,22 @@ const BookDetails = () => {
   // Ensure stock is set for demo
   const bookWithStock = book ? {
     ...book,
-    stock: book.stock > 0 ? book.stock : 10,
-    // Mock multiple images for gallery demo
-    images: book.image ? [book.image] : []
+    // Copies held at other customers' checkouts aren't available
+    stock: book.stock > 0 ? book.availableStock ?? book.stock : 10,
+    // Uploaded images in all sizes, or the hosted cover URL for older books
+    images: book.images?.length ? book.images : book.image ? [book.image] : []
   } : null;
 
-  // Mock reviews for demo
-  const mockReviews = [
-    {
-      _id: '1',
-      user: { name: 'Ramesh Kumar' },
-      rating: 5,
-      comment: 'Excellent book! The content is very informative and well-written. Highly recommended for anyone interested in Odia literature.',
-      createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-      verified: true,
-      helpfulCount: 12
-    },
-    {
-      _id: '2',
-      user: { name: 'Sita Devi' },
-      rating: 4,
-      comment: 'Good quality printing and fast delivery. The book arrived in perfect condition.',
-      createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
-      verified: true,
-      helpfulCount: 8
-    },
-    {
-      _id: '3',
-      user: { name: 'Prakash Mohanty' },
-      rating: 5,
-      comment: 'A must-read for Odia book lovers. The author has done an amazing job.',
-      createdAt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-      verified: false,
-      helpfulCount: 5
-    }
-  ];
+  // Author profiles the book is linked to (populated by the API)
+  const linkedAuthors = (book?.authorIds || []).filter((author) => author?.slug);
+  // Other editions and formats of the same work, and its place in a series
+  const editions = book?.editions || [];
+  const series = book?.series || null;
 
-  const reviews = bookWithStock?.reviews?.length > 0 ? bookWithStock.reviews : mockReviews;
+  const { data: reviewData } = useBookReviews(id, { limit: 50 });
+  const reviews = reviewData?.reviews || [];
+  const userId = user?._id || user?.id;
+  const myReview = userId ? reviews.find(r => (r.user?._id || r.user) === userId) : null;
 
   const handleAddToCart = () => {
     if (bookWithStock && bookWithStock.stock > 0) {
@@ -99,8 +81,11 @@ const BookDetails = () => {
   };
 
   const handleWriteReview = () => {
-    // TODO: Open review modal or navigate to review page
-    alert('Write review feature coming soon!');
+    if (!user) {
+      navigate('/login', { state: { from: `/books/${id}` } });
+      return;
+    }
+    setShowReviewForm(true);
   };
 
   if (isLoading) return <Loader />;
@@ -146,6 +131,7 @@ const BookDetails = () => {
             <div className="lg:col-span-5">
               <div className="lg:sticky lg:top-24">
                 <ImageGallery
+                  key={bookWithStock._id}
                   images={bookWithStock.images}
                   title={bookWithStock.title}
                 />
@@ -198,9 +184,33 @@ const BookDetails = () => {
 
                   {/* Author */}
                   <p className="text-lg text-gray-500 mb-4">
-                    by <span className="text-gray-900 font-medium hover:text-primary cursor-pointer transition-colors">{bookWithStock.author}</span>
+                    by{' '}
+                    {linkedAuthors.length === 1 ? (
+                      <Link to={`/authors/${linkedAuthors[0].slug}`} className="text-gray-900 font-medium hover:text-primary transition-colors">
+                        {bookWithStock.author}
+                      </Link>
+                    ) : linkedAuthors.length > 1 ? (
+                      linkedAuthors.map((author, index) => (
+                        <span key={author._id}>
+                          {index > 0 && ' & '}
+                          <Link to={`/authors/${author.slug}`} className="text-gray-900 font-medium hover:text-primary transition-colors">
+                            {author.name?.display}
+                          </Link>
+                        </span>
+                      ))
+                    ) : (
+                      <span className="text-gray-900 font-medium">{bookWithStock.author}</span>
+                    )}
                   </p>
 
+                  {/* Series */}
+                  {series && (
+                    <p className="text-sm text-gray-500 -mt-2 mb-4">
+                      {series.volume != null ? `Book ${series.volume} of ` : 'Part of '}
+                      <span className="text-gray-900 font-medium">{series.name?.display}</span>
+                    </p>
+                  )}
+
                   {/* Rating */}
                   <div className="flex items-center gap-3 mb-6">
                     <div className="flex items-center gap-1 bg-green-100 text-green-700 px-3 py-1 rounded-lg">
@@ -208,7 +218,7 @@ const BookDetails = () => {
                       <span className="text-yellow-500">★</span>
                     </div>
                     <span className="text-gray-400 text-sm">
-                      {reviews.length} ratings & reviews
+                      {bookWithStock.reviewCount ?? reviews.length} ratings & reviews
                     </span>
                   </div>
 
@@ -225,6 +235,39 @@ const BookDetails = () => {
                     ) : null}
                   </div>
 
+                  {/* Edition & Format Picker */}
+                  {editions.length > 1 && (
+                    <div className="mb-6">
+                      <h3 className="text-sm font-semibold text-gray-700 mb-2">Editions & formats</h3>
+                      <div className="flex flex-wrap gap-2">
+                        {editions.map((edition) => {
+                          const isCurrent = edition._id === bookWithStock._id;
+                          const editionPrice = edition.price?.discounted || edition.price?.original;
+                          const editionName = [edition.edition?.label, edition.edition?.year].filter(Boolean).join(', ');
+                          return (
+                            <Link
+                              key={edition._id}
+                              to={`/books/${edition._id}`}
+                              aria-current={isCurrent ? 'page' : undefined}
+                              className={`px-4 py-2 rounded-xl border-2 text-left transition-colors ${
+                                isCurrent
+                                  ? 'border-primary bg-primary/5'
+                                  : 'border-gray-200 hover:border-primary/50'
+                              }`}
+                            >
+                              <span className="block font-medium text-gray-900">{edition.format}</span>
+                              {editionName && <span className="block text-xs text-gray-500">{editionName}</span>}
+                              <span className="block text-sm text-gray-700">
+                                ₹{editionPrice}
+                                {edition.stock === 0 && <span className="text-red-500 text-xs ml-2">Out of stock</span>}
+                              </span>
+                            </Link>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+
                   {/* Delivery Check */}
                   <div className="mb-6">
                     <DeliveryCheck price={displayPrice} />
@@ -232,7 +275,7 @@ const BookDetails = () => {
 
                   {/* Offers Section */}
                   <div className="mb-6">
-                    <OffersSection price={displayPrice} bookTitle={bookWithStock.title} />
+                    <OffersSection price={displayPrice} bookTitle={bookWithStock.title} sale={bookWithStock.sale} />
                   </div>
 
                   {/* Stock & Quantity */}
@@ -384,6 +427,13 @@ const BookDetails = () => {
                         animate={{ opacity: 1, y: 0 }}
                         exit={{ opacity: 0, y: -10 }}
                       >
+                        {showReviewForm && (
+                          <ReviewForm
+                            bookId={id}
+                            existingReview={myReview}
+                            onClose={() => setShowReviewForm(false)}
+                          />
+                        )}
                         <ReviewsSection
                           reviews={reviews}
                           bookId={id}
@@ -397,13 +447,62 @@ const BookDetails = () => {
             </div>
           </div>
 
-          {/* Related Books Section */}
-          {/* Related Books Section */}
-          {relatedBooks.length > 0 && (
+          {/* Series Navigation */}
+          {series && (series.previous || series.next) && (
+            <div className="mt-12 bg-white rounded-2xl shadow-sm p-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-4">
+                More in {series.name?.display}
+              </h2>
+              <div className="grid sm:grid-cols-2 gap-4">
+                {[
+                  ['Previous in series', series.previous],
+                  ['Next in series', series.next],
+                ].map(([label, volume]) => volume && (
+                  <Link
+                    key={label}
+                    to={`/books/${volume.book._id}`}
+                    className={`flex items-center gap-4 p-4 rounded-xl border border-gray-100 hover:border-primary/50 hover:bg-primary/5 transition-colors ${
+                      label === 'Next in series' ? 'sm:col-start-2' : ''
+                    }`}
+                  >
+                    {volume.book.image && (
+                      <img src={volume.book.image} alt="" className="w-14 h-20 object-cover rounded-lg flex-shrink-0" />
+                    )}
+                    <div>
+                      <span className="text-xs uppercase tracking-wide text-gray-400">
+                        {label}{volume.volume != null && ` · Book ${volume.volume}`}
+                      </span>
+                      <p className="font-medium text-gray-900">{volume.book.title?.display}</p>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Customers Also Bought */}
+          {alsoBought.length > 0 && (
+            <div className="mt-12">
+              <h2 className="text-2xl font-bold text-gray-900 mb-6">Customers Also Bought</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+                {alsoBought.map((relBook) => (
+                  <BookCard
+                    key={relBook._id}
+                    book={relBook}
+                    variant="compact"
+                    showAddToCart={false}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Similar Books */}
+          {similarBooks.length > 0 && (
             <div className="mt-12">
               <h2 className="text-2xl font-bold text-gray-900 mb-6">You May Also Like</h2>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
-                {relatedBooks.map((relBook) => (
+                {similarBooks.map((relBook) => (
                   <BookCard
                     key={relBook._id}
                     book={relBook}
@@ -4,6 +4,59 @@ import BookCard from '../components/BookCard';
 import SkeletonCard from '../components/ui/SkeletonCard';
 import { useBooks, useFilterStats } from '../services/bookService';
 
+/**
+ * Radio list for one facet with "All" on top
+ * Keeps the selected value visible even when the current results no longer
+ * contain it, so it can still be cleared.
+ */
+const FacetRadioGroup = ({ title, name, allLabel, allCount, options, selected, onSelect }) => {
+  const shown = selected && !options.some((option) => option.name === selected)
+    ? [{ name: selected, count: 0 }, ...options]
+    : options;
+
+  if (shown.length === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-sm font-semibold text-gray-900 mb-3">{title}</h4>
+      <div className="space-y-2 max-h-48 overflow-y-auto">
+        <label className="flex items-center justify-between cursor-pointer group">
+          <div className="flex items-center gap-2">
+            <input
+              type="radio"
+              name={name}
+              checked={!selected}
+              onChange={() => onSelect('')}
+              className="rounded-full border-gray-300 text-primary focus:ring-primary"
+            />
+            <span className={`text-sm ${!selected ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
+              {allLabel}
+            </span>
+          </div>
+          {allCount !== null && <span className="text-xs text-gray-400">{allCount}</span>}
+        </label>
+        {shown.map((option) => (
+          <label key={option.name} className="flex items-center justify-between cursor-pointer group">
+            <div className="flex items-center gap-2">
+              <input
+                type="radio"
+                name={name}
+                checked={selected === option.name}
+                onChange={() => onSelect(option.name)}
+                className="rounded-full border-gray-300 text-primary focus:ring-primary"
+              />
+              <span className={`text-sm ${selected === option.name ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
+                {option.name}
+              </span>
+            </div>
+            <span className="text-xs text-gray-400">{option.count}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 const Books = () => {
   const [searchParams, setSearchParams] = useSearchParams();
 
@@ -11,13 +64,18 @@ const Books = () => {
   const filters = {
     category: searchParams.get('category') || '',
     language: searchParams.get('language') || '',
+    author: searchParams.get('author') || '',
+    inStock: searchParams.get('inStock') || '',
+    discounted: searchParams.get('discounted') || '',
     search: searchParams.get('search') || '',
     minPrice: searchParams.get('minPrice') || '',
     maxPrice: searchParams.get('maxPrice') || '',
-    sortBy: searchParams.get('sortBy') || 'createdAt',
+    // Searches are ranked by relevance unless a sort was picked
+    sortBy: searchParams.get('sortBy') || (searchParams.get('search') ? 'relevance' : 'createdAt'),
     sortOrder: searchParams.get('sortOrder') || 'desc',
     page: parseInt(searchParams.get('page') || '1', 10),
     limit: 12,
+    facets: true,
   };
 
   // Fetch data using React Query hooks
@@ -26,9 +84,20 @@ const Books = () => {
 
   const books = data?.books || [];
   const pagination = data?.pagination || { page: 1, pages: 1, total: 0 };
+  // Counts for the current search and filters; each facet ignores its own filter
+  const facets = data?.facets;
 
-  // Dynamic price ranges based on actual data
+  // Price buckets with books in them, or ranges spread over the catalogue
   const priceRanges = useMemo(() => {
+    if (facets?.price) {
+      return facets.price.map(({ min, max, count }) => {
+        let label = `₹${min} - ₹${max}`;
+        if (!min) label = `Under ₹${max}`;
+        else if (max === null) label = `Over ₹${min}`;
+        return { label, min: min ? String(min) : '', max: max === null ? '' : String(max), count };
+      });
+    }
+
     if (!filterStats?.priceRange) {
       return [
         { label: 'Under ₹200', min: '', max: '200' },
@@ -53,11 +122,17 @@ const Books = () => {
       { label: `₹${r2} - ₹${r3}`, min: String(r2), max: String(r3) },
       { label: `Over ₹${r3}`, min: String(r3), max: '' },
     ];
-  }, [filterStats?.priceRange]);
+  }, [facets?.price, filterStats?.priceRange]);
 
-  // Get categories with counts from filter stats
-  const categoriesWithCounts = filterStats?.categories || [];
-  const languagesWithCounts = filterStats?.languages || [];
+  // Facet counts, or catalogue-wide counts until the first listing arrives
+  const categoriesWithCounts = facets?.category || filterStats?.categories || [];
+  const languagesWithCounts = facets?.language || filterStats?.languages || [];
+  const authorsWithCounts = facets?.author || [];
+  // "All" count for a facet: the results without that facet's filter.
+  // Only exact for facets that list every value (not authors).
+  const countWithout = (options, selected) => (selected
+    ? options.reduce((sum, option) => sum + option.count, 0)
+    : pagination.total);
 
   // Update URL params
   const updateFilter = (key, value) => {
@@ -100,6 +175,7 @@ const Books = () => {
 
   // Sort options
   const sortOptions = [
+    ...(filters.search ? [{ label: 'Best Match', sortBy: 'relevance', sortOrder: 'desc' }] : []),
     { label: 'Newest First', sortBy: 'createdAt', sortOrder: 'desc' },
     { label: 'Oldest First', sortBy: 'createdAt', sortOrder: 'asc' },
     { label: 'Price: Low to High', sortBy: 'price', sortOrder: 'asc' },
@@ -116,7 +192,14 @@ const Books = () => {
     setSearchParams(newParams);
   };
 
-  const hasActiveFilters = filters.category || filters.language || filters.minPrice || filters.maxPrice;
+  const hasActiveFilters = filters.category || filters.language || filters.author
+    || filters.inStock || filters.discounted || filters.minPrice || filters.maxPrice;
+
+  // Toggles with no matching books are dead ends, so only show them when active
+  const availabilityOptions = [
+    { key: 'inStock', label: 'In stock', count: facets?.inStock },
+    { key: 'discounted', label: 'On sale', count: facets?.discounted },
+  ].filter((option) => filters[option.key] || option.count > 0);
 
   return (
     <div className="min-h-screen bg-gray-50 py-8">
@@ -158,82 +241,62 @@ const Books = () => {
               </div>
 
               {/* Category Filter with Counts */}
-              <div className="mb-6">
-                <h4 className="text-sm font-semibold text-gray-900 mb-3">Categories</h4>
-                <div className="space-y-2 max-h-48 overflow-y-auto">
-                  <label className="flex items-center justify-between cursor-pointer group">
-                    <div className="flex items-center gap-2">
-                      <input
-                        type="radio"
-                        name="category"
-                        checked={!filters.category}
-                        onChange={() => updateFilter('category', '')}
-                        className="rounded-full border-gray-300 text-primary focus:ring-primary"
-                      />
-                      <span className={`text-sm ${!filters.category ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
-                        All Categories
-                      </span>
-                    </div>
-                    <span className="text-xs text-gray-400">{filterStats?.totalBooks || 0}</span>
-                  </label>
-                  {categoriesWithCounts.map((cat) => (
-                    <label key={cat.name} className="flex items-center justify-between cursor-pointer group">
-                      <div className="flex items-center gap-2">
-                        <input
-                          type="radio"
-                          name="category"
-                          checked={filters.category === cat.name}
-                          onChange={() => updateFilter('category', cat.name)}
-                          className="rounded-full border-gray-300 text-primary focus:ring-primary"
-                        />
-                        <span className={`text-sm ${filters.category === cat.name ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
-                          {cat.name}
-                        </span>
-                      </div>
-                      <span className="text-xs text-gray-400">{cat.count}</span>
-                    </label>
-                  ))}
-                </div>
-              </div>
+              <FacetRadioGroup
+                title="Categories"
+                name="category"
+                allLabel="All Categories"
+                allCount={facets ? countWithout(categoriesWithCounts, filters.category) : filterStats?.totalBooks || 0}
+                options={categoriesWithCounts}
+                selected={filters.category}
+                onSelect={(value) => updateFilter('category', value)}
+              />
 
               {/* Language Filter with Counts */}
-              <div className="mb-6">
-                <h4 className="text-sm font-semibold text-gray-900 mb-3">Language</h4>
-                <div className="space-y-2">
-                  <label className="flex items-center justify-between cursor-pointer group">
-                    <div className="flex items-center gap-2">
-                      <input
-                        type="radio"
-                        name="language"
-                        checked={!filters.language}
-                        onChange={() => updateFilter('language', '')}
-                        className="rounded-full border-gray-300 text-primary focus:ring-primary"
-                      />
-                      <span className={`text-sm ${!filters.language ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
-                        All Languages
-                      </span>
-                    </div>
-                    <span className="text-xs text-gray-400">{filterStats?.totalBooks || 0}</span>
-                  </label>
-                  {languagesWithCounts.map((lang) => (
-                    <label key={lang.name} className="flex items-center justify-between cursor-pointer group">
-                      <div className="flex items-center gap-2">
-                        <input
-                          type="radio"
-                          name="language"
-                          checked={filters.language === lang.name}
-                          onChange={() => updateFilter('language', lang.name)}
-                          className="rounded-full border-gray-300 text-primary focus:ring-primary"
-                        />
-                        <span className={`text-sm ${filters.language === lang.name ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
-                          {lang.name}
-                        </span>
-                      </div>
-                      <span className="text-xs text-gray-400">{lang.count}</span>
-                    </label>
-                  ))}
+              <FacetRadioGroup
+                title="Language"
+                name="language"
+                allLabel="All Languages"
+                allCount={facets ? countWithout(languagesWithCounts, filters.language) : filterStats?.totalBooks || 0}
+                options={languagesWithCounts}
+                selected={filters.language}
+                onSelect={(value) => updateFilter('language', value)}
+              />
+
+              {/* Author Filter (most common authors in the results) */}
+              <FacetRadioGroup
+                title="Author"
+                name="author"
+                allLabel="All Authors"
+                allCount={filters.author ? null : pagination.total}
+                options={authorsWithCounts}
+                selected={filters.author}
+                onSelect={(value) => updateFilter('author', value)}
+              />
+
+              {/* Availability */}
+              {availabilityOptions.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="text-sm font-semibold text-gray-900 mb-3">Availability</h4>
+                  <div className="space-y-2">
+                    {availabilityOptions.map((option) => (
+                      <label key={option.key} className="flex items-center justify-between cursor-pointer group">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={!!filters[option.key]}
+                            onChange={() => updateFilter(option.key, filters[option.key] ? '' : 'true')}
+                            className="rounded border-gray-300 text-primary focus:ring-primary"
+                          />
+                          <span className={`text-sm ${filters[option.key] ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
+                            {option.label}
+                          </span>
+                        </div>
+                        <span className="text-xs text-gray-400">{option.count ?? ''}</span>
+                      </label>
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
 
               {/* Dynamic Price Range Filter */}
               <div className="mb-6">
@@ -247,16 +310,21 @@ const Books = () => {
                 </h4>
                 <div className="space-y-2">
                   {priceRanges.map((range) => (
-                    <label key={range.label} className="flex items-center gap-2 cursor-pointer group">
-                      <input
-                        type="checkbox"
-                        checked={range.min === filters.minPrice && range.max === filters.maxPrice}
-                        onChange={() => handlePriceRange(range)}
-                        className="rounded border-gray-300 text-primary focus:ring-primary"
-                      />
-                      <span className={`text-sm ${currentPriceRange?.label === range.label ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
-                        {range.label}
-                      </span>
+                    <label key={range.label} className="flex items-center justify-between cursor-pointer group">
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={range.min === filters.minPrice && range.max === filters.maxPrice}
+                          onChange={() => handlePriceRange(range)}
+                          className="rounded border-gray-300 text-primary focus:ring-primary"
+                        />
+                        <span className={`text-sm ${currentPriceRange?.label === range.label ? 'text-primary font-medium' : 'text-gray-600 group-hover:text-gray-900'}`}>
+                          {range.label}
+                        </span>
+                      </div>
+                      {range.count !== undefined && (
+                        <span className="text-xs text-gray-400">{range.count}</span>
+                      )}
                     </label>
                   ))}
                 </div>
@@ -1,9 +1,25 @@
+import { useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { useCart } from '../context/CartContext';
+import { useShippingSettings } from '../services/shippingService';
 
 const Cart = () => {
-  const { cartItems, removeFromCart, updateQuantity, getTotalPrice, getItemCount, clearCart } = useCart();
+  const { cartItems, removeFromCart, updateQuantity, getTotalPrice, getItemCount, clearCart, refreshCart } = useCart();
+  const { freeShippingThreshold, defaultRate } = useShippingSettings();
+
+  // Re-check prices and stock with the server each time the cart is opened
+  useEffect(() => {
+    refreshCart();
+  }, [refreshCart]);
+
+  // Notes for problems the server found with a line (logged-in carts only)
+  const getIssueText = (item) => {
+    if (item.issues?.includes('out_of_stock')) return 'Out of stock';
+    if (item.issues?.includes('insufficient_stock')) return `Only ${item.stock} left in stock`;
+    if (item.issues?.includes('price_changed')) return `Price changed from ₹${item.previousPrice}`;
+    return null;
+  };
 
   const handleRemove = (item) => {
     removeFromCart(item._id);
@@ -17,7 +33,8 @@ const Cart = () => {
 
   // Calculate totals
   const subtotal = getTotalPrice;
-  const shipping = subtotal >= 500 ? 0 : 40; // Free shipping over ₹500
+  // Estimate only - the exact charge depends on the delivery pincode (shown at checkout)
+  const shipping = subtotal >= freeShippingThreshold ? 0 : defaultRate ?? 50;
   const tax = Math.round(subtotal * 0.05);
   const total = subtotal + shipping + tax;
 
@@ -106,6 +123,9 @@ const Cart = () => {
                               {item.category}
                             </span>
                           )}
+                          {getIssueText(item) && (
+                            <p className="text-xs font-medium text-amber-600 mt-1">{getIssueText(item)}</p>
+                          )}
                         </div>
                       </div>
 
@@ -133,6 +153,7 @@ const Cart = () => {
                           <button
                             onClick={() => updateQuantity(item._id, item.quantity + 1)}
                             className="w-9 h-9 flex items-center justify-center text-gray-600 hover:bg-gray-100 transition-colors"
+                            disabled={item.stock != null && item.quantity >= item.stock}
                           >
                             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
@@ -197,7 +218,7 @@ const Cart = () => {
                 </div>
                 {shipping > 0 && (
                   <p className="text-xs text-gray-500">
-                    Add ₹{500 - subtotal} more for free shipping!
+                    Add ₹{freeShippingThreshold - subtotal} more for free shipping!
                   </p>
                 )}
                 <div className="flex justify-between text-gray-600">
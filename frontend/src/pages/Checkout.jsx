@@ -1,9 +1,13 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useCart } from '../context/CartContext';
 import { useAuth } from '../hooks/useAuth';
 import toast from 'react-hot-toast';
+import { couponService } from '../services/couponService';
+import { shippingService, useShippingSettings } from '../services/shippingService';
+import { orderService } from '../services/orderService';
+import { paymentService } from '../services/paymentService';
 
 // Checkout Components
 import CheckoutStepper from '../components/checkout/CheckoutStepper';
@@ -22,6 +26,7 @@ const Checkout = () => {
   const navigate = useNavigate();
   const { cartItems, getTotalPrice, clearCart } = useCart();
   const { user } = useAuth();
+  const { freeShippingThreshold, defaultRate } = useShippingSettings();
 
   // Current step (1-4)
   const [currentStep, setCurrentStep] = useState(user ? 2 : 1);
@@ -32,9 +37,17 @@ const Checkout = () => {
   const [paymentMethod, setPaymentMethod] = useState('');
   const [isLoading, setIsLoading] = useState(false);
 
-  // Coupon
-  const [couponCode, setCouponCode] = useState('');
-  const [discount, setDiscount] = useState(0);
+  // Order created on the first "Place Order"; a failed online payment is retried against it
+  const [placedOrder, setPlacedOrder] = useState(null);
+
+  // Stock held for this checkout so nobody else buys it meanwhile; the order takes it over
+  const [reservation, setReservation] = useState(null);
+  const checkoutIdRef = useRef(null);
+
+  // Coupon (validated by the server; createOrder re-checks it)
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState('');
+  const [isApplyingCoupon, setIsApplyingCoupon] = useState(false);
 
   // Step definitions
   const steps = [
@@ -44,12 +57,118 @@ const Checkout = () => {
     { id: 4, label: 'Review', subtitle: 'Confirm order' },
   ];
 
+  // Shipping quote for the selected address (the server charges the same when the order is placed)
+  const [shippingQuote, setShippingQuote] = useState(null);
+
+  const orderItems = cartItems.map((item) => ({
+    bookId: item._id || item.id,
+    quantity: item.quantity,
+  }));
+  const cartKey = orderItems.map((item) => `${item.bookId}:${item.quantity}`).join(',');
+
   // Calculate totals
   const subtotal = getTotalPrice;
-  const shippingCost = subtotal >= 500 ? 0 : 40;
-  const codCharge = paymentMethod === 'cod' && subtotal < 500 ? 40 : 0;
+  const isServiceable = shippingQuote?.serviceable !== false;
+  const shippingCost = shippingQuote?.serviceable
+    ? shippingQuote.shippingCost
+    : subtotal >= freeShippingThreshold ? 0 : defaultRate ?? 50;
+  const codAvailable = shippingQuote?.cod?.available ?? true;
+  const codCharge = paymentMethod === 'cod' ? shippingQuote?.cod?.charge || 0 : 0;
+  const discount = appliedCoupon?.totalDiscount || 0;
   const total = subtotal - discount + shippingCost + codCharge;
 
+  // Ask the server what a code is worth for the current cart
+  const handleApplyCoupon = async (code) => {
+    setIsApplyingCoupon(true);
+    setCouponError('');
+
+    try {
+      const items = cartItems.map((item) => ({
+        bookId: item._id || item.id,
+        quantity: item.quantity,
+      }));
+      const { data } = await couponService.validateCoupon(code, items, {
+        pincode: shippingAddress?.zipCode,
+        customerPhone: shippingAddress?.phone,
+      });
+      setAppliedCoupon(data.data);
+      return true;
+    } catch (error) {
+      setAppliedCoupon(null);
+      setCouponError(error.response?.data?.message || 'Could not apply coupon');
+      return false;
+    } finally {
+      setIsApplyingCoupon(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponError('');
+  };
+
+  // The discount depends on the cart and delivery pincode, so re-check the code when they change
+  useEffect(() => {
+    if (!appliedCoupon) return;
+    handleApplyCoupon(appliedCoupon.code).then((ok) => {
+      if (!ok) toast.error('Your coupon no longer applies to this cart');
+    });
+  }, [subtotal, shippingAddress?.zipCode]); // Only when the cart total or pincode changes
+
+  // Re-quote shipping whenever the delivery pincode or cart total changes
+  useEffect(() => {
+    const pincode = shippingAddress?.zipCode;
+    if (!pincode) {
+      setShippingQuote(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    shippingService
+      .checkPincode(pincode, subtotal)
+      .then((result) => {
+        if (!cancelled) setShippingQuote(result);
+      })
+      .catch(() => {
+        if (!cancelled) setShippingQuote(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [shippingAddress?.zipCode, subtotal]);
+
+  // Drop COD if the new address doesn't support it
+  useEffect(() => {
+    if (!codAvailable && paymentMethod === 'cod') {
+      setPaymentMethod('');
+    }
+  }, [codAvailable, paymentMethod]);
+
+  // Hold (or renew the hold on) the cart's stock; the server keeps it for a few minutes
+  const reserveCart = async () => {
+    const { data } = await orderService.reserveStock(orderItems, checkoutIdRef.current || undefined);
+    checkoutIdRef.current = data.data.checkoutId;
+    setReservation(data.data);
+    return data.data;
+  };
+
+  // Hold the stock as soon as checkout starts, and again whenever the cart changes
+  useEffect(() => {
+    if (cartItems.length === 0) return;
+    reserveCart().catch((error) => {
+      setReservation(null);
+      toast.error(error.response?.data?.message || 'Some books in your cart are no longer available');
+    });
+  }, [cartKey]); // Only when the books or quantities change
+
+  // Leaving without ordering frees the stock for others straight away
+  useEffect(() => () => {
+    if (checkoutIdRef.current) {
+      orderService.releaseStock(checkoutIdRef.current).catch(() => {});
+    }
+  }, []);
+
   // Track if we've done the initial cart check
   const [hasCheckedCart, setHasCheckedCart] = useState(false);
 
@@ -110,6 +229,10 @@ const Checkout = () => {
 
   // Handle Address Step Continue
   const handleAddressContinue = () => {
+    if (!isServiceable) {
+      toast.error(`Sorry, we don't deliver to ${shippingAddress?.zipCode} yet`);
+      return;
+    }
     if (shippingAddress) {
       setCurrentStep(3);
       toast.success('Address saved!', { icon: '📍' });
@@ -124,29 +247,74 @@ const Checkout = () => {
     }
   };
 
-  // Handle Place Order
+  // Placed orders can't change, so a new address/method/coupon needs a fresh order
+  useEffect(() => {
+    setPlacedOrder(null);
+  }, [shippingAddress, paymentMethod, appliedCoupon?.code]);
+
+  const finishCheckout = (order, paymentStatus) => {
+    clearCart();
+    navigate('/order-success', { state: { orderId: order._id, paymentStatus } });
+  };
+
+  // Handle Place Order: create the order, then (for online methods) pay and wait for the gateway
   const handlePlaceOrder = async () => {
     setIsLoading(true);
 
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      let order = placedOrder;
+
+      if (!order) {
+        // Renew the hold first: it may have run out while the customer filled in the form
+        const { checkoutId } = await reserveCart();
+
+        const { fullName, phone, street, landmark, city, state, zipCode } = shippingAddress;
+        const { data } = await orderService.createOrder({
+          customerName: fullName,
+          customerPhone: phone,
+          customerAddress: [street, landmark, city, state, zipCode].filter(Boolean).join(', '),
+          pincode: zipCode,
+          items: orderItems,
+          couponCode: appliedCoupon?.code,
+          paymentMethod,
+          checkoutId,
+        });
+        order = data.data;
+        checkoutIdRef.current = null;
+        setPlacedOrder(order);
+      }
 
-      // In real implementation, this would:
-      // 1. Create order in backend
-      // 2. If online payment, initiate Razorpay
-      // 3. On success, clear cart and redirect
+      if (paymentMethod === 'cod') {
+        toast.success('Order placed successfully! 🎉', {
+          duration: 5000,
+          style: { borderRadius: '12px', background: '#333', color: '#fff' }
+        });
+        finishCheckout(order, 'cod');
+        return;
+      }
 
-      toast.success('Order placed successfully! 🎉', {
-        duration: 5000,
-        style: { borderRadius: '12px', background: '#333', color: '#fff' }
+      const customerPhone = shippingAddress.phone;
+      const { payment } = await paymentService.createIntent(order._id, paymentMethod, {
+        customerPhone,
       });
+      const result = await paymentService.waitForPayment(payment._id, { customerPhone });
 
-      clearCart();
-      navigate('/order-success');
+      if (result.status === 'failed') {
+        toast.error(result.failureReason || 'Payment failed. Please try again.');
+        return;
+      }
 
+      if (result.status === 'succeeded') {
+        toast.success('Payment received! 🎉', {
+          duration: 5000,
+          style: { borderRadius: '12px', background: '#333', color: '#fff' }
+        });
+      } else {
+        toast('Payment is still processing. We\'ll confirm your order shortly.', { icon: '⏳' });
+      }
+      finishCheckout(order, result.status);
     } catch (error) {
-      toast.error('Failed to place order. Please try again.');
+      toast.error(error.response?.data?.message || 'Failed to place order. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -193,6 +361,13 @@ const Checkout = () => {
           onStepClick={goToStep}
         />
 
+        {reservation && !placedOrder && (
+          <p className="mb-6 text-center text-sm text-gray-600">
+            Your books are held for you until{' '}
+            {new Date(reservation.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+          </p>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           {/* Main Content */}
           <div className="lg:col-span-2">
@@ -316,7 +491,8 @@ const Checkout = () => {
                     selectedMethod={paymentMethod}
                     onMethodSelect={setPaymentMethod}
                     onContinue={handlePaymentContinue}
-                    orderTotal={subtotal}
+                    codAvailable={codAvailable}
+                    codCharge={shippingQuote?.cod?.charge || 0}
                   />
                 </motion.div>
               )}
@@ -365,6 +541,12 @@ const Checkout = () => {
                 shippingCost={shippingCost}
                 discount={discount}
                 codCharge={codCharge}
+                freeShippingThreshold={freeShippingThreshold}
+                appliedCoupon={appliedCoupon}
+                couponError={couponError}
+                isApplyingCoupon={isApplyingCoupon}
+                onApplyCoupon={handleApplyCoupon}
+                onRemoveCoupon={handleRemoveCoupon}
               />
 
               {/* Offers */}
@@ -374,7 +556,7 @@ const Checkout = () => {
                 </h3>
                 <ul className="text-sm text-green-700 space-y-1">
                   <li>• 10% off on first order</li>
-                  <li>• Free shipping on orders above ₹500</li>
+                  <li>• Free shipping on orders above ₹{freeShippingThreshold}</li>
                   <li>• Extra 5% off with UPI payment</li>
                 </ul>
               </div>
@@ -12,6 +12,8 @@ import AuthorSpotlight from '../components/AuthorSpotlight';
 import ReadingLists from '../components/ReadingLists';
 import TestimonialsSlider from '../components/TestimonialsSlider';
 import { useBooks } from '../services/bookService';
+import { useRecommendations } from '../services/aiService';
+import { useAuth } from '../context/AuthContext';
 
 const Home = () => {
   // Fetch new arrivals (latest books - dynamic limit based on inventory)
@@ -26,7 +28,12 @@ const Home = () => {
     limit: 4,
   });
 
+  // Personalised picks when logged in, popular books for guests
+  const { user } = useAuth();
+  const { data: recommendedData, isLoading: loadingRecommended } = useRecommendations(user?._id || user?.id);
+
   const newArrivals = newArrivalsData?.books || [];
+  const recommendedBooks = recommendedData?.books || [];
   const featuredBooks = featuredData?.books || [];
 
   return (
@@ -43,6 +50,34 @@ const Home = () => {
       {/* Bestsellers Carousel */}
       <BestsellersCarousel />
 
+      {/* Recommended For You */}
+      {(loadingRecommended || recommendedBooks.length > 0) && (
+        <section className="py-12 bg-white border-t border-gray-100">
+          <div className="container-custom">
+            <div className="mb-8">
+              <h2 className="text-2xl md:text-3xl font-serif font-bold text-secondary">
+                {recommendedData?.personalised ? '🎯 Recommended for You' : '🔥 Popular Right Now'}
+              </h2>
+              <p className="text-gray-500 mt-1">
+                {recommendedData?.personalised
+                  ? 'Based on your orders and wishlist'
+                  : 'What other readers are buying'}
+              </p>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+              {loadingRecommended ? (
+                Array(4).fill(0).map((_, i) => <SkeletonCard key={i} />)
+              ) : (
+                recommendedBooks.map((book) => (
+                  <BookCard key={book._id} book={book} />
+                ))
+              )}
+            </div>
+          </div>
+        </section>
+      )}
+
       {/* Browse by Category */}
       <CategoryGrid />
 
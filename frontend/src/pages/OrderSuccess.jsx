@@ -1,4 +1,4 @@
-import { Link } from 'react-router-dom';
+import { Link, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 
 /**
@@ -6,8 +6,12 @@ import { motion } from 'framer-motion';
  * Shown after successful order placement
  */
 const OrderSuccess = () => {
-    // Generate a random order ID for demo
-    const orderId = `OBS${Date.now().toString().slice(-8)}`;
+    // Passed by Checkout; paymentStatus is 'processing' if the gateway hasn't confirmed yet
+    const { state } = useLocation();
+    const orderId = state?.orderId
+        ? `OBS${state.orderId.slice(-8).toUpperCase()}`
+        : `OBS${Date.now().toString().slice(-8)}`;
+    const isPaymentProcessing = state?.paymentStatus === 'processing';
 
     // Estimated delivery (4 days from now)
     const deliveryDate = new Date();
@@ -61,7 +65,9 @@ const OrderSuccess = () => {
                             Order Placed! 🎉
                         </h1>
                         <p className="text-gray-600 mb-6">
-                            Thank you for your purchase. Your order has been confirmed.
+                            {isPaymentProcessing
+                                ? 'Thank you for your purchase. We\'ll confirm your order as soon as your payment goes through.'
+                                : 'Thank you for your purchase. Your order has been confirmed.'}
                         </p>
 
                         {/* Order ID */}
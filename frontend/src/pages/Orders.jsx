@@ -2,11 +2,31 @@ import { useEffect, useState } from 'react';
 import { useAuth } from '../hooks/useAuth';
 import { orderService } from '../services/orderService';
 import Loader from '../components/Loader';
+import toast from 'react-hot-toast';
+
+// Customers can cancel only before the order is packed
+const CANCELLABLE_STATUSES = ['Pending', 'Confirmed'];
 
 const Orders = () => {
   const { user } = useAuth();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [cancellingId, setCancellingId] = useState(null);
+
+  const handleCancel = async (orderId) => {
+    if (!window.confirm('Cancel this order? Items will be released back to stock.')) return;
+
+    setCancellingId(orderId);
+    try {
+      const response = await orderService.cancelOrder(orderId);
+      setOrders((prev) => prev.map((o) => (o._id === orderId ? response.data.data : o)));
+      toast.success('Order cancelled');
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Could not cancel order');
+    } finally {
+      setCancellingId(null);
+    }
+  };
 
   useEffect(() => {
     const fetchOrders = async () => {
@@ -51,7 +71,10 @@ const Orders = () => {
                     </p>
                   </div>
                   <div className="text-right">
-                    <p className="text-lg font-semibold text-orange-600">₹{order.totalPrice}</p>
+                    <p className="text-lg font-semibold text-orange-600">₹{order.totalPrice ?? order.totalAmount}</p>
+                    <p className={`text-sm font-semibold ${order.status === 'Cancelled' ? 'text-red-600' : 'text-orange-800'}`}>
+                      {order.status}
+                    </p>
                     <p className="text-sm text-orange-600">
                       {order.isPaid ? (
                         <span className="text-green-600 font-semibold">✓ Paid</span>
@@ -64,13 +87,45 @@ const Orders = () => {
                 <div className="border-t border-orange-200 pt-4">
                   <h3 className="font-semibold text-orange-900 mb-2">Items:</h3>
                   <ul className="space-y-2">
-                    {order.orderItems.map((item, index) => (
+                    {(order.orderItems || order.items || []).map((item, index) => (
                       <li key={index} className="text-sm text-orange-800">
-                        {item.book?.title || 'Book'} - Quantity: {item.quantity} - ₹{item.price}
+                        {item.book?.title || item.title || 'Book'} - Quantity: {item.quantity} - ₹{item.price}
                       </li>
                     ))}
                   </ul>
                 </div>
+                {order.statusHistory?.length > 0 && (
+                  <div className="border-t border-orange-200 pt-4 mt-4">
+                    <h3 className="font-semibold text-orange-900 mb-3">Timeline:</h3>
+                    <ol className="relative border-l-2 border-orange-200 ml-2 space-y-3">
+                      {order.statusHistory.map((event, index) => (
+                        <li key={event._id || index} className="ml-4">
+                          <span
+                            className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full ${
+                              event.status === 'Cancelled' ? 'bg-red-500' : 'bg-orange-500'
+                            }`}
+                          />
+                          <p className="text-sm font-semibold text-orange-900">{event.status}</p>
+                          <p className="text-xs text-orange-600">
+                            {new Date(event.changedAt).toLocaleString('en-IN')}
+                            {event.note && ` · ${event.note}`}
+                          </p>
+                        </li>
+                      ))}
+                    </ol>
+                  </div>
+                )}
+                {CANCELLABLE_STATUSES.includes(order.status) && (
+                  <div className="border-t border-orange-200 pt-4 mt-4 flex justify-end">
+                    <button
+                      onClick={() => handleCancel(order._id)}
+                      disabled={cancellingId === order._id}
+                      className="px-4 py-2 text-sm font-semibold text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-60"
+                    >
+                      {cancellingId === order._id ? 'Cancelling...' : 'Cancel Order'}
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
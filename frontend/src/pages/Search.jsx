@@ -0,0 +1,188 @@
+import { useSearchParams, Link } from 'react-router-dom';
+import BookCard from '../components/BookCard';
+import SkeletonCard from '../components/ui/SkeletonCard';
+import { useAiSearch } from '../services/aiService';
+
+const PAGE_SIZE = 12;
+
+const CHIP_ICONS = {
+  language: '🌐',
+  academicGrade: '🎓',
+  price: '₹',
+  author: '✍️',
+  category: '📚',
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const query = searchParams.get('q') || '';
+  const ignore = (searchParams.get('ignore') || '').split(',').filter(Boolean);
+  const page = parseInt(searchParams.get('page') || '1', 10);
+
+  const { data, isLoading, isFetching, isError, error } = useAiSearch({
+    query,
+    ignore,
+    page,
+    limit: PAGE_SIZE,
+  });
+
+  const books = data?.books || [];
+  const chips = data?.chips || [];
+  const total = data?.total || 0;
+  const pages = data?.pages || 0;
+  const relaxedChips = chips.filter((chip) => !chip.applied);
+
+  const updateParams = (changes) => {
+    const newParams = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) newParams.set(key, value);
+      else newParams.delete(key);
+    });
+    setSearchParams(newParams);
+  };
+
+  // Removing a chip searches again without that filter
+  const removeChip = (type) => {
+    updateParams({ ignore: [...ignore, type].join(','), page: '' });
+  };
+
+  const resetChips = () => {
+    updateParams({ ignore: '', page: '' });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container-custom">
+
+        {/* Breadcrumbs & Header */}
+        <div className="mb-6">
+          <div className="text-sm text-gray-500 mb-2 flex items-center gap-2">
+            <Link to="/" className="hover:text-primary">Home</Link>
+            <span>/</span>
+            <span className="text-gray-900">Search</span>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">
+            {query ? `Results for "${query}"` : 'Search'}
+          </h1>
+          {query && (
+            <p className="text-gray-500 mt-1">
+              {isLoading ? 'Searching...' : `${total} ${total === 1 ? 'book' : 'books'} found`}
+            </p>
+          )}
+        </div>
+
+        {/* Understood Filters */}
+        {(chips.length > 0 || ignore.length > 0) && (
+          <div className="bg-white rounded-xl border border-gray-200 p-4 mb-6">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-500 mr-1">Showing:</span>
+              {chips.map((chip) => (
+                <span
+                  key={chip.type}
+                  title={chip.applied ? `From "${chip.match}"` : 'No exact matches with this filter'}
+                  className={`inline-flex items-center gap-1.5 pl-3 pr-1 py-1 rounded-full text-sm border ${chip.applied
+                      ? 'bg-primary/10 border-primary/30 text-primary'
+                      : 'bg-gray-50 border-gray-200 text-gray-400 line-through'
+                    }`}
+                >
+                  <span aria-hidden="true">{CHIP_ICONS[chip.type]}</span>
+                  {chip.label}
+                  <button
+                    onClick={() => removeChip(chip.type)}
+                    className="w-5 h-5 rounded-full flex items-center justify-center hover:bg-black/10"
+                    aria-label={`Remove ${chip.label}`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+              {ignore.length > 0 && (
+                <button
+                  onClick={resetChips}
+                  className="text-xs text-primary hover:text-primary/80 font-medium ml-2"
+                >
+                  Restore all filters
+                </button>
+              )}
+            </div>
+            {relaxedChips.length > 0 && (
+              <p className="text-xs text-gray-500 mt-3">
+                No exact matches for {relaxedChips.map((chip) => chip.label).join(', ')}, so we
+                widened the search.
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Error State */}
+        {isError && (
+          <div className="text-center py-20 bg-white rounded-xl border border-red-200">
+            <div className="text-4xl mb-4">⚠️</div>
+            <h3 className="text-lg font-bold text-gray-900 mb-2">Search failed</h3>
+            <p className="text-gray-500 mb-6">{error?.message || 'Something went wrong. Please try again.'}</p>
+          </div>
+        )}
+
+        {/* Loading State with Skeletons */}
+        {isLoading && (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+            {Array(8).fill(0).map((_, i) => (
+              <SkeletonCard key={i} />
+            ))}
+          </div>
+        )}
+
+        {/* Book Grid */}
+        {!isLoading && !isError && books.length > 0 && (
+          <div className={isFetching ? 'opacity-60 transition-opacity' : ''}>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+              {books.map((book) => (
+                <BookCard key={book._id} book={book} />
+              ))}
+            </div>
+
+            {/* Pagination */}
+            {pages > 1 && (
+              <div className="flex justify-center items-center gap-4 mt-8">
+                <button
+                  onClick={() => updateParams({ page: String(page - 1) })}
+                  disabled={page <= 1}
+                  className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+                <span className="text-sm text-gray-500">Page {page} of {pages}</span>
+                <button
+                  onClick={() => updateParams({ page: String(page + 1) })}
+                  disabled={page >= pages}
+                  className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Empty State */}
+        {!isLoading && !isError && books.length === 0 && (
+          <div className="text-center py-20 bg-white rounded-xl border border-dashed border-gray-300">
+            <div className="text-4xl mb-4">🔍</div>
+            <h3 className="text-lg font-bold text-gray-900 mb-2">
+              {query ? 'No books found' : 'What are you looking for?'}
+            </h3>
+            <p className="text-gray-500 mb-6">
+              Try something like &quot;class 10 odia grammar under 200&quot; or remove a filter above.
+            </p>
+            <Link to="/books" className="btn-primary inline-block">
+              Browse All Books
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Search;
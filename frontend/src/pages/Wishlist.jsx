@@ -1,22 +1,20 @@
-import { useState, useEffect } from 'react';
+import { useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { useCart } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
 
 const Wishlist = () => {
-    const [wishlistItems, setWishlistItems] = useState([]);
+    const { wishlistItems, removeFromWishlist, clearWishlist, refreshWishlist } = useWishlist();
     const { addToCart } = useCart();
 
-    // Load wishlist from localStorage
+    // Pick up price and stock changes since the list was last loaded
     useEffect(() => {
-        const savedWishlist = JSON.parse(localStorage.getItem('wishlist') || '[]');
-        setWishlistItems(savedWishlist);
-    }, []);
+        refreshWishlist();
+    }, [refreshWishlist]);
 
-    const removeFromWishlist = (bookId) => {
-        const newWishlist = wishlistItems.filter((item) => item._id !== bookId);
-        localStorage.setItem('wishlist', JSON.stringify(newWishlist));
-        setWishlistItems(newWishlist);
+    const handleRemove = (bookId) => {
+        removeFromWishlist(bookId);
         toast.success('Removed from wishlist');
     };
 
@@ -26,9 +24,8 @@ const Wishlist = () => {
         toast.success(`"${item.title}" moved to cart!`);
     };
 
-    const clearWishlist = () => {
-        localStorage.setItem('wishlist', JSON.stringify([]));
-        setWishlistItems([]);
+    const handleClear = () => {
+        clearWishlist();
         toast.success('Wishlist cleared');
     };
 
@@ -63,7 +60,7 @@ const Wishlist = () => {
                         <p className="text-gray-500 mt-1">{wishlistItems.length} item{wishlistItems.length !== 1 ? 's' : ''} saved</p>
                     </div>
                     <button
-                        onClick={clearWishlist}
+                        onClick={handleClear}
                         className="text-sm text-red-600 hover:text-red-700 font-medium"
                     >
                         Clear All
@@ -101,7 +98,22 @@ const Wishlist = () => {
                                         </h3>
                                     </Link>
                                     <p className="text-sm text-gray-500 mt-1">{item.author}</p>
-                                    <p className="text-xl font-bold text-primary mt-2">₹{item.price}</p>
+                                    <div className="flex items-baseline gap-2 mt-2">
+                                        <p className="text-xl font-bold text-primary">₹{item.price}</p>
+                                        {item.priceDropped && (
+                                            <span className="text-sm text-gray-400 line-through">₹{item.priceWhenAdded}</span>
+                                        )}
+                                    </div>
+                                    {item.priceDropped && (
+                                        <p className="text-xs font-medium text-green-600 mt-1">
+                                            Price dropped since you saved it
+                                        </p>
+                                    )}
+                                    {item.stock === 0 && (
+                                        <p className="text-xs font-medium text-red-600 mt-1">
+                                            Out of stock — we'll let you know when it's back
+                                        </p>
+                                    )}
                                 </div>
                             </div>
 
@@ -109,7 +121,8 @@ const Wishlist = () => {
                             <div className="flex border-t border-gray-100">
                                 <button
                                     onClick={() => moveToCart(item)}
-                                    className="flex-1 py-3 text-sm font-medium text-primary hover:bg-primary/5 transition-colors flex items-center justify-center gap-2"
+                                    disabled={item.stock === 0}
+                                    className="flex-1 py-3 text-sm font-medium text-primary hover:bg-primary/5 transition-colors flex items-center justify-center gap-2 disabled:text-gray-400 disabled:hover:bg-transparent disabled:cursor-not-allowed"
                                 >
                                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 11V7a4 4 0 00-8 0v4M5 9h14l1 12H4L5 9z" />
@@ -118,7 +131,7 @@ const Wishlist = () => {
                                 </button>
                                 <div className="w-px bg-gray-100" />
                                 <button
-                                    onClick={() => removeFromWishlist(item._id)}
+                                    onClick={() => handleRemove(item._id)}
                                     className="flex-1 py-3 text-sm font-medium text-red-600 hover:bg-red-50 transition-colors flex items-center justify-center gap-2"
                                 >
                                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
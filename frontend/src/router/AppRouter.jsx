@@ -4,7 +4,9 @@ import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
 import Home from '../pages/Home';
 import Books from '../pages/Books';
+import Search from '../pages/Search';
 import BookDetails from '../pages/BookDetails';
+import Author from '../pages/Author';
 import Cart from '../pages/Cart';
 import Checkout from '../pages/Checkout';
 import OrderSuccess from '../pages/OrderSuccess';
@@ -37,7 +39,9 @@ const AnimatedRoutes = () => {
       <Routes location={location} key={location.pathname}>
         <Route path="/" element={<PageTransition><Home /></PageTransition>} />
         <Route path="/books" element={<PageTransition><Books /></PageTransition>} />
+        <Route path="/search" element={<PageTransition><Search /></PageTransition>} />
         <Route path="/books/:id" element={<PageTransition><BookDetails /></PageTransition>} />
+        <Route path="/authors/:slug" element={<PageTransition><Author /></PageTransition>} />
         <Route path="/cart" element={<PageTransition><Cart /></PageTransition>} />
         <Route path="/checkout" element={<PageTransition><Checkout /></PageTransition>} />
         <Route path="/order-success" element={<PageTransition><OrderSuccess /></PageTransition>} />
@@ -1,7 +1,74 @@
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
 import apiClient from './apiClient';
+import { normalizeBook } from './bookService';
+
+export const recommendationKeys = {
+  all: ['recommendations'],
+  feed: (userId) => [...recommendationKeys.all, 'feed', userId || 'guest'],
+  book: (bookId) => [...recommendationKeys.all, 'book', bookId],
+};
+
+export const aiSearchKeys = {
+  all: ['ai-search'],
+  search: (params) => [...aiSearchKeys.all, params],
+};
 
 export const aiService = {
-  getRecommendations: () => apiClient.get('/ai/recommendations'),
-  aiSearch: (query) => apiClient.post('/ai/search', { query }),
+  getRecommendations: (params = {}) => apiClient.get('/ai/recommendations', { params }),
+  getBookRecommendations: (bookId, params = {}) =>
+    apiClient.get(`/ai/recommendations/books/${bookId}`, { params }),
+  aiSearch: (query, { ignore = [], page = 1, limit = 20 } = {}) =>
+    apiClient.post('/ai/search', { query, ignore, page, limit }),
 };
 
+// Home feed: personalised when logged in, popular books for guests
+export const useRecommendations = (userId, { limit = 8 } = {}) => {
+  return useQuery({
+    queryKey: recommendationKeys.feed(userId),
+    queryFn: async () => {
+      const response = await aiService.getRecommendations({ limit });
+      const feed = response.data?.data || {};
+      return {
+        books: (feed.books || []).map(normalizeBook),
+        personalised: !!feed.personalised,
+      };
+    },
+    staleTime: 10 * 60 * 1000,
+  });
+};
+
+// "Customers also bought" and similar books for a book page
+export const useBookRecommendations = (bookId, { limit = 4 } = {}) => {
+  return useQuery({
+    queryKey: recommendationKeys.book(bookId),
+    queryFn: async () => {
+      const response = await aiService.getBookRecommendations(bookId, { limit });
+      const related = response.data?.data || {};
+      return {
+        alsoBought: (related.alsoBought || []).map(normalizeBook),
+        similar: (related.similar || []).map(normalizeBook),
+      };
+    },
+    enabled: !!bookId,
+    staleTime: 10 * 60 * 1000,
+  });
+};
+
+// Natural-language search; `ignore` lists filter chips the customer removed
+export const useAiSearch = ({ query, ignore = [], page = 1, limit = 20 }) => {
+  return useQuery({
+    queryKey: aiSearchKeys.search({ query, ignore, page, limit }),
+    queryFn: async () => {
+      const response = await aiService.aiSearch(query, { ignore, page, limit });
+      const result = response.data?.data || {};
+      return {
+        ...result,
+        books: (result.books || []).map(normalizeBook),
+        chips: result.interpretation?.chips || [],
+        relaxed: result.interpretation?.relaxed || [],
+      };
+    },
+    enabled: !!query,
+    placeholderData: keepPreviousData,
+  });
+};
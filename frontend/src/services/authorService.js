@@ -0,0 +1,49 @@
+import { useQuery } from '@tanstack/react-query';
+import apiClient from './apiClient';
+
+// Query key factory for cache management
+export const authorKeys = {
+  all: ['authors'],
+  lists: () => [...authorKeys.all, 'list'],
+  list: (params) => [...authorKeys.lists(), params],
+  detail: (idOrSlug) => [...authorKeys.all, 'detail', idOrSlug],
+};
+
+// Base API functions
+export const authorService = {
+  getAuthors: (params = {}) => apiClient.get('/authors', { params }),
+  getAuthor: (idOrSlug) => apiClient.get(`/authors/${idOrSlug}`),
+};
+
+// "1843–1918", "b. 1943", or '' when the years aren't known
+export const lifeDates = (author) => {
+  if (!author?.birthYear) return author?.deathYear ? `d. ${author.deathYear}` : '';
+  return author.deathYear ? `${author.birthYear}–${author.deathYear}` : `b. ${author.birthYear}`;
+};
+
+// React Query hooks
+export const useAuthors = (params = {}) => {
+  return useQuery({
+    queryKey: authorKeys.list(params),
+    queryFn: async () => {
+      const response = await authorService.getAuthors(params);
+      return {
+        authors: response.data?.data || [],
+        pagination: response.data?.pagination,
+      };
+    },
+    staleTime: 10 * 60 * 1000, // Profiles rarely change
+  });
+};
+
+export const useAuthor = (idOrSlug) => {
+  return useQuery({
+    queryKey: authorKeys.detail(idOrSlug),
+    queryFn: async () => {
+      const response = await authorService.getAuthor(idOrSlug);
+      return response.data?.data;
+    },
+    enabled: !!idOrSlug,
+    staleTime: 10 * 60 * 1000,
+  });
+};
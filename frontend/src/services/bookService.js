@@ -1,4 +1,4 @@
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import apiClient from './apiClient';
 
 // Query key factory for cache management
@@ -11,22 +11,31 @@ export const bookKeys = {
   categories: () => [...bookKeys.all, 'categories'],
   languages: () => [...bookKeys.all, 'languages'],
   grades: () => [...bookKeys.all, 'grades'],
+  reviews: (id, params) => [...bookKeys.detail(id), 'reviews', params],
 };
 
+// Percent off the original price, for a book selling at a sale campaign price
+const salePercent = (book) =>
+  book.price?.original > 0 ? Math.round((1 - book.finalPrice / book.price.original) * 100) : 0;
+
 // Helper to normalize book data from backend
-const normalizeBook = (book) => ({
+export const normalizeBook = (book) => ({
   ...book,
   // Normalize nested title
   title: typeof book.title === 'object'
     ? book.title.display || book.title.english || book.title.odia
     : book.title,
   titleObj: book.title, // Keep original for detailed view
-  // Normalize nested price
+  // Normalize nested price; finalPrice already includes a live sale campaign
   price: typeof book.price === 'object'
-    ? book.price.discounted || book.price.original
+    ? book.finalPrice || book.price.discounted || book.price.original
     : book.price,
   originalPrice: typeof book.price === 'object' ? book.price.original : book.price,
-  discountPercent: typeof book.price === 'object' ? book.price.discountPercent || 0 : 0,
+  discountPercent: book.activeSale
+    ? salePercent(book)
+    : typeof book.price === 'object' ? book.price.discountPercent || 0 : 0,
+  // Live sale campaign ({ name, price, endsAt, perCustomerLimit }) or null
+  sale: book.activeSale || null,
   priceObj: book.price, // Keep original for detailed view
 });
 
@@ -38,10 +47,15 @@ export const bookService = {
   getLanguages: () => apiClient.get('/books/languages'),
   getGrades: () => apiClient.get('/books/grades'),
   getSuggestions: (q) => apiClient.get('/books/search/suggestions', { params: { q } }),
+  getReviews: (id, params = {}) => apiClient.get(`/books/${id}/reviews`, { params }),
+  addReview: (id, review) => apiClient.post(`/books/${id}/reviews`, review),
+  updateReview: (id, review) => apiClient.put(`/books/${id}/reviews`, review),
+  deleteReview: (id) => apiClient.delete(`/books/${id}/reviews`),
 };
 
 // React Query hooks
-export const useBooks = (filters = {}) => {
+// options go to useQuery as they are, e.g. { enabled: false } to wait for a filter
+export const useBooks = (filters = {}, options = {}) => {
   return useQuery({
     queryKey: bookKeys.list(filters),
     queryFn: async () => {
@@ -55,8 +69,11 @@ export const useBooks = (filters = {}) => {
           pages: response.data?.totalPages || 1,
           total: response.data?.totalBooks || books.length,
         },
+        // Only present when the request asks for facets=true
+        facets: response.data?.facets || null,
       };
     },
+    ...options,
   });
 };
 
@@ -72,6 +89,34 @@ export const useBook = (id) => {
   });
 };
 
+export const useBookReviews = (id, params = {}) => {
+  return useQuery({
+    queryKey: bookKeys.reviews(id, params),
+    queryFn: async () => {
+      const response = await bookService.getReviews(id, params);
+      return {
+        reviews: response.data?.data || [],
+        summary: response.data?.summary,
+        pagination: response.data?.pagination,
+      };
+    },
+    enabled: !!id,
+  });
+};
+
+// Submits a new review, or edits the user's existing one when `isEdit` is set
+export const useSubmitReview = (id) => {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ isEdit, ...review }) =>
+      isEdit ? bookService.updateReview(id, review) : bookService.addReview(id, review),
+    onSuccess: () => {
+      // Rating and review list both change
+      queryClient.invalidateQueries({ queryKey: bookKeys.detail(id) });
+    },
+  });
+};
+
 export const useCategories = () => {
   return useQuery({
     queryKey: bookKeys.categories(),
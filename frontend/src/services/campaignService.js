@@ -0,0 +1,33 @@
+import { useQuery } from '@tanstack/react-query';
+import apiClient from './apiClient';
+import { normalizeBook } from './bookService';
+
+// Query key factory for cache management
+export const campaignKeys = {
+  all: ['campaigns'],
+  active: (books) => [...campaignKeys.all, 'active', books],
+};
+
+// Base API functions
+export const campaignService = {
+  getActiveCampaigns: (params = {}) => apiClient.get('/campaigns/active', { params }),
+};
+
+// React Query hooks
+// Live sales (with their books) and upcoming ones. clockOffset is how far the
+// device clock is behind the server's, so countdowns end when the sale does.
+export const useActiveCampaigns = ({ books = 8 } = {}) => {
+  return useQuery({
+    queryKey: campaignKeys.active(books),
+    queryFn: async () => {
+      const response = await campaignService.getActiveCampaigns({ books });
+      const { serverTime, live = [], upcoming = [] } = response.data?.data || {};
+      return {
+        clockOffset: serverTime ? new Date(serverTime).getTime() - Date.now() : 0,
+        live: live.map((campaign) => ({ ...campaign, books: campaign.books.map(normalizeBook) })),
+        upcoming,
+      };
+    },
+    staleTime: 60 * 1000,
+  });
+};
@@ -0,0 +1,35 @@
+import apiClient from './apiClient';
+
+// Server-side cart for logged-in users; every response is the re-priced cart
+export const cartService = {
+  getCart: async () => {
+    const { data } = await apiClient.get('/cart');
+    return data.data;
+  },
+
+  addItem: async (bookId, quantity = 1) => {
+    const { data } = await apiClient.post('/cart/items', { bookId, quantity });
+    return data.data;
+  },
+
+  updateQuantity: async (bookId, quantity) => {
+    const { data } = await apiClient.put(`/cart/items/${bookId}`, { quantity });
+    return data.data;
+  },
+
+  removeItem: async (bookId) => {
+    const { data } = await apiClient.delete(`/cart/items/${bookId}`);
+    return data.data;
+  },
+
+  clearCart: async () => {
+    const { data } = await apiClient.delete('/cart');
+    return data.data;
+  },
+
+  // items: [{ bookId, quantity }] from the guest cart
+  mergeCart: async (items) => {
+    const { data } = await apiClient.post('/cart/merge', { items });
+    return data.data;
+  },
+};
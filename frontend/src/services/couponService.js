@@ -0,0 +1,7 @@
+import apiClient from './apiClient';
+
+export const couponService = {
+  // items: [{ bookId, quantity }] - prices and shipping are worked out server-side
+  validateCoupon: (code, items, { pincode, customerPhone } = {}) =>
+    apiClient.post('/coupons/validate', { code, items, pincode, customerPhone }),
+};
@@ -0,0 +1,53 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import apiClient from './apiClient';
+
+export const notificationKeys = {
+  all: ['notifications'],
+  list: (userId) => [...notificationKeys.all, 'list', userId],
+};
+
+// Price-drop and back-in-stock alerts for books on the user's wishlist
+export const notificationService = {
+  getNotifications: async (params = {}) => {
+    const { data } = await apiClient.get('/notifications', { params });
+    return data.data;
+  },
+
+  markRead: async (notificationId) => {
+    const { data } = await apiClient.put(`/notifications/${notificationId}/read`);
+    return data.data;
+  },
+
+  markAllRead: async () => {
+    const { data } = await apiClient.put('/notifications/read-all');
+    return data.data;
+  },
+};
+
+// Pass the logged-in user's id; disabled for guests (the endpoint is private and a 401 redirects to /login)
+export const useNotifications = (userId) => {
+  const enabled = Boolean(userId);
+  const query = useQuery({
+    queryKey: notificationKeys.list(userId),
+    queryFn: () => notificationService.getNotifications(),
+    enabled,
+    staleTime: 60 * 1000,
+    refetchInterval: enabled ? 2 * 60 * 1000 : false, // 2 minutes - pick up new alerts while browsing
+  });
+
+  return {
+    ...query,
+    notifications: query.data?.notifications ?? [],
+    unreadCount: query.data?.unreadCount ?? 0,
+  };
+};
+
+export const useMarkNotificationsRead = () => {
+  const queryClient = useQueryClient();
+  const onSuccess = () => queryClient.invalidateQueries({ queryKey: notificationKeys.all });
+
+  return {
+    markRead: useMutation({ mutationFn: notificationService.markRead, onSuccess }),
+    markAllRead: useMutation({ mutationFn: notificationService.markAllRead, onSuccess }),
+  };
+};
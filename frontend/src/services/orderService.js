@@ -1,8 +1,19 @@
 import apiClient from './apiClient';
 
+// Copies of one book a checkout can hold (the order can still buy more)
+const MAX_HELD_PER_LINE = 10;
+
 export const orderService = {
   createOrder: (orderData) => apiClient.post('/orders', orderData),
+  // Hold the cart's stock during checkout; pass checkoutId to renew
+  reserveStock: (items, checkoutId) =>
+    apiClient.post('/orders/reservations', {
+      items: items.map((item) => ({ ...item, quantity: Math.min(item.quantity, MAX_HELD_PER_LINE) })),
+      checkoutId,
+    }),
+  releaseStock: (checkoutId) => apiClient.delete(`/orders/reservations/${checkoutId}`),
   getMyOrders: () => apiClient.get('/orders/myorders'),
   getOrder: (id) => apiClient.get(`/orders/${id}`),
+  cancelOrder: (id, reason) => apiClient.put(`/orders/${id}/cancel`, { reason }),
 };
 
@@ -0,0 +1,43 @@
+import apiClient from './apiClient';
+
+// Statuses after which polling can stop
+const SETTLED_STATUSES = ['succeeded', 'failed', 'partially_refunded', 'refunded'];
+
+const newIdempotencyKey = () =>
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export const paymentService = {
+  // Start an online payment; the Idempotency-Key makes a resent request return the same payment
+  createIntent: async (orderId, method, { customerPhone, simulate } = {}) => {
+    const idempotencyKey = newIdempotencyKey();
+    const { data } = await apiClient.post(
+      '/payments/intents',
+      { orderId, method, customerPhone, simulate },
+      { headers: { 'Idempotency-Key': idempotencyKey } }
+    );
+    return data.data;
+  },
+
+  getPayment: async (paymentId, { customerPhone } = {}) => {
+    const { data } = await apiClient.get(`/payments/${paymentId}`, {
+      params: { customerPhone },
+    });
+    return data.data;
+  },
+
+  /**
+   * Poll a payment until the gateway webhook settles it
+   * Resolves with the last seen payment; status is still 'processing' if it timed out
+   */
+  waitForPayment: async (paymentId, { customerPhone, intervalMs = 2000, timeoutMs = 30000 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    let payment = await paymentService.getPayment(paymentId, { customerPhone });
+
+    while (!SETTLED_STATUSES.includes(payment.status) && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
+      payment = await paymentService.getPayment(paymentId, { customerPhone });
+    }
+
+    return payment;
+  },
+};
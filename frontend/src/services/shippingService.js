@@ -0,0 +1,44 @@
+import { useQuery } from '@tanstack/react-query';
+import apiClient from './apiClient';
+
+// Used until /shipping/settings responds (matches the backend default)
+export const DEFAULT_FREE_SHIPPING_THRESHOLD = 500;
+
+export const shippingKeys = {
+  all: ['shipping'],
+  settings: () => [...shippingKeys.all, 'settings'],
+};
+
+export const shippingService = {
+  // Serviceability, shipping charge, COD and ETA for a pincode
+  checkPincode: async (pincode, subtotal = 0) => {
+    const { data } = await apiClient.get(`/shipping/check/${pincode}`, {
+      params: { subtotal },
+    });
+    return data.data;
+  },
+
+  getSettings: async () => {
+    const { data } = await apiClient.get('/shipping/settings');
+    return data.data;
+  },
+};
+
+/**
+ * Store-wide shipping settings (free-shipping threshold, default rate)
+ * Always returns a usable freeShippingThreshold, falling back to the default while loading
+ */
+export const useShippingSettings = () => {
+  const query = useQuery({
+    queryKey: shippingKeys.settings(),
+    queryFn: shippingService.getSettings,
+    staleTime: 30 * 60 * 1000, // 30 minutes - rate cards rarely change
+  });
+
+  return {
+    ...query,
+    freeShippingThreshold:
+      query.data?.freeShippingThreshold ?? DEFAULT_FREE_SHIPPING_THRESHOLD,
+    defaultRate: query.data?.defaultRate ?? null,
+  };
+};
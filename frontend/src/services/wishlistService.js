@@ -0,0 +1,30 @@
+import apiClient from './apiClient';
+
+// Server-side wishlist for logged-in users; every response is the current list
+export const wishlistService = {
+  getWishlist: async () => {
+    const { data } = await apiClient.get('/wishlist');
+    return data.data;
+  },
+
+  addItem: async (bookId) => {
+    const { data } = await apiClient.post('/wishlist/items', { bookId });
+    return data.data;
+  },
+
+  removeItem: async (bookId) => {
+    const { data } = await apiClient.delete(`/wishlist/items/${bookId}`);
+    return data.data;
+  },
+
+  clearWishlist: async () => {
+    const { data } = await apiClient.delete('/wishlist');
+    return data.data;
+  },
+
+  // bookIds from the guest wishlist
+  mergeWishlist: async (bookIds) => {
+    const { data } = await apiClient.post('/wishlist/merge', { bookIds });
+    return data.data;
+  },
+};
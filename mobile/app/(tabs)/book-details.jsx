@@ -24,6 +24,7 @@ import * as Haptics from 'expo-haptics';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useBook } from '../../hooks/useBooks';
 import { useCartStore } from '../../store/cartStore';
+import { useWishlistStore } from '../../store/wishlistStore';
 import { useToast } from '../../components/ui/Toast';
 import {
     COLORS,
@@ -73,7 +74,6 @@ export default function BookDetails() {
     const bookId = params.bookId;
     const scrollY = useSharedValue(0);
     const buttonScale = useSharedValue(1);
-    const [isWishlisted, setIsWishlisted] = useState(false);
     const [showFullDescription, setShowFullDescription] = useState(false);
 
     // Fetch book data
@@ -85,6 +85,10 @@ export default function BookDetails() {
     const inCart = book ? isInCart(bookId) : false;
     const cartQuantity = book ? getItemQuantity(bookId) : 0;
 
+    // Wishlist store (synced to the server when logged in)
+    const { toggleItem: toggleWishlist } = useWishlistStore();
+    const isWishlisted = useWishlistStore((state) => state.items.some((item) => item._id === bookId));
+
     // Scroll handler for parallax
     const scrollHandler = useAnimatedScrollHandler({
         onScroll: (event) => {
@@ -171,15 +175,25 @@ export default function BookDetails() {
     }, [book, addItem, router]);
 
     const handleWishlist = useCallback(() => {
+        if (!book) return;
+
         Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light);
-        setIsWishlisted((prev) => !prev);
-        const title = book?.title?.display || 'Book';
-        if (!isWishlisted) {
+        const title = book.title?.display || book.title?.english || book.title?.odia || 'Book';
+        const added = toggleWishlist({
+            _id: bookId,
+            title,
+            author: book.author,
+            image: book.image,
+            category: book.category,
+            price: book.finalPrice || book.price?.discounted || book.price?.original,
+            stock: book.stock,
+        });
+        if (added) {
             toast.wishlist(`"${title}" saved to wishlist`);
         } else {
             toast.info(`Removed from wishlist`);
         }
-    }, [book, isWishlisted, toast]);
+    }, [book, bookId, toggleWishlist, toast]);
 
     const handleShare = useCallback(async () => {
         if (!book) return;
@@ -1,5 +1,5 @@
 // app/(tabs)/cart.jsx - Premium Shopping Cart with Swipe Gestures
-import React from 'react';
+import React, { useCallback } from 'react';
 import {
     View,
     Text,
@@ -19,7 +19,7 @@ import Animated, {
 } from 'react-native-reanimated';
 import { Gesture, GestureDetector } from 'react-native-gesture-handler';
 import * as Haptics from 'expo-haptics';
-import { useRouter } from 'expo-router';
+import { useRouter, useFocusEffect } from 'expo-router';
 import { useCartStore } from '../../store/cartStore';
 import { Ionicons } from '@expo/vector-icons';
 import {
@@ -64,6 +64,12 @@ const SwipeableCartItem = ({ item, onRemove, onIncrease, onDecrease }) => {
     const price = item.finalPrice || item.price?.discounted || item.price?.original || item.price || 0;
     const title = item.title?.display || item.title?.english || item.title?.odia || item.title || 'Untitled';
 
+    // Problems reported by the server cart (logged-in users only)
+    let issueText = null;
+    if (item.issues?.includes('out_of_stock')) issueText = 'Out of stock';
+    else if (item.issues?.includes('insufficient_stock')) issueText = `Only ${item.stock} left in stock`;
+    else if (item.issues?.includes('price_changed')) issueText = `Price changed from ₹${item.previousPrice}`;
+
     const triggerHaptic = () => {
         Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
     };
@@ -170,6 +176,11 @@ const SwipeableCartItem = ({ item, onRemove, onIncrease, onDecrease }) => {
                         <Text style={styles.itemAuthor} numberOfLines={1}>
                             by {item.author || 'Unknown Author'}
                         </Text>
+                        {issueText && (
+                            <Text style={styles.itemIssue} numberOfLines={1}>
+                                {issueText}
+                            </Text>
+                        )}
 
                         <View style={styles.priceRow}>
                             <Text style={styles.itemPrice}>₹{price}</Text>
@@ -214,8 +225,17 @@ export default function Cart() {
         getTotal,
         getItemCount,
         clearCart,
+        freeShippingThreshold,
+        refreshCart,
     } = useCartStore();
 
+    // Re-check prices and stock with the server whenever the tab is opened
+    useFocusEffect(
+        useCallback(() => {
+            refreshCart();
+        }, [refreshCart])
+    );
+
     const handleRemoveItem = (bookId) => {
         removeItem(bookId);
     };
@@ -290,7 +310,6 @@ export default function Cart() {
         const subtotal = getSubtotal();
         const shipping = getShippingCost();
         const total = getTotal();
-        const freeShippingThreshold = 499;
         const amountForFreeShipping = freeShippingThreshold - subtotal;
 
         return (
@@ -506,6 +525,12 @@ const styles = StyleSheet.create({
         fontStyle: 'italic',
         marginBottom: SPACING.sm,
     },
+    itemIssue: {
+        ...TYPOGRAPHY.bodySmall,
+        color: COLORS.warningDark,
+        fontWeight: '600',
+        marginBottom: SPACING.xs,
+    },
     priceRow: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -1,5 +1,5 @@
 // app/(tabs)/checkout.jsx - Checkout Screen with 3-Layer Validation
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
     View,
     Text,
@@ -14,7 +14,7 @@ import {
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import { useCartStore } from '../../store/cartStore';
-import { createOrder } from '../../services/api';
+import { createOrder, reserveStock, releaseStock } from '../../services/api';
 import { Ionicons } from '@expo/vector-icons';
 
 export default function Checkout() {
@@ -31,6 +31,35 @@ export default function Checkout() {
     // Validation errors
     const [errors, setErrors] = useState({});
 
+    // Stock held for this checkout so nobody else buys it meanwhile; the order takes it over
+    const checkoutIdRef = useRef(null);
+    const orderItems = items.map(item => ({
+        bookId: item._id,
+        quantity: item.quantity,
+    }));
+    const cartKey = orderItems.map(item => `${item.bookId}:${item.quantity}`).join(',');
+
+    const reserveCart = async () => {
+        const response = await reserveStock(orderItems, checkoutIdRef.current || undefined);
+        checkoutIdRef.current = response.data.checkoutId;
+        return response.data;
+    };
+
+    // Hold the stock as soon as checkout opens, and again whenever the cart changes
+    useEffect(() => {
+        if (items.length === 0) return;
+        reserveCart().catch((error) => {
+            Alert.alert('Stock Changed', error.message || 'Some books in your cart are no longer available');
+        });
+    }, [cartKey]);
+
+    // Leaving without ordering frees the stock for others straight away
+    useEffect(() => () => {
+        if (checkoutIdRef.current) {
+            releaseStock(checkoutIdRef.current).catch(() => {});
+        }
+    }, []);
+
     /**
      * LAYER 2: Client-Side Validation
      * Validates form before sending to server (saves bandwidth)
@@ -73,16 +102,17 @@ export default function Checkout() {
         setIsProcessing(true);
 
         try {
+            // Renew the hold first: it may have run out while the form was filled in
+            const { checkoutId } = await reserveCart();
+
             // Prepare order data
             const orderData = {
                 customerName: customerName.trim(),
                 customerPhone: customerPhone.trim(),
                 customerAddress: customerAddress.trim(),
-                items: items.map(item => ({
-                    bookId: item._id,
-                    quantity: item.quantity,
-                })),
+                items: orderItems,
                 shippingCost: getShippingCost(),
+                checkoutId,
                 notes: notes.trim() || undefined,
             };
 
@@ -90,6 +120,9 @@ export default function Checkout() {
             const response = await createOrder(orderData);
 
             if (response.success) {
+                // The order took over the held stock
+                checkoutIdRef.current = null;
+
                 // Clear cart on success
                 clearCart();
 
@@ -1,8 +1,10 @@
 // app/(tabs)/orders.jsx - Orders Screen (Guest Checkout Version)
-import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, Alert } from 'react-native';
 import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
+import { useAuthStore } from '../../store/authStore';
+import { useOrderStore } from '../../store/orderStore';
 
 /**
  * Orders Screen - For Guest Checkout
@@ -16,6 +18,26 @@ import { Ionicons } from '@expo/vector-icons';
  */
 export default function Orders() {
     const router = useRouter();
+    const { token } = useAuthStore();
+    const { orders, fetchMyOrders, cancelOrder, canCancel } = useOrderStore();
+
+    useEffect(() => {
+        if (token) fetchMyOrders(token);
+    }, [token]);
+
+    const handleCancel = (orderId) => {
+        Alert.alert('Cancel Order', 'Cancel this order? Items will be released back to stock.', [
+            { text: 'Keep Order', style: 'cancel' },
+            {
+                text: 'Cancel Order',
+                style: 'destructive',
+                onPress: async () => {
+                    const result = await cancelOrder(orderId, token);
+                    if (!result.success) Alert.alert('Could not cancel', result.error);
+                },
+            },
+        ]);
+    };
 
     return (
         <ScrollView style={styles.container} contentContainerStyle={styles.content}>
@@ -25,6 +47,40 @@ export default function Orders() {
                 <Text style={styles.headerSubtitle}>Track your Odisha Book Store orders</Text>
             </View>
 
+            {/* Logged-in customer's orders */}
+            {token && orders.length > 0 && (
+                <View style={styles.section}>
+                    <Text style={styles.sectionTitle}>My Orders</Text>
+                    {orders.map(order => (
+                        <View key={order._id} style={styles.orderCard}>
+                            <View style={styles.orderRow}>
+                                <Text style={styles.orderId}>#{order._id.slice(-8).toUpperCase()}</Text>
+                                <Text
+                                    style={[
+                                        styles.orderStatus,
+                                        order.status === 'Cancelled' && styles.orderStatusCancelled,
+                                    ]}
+                                >
+                                    {order.status}
+                                </Text>
+                            </View>
+                            <Text style={styles.stepText}>
+                                {order.items?.length || 0} item(s) · ₹{order.totalAmount} ·{' '}
+                                {new Date(order.createdAt).toLocaleDateString('en-IN')}
+                            </Text>
+                            {canCancel(order) && (
+                                <TouchableOpacity
+                                    style={styles.cancelButton}
+                                    onPress={() => handleCancel(order._id)}
+                                >
+                                    <Text style={styles.cancelButtonText}>Cancel Order</Text>
+                                </TouchableOpacity>
+                            )}
+                        </View>
+                    ))}
+                </View>
+            )}
+
             {/* Info Card */}
             <View style={styles.infoCard}>
                 <View style={styles.iconCircle}>
@@ -128,6 +184,47 @@ export default function Orders() {
 }
 
 const styles = StyleSheet.create({
+    orderCard: {
+        backgroundColor: '#FFF',
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+        borderWidth: 1,
+        borderColor: '#E5E7EB',
+    },
+    orderRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 6,
+    },
+    orderId: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: '#111827',
+    },
+    orderStatus: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#059669',
+    },
+    orderStatusCancelled: {
+        color: '#DC2626',
+    },
+    cancelButton: {
+        marginTop: 10,
+        alignSelf: 'flex-end',
+        paddingVertical: 8,
+        paddingHorizontal: 14,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#FCA5A5',
+    },
+    cancelButtonText: {
+        color: '#DC2626',
+        fontWeight: '600',
+        fontSize: 13,
+    },
     container: {
         flex: 1,
         backgroundColor: '#F9FAFB',
@@ -1,5 +1,5 @@
 // app/(tabs)/wishlist.jsx - Premium Wishlist Screen
-import React, { useCallback } from 'react';
+import React, { useCallback, useState } from 'react';
 import {
     View,
     Text,
@@ -16,12 +16,13 @@ import Animated, {
     withSequence,
     FadeInDown,
 } from 'react-native-reanimated';
-import { useRouter } from 'expo-router';
+import { useRouter, useFocusEffect } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import * as Haptics from 'expo-haptics';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { useWishlistStore } from '../../store/wishlistStore';
 import { useCartStore } from '../../store/cartStore';
+import { useNotificationStore } from '../../store/notificationStore';
 import { useToast } from '../../components/ui/Toast';
 import {
     COLORS,
@@ -117,7 +118,18 @@ const WishlistItem = ({ book, onRemove, onAddToCart, onPress, index }) => {
                         <Text style={[styles.categoryText, { color: categoryColor }]}>{book.category}</Text>
                     </View>
 
-                    <Text style={styles.bookPrice}>₹{getPrice()}</Text>
+                    <View style={styles.priceRow}>
+                        <Text style={styles.bookPrice}>₹{getPrice()}</Text>
+                        {book.priceDropped && (
+                            <Text style={styles.oldPrice}>₹{book.priceWhenAdded}</Text>
+                        )}
+                    </View>
+                    {book.priceDropped && (
+                        <Text style={styles.priceDropText}>Price dropped since you saved it</Text>
+                    )}
+                    {book.stock === 0 && (
+                        <Text style={styles.outOfStockText}>Out of stock - we'll notify you</Text>
+                    )}
                 </View>
 
                 {/* Actions */}
@@ -144,6 +156,45 @@ const WishlistItem = ({ book, onRemove, onAddToCart, onPress, index }) => {
     );
 };
 
+/**
+ * Notifications Panel - price-drop and back-in-stock alerts for wishlisted books
+ */
+const NotificationsPanel = ({ notifications, unreadCount, onPress, onMarkAllRead }) => (
+    <View style={styles.notificationsPanel}>
+        <View style={styles.notificationsHeader}>
+            <Text style={styles.notificationsTitle}>Notifications</Text>
+            {unreadCount > 0 && (
+                <TouchableOpacity onPress={onMarkAllRead}>
+                    <Text style={styles.markAllText}>Mark all read</Text>
+                </TouchableOpacity>
+            )}
+        </View>
+        {notifications.length === 0 ? (
+            <Text style={styles.notificationEmpty}>
+                We'll let you know when a saved book drops in price or is back in stock.
+            </Text>
+        ) : (
+            notifications.slice(0, 5).map((notification) => (
+                <TouchableOpacity
+                    key={notification._id}
+                    style={[styles.notificationRow, !notification.readAt && styles.notificationUnread]}
+                    onPress={() => onPress(notification)}
+                >
+                    <Ionicons
+                        name={notification.type === 'price_drop' ? 'pricetag' : 'cube'}
+                        size={18}
+                        color={notification.type === 'price_drop' ? COLORS.success : COLORS.primary}
+                    />
+                    <View style={styles.notificationBody}>
+                        <Text style={styles.notificationTitle}>{notification.title}</Text>
+                        <Text style={styles.notificationMessage} numberOfLines={2}>{notification.message}</Text>
+                    </View>
+                </TouchableOpacity>
+            ))
+        )}
+    </View>
+);
+
 /**
  * Empty Wishlist State
  */
@@ -168,8 +219,18 @@ export default function Wishlist() {
     const insets = useSafeAreaInsets();
     const toast = useToast();
 
-    const { items, removeItem, getCount } = useWishlistStore();
+    const { items, removeItem, getCount, refreshWishlist } = useWishlistStore();
     const { addItem: addToCart } = useCartStore();
+    const { notifications, unreadCount, fetchNotifications, markRead, markAllRead } = useNotificationStore();
+    const [showNotifications, setShowNotifications] = useState(false);
+
+    // Pick up price/stock changes and new alerts whenever the screen opens
+    useFocusEffect(
+        useCallback(() => {
+            refreshWishlist();
+            fetchNotifications();
+        }, [refreshWishlist, fetchNotifications])
+    );
 
     const handleRemove = useCallback((book) => {
         removeItem(book._id);
@@ -196,6 +257,14 @@ export default function Wishlist() {
         router.push({ pathname: '/(tabs)/book-details', params: { bookId: book._id } });
     }, [router]);
 
+    const handleNotificationPress = useCallback((notification) => {
+        markRead(notification._id);
+        setShowNotifications(false);
+        if (notification.book?._id) {
+            router.push({ pathname: '/(tabs)/book-details', params: { bookId: notification.book._id } });
+        }
+    }, [markRead, router]);
+
     const handleBrowse = useCallback(() => {
         router.push('/(tabs)/');
     }, [router]);
@@ -227,9 +296,32 @@ export default function Wishlist() {
                         </View>
                     )}
                 </View>
-                <View style={styles.headerRight} />
+                <TouchableOpacity
+                    onPress={() => setShowNotifications((open) => !open)}
+                    style={styles.backButton}
+                >
+                    <Ionicons
+                        name={showNotifications ? 'notifications' : 'notifications-outline'}
+                        size={22}
+                        color={COLORS.textPrimary}
+                    />
+                    {unreadCount > 0 && (
+                        <View style={styles.bellBadge}>
+                            <Text style={styles.bellBadgeText}>{unreadCount > 9 ? '9+' : unreadCount}</Text>
+                        </View>
+                    )}
+                </TouchableOpacity>
             </View>
 
+            {showNotifications && (
+                <NotificationsPanel
+                    notifications={notifications}
+                    unreadCount={unreadCount}
+                    onPress={handleNotificationPress}
+                    onMarkAllRead={markAllRead}
+                />
+            )}
+
             {/* Content */}
             {items.length === 0 ? (
                 <EmptyWishlist onBrowse={handleBrowse} />
@@ -291,8 +383,73 @@ const styles = StyleSheet.create({
         color: COLORS.textInverse,
         fontWeight: '700',
     },
-    headerRight: {
-        width: 40,
+    bellBadge: {
+        position: 'absolute',
+        top: -2,
+        right: -2,
+        minWidth: 18,
+        height: 18,
+        paddingHorizontal: 4,
+        borderRadius: 9,
+        backgroundColor: COLORS.error,
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    bellBadgeText: {
+        ...TYPOGRAPHY.caption,
+        fontSize: 10,
+        color: COLORS.textInverse,
+        fontWeight: '700',
+    },
+
+    // Notifications
+    notificationsPanel: {
+        backgroundColor: COLORS.surface,
+        paddingHorizontal: SPACING.lg,
+        paddingBottom: SPACING.md,
+        borderBottomWidth: 1,
+        borderBottomColor: COLORS.borderLight,
+    },
+    notificationsHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: SPACING.sm,
+    },
+    notificationsTitle: {
+        ...TYPOGRAPHY.h4,
+        color: COLORS.textPrimary,
+    },
+    markAllText: {
+        ...TYPOGRAPHY.bodySmall,
+        color: COLORS.primary,
+        fontWeight: '600',
+    },
+    notificationEmpty: {
+        ...TYPOGRAPHY.bodySmall,
+        color: COLORS.textSecondary,
+    },
+    notificationRow: {
+        flexDirection: 'row',
+        alignItems: 'flex-start',
+        gap: SPACING.sm,
+        padding: SPACING.sm,
+        borderRadius: BORDER_RADIUS.md,
+    },
+    notificationUnread: {
+        backgroundColor: COLORS.successLight,
+    },
+    notificationBody: {
+        flex: 1,
+    },
+    notificationTitle: {
+        ...TYPOGRAPHY.bodySmall,
+        color: COLORS.textPrimary,
+        fontWeight: '600',
+    },
+    notificationMessage: {
+        ...TYPOGRAPHY.caption,
+        color: COLORS.textSecondary,
     },
 
     // List
@@ -355,10 +512,32 @@ const styles = StyleSheet.create({
         ...TYPOGRAPHY.caption,
         fontWeight: '600',
     },
+    priceRow: {
+        flexDirection: 'row',
+        alignItems: 'baseline',
+        gap: SPACING.sm,
+    },
     bookPrice: {
         ...TYPOGRAPHY.h3,
         color: COLORS.primary,
     },
+    oldPrice: {
+        ...TYPOGRAPHY.bodySmall,
+        color: COLORS.textTertiary,
+        textDecorationLine: 'line-through',
+    },
+    priceDropText: {
+        ...TYPOGRAPHY.caption,
+        color: COLORS.success,
+        fontWeight: '600',
+        marginTop: 2,
+    },
+    outOfStockText: {
+        ...TYPOGRAPHY.caption,
+        color: COLORS.error,
+        fontWeight: '600',
+        marginTop: 2,
+    },
 
     // Actions
     actions: {
@@ -18,7 +18,9 @@ import {
 
 import { useAuthStore } from "../store/authStore";
 import { useCartStore } from "../store/cartStore";
-import { useEffect } from "react";
+import { useWishlistStore } from "../store/wishlistStore";
+import { useNotificationStore } from "../store/notificationStore";
+import { useEffect, useRef } from "react";
 
 SplashScreen.preventAutoHideAsync();
 
@@ -42,8 +44,11 @@ const queryClient = new QueryClient({
 });
 
 export default function RootLayout() {
-  const { checkAuth } = useAuthStore();
-  const { loadCart } = useCartStore();
+  const { checkAuth, token } = useAuthStore();
+  const { loadCart, loadShippingSettings, mergeGuestCart, resetCart } = useCartStore();
+  const { mergeGuestWishlist, resetWishlist } = useWishlistStore();
+  const { fetchNotifications, resetNotifications } = useNotificationStore();
+  const previousToken = useRef(null);
 
   const [fontsLoaded] = useFonts({
     "JetBrainsMono-Medium": require("../assets/fonts/JetBrainsMono-Medium.ttf"),
@@ -61,8 +66,23 @@ export default function RootLayout() {
   useEffect(() => {
     checkAuth();
     loadCart(); // Load cart from AsyncStorage on app start
+    loadShippingSettings();
   }, []);
 
+  // Logged-in carts and wishlists live on the server: merge the guest ones on login, start fresh on logout
+  useEffect(() => {
+    if (token && token !== previousToken.current) {
+      loadCart().then(mergeGuestCart);
+      mergeGuestWishlist();
+      fetchNotifications();
+    } else if (!token && previousToken.current) {
+      resetCart();
+      resetWishlist();
+      resetNotifications();
+    }
+    previousToken.current = token;
+  }, [token]);
+
   if (!fontsLoaded) {
     return null;
   }
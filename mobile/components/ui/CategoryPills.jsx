@@ -119,31 +119,45 @@ const CATEGORY_ICONS = {
     Collection: 'albums-outline',
 };
 
+/**
+ * Fallback list until facet counts arrive
+ */
+const DEFAULT_CATEGORIES = [
+    'all',
+    'Biography',
+    'Novel',
+    'Fiction',
+    'History',
+    'Poetry',
+    'Religion',
+    'Educational',
+    'Children',
+    'Science',
+    'Philosophy',
+];
+
 /**
  * CategoryPills - Horizontal scrolling category filters with animation
+ * Pass `counts` (the category facet, [{ name, count }]) to show only
+ * categories with books for the current search, with their counts.
  */
 export default function CategoryPills({
     activeCategory = 'all',
     onSelectCategory,
     showIcons = true,
+    counts = null,
 }) {
-    const categories = [
-        'all',
-        'Biography',
-        'Novel',
-        'Fiction',
-        'History',
-        'Poetry',
-        'Religion',
-        'Educational',
-        'Children',
-        'Science',
-        'Philosophy',
-    ];
+    const countByName = new Map((counts || []).map((facet) => [facet.name, facet.count]));
+    const categories = counts
+        ? ['all', ...counts.map((facet) => facet.name)]
+        : [...DEFAULT_CATEGORIES];
+
+    // Keep the active pill even if the current search has no books in it
+    if (!categories.includes(activeCategory)) categories.push(activeCategory);
 
     const getDisplayName = (category) => {
         if (category === 'all') return 'All Books';
-        return category;
+        return counts ? `${category} (${countByName.get(category) || 0})` : category;
     };
 
     return (
@@ -28,6 +28,9 @@ export const useBooks = (params = {}, options = {}) => {
 /**
  * Hook for infinite scroll pagination
  * Automatically loads more books as user scrolls
+ * Pages are chained by cursor, so books added while scrolling never repeat
+ * or get skipped. Only the first page carries totalBooks, and with
+ * `facets: true` the facet counts (data.pages[0].facets).
  * 
  * Example usage:
  * const {
@@ -40,13 +43,15 @@ export const useBooks = (params = {}, options = {}) => {
 export const useInfiniteBooks = (params = {}, options = {}) => {
     return useInfiniteQuery({
         queryKey: ['books-infinite', params],
-        queryFn: ({ pageParam = 1 }) => getBooks({ ...params, page: pageParam }),
-        getNextPageParam: (lastPage) => {
-            if (lastPage.currentPage < lastPage.totalPages) {
-                return lastPage.currentPage + 1;
-            }
-            return undefined; // No more pages
-        },
+        queryFn: ({ pageParam }) => getBooks({
+            ...params,
+            cursor: pageParam,
+            // Counts don't change between pages, so only the first one asks
+            facets: pageParam ? undefined : params.facets,
+        }),
+        initialPageParam: null,
+        // No more pages once the server stops handing out a cursor
+        getNextPageParam: (lastPage) => lastPage.pagination?.nextCursor ?? undefined,
         ...options,
     });
 };
@@ -22,7 +22,7 @@ import { useToast } from '../components/ui/Toast';
 import AnimatedHeroBanner, { PromoBanner } from '../components/ui/AnimatedHeroBanner';
 import TrendingCarousel from '../components/ui/TrendingCarousel';
 import AnimatedBookCard from '../components/ui/AnimatedBookCard';
-import CategoryPills from '../components/ui/CategoryPills';
+import CategoryPills, { FilterChips } from '../components/ui/CategoryPills';
 import DynamicSearchBar from '../components/ui/DynamicSearchBar';
 import StickyCartCTA from '../components/ui/StickyCartCTA';
 import { HomeScreenSkeleton, BookCardSkeleton } from '../components/ui/SkeletonLoader';
@@ -48,6 +48,8 @@ export default function PremiumHomeScreen() {
     const toast = useToast();
     const [searchValue, setSearchValue] = useState('');
     const [selectedCategory, setSelectedCategory] = useState('all');
+    // 'inStock', 'discounted' and at most one 'language:<name>'
+    const [activeFilters, setActiveFilters] = useState([]);
     const { addItem, getItemCount, getTotal } = useCartStore();
     const { isWishlisted, toggleItem: toggleWishlist } = useWishlistStore();
     const scrollY = useSharedValue(0);
@@ -64,11 +66,40 @@ export default function PremiumHomeScreen() {
     } = useInfiniteBooks({
         category: selectedCategory === 'all' ? null : selectedCategory,
         search: searchValue,
+        language: activeFilters.find((value) => value.startsWith('language:'))?.slice(9),
+        inStock: activeFilters.includes('inStock') || undefined,
+        discounted: activeFilters.includes('discounted') || undefined,
+        facets: true,
     });
 
     // Flatten pages into single array
     const allBooks = data?.pages.flatMap((page) => page.books) || [];
     const totalBooks = data?.pages[0]?.totalBooks || 0;
+    // Counts for the current search; each facet ignores its own filter
+    const facets = data?.pages[0]?.facets;
+
+    // Chips that would return no books are dead ends, so only active ones show at 0
+    const filterChips = facets ? [
+        ...facets.language.map((facet) => ({
+            value: `language:${facet.name}`,
+            label: `${facet.name} (${facet.count})`,
+            icon: 'language-outline',
+            count: facet.count,
+        })),
+        { value: 'inStock', label: `In stock (${facets.inStock})`, icon: 'cube-outline', count: facets.inStock },
+        { value: 'discounted', label: `On sale (${facets.discounted})`, icon: 'pricetag-outline', count: facets.discounted },
+    ].filter((chip) => chip.count > 0 || activeFilters.includes(chip.value)) : [];
+
+    const handleToggleFilter = (value) => {
+        setActiveFilters((current) => {
+            if (current.includes(value)) return current.filter((active) => active !== value);
+            // One language at a time
+            const kept = value.startsWith('language:')
+                ? current.filter((active) => !active.startsWith('language:'))
+                : current;
+            return [...kept, value];
+        });
+    };
 
     // Get trending books (first 8 for carousel)
     const trendingBooks = allBooks.slice(0, 8);
@@ -185,8 +216,18 @@ export default function PremiumHomeScreen() {
                 activeCategory={selectedCategory}
                 onSelectCategory={setSelectedCategory}
                 showIcons={true}
+                counts={facets?.category}
             />
 
+            {/* Language and availability filters with counts */}
+            {filterChips.length > 0 && (
+                <FilterChips
+                    filters={filterChips}
+                    activeFilters={activeFilters}
+                    onToggle={handleToggleFilter}
+                />
+            )}
+
             {/* Trending Section */}
             {trendingBooks.length > 0 && (
                 <TrendingCarousel
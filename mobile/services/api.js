@@ -130,6 +130,11 @@ const cleanParams = (params) => {
  * @param {string} params.search - Search query
  * @param {number} params.minPrice - Minimum price
  * @param {number} params.maxPrice - Maximum price
+ * @param {string} params.author - Filter by author
+ * @param {boolean} params.inStock - Only books in stock
+ * @param {boolean} params.discounted - Only books on discount
+ * @param {boolean} params.facets - Also return facet counts for the result set
+ * @param {string} params.cursor - pagination.nextCursor of the previous page (instead of page)
  * @param {string} params.sortBy - Sort field (title, price, createdAt, rating)
  * @param {string} params.sortOrder - Sort order (asc, desc)
  * @returns {Promise} Response with books array and pagination info
@@ -202,10 +207,45 @@ export const searchBooks = async (query, additionalParams = {}) => {
     return getBooks({ search: query, ...additionalParams });
 };
 
+// ============================================================================
+// SHIPPING API FUNCTIONS
+// ============================================================================
+
+/**
+ * Get store-wide shipping settings
+ * @returns {Promise} Response with { freeShippingThreshold, defaultRate }
+ */
+export const getShippingSettings = async () => {
+    try {
+        const response = await api.get('/shipping/settings');
+        return response;
+    } catch (error) {
+        throw error;
+    }
+};
+
+/**
+ * Check delivery to a pincode (serviceability, shipping charge, COD, ETA)
+ * @param {string} pincode - 6-digit pincode
+ * @param {number} subtotal - Cart subtotal for the free-shipping check
+ * @returns {Promise} Response with serviceability details
+ */
+export const checkPincode = async (pincode, subtotal = 0) => {
+    try {
+        const response = await api.get(`/shipping/check/${pincode}`, { params: { subtotal } });
+        return response;
+    } catch (error) {
+        throw error;
+    }
+};
+
 // ============================================================================
 // ORDER API FUNCTIONS
 // ============================================================================
 
+// Copies of one book a checkout can hold (matches the server)
+const MAX_HELD_PER_LINE = 10;
+
 /**
  * Create a new order
  * @param {Object} orderData - Order data
@@ -213,7 +253,8 @@ export const searchBooks = async (query, additionalParams = {}) => {
  * @param {string} orderData.customerPhone - Customer phone (10 digits)
  * @param {string} orderData.customerAddress - Customer address
  * @param {Array} orderData.items - Array of { bookId, quantity }
- * @param {number} orderData.shippingCost - Shipping cost (optional, default: 50)
+ * @param {string} orderData.pincode - Delivery pincode (optional, read from the address otherwise)
+ * @param {string} orderData.checkoutId - Held stock to take over (see reserveStock)
  * @param {string} orderData.notes - Optional notes
  * @returns {Promise} Response with order data
  */
@@ -226,6 +267,31 @@ export const createOrder = async (orderData) => {
     }
 };
 
+/**
+ * Hold the cart's stock while the customer checks out (guests too)
+ * Pass the returned checkoutId to createOrder before the hold expires.
+ * Large lines are only partly held (see MAX_HELD_PER_LINE).
+ * @param {Array} items - Array of { bookId, quantity }
+ * @param {string} checkoutId - Earlier hold to renew (optional)
+ * @returns {Promise} Response with { checkoutId, expiresAt, items }
+ */
+export const reserveStock = async (items, checkoutId) => {
+    // A line holds at most MAX_HELD_PER_LINE copies; the order can still buy more
+    const held = items.map((item) => ({ ...item, quantity: Math.min(item.quantity, MAX_HELD_PER_LINE) }));
+    const response = await api.post('/orders/reservations', { items: held, checkoutId });
+    return response;
+};
+
+/**
+ * Release a checkout's held stock
+ * @param {string} checkoutId - Checkout ID from reserveStock
+ * @returns {Promise} Response with { released }
+ */
+export const releaseStock = async (checkoutId) => {
+    const response = await api.delete(`/orders/reservations/${checkoutId}`);
+    return response;
+};
+
 /**
  * Get user's orders (requires authentication)
  * @returns {Promise} Response with orders array
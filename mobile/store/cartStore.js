@@ -2,6 +2,9 @@
 // This version avoids Zustand middleware to ensure Hermes compatibility
 import { create } from 'zustand';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getShippingSettings } from '../services/api';
+import { API_URL } from '../constants/api';
+import { useAuthStore } from './authStore';
 
 const CART_STORAGE_KEY = '@odisha_book_store_cart';
 
@@ -14,6 +17,8 @@ const CART_STORAGE_KEY = '@odisha_book_store_cart';
  * - removeFromCart(bookId): Remove item
  * - totalPrice: Derived value calculating the total cost
  * - Persistence: Manual AsyncStorage sync (survives app restarts)
+ * - Server sync: when logged in, the cart lives on the server (/api/cart) and is
+ *   shared with the website; the guest cart is merged into it on login
  * 
  * Note: This implementation uses manual persistence instead of middleware
  * to ensure compatibility with React Native's Hermes engine.
@@ -23,6 +28,11 @@ const useCartStore = create((set, get) => ({
     // State
     items: [],
     isLoaded: false,
+    // Set when the server reports problems (price changed, out of stock, book removed)
+    hasIssues: false,
+    // Estimates until loadShippingSettings() answers; checkout charges by pincode
+    freeShippingThreshold: 500,
+    shippingRate: 50,
 
     // Load cart from AsyncStorage on app start
     loadCart: async () => {
@@ -49,6 +59,81 @@ const useCartStore = create((set, get) => ({
         }
     },
 
+    // Call the cart API with the logged-in user's token; resolves with the re-priced cart
+    _cartRequest: async (path, method = 'GET', body) => {
+        const { token } = useAuthStore.getState();
+        const response = await fetch(`${API_URL}/cart${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+            },
+            ...(body && { body: JSON.stringify(body) }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to update cart');
+        }
+
+        return data.data;
+    },
+
+    // Replace local items with the server's cart (logged-in users only)
+    _syncWithServer: async (path, method, body) => {
+        if (!useAuthStore.getState().token) return;
+        try {
+            const cart = await get()._cartRequest(path, method, body);
+            set({ items: cart.items, hasIssues: cart.hasIssues });
+        } catch (error) {
+            console.error('Error syncing cart:', error);
+            get().refreshCart();
+        }
+    },
+
+    // Re-check prices and stock on the server (call when the cart screen opens)
+    refreshCart: async () => {
+        if (!useAuthStore.getState().token) return;
+        try {
+            const cart = await get()._cartRequest('');
+            set({ items: cart.items, hasIssues: cart.hasIssues });
+        } catch (error) {
+            console.error('Error loading cart:', error);
+        }
+    },
+
+    // After login: merge the guest cart into the server cart, then use the server cart
+    mergeGuestCart: async () => {
+        const { items } = get();
+        try {
+            const cart = items.length
+                ? await get()._cartRequest('/merge', 'POST', {
+                    items: items.map(item => ({ bookId: item._id, quantity: item.quantity })),
+                })
+                : await get()._cartRequest('');
+            set({ items: cart.items, hasIssues: cart.hasIssues });
+            await AsyncStorage.removeItem(CART_STORAGE_KEY);
+        } catch (error) {
+            console.error('Error merging cart:', error);
+        }
+    },
+
+    // After logout: the cart stays on the server, the device starts a fresh guest cart
+    resetCart: () => {
+        set({ items: [], hasIssues: false });
+        get()._saveCart([]);
+    },
+
+    // Guests save to AsyncStorage; logged-in users send the change to the server
+    _persist: (items, path, method, body) => {
+        if (useAuthStore.getState().token) {
+            get()._syncWithServer(path, method, body);
+        } else {
+            get()._saveCart(items);
+        }
+    },
+
     // Add item to cart
     addItem: (book, quantity = 1) => {
         const { items } = get();
@@ -65,7 +150,7 @@ const useCartStore = create((set, get) => ({
         }
 
         set({ items: newItems });
-        get()._saveCart(newItems);
+        get()._persist(newItems, '/items', 'POST', { bookId: book._id, quantity });
     },
 
     // Remove item from cart
@@ -73,7 +158,7 @@ const useCartStore = create((set, get) => ({
         const { items } = get();
         const newItems = items.filter(item => item._id !== bookId);
         set({ items: newItems });
-        get()._saveCart(newItems);
+        get()._persist(newItems, `/items/${bookId}`, 'DELETE');
     },
 
     // Update item quantity
@@ -88,7 +173,7 @@ const useCartStore = create((set, get) => ({
             item._id === bookId ? { ...item, quantity } : item
         );
         set({ items: newItems });
-        get()._saveCart(newItems);
+        get()._persist(newItems, `/items/${bookId}`, 'PUT', { quantity });
     },
 
     // Increase quantity
@@ -113,8 +198,8 @@ const useCartStore = create((set, get) => ({
 
     // Clear entire cart
     clearCart: () => {
-        set({ items: [] });
-        get()._saveCart([]);
+        set({ items: [], hasIssues: false });
+        get()._persist([], '', 'DELETE');
     },
 
     // Get cart item count
@@ -132,10 +217,25 @@ const useCartStore = create((set, get) => ({
         }, 0);
     },
 
-    // Get shipping cost (free shipping over ₹500, otherwise ₹50)
+    // Load the free-shipping threshold and default rate from the server
+    loadShippingSettings: async () => {
+        try {
+            const response = await getShippingSettings();
+            const { freeShippingThreshold, defaultRate } = response.data || {};
+            set((state) => ({
+                freeShippingThreshold: freeShippingThreshold ?? state.freeShippingThreshold,
+                shippingRate: defaultRate ?? state.shippingRate,
+            }));
+        } catch (error) {
+            console.error('Error loading shipping settings:', error);
+        }
+    },
+
+    // Get estimated shipping cost (free above the threshold, otherwise the default rate)
     getShippingCost: () => {
+        const { freeShippingThreshold, shippingRate } = get();
         const subtotal = get().getSubtotal();
-        return subtotal >= 500 ? 0 : 50;
+        return subtotal >= freeShippingThreshold ? 0 : shippingRate;
     },
 
     // Get total (subtotal + shipping)
@@ -0,0 +1,88 @@
+// store/notificationStore.js - Wishlist alerts (price drops, back in stock)
+import { create } from 'zustand';
+import { API_URL } from '../constants/api';
+import { useAuthStore } from './authStore';
+
+/**
+ * Notification Store - In-app notifications for the logged-in user
+ * The server creates them when a book on the user's wishlist gets cheaper
+ * or comes back in stock. Guests have none.
+ */
+export const useNotificationStore = create((set, get) => ({
+    // State
+    notifications: [],
+    unreadCount: 0,
+
+    // Call the notifications API with the logged-in user's token
+    _notificationRequest: async (path, method = 'GET') => {
+        const { token } = useAuthStore.getState();
+        const response = await fetch(`${API_URL}/notifications${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+            },
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || 'Failed to load notifications');
+        }
+
+        return data.data;
+    },
+
+    // Load the latest notifications and unread count
+    fetchNotifications: async () => {
+        if (!useAuthStore.getState().token) return;
+        try {
+            const { notifications, unreadCount } = await get()._notificationRequest('');
+            set({ notifications, unreadCount });
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+        }
+    },
+
+    // Mark one notification as read (optimistic)
+    markRead: async (notificationId) => {
+        const { notifications, unreadCount } = get();
+        const target = notifications.find((n) => n._id === notificationId);
+        if (!target || target.readAt) return;
+
+        set({
+            notifications: notifications.map((n) =>
+                n._id === notificationId ? { ...n, readAt: new Date().toISOString() } : n
+            ),
+            unreadCount: Math.max(unreadCount - 1, 0),
+        });
+
+        try {
+            await get()._notificationRequest(`/${notificationId}/read`, 'PUT');
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+            get().fetchNotifications();
+        }
+    },
+
+    // Mark everything as read (optimistic)
+    markAllRead: async () => {
+        const readAt = new Date().toISOString();
+        set((state) => ({
+            notifications: state.notifications.map((n) => ({ ...n, readAt: n.readAt || readAt })),
+            unreadCount: 0,
+        }));
+
+        try {
+            await get()._notificationRequest('/read-all', 'PUT');
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            get().fetchNotifications();
+        }
+    },
+
+    // After logout
+    resetNotifications: () => {
+        set({ notifications: [], unreadCount: 0 });
+    },
+}));
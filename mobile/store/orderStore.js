@@ -102,32 +102,95 @@ export const useOrderStore = create((set, get) => ({
         }
     },
 
-    // Update order payment status (if you implement payment)
-    updateOrderPayment: async (orderId, paymentResult, token) => {
+    // Start an online payment for an order; the gateway confirms it by webhook,
+    // so poll getPaymentStatus until it settles
+    startPayment: async (orderId, method, token, idempotencyKey) => {
         try {
             set({ isLoading: true, error: null });
 
-            const response = await fetch(`${API_URL}/orders/${orderId}/pay`, {
+            const response = await fetch(`${API_URL}/payments/intents`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`,
+                    'Idempotency-Key': idempotencyKey || `${orderId}-${Date.now()}`,
+                },
+                body: JSON.stringify({ orderId, method }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to start payment');
+            }
+
+            set({ isLoading: false });
+
+            return { success: true, payment: data.data.payment };
+        } catch (error) {
+            set({ error: error.message, isLoading: false });
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Current status of a payment; refreshes the order once the payment succeeds
+    getPaymentStatus: async (paymentId, token) => {
+        try {
+            const response = await fetch(`${API_URL}/payments/${paymentId}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`,
+                },
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || 'Failed to fetch payment');
+            }
+
+            const payment = data.data;
+            if (payment.status === 'succeeded') {
+                const result = await get().fetchOrderById(payment.order, token);
+                if (result.success) {
+                    set(state => ({
+                        orders: state.orders.map(order =>
+                            order._id === payment.order ? result.order : order
+                        ),
+                    }));
+                }
+            }
+
+            return { success: true, payment };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    },
+
+    // Cancel own order (allowed while Pending or Confirmed)
+    cancelOrder: async (orderId, token, reason) => {
+        try {
+            set({ isLoading: true, error: null });
+
+            const response = await fetch(`${API_URL}/orders/${orderId}/cancel`, {
                 method: 'PUT',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`,
                 },
-                body: JSON.stringify(paymentResult),
+                body: JSON.stringify({ reason }),
             });
 
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.message || 'Failed to update payment');
+                throw new Error(data.error?.message || data.message || 'Failed to cancel order');
             }
 
-            // Update the order in the orders list
             set(state => ({
                 orders: state.orders.map(order =>
                     order._id === orderId ? data.data : order
                 ),
-                currentOrder: data.data,
+                currentOrder: state.currentOrder?._id === orderId ? data.data : state.currentOrder,
                 isLoading: false
             }));
 
@@ -138,6 +201,9 @@ export const useOrderStore = create((set, get) => ({
         }
     },
 
+    // Whether the customer can still cancel this order
+    canCancel: (order) => ['Pending', 'Confirmed'].includes(order.status),
+
     // Clear current order
     clearCurrentOrder: () => {
         set({ currentOrder: null });
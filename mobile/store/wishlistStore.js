@@ -2,10 +2,15 @@
 import { create } from 'zustand';
 import { persist, createJSONStorage } from 'zustand/middleware';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { API_URL } from '../constants/api';
+import { useAuthStore } from './authStore';
 
 /**
  * Wishlist Store - Manages user's saved/favorited books
  * Features: Add/remove items, persistence, isWishlisted check
+ * Server sync: when logged in, the wishlist lives on the server (/api/wishlist)
+ * and is shared with the website; the guest wishlist is merged into it on login.
+ * The server uses it to send price-drop and back-in-stock notifications.
  */
 export const useWishlistStore = create(
     persist(
@@ -13,6 +18,70 @@ export const useWishlistStore = create(
             // State
             items: [], // Array of book objects
 
+            // Call the wishlist API with the logged-in user's token; resolves with the current list
+            _wishlistRequest: async (path, method = 'GET', body) => {
+                const { token } = useAuthStore.getState();
+                const response = await fetch(`${API_URL}/wishlist${path}`, {
+                    method,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${token}`,
+                    },
+                    ...(body && { body: JSON.stringify(body) }),
+                });
+
+                const data = await response.json();
+
+                if (!response.ok) {
+                    throw new Error(data.message || 'Failed to update wishlist');
+                }
+
+                return data.data;
+            },
+
+            // Send a change to the server (logged-in users only); the server's list wins
+            _syncWithServer: async (path, method, body) => {
+                if (!useAuthStore.getState().token) return;
+                try {
+                    const wishlist = await get()._wishlistRequest(path, method, body);
+                    set({ items: wishlist.items });
+                } catch (error) {
+                    console.error('Error syncing wishlist:', error);
+                    get().refreshWishlist();
+                }
+            },
+
+            // Reload prices and stock from the server (call when the wishlist screen opens)
+            refreshWishlist: async () => {
+                if (!useAuthStore.getState().token) return;
+                try {
+                    const wishlist = await get()._wishlistRequest('');
+                    set({ items: wishlist.items });
+                } catch (error) {
+                    console.error('Error loading wishlist:', error);
+                }
+            },
+
+            // After login: merge the guest wishlist into the server one, then use the server list
+            mergeGuestWishlist: async () => {
+                const { items } = get();
+                try {
+                    const wishlist = items.length
+                        ? await get()._wishlistRequest('/merge', 'POST', {
+                            bookIds: items.map((item) => item._id),
+                        })
+                        : await get()._wishlistRequest('');
+                    set({ items: wishlist.items });
+                } catch (error) {
+                    console.error('Error merging wishlist:', error);
+                }
+            },
+
+            // After logout: the wishlist stays on the server, the device starts a fresh guest list
+            resetWishlist: () => {
+                set({ items: [] });
+            },
+
             // Add item to wishlist
             addItem: (book) => {
                 const { items } = get();
@@ -20,6 +89,7 @@ export const useWishlistStore = create(
 
                 if (!exists) {
                     set({ items: [...items, book] });
+                    get()._syncWithServer('/items', 'POST', { bookId: book._id });
                     return true;
                 }
                 return false;
@@ -29,6 +99,7 @@ export const useWishlistStore = create(
             removeItem: (bookId) => {
                 const { items } = get();
                 set({ items: items.filter((item) => item._id !== bookId) });
+                get()._syncWithServer(`/items/${bookId}`, 'DELETE');
             },
 
             // Toggle wishlist status
@@ -59,11 +130,13 @@ export const useWishlistStore = create(
             // Clear entire wishlist
             clearWishlist: () => {
                 set({ items: [] });
+                get()._syncWithServer('', 'DELETE');
             },
         }),
         {
             name: 'wishlist-storage',
             storage: createJSONStorage(() => AsyncStorage),
+            partialize: (state) => ({ items: state.items }),
         }
     )
 );
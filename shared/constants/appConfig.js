@@ -4,9 +4,10 @@ export const APP_CONFIG = {
   CURRENCY: 'INR',
   CURRENCY_SYMBOL: '₹',
   SHIPPING_COST: 0,
-  FREE_SHIPPING_THRESHOLD: 1000,
+  FREE_SHIPPING_THRESHOLD: 500, // Fallback only - live value comes from GET /api/shipping/settings
   ITEMS_PER_PAGE: 12,
   DEFAULT_CATEGORY: 'All',
   MAX_CART_ITEMS: 100,
+  MAX_HELD_PER_LINE: 10, // Copies of one book a checkout can reserve
 };
 